@@ -1,6 +1,6 @@
 import './src/utils/polyfills';
 import React from 'react';
-import { NavigationContainer } from '@react-navigation/native';
+import { NavigationContainer, createNavigationContainerRef } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createStackNavigator } from '@react-navigation/stack';
 import { View, ActivityIndicator, StyleSheet } from 'react-native';
@@ -9,6 +9,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { AuthProvider, useAuth } from './src/context/AuthContext';
 import AuthStack from './src/navigation/AuthStack';
 import SessionWarningModal from './src/components/SessionWarningModal';
+import useNotificationResponses from './src/hooks/useNotificationResponses';
 
 import HomeScreen from './src/screens/HomeScreen';
 import CalendarScreen from './src/screens/CalendarScreen';
@@ -17,9 +18,11 @@ import FamilyTimeScreen from './src/screens/FamilyTimeScreen';
 import ChildProfileScreen from './src/screens/ChildProfileScreen';
 import SettingsScreen from './src/screens/SettingsScreen';
 import ManageChildrenScreen from './src/screens/ManageChildrenScreen';
+import RecycleBinScreen from './src/screens/RecycleBinScreen';
 
 const Tab = createBottomTabNavigator();
 const Stack = createStackNavigator();
+const navigationRef = createNavigationContainerRef();
 
 function SettingsStack() {
   return (
@@ -34,6 +37,11 @@ function SettingsStack() {
         component={ManageChildrenScreen} 
         options={{ headerShown: false }}
       />
+      <Stack.Screen 
+        name="RecycleBin" 
+        component={RecycleBinScreen} 
+        options={{ headerShown: false }}
+      />
     </Stack.Navigator>
   );
 }
@@ -94,6 +102,9 @@ function LoadingScreen() {
 function AppNavigator() {
   const { isAuthenticated, loading, isInitialized } = useAuth();
 
+  // Handle reminder notification actions once the app tabs are available
+  useNotificationResponses(navigationRef, isInitialized && !loading && isAuthenticated);
+
   // Show loading screen while initializing authentication
   if (!isInitialized || loading) {
     return <LoadingScreen />;
@@ -116,7 +127,7 @@ function AppNavigator() {
 export default function App() {
   return (
     <AuthProvider>
-      <NavigationContainer>
+      <NavigationContainer ref={navigationRef}>
         <AppNavigator />
       </NavigationContainer>
     </AuthProvider>
@@ -0,0 +1,530 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  Alert,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import ActivityTypesService from '../services/ActivityTypesService';
+import useActivityTypes from '../hooks/useActivityTypes';
+import {
+  ACTIVITY_TYPE_ICON_OPTIONS,
+  ACTIVITY_TYPE_COLOR_OPTIONS,
+  MAX_ACTIVITY_TYPE_NAME_LENGTH,
+  MAX_ACTIVITY_TYPE_DESCRIPTION_LENGTH,
+  MAX_ACTIVITY_TYPE_FIELDS,
+  MAX_ACTIVITY_FIELD_LABEL_LENGTH,
+  createActivityFieldId,
+  validateActivityTypeInput,
+} from '../utils/activityTypeUtils';
+
+const EMPTY_FORM = {
+  id: null,
+  name: '',
+  icon: ACTIVITY_TYPE_ICON_OPTIONS[4],
+  color: ACTIVITY_TYPE_COLOR_OPTIONS[4],
+  description: '',
+  fields: [],
+  isBuiltIn: false,
+};
+
+const FIELD_KIND_LABELS = {
+  text: 'Text',
+  number: 'Number',
+};
+
+export default function ActivityTypesModal({ visible, onClose }) {
+  const { activityTypes } = useActivityTypes();
+  const [editingType, setEditingType] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!visible) {
+      setEditingType(null);
+    }
+  }, [visible]);
+
+  const isNewType = editingType && !editingType.id;
+
+  const handleSave = async () => {
+    const validation = validateActivityTypeInput(editingType, activityTypes);
+    if (!validation.isValid) {
+      Alert.alert('Validation Error', validation.errors.join('\n'));
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const result = isNewType
+        ? await ActivityTypesService.addActivityType(editingType)
+        : await ActivityTypesService.updateActivityType(editingType.id, editingType);
+
+      if (!result) {
+        Alert.alert('Error', 'Failed to save activity type. Please try again.');
+        return;
+      }
+      setEditingType(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Activity Type',
+      `Delete "${editingType.name}"? Existing activities keep the name but are shown with the default icon.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const deleted = await ActivityTypesService.deleteActivityType(editingType.id);
+            if (!deleted) {
+              Alert.alert('Error', 'Failed to delete activity type. Please try again.');
+              return;
+            }
+            setEditingType(null);
+          },
+        },
+      ]
+    );
+  };
+
+  const addField = () => {
+    setEditingType((prev) => ({
+      ...prev,
+      fields: [...prev.fields, { id: createActivityFieldId(), label: '', kind: 'text' }],
+    }));
+  };
+
+  const updateField = (fieldId, updates) => {
+    setEditingType((prev) => ({
+      ...prev,
+      fields: prev.fields.map((field) => (field.id === fieldId ? { ...field, ...updates } : field)),
+    }));
+  };
+
+  const removeField = (fieldId) => {
+    setEditingType((prev) => ({
+      ...prev,
+      fields: prev.fields.filter((field) => field.id !== fieldId),
+    }));
+  };
+
+  const renderTypeList = () => (
+    <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+      <View style={styles.section}>
+        {activityTypes.map((type) => (
+          <TouchableOpacity
+            key={type.id}
+            style={styles.typeRow}
+            onPress={() => setEditingType({ ...type, fields: [...type.fields] })}
+          >
+            <View style={[styles.typeIcon, { backgroundColor: type.color }]}>
+              <Ionicons name={type.icon} size={18} color='white' />
+            </View>
+            <View style={styles.typeInfo}>
+              <Text style={styles.typeName}>{type.name}</Text>
+              {!!type.description && (
+                <Text style={styles.typeDescription} numberOfLines={1}>
+                  {type.description}
+                </Text>
+              )}
+            </View>
+            {type.isBuiltIn && <Text style={styles.builtInLabel}>Built-in</Text>}
+            <Ionicons name='chevron-forward' size={20} color='#ccc' />
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <TouchableOpacity
+        style={styles.addTypeButton}
+        onPress={() => setEditingType({ ...EMPTY_FORM, fields: [] })}
+      >
+        <Ionicons name='add-circle-outline' size={20} color='#48b6b0' />
+        <Text style={styles.addTypeButtonText}>Add Activity Type</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+
+  const renderFieldEditor = (field, index) => (
+    <View key={field.id} style={styles.fieldRow}>
+      <TextInput
+        style={[styles.textInput, styles.fieldLabelInput]}
+        value={field.label}
+        onChangeText={(label) => updateField(field.id, { label })}
+        placeholder={`Field ${index + 1}, e.g. Recipe`}
+        maxLength={MAX_ACTIVITY_FIELD_LABEL_LENGTH}
+      />
+      <View style={styles.kindToggle}>
+        {Object.entries(FIELD_KIND_LABELS).map(([kind, label]) => (
+          <TouchableOpacity
+            key={kind}
+            style={[styles.kindOption, field.kind === kind && styles.selectedKindOption]}
+            onPress={() => updateField(field.id, { kind })}
+          >
+            <Text style={[styles.kindOptionText, field.kind === kind && styles.selectedKindOptionText]}>
+              {label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <TouchableOpacity style={styles.removeFieldButton} onPress={() => removeField(field.id)}>
+        <Ionicons name='close-circle' size={22} color='#ccc' />
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderTypeForm = () => (
+    <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Name</Text>
+        <TextInput
+          style={[styles.textInput, !isNewType && styles.disabledInput]}
+          value={editingType.name}
+          onChangeText={(name) => setEditingType((prev) => ({ ...prev, name }))}
+          placeholder='e.g. Cooking, Music, Crafts'
+          maxLength={MAX_ACTIVITY_TYPE_NAME_LENGTH}
+          editable={isNewType}
+        />
+        {!isNewType && (
+          <Text style={styles.hintText}>
+            Names can't be changed because activities are saved with their type name.
+          </Text>
+        )}
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Description</Text>
+        <TextInput
+          style={styles.textInput}
+          value={editingType.description}
+          onChangeText={(description) => setEditingType((prev) => ({ ...prev, description }))}
+          placeholder='Shown under the type when logging an activity'
+          maxLength={MAX_ACTIVITY_TYPE_DESCRIPTION_LENGTH}
+        />
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Icon</Text>
+        <View style={styles.optionGrid}>
+          {ACTIVITY_TYPE_ICON_OPTIONS.map((icon) => (
+            <TouchableOpacity
+              key={icon}
+              style={[
+                styles.iconOption,
+                editingType.icon === icon && {
+                  borderColor: editingType.color,
+                  backgroundColor: `${editingType.color}22`,
+                },
+              ]}
+              onPress={() => setEditingType((prev) => ({ ...prev, icon }))}
+            >
+              <Ionicons
+                name={icon}
+                size={22}
+                color={editingType.icon === icon ? editingType.color : '#666'}
+              />
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Colour</Text>
+        <View style={styles.optionGrid}>
+          {ACTIVITY_TYPE_COLOR_OPTIONS.map((color) => (
+            <TouchableOpacity
+              key={color}
+              style={[
+                styles.colorOption,
+                { backgroundColor: color },
+                editingType.color === color && styles.selectedColorOption,
+              ]}
+              onPress={() => setEditingType((prev) => ({ ...prev, color }))}
+            >
+              {editingType.color === color && (
+                <Ionicons name='checkmark' size={18} color='white' />
+              )}
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Extra Fields</Text>
+        <Text style={[styles.hintText, styles.fieldsHint]}>
+          Optional questions filled in for each activity of this type, such as the recipe you cooked
+          or the game you played.
+        </Text>
+        {editingType.fields.map(renderFieldEditor)}
+        {editingType.fields.length < MAX_ACTIVITY_TYPE_FIELDS && (
+          <TouchableOpacity style={styles.addFieldButton} onPress={addField}>
+            <Ionicons name='add' size={18} color='#48b6b0' />
+            <Text style={styles.addFieldButtonText}>Add Field</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {!isNewType && !editingType.isBuiltIn && (
+        <TouchableOpacity style={styles.deleteButton} onPress={handleDelete}>
+          <Ionicons name='trash-outline' size={20} color='#FF3B30' />
+          <Text style={styles.deleteButtonText}>Delete Activity Type</Text>
+        </TouchableOpacity>
+      )}
+    </ScrollView>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType='slide'
+      presentationStyle='pageSheet'
+      onRequestClose={editingType ? () => setEditingType(null) : onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          {editingType ? (
+            <>
+              <TouchableOpacity onPress={() => setEditingType(null)} disabled={saving}>
+                <Text style={styles.cancelButton}>Cancel</Text>
+              </TouchableOpacity>
+              <Text style={styles.headerTitle}>
+                {isNewType ? 'New Activity Type' : 'Edit Activity Type'}
+              </Text>
+              <TouchableOpacity onPress={handleSave} disabled={saving}>
+                <Text style={[styles.saveButton, saving && styles.disabledButton]}>
+                  {saving ? 'Saving...' : 'Save'}
+                </Text>
+              </TouchableOpacity>
+            </>
+          ) : (
+            <>
+              <TouchableOpacity onPress={onClose}>
+                <Text style={styles.cancelButton}>Close</Text>
+              </TouchableOpacity>
+              <Text style={styles.headerTitle}>Activity Types</Text>
+              <View style={styles.headerSpacer} />
+            </>
+          )}
+        </View>
+
+        {editingType ? renderTypeForm() : renderTypeList()}
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    paddingTop: Platform.OS === 'ios' ? 50 : 20,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  headerSpacer: {
+    width: 44,
+  },
+  cancelButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+  },
+  saveButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  disabledButton: {
+    color: '#ccc',
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: 'white',
+    marginVertical: 8,
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 12,
+  },
+  typeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  typeIcon: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  typeInfo: {
+    flex: 1,
+  },
+  typeName: {
+    fontSize: 16,
+    color: '#333',
+  },
+  typeDescription: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  builtInLabel: {
+    fontSize: 12,
+    color: '#999',
+    marginRight: 8,
+  },
+  addTypeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'white',
+    marginVertical: 8,
+    paddingVertical: 16,
+  },
+  addTypeButtonText: {
+    fontSize: 16,
+    color: '#48b6b0',
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: '#f9f9f9',
+  },
+  disabledInput: {
+    color: '#999',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 6,
+  },
+  fieldsHint: {
+    marginTop: -6,
+    marginBottom: 12,
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  fieldLabelInput: {
+    flex: 1,
+    paddingVertical: 10,
+  },
+  kindToggle: {
+    flexDirection: 'row',
+    marginLeft: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  kindOption: {
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    backgroundColor: '#f9f9f9',
+  },
+  selectedKindOption: {
+    backgroundColor: '#48b6b0',
+  },
+  kindOptionText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  selectedKindOptionText: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  removeFieldButton: {
+    marginLeft: 8,
+    padding: 2,
+  },
+  addFieldButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    paddingVertical: 8,
+  },
+  addFieldButtonText: {
+    fontSize: 15,
+    color: '#48b6b0',
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  optionGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 10,
+  },
+  iconOption: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    borderWidth: 2,
+    borderColor: '#ddd',
+    backgroundColor: '#f9f9f9',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  colorOption: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  selectedColorOption: {
+    borderWidth: 3,
+    borderColor: '#333',
+  },
+  deleteButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'white',
+    marginVertical: 8,
+    paddingVertical: 16,
+  },
+  deleteButtonText: {
+    fontSize: 16,
+    color: '#FF3B30',
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+});
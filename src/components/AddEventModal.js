@@ -16,18 +16,33 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import DateTimePickerModal from './DateTimePickerModal';
 import MultiDateSelector from './MultiDateSelector';
+import RecurrenceSelector from './RecurrenceSelector';
+import TimeZonePickerModal from './TimeZonePickerModal';
 import CalendarEventsService from '../services/CalendarEventsService';
 import ChildrenDataService from '../services/ChildrenDataService';
 import Base64Image from './Base64Image';
+import { formatLocalDateString } from '../utils/dateUtils';
+import { validateRecurrenceRule } from '../utils/recurrenceUtils';
+import {
+  formatUtcOffset,
+  fromZonedWallClockDate,
+  getDeviceTimeZone,
+  getTimeZoneLabel,
+  getTimeZoneOffsetMinutes,
+} from '../utils/timeZoneUtils';
+import { confirmEventConflicts } from '../utils/conflictUtils';
+import useEventTypes from '../hooks/useEventTypes';
 
 export default function AddEventModal({
   visible,
   onClose,
   onEventAdded,
   selectedDate,
+  initialStartTime = null,
 }) {
   const [title, setTitle] = useState('');
   const [eventType, setEventType] = useState('Personal');
+  const { eventTypes } = useEventTypes();
   const [isAllDay, setIsAllDay] = useState(false);
   const [startDate, setStartDate] = useState(selectedDate || new Date());
   const [endDate, setEndDate] = useState(selectedDate || new Date());
@@ -43,6 +58,10 @@ export default function AddEventModal({
   const [showEndDatePicker, setShowEndDatePicker] = useState(false);
   const [showStartTimePicker, setShowStartTimePicker] = useState(false);
   const [showEndTimePicker, setShowEndTimePicker] = useState(false);
+
+  // Start and end times are wall-clock times in this zone
+  const [timeZone, setTimeZone] = useState(getDeviceTimeZone());
+  const [showTimeZonePicker, setShowTimeZonePicker] = useState(false);
   const [loading, setLoading] = useState(false);
 
   // Multi-date states
@@ -50,6 +69,9 @@ export default function AddEventModal({
   const [isMultiDateEvent, setIsMultiDateEvent] = useState(false);
   const [selectedMultiDates, setSelectedMultiDates] = useState([]);
 
+  // Recurrence state (null means the event does not repeat)
+  const [recurrence, setRecurrence] = useState(null);
+
   // Reminder states
   const [remindersEnabled, setRemindersEnabled] = useState(false);
   const [selectedReminders, setSelectedReminders] = useState([]);
@@ -61,7 +83,7 @@ export default function AddEventModal({
       loadChildren();
       resetForm();
     }
-  }, [visible, selectedDate]);
+  }, [visible, selectedDate, initialStartTime]);
 
   const loadChildren = async () => {
     try {
@@ -78,15 +100,22 @@ export default function AddEventModal({
     setEventType('Personal');
     setIsAllDay(false);
     setIsMultiDateEvent(false);
-    const initialDate = selectedDate || new Date();
+    const initialDate = initialStartTime || selectedDate || new Date();
     setStartDate(initialDate);
     setEndDate(initialDate);
 
-    const now = new Date();
-    setStartTime(now);
-    const endTime = new Date(now);
-    endTime.setHours(now.getHours() + 1);
+    // A time picked on the calendar's time grid starts a one hour event there
+    const start = initialStartTime || new Date();
+    setStartTime(start);
+    const endTime = new Date(start);
+    endTime.setHours(start.getHours() + 1);
+    if (initialStartTime && endTime.getDate() !== start.getDate()) {
+      // Keep events added late in the evening on the same day
+      endTime.setTime(start.getTime());
+      endTime.setHours(23, 59, 0, 0);
+    }
     setEndTime(endTime);
+    setTimeZone(getDeviceTimeZone());
 
     // Reset child selection
     setSelectedChildren([]);
@@ -100,6 +129,9 @@ export default function AddEventModal({
     // Reset multi-date states
     setIsMultiDate(false);
     setSelectedMultiDates([]);
+
+    // Reset recurrence state
+    setRecurrence(null);
   };
 
   const toggleChildSelection = (child) => {
@@ -125,20 +157,6 @@ export default function AddEventModal({
     return child.nickname || child.firstName;
   };
 
-  const getEventTypeIcon = (eventType) => {
-    switch (eventType) {
-      case 'Birthday':
-        return 'gift';
-      case 'Holiday':
-        return 'sunny';
-      case 'Anniversary':
-        return 'heart';
-      case 'Personal':
-      default:
-        return 'calendar';
-    }
-  };
-
   const validateEventData = () => {
     const errors = [];
 
@@ -220,7 +238,7 @@ export default function AddEventModal({
     }
 
     // Event type validation
-    const validEventTypes = ['Personal', 'Birthday', 'Holiday', 'Anniversary'];
+    const validEventTypes = eventTypes.map((type) => type.name);
     if (!validEventTypes.includes(eventType)) {
       errors.push('Please select a valid event type');
     }
@@ -256,6 +274,15 @@ export default function AddEventModal({
       }
     }
 
+    // Recurrence validation
+    if (recurrence) {
+      const recurrenceValidation = validateRecurrenceRule(
+        recurrence,
+        formatLocalDateString(startDate)
+      );
+      errors.push(...recurrenceValidation.errors);
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -311,6 +338,7 @@ export default function AddEventModal({
         reminders: remindersEnabled ? finalReminders : [],
         isMultiDate,
         selectedMultiDates: isMultiDate ? selectedMultiDates : [],
+        recurrence: !isMultiDate ? recurrence : null,
       };
 
       if (isAllDay) {
@@ -347,13 +375,21 @@ export default function AddEventModal({
             throw new Error('Invalid date-time combination');
           }
 
-          eventData.startDateTime = startDateTime.toISOString();
-          eventData.endDateTime = endDateTime.toISOString();
+          // The picked times are wall-clock times in the event's zone
+          eventData.startDateTime = fromZonedWallClockDate(startDateTime, timeZone).toISOString();
+          eventData.endDateTime = fromZonedWallClockDate(endDateTime, timeZone).toISOString();
+          eventData.timeZone = timeZone;
         } catch (dateTimeError) {
           throw new Error(`Failed to create event date-time: ${dateTimeError.message}`);
         }
       }
 
+      // Warn before double-booking any of the children involved
+      const conflicts = await CalendarEventsService.findConflictingEvents(eventData);
+      if (!(await confirmEventConflicts(conflicts))) {
+        return;
+      }
+
       const newEvent = await CalendarEventsService.addEvent(eventData);
 
       if (newEvent) {
@@ -727,33 +763,31 @@ export default function AddEventModal({
               showsHorizontalScrollIndicator={false}
               style={styles.eventTypeSelector}
             >
-              {['Personal', 'Birthday', 'Holiday', 'Anniversary'].map(
-                (type) => (
-                  <TouchableOpacity
-                    key={type}
+              {eventTypes.map((type) => (
+                <TouchableOpacity
+                  key={type.id}
+                  style={[
+                    styles.eventTypeOption,
+                    eventType === type.name && styles.selectedEventTypeOption,
+                  ]}
+                  onPress={() => setEventType(type.name)}
+                >
+                  <Ionicons
+                    name={type.icon}
+                    size={20}
+                    color={eventType === type.name ? '#48b6b0' : type.color}
+                    style={styles.eventTypeIcon}
+                  />
+                  <Text
                     style={[
-                      styles.eventTypeOption,
-                      eventType === type && styles.selectedEventTypeOption,
+                      styles.eventTypeText,
+                      eventType === type.name && styles.selectedEventTypeText,
                     ]}
-                    onPress={() => setEventType(type)}
                   >
-                    <Ionicons
-                      name={getEventTypeIcon(type)}
-                      size={20}
-                      color={eventType === type ? '#48b6b0' : '#666'}
-                      style={styles.eventTypeIcon}
-                    />
-                    <Text
-                      style={[
-                        styles.eventTypeText,
-                        eventType === type && styles.selectedEventTypeText,
-                      ]}
-                    >
-                      {type}
-                    </Text>
-                  </TouchableOpacity>
-                )
-              )}
+                    {type.name}
+                  </Text>
+                </TouchableOpacity>
+              ))}
             </ScrollView>
           </View>
 
@@ -865,6 +899,21 @@ export default function AddEventModal({
                     </TouchableOpacity>
                   </View>
                 </View>
+
+                <TouchableOpacity
+                  style={styles.timeZoneButton}
+                  onPress={() => setShowTimeZonePicker(true)}
+                  accessibilityRole="button"
+                  accessibilityLabel={`Time zone: ${getTimeZoneLabel(timeZone)}`}
+                  accessibilityHint="Tap to change the time zone of this event"
+                >
+                  <Ionicons name='globe-outline' size={18} color='#48b6b0' />
+                  <Text style={styles.timeZoneText}>{getTimeZoneLabel(timeZone)}</Text>
+                  <Text style={styles.timeZoneOffsetText}>
+                    {formatUtcOffset(getTimeZoneOffsetMinutes(startDate, timeZone))}
+                  </Text>
+                  <Ionicons name='chevron-forward' size={18} color='#ccc' />
+                </TouchableOpacity>
               </View>
             )}
             </View>
@@ -930,6 +979,18 @@ export default function AddEventModal({
             </View>
           )}
 
+          {/* Repeat Section */}
+          {!isMultiDate && (
+            <View style={styles.section}>
+              <RecurrenceSelector
+                recurrence={recurrence}
+                onRecurrenceChange={setRecurrence}
+                startDate={startDate}
+                disabled={loading}
+              />
+            </View>
+          )}
+
           {/* Reminders Section */}
           <View style={styles.section}>
             <View style={styles.switchRow}>
@@ -1079,6 +1140,17 @@ export default function AddEventModal({
           confirmText='OK'
           cancelText='Cancel'
         />
+
+        <TimeZonePickerModal
+          visible={showTimeZonePicker}
+          selectedTimeZone={timeZone}
+          referenceDate={startDate}
+          onSelect={(selectedTimeZone) => {
+            setTimeZone(selectedTimeZone);
+            setShowTimeZonePicker(false);
+          }}
+          onClose={() => setShowTimeZonePicker(false)}
+        />
       </View>
     </Modal>
   );
@@ -1445,4 +1517,22 @@ const styles = StyleSheet.create({
     paddingHorizontal: 16,
     paddingTop: 20, // Offset for the label
   },
+  timeZoneButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+    marginHorizontal: 16,
+    paddingVertical: 8,
+  },
+  timeZoneText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+    marginLeft: 8,
+  },
+  timeZoneOffsetText: {
+    fontSize: 12,
+    color: '#999',
+    marginRight: 4,
+  },
 });
@@ -22,8 +22,11 @@ import * as ImagePicker from 'expo-image-picker';
 import * as ImageManipulator from 'expo-image-manipulator';
 import ChildrenDataService from '../services/ChildrenDataService';
 import FamilyTimeService from '../services/FamilyTimeService';
+import ReadingLibraryService from '../services/ReadingLibraryService';
+import ReadingGoalsService from '../services/ReadingGoalsService';
 import ChildFeelingSelector from './ChildFeelingSelector';
 import Base64Image from './Base64Image';
+import useActivityTypes from '../hooks/useActivityTypes';
 // Removed BookDetectionModal - replaced with manual input
 import {
   showErrorAlert,
@@ -31,6 +34,14 @@ import {
   getUserFriendlyErrorMessage,
   validateFormData,
 } from '../utils/errorUtils';
+import {
+  MAX_ACTIVITY_FIELD_VALUE_LENGTH,
+  getActivityTitleLabel,
+  normalizeActivityCustomFields,
+  validateActivityCustomFields,
+} from '../utils/activityTypeUtils';
+import { BOOK_STATUS_LABELS, getBookKey } from '../utils/readingLibraryUtils';
+import { getTimerActivityTimes } from '../utils/familyTimeTimerUtils';
 
 export default function AddFamilyTimeModal({
   visible,
@@ -38,6 +49,7 @@ export default function AddFamilyTimeModal({
   onActivityAdded,
   selectedChildren: initialSelectedChildren = [],
   editingActivity = null,
+  timer = null,
 }) {
   const [children, setChildren] = useState([]);
   const [selectedChildren, setSelectedChildren] = useState([]);
@@ -63,37 +75,20 @@ export default function AddFamilyTimeModal({
   const [bookTitle, setBookTitle] = useState('');
   const [bookAuthor, setBookAuthor] = useState('');
 
-  // Activity type configuration with icons and colors
-  const activityTypes = [
-    {
-      id: 'Reading Time',
-      name: 'Reading Time',
-      icon: 'book-outline',
-      color: '#4CAF50',
-      description: 'Story time and reading activities',
-    },
-    {
-      id: 'Sports',
-      name: 'Sports',
-      icon: 'fitness-outline',
-      color: '#FF9800',
-      description: 'Physical activities and sports',
-    },
-    {
-      id: 'Adventure',
-      name: 'Adventure',
-      icon: 'map-outline',
-      color: '#2196F3',
-      description: 'Outdoor adventures and exploration',
-    },
-    {
-      id: 'Important',
-      name: 'Important',
-      icon: 'star-outline',
-      color: '#F44336',
-      description: 'Special moments and milestones',
-    },
-  ];
+  // Books already on the selected children's shelves
+  const [libraryBooks, setLibraryBooks] = useState([]);
+
+  // Answers to the selected type's own fields, keyed by field id
+  const [customFields, setCustomFields] = useState({});
+
+  // User-defined activity types with icons and colors
+  const {
+    activityTypes,
+    findActivityType,
+    getActivityTypeIcon,
+    getActivityTypeColor,
+  } = useActivityTypes();
+  const selectedTypeDefinition = findActivityType(selectedActivityType);
 
   useEffect(() => {
     if (visible) {
@@ -104,11 +99,19 @@ export default function AddFamilyTimeModal({
   useEffect(() => {
     if (visible) {
       // Only call resetForm after children are loaded or if we don't need children data
-      if (children.length > 0 || !editingActivity) {
+      if (children.length > 0 || (!editingActivity && !timer)) {
         resetForm();
       }
     }
-  }, [visible, editingActivity, children.length]);
+  }, [visible, editingActivity, timer, children.length]);
+
+  useEffect(() => {
+    if (visible && selectedActivityType === 'Reading Time' && selectedChildren.length > 0) {
+      loadLibraryBooks();
+    } else {
+      setLibraryBooks([]);
+    }
+  }, [visible, selectedActivityType, selectedChildren]);
 
   useEffect(() => {
     if (initialSelectedChildren.length > 0) {
@@ -125,6 +128,17 @@ export default function AddFamilyTimeModal({
     }
   };
 
+  const loadLibraryBooks = async () => {
+    try {
+      const books = await ReadingLibraryService.getBooksForChildren(
+        selectedChildren.map((child) => child.id)
+      );
+      setLibraryBooks(books);
+    } catch (error) {
+      console.error('Error loading library books:', error);
+    }
+  };
+
   const resetForm = () => {
     try {
       if (editingActivity) {
@@ -205,6 +219,23 @@ export default function AddFamilyTimeModal({
           setBookTitle('');
           setBookAuthor('');
         }
+
+        setCustomFields(editingActivity.customFields || {});
+      } else if (timer) {
+        // Logging a stopped timer - use its type, children and times
+        setSelectedActivityType(timer.activityType);
+        setSelectedChildren(children.filter((child) => timer.childIds.includes(child.id)));
+        const { startTime: timerStartTime, endTime: timerEndTime } =
+          getTimerActivityTimes(timer);
+        setStartTime(timerStartTime);
+        setEndTime(timerEndTime);
+        setLocation('');
+        setRemarks('');
+        setPhotos([]);
+        setChildrenFeelings({});
+        setBookTitle('');
+        setBookAuthor('');
+        setCustomFields({});
       } else {
         // Reset to default values for new activity
         setSelectedActivityType(null);
@@ -221,6 +252,7 @@ export default function AddFamilyTimeModal({
         setChildrenFeelings({});
         setBookTitle('');
         setBookAuthor('');
+        setCustomFields({});
       }
 
       // Always reset these UI states
@@ -241,6 +273,7 @@ export default function AddFamilyTimeModal({
       setChildrenFeelings({});
       setBookTitle('');
       setBookAuthor('');
+      setCustomFields({});
       setValidationErrors({});
       setShowStartTimePicker(false);
       setShowEndTimePicker(false);
@@ -343,6 +376,15 @@ export default function AddFamilyTimeModal({
       errors.photos = 'Cannot add more than 10 photos';
     }
 
+    // Validate answers to the type's own fields
+    const customFieldErrors = validateActivityCustomFields(
+      customFields,
+      selectedTypeDefinition
+    );
+    if (customFieldErrors.length > 0) {
+      errors.customFields = customFieldErrors.join('\n');
+    }
+
     // For Reading Time activities, encourage book info but don't require it
     if (selectedActivityType === 'Reading Time' && !bookTitle && !bookAuthor) {
       console.log(
@@ -711,6 +753,14 @@ export default function AddFamilyTimeModal({
     return bookTitle.trim() !== '' || bookAuthor.trim() !== '';
   };
 
+  // Fill in the book from the shelf instead of typing or scanning it again
+  const selectLibraryBook = (book) => {
+    setBookTitle(book.title);
+    setBookAuthor(book.author || '');
+  };
+
+  const selectedBookKey = getBookKey(bookTitle, bookAuthor);
+
   const handleNext = async () => {
     // Validate form data
     if (!validateForm()) {
@@ -757,15 +807,23 @@ export default function AddFamilyTimeModal({
           remarks: remarks.trim(),
           photos: photos.map((photo) => photo.uri), // Store only URIs for persistence
           participants: participants,
+          customFields: normalizeActivityCustomFields(
+            customFields,
+            selectedTypeDefinition
+          ),
         };
 
         // Add book information for Reading Time activities
         if (selectedActivityType === 'Reading Time' && hasBookInfo()) {
+          // Keep the cover of a book that is already on the shelf
+          const libraryBook = libraryBooks.find(
+            (book) => book.key === selectedBookKey
+          );
           activityData.bookInfo = {
             title: bookTitle.trim(),
             author: bookAuthor.trim(),
             detectedByAI: false, // Manual input
-            coverImageUri: '',
+            coverImageUri: libraryBook?.coverImageUri || '',
             confidence: 100, // Manual input is 100% confident
           };
         }
@@ -799,6 +857,9 @@ export default function AddFamilyTimeModal({
     setLoading(false);
 
     if (result.success && result.data) {
+      // Today's reading may now meet a daily goal, so update the evening nudges
+      ReadingGoalsService.refreshReadingNudges();
+
       // Show success feedback
       Alert.alert(
         'Success!',
@@ -855,17 +916,22 @@ export default function AddFamilyTimeModal({
             childNames[childNames.length - 1]
           }`;
 
-    switch (activityType) {
-      case 'Reading Time':
-        return `Reading Time with ${childrenText}`;
-      case 'Sports':
-        return `Sports Activity with ${childrenText}`;
-      case 'Adventure':
-        return `Adventure with ${childrenText}`;
-      case 'Important':
-        return `Special Moment with ${childrenText}`;
-      default:
-        return `Family Time with ${childrenText}`;
+    return `${getActivityTitleLabel(
+      activityType,
+      activityTypes
+    )} with ${childrenText}`;
+  };
+
+  const handleCustomFieldChange = (fieldId, value) => {
+    setCustomFields((prev) => ({
+      ...prev,
+      [fieldId]: value,
+    }));
+    if (validationErrors.customFields) {
+      setValidationErrors((prev) => ({
+        ...prev,
+        customFields: undefined,
+      }));
     }
   };
 
@@ -991,7 +1057,7 @@ export default function AddFamilyTimeModal({
 
             <View style={styles.activityTypeGrid}>
               {activityTypes.map((activityType) => {
-                const isSelected = selectedActivityType === activityType.id;
+                const isSelected = selectedActivityType === activityType.name;
                 return (
                   <TouchableOpacity
                     key={activityType.id}
@@ -1002,7 +1068,7 @@ export default function AddFamilyTimeModal({
                       validationErrors.activityType && styles.errorBorder,
                     ]}
                     onPress={() => {
-                      setSelectedActivityType(activityType.id);
+                      setSelectedActivityType(activityType.name);
                       // Clear activity type validation error
                       if (validationErrors.activityType) {
                         setValidationErrors((prev) => ({
@@ -1036,9 +1102,11 @@ export default function AddFamilyTimeModal({
                     >
                       {activityType.name}
                     </Text>
-                    <Text style={styles.activityTypeDescription}>
-                      {activityType.description}
-                    </Text>
+                    {!!activityType.description && (
+                      <Text style={styles.activityTypeDescription}>
+                        {activityType.description}
+                      </Text>
+                    )}
                     {isSelected && (
                       <View
                         style={[
@@ -1324,9 +1392,62 @@ export default function AddFamilyTimeModal({
                     </Text>
                   </View>
                   <Text style={styles.fieldSubtitle}>
-                    Add details about the book you read together
+                    {libraryBooks.length > 0
+                      ? 'Pick a book from the shelf or add a new one'
+                      : 'Add details about the book you read together'}
                   </Text>
 
+                  {/* Books already on the children's shelves */}
+                  {libraryBooks.length > 0 && (
+                    <ScrollView
+                      horizontal
+                      showsHorizontalScrollIndicator={false}
+                      style={styles.libraryBookList}
+                    >
+                      {libraryBooks.map((book) => {
+                        const isSelected = book.key === selectedBookKey;
+                        return (
+                          <TouchableOpacity
+                            key={book.key}
+                            style={[
+                              styles.libraryBookOption,
+                              isSelected && styles.selectedLibraryBookOption,
+                            ]}
+                            onPress={() => selectLibraryBook(book)}
+                          >
+                            <Ionicons
+                              name={isSelected ? 'book' : 'book-outline'}
+                              size={18}
+                              color={isSelected ? 'white' : '#4CAF50'}
+                            />
+                            <View style={styles.libraryBookText}>
+                              <Text
+                                style={[
+                                  styles.libraryBookTitle,
+                                  isSelected && styles.selectedLibraryBookText,
+                                ]}
+                                numberOfLines={1}
+                              >
+                                {book.title}
+                              </Text>
+                              <Text
+                                style={[
+                                  styles.libraryBookStatus,
+                                  isSelected && styles.selectedLibraryBookText,
+                                ]}
+                                numberOfLines={1}
+                              >
+                                {BOOK_STATUS_LABELS[book.status]} ·{' '}
+                                {book.sessionCount} session
+                                {book.sessionCount === 1 ? '' : 's'}
+                              </Text>
+                            </View>
+                          </TouchableOpacity>
+                        );
+                      })}
+                    </ScrollView>
+                  )}
+
                   {/* Book Title Input */}
                   <View style={styles.inputContainer}>
                     <Ionicons name='library-outline' size={20} color='#666' />
@@ -1375,6 +1496,57 @@ export default function AddFamilyTimeModal({
                   )}
                 </View>
               )}
+
+              {/* Type-specific fields defined in Settings */}
+              {selectedTypeDefinition?.fields?.length > 0 && (
+                <View style={styles.formGroup}>
+                  <Text style={styles.fieldLabel}>
+                    {selectedTypeDefinition.name} Details (Optional)
+                  </Text>
+                  {selectedTypeDefinition.fields.map((field) => (
+                    <View key={field.id} style={styles.customFieldGroup}>
+                      <Text style={styles.timeLabel}>{field.label}</Text>
+                      <View
+                        style={[
+                          styles.inputContainer,
+                          validationErrors.customFields && styles.errorInput,
+                        ]}
+                      >
+                        <Ionicons
+                          name={
+                            field.kind === 'number'
+                              ? 'calculator-outline'
+                              : 'create-outline'
+                          }
+                          size={20}
+                          color='#666'
+                        />
+                        <TextInput
+                          style={styles.textInput}
+                          placeholder={field.label}
+                          value={
+                            customFields[field.id] !== undefined
+                              ? String(customFields[field.id])
+                              : ''
+                          }
+                          onChangeText={(value) =>
+                            handleCustomFieldChange(field.id, value)
+                          }
+                          keyboardType={
+                            field.kind === 'number' ? 'decimal-pad' : 'default'
+                          }
+                          maxLength={MAX_ACTIVITY_FIELD_VALUE_LENGTH}
+                        />
+                      </View>
+                    </View>
+                  ))}
+                  {validationErrors.customFields && (
+                    <Text style={styles.errorText}>
+                      {validationErrors.customFields}
+                    </Text>
+                  )}
+                </View>
+              )}
             </View>
           )}
 
@@ -1408,15 +1580,9 @@ export default function AddFamilyTimeModal({
               {selectedActivityType && (
                 <View style={styles.summaryRow}>
                   <Ionicons
-                    name={
-                      activityTypes.find((t) => t.id === selectedActivityType)
-                        ?.icon
-                    }
+                    name={getActivityTypeIcon(selectedActivityType)}
                     size={20}
-                    color={
-                      activityTypes.find((t) => t.id === selectedActivityType)
-                        ?.color
-                    }
+                    color={getActivityTypeColor(selectedActivityType)}
                   />
                   <Text style={styles.summaryText}>
                     Activity type: {selectedActivityType}
@@ -1731,6 +1897,9 @@ const styles = StyleSheet.create({
     minHeight: 60,
     textAlignVertical: 'top',
   },
+  customFieldGroup: {
+    marginBottom: 12,
+  },
   characterCount: {
     alignItems: 'flex-end',
     marginTop: 4,
@@ -1863,6 +2032,40 @@ const styles = StyleSheet.create({
     gap: 8,
     marginBottom: 4,
   },
+  libraryBookList: {
+    marginBottom: 12,
+  },
+  libraryBookOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    maxWidth: 200,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    marginRight: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+    backgroundColor: '#f0f8f0',
+  },
+  selectedLibraryBookOption: {
+    backgroundColor: '#4CAF50',
+  },
+  libraryBookText: {
+    marginLeft: 8,
+    flexShrink: 1,
+  },
+  libraryBookTitle: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#333',
+  },
+  libraryBookStatus: {
+    fontSize: 11,
+    color: '#666',
+  },
+  selectedLibraryBookText: {
+    color: 'white',
+  },
   fieldSubtitle: {
     fontSize: 14,
     color: '#666',
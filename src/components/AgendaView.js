@@ -0,0 +1,549 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SectionList,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import CalendarEventsService from '../services/CalendarEventsService';
+import BirthdayService from '../services/BirthdayService';
+import {
+  formatLocalDateString,
+  parseLocalDateString,
+  isToday as isDateToday,
+} from '../utils/dateUtils';
+import { addDaysToDateString, isRecurringOccurrence } from '../utils/recurrenceUtils';
+import useEventTypes from '../hooks/useEventTypes';
+import { getChecklistProgress } from '../utils/checklistUtils';
+import { getEventTimeZoneHint } from '../utils/timeZoneUtils';
+
+// Number of days fetched per page when scrolling forwards or backwards
+const PAGE_DAYS = 14;
+
+// Stop loading automatically after this many empty pages in a row
+const MAX_EMPTY_PAGES = 6;
+
+// Get the first and last local dates (YYYY-MM-DD) an event covers
+const getEventDateSpan = (event) => {
+  if (event.isAllDay) {
+    return {
+      start: event.startDate,
+      end: event.endDate || event.startDate,
+    };
+  }
+  return {
+    start: formatLocalDateString(new Date(event.startDateTime)),
+    end: formatLocalDateString(new Date(event.endDateTime || event.startDateTime)),
+  };
+};
+
+// Group events by day, listing multi-day events under each day they cover
+const buildAgendaSections = (events, rangeStartString, rangeEndString) => {
+  const eventsByDate = new Map();
+
+  events.forEach((event) => {
+    const span = getEventDateSpan(event);
+    if (!span.start) return;
+
+    let dateString = span.start > rangeStartString ? span.start : rangeStartString;
+    const lastDateString = span.end < rangeEndString ? span.end : rangeEndString;
+    while (dateString <= lastDateString) {
+      if (!eventsByDate.has(dateString)) {
+        eventsByDate.set(dateString, []);
+      }
+      eventsByDate.get(dateString).push(event);
+      dateString = addDaysToDateString(dateString, 1);
+    }
+  });
+
+  return Array.from(eventsByDate.keys())
+    .sort()
+    .map((dateString) => ({
+      dateString,
+      data: eventsByDate.get(dateString).sort((a, b) => {
+        // All-day events first, then by start time
+        if (a.isAllDay !== b.isAllDay) return a.isAllDay ? -1 : 1;
+        if (a.isAllDay) return (a.title || '').localeCompare(b.title || '');
+        return new Date(a.startDateTime) - new Date(b.startDateTime);
+      }),
+    }));
+};
+
+export default function AgendaView({ onEventPress, refreshKey, todayRequest }) {
+  const { getEventTypeIcon, getEventTypeColor } = useEventTypes();
+  const [rangeStartString, setRangeStartString] = useState(() => formatLocalDateString(new Date()));
+  const [rangeEndString, setRangeEndString] = useState(() =>
+    addDaysToDateString(formatLocalDateString(new Date()), PAGE_DAYS - 1)
+  );
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadingLater, setLoadingLater] = useState(false);
+  const [loadingEarlier, setLoadingEarlier] = useState(false);
+  const [emptyPagesInRow, setEmptyPagesInRow] = useState(0);
+
+  const mergeEvents = (existingEvents, newEvents) => {
+    const eventsById = new Map(existingEvents.map((event) => [event.id, event]));
+    newEvents.forEach((event) => eventsById.set(event.id, event));
+    return Array.from(eventsById.values());
+  };
+
+  const loadRange = useCallback(async (startString, endString) => {
+    const [rangeEvents, birthdayEvents] = await Promise.all([
+      CalendarEventsService.getEventsInRange(
+        parseLocalDateString(startString),
+        parseLocalDateString(endString)
+      ),
+      BirthdayService.getBirthdayEventsInRange(startString, endString),
+    ]);
+    return [...rangeEvents, ...birthdayEvents];
+  }, []);
+
+  // Reload everything currently shown, e.g. after an event was added or edited
+  const reloadCurrentRange = useCallback(async () => {
+    try {
+      const rangeEvents = await loadRange(rangeStartString, rangeEndString);
+      setEvents(rangeEvents);
+    } catch (error) {
+      console.error('Error loading agenda events:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [loadRange, rangeStartString, rangeEndString]);
+
+  useEffect(() => {
+    reloadCurrentRange();
+  }, [refreshKey]);
+
+  const jumpToToday = useCallback(async () => {
+    const todayString = formatLocalDateString(new Date());
+    const endString = addDaysToDateString(todayString, PAGE_DAYS - 1);
+
+    try {
+      // The list remounts after loading, so it starts scrolled to today
+      setLoading(true);
+      const rangeEvents = await loadRange(todayString, endString);
+      setRangeStartString(todayString);
+      setRangeEndString(endString);
+      setEvents(rangeEvents);
+      setEmptyPagesInRow(0);
+    } catch (error) {
+      console.error('Error jumping to today in agenda:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [loadRange]);
+
+  useEffect(() => {
+    if (todayRequest) {
+      jumpToToday();
+    }
+  }, [todayRequest]);
+
+  const loadLater = async () => {
+    if (loadingLater || loading) return;
+
+    const startString = addDaysToDateString(rangeEndString, 1);
+    const endString = addDaysToDateString(rangeEndString, PAGE_DAYS);
+
+    try {
+      setLoadingLater(true);
+      const pageEvents = await loadRange(startString, endString);
+      setEvents((prev) => mergeEvents(prev, pageEvents));
+      setRangeEndString(endString);
+      setEmptyPagesInRow((prev) => (pageEvents.length === 0 ? prev + 1 : 0));
+    } catch (error) {
+      console.error('Error loading later agenda events:', error);
+    } finally {
+      setLoadingLater(false);
+    }
+  };
+
+  const loadEarlier = async () => {
+    if (loadingEarlier || loading) return;
+
+    const startString = addDaysToDateString(rangeStartString, -PAGE_DAYS);
+    const endString = addDaysToDateString(rangeStartString, -1);
+
+    try {
+      setLoadingEarlier(true);
+      const pageEvents = await loadRange(startString, endString);
+      setEvents((prev) => mergeEvents(pageEvents, prev));
+      setRangeStartString(startString);
+    } catch (error) {
+      console.error('Error loading earlier agenda events:', error);
+    } finally {
+      setLoadingEarlier(false);
+    }
+  };
+
+  const handleEndReached = () => {
+    // Avoid paging forever through empty months; the footer offers a manual load instead
+    if (emptyPagesInRow < MAX_EMPTY_PAGES) {
+      loadLater();
+    }
+  };
+
+  const sections = useMemo(
+    () => buildAgendaSections(events, rangeStartString, rangeEndString),
+    [events, rangeStartString, rangeEndString]
+  );
+
+  const formatSectionDate = (dateString) => {
+    const date = parseLocalDateString(dateString);
+    const todayString = formatLocalDateString(new Date());
+    const label = date.toLocaleDateString('en-US', {
+      weekday: 'long',
+      month: 'short',
+      day: 'numeric',
+    });
+
+    if (dateString === todayString) return `Today · ${label}`;
+    if (dateString === addDaysToDateString(todayString, 1)) return `Tomorrow · ${label}`;
+    if (dateString === addDaysToDateString(todayString, -1)) return `Yesterday · ${label}`;
+    return label;
+  };
+
+  const formatEventTime = (event, dateString) => {
+    if (event.isAllDay) {
+      return 'All day';
+    }
+
+    const span = getEventDateSpan(event);
+    const formatTime = (value) =>
+      new Date(value).toLocaleTimeString('en-US', {
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true,
+      });
+
+    // Events that run over several days show where this day falls in them
+    if (span.start !== span.end) {
+      if (dateString === span.start) return `From ${formatTime(event.startDateTime)}`;
+      if (dateString === span.end) return `Until ${formatTime(event.endDateTime)}`;
+      return 'All day';
+    }
+
+    // Events entered in another zone also show their start time there
+    const timeText = `${formatTime(event.startDateTime)} - ${formatTime(event.endDateTime)}`;
+    const zoneHint = getEventTimeZoneHint(event);
+    return zoneHint ? `${timeText} (${zoneHint})` : timeText;
+  };
+
+  const renderSectionHeader = ({ section }) => {
+    const isTodaySection = isDateToday(parseLocalDateString(section.dateString));
+    return (
+      <View style={[styles.sectionHeader, isTodaySection && styles.todaySectionHeader]}>
+        <Text style={[styles.sectionHeaderText, isTodaySection && styles.todaySectionHeaderText]}>
+          {formatSectionDate(section.dateString)}
+        </Text>
+      </View>
+    );
+  };
+
+  const renderItem = ({ item, section }) => {
+    const eventChildren = CalendarEventsService.getEventChildren(item);
+    const primaryColor = eventChildren.length > 0 ? eventChildren[0].color : '#999999';
+    const reminderCount = item.remindersEnabled && Array.isArray(item.reminders) ? item.reminders.length : 0;
+    const checklistProgress = getChecklistProgress(item);
+
+    return (
+      <TouchableOpacity
+        style={styles.eventRow}
+        onPress={() => onEventPress && onEventPress(item)}
+        activeOpacity={0.7}
+      >
+        <View style={[styles.eventColorBar, { backgroundColor: primaryColor }]} />
+        <View style={styles.eventTimeColumn}>
+          <Text style={styles.eventTimeText} numberOfLines={2}>
+            {formatEventTime(item, section.dateString)}
+          </Text>
+        </View>
+        <View style={styles.eventDetails}>
+          <View style={styles.eventTitleRow}>
+            <Ionicons
+              name={getEventTypeIcon(item.eventType)}
+              size={14}
+              color={getEventTypeColor(item.eventType)}
+            />
+            <Text style={styles.eventTitle} numberOfLines={1}>
+              {item.title || 'Untitled Event'}
+            </Text>
+            {isRecurringOccurrence(item) && (
+              <Ionicons name='repeat' size={14} color='#48b6b0' style={styles.eventTitleIcon} />
+            )}
+            {reminderCount > 0 && (
+              <View style={styles.reminderBadge}>
+                <Ionicons name='notifications' size={10} color='#48b6b0' />
+                <Text style={styles.reminderBadgeText}>{reminderCount}</Text>
+              </View>
+            )}
+            {checklistProgress.total > 0 && (
+              <View style={styles.reminderBadge}>
+                <Ionicons name='checkbox-outline' size={10} color='#48b6b0' />
+                <Text style={styles.reminderBadgeText}>
+                  {checklistProgress.done}/{checklistProgress.total}
+                </Text>
+              </View>
+            )}
+          </View>
+          {eventChildren.length > 0 && (
+            <View style={styles.childChips}>
+              {eventChildren.map((child) => (
+                <View
+                  key={child.id}
+                  style={[styles.childChip, { backgroundColor: `${child.color}22`, borderColor: child.color }]}
+                >
+                  <View style={[styles.childChipDot, { backgroundColor: child.color }]} />
+                  <Text style={styles.childChipText} numberOfLines={1}>
+                    {child.name}
+                  </Text>
+                </View>
+              ))}
+            </View>
+          )}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderListHeader = () => (
+    <View style={styles.listHeader}>
+      <TouchableOpacity
+        style={styles.earlierButton}
+        onPress={loadEarlier}
+        disabled={loadingEarlier}
+      >
+        {loadingEarlier ? (
+          <ActivityIndicator size='small' color='#48b6b0' />
+        ) : (
+          <>
+            <Ionicons name='chevron-up' size={16} color='#48b6b0' />
+            <Text style={styles.earlierButtonText}>Show earlier events</Text>
+          </>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderListFooter = () => {
+    if (loadingLater) {
+      return (
+        <View style={styles.listFooter}>
+          <ActivityIndicator size='small' color='#48b6b0' />
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.listFooter}>
+        <Text style={styles.footerText}>
+          Showing events until{' '}
+          {parseLocalDateString(rangeEndString).toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+          })}
+        </Text>
+        {emptyPagesInRow >= MAX_EMPTY_PAGES && (
+          <TouchableOpacity style={styles.laterButton} onPress={loadLater}>
+            <Text style={styles.laterButtonText}>Load more</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  const renderEmptyState = () => (
+    <View style={styles.emptyState}>
+      <Ionicons name='calendar-outline' size={48} color='#ccc' />
+      <Text style={styles.emptyStateText}>No upcoming events</Text>
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size='large' color='#48b6b0' />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <SectionList
+        sections={sections}
+        keyExtractor={(item, index) => `${item.id}_${index}`}
+        renderItem={renderItem}
+        renderSectionHeader={renderSectionHeader}
+        stickySectionHeadersEnabled={true}
+        ListHeaderComponent={renderListHeader}
+        ListFooterComponent={renderListFooter}
+        ListEmptyComponent={renderEmptyState}
+        onEndReached={handleEndReached}
+        onEndReachedThreshold={0.5}
+        showsVerticalScrollIndicator={false}
+        initialNumToRender={15}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: 'white',
+    margin: 5,
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  sectionHeader: {
+    backgroundColor: '#f8f9fa',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  todaySectionHeader: {
+    backgroundColor: '#e8f6f5',
+  },
+  sectionHeaderText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+  },
+  todaySectionHeaderText: {
+    color: '#48b6b0',
+  },
+  eventRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingRight: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  eventColorBar: {
+    width: 4,
+    alignSelf: 'stretch',
+    borderRadius: 2,
+    marginLeft: 8,
+    marginRight: 10,
+  },
+  eventTimeColumn: {
+    width: 72,
+    marginRight: 8,
+  },
+  eventTimeText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  eventDetails: {
+    flex: 1,
+  },
+  eventTitleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  eventTitle: {
+    flexShrink: 1,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+    marginLeft: 6,
+  },
+  eventTitleIcon: {
+    marginLeft: 6,
+  },
+  reminderBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#E3F2FD',
+    borderRadius: 8,
+    paddingHorizontal: 5,
+    paddingVertical: 2,
+    marginLeft: 6,
+  },
+  reminderBadgeText: {
+    fontSize: 10,
+    color: '#48b6b0',
+    fontWeight: '600',
+    marginLeft: 2,
+  },
+  childChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 6,
+    gap: 6,
+  },
+  childChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 10,
+    borderWidth: 1,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    maxWidth: 140,
+  },
+  childChipDot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    marginRight: 4,
+  },
+  childChipText: {
+    fontSize: 11,
+    color: '#333',
+  },
+  listHeader: {
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  earlierButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    minHeight: 28,
+  },
+  earlierButtonText: {
+    fontSize: 13,
+    color: '#48b6b0',
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  listFooter: {
+    alignItems: 'center',
+    paddingVertical: 16,
+  },
+  footerText: {
+    fontSize: 12,
+    color: '#999',
+  },
+  laterButton: {
+    marginTop: 8,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: '#48b6b0',
+  },
+  laterButtonText: {
+    fontSize: 13,
+    color: 'white',
+    fontWeight: '600',
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 40,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: '#999',
+    marginTop: 10,
+  },
+});
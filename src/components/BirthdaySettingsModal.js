@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  Switch,
+  Alert,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import BirthdayService from '../services/BirthdayService';
+import {
+  BIRTHDAY_REMINDER_OPTIONS,
+  DEFAULT_BIRTHDAY_SETTINGS,
+} from '../utils/birthdayUtils';
+
+export default function BirthdaySettingsModal({ visible, onClose }) {
+  const [settings, setSettings] = useState(DEFAULT_BIRTHDAY_SETTINGS);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      BirthdayService.getSettings().then(setSettings);
+    }
+  }, [visible]);
+
+  const toggleReminder = (reminderId) => {
+    setSettings((prev) => ({
+      ...prev,
+      reminders: prev.reminders.includes(reminderId)
+        ? prev.reminders.filter((id) => id !== reminderId)
+        : [...prev.reminders, reminderId],
+    }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const saved = await BirthdayService.saveSettings(settings);
+      if (!saved) {
+        Alert.alert('Error', 'Failed to save birthday settings. Please try again.');
+        return;
+      }
+      onClose();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType='slide'
+      presentationStyle='pageSheet'
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} disabled={saving}>
+            <Text style={styles.cancelButton}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Birthdays</Text>
+          <TouchableOpacity onPress={handleSave} disabled={saving}>
+            <Text style={[styles.saveButton, saving && styles.disabledButton]}>
+              {saving ? 'Saving...' : 'Save'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+          <View style={styles.section}>
+            <View style={styles.switchRow}>
+              <Text style={styles.sectionTitle}>Show birthdays in the calendar</Text>
+              <Switch
+                value={settings.enabled}
+                onValueChange={(enabled) => setSettings((prev) => ({ ...prev, enabled }))}
+                trackColor={{ false: '#767577', true: '#81b0ff' }}
+                thumbColor={settings.enabled ? '#48b6b0' : '#f4f3f4'}
+              />
+            </View>
+            <Text style={styles.hintText}>
+              Birthdays are added automatically from each child's date of birth in Manage Children.
+            </Text>
+          </View>
+
+          {settings.enabled && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Reminders</Text>
+              {BIRTHDAY_REMINDER_OPTIONS.map((option) => {
+                const selected = settings.reminders.includes(option.id);
+                return (
+                  <TouchableOpacity
+                    key={option.id}
+                    style={styles.reminderRow}
+                    onPress={() => toggleReminder(option.id)}
+                    accessibilityRole='checkbox'
+                    accessibilityState={{ checked: selected }}
+                  >
+                    <Text style={styles.reminderLabel}>{option.label}</Text>
+                    <Ionicons
+                      name={selected ? 'checkbox' : 'square-outline'}
+                      size={22}
+                      color={selected ? '#48b6b0' : '#999'}
+                    />
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          )}
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    paddingTop: Platform.OS === 'ios' ? 50 : 20,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  cancelButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+  },
+  saveButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  disabledButton: {
+    color: '#ccc',
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: 'white',
+    marginVertical: 8,
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 8,
+  },
+  reminderRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  reminderLabel: {
+    fontSize: 16,
+    color: '#333',
+  },
+});
@@ -14,6 +14,8 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import TextractService from '../services/TextractService';
+import BookMetadataService from '../services/BookMetadataService';
+import { formatIsbn } from '../utils/isbnUtils';
 import { 
   showErrorAlert, 
   withErrorHandling, 
@@ -72,8 +74,7 @@ export default function BookDetectionModal({
         setLoading(true);
         setDetectionError(null);
 
-        const textractService = new TextractService();
-        const detectionResult = await textractService.detectBookInformation(imageUri);
+        const detectionResult = await TextractService.detectBookInformation(imageUri);
         
         console.log('=== BOOK DETECTION MODAL: Detection result ===');
         console.log('Result:', detectionResult);
@@ -162,7 +163,7 @@ export default function BookDetectionModal({
     return validation.isValid;
   };
 
-  const handleConfirm = () => {
+  const handleConfirm = async () => {
     if (!validateForm()) {
       Alert.alert('Validation Error', 'Please fix the errors before continuing.');
       return;
@@ -177,6 +178,13 @@ export default function BookDetectionModal({
       detectionTimestamp: new Date().toISOString(),
     };
 
+    const isbn = detectionResult?.bookInfo?.isbn;
+    if (isbn) {
+      bookInfo.isbn = isbn;
+      // Remember the confirmed details so the next scan recognises the book
+      await BookMetadataService.rememberBook(isbn, bookInfo);
+    }
+
     console.log('=== BOOK DETECTION MODAL: Confirming book info ===');
     console.log('Book info:', bookInfo);
 
@@ -268,7 +276,9 @@ export default function BookDetectionModal({
                   <Text style={styles.successTitle}>Book Information Detected!</Text>
                 </View>
                 <Text style={styles.successSubtext}>
-                  AI successfully identified book information from the cover
+                  {detectionResult.bookInfo?.detectionMethod === 'isbn'
+                    ? `Recognised from ISBN ${formatIsbn(detectionResult.bookInfo.isbn)}`
+                    : 'AI successfully identified book information from the cover'}
                 </Text>
                 {detectionResult.confidence && (
                   <Text style={styles.confidenceText}>
@@ -0,0 +1,385 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  Switch,
+  Alert,
+  Share,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as FileSystem from 'expo-file-system';
+import DateTimePickerModal from './DateTimePickerModal';
+import CalendarEventsService from '../services/CalendarEventsService';
+import ChildrenDataService from '../services/ChildrenDataService';
+import { getICSFileName } from '../utils/icsUtils';
+import useEventTypes from '../hooks/useEventTypes';
+
+export default function CalendarExportModal({ visible, onClose }) {
+  const [children, setChildren] = useState([]);
+  const { eventTypes } = useEventTypes();
+  const [loading, setLoading] = useState(false);
+  const [selectedChildId, setSelectedChildId] = useState(null);
+  const [selectedEventType, setSelectedEventType] = useState(null);
+  const [useDateRange, setUseDateRange] = useState(false);
+  const [startDate, setStartDate] = useState(() => new Date());
+  const [endDate, setEndDate] = useState(() => {
+    const date = new Date();
+    date.setMonth(date.getMonth() + 3);
+    return date;
+  });
+  const [showStartDatePicker, setShowStartDatePicker] = useState(false);
+  const [showEndDatePicker, setShowEndDatePicker] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      loadChildren();
+    }
+  }, [visible]);
+
+  const loadChildren = async () => {
+    try {
+      const storedChildren = await ChildrenDataService.getChildren();
+      setChildren(storedChildren);
+    } catch (error) {
+      console.error('Error loading children:', error);
+    }
+  };
+
+  const getChildDisplayName = (child) => {
+    return child.nickname || child.firstName || child.name;
+  };
+
+  const formatDate = (date) => {
+    return date.toLocaleDateString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    });
+  };
+
+  const handleStartDateConfirm = (selectedDate) => {
+    setShowStartDatePicker(false);
+    setStartDate(selectedDate);
+    if (selectedDate > endDate) {
+      setEndDate(selectedDate);
+    }
+  };
+
+  const handleEndDateConfirm = (selectedDate) => {
+    setShowEndDatePicker(false);
+    setEndDate(selectedDate);
+  };
+
+  const handleExport = async () => {
+    try {
+      setLoading(true);
+
+      const selectedChild = children.find((child) => child.id === selectedChildId);
+      const filters = {
+        childId: selectedChildId || undefined,
+        eventType: selectedEventType || undefined,
+        startDate: useDateRange ? startDate : undefined,
+        endDate: useDateRange ? endDate : undefined,
+      };
+      const calendarName = selectedChild
+        ? `${getChildDisplayName(selectedChild)}'s Calendar`
+        : 'Family Calendar';
+
+      const result = await CalendarEventsService.exportEventsToICS(filters, { calendarName });
+      if (!result) {
+        Alert.alert('Error', 'Failed to export events. Please try again.');
+        return;
+      }
+
+      if (result.eventCount === 0) {
+        Alert.alert('No Events', 'There are no events matching these filters.');
+        return;
+      }
+
+      const fileName = getICSFileName(selectedChild ? getChildDisplayName(selectedChild) : '');
+      const fileUri = `${FileSystem.cacheDirectory}${fileName}`;
+      await FileSystem.writeAsStringAsync(fileUri, result.ics, {
+        encoding: FileSystem.EncodingType.UTF8,
+      });
+
+      // iOS can share the file itself; Android's share sheet only accepts text
+      await Share.share(
+        Platform.OS === 'ios'
+          ? { url: fileUri, title: fileName }
+          : { message: result.ics, title: fileName },
+        { dialogTitle: 'Export Calendar', subject: fileName }
+      );
+
+      onClose();
+    } catch (error) {
+      console.error('Error exporting calendar:', error);
+      Alert.alert('Error', 'Failed to export events. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderChip = (key, label, isSelected, onPress, color = '#48b6b0') => (
+    <TouchableOpacity
+      key={key}
+      style={[
+        styles.chip,
+        isSelected && styles.selectedChip,
+        isSelected && { borderColor: color },
+      ]}
+      onPress={onPress}
+      disabled={loading}
+      accessibilityRole="radio"
+      accessibilityState={{ selected: isSelected }}
+    >
+      <Text style={[styles.chipText, isSelected && styles.selectedChipText]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType='slide'
+      presentationStyle='pageSheet'
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.cancelButton}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Export Calendar</Text>
+          <TouchableOpacity onPress={handleExport} disabled={loading}>
+            <Text style={[styles.exportButton, loading && styles.disabledButton]}>
+              {loading ? 'Exporting...' : 'Export'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+          <View style={styles.section}>
+            <View style={styles.infoRow}>
+              <Ionicons name='download-outline' size={20} color='#48b6b0' />
+              <Text style={styles.infoText}>
+                Creates an .ics file you can open in Apple Calendar, Google Calendar or Outlook.
+              </Text>
+            </View>
+          </View>
+
+          {/* Child Filter */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Child</Text>
+            <View style={styles.chipRow}>
+              {renderChip('all', 'All Children', !selectedChildId, () => setSelectedChildId(null))}
+              {children.map((child) =>
+                renderChip(
+                  child.id,
+                  getChildDisplayName(child),
+                  selectedChildId === child.id,
+                  () => setSelectedChildId(child.id),
+                  child.favourColor || '#48b6b0'
+                )
+              )}
+            </View>
+          </View>
+
+          {/* Event Type Filter */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Event Type</Text>
+            <View style={styles.chipRow}>
+              {renderChip('all', 'All Types', !selectedEventType, () => setSelectedEventType(null))}
+              {eventTypes.map((type) =>
+                renderChip(
+                  type.id,
+                  type.name,
+                  selectedEventType === type.name,
+                  () => setSelectedEventType(type.name),
+                  type.color
+                )
+              )}
+            </View>
+          </View>
+
+          {/* Date Range Filter */}
+          <View style={styles.section}>
+            <View style={styles.switchRow}>
+              <Text style={styles.sectionTitle}>Limit to Date Range</Text>
+              <Switch
+                value={useDateRange}
+                onValueChange={setUseDateRange}
+                trackColor={{ false: '#767577', true: '#81b0ff' }}
+                thumbColor={useDateRange ? '#48b6b0' : '#f4f3f4'}
+                disabled={loading}
+              />
+            </View>
+
+            {useDateRange && (
+              <View style={styles.dateRangeContainer}>
+                <Text style={styles.dateLabel}>From</Text>
+                <TouchableOpacity
+                  style={styles.dateTimeButton}
+                  onPress={() => setShowStartDatePicker(true)}
+                  disabled={loading}
+                >
+                  <Ionicons name='calendar-outline' size={20} color='#48b6b0' />
+                  <Text style={styles.dateTimeText}>{formatDate(startDate)}</Text>
+                  <Ionicons name='chevron-forward' size={20} color='#ccc' />
+                </TouchableOpacity>
+
+                <Text style={styles.dateLabel}>To</Text>
+                <TouchableOpacity
+                  style={styles.dateTimeButton}
+                  onPress={() => setShowEndDatePicker(true)}
+                  disabled={loading}
+                >
+                  <Ionicons name='calendar-outline' size={20} color='#48b6b0' />
+                  <Text style={styles.dateTimeText}>{formatDate(endDate)}</Text>
+                  <Ionicons name='chevron-forward' size={20} color='#ccc' />
+                </TouchableOpacity>
+              </View>
+            )}
+          </View>
+        </ScrollView>
+
+        <DateTimePickerModal
+          visible={showStartDatePicker}
+          mode="date"
+          value={startDate}
+          onConfirm={handleStartDateConfirm}
+          onCancel={() => setShowStartDatePicker(false)}
+          title="Export From"
+        />
+
+        <DateTimePickerModal
+          visible={showEndDatePicker}
+          mode="date"
+          value={endDate}
+          onConfirm={handleEndDateConfirm}
+          onCancel={() => setShowEndDatePicker(false)}
+          title="Export To"
+          minimumDate={startDate}
+        />
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    paddingTop: Platform.OS === 'ios' ? 50 : 20,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  cancelButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+  },
+  exportButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  disabledButton: {
+    color: '#ccc',
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: 'white',
+    marginVertical: 8,
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 12,
+  },
+  infoRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  infoText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 12,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 2,
+    borderColor: '#ddd',
+    backgroundColor: '#f9f9f9',
+  },
+  selectedChip: {
+    backgroundColor: '#E3F2FD',
+    borderColor: '#48b6b0',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#666',
+    fontWeight: '500',
+  },
+  selectedChipText: {
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  dateRangeContainer: {
+    marginTop: 4,
+  },
+  dateLabel: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 6,
+    marginTop: 8,
+  },
+  dateTimeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    backgroundColor: '#f9f9f9',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  dateTimeText: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    marginLeft: 12,
+  },
+});
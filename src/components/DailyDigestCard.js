@@ -0,0 +1,143 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  DIGEST_KINDS,
+  formatDigestTime,
+  getDigestTitle,
+  isDigestEmpty,
+} from '../utils/digestUtils';
+
+/**
+ * Preview of a daily digest notification, showing the same content it sends
+ */
+export default function DailyDigestCard({ digest, kind = DIGEST_KINDS.EVENING, settings }) {
+  if (!digest) {
+    return null;
+  }
+
+  const kindSettings = settings?.[kind];
+  const scheduleText = kindSettings?.enabled
+    ? `Sent at ${formatDigestTime(kindSettings.time)}${kind === DIGEST_KINDS.EVENING ? ' the evening before' : ''}`
+    : 'Turn on the daily digest in Settings to get this as a notification';
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.header}>
+        <Ionicons name='newspaper-outline' size={20} color='#48b6b0' />
+        <Text style={styles.title}>{getDigestTitle(digest, kind)}</Text>
+      </View>
+
+      {isDigestEmpty(digest) ? (
+        <Text style={styles.emptyText}>Nothing planned. Enjoy the free time!</Text>
+      ) : (
+        <>
+          {digest.holidays.length > 0 && (
+            <View style={styles.row}>
+              <Ionicons name='sunny' size={16} color='#FFB347' />
+              <Text style={styles.rowText}>
+                {digest.holidays.map((holiday) => holiday.title).join(', ')}
+              </Text>
+            </View>
+          )}
+
+          {digest.groups.map((group) => (
+            <View key={group.childId || 'family'} style={styles.group}>
+              <View style={styles.groupHeader}>
+                <View style={[styles.colorDot, { backgroundColor: group.color }]} />
+                <Text style={styles.groupName}>{group.childName}</Text>
+              </View>
+              {group.events.map((event) => (
+                <Text key={`${event.id}_${event.occurrenceDate || ''}`} style={styles.eventText}>
+                  <Text style={styles.eventTime}>{event.time}</Text> {event.title}
+                </Text>
+              ))}
+            </View>
+          ))}
+
+          {digest.checklistItems.length > 0 && (
+            <View style={styles.group}>
+              <View style={styles.groupHeader}>
+                <Ionicons name='checkbox-outline' size={16} color='#FF9800' />
+                <Text style={styles.groupName}>Still to do</Text>
+              </View>
+              {digest.checklistItems.map((item) => (
+                <Text key={item.id} style={styles.eventText}>
+                  {item.text} <Text style={styles.eventTime}>({item.eventTitle})</Text>
+                </Text>
+              ))}
+            </View>
+          )}
+        </>
+      )}
+
+      <Text style={styles.scheduleText}>{scheduleText}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    padding: 15,
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginLeft: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  rowText: {
+    fontSize: 14,
+    color: '#333',
+    marginLeft: 6,
+  },
+  group: {
+    marginBottom: 8,
+  },
+  groupHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 2,
+  },
+  colorDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+  },
+  groupName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginLeft: 6,
+  },
+  eventText: {
+    fontSize: 14,
+    color: '#333',
+    marginLeft: 16,
+    marginTop: 2,
+  },
+  eventTime: {
+    color: '#666',
+  },
+  scheduleText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+});
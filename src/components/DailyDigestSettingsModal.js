@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  Switch,
+  Alert,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePickerModal from './DateTimePickerModal';
+import DigestService from '../services/DigestService';
+import {
+  DIGEST_KINDS,
+  DEFAULT_DIGEST_SETTINGS,
+  formatDigestTime,
+} from '../utils/digestUtils';
+
+const DIGEST_OPTIONS = [
+  {
+    kind: DIGEST_KINDS.EVENING,
+    title: 'Evening summary',
+    description: "Tomorrow's events for each child, unfinished checklists and holidays",
+  },
+  {
+    kind: DIGEST_KINDS.MORNING,
+    title: 'Morning summary',
+    description: "The same summary for today, first thing in the morning",
+  },
+];
+
+const timeToDate = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date();
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+const dateToTime = (date) =>
+  `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+export default function DailyDigestSettingsModal({ visible, onClose }) {
+  const [settings, setSettings] = useState(DEFAULT_DIGEST_SETTINGS);
+  const [editingTimeKind, setEditingTimeKind] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      DigestService.getSettings().then(setSettings);
+    }
+  }, [visible]);
+
+  const updateKind = (kind, changes) => {
+    setSettings((prev) => ({ ...prev, [kind]: { ...prev[kind], ...changes } }));
+  };
+
+  const handleTimeConfirm = (date) => {
+    updateKind(editingTimeKind, { time: dateToTime(date) });
+    setEditingTimeKind(null);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const saved = await DigestService.saveSettings(settings);
+      if (!saved) {
+        Alert.alert('Error', 'Failed to save daily digest settings. Please try again.');
+        return;
+      }
+      onClose();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType='slide'
+      presentationStyle='pageSheet'
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} disabled={saving}>
+            <Text style={styles.cancelButton}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Daily Digest</Text>
+          <TouchableOpacity onPress={handleSave} disabled={saving}>
+            <Text style={[styles.saveButton, saving && styles.disabledButton]}>
+              {saving ? 'Saving...' : 'Save'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+          {DIGEST_OPTIONS.map((option) => {
+            const kindSettings = settings[option.kind];
+            return (
+              <View key={option.kind} style={styles.section}>
+                <View style={styles.switchRow}>
+                  <Text style={styles.sectionTitle}>{option.title}</Text>
+                  <Switch
+                    value={kindSettings.enabled}
+                    onValueChange={(enabled) => updateKind(option.kind, { enabled })}
+                    trackColor={{ false: '#767577', true: '#81b0ff' }}
+                    thumbColor={kindSettings.enabled ? '#48b6b0' : '#f4f3f4'}
+                  />
+                </View>
+                <Text style={styles.hintText}>{option.description}</Text>
+
+                {kindSettings.enabled && (
+                  <TouchableOpacity
+                    style={styles.timeRow}
+                    onPress={() => setEditingTimeKind(option.kind)}
+                  >
+                    <Text style={styles.timeLabel}>Send at</Text>
+                    <View style={styles.timeValue}>
+                      <Text style={styles.timeText}>{formatDigestTime(kindSettings.time)}</Text>
+                      <Ionicons name='chevron-forward' size={18} color='#999' />
+                    </View>
+                  </TouchableOpacity>
+                )}
+              </View>
+            );
+          })}
+
+          <Text style={styles.footerText}>
+            Days with nothing planned don't get a digest. Event reminders are still sent as set on each event.
+          </Text>
+        </ScrollView>
+
+        <DateTimePickerModal
+          visible={editingTimeKind !== null}
+          mode='time'
+          value={editingTimeKind ? timeToDate(settings[editingTimeKind].time) : new Date()}
+          onConfirm={handleTimeConfirm}
+          onCancel={() => setEditingTimeKind(null)}
+          title='Send Digest At'
+        />
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    paddingTop: Platform.OS === 'ios' ? 50 : 20,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  cancelButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+  },
+  saveButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  disabledButton: {
+    color: '#ccc',
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: 'white',
+    marginVertical: 8,
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 8,
+  },
+  timeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 12,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+  },
+  timeLabel: {
+    fontSize: 16,
+    color: '#333',
+  },
+  timeValue: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  timeText: {
+    fontSize: 16,
+    color: '#48b6b0',
+    marginRight: 4,
+  },
+  footerText: {
+    fontSize: 12,
+    color: '#999',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+  },
+});
@@ -0,0 +1,373 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  Alert,
+  ActivityIndicator,
+  Dimensions,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as ImagePicker from 'expo-image-picker';
+import Base64Image from './Base64Image';
+import {
+  ATTACHMENT_KINDS,
+  MAX_EVENT_ATTACHMENTS,
+  createAttachment,
+  getRemainingAttachmentBudget,
+} from '../utils/attachmentUtils';
+
+const { width: screenWidth } = Dimensions.get('window');
+
+// Calculate thumbnail size outside of StyleSheet
+const THUMBNAIL_SIZE = (screenWidth - 80) / 3; // 3 thumbnails per row inside a section
+
+export default function EventAttachments({
+  attachments,
+  editable = false,
+  onChange,
+  disabled = false,
+}) {
+  const [processing, setProcessing] = useState(false);
+  const [viewerIndex, setViewerIndex] = useState(null);
+
+  const canAddAttachment = attachments.length < MAX_EVENT_ATTACHMENTS;
+  const viewedAttachment = viewerIndex !== null ? attachments[viewerIndex] : null;
+
+  const requestPermission = async (fromCamera) => {
+    const { status } = fromCamera
+      ? await ImagePicker.requestCameraPermissionsAsync()
+      : await ImagePicker.requestMediaLibraryPermissionsAsync();
+
+    if (status !== 'granted') {
+      Alert.alert(
+        'Permissions Required',
+        fromCamera
+          ? 'We need camera permission to attach photos and documents to your events.'
+          : 'We need photo library permission to attach photos to your events.',
+        [{ text: 'OK' }]
+      );
+      return false;
+    }
+    return true;
+  };
+
+  const addAttachments = async (assets, kind) => {
+    try {
+      setProcessing(true);
+
+      let updatedAttachments = attachments;
+      for (const asset of assets) {
+        if (updatedAttachments.length >= MAX_EVENT_ATTACHMENTS) {
+          Alert.alert(
+            'Attachment Limit',
+            `You can add up to ${MAX_EVENT_ATTACHMENTS} attachments per event.`
+          );
+          break;
+        }
+
+        const attachment = await createAttachment(
+          asset.uri,
+          kind,
+          getRemainingAttachmentBudget(updatedAttachments)
+        );
+
+        if (!attachment) {
+          Alert.alert(
+            'Attachment Too Large',
+            'There is not enough space left on this event for another attachment. Remove one and try again.'
+          );
+          break;
+        }
+
+        updatedAttachments = [...updatedAttachments, attachment];
+      }
+
+      if (updatedAttachments !== attachments) {
+        onChange(updatedAttachments);
+      }
+    } catch (error) {
+      console.error('Error adding attachment:', error);
+      Alert.alert('Error', 'Failed to add the attachment. Please try again.');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const addFromCamera = async (kind) => {
+    try {
+      const hasPermission = await requestPermission(true);
+      if (!hasPermission) return;
+
+      const result = await ImagePicker.launchCameraAsync({
+        mediaTypes: ImagePicker.MediaTypeOptions.Images,
+        // Let the user crop a scanned document to the page
+        allowsEditing: kind === ATTACHMENT_KINDS.DOCUMENT,
+        quality: 0.8,
+      });
+
+      if (!result.canceled && result.assets && result.assets.length > 0) {
+        await addAttachments(result.assets, kind);
+      }
+    } catch (error) {
+      console.error('Error taking photo:', error);
+      Alert.alert('Error', 'Failed to take photo. Please try again.');
+    }
+  };
+
+  const addFromGallery = async () => {
+    try {
+      const hasPermission = await requestPermission(false);
+      if (!hasPermission) return;
+
+      const result = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: ImagePicker.MediaTypeOptions.Images,
+        quality: 0.8,
+        allowsMultipleSelection: true,
+        selectionLimit: MAX_EVENT_ATTACHMENTS - attachments.length,
+      });
+
+      if (!result.canceled && result.assets && result.assets.length > 0) {
+        await addAttachments(result.assets, ATTACHMENT_KINDS.PHOTO);
+      }
+    } catch (error) {
+      console.error('Error selecting photo:', error);
+      Alert.alert('Error', 'Failed to select photo. Please try again.');
+    }
+  };
+
+  const showPhotoOptions = () => {
+    Alert.alert('Add Photo', 'Choose how you want to add a photo', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Take Photo', onPress: () => addFromCamera(ATTACHMENT_KINDS.PHOTO) },
+      { text: 'Choose from Gallery', onPress: addFromGallery },
+    ]);
+  };
+
+  const removeAttachment = (attachmentId) => {
+    Alert.alert('Remove Attachment', 'Are you sure you want to remove this attachment?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: () => onChange(attachments.filter((attachment) => attachment.id !== attachmentId)),
+      },
+    ]);
+  };
+
+  const showPreviousAttachment = () => {
+    setViewerIndex((index) => Math.max(0, index - 1));
+  };
+
+  const showNextAttachment = () => {
+    setViewerIndex((index) => Math.min(attachments.length - 1, index + 1));
+  };
+
+  return (
+    <View>
+      <View style={styles.thumbnailGrid}>
+        {attachments.map((attachment, index) => (
+          <View key={attachment.id} style={styles.thumbnailContainer}>
+            <TouchableOpacity
+              onPress={() => setViewerIndex(index)}
+              accessibilityLabel={`Open attachment ${index + 1}`}
+            >
+              <Base64Image
+                source={{ uri: attachment.uri }}
+                style={styles.thumbnail}
+                resizeMode='cover'
+              />
+              {attachment.kind === ATTACHMENT_KINDS.DOCUMENT && (
+                <View style={styles.documentBadge}>
+                  <Ionicons name='document-text' size={12} color='white' />
+                </View>
+              )}
+            </TouchableOpacity>
+            {editable && (
+              <TouchableOpacity
+                style={styles.removeButton}
+                onPress={() => removeAttachment(attachment.id)}
+                disabled={disabled || processing}
+                accessibilityLabel={`Remove attachment ${index + 1}`}
+              >
+                <Ionicons name='close-circle' size={22} color='#FF3B30' />
+              </TouchableOpacity>
+            )}
+          </View>
+        ))}
+
+        {editable && canAddAttachment && processing && (
+          <View style={[styles.thumbnail, styles.addTile]}>
+            <ActivityIndicator color='#48b6b0' />
+          </View>
+        )}
+
+        {editable && canAddAttachment && !processing && (
+          <>
+            <TouchableOpacity
+              style={[styles.thumbnail, styles.addTile]}
+              onPress={showPhotoOptions}
+              disabled={disabled}
+            >
+              <Ionicons name='camera-outline' size={26} color='#48b6b0' />
+              <Text style={styles.addTileText}>Photo</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.thumbnail, styles.addTile]}
+              onPress={() => addFromCamera(ATTACHMENT_KINDS.DOCUMENT)}
+              disabled={disabled}
+            >
+              <Ionicons name='document-text-outline' size={26} color='#48b6b0' />
+              <Text style={styles.addTileText}>Scan Document</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+
+      {editable && (
+        <Text style={styles.hintText}>
+          Photos of permission slips, invitations or tickets. Up to {MAX_EVENT_ATTACHMENTS} per event.
+        </Text>
+      )}
+
+      {/* Full-screen viewer */}
+      <Modal
+        visible={viewedAttachment !== null}
+        animationType='fade'
+        transparent={false}
+        onRequestClose={() => setViewerIndex(null)}
+      >
+        <View style={styles.viewerContainer}>
+          <View style={styles.viewerHeader}>
+            <TouchableOpacity onPress={() => setViewerIndex(null)} accessibilityLabel='Close'>
+              <Ionicons name='close' size={28} color='white' />
+            </TouchableOpacity>
+            <Text style={styles.viewerCounter}>
+              {viewerIndex !== null ? `${viewerIndex + 1} of ${attachments.length}` : ''}
+            </Text>
+            <View style={styles.viewerHeaderSpacer} />
+          </View>
+
+          {viewedAttachment && (
+            <Base64Image
+              key={viewedAttachment.id}
+              source={{ uri: viewedAttachment.uri }}
+              style={styles.viewerImage}
+              resizeMode='contain'
+            />
+          )}
+
+          <View style={styles.viewerControls}>
+            <TouchableOpacity
+              onPress={showPreviousAttachment}
+              disabled={viewerIndex === 0}
+              accessibilityLabel='Previous attachment'
+            >
+              <Ionicons
+                name='chevron-back'
+                size={32}
+                color={viewerIndex === 0 ? '#555' : 'white'}
+              />
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={showNextAttachment}
+              disabled={viewerIndex === attachments.length - 1}
+              accessibilityLabel='Next attachment'
+            >
+              <Ionicons
+                name='chevron-forward'
+                size={32}
+                color={viewerIndex === attachments.length - 1 ? '#555' : 'white'}
+              />
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  thumbnailGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 10,
+  },
+  thumbnailContainer: {
+    position: 'relative',
+  },
+  thumbnail: {
+    width: THUMBNAIL_SIZE,
+    height: THUMBNAIL_SIZE,
+    borderRadius: 8,
+    backgroundColor: '#f0f0f0',
+  },
+  documentBadge: {
+    position: 'absolute',
+    left: 6,
+    bottom: 6,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    borderRadius: 10,
+    padding: 4,
+  },
+  removeButton: {
+    position: 'absolute',
+    top: -8,
+    right: -8,
+    backgroundColor: 'white',
+    borderRadius: 11,
+  },
+  addTile: {
+    borderWidth: 2,
+    borderColor: '#48b6b0',
+    borderStyle: 'dashed',
+    backgroundColor: '#f9f9f9',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  addTileText: {
+    fontSize: 13,
+    color: '#48b6b0',
+    fontWeight: '600',
+    textAlign: 'center',
+    marginTop: 4,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 8,
+  },
+  viewerContainer: {
+    flex: 1,
+    backgroundColor: 'black',
+  },
+  viewerHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: Platform.OS === 'ios' ? 50 : 20,
+    paddingBottom: 10,
+  },
+  viewerCounter: {
+    fontSize: 16,
+    color: 'white',
+  },
+  viewerHeaderSpacer: {
+    width: 28,
+  },
+  viewerImage: {
+    flex: 1,
+    width: '100%',
+  },
+  viewerControls: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingHorizontal: 40,
+    paddingVertical: 20,
+    paddingBottom: Platform.OS === 'ios' ? 40 : 20,
+  },
+});
@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  MAX_CHECKLIST_ITEMS,
+  MAX_CHECKLIST_ITEM_LENGTH,
+  createChecklistItem,
+} from '../utils/checklistUtils';
+
+export default function EventChecklist({
+  items,
+  editable = false,
+  onChange,
+  onToggleItem,
+  disabled = false,
+}) {
+  const [newItemText, setNewItemText] = useState('');
+
+  const doneCount = items.filter((item) => item.done).length;
+  const canAddItem = items.length < MAX_CHECKLIST_ITEMS;
+
+  const handleAddItem = () => {
+    const text = newItemText.trim();
+    if (!text || !canAddItem) return;
+
+    onChange([...items, createChecklistItem(text)]);
+    setNewItemText('');
+  };
+
+  const handleToggle = (item) => {
+    if (editable) {
+      onChange(items.map((existing) =>
+        existing.id === item.id ? { ...existing, done: !existing.done } : existing
+      ));
+    } else if (onToggleItem) {
+      onToggleItem(item.id, !item.done);
+    }
+  };
+
+  const renderCheckbox = (item) => (
+    <TouchableOpacity
+      onPress={() => handleToggle(item)}
+      disabled={disabled}
+      accessibilityRole="checkbox"
+      accessibilityState={{ checked: item.done }}
+      hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+    >
+      <Ionicons
+        name={item.done ? 'checkbox' : 'square-outline'}
+        size={22}
+        color={item.done ? '#48b6b0' : '#999'}
+      />
+    </TouchableOpacity>
+  );
+
+  return (
+    <View>
+      {items.length > 0 && (
+        <Text style={styles.progressText}>
+          {doneCount} of {items.length} done
+        </Text>
+      )}
+
+      {items.map((item) => (
+        <View key={item.id} style={styles.itemRow}>
+          {renderCheckbox(item)}
+          {editable ? (
+            <TextInput
+              style={styles.itemInput}
+              value={item.text}
+              onChangeText={(text) =>
+                onChange(items.map((existing) =>
+                  existing.id === item.id ? { ...existing, text } : existing
+                ))
+              }
+              maxLength={MAX_CHECKLIST_ITEM_LENGTH}
+            />
+          ) : (
+            <Text style={[styles.itemText, item.done && styles.doneItemText]}>
+              {item.text}
+            </Text>
+          )}
+          {editable && (
+            <TouchableOpacity
+              onPress={() => onChange(items.filter((existing) => existing.id !== item.id))}
+              accessibilityLabel={`Remove ${item.text}`}
+            >
+              <Ionicons name='close-circle' size={20} color='#ccc' />
+            </TouchableOpacity>
+          )}
+        </View>
+      ))}
+
+      {!editable && items.length === 0 && (
+        <Text style={styles.emptyText}>No checklist items</Text>
+      )}
+
+      {editable && canAddItem && (
+        <View style={styles.addItemRow}>
+          <TextInput
+            style={styles.addItemInput}
+            value={newItemText}
+            onChangeText={setNewItemText}
+            placeholder='Add an item, e.g. swimsuit'
+            maxLength={MAX_CHECKLIST_ITEM_LENGTH}
+            onSubmitEditing={handleAddItem}
+            returnKeyType='done'
+            blurOnSubmit={false}
+          />
+          <TouchableOpacity
+            style={[styles.addItemButton, !newItemText.trim() && styles.disabledAddItemButton]}
+            onPress={handleAddItem}
+            disabled={!newItemText.trim()}
+          >
+            <Ionicons name='add' size={20} color='white' />
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  progressText: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 8,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    gap: 10,
+  },
+  itemText: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+  },
+  doneItemText: {
+    color: '#999',
+    textDecorationLine: 'line-through',
+  },
+  itemInput: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+  },
+  addItemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+    gap: 8,
+  },
+  addItemInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+    backgroundColor: '#f9f9f9',
+  },
+  addItemButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#48b6b0',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  disabledAddItemButton: {
+    backgroundColor: '#ccc',
+  },
+});
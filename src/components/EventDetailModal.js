@@ -16,9 +16,40 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import DateTimePickerModal from './DateTimePickerModal';
 import MultiDateSelector from './MultiDateSelector';
+import RecurrenceSelector from './RecurrenceSelector';
+import TimeZonePickerModal from './TimeZonePickerModal';
 import CalendarEventsService from '../services/CalendarEventsService';
 import ChildrenDataService from '../services/ChildrenDataService';
 import Base64Image from './Base64Image';
+import { formatLocalDateString } from '../utils/dateUtils';
+import {
+  describeRecurrence,
+  getEventStartDateString,
+  isRecurringOccurrence,
+  validateRecurrenceRule,
+} from '../utils/recurrenceUtils';
+import { confirmEventConflicts } from '../utils/conflictUtils';
+import { getRecurringDeleteItemId } from '../utils/recycleBinUtils';
+import {
+  formatTimeInTimeZone,
+  formatUtcOffset,
+  fromZonedWallClockDate,
+  getDeviceTimeZone,
+  getEventTimeZone,
+  getTimeZoneAbbreviation,
+  getTimeZoneLabel,
+  getTimeZoneOffsetMinutes,
+  isEventInDeviceTimeZone,
+  toZonedWallClockDate,
+} from '../utils/timeZoneUtils';
+import useEventTypes from '../hooks/useEventTypes';
+import EventChecklist from './EventChecklist';
+import EventAttachments from './EventAttachments';
+import {
+  CHECKLIST_REMINDER_OPTIONS,
+  getChecklistItems,
+  getChecklistReminderLabel,
+} from '../utils/checklistUtils';
 
 export default function EventDetailModal({
   visible,
@@ -35,6 +66,7 @@ export default function EventDetailModal({
   // Edit form state - matching AddEventModal structure
   const [title, setTitle] = useState('');
   const [eventType, setEventType] = useState('Personal');
+  const { eventTypes, getEventTypeIcon, getEventTypeColor } = useEventTypes();
   const [isAllDay, setIsAllDay] = useState(false);
   const [startDate, setStartDate] = useState(new Date());
   const [endDate, setEndDate] = useState(new Date());
@@ -50,6 +82,17 @@ export default function EventDetailModal({
   const [isMultiDate, setIsMultiDate] = useState(false);
   const [selectedMultiDates, setSelectedMultiDates] = useState([]);
 
+  // Recurrence state (null means the event does not repeat)
+  const [recurrence, setRecurrence] = useState(null);
+
+  // Checklist state
+  const [checklist, setChecklist] = useState([]);
+  const [checklistReminder, setChecklistReminder] = useState(null);
+  const [checklistSaving, setChecklistSaving] = useState(false);
+
+  // Attachments state
+  const [attachments, setAttachments] = useState([]);
+
   // Reminder states
   const [remindersEnabled, setRemindersEnabled] = useState(false);
   const [selectedReminders, setSelectedReminders] = useState([]);
@@ -62,6 +105,10 @@ export default function EventDetailModal({
   const [showStartTimePicker, setShowStartTimePicker] = useState(false);
   const [showEndTimePicker, setShowEndTimePicker] = useState(false);
 
+  // Start and end times are edited as wall-clock times in the event's zone
+  const [timeZone, setTimeZone] = useState(getDeviceTimeZone());
+  const [showTimeZonePicker, setShowTimeZonePicker] = useState(false);
+
   useEffect(() => {
     if (visible && event) {
       loadChildren();
@@ -135,9 +182,11 @@ export default function EventDetailModal({
 
       setStartDate(startDateObj);
       setEndDate(endDateObj);
+      setTimeZone(getDeviceTimeZone());
     } else {
-      const startDateTime = new Date(eventToUse.startDateTime);
-      const endDateTime = new Date(eventToUse.endDateTime);
+      const eventTimeZone = getEventTimeZone(eventToUse);
+      const startDateTime = toZonedWallClockDate(new Date(eventToUse.startDateTime), eventTimeZone);
+      const endDateTime = toZonedWallClockDate(new Date(eventToUse.endDateTime), eventTimeZone);
 
       const startDateOnly = new Date(
         startDateTime.getFullYear(),
@@ -154,6 +203,7 @@ export default function EventDetailModal({
       setEndDate(endDateOnly);
       setStartTime(startDateTime);
       setEndTime(endDateTime);
+      setTimeZone(eventTimeZone);
     }
 
     // Handle both multi-child and legacy single-child events
@@ -223,6 +273,12 @@ export default function EventDetailModal({
     // Set multi-date state (for future support)
     setIsMultiDate(eventToUse.isMultiDate || false);
     setSelectedMultiDates(eventToUse.selectedMultiDates || []);
+
+    // Set recurrence state
+    setRecurrence(eventToUse.recurrence || null);
+    setChecklist(getChecklistItems(eventToUse));
+    setChecklistReminder(eventToUse.checklistReminder || null);
+    setAttachments(eventToUse.attachments || []);
   };
 
   const toggleChildSelection = (child) => {
@@ -253,20 +309,6 @@ export default function EventDetailModal({
     return child.nickname || child.firstName;
   };
 
-  const getEventTypeIcon = (eventType) => {
-    switch (eventType) {
-      case 'Birthday':
-        return 'gift';
-      case 'Holiday':
-        return 'sunny';
-      case 'Anniversary':
-        return 'heart';
-      case 'Personal':
-      default:
-        return 'calendar';
-    }
-  };
-
   const validateEventData = () => {
     const errors = [];
 
@@ -359,8 +401,9 @@ export default function EventDetailModal({
     }
 
     // Event type validation
-    const validEventTypes = ['Personal', 'Birthday', 'Holiday', 'Anniversary'];
-    if (!validEventTypes.includes(eventType)) {
+    // Events keep a type that has since been deleted from the registry
+    const validEventTypes = eventTypes.map((type) => type.name);
+    if (!validEventTypes.includes(eventType) && eventType !== currentEvent?.eventType) {
       errors.push('Please select a valid event type');
     }
 
@@ -395,12 +438,60 @@ export default function EventDetailModal({
       }
     }
 
+    // Recurrence validation
+    if (recurrence) {
+      const recurrenceValidation = validateRecurrenceRule(
+        recurrence,
+        formatLocalDateString(startDate)
+      );
+      errors.push(...recurrenceValidation.errors);
+    }
+
     return {
       isValid: errors.length === 0,
       errors
     };
   };
 
+  // Ask which occurrences of a recurring event an edit or delete applies to
+  // Resolves to 'this', 'following', 'all' or null when cancelled
+  const chooseRecurringScope = (title, message) => {
+    return new Promise((resolve) => {
+      Alert.alert(
+        title,
+        message,
+        [
+          { text: 'This Event', onPress: () => resolve('this') },
+          { text: 'This and Following', onPress: () => resolve('following') },
+          { text: 'All Events', onPress: () => resolve('all') },
+          { text: 'Cancel', style: 'cancel', onPress: () => resolve(null) },
+        ],
+        { cancelable: true, onDismiss: () => resolve(null) }
+      );
+    });
+  };
+
+  // Ticking items in view mode saves straight away
+  const handleToggleChecklistItem = async (itemId, done) => {
+    const previousChecklist = checklist;
+    setChecklist((items) => items.map((item) => (item.id === itemId ? { ...item, done } : item)));
+
+    try {
+      setChecklistSaving(true);
+      const updatedEvent = await CalendarEventsService.setChecklistItemDone(currentEvent, itemId, done);
+      if (!updatedEvent) {
+        setChecklist(previousChecklist);
+        Alert.alert('Error', 'Failed to update the checklist. Please try again.');
+        return;
+      }
+
+      setCurrentEvent(updatedEvent);
+      onEventUpdated && onEventUpdated(updatedEvent, { reload: isRecurringOccurrence(currentEvent) });
+    } finally {
+      setChecklistSaving(false);
+    }
+  };
+
   const handleSave = async () => {
     const validation = validateEventData();
     
@@ -457,6 +548,10 @@ export default function EventDetailModal({
         reminders: remindersEnabled ? finalReminders : [],
         isMultiDate,
         selectedMultiDates: isMultiDate ? selectedMultiDates : [],
+        recurrence: !isMultiDate ? recurrence : null,
+        checklist,
+        checklistReminder: checklist.length > 0 ? checklistReminder : null,
+        attachments,
       };
 
       if (isAllDay) {
@@ -474,6 +569,7 @@ export default function EventDetailModal({
 
         eventData.startDate = formatDateString(startDate);
         eventData.endDate = formatDateString(endDate);
+        eventData.timeZone = null;
       } else {
         try {
           // Combine date and time with error handling
@@ -493,8 +589,10 @@ export default function EventDetailModal({
             throw new Error('Invalid date-time combination');
           }
 
-          eventData.startDateTime = startDateTime.toISOString();
-          eventData.endDateTime = endDateTime.toISOString();
+          // The edited times are wall-clock times in the event's zone
+          eventData.startDateTime = fromZonedWallClockDate(startDateTime, timeZone).toISOString();
+          eventData.endDateTime = fromZonedWallClockDate(endDateTime, timeZone).toISOString();
+          eventData.timeZone = timeZone;
         } catch (dateTimeError) {
           throw new Error(`Failed to create event date-time: ${dateTimeError.message}`);
         }
@@ -502,14 +600,51 @@ export default function EventDetailModal({
 
       console.log('Updating event with ID:', currentEvent.id);
       console.log('Event data:', eventData);
-      
-      const updatedEvent = await CalendarEventsService.updateEvent(currentEvent.id, eventData);
+
+      let updatedEvent = null;
+      const isOccurrence = isRecurringOccurrence(currentEvent);
+
+      // Warn before double-booking any of the children involved
+      const conflicts = await CalendarEventsService.findConflictingEvents(
+        { ...eventData, id: currentEvent.id },
+        [currentEvent.id, currentEvent.recurringEventId]
+      );
+      if (!(await confirmEventConflicts(conflicts))) {
+        return;
+      }
+
+      if (isOccurrence) {
+        const scope = await chooseRecurringScope(
+          'Edit Recurring Event',
+          'Apply these changes to this event only, this and following events, or all events in the series?'
+        );
+        if (!scope) {
+          return;
+        }
+
+        const { recurringEventId, occurrenceDate } = currentEvent;
+        if (scope === 'this') {
+          updatedEvent = await CalendarEventsService.updateRecurringEventOccurrence(
+            recurringEventId, occurrenceDate, { ...eventData, recurrence: null }
+          );
+        } else if (scope === 'following') {
+          updatedEvent = await CalendarEventsService.updateRecurringEventFromOccurrence(
+            recurringEventId, occurrenceDate, eventData
+          );
+        } else {
+          updatedEvent = await CalendarEventsService.updateAllRecurringEventOccurrences(
+            recurringEventId, eventData
+          );
+        }
+      } else {
+        updatedEvent = await CalendarEventsService.updateEvent(currentEvent.id, eventData);
+      }
 
       console.log('Update result:', updatedEvent);
 
       if (updatedEvent) {
         Alert.alert('Success', 'Event updated successfully');
-        onEventUpdated && onEventUpdated(updatedEvent);
+        onEventUpdated && onEventUpdated(updatedEvent, { reload: isOccurrence });
         setIsEditing(false);
         setCurrentEvent(updatedEvent);
       } else {
@@ -539,9 +674,50 @@ export default function EventDetailModal({
   };
 
   const handleDelete = async () => {
+    if (isRecurringOccurrence(currentEvent)) {
+      const scope = await chooseRecurringScope(
+        'Delete Recurring Event',
+        'Delete this event only, this and following events, or all events in the series? You can restore deleted events from the Recycle Bin in Settings for 30 days.'
+      );
+      if (!scope) {
+        return;
+      }
+
+      try {
+        setLoading(true);
+        const { recurringEventId, occurrenceDate } = currentEvent;
+        let success = false;
+        if (scope === 'this') {
+          success = await CalendarEventsService.deleteRecurringEventOccurrence(recurringEventId, occurrenceDate);
+        } else if (scope === 'following') {
+          success = await CalendarEventsService.deleteRecurringEventFromOccurrence(recurringEventId, occurrenceDate);
+        } else {
+          success = await CalendarEventsService.deleteAllRecurringEventOccurrences(recurringEventId);
+        }
+
+        if (success) {
+          // Deleting part of a series is binned under its own id, see getRecurringDeleteItemId
+          onEventDeleted && onEventDeleted(currentEvent.id, currentEvent, {
+            restorableEventId: scope === 'all'
+              ? recurringEventId
+              : getRecurringDeleteItemId(recurringEventId, occurrenceDate, scope === 'following'),
+          });
+          onClose();
+        } else {
+          Alert.alert('Error', 'Failed to delete event. Please try again.');
+        }
+      } catch (error) {
+        console.error('Error deleting recurring event:', error);
+        Alert.alert('Error', 'Failed to delete event. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+      return;
+    }
+
     Alert.alert(
       'Delete Event',
-      'Are you sure you want to delete this event? This action cannot be undone.',
+      'Are you sure you want to delete this event? You can restore it from the Recycle Bin in Settings for 30 days.',
       [
         {
           text: 'Cancel',
@@ -553,9 +729,14 @@ export default function EventDetailModal({
           onPress: async () => {
             try {
               setLoading(true);
-              await CalendarEventsService.deleteEvent(currentEvent.id);
-              Alert.alert('Success', 'Event deleted successfully');
-              onEventDeleted && onEventDeleted(currentEvent.id);
+              const success = await CalendarEventsService.deleteEvent(currentEvent.id);
+              if (!success) {
+                Alert.alert('Error', 'Failed to delete event. Please try again.');
+                return;
+              }
+              onEventDeleted && onEventDeleted(currentEvent.id, currentEvent, {
+                restorableEventId: currentEvent.id,
+              });
               onClose();
             } catch (error) {
               console.error('Error deleting event:', error);
@@ -586,6 +767,21 @@ export default function EventDetailModal({
     });
   };
 
+  // Show a timed event's dates and times in the zone it was entered in
+  const formatEventDate = (dateTime) => {
+    return formatDate(toZonedWallClockDate(new Date(dateTime), getEventTimeZone(currentEvent)));
+  };
+
+  const formatEventTime = (dateTime) => {
+    return formatTimeInTimeZone(new Date(dateTime), getEventTimeZone(currentEvent));
+  };
+
+  const formatEventTimeZone = () => {
+    const eventTimeZone = getEventTimeZone(currentEvent);
+    const abbreviation = getTimeZoneAbbreviation(new Date(currentEvent.startDateTime), eventTimeZone);
+    return `${getTimeZoneLabel(eventTimeZone)} (${abbreviation})`;
+  };
+
   const handleStartDateConfirm = (selectedDate) => {
     try {
       if (!selectedDate || isNaN(selectedDate.getTime())) {
@@ -925,33 +1121,31 @@ export default function EventDetailModal({
                   showsHorizontalScrollIndicator={false}
                   style={styles.eventTypeSelector}
                 >
-                  {['Personal', 'Birthday', 'Holiday', 'Anniversary'].map(
-                    (type) => (
-                      <TouchableOpacity
-                        key={type}
+                  {eventTypes.map((type) => (
+                    <TouchableOpacity
+                      key={type.id}
+                      style={[
+                        styles.eventTypeOption,
+                        eventType === type.name && styles.selectedEventTypeOption,
+                      ]}
+                      onPress={() => setEventType(type.name)}
+                    >
+                      <Ionicons
+                        name={type.icon}
+                        size={20}
+                        color={eventType === type.name ? '#48b6b0' : type.color}
+                        style={styles.eventTypeIcon}
+                      />
+                      <Text
                         style={[
-                          styles.eventTypeOption,
-                          eventType === type && styles.selectedEventTypeOption,
+                          styles.eventTypeText,
+                          eventType === type.name && styles.selectedEventTypeText,
                         ]}
-                        onPress={() => setEventType(type)}
                       >
-                        <Ionicons
-                          name={getEventTypeIcon(type)}
-                          size={20}
-                          color={eventType === type ? '#48b6b0' : '#666'}
-                          style={styles.eventTypeIcon}
-                        />
-                        <Text
-                          style={[
-                            styles.eventTypeText,
-                            eventType === type && styles.selectedEventTypeText,
-                          ]}
-                        >
-                          {type}
-                        </Text>
-                      </TouchableOpacity>
-                    )
-                  )}
+                        {type.name}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
                 </ScrollView>
               </View>
 
@@ -1063,6 +1257,21 @@ export default function EventDetailModal({
                           </TouchableOpacity>
                         </View>
                       </View>
+
+                      <TouchableOpacity
+                        style={styles.timeZoneButton}
+                        onPress={() => setShowTimeZonePicker(true)}
+                        accessibilityRole="button"
+                        accessibilityLabel={`Time zone: ${getTimeZoneLabel(timeZone)}`}
+                        accessibilityHint="Tap to change the time zone of this event"
+                      >
+                        <Ionicons name='globe-outline' size={18} color='#48b6b0' />
+                        <Text style={styles.timeZoneText}>{getTimeZoneLabel(timeZone)}</Text>
+                        <Text style={styles.timeZoneOffsetText}>
+                          {formatUtcOffset(getTimeZoneOffsetMinutes(startDate, timeZone))}
+                        </Text>
+                        <Ionicons name='chevron-forward' size={18} color='#ccc' />
+                      </TouchableOpacity>
                     </View>
                   )}
 
@@ -1083,6 +1292,69 @@ export default function EventDetailModal({
                 </View>
               )}
 
+              {/* Repeat Section */}
+              {!isMultiDate && (
+                <View style={styles.section}>
+                  <RecurrenceSelector
+                    recurrence={recurrence}
+                    onRecurrenceChange={setRecurrence}
+                    startDate={startDate}
+                    disabled={loading}
+                  />
+                </View>
+              )}
+
+              {/* Checklist Section */}
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Checklist</Text>
+                <EventChecklist
+                  items={checklist}
+                  editable={true}
+                  onChange={setChecklist}
+                  disabled={loading}
+                />
+
+                {checklist.length > 0 && (
+                  <View style={styles.checklistReminderContainer}>
+                    <Text style={styles.checklistReminderTitle}>
+                      Remind me if items are still unchecked
+                    </Text>
+                    <View style={styles.checklistReminderOptions}>
+                      {[{ id: null, label: 'Off' }, ...CHECKLIST_REMINDER_OPTIONS].map((option) => (
+                        <TouchableOpacity
+                          key={option.id || 'off'}
+                          style={[
+                            styles.checklistReminderOption,
+                            checklistReminder === option.id && styles.selectedChecklistReminderOption,
+                          ]}
+                          onPress={() => setChecklistReminder(option.id)}
+                        >
+                          <Text
+                            style={[
+                              styles.checklistReminderOptionText,
+                              checklistReminder === option.id && styles.selectedChecklistReminderOptionText,
+                            ]}
+                          >
+                            {option.label}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  </View>
+                )}
+              </View>
+
+              {/* Attachments Section */}
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Attachments</Text>
+                <EventAttachments
+                  attachments={attachments}
+                  editable={true}
+                  onChange={setAttachments}
+                  disabled={loading}
+                />
+              </View>
+
               {/* Reminders Section */}
               <View style={styles.section}>
                 <View style={styles.switchRow}>
@@ -1186,7 +1458,11 @@ export default function EventDetailModal({
               <View style={styles.section}>
                 <Text style={styles.viewTitle}>{currentEvent.title}</Text>
                 <Text style={styles.viewEventType}>
-                  <Ionicons name={getEventTypeIcon(currentEvent.eventType)} size={16} color='#666' />
+                  <Ionicons
+                    name={getEventTypeIcon(currentEvent.eventType)}
+                    size={16}
+                    color={getEventTypeColor(currentEvent.eventType)}
+                  />
                   {' '}{currentEvent.eventType}
                 </Text>
               </View>
@@ -1224,19 +1500,72 @@ export default function EventDetailModal({
                     <View style={styles.viewDateTimeRow}>
                       <Ionicons name='calendar-outline' size={20} color='#48b6b0' />
                       <Text style={styles.viewDateTimeText}>
-                        {formatDate(new Date(currentEvent.startDateTime))} - {formatDate(new Date(currentEvent.endDateTime))}
+                        {formatEventDate(currentEvent.startDateTime)} - {formatEventDate(currentEvent.endDateTime)}
                       </Text>
                     </View>
                     <View style={styles.viewDateTimeRow}>
                       <Ionicons name='time-outline' size={20} color='#666' />
                       <Text style={styles.viewDateTimeText}>
-                        {formatTime(new Date(currentEvent.startDateTime))} - {formatTime(new Date(currentEvent.endDateTime))}
+                        {formatEventTime(currentEvent.startDateTime)} - {formatEventTime(currentEvent.endDateTime)}
                       </Text>
                     </View>
+                    <View style={styles.viewDateTimeRow}>
+                      <Ionicons name='globe-outline' size={20} color='#666' />
+                      <Text style={styles.viewDateTimeText}>
+                        {formatEventTimeZone()}
+                      </Text>
+                    </View>
+                    {!isEventInDeviceTimeZone(currentEvent) && (
+                      <Text style={styles.viewLocalTimeText}>
+                        Your time: {formatDate(new Date(currentEvent.startDateTime))},{' '}
+                        {formatTime(new Date(currentEvent.startDateTime))} - {formatTime(new Date(currentEvent.endDateTime))}
+                      </Text>
+                    )}
                   </View>
                 )}
               </View>
 
+              {/* Repeat */}
+              {currentEvent.recurrence && (
+                <View style={styles.section}>
+                  <Text style={styles.sectionTitle}>Repeats</Text>
+                  <View style={styles.viewRemindersContainer}>
+                    <Ionicons name='repeat' size={20} color='#48b6b0' />
+                    <Text style={styles.viewRemindersText}>
+                      {describeRecurrence(currentEvent.recurrence, getEventStartDateString(currentEvent))}
+                    </Text>
+                  </View>
+                </View>
+              )}
+
+              {/* Checklist */}
+              {checklist.length > 0 && (
+                <View style={styles.section}>
+                  <Text style={styles.sectionTitle}>Checklist</Text>
+                  <EventChecklist
+                    items={checklist}
+                    onToggleItem={handleToggleChecklistItem}
+                    disabled={checklistSaving}
+                  />
+                  {currentEvent.checklistReminder && (
+                    <View style={styles.checklistReminderSummary}>
+                      <Ionicons name='alarm-outline' size={16} color='#666' />
+                      <Text style={styles.checklistReminderSummaryText}>
+                        Reminder {getChecklistReminderLabel(currentEvent.checklistReminder)} if unchecked
+                      </Text>
+                    </View>
+                  )}
+                </View>
+              )}
+
+              {/* Attachments */}
+              {attachments.length > 0 && (
+                <View style={styles.section}>
+                  <Text style={styles.sectionTitle}>Attachments</Text>
+                  <EventAttachments attachments={attachments} />
+                </View>
+              )}
+
               {/* Reminders */}
               {currentEvent.remindersEnabled && (
                 <View style={styles.section}>
@@ -1290,6 +1619,17 @@ export default function EventDetailModal({
           onCancel={() => setShowEndTimePicker(false)}
           title="Select End Time"
         />
+
+        <TimeZonePickerModal
+          visible={showTimeZonePicker}
+          selectedTimeZone={timeZone}
+          referenceDate={startDate}
+          onSelect={(selectedTimeZone) => {
+            setTimeZone(selectedTimeZone);
+            setShowTimeZonePicker(false);
+          }}
+          onClose={() => setShowTimeZonePicker(false)}
+        />
       </View>
     </Modal>
   );
@@ -1663,6 +2003,24 @@ const styles = StyleSheet.create({
     paddingHorizontal: 16,
     paddingTop: 20, // Offset for the label
   },
+  timeZoneButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+    marginHorizontal: 16,
+    paddingVertical: 8,
+  },
+  timeZoneText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+    marginLeft: 8,
+  },
+  timeZoneOffsetText: {
+    fontSize: 12,
+    color: '#999',
+    marginRight: 4,
+  },
 
   // Delete Button
   deleteButton: {
@@ -1752,6 +2110,11 @@ const styles = StyleSheet.create({
     color: '#333',
     marginLeft: 12,
   },
+  viewLocalTimeText: {
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 32,
+  },
   viewRemindersContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -1767,4 +2130,47 @@ const styles = StyleSheet.create({
     marginLeft: 12,
     flex: 1,
   },
+  checklistReminderContainer: {
+    marginTop: 16,
+  },
+  checklistReminderTitle: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8,
+  },
+  checklistReminderOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  checklistReminderOption: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    backgroundColor: '#f9f9f9',
+  },
+  selectedChecklistReminderOption: {
+    borderColor: '#48b6b0',
+    backgroundColor: '#E3F2FD',
+  },
+  checklistReminderOptionText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  selectedChecklistReminderOptionText: {
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  checklistReminderSummary: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  checklistReminderSummaryText: {
+    fontSize: 13,
+    color: '#666',
+    marginLeft: 6,
+  },
 });
\ No newline at end of file
@@ -0,0 +1,377 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  Alert,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import EventTypesService from '../services/EventTypesService';
+import useEventTypes from '../hooks/useEventTypes';
+import {
+  EVENT_TYPE_ICON_OPTIONS,
+  EVENT_TYPE_COLOR_OPTIONS,
+  MAX_EVENT_TYPE_NAME_LENGTH,
+  validateEventTypeInput,
+} from '../utils/eventTypeUtils';
+
+const EMPTY_FORM = {
+  id: null,
+  name: '',
+  icon: EVENT_TYPE_ICON_OPTIONS[0],
+  color: EVENT_TYPE_COLOR_OPTIONS[0],
+  isBuiltIn: false,
+};
+
+export default function EventTypesModal({ visible, onClose }) {
+  const { eventTypes } = useEventTypes();
+  const [editingType, setEditingType] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!visible) {
+      setEditingType(null);
+    }
+  }, [visible]);
+
+  const isNewType = editingType && !editingType.id;
+
+  const handleSave = async () => {
+    const validation = validateEventTypeInput(editingType, eventTypes);
+    if (!validation.isValid) {
+      Alert.alert('Validation Error', validation.errors.join('\n'));
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const result = isNewType
+        ? await EventTypesService.addEventType(editingType)
+        : await EventTypesService.updateEventType(editingType.id, editingType);
+
+      if (!result) {
+        Alert.alert('Error', 'Failed to save event type. Please try again.');
+        return;
+      }
+      setEditingType(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Event Type',
+      `Delete "${editingType.name}"? Existing events keep the name but are shown with the default icon.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const deleted = await EventTypesService.deleteEventType(editingType.id);
+            if (!deleted) {
+              Alert.alert('Error', 'Failed to delete event type. Please try again.');
+              return;
+            }
+            setEditingType(null);
+          },
+        },
+      ]
+    );
+  };
+
+  const renderTypeList = () => (
+    <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+      <View style={styles.section}>
+        {eventTypes.map((type) => (
+          <TouchableOpacity
+            key={type.id}
+            style={styles.typeRow}
+            onPress={() => setEditingType({ ...type })}
+          >
+            <View style={[styles.typeIcon, { backgroundColor: type.color }]}>
+              <Ionicons name={type.icon} size={18} color='white' />
+            </View>
+            <Text style={styles.typeName}>{type.name}</Text>
+            {type.isBuiltIn && <Text style={styles.builtInLabel}>Built-in</Text>}
+            <Ionicons name='chevron-forward' size={20} color='#ccc' />
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <TouchableOpacity
+        style={styles.addTypeButton}
+        onPress={() => setEditingType({ ...EMPTY_FORM })}
+      >
+        <Ionicons name='add-circle-outline' size={20} color='#48b6b0' />
+        <Text style={styles.addTypeButtonText}>Add Event Type</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+
+  const renderTypeForm = () => (
+    <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Name</Text>
+        <TextInput
+          style={[styles.textInput, !isNewType && styles.disabledInput]}
+          value={editingType.name}
+          onChangeText={(name) => setEditingType((prev) => ({ ...prev, name }))}
+          placeholder='e.g. School, Medical, Playdate'
+          maxLength={MAX_EVENT_TYPE_NAME_LENGTH}
+          editable={isNewType}
+        />
+        {!isNewType && (
+          <Text style={styles.hintText}>
+            Names can't be changed because events are saved with their type name.
+          </Text>
+        )}
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Icon</Text>
+        <View style={styles.optionGrid}>
+          {EVENT_TYPE_ICON_OPTIONS.map((icon) => (
+            <TouchableOpacity
+              key={icon}
+              style={[
+                styles.iconOption,
+                editingType.icon === icon && {
+                  borderColor: editingType.color,
+                  backgroundColor: `${editingType.color}22`,
+                },
+              ]}
+              onPress={() => setEditingType((prev) => ({ ...prev, icon }))}
+            >
+              <Ionicons
+                name={icon}
+                size={22}
+                color={editingType.icon === icon ? editingType.color : '#666'}
+              />
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Colour</Text>
+        <View style={styles.optionGrid}>
+          {EVENT_TYPE_COLOR_OPTIONS.map((color) => (
+            <TouchableOpacity
+              key={color}
+              style={[
+                styles.colorOption,
+                { backgroundColor: color },
+                editingType.color === color && styles.selectedColorOption,
+              ]}
+              onPress={() => setEditingType((prev) => ({ ...prev, color }))}
+            >
+              {editingType.color === color && (
+                <Ionicons name='checkmark' size={18} color='white' />
+              )}
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      {!isNewType && !editingType.isBuiltIn && (
+        <TouchableOpacity style={styles.deleteButton} onPress={handleDelete}>
+          <Ionicons name='trash-outline' size={20} color='#FF3B30' />
+          <Text style={styles.deleteButtonText}>Delete Event Type</Text>
+        </TouchableOpacity>
+      )}
+    </ScrollView>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType='slide'
+      presentationStyle='pageSheet'
+      onRequestClose={editingType ? () => setEditingType(null) : onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          {editingType ? (
+            <>
+              <TouchableOpacity onPress={() => setEditingType(null)} disabled={saving}>
+                <Text style={styles.cancelButton}>Cancel</Text>
+              </TouchableOpacity>
+              <Text style={styles.headerTitle}>
+                {isNewType ? 'New Event Type' : 'Edit Event Type'}
+              </Text>
+              <TouchableOpacity onPress={handleSave} disabled={saving}>
+                <Text style={[styles.saveButton, saving && styles.disabledButton]}>
+                  {saving ? 'Saving...' : 'Save'}
+                </Text>
+              </TouchableOpacity>
+            </>
+          ) : (
+            <>
+              <TouchableOpacity onPress={onClose}>
+                <Text style={styles.cancelButton}>Close</Text>
+              </TouchableOpacity>
+              <Text style={styles.headerTitle}>Event Types</Text>
+              <View style={styles.headerSpacer} />
+            </>
+          )}
+        </View>
+
+        {editingType ? renderTypeForm() : renderTypeList()}
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    paddingTop: Platform.OS === 'ios' ? 50 : 20,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  headerSpacer: {
+    width: 44,
+  },
+  cancelButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+  },
+  saveButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  disabledButton: {
+    color: '#ccc',
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: 'white',
+    marginVertical: 8,
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 12,
+  },
+  typeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  typeIcon: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  typeName: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+  },
+  builtInLabel: {
+    fontSize: 12,
+    color: '#999',
+    marginRight: 8,
+  },
+  addTypeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'white',
+    marginVertical: 8,
+    paddingVertical: 16,
+  },
+  addTypeButtonText: {
+    fontSize: 16,
+    color: '#48b6b0',
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: '#f9f9f9',
+  },
+  disabledInput: {
+    color: '#999',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 6,
+  },
+  optionGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 10,
+  },
+  iconOption: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    borderWidth: 2,
+    borderColor: '#ddd',
+    backgroundColor: '#f9f9f9',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  colorOption: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  selectedColorOption: {
+    borderWidth: 3,
+    borderColor: '#333',
+  },
+  deleteButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'white',
+    marginVertical: 8,
+    paddingVertical: 16,
+  },
+  deleteButtonText: {
+    fontSize: 16,
+    color: '#FF3B30',
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+});
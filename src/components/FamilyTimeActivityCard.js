@@ -8,15 +8,11 @@ import {
   ScrollView,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import useActivityTypes from '../hooks/useActivityTypes';
 
 export default function FamilyTimeActivityCard({ activity, onPress, onEdit, onDelete }) {
-  // Activity type configuration for icons and colors
-  const activityTypeConfig = {
-    'Reading Time': { icon: 'book-outline', color: '#4CAF50' },
-    'Sports': { icon: 'fitness-outline', color: '#FF9800' },
-    'Adventure': { icon: 'map-outline', color: '#2196F3' },
-    'Important': { icon: 'star-outline', color: '#F44336' }
-  };
+  // User-defined activity types for icons, colors and extra fields
+  const { findActivityType, getActivityTypeIcon, getActivityTypeColor } = useActivityTypes();
 
   // Feeling configuration for colors
   const feelingConfig = {
@@ -25,7 +21,10 @@ export default function FamilyTimeActivityCard({ activity, onPress, onEdit, onDe
     'Sad': { color: '#2196F3', emoji: '😢' }
   };
 
-  const typeConfig = activityTypeConfig[activity.type] || { icon: 'calendar-outline', color: '#666' };
+  const typeConfig = {
+    icon: getActivityTypeIcon(activity.type),
+    color: getActivityTypeColor(activity.type),
+  };
 
   const formatTime = (dateString) => {
     const date = new Date(dateString);
@@ -130,6 +129,29 @@ export default function FamilyTimeActivityCard({ activity, onPress, onEdit, onDe
     );
   };
 
+  const renderCustomFields = () => {
+    const fields = findActivityType(activity.type)?.fields || [];
+    const answeredFields = fields.filter((field) => {
+      const value = activity.customFields?.[field.id];
+      return value !== undefined && value !== null && value !== '';
+    });
+
+    if (answeredFields.length === 0) {
+      return null;
+    }
+
+    return (
+      <View style={styles.customFieldsContainer}>
+        {answeredFields.map((field) => (
+          <Text key={field.id} style={styles.customFieldText} numberOfLines={1}>
+            <Text style={styles.customFieldLabel}>{field.label}: </Text>
+            {String(activity.customFields[field.id])}
+          </Text>
+        ))}
+      </View>
+    );
+  };
+
   return (
     <TouchableOpacity style={styles.container} onPress={() => onPress && onPress(activity)} activeOpacity={0.7}>
       {/* Header with activity type and actions */}
@@ -200,6 +222,9 @@ export default function FamilyTimeActivityCard({ activity, onPress, onEdit, onDe
       {/* Book info for Reading Time activities */}
       {renderBookInfo()}
 
+      {/* Answers to the activity type's own fields */}
+      {renderCustomFields()}
+
       {/* Participants */}
       {renderParticipants()}
 
@@ -337,6 +362,19 @@ const styles = StyleSheet.create({
     color: 'white',
     fontWeight: '600',
   },
+  customFieldsContainer: {
+    backgroundColor: '#f8f9fa',
+    padding: 8,
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  customFieldText: {
+    fontSize: 13,
+    color: '#333',
+  },
+  customFieldLabel: {
+    color: '#666',
+  },
   participantsContainer: {
     marginBottom: 8,
   },
@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, AppState } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import useActivityTypes from '../hooks/useActivityTypes';
+import { getChildDisplayName } from '../utils/birthdayUtils';
+import {
+  formatTimerElapsed,
+  getTimerElapsedSeconds,
+  isTimerRunning,
+} from '../utils/familyTimeTimerUtils';
+
+/**
+ * Banner for the live family time timer
+ * Shows the elapsed time while family time is running, and the choice to
+ * log, carry on or discard it once stopped.
+ */
+export default function FamilyTimeTimerBanner({
+  timer,
+  children = [],
+  onStop,
+  onLog,
+  onResume,
+  onDiscard,
+  disabled = false,
+}) {
+  const [now, setNow] = useState(new Date());
+  const { getActivityTypeIcon, getActivityTypeColor } = useActivityTypes();
+  const running = isTimerRunning(timer);
+
+  useEffect(() => {
+    if (!running) {
+      return undefined;
+    }
+
+    setNow(new Date());
+    const interval = setInterval(() => setNow(new Date()), 1000);
+    // Catch up straight away when coming back from the background
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        setNow(new Date());
+      }
+    });
+
+    return () => {
+      clearInterval(interval);
+      subscription.remove();
+    };
+  }, [running]);
+
+  const color = getActivityTypeColor(timer.activityType);
+  const childNames = timer.childIds
+    .map((childId) => children.find((child) => child.id === childId))
+    .filter(Boolean)
+    .map(getChildDisplayName)
+    .join(', ');
+
+  return (
+    <View style={[styles.container, { borderLeftColor: color }]}>
+      <View style={styles.infoRow}>
+        <View style={[styles.iconContainer, { backgroundColor: color }]}>
+          <Ionicons name={getActivityTypeIcon(timer.activityType)} size={20} color='white' />
+        </View>
+        <View style={styles.info}>
+          <Text style={styles.title} numberOfLines={1}>
+            {timer.activityType}
+            {childNames ? ` with ${childNames}` : ''}
+          </Text>
+          <Text style={styles.status}>{running ? 'In progress' : 'Stopped'}</Text>
+        </View>
+        <Text style={[styles.elapsed, !running && styles.elapsedStopped]}>
+          {formatTimerElapsed(getTimerElapsedSeconds(timer, now))}
+        </Text>
+      </View>
+
+      {running ? (
+        <TouchableOpacity
+          style={[styles.primaryButton, styles.stopButton]}
+          onPress={onStop}
+          disabled={disabled}
+        >
+          <Ionicons name='stop' size={18} color='white' />
+          <Text style={styles.primaryButtonText}>Stop</Text>
+        </TouchableOpacity>
+      ) : (
+        <View style={styles.actionsRow}>
+          <TouchableOpacity style={styles.secondaryButton} onPress={onDiscard} disabled={disabled}>
+            <Text style={[styles.secondaryButtonText, styles.discardText]}>Discard</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.secondaryButton} onPress={onResume} disabled={disabled}>
+            <Text style={styles.secondaryButtonText}>Resume</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.primaryButton} onPress={onLog} disabled={disabled}>
+            <Ionicons name='create-outline' size={18} color='white' />
+            <Text style={styles.primaryButtonText}>Log Activity</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'white',
+    marginHorizontal: 16,
+    marginTop: 12,
+    padding: 16,
+    borderRadius: 12,
+    borderLeftWidth: 4,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 1,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  infoRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  iconContainer: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  info: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  status: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  elapsed: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#48b6b0',
+    fontVariant: ['tabular-nums'],
+  },
+  elapsedStopped: {
+    color: '#999',
+  },
+  actionsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    marginTop: 12,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#48b6b0',
+    borderRadius: 8,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    marginTop: 12,
+  },
+  stopButton: {
+    backgroundColor: '#FF3B30',
+  },
+  primaryButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: 'white',
+    marginLeft: 6,
+  },
+  secondaryButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginTop: 12,
+    marginRight: 4,
+  },
+  secondaryButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#48b6b0',
+  },
+  discardText: {
+    color: '#FF3B30',
+  },
+});
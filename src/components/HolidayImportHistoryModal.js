@@ -0,0 +1,249 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  FlatList,
+  Image,
+  Alert,
+  Platform,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import HolidayImportService from '../services/HolidayImportService';
+import {
+  HOLIDAY_IMPORT_BATCH_STATUS,
+  getHolidayImportBatchSummary,
+} from '../utils/holidayImportUtils';
+
+const formatImportDate = (isoString) =>
+  new Date(isoString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+export default function HolidayImportHistoryModal({ visible, onClose, childId, childName }) {
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [undoingBatchId, setUndoingBatchId] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      loadBatches();
+    }
+  }, [visible, childId]);
+
+  const loadBatches = async () => {
+    setLoading(true);
+    setBatches(await HolidayImportService.getBatches(childId));
+    setLoading(false);
+  };
+
+  const handleUndo = (batch) => {
+    Alert.alert(
+      'Undo Import',
+      `Remove the ${batch.count} event(s) added by this import for ${(batch.childNames || [childName]).join(', ')}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Undo Import',
+          style: 'destructive',
+          onPress: async () => {
+            setUndoingBatchId(batch.id);
+            const undone = await HolidayImportService.undoBatch(batch.id);
+            setUndoingBatchId(null);
+            if (!undone) {
+              Alert.alert('Error', 'Failed to undo the import. Please try again.');
+              return;
+            }
+            await loadBatches();
+          },
+        },
+      ]
+    );
+  };
+
+  const renderBatch = ({ item: batch }) => {
+    const undone = batch.status === HOLIDAY_IMPORT_BATCH_STATUS.UNDONE;
+
+    return (
+      <View style={[styles.batchRow, undone && styles.undoneBatchRow]}>
+        {batch.sourceImageUri ? (
+          <Image source={{ uri: batch.sourceImageUri }} style={styles.thumbnail} />
+        ) : (
+          <View style={[styles.thumbnail, styles.thumbnailPlaceholder]}>
+            <Ionicons name='image-outline' size={20} color='#999' />
+          </View>
+        )}
+        <View style={styles.batchInfo}>
+          <Text style={styles.batchTitle}>{formatImportDate(batch.importedAt)}</Text>
+          <Text style={styles.batchDetails}>{getHolidayImportBatchSummary(batch)}</Text>
+          {undone && (
+            <Text style={styles.undoneText}>Undone {formatImportDate(batch.undoneAt)}</Text>
+          )}
+        </View>
+        {!undone &&
+          (undoingBatchId === batch.id ? (
+            <ActivityIndicator size='small' color='#48b6b0' />
+          ) : (
+            <TouchableOpacity
+              style={styles.undoButton}
+              onPress={() => handleUndo(batch)}
+              disabled={undoingBatchId !== null}
+            >
+              <Text style={styles.undoButtonText}>Undo</Text>
+            </TouchableOpacity>
+          ))}
+      </View>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType='slide'
+      presentationStyle='pageSheet'
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <View style={styles.headerSpacer} />
+          <Text style={styles.headerTitle}>Import History</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.doneButton}>Done</Text>
+          </TouchableOpacity>
+        </View>
+
+        {loading ? (
+          <View style={styles.loadingContainer}>
+            <ActivityIndicator size='large' color='#48b6b0' />
+          </View>
+        ) : (
+          <FlatList
+            data={batches}
+            keyExtractor={(batch) => batch.id}
+            renderItem={renderBatch}
+            contentContainerStyle={batches.length === 0 && styles.emptyContent}
+            ListEmptyComponent={
+              <View style={styles.emptyState}>
+                <Ionicons name='time-outline' size={64} color='#ccc' />
+                <Text style={styles.emptyStateText}>
+                  Holiday calendars imported for {childName} will appear here
+                </Text>
+              </View>
+            }
+          />
+        )}
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    paddingTop: Platform.OS === 'ios' ? 50 : 20,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  headerSpacer: {
+    width: 40,
+  },
+  doneButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  batchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  undoneBatchRow: {
+    opacity: 0.6,
+  },
+  thumbnail: {
+    width: 44,
+    height: 44,
+    borderRadius: 6,
+    marginRight: 12,
+  },
+  thumbnailPlaceholder: {
+    backgroundColor: '#f0f0f0',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  batchInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  batchTitle: {
+    fontSize: 16,
+    color: '#333',
+    fontWeight: '500',
+  },
+  batchDetails: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+  undoneText: {
+    fontSize: 12,
+    color: '#FF3B30',
+    marginTop: 2,
+  },
+  undoButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#48b6b0',
+  },
+  undoButtonText: {
+    fontSize: 14,
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  emptyContent: {
+    flexGrow: 1,
+  },
+  emptyState: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 80,
+    paddingHorizontal: 40,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 16,
+  },
+});
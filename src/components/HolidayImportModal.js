@@ -16,7 +16,9 @@ import { Ionicons } from '@expo/vector-icons';
 import * as ImagePicker from 'expo-image-picker';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import TextractService from '../services/TextractService';
-import CalendarEventsService from '../services/CalendarEventsService';
+import ChildrenDataService from '../services/ChildrenDataService';
+import SchoolYearService from '../services/SchoolYearService';
+import HolidayImportService from '../services/HolidayImportService';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 export default function HolidayImportModal({
@@ -34,6 +36,72 @@ export default function HolidayImportModal({
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [tempDate, setTempDate] = useState(new Date());
   const [reminderDays, setReminderDays] = useState(90); // Default to 90 days before
+  const [academicYear, setAcademicYear] = useState(null); // e.g. { startYear: 2025, endYear: 2026 }
+  const [children, setChildren] = useState([]);
+  // Siblings at the same school share one holiday calendar, so a sheet can be imported for several children
+  const [selectedChildren, setSelectedChildren] = useState([]);
+
+  const getChildDisplayName = (child) => {
+    return child.nickname || child.firstName || child.name;
+  };
+
+  const toChildSelection = (child) => ({
+    id: child.id,
+    name: getChildDisplayName(child),
+    color: child.favourColor || '#48b6b0',
+  });
+
+  const getSelectedChildNames = () =>
+    selectedChildren.map((child) => child.name).join(', ');
+
+  const loadChildren = async () => {
+    try {
+      const storedChildren = await ChildrenDataService.getChildren();
+      setChildren(storedChildren);
+
+      // Start with the child whose profile the import was opened from
+      const currentChild = storedChildren.find((child) => child.id === childId);
+      setSelectedChildren([
+        currentChild ? toChildSelection(currentChild) : { id: childId, name: childName, color: '#48b6b0' },
+      ]);
+    } catch (error) {
+      console.error('Error loading children:', error);
+      setSelectedChildren([{ id: childId, name: childName, color: '#48b6b0' }]);
+    }
+  };
+
+  const toggleChildSelection = (child) => {
+    setSelectedChildren((prev) => {
+      if (prev.some((c) => c.id === child.id)) {
+        return prev.filter((c) => c.id !== child.id);
+      }
+      return [...prev, toChildSelection(child)];
+    });
+  };
+
+  // Lines imported earlier are matched again, as the children they lack depend on the selection
+  const refreshPreviousImportFlags = async () => {
+    const flaggedItems = await HolidayImportService.flagPreviousImports(
+      selectedChildren.map((child) => child.id),
+      extractedText
+    );
+    setExtractedText((prev) =>
+      prev.map((item) => {
+        const flagged = flaggedItems.find((flaggedItem) => flaggedItem.id === item.id);
+        return {
+          ...item,
+          duplicateOf: flagged?.duplicateOf || null,
+          missingChildIds: flagged?.missingChildIds || [],
+        };
+      })
+    );
+  };
+
+  React.useEffect(() => {
+    if (step === 'review') {
+      refreshPreviousImportFlags();
+    }
+  }, [selectedChildren]);
 
   const requestPermissions = async () => {
     const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
@@ -136,7 +204,13 @@ export default function HolidayImportModal({
         return;
       }
 
-      setExtractedText(textItems);
+      setAcademicYear(TextractService.extractYearRange(textResult.fullText));
+      setExtractedText(
+        await HolidayImportService.flagPreviousImports(
+          selectedChildren.map((child) => child.id),
+          textItems
+        )
+      );
       setStep('review');
       console.log('=== PROCESSING COMPLETED SUCCESSFULLY ===');
     } catch (error) {
@@ -165,7 +239,12 @@ export default function HolidayImportModal({
 
   const selectAllText = () => {
     setExtractedText((prev) =>
-      prev.map((textItem) => ({ ...textItem, selected: true }))
+      // Lines from an earlier import are left out, as with calendar file imports,
+      // unless they are being imported for more children
+      prev.map((textItem) => ({
+        ...textItem,
+        selected: !textItem.duplicateOf || textItem.missingChildIds?.length > 0,
+      }))
     );
   };
 
@@ -215,10 +294,17 @@ export default function HolidayImportModal({
     const day = String(newDate.getDate()).padStart(2, '0');
     const formattedDate = `${year}-${month}-${day}`;
 
-    // Update the item in the list
+    // Update the item in the list; a corrected date no longer matches the earlier import
     setExtractedText((prev) =>
       prev.map((item) =>
-        item.id === editingItem.id ? { ...item, date: formattedDate } : item
+        item.id === editingItem.id
+          ? {
+              ...item,
+              date: formattedDate,
+              duplicateOf: formattedDate === item.date ? item.duplicateOf : null,
+              missingChildIds: formattedDate === item.date ? item.missingChildIds : [],
+            }
+          : item
       )
     );
 
@@ -242,6 +328,14 @@ export default function HolidayImportModal({
       return;
     }
 
+    if (selectedChildren.length === 0) {
+      Alert.alert(
+        'No Children Selected',
+        'Please select at least one child for these holidays.'
+      );
+      return;
+    }
+
     setLoading(true);
 
     try {
@@ -249,23 +343,31 @@ export default function HolidayImportModal({
       console.log(`Processing ${selectedText.length} selected items`);
 
       const events = [];
+      const childAdditions = [];
 
       for (const item of selectedText) {
-        if (item.date) {
+        if (item.duplicateOf && item.missingChildIds?.length > 0) {
+          // Share the holiday imported earlier instead of adding it a second time
+          childAdditions.push({
+            eventId: item.duplicateOf.id,
+            children: selectedChildren.filter((child) => item.missingChildIds.includes(child.id)),
+          });
+          console.log(`Sharing existing holiday: ${item.content} on ${item.date}`);
+        } else if (item.date) {
           // Create holiday event with specific date
           const event = {
-            id: `holiday_${Date.now()}_${Math.random()}`,
             title: item.content,
             eventType: 'Holiday',
             startDate: item.date, // Use startDate for all-day events
             endDate: item.date, // Same date for single-day holidays
             isAllDay: true, // Holidays are typically all-day events
-            description: `Holiday imported from image for ${childName}${
+            description: `Holiday imported from image for ${getSelectedChildNames()}${
               item.isMultiDate
                 ? ` (Part ${item.dateIndex} of ${item.totalDates})`
                 : ''
             }`,
-            childId: childId,
+            // One shared event per date for all selected children
+            selectedChildren,
             type: 'holiday',
             remindersEnabled: reminderDays > 0,
             reminders: reminderDays > 0 ? [`custom_${reminderDays}_days`] : [],
@@ -280,7 +382,6 @@ export default function HolidayImportModal({
         } else {
           // Create note event for items without dates
           const event = {
-            id: `note_${Date.now()}_${Math.random()}`,
             title: `Note: ${item.content}`,
             eventType: 'Personal',
             date:
@@ -290,8 +391,8 @@ export default function HolidayImportModal({
               '-' +
               String(new Date().getDate()).padStart(2, '0'),
             time: '09:00',
-            description: `Text extracted from image for ${childName}`,
-            childId: childId,
+            description: `Text extracted from image for ${getSelectedChildNames()}`,
+            selectedChildren,
             type: 'note',
             reminder: false,
           };
@@ -301,22 +402,65 @@ export default function HolidayImportModal({
         }
       }
 
-      // Save all events to calendar
-      for (const event of events) {
-        await CalendarEventsService.addEvent(event);
+      // Fill in each child's school year with the terms and breaks from the timetable
+      const schoolYearItems = selectedText
+        .filter((item) => item.date)
+        .map((item) => ({
+          title: item.content,
+          date: item.date,
+          groupId: `line_${item.lineNumber}`,
+        }));
+      const schoolYearResults = [];
+      for (const child of selectedChildren) {
+        const result = await SchoolYearService.importHolidays(
+          child.id,
+          academicYear,
+          schoolYearItems
+        );
+        if (result) {
+          schoolYearResults.push({ ...result, childName: child.name });
+        }
+      }
+
+      // Save all events to calendar as one import that can be undone
+      const importResult = await HolidayImportService.importEvents(
+        {
+          childIds: selectedChildren.map((child) => child.id),
+          childNames: selectedChildren.map((child) => child.name),
+          sourceImageUri: selectedImage?.uri || null,
+          skippedCount: extractedText.filter((t) => t.duplicateOf && !t.selected).length,
+          schoolYearChanges: schoolYearResults.map((result) => ({
+            schoolYearId: result.schoolYear.id,
+            periodIds: result.addedPeriodIds,
+          })),
+        },
+        events,
+        childAdditions
+      );
+      if (!importResult) {
+        throw new Error('No events were saved');
       }
 
-      const holidayCount = events.filter((e) => e.type === 'holiday').length;
-      const noteCount = events.filter((e) => e.type === 'note').length;
+      const { holidayCount, updatedHolidayCount } = importResult.batch;
+      const updatedMessage = updatedHolidayCount > 0
+        ? ` ${updatedHolidayCount} holiday(s) imported before are now shared with them too.`
+        : '';
+      const schoolYearMessage = schoolYearResults.length > 0
+        ? ` School years updated: ${schoolYearResults
+            .map(({ childName, schoolYear }) =>
+              `${childName}'s ${schoolYear.label} now has ${schoolYear.terms.length} term(s) and ${schoolYear.breaks.length} break(s)`
+            )
+            .join('; ')}.`
+        : '';
 
       Alert.alert(
         'Success',
-        `Successfully imported ${holidayCount} holiday(s) to ${childName}'s calendar!`,
+        `Successfully imported ${holidayCount} holiday(s) for ${getSelectedChildNames()}!${updatedMessage}${schoolYearMessage} You can undo this import from Import History.`,
         [{ text: 'OK', onPress: () => handleClose() }]
       );
 
       console.log('=== IMPORT COMPLETED SUCCESSFULLY ===');
-      console.log(`Total events created: ${events.length}`);
+      console.log(`Total events created: ${importResult.batch.count}`);
     } catch (error) {
       console.error('Import error:', error);
       Alert.alert('Error', 'Failed to import holidays to calendar.');
@@ -335,6 +479,7 @@ export default function HolidayImportModal({
     setShowDatePicker(false);
     setTempDate(new Date());
     setReminderDays(90);
+    setAcademicYear(null);
   };
 
   const checkLocalData = async () => {
@@ -352,6 +497,7 @@ export default function HolidayImportModal({
   React.useEffect(() => {
     if (visible) {
       checkLocalData();
+      loadChildren();
     }
   }, [visible]);
 
@@ -405,7 +551,13 @@ export default function HolidayImportModal({
         return;
       }
 
-      setExtractedText(textItems);
+      setAcademicYear(TextractService.extractYearRange(textResult.fullText));
+      setExtractedText(
+        await HolidayImportService.flagPreviousImports(
+          selectedChildren.map((child) => child.id),
+          textItems
+        )
+      );
       setStep('review');
       console.log('=== LOCAL DATA PROCESSING COMPLETED SUCCESSFULLY ===');
     } catch (error) {
@@ -455,6 +607,19 @@ export default function HolidayImportModal({
               </Text>
             </View>
             <View style={styles.cardActions}>
+              {item.duplicateOf && (
+                <View style={styles.duplicateBadge}>
+                  <Ionicons name='copy-outline' size={12} color='#FF9500' />
+                  <Text style={styles.duplicateBadgeText}>
+                    {item.missingChildIds?.length > 0
+                      ? `Imported before · adds ${selectedChildren
+                          .filter((child) => item.missingChildIds.includes(child.id))
+                          .map((child) => child.name)
+                          .join(', ')}`
+                      : 'Already imported'}
+                  </Text>
+                </View>
+              )}
               {item.date && (
                 <TouchableOpacity
                   style={styles.editButton}
@@ -485,7 +650,7 @@ export default function HolidayImportModal({
             <Ionicons name='close' size={24} color='#48b6b0' />
           </TouchableOpacity>
           <Text style={styles.title}>Import School Holidays</Text>
-          <Text style={styles.subtitle}>for {childName}</Text>
+          <Text style={styles.subtitle}>for {getSelectedChildNames() || childName}</Text>
         </View>
 
         {/* Content */}
@@ -628,6 +793,39 @@ export default function HolidayImportModal({
                     </Text>
                   </View>
 
+                  {/* Children Selection */}
+                  <View style={styles.reminderSection}>
+                    <View style={styles.reminderHeader}>
+                      <Ionicons name='people' size={20} color='#48b6b0' />
+                      <Text style={styles.reminderTitle}>Add to</Text>
+                    </View>
+                    <Text style={styles.reminderDescription}>
+                      Children at the same school share one event per holiday
+                    </Text>
+                    <View style={styles.childrenRow}>
+                      {children.map((child) => {
+                        const isSelected = selectedChildren.some((c) => c.id === child.id);
+                        return (
+                          <TouchableOpacity
+                            key={child.id}
+                            style={[
+                              styles.childChip,
+                              isSelected && styles.selectedChildChip,
+                              isSelected && { borderColor: child.favourColor || '#48b6b0' },
+                            ]}
+                            onPress={() => toggleChildSelection(child)}
+                            accessibilityRole='checkbox'
+                            accessibilityState={{ checked: isSelected }}
+                          >
+                            <Text style={[styles.childChipText, isSelected && styles.selectedChildChipText]}>
+                              {getChildDisplayName(child)}
+                            </Text>
+                          </TouchableOpacity>
+                        );
+                      })}
+                    </View>
+                  </View>
+
                   <View style={styles.selectionControls}>
                     <TouchableOpacity
                       style={[styles.selectionButton, styles.selectAllButton]}
@@ -965,6 +1163,32 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#333',
   },
+  childrenRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  childChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 2,
+    borderColor: '#ddd',
+    backgroundColor: '#f9f9f9',
+  },
+  selectedChildChip: {
+    backgroundColor: '#E3F2FD',
+    borderColor: '#48b6b0',
+  },
+  childChipText: {
+    fontSize: 14,
+    color: '#666',
+    fontWeight: '500',
+  },
+  selectedChildChipText: {
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
   reminderDescription: {
     fontSize: 14,
     color: '#666',
@@ -1146,6 +1370,20 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     gap: 8,
   },
+  duplicateBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF4E5',
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+  },
+  duplicateBadgeText: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#FF9500',
+    marginLeft: 4,
+  },
   editButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -0,0 +1,676 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  FlatList,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import CalendarEventsService from '../services/CalendarEventsService';
+import ChildrenDataService from '../services/ChildrenDataService';
+import { describeRecurrence, getEventStartDateString } from '../utils/recurrenceUtils';
+
+export default function ICSImportModal({ visible, onClose, onImported }) {
+  const [loading, setLoading] = useState(false);
+  const [step, setStep] = useState('select'); // 'select', 'processing', 'review'
+  const [fileName, setFileName] = useState('');
+  const [importedEvents, setImportedEvents] = useState([]);
+  const [children, setChildren] = useState([]);
+  const [selectedChildren, setSelectedChildren] = useState([]);
+
+  useEffect(() => {
+    if (visible) {
+      loadChildren();
+    }
+  }, [visible]);
+
+  const loadChildren = async () => {
+    try {
+      const storedChildren = await ChildrenDataService.getChildren();
+      setChildren(storedChildren);
+    } catch (error) {
+      console.error('Error loading children:', error);
+    }
+  };
+
+  const getChildDisplayName = (child) => {
+    return child.nickname || child.firstName || child.name;
+  };
+
+  const resetModal = () => {
+    setStep('select');
+    setFileName('');
+    setImportedEvents([]);
+    setSelectedChildren([]);
+    setLoading(false);
+  };
+
+  const handleClose = () => {
+    resetModal();
+    onClose();
+  };
+
+  const selectFile = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['text/calendar', 'text/x-vcalendar', 'application/ics', 'application/octet-stream'],
+        copyToCacheDirectory: true,
+        multiple: false,
+      });
+
+      if (result.canceled || !result.assets?.[0]) {
+        return;
+      }
+
+      const asset = result.assets[0];
+      setFileName(asset.name || 'calendar.ics');
+      setStep('processing');
+      setLoading(true);
+
+      const icsText = await FileSystem.readAsStringAsync(asset.uri, {
+        encoding: FileSystem.EncodingType.UTF8,
+      });
+      const events = await CalendarEventsService.previewICSImport(icsText);
+
+      if (!events) {
+        Alert.alert('Import Error', 'This file could not be read as a calendar.');
+        resetModal();
+        return;
+      }
+
+      if (events.length === 0) {
+        Alert.alert('No Events Found', 'This calendar file does not contain any events.');
+        resetModal();
+        return;
+      }
+
+      // Events that already exist start unselected
+      setImportedEvents(
+        events.map((event) => ({ ...event, selected: !event.duplicateOf }))
+      );
+      setStep('review');
+    } catch (error) {
+      console.error('Error reading calendar file:', error);
+      Alert.alert('Import Error', `Failed to read the calendar file: ${error.message}`);
+      resetModal();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleEventSelection = (importId) => {
+    setImportedEvents((prev) =>
+      prev.map((event) =>
+        event.importId === importId ? { ...event, selected: !event.selected } : event
+      )
+    );
+  };
+
+  const selectAllEvents = () => {
+    setImportedEvents((prev) => prev.map((event) => ({ ...event, selected: true })));
+  };
+
+  const clearAllSelections = () => {
+    setImportedEvents((prev) => prev.map((event) => ({ ...event, selected: false })));
+  };
+
+  const toggleChildSelection = (child) => {
+    setSelectedChildren((prev) => {
+      if (prev.some((c) => c.id === child.id)) {
+        return prev.filter((c) => c.id !== child.id);
+      }
+      return [
+        ...prev,
+        {
+          id: child.id,
+          name: getChildDisplayName(child),
+          color: child.favourColor || '#48b6b0',
+        },
+      ];
+    });
+  };
+
+  const saveSelectedEvents = async () => {
+    const eventsToImport = importedEvents.filter((event) => event.selected);
+
+    if (eventsToImport.length === 0) {
+      Alert.alert('No Selection', 'Please select at least one event to import.');
+      return;
+    }
+
+    if (selectedChildren.length === 0) {
+      Alert.alert('No Children Selected', 'Please select at least one child for these events.');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const eventsData = eventsToImport.map(({ selected, ...event }) => event);
+      const { importedCount, failedCount } = await CalendarEventsService.importICSEvents(
+        eventsData,
+        selectedChildren
+      );
+
+      onImported && onImported(importedCount);
+
+      const message = failedCount > 0
+        ? `Imported ${importedCount} event(s). ${failedCount} event(s) could not be saved.`
+        : `Successfully imported ${importedCount} event(s) to your calendar!`;
+      Alert.alert(failedCount > 0 ? 'Import Finished' : 'Success', message, [
+        { text: 'OK', onPress: () => handleClose() },
+      ]);
+    } catch (error) {
+      console.error('Import error:', error);
+      Alert.alert('Error', 'Failed to import events to calendar.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatEventDate = (event) => {
+    if (event.isAllDay) {
+      const [year, month, day] = event.startDate.split('-').map(Number);
+      const startText = new Date(year, month - 1, day).toLocaleDateString();
+      if (event.endDate && event.endDate !== event.startDate) {
+        const [endYear, endMonth, endDay] = event.endDate.split('-').map(Number);
+        return `${startText} - ${new Date(endYear, endMonth - 1, endDay).toLocaleDateString()}`;
+      }
+      return `${startText} (All day)`;
+    }
+
+    const start = new Date(event.startDateTime);
+    return `${start.toLocaleDateString()} ${start.toLocaleTimeString('en-US', {
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true,
+    })}`;
+  };
+
+  const selectedCount = importedEvents.filter((event) => event.selected).length;
+  const duplicateCount = importedEvents.filter((event) => event.duplicateOf).length;
+
+  const renderEventItem = ({ item, index }) => (
+    <TouchableOpacity
+      style={[styles.eventItem, item.selected && styles.selectedEventItem]}
+      onPress={() => toggleEventSelection(item.importId)}
+      activeOpacity={0.7}
+      accessibilityRole="checkbox"
+      accessibilityState={{ checked: item.selected }}
+    >
+      <View style={styles.eventItemContent}>
+        <View style={styles.itemNumber}>
+          {item.selected ? (
+            <Ionicons name='checkmark' size={16} color='white' />
+          ) : (
+            <Text style={styles.itemNumberText}>{index + 1}</Text>
+          )}
+        </View>
+        <View style={styles.eventInfo}>
+          <Text style={styles.eventTitle} numberOfLines={2}>
+            {item.title}
+          </Text>
+          <View style={styles.eventMeta}>
+            <Ionicons name='calendar-outline' size={12} color='#48b6b0' />
+            <Text style={styles.eventMetaText}>{formatEventDate(item)}</Text>
+          </View>
+          {item.recurrence && (
+            <View style={styles.eventMeta}>
+              <Ionicons name='repeat' size={12} color='#48b6b0' />
+              <Text style={styles.eventMetaText}>
+                {describeRecurrence(item.recurrence, getEventStartDateString(item))}
+              </Text>
+            </View>
+          )}
+          {item.hasUnsupportedRecurrence && (
+            <View style={styles.eventMeta}>
+              <Ionicons name='information-circle-outline' size={12} color='#FF9500' />
+              <Text style={[styles.eventMetaText, styles.warningText]}>
+                Repeat rule not supported, only the first date will be imported
+              </Text>
+            </View>
+          )}
+          {item.duplicateOf && (
+            <View style={styles.duplicateBadge}>
+              <Ionicons name='copy-outline' size={12} color='#FF9500' />
+              <Text style={styles.duplicateBadgeText}>Already in calendar</Text>
+            </View>
+          )}
+        </View>
+      </View>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType='slide'
+      presentationStyle='pageSheet'
+      onRequestClose={handleClose}
+    >
+      <View style={styles.container}>
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity onPress={handleClose} style={styles.closeButton}>
+            <Ionicons name='close' size={24} color='#48b6b0' />
+          </TouchableOpacity>
+          <Text style={styles.title}>Import Calendar File</Text>
+          {!!fileName && <Text style={styles.subtitle}>{fileName}</Text>}
+        </View>
+
+        {/* Content */}
+        <View style={styles.content}>
+          {step === 'select' && (
+            <ScrollView style={styles.scrollContent}>
+              <View style={styles.selectStep}>
+                <Text style={styles.stepDescription}>
+                  Choose an .ics file, such as term dates or a club schedule, to add its events to your calendar
+                </Text>
+
+                <TouchableOpacity style={styles.fileOption} onPress={selectFile}>
+                  <Ionicons name='document-text' size={48} color='#48b6b0' />
+                  <Text style={styles.fileOptionText}>Choose .ics File</Text>
+                </TouchableOpacity>
+              </View>
+            </ScrollView>
+          )}
+
+          {step === 'processing' && (
+            <View style={styles.processingStep}>
+              <ActivityIndicator size='large' color='#48b6b0' style={styles.loader} />
+              <Text style={styles.processingText}>Reading calendar file...</Text>
+              <Text style={styles.processingSubtext}>Checking for events already in your calendar</Text>
+            </View>
+          )}
+
+          {step === 'review' && (
+            <>
+              <ScrollView style={styles.scrollContent}>
+                <View style={styles.reviewStep}>
+                  <View style={styles.headerSection}>
+                    <Text style={styles.stepTitle}>
+                      {importedEvents.length} Event{importedEvents.length === 1 ? '' : 's'} Found
+                    </Text>
+                    <Text style={styles.stepDescription}>
+                      {duplicateCount > 0
+                        ? `${duplicateCount} already in your calendar and unselected. Review and select the events you want to import.`
+                        : 'Review and select the events you want to import'}
+                    </Text>
+                  </View>
+
+                  {/* Children Selection */}
+                  <View style={styles.childrenSection}>
+                    <Text style={styles.sectionTitle}>Add to</Text>
+                    <View style={styles.childrenRow}>
+                      {children.map((child) => {
+                        const isSelected = selectedChildren.some((c) => c.id === child.id);
+                        return (
+                          <TouchableOpacity
+                            key={child.id}
+                            style={[
+                              styles.childChip,
+                              isSelected && styles.selectedChildChip,
+                              isSelected && { borderColor: child.favourColor || '#48b6b0' },
+                            ]}
+                            onPress={() => toggleChildSelection(child)}
+                            accessibilityRole="checkbox"
+                            accessibilityState={{ checked: isSelected }}
+                          >
+                            <Text style={[styles.childChipText, isSelected && styles.selectedChildChipText]}>
+                              {getChildDisplayName(child)}
+                            </Text>
+                          </TouchableOpacity>
+                        );
+                      })}
+                    </View>
+                  </View>
+
+                  <View style={styles.selectionControls}>
+                    <TouchableOpacity
+                      style={[styles.selectionButton, styles.selectAllButton]}
+                      onPress={selectAllEvents}
+                    >
+                      <Ionicons name='checkmark-done' size={16} color='#48b6b0' />
+                      <Text style={[styles.selectionButtonText, styles.selectAllButtonText]}>
+                        Select All ({importedEvents.length})
+                      </Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={[styles.selectionButton, styles.clearAllButton]}
+                      onPress={clearAllSelections}
+                    >
+                      <Ionicons name='close-circle' size={16} color='#FF3B30' />
+                      <Text style={[styles.selectionButtonText, styles.clearAllButtonText]}>
+                        Clear All
+                      </Text>
+                    </TouchableOpacity>
+                  </View>
+
+                  <FlatList
+                    data={importedEvents}
+                    renderItem={renderEventItem}
+                    keyExtractor={(item) => item.importId}
+                    scrollEnabled={false}
+                    showsVerticalScrollIndicator={false}
+                  />
+                </View>
+              </ScrollView>
+
+              <View style={styles.fixedBottomActions}>
+                <TouchableOpacity style={styles.backButton} onPress={resetModal}>
+                  <Ionicons name='arrow-back' size={18} color='#666' />
+                  <Text style={styles.backButtonText}>Back</Text>
+                </TouchableOpacity>
+
+                <TouchableOpacity
+                  style={[styles.saveButton, selectedCount > 0 && styles.saveButtonActive]}
+                  onPress={saveSelectedEvents}
+                  disabled={selectedCount === 0 || loading}
+                >
+                  {loading ? (
+                    <ActivityIndicator size='small' color='white' />
+                  ) : (
+                    <>
+                      <Ionicons name='save' size={18} color='white' />
+                      <Text style={styles.saveButtonText}>Import ({selectedCount})</Text>
+                    </>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    alignItems: 'center',
+    padding: 20,
+    paddingTop: Platform.OS === 'ios' ? 50 : 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  closeButton: {
+    position: 'absolute',
+    left: 20,
+    top: Platform.OS === 'ios' ? 50 : 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  content: {
+    flex: 1,
+  },
+  scrollContent: {
+    flex: 1,
+  },
+  selectStep: {
+    padding: 20,
+    alignItems: 'center',
+  },
+  stepTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  stepDescription: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    lineHeight: 20,
+    marginBottom: 20,
+  },
+  fileOption: {
+    alignItems: 'center',
+    padding: 30,
+    backgroundColor: 'white',
+    borderRadius: 15,
+    borderWidth: 2,
+    borderColor: '#48b6b0',
+    borderStyle: 'dashed',
+    width: '80%',
+  },
+  fileOptionText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#48b6b0',
+    marginTop: 10,
+  },
+  processingStep: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  loader: {
+    marginBottom: 20,
+  },
+  processingText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  processingSubtext: {
+    fontSize: 14,
+    color: '#666',
+  },
+  reviewStep: {
+    padding: 20,
+    paddingBottom: 100,
+  },
+  headerSection: {
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  childrenSection: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 12,
+  },
+  childrenRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  childChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 2,
+    borderColor: '#ddd',
+    backgroundColor: '#f9f9f9',
+  },
+  selectedChildChip: {
+    backgroundColor: '#E3F2FD',
+    borderColor: '#48b6b0',
+  },
+  childChipText: {
+    fontSize: 14,
+    color: '#666',
+    fontWeight: '500',
+  },
+  selectedChildChipText: {
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  selectionControls: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+    gap: 10,
+  },
+  selectionButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    backgroundColor: 'white',
+  },
+  selectAllButton: {
+    borderColor: '#48b6b0',
+  },
+  clearAllButton: {
+    borderColor: '#FF3B30',
+  },
+  selectionButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  selectAllButtonText: {
+    color: '#48b6b0',
+  },
+  clearAllButtonText: {
+    color: '#FF3B30',
+  },
+  eventItem: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 10,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  selectedEventItem: {
+    borderColor: '#48b6b0',
+    backgroundColor: '#f0fffe',
+  },
+  eventItemContent: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  itemNumber: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: '#48b6b0',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  itemNumberText: {
+    color: 'white',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  eventInfo: {
+    flex: 1,
+  },
+  eventTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 6,
+  },
+  eventMeta: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  eventMetaText: {
+    fontSize: 12,
+    color: '#666',
+    marginLeft: 6,
+    flex: 1,
+  },
+  warningText: {
+    color: '#FF9500',
+  },
+  duplicateBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    backgroundColor: '#FFF4E5',
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    marginTop: 4,
+  },
+  duplicateBadgeText: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#FF9500',
+    marginLeft: 4,
+  },
+  fixedBottomActions: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    flexDirection: 'row',
+    padding: 20,
+    paddingBottom: Platform.OS === 'ios' ? 34 : 20,
+    backgroundColor: 'white',
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+    gap: 12,
+  },
+  backButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    paddingHorizontal: 20,
+    borderRadius: 10,
+    backgroundColor: '#f0f0f0',
+  },
+  backButtonText: {
+    fontSize: 16,
+    color: '#666',
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  saveButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 10,
+    backgroundColor: '#ccc',
+  },
+  saveButtonActive: {
+    backgroundColor: '#48b6b0',
+  },
+  saveButtonText: {
+    fontSize: 16,
+    color: 'white',
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+});
@@ -0,0 +1,369 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  Platform,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import CalendarEventsService from '../services/CalendarEventsService';
+import ChildrenDataService from '../services/ChildrenDataService';
+import { getPublicHolidayPackYears, getPublicHolidayRegions } from '../utils/publicHolidayUtils';
+
+const REGIONS = getPublicHolidayRegions();
+
+export default function PublicHolidaysModal({ visible, onClose }) {
+  const [installedPacks, setInstalledPacks] = useState({});
+  const [children, setChildren] = useState([]);
+  const [selectedChildren, setSelectedChildren] = useState([]);
+  const [busyPack, setBusyPack] = useState(null); // "HK_2026" while a pack is being added or removed
+
+  useEffect(() => {
+    if (visible) {
+      loadData();
+    }
+  }, [visible]);
+
+  const getChildDisplayName = (child) => {
+    return child.nickname || child.firstName || child.name;
+  };
+
+  const toChildSelection = (child) => ({
+    id: child.id,
+    name: getChildDisplayName(child),
+    color: child.favourColor || '#48b6b0',
+  });
+
+  const loadData = async () => {
+    try {
+      const [packs, storedChildren] = await Promise.all([
+        CalendarEventsService.getPublicHolidayPacks(),
+        ChildrenDataService.getChildren(),
+      ]);
+      setInstalledPacks(packs);
+      setChildren(storedChildren);
+      // Public holidays apply to the whole family
+      setSelectedChildren(storedChildren.map(toChildSelection));
+    } catch (error) {
+      console.error('Error loading public holidays:', error);
+    }
+  };
+
+  const toggleChildSelection = (child) => {
+    setSelectedChildren((prev) => {
+      if (prev.some((c) => c.id === child.id)) {
+        return prev.filter((c) => c.id !== child.id);
+      }
+      return [...prev, toChildSelection(child)];
+    });
+  };
+
+  const handleAddPack = async (region, year) => {
+    if (!region.years.includes(year)) {
+      Alert.alert(
+        'Not Available Yet',
+        `The ${year} public holidays for ${region.name} aren't included with this version of the app. Update the app once they are published.`
+      );
+      return;
+    }
+    if (selectedChildren.length === 0) {
+      Alert.alert('No Children Selected', 'Please select at least one child for these holidays.');
+      return;
+    }
+
+    setBusyPack(`${region.code}_${year}`);
+    const result = await CalendarEventsService.importPublicHolidayPack(
+      region.code,
+      year,
+      selectedChildren
+    );
+    setBusyPack(null);
+
+    if (!result) {
+      Alert.alert('Error', `Failed to add ${region.name} public holidays. Please try again.`);
+      return;
+    }
+    if (result.failedCount > 0) {
+      Alert.alert(
+        'Import Finished',
+        `Added ${result.importedCount} holiday(s). ${result.failedCount} holiday(s) could not be saved.`
+      );
+    }
+    setInstalledPacks(await CalendarEventsService.getPublicHolidayPacks());
+  };
+
+  const handleRemovePack = (region, year) => {
+    Alert.alert(
+      'Remove Public Holidays',
+      `Remove the ${year} public holidays for ${region.name} from your calendar?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            setBusyPack(`${region.code}_${year}`);
+            const removedCount = await CalendarEventsService.removePublicHolidayPack(region.code, year);
+            setBusyPack(null);
+            if (removedCount === null) {
+              Alert.alert('Error', 'Failed to remove public holidays. Please try again.');
+              return;
+            }
+            setInstalledPacks(await CalendarEventsService.getPublicHolidayPacks());
+          },
+        },
+      ]
+    );
+  };
+
+  const renderPackRow = (region, { year, isBundled }) => {
+    const installedCount = installedPacks[region.code]?.[year];
+    const busy = busyPack === `${region.code}_${year}`;
+
+    if (!isBundled && !installedCount) {
+      return (
+        <View key={year} style={styles.packRow}>
+          <View style={styles.packInfo}>
+            <Text style={[styles.packYear, styles.unavailableText]}>{year}</Text>
+            <Text style={styles.unavailableStatus}>Not included in this version of the app yet</Text>
+          </View>
+          <Ionicons name='time-outline' size={20} color='#999' />
+        </View>
+      );
+    }
+
+    return (
+      <View key={year} style={styles.packRow}>
+        <View style={styles.packInfo}>
+          <Text style={styles.packYear}>{year}</Text>
+          {installedCount ? (
+            <Text style={styles.packStatus}>{installedCount} holidays in your calendar</Text>
+          ) : null}
+        </View>
+        {busy ? (
+          <ActivityIndicator size='small' color='#48b6b0' />
+        ) : installedCount ? (
+          <View style={styles.packActions}>
+            {isBundled && (
+              <TouchableOpacity
+                style={styles.packButton}
+                onPress={() => handleAddPack(region, year)}
+                disabled={busyPack !== null}
+              >
+                <Text style={styles.packButtonText}>Refresh</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              style={styles.removeButton}
+              onPress={() => handleRemovePack(region, year)}
+              disabled={busyPack !== null}
+            >
+              <Ionicons name='trash-outline' size={20} color='#FF3B30' />
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <TouchableOpacity
+            style={[styles.packButton, styles.addPackButton]}
+            onPress={() => handleAddPack(region, year)}
+            disabled={busyPack !== null}
+          >
+            <Text style={[styles.packButtonText, styles.addPackButtonText]}>Add</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType='slide'
+      presentationStyle='pageSheet'
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <View style={styles.headerSpacer} />
+          <Text style={styles.headerTitle}>Public Holidays</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.doneButton}>Done</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Add to</Text>
+            <View style={styles.childrenRow}>
+              {children.map((child) => {
+                const isSelected = selectedChildren.some((c) => c.id === child.id);
+                return (
+                  <TouchableOpacity
+                    key={child.id}
+                    style={[
+                      styles.childChip,
+                      isSelected && styles.selectedChildChip,
+                      isSelected && { borderColor: child.favourColor || '#48b6b0' },
+                    ]}
+                    onPress={() => toggleChildSelection(child)}
+                    accessibilityRole='checkbox'
+                    accessibilityState={{ checked: isSelected }}
+                  >
+                    <Text style={[styles.childChipText, isSelected && styles.selectedChildChipText]}>
+                      {getChildDisplayName(child)}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+            <Text style={styles.hintText}>
+              Holidays are included with the app and work offline. Refreshing a year replaces its
+              holidays with the latest list. Years not included yet arrive with app updates once
+              they are published.
+            </Text>
+          </View>
+
+          {REGIONS.map((region) => (
+            <View key={region.code} style={styles.section}>
+              <Text style={styles.sectionTitle}>{region.name}</Text>
+              {getPublicHolidayPackYears(region).map((packYear) => renderPackRow(region, packYear))}
+            </View>
+          ))}
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    paddingTop: Platform.OS === 'ios' ? 50 : 20,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  headerSpacer: {
+    width: 40,
+  },
+  doneButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: 'white',
+    marginVertical: 8,
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 12,
+  },
+  childrenRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  childChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 2,
+    borderColor: '#ddd',
+    backgroundColor: '#f9f9f9',
+  },
+  selectedChildChip: {
+    backgroundColor: '#E3F2FD',
+    borderColor: '#48b6b0',
+  },
+  childChipText: {
+    fontSize: 14,
+    color: '#666',
+    fontWeight: '500',
+  },
+  selectedChildChipText: {
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  packRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  packInfo: {
+    flex: 1,
+  },
+  packYear: {
+    fontSize: 16,
+    color: '#333',
+  },
+  unavailableText: {
+    color: '#999',
+  },
+  unavailableStatus: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  packStatus: {
+    fontSize: 12,
+    color: '#48b6b0',
+    marginTop: 2,
+  },
+  packActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  packButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#48b6b0',
+  },
+  packButtonText: {
+    fontSize: 14,
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  addPackButton: {
+    backgroundColor: '#48b6b0',
+  },
+  addPackButtonText: {
+    color: 'white',
+  },
+  removeButton: {
+    marginLeft: 12,
+    padding: 4,
+  },
+});
@@ -0,0 +1,645 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  Switch,
+  Alert,
+  Platform,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePickerModal from './DateTimePickerModal';
+import ReadingGoalsService from '../services/ReadingGoalsService';
+import { formatDigestTime } from '../utils/digestUtils';
+import {
+  READING_GOAL_METRICS,
+  READING_GOAL_METRIC_LABELS,
+  READING_GOAL_PERIODS,
+  READING_GOAL_PERIOD_LABELS,
+  DEFAULT_READING_NUDGE_TIME,
+  createReadingGoal,
+  formatReadingGoalAmount,
+  getReadingGoalLabel,
+} from '../utils/readingGoalUtils';
+
+const EMPTY_GOAL_FORM = {
+  metric: READING_GOAL_METRICS.MINUTES,
+  period: READING_GOAL_PERIODS.DAY,
+  target: '',
+  nudgeEnabled: true,
+  nudgeTime: DEFAULT_READING_NUDGE_TIME,
+};
+
+const timeToDate = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date();
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+const dateToTime = (date) =>
+  `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+export default function ReadingGoalsModal({ visible, onClose, childId, childName, onChanged }) {
+  const [progress, setProgress] = useState({ goals: [], streak: null });
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  // Form values while adding a goal
+  const [goalForm, setGoalForm] = useState(null);
+  // Goal whose nudge time is being picked, or 'form' for the new goal
+  const [editingNudgeTimeFor, setEditingNudgeTimeFor] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      setGoalForm(null);
+      loadProgress();
+    }
+  }, [visible, childId]);
+
+  const loadProgress = async () => {
+    setLoading(true);
+    setProgress(await ReadingGoalsService.getProgress(childId));
+    setLoading(false);
+  };
+
+  const runUpdate = async (update) => {
+    try {
+      setSaving(true);
+      const saved = await update();
+      if (!saved) {
+        Alert.alert('Error', 'Failed to update the reading goals. Please try again.');
+        return false;
+      }
+      await loadProgress();
+      if (onChanged) {
+        onChanged();
+      }
+      return true;
+    } catch (error) {
+      Alert.alert('Validation Error', error.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddGoal = async () => {
+    const target = Number(goalForm.target);
+    if (!Number.isInteger(target) || target < 1) {
+      Alert.alert('Validation Error', 'Please enter a whole number target');
+      return;
+    }
+
+    const replacedGoal = progress.goals.find(
+      ({ goal }) => goal.metric === goalForm.metric && goal.period === goalForm.period
+    );
+    const save = async () => {
+      const added = await runUpdate(() =>
+        ReadingGoalsService.saveGoal(createReadingGoal(childId, { ...goalForm, target }))
+      );
+      if (added) {
+        setGoalForm(null);
+      }
+    };
+
+    if (replacedGoal) {
+      Alert.alert(
+        'Replace Goal',
+        `${childName} already has the goal "${getReadingGoalLabel(replacedGoal.goal)}". Replace it?`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Replace', onPress: save },
+        ]
+      );
+      return;
+    }
+    await save();
+  };
+
+  const handleDeleteGoal = (goal) => {
+    Alert.alert('Delete Goal', `Delete the goal "${getReadingGoalLabel(goal)}"?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => runUpdate(() => ReadingGoalsService.deleteGoal(goal.id)),
+      },
+    ]);
+  };
+
+  const handleNudgeTimeConfirm = (date) => {
+    const nudgeTime = dateToTime(date);
+    if (editingNudgeTimeFor === 'form') {
+      setGoalForm((prev) => ({ ...prev, nudgeTime }));
+    } else {
+      runUpdate(() => ReadingGoalsService.saveGoal({ ...editingNudgeTimeFor, nudgeTime }));
+    }
+    setEditingNudgeTimeFor(null);
+  };
+
+  const getNudgeTimeValue = () => {
+    if (!editingNudgeTimeFor) {
+      return new Date();
+    }
+    return timeToDate(
+      editingNudgeTimeFor === 'form' ? goalForm.nudgeTime : editingNudgeTimeFor.nudgeTime
+    );
+  };
+
+  const renderNudgeSetting = (nudgeEnabled, nudgeTime, onToggle, onPickTime) => (
+    <View style={styles.nudgeContainer}>
+      <View style={styles.switchRow}>
+        <Text style={styles.nudgeLabel}>Evening reminder</Text>
+        <Switch
+          value={nudgeEnabled}
+          onValueChange={onToggle}
+          disabled={saving}
+          trackColor={{ false: '#767577', true: '#81b0ff' }}
+          thumbColor={nudgeEnabled ? '#48b6b0' : '#f4f3f4'}
+        />
+      </View>
+      {nudgeEnabled && (
+        <TouchableOpacity style={styles.timeRow} onPress={onPickTime} disabled={saving}>
+          <Text style={styles.timeLabel}>Remind at</Text>
+          <View style={styles.timeValue}>
+            <Text style={styles.timeText}>{formatDigestTime(nudgeTime)}</Text>
+            <Ionicons name='chevron-forward' size={18} color='#999' />
+          </View>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  const renderStreak = () => {
+    const { streak } = progress;
+    if (!streak) {
+      return null;
+    }
+    return (
+      <View style={styles.section}>
+        <View style={styles.streakRow}>
+          <Ionicons
+            name={streak.current > 0 ? 'flame' : 'flame-outline'}
+            size={36}
+            color={streak.current > 0 ? '#FF9500' : '#ccc'}
+          />
+          <View style={styles.streakInfo}>
+            <Text style={styles.streakNumber}>
+              {streak.current} day{streak.current === 1 ? '' : 's'}
+            </Text>
+            <Text style={styles.streakLabel}>
+              {streak.todayDone
+                ? 'Reading streak, today done!'
+                : streak.current > 0
+                ? 'Reading streak, read today to keep it going'
+                : 'Read today to start a streak'}
+            </Text>
+          </View>
+          <View style={styles.streakBest}>
+            <Text style={styles.summaryNumber}>{streak.longest}</Text>
+            <Text style={styles.summaryLabel}>Best</Text>
+          </View>
+        </View>
+      </View>
+    );
+  };
+
+  const getGoalIcon = (goal, completed) => {
+    if (completed) {
+      return 'trophy';
+    }
+    return goal.metric === READING_GOAL_METRICS.MINUTES ? 'time-outline' : 'book-outline';
+  };
+
+  const renderGoal = ({ goal, range, current, target, percent, completed }) => (
+    <View key={goal.id} style={styles.goalRow}>
+      <View style={styles.goalHeader}>
+        <Ionicons
+          name={getGoalIcon(goal, completed)}
+          size={20}
+          color={completed ? '#FFD700' : '#48b6b0'}
+        />
+        <Text style={styles.goalTitle}>{getReadingGoalLabel(goal)}</Text>
+        <TouchableOpacity onPress={() => handleDeleteGoal(goal)} disabled={saving}>
+          <Ionicons name='trash-outline' size={20} color='#FF3B30' />
+        </TouchableOpacity>
+      </View>
+
+      {range ? (
+        <>
+          <View style={styles.progressTrack}>
+            <View
+              style={[
+                styles.progressFill,
+                { width: `${percent}%` },
+                completed && styles.progressFillCompleted,
+              ]}
+            />
+          </View>
+          <Text style={styles.goalProgressText}>
+            {formatReadingGoalAmount(goal.metric, current)} of{' '}
+            {formatReadingGoalAmount(goal.metric, target)} ·{' '}
+            {range.label}
+            {completed ? ' · Goal reached!' : ''}
+          </Text>
+        </>
+      ) : (
+        <Text style={styles.hintText}>
+          Add {childName}'s term dates in the school year to track this goal.
+        </Text>
+      )}
+
+      {goal.period === READING_GOAL_PERIODS.DAY &&
+        renderNudgeSetting(
+          goal.nudgeEnabled,
+          goal.nudgeTime,
+          (nudgeEnabled) => runUpdate(() => ReadingGoalsService.saveGoal({ ...goal, nudgeEnabled })),
+          () => setEditingNudgeTimeFor(goal)
+        )}
+    </View>
+  );
+
+  const renderChips = (options, selected, labels, onSelect) => (
+    <View style={styles.chipRow}>
+      {options.map((option) => (
+        <TouchableOpacity
+          key={option}
+          style={[styles.filterChip, selected === option && styles.filterChipSelected]}
+          onPress={() => onSelect(option)}
+        >
+          <Text
+            style={[styles.filterChipText, selected === option && styles.filterChipTextSelected]}
+          >
+            {labels[option]}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const renderGoalForm = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>New Goal</Text>
+
+      <Text style={styles.fieldLabel}>Count</Text>
+      {renderChips(
+        Object.values(READING_GOAL_METRICS),
+        goalForm.metric,
+        READING_GOAL_METRIC_LABELS,
+        (metric) => setGoalForm((prev) => ({ ...prev, metric }))
+      )}
+
+      <Text style={styles.fieldLabel}>Per</Text>
+      {renderChips(
+        Object.values(READING_GOAL_PERIODS),
+        goalForm.period,
+        READING_GOAL_PERIOD_LABELS,
+        (period) => setGoalForm((prev) => ({ ...prev, period }))
+      )}
+
+      <Text style={styles.fieldLabel}>
+        Target {goalForm.metric === READING_GOAL_METRICS.MINUTES ? '(minutes)' : '(books)'}
+      </Text>
+      <TextInput
+        style={styles.textInput}
+        value={goalForm.target}
+        onChangeText={(target) =>
+          setGoalForm((prev) => ({ ...prev, target: target.replace(/[^0-9]/g, '') }))
+        }
+        placeholder={goalForm.metric === READING_GOAL_METRICS.MINUTES ? 'e.g. 15' : 'e.g. 20'}
+        keyboardType='number-pad'
+        maxLength={5}
+      />
+
+      {goalForm.period === READING_GOAL_PERIODS.DAY &&
+        renderNudgeSetting(
+          goalForm.nudgeEnabled,
+          goalForm.nudgeTime,
+          (nudgeEnabled) => setGoalForm((prev) => ({ ...prev, nudgeEnabled })),
+          () => setEditingNudgeTimeFor('form')
+        )}
+
+      <View style={styles.formActions}>
+        <TouchableOpacity onPress={() => setGoalForm(null)} disabled={saving}>
+          <Text style={styles.cancelButton}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={handleAddGoal} disabled={saving}>
+          <Text style={[styles.saveButton, saving && styles.disabledButton]}>
+            {saving ? 'Saving...' : 'Add Goal'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType='slide'
+      presentationStyle='pageSheet'
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <View style={styles.headerSpacer} />
+          <Text style={styles.headerTitle}>{childName}'s Reading Goals</Text>
+          <TouchableOpacity onPress={onClose} disabled={saving}>
+            <Text style={styles.saveButton}>Done</Text>
+          </TouchableOpacity>
+        </View>
+
+        {loading && !progress.streak ? (
+          <View style={styles.loadingContainer}>
+            <ActivityIndicator size='large' color='#48b6b0' />
+          </View>
+        ) : (
+          <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+            {renderStreak()}
+
+            {progress.goals.length > 0 ? (
+              <View style={styles.section}>{progress.goals.map(renderGoal)}</View>
+            ) : (
+              !goalForm && (
+                <View style={styles.emptyState}>
+                  <Ionicons name='flag-outline' size={64} color='#ccc' />
+                  <Text style={styles.emptyStateText}>
+                    No reading goals yet. Set a target like 15 minutes a day or 20 books this
+                    term.
+                  </Text>
+                </View>
+              )
+            )}
+
+            {goalForm ? (
+              renderGoalForm()
+            ) : (
+              <TouchableOpacity
+                style={styles.addGoalButton}
+                onPress={() => setGoalForm(EMPTY_GOAL_FORM)}
+              >
+                <Ionicons name='add-circle-outline' size={20} color='#48b6b0' />
+                <Text style={styles.addGoalButtonText}>Add Goal</Text>
+              </TouchableOpacity>
+            )}
+
+            <Text style={styles.footerText}>
+              Progress counts {childName}'s Reading Time activities. Books are the different
+              books read in the period.
+            </Text>
+          </ScrollView>
+        )}
+
+        <DateTimePickerModal
+          visible={editingNudgeTimeFor !== null}
+          mode='time'
+          value={getNudgeTimeValue()}
+          onConfirm={handleNudgeTimeConfirm}
+          onCancel={() => setEditingNudgeTimeFor(null)}
+          title='Remind At'
+        />
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    paddingTop: Platform.OS === 'ios' ? 50 : 20,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  headerSpacer: {
+    width: 44,
+  },
+  cancelButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+  },
+  saveButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  disabledButton: {
+    color: '#ccc',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: 'white',
+    marginVertical: 8,
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 12,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 8,
+  },
+  summaryNumber: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#48b6b0',
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  streakRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  streakInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  streakNumber: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  streakLabel: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  streakBest: {
+    alignItems: 'center',
+    marginLeft: 12,
+  },
+  goalRow: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  goalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  goalTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#333',
+    marginLeft: 8,
+  },
+  progressTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#e9ecef',
+    marginTop: 10,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    borderRadius: 4,
+    backgroundColor: '#48b6b0',
+  },
+  progressFillCompleted: {
+    backgroundColor: '#4CAF50',
+  },
+  goalProgressText: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 6,
+  },
+  nudgeContainer: {
+    marginTop: 10,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  nudgeLabel: {
+    fontSize: 14,
+    color: '#333',
+  },
+  timeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
+  timeLabel: {
+    fontSize: 14,
+    color: '#666',
+  },
+  timeValue: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  timeText: {
+    fontSize: 14,
+    color: '#48b6b0',
+    fontWeight: '500',
+    marginRight: 4,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#666',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  filterChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#48b6b0',
+  },
+  filterChipSelected: {
+    backgroundColor: '#48b6b0',
+  },
+  filterChipText: {
+    fontSize: 14,
+    color: '#48b6b0',
+    fontWeight: '500',
+  },
+  filterChipTextSelected: {
+    color: 'white',
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: '#f9f9f9',
+  },
+  formActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  addGoalButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'white',
+    marginVertical: 8,
+    paddingVertical: 16,
+  },
+  addGoalButtonText: {
+    fontSize: 16,
+    color: '#48b6b0',
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  footerText: {
+    fontSize: 12,
+    color: '#999',
+    textAlign: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+    paddingHorizontal: 40,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 16,
+  },
+});
@@ -0,0 +1,723 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  Alert,
+  Platform,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import ReadingLibraryService from '../services/ReadingLibraryService';
+import Base64Image from './Base64Image';
+import {
+  BOOK_STATUSES,
+  BOOK_STATUS_COLORS,
+  BOOK_STATUS_ICONS,
+  BOOK_STATUS_LABELS,
+  MAX_BOOK_RATING,
+  formatReadingTime,
+  getLibrarySummary,
+} from '../utils/readingLibraryUtils';
+
+const STATUS_FILTERS = ['all', ...Object.values(BOOK_STATUSES)];
+
+const formatSessionDate = (dateString) =>
+  new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+
+export default function ReadingLibraryModal({ visible, onClose, childId, childName, onChanged }) {
+  const [books, setBooks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [selectedBookKey, setSelectedBookKey] = useState(null);
+  // { title, author } while adding a book by hand
+  const [newBook, setNewBook] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      setStatusFilter('all');
+      setSelectedBookKey(null);
+      setNewBook(null);
+      loadLibrary();
+    }
+  }, [visible, childId]);
+
+  const loadLibrary = async () => {
+    setLoading(true);
+    setBooks(await ReadingLibraryService.getLibrary(childId));
+    setLoading(false);
+  };
+
+  const selectedBook = books.find((book) => book.key === selectedBookKey);
+  const filteredBooks =
+    statusFilter === 'all' ? books : books.filter((book) => book.status === statusFilter);
+  const summary = getLibrarySummary(books);
+
+  const runUpdate = async (update) => {
+    try {
+      setSaving(true);
+      const saved = await update();
+      if (!saved) {
+        Alert.alert('Error', 'Failed to update the library. Please try again.');
+        return;
+      }
+      await loadLibrary();
+      if (onChanged) {
+        onChanged();
+      }
+    } catch (error) {
+      Alert.alert('Validation Error', error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStatusChange = (status) => {
+    if (status === selectedBook.status) {
+      return;
+    }
+    runUpdate(() => ReadingLibraryService.updateBook(childId, selectedBook, { status }));
+  };
+
+  const handleRatingChange = (rating) => {
+    runUpdate(() =>
+      ReadingLibraryService.updateBook(childId, selectedBook, {
+        // Tapping the current rating clears it
+        rating: rating === selectedBook.rating ? null : rating,
+      })
+    );
+  };
+
+  const handleAddBook = async () => {
+    if (!newBook.title.trim()) {
+      Alert.alert('Validation Error', 'Please enter the book title');
+      return;
+    }
+    await runUpdate(() => ReadingLibraryService.addBook(childId, newBook));
+    setNewBook(null);
+  };
+
+  const handleRemoveBook = () => {
+    Alert.alert(
+      'Remove Book',
+      `Remove "${selectedBook.title}" from ${childName}'s shelf?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            await runUpdate(() => ReadingLibraryService.deleteBookRecord(selectedBook.id));
+            setSelectedBookKey(null);
+          },
+        },
+      ]
+    );
+  };
+
+  const renderBookCover = (book, size) => (
+    <View style={[styles.bookCover, { width: size, height: size * 1.4 }]}>
+      {book.coverImageUri ? (
+        <Base64Image
+          source={{ uri: book.coverImageUri }}
+          style={styles.bookCoverImage}
+          resizeMode='cover'
+        />
+      ) : (
+        <Ionicons name='book' size={size / 2} color='#48b6b0' />
+      )}
+    </View>
+  );
+
+  const renderStatusBadge = (status) => (
+    <View style={[styles.statusBadge, { backgroundColor: `${BOOK_STATUS_COLORS[status]}22` }]}>
+      <Ionicons name={BOOK_STATUS_ICONS[status]} size={12} color={BOOK_STATUS_COLORS[status]} />
+      <Text style={[styles.statusBadgeText, { color: BOOK_STATUS_COLORS[status] }]}>
+        {BOOK_STATUS_LABELS[status]}
+      </Text>
+    </View>
+  );
+
+  const renderRating = (rating, onPress = null, size = 14) => (
+    <View style={styles.ratingRow}>
+      {Array.from({ length: MAX_BOOK_RATING }, (_, index) => index + 1).map((value) => {
+        const star = (
+          <Ionicons
+            name={rating && value <= rating ? 'star' : 'star-outline'}
+            size={size}
+            color='#FFD700'
+          />
+        );
+        return onPress ? (
+          <TouchableOpacity
+            key={value}
+            style={styles.ratingStarButton}
+            onPress={() => onPress(value)}
+            disabled={saving}
+          >
+            {star}
+          </TouchableOpacity>
+        ) : (
+          <View key={value}>{star}</View>
+        );
+      })}
+    </View>
+  );
+
+  const renderBookList = () => (
+    <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+      <View style={styles.section}>
+        <View style={styles.summaryRow}>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryNumber}>{summary.totalBooks}</Text>
+            <Text style={styles.summaryLabel}>Books</Text>
+          </View>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryNumber}>{summary.finished}</Text>
+            <Text style={styles.summaryLabel}>Finished</Text>
+          </View>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryNumber}>{summary.totalSessions}</Text>
+            <Text style={styles.summaryLabel}>Sessions</Text>
+          </View>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryNumber}>{formatReadingTime(summary.totalMinutes)}</Text>
+            <Text style={styles.summaryLabel}>Read</Text>
+          </View>
+        </View>
+
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.filterRow}>
+          {STATUS_FILTERS.map((filter) => (
+            <TouchableOpacity
+              key={filter}
+              style={[styles.filterChip, statusFilter === filter && styles.filterChipSelected]}
+              onPress={() => setStatusFilter(filter)}
+            >
+              <Text
+                style={[
+                  styles.filterChipText,
+                  statusFilter === filter && styles.filterChipTextSelected,
+                ]}
+              >
+                {filter === 'all' ? 'All' : BOOK_STATUS_LABELS[filter]}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      </View>
+
+      {filteredBooks.length > 0 ? (
+        <View style={styles.section}>
+          {filteredBooks.map((book) => (
+            <TouchableOpacity
+              key={book.key}
+              style={styles.bookRow}
+              onPress={() => setSelectedBookKey(book.key)}
+            >
+              {renderBookCover(book, 40)}
+              <View style={styles.bookInfo}>
+                <Text style={styles.bookTitle} numberOfLines={1}>
+                  {book.title}
+                </Text>
+                {!!book.author && (
+                  <Text style={styles.bookAuthor} numberOfLines={1}>
+                    by {book.author}
+                  </Text>
+                )}
+                <View style={styles.bookMetaRow}>
+                  {renderStatusBadge(book.status)}
+                  <Text style={styles.bookMetaText}>
+                    {book.sessionCount} session{book.sessionCount === 1 ? '' : 's'} ·{' '}
+                    {formatReadingTime(book.totalMinutes)}
+                    {book.reReadCount > 0 ? ` · re-read ${book.reReadCount}×` : ''}
+                  </Text>
+                </View>
+              </View>
+              {!!book.rating && (
+                <View style={styles.bookRatingBadge}>
+                  <Ionicons name='star' size={12} color='#FFD700' />
+                  <Text style={styles.bookRatingText}>{book.rating}</Text>
+                </View>
+              )}
+              <Ionicons name='chevron-forward' size={20} color='#ccc' />
+            </TouchableOpacity>
+          ))}
+        </View>
+      ) : (
+        <View style={styles.emptyState}>
+          <Ionicons name='library-outline' size={64} color='#ccc' />
+          <Text style={styles.emptyStateText}>
+            {books.length === 0
+              ? `No books yet. Books from ${childName}'s Reading Time activities appear here.`
+              : 'No books with this status.'}
+          </Text>
+        </View>
+      )}
+
+      {newBook ? (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Add a Book</Text>
+          <TextInput
+            style={styles.textInput}
+            value={newBook.title}
+            onChangeText={(title) => setNewBook((prev) => ({ ...prev, title }))}
+            placeholder='Book title'
+            maxLength={100}
+          />
+          <TextInput
+            style={[styles.textInput, styles.stackedInput]}
+            value={newBook.author}
+            onChangeText={(author) => setNewBook((prev) => ({ ...prev, author }))}
+            placeholder='Author'
+            maxLength={50}
+          />
+          <View style={styles.addBookActions}>
+            <TouchableOpacity onPress={() => setNewBook(null)} disabled={saving}>
+              <Text style={styles.cancelButton}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={handleAddBook} disabled={saving}>
+              <Text style={[styles.saveButton, saving && styles.disabledButton]}>
+                {saving ? 'Adding...' : 'Add to Shelf'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ) : (
+        <TouchableOpacity
+          style={styles.addBookButton}
+          onPress={() => setNewBook({ title: '', author: '' })}
+        >
+          <Ionicons name='add-circle-outline' size={20} color='#48b6b0' />
+          <Text style={styles.addBookButtonText}>Add Book</Text>
+        </TouchableOpacity>
+      )}
+    </ScrollView>
+  );
+
+  const renderBookDetail = () => (
+    <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+      <View style={[styles.section, styles.bookDetailHeader]}>
+        {renderBookCover(selectedBook, 72)}
+        <View style={styles.bookInfo}>
+          <Text style={styles.bookDetailTitle}>{selectedBook.title}</Text>
+          {!!selectedBook.author && (
+            <Text style={styles.bookAuthor}>by {selectedBook.author}</Text>
+          )}
+          {selectedBook.firstReadAt && (
+            <Text style={styles.bookMetaText}>
+              First read {formatSessionDate(selectedBook.firstReadAt)}
+            </Text>
+          )}
+        </View>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Status</Text>
+        <View style={styles.statusOptions}>
+          {Object.values(BOOK_STATUSES).map((status) => {
+            const isSelected = selectedBook.status === status;
+            return (
+              <TouchableOpacity
+                key={status}
+                style={[
+                  styles.statusOption,
+                  isSelected && {
+                    borderColor: BOOK_STATUS_COLORS[status],
+                    backgroundColor: `${BOOK_STATUS_COLORS[status]}22`,
+                  },
+                ]}
+                onPress={() => handleStatusChange(status)}
+                disabled={saving}
+              >
+                <Ionicons
+                  name={BOOK_STATUS_ICONS[status]}
+                  size={20}
+                  color={isSelected ? BOOK_STATUS_COLORS[status] : '#999'}
+                />
+                <Text
+                  style={[
+                    styles.statusOptionText,
+                    isSelected && { color: BOOK_STATUS_COLORS[status] },
+                  ]}
+                >
+                  {BOOK_STATUS_LABELS[status]}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+        <Text style={styles.hintText}>
+          Logging another Reading Time with a finished book starts a re-read.
+        </Text>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{childName}'s Rating</Text>
+        {renderRating(selectedBook.rating, handleRatingChange, 28)}
+      </View>
+
+      <View style={styles.section}>
+        <View style={styles.summaryRow}>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryNumber}>{selectedBook.sessionCount}</Text>
+            <Text style={styles.summaryLabel}>Sessions</Text>
+          </View>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryNumber}>{formatReadingTime(selectedBook.totalMinutes)}</Text>
+            <Text style={styles.summaryLabel}>Read</Text>
+          </View>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryNumber}>{selectedBook.timesFinished}</Text>
+            <Text style={styles.summaryLabel}>Finished</Text>
+          </View>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryNumber}>{selectedBook.reReadCount}</Text>
+            <Text style={styles.summaryLabel}>Re-reads</Text>
+          </View>
+        </View>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Reading Sessions</Text>
+        {selectedBook.sessions.length === 0 ? (
+          <Text style={styles.hintText}>
+            No sessions yet. Pick this book when logging Reading Time.
+          </Text>
+        ) : (
+          selectedBook.sessions.map((session) => (
+            <View key={session.activityId} style={styles.sessionRow}>
+              <Ionicons name='time-outline' size={16} color='#666' />
+              <Text style={styles.sessionDate}>{formatSessionDate(session.startTime)}</Text>
+              <Text style={styles.sessionMinutes}>{formatReadingTime(session.minutes)}</Text>
+            </View>
+          ))
+        )}
+      </View>
+
+      {selectedBook.sessions.length === 0 && (
+        <TouchableOpacity style={styles.removeButton} onPress={handleRemoveBook} disabled={saving}>
+          <Ionicons name='trash-outline' size={20} color='#FF3B30' />
+          <Text style={styles.removeButtonText}>Remove from Shelf</Text>
+        </TouchableOpacity>
+      )}
+    </ScrollView>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType='slide'
+      presentationStyle='pageSheet'
+      onRequestClose={selectedBook ? () => setSelectedBookKey(null) : onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          {selectedBook ? (
+            <TouchableOpacity onPress={() => setSelectedBookKey(null)} disabled={saving}>
+              <Text style={styles.cancelButton}>Back</Text>
+            </TouchableOpacity>
+          ) : (
+            <View style={styles.headerSpacer} />
+          )}
+          <Text style={styles.headerTitle}>
+            {selectedBook ? 'Book' : `${childName}'s Library`}
+          </Text>
+          <TouchableOpacity onPress={onClose} disabled={saving}>
+            <Text style={styles.saveButton}>Done</Text>
+          </TouchableOpacity>
+        </View>
+
+        {loading && books.length === 0 ? (
+          <View style={styles.loadingContainer}>
+            <ActivityIndicator size='large' color='#48b6b0' />
+          </View>
+        ) : selectedBook ? (
+          renderBookDetail()
+        ) : (
+          renderBookList()
+        )}
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    paddingTop: Platform.OS === 'ios' ? 50 : 20,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  headerSpacer: {
+    width: 44,
+  },
+  cancelButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+  },
+  saveButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  disabledButton: {
+    color: '#ccc',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: 'white',
+    marginVertical: 8,
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 12,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 8,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+  },
+  summaryItem: {
+    alignItems: 'center',
+    flex: 1,
+  },
+  summaryNumber: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#48b6b0',
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  filterRow: {
+    marginTop: 16,
+  },
+  filterChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#48b6b0',
+    marginRight: 8,
+  },
+  filterChipSelected: {
+    backgroundColor: '#48b6b0',
+  },
+  filterChipText: {
+    fontSize: 14,
+    color: '#48b6b0',
+    fontWeight: '500',
+  },
+  filterChipTextSelected: {
+    color: 'white',
+  },
+  bookRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  bookCover: {
+    borderRadius: 4,
+    backgroundColor: '#e6f6f5',
+    justifyContent: 'center',
+    alignItems: 'center',
+    overflow: 'hidden',
+  },
+  bookCoverImage: {
+    width: '100%',
+    height: '100%',
+  },
+  bookInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  bookTitle: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#333',
+  },
+  bookDetailTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  bookAuthor: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  bookMetaRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  bookMetaText: {
+    fontSize: 12,
+    color: '#999',
+    marginLeft: 6,
+  },
+  bookRatingBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  bookRatingText: {
+    fontSize: 12,
+    color: '#666',
+    marginLeft: 2,
+  },
+  bookDetailHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  statusBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 8,
+  },
+  statusBadgeText: {
+    fontSize: 11,
+    fontWeight: '600',
+    marginLeft: 3,
+  },
+  statusOptions: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  statusOption: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: '#eee',
+  },
+  statusOptionText: {
+    fontSize: 13,
+    color: '#999',
+    fontWeight: '500',
+    marginTop: 4,
+  },
+  ratingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  ratingStarButton: {
+    marginRight: 8,
+  },
+  sessionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  sessionDate: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+    marginLeft: 8,
+  },
+  sessionMinutes: {
+    fontSize: 14,
+    color: '#666',
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: '#f9f9f9',
+  },
+  stackedInput: {
+    marginTop: 10,
+  },
+  addBookActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  addBookButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'white',
+    marginVertical: 8,
+    paddingVertical: 16,
+  },
+  addBookButtonText: {
+    fontSize: 16,
+    color: '#48b6b0',
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  removeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'white',
+    marginVertical: 8,
+    paddingVertical: 16,
+  },
+  removeButtonText: {
+    fontSize: 16,
+    color: '#FF3B30',
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+    paddingHorizontal: 40,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 16,
+  },
+});
@@ -0,0 +1,470 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePickerModal from './DateTimePickerModal';
+import {
+  formatLocalDateString,
+  parseLocalDateString,
+} from '../utils/dateUtils';
+import {
+  describeRecurrence,
+  getNthWeekdayOfMonth,
+} from '../utils/recurrenceUtils';
+import { formatLunarDate, solarToLunar } from '../utils/lunarCalendarUtils';
+
+const FREQUENCY_OPTIONS = [
+  { id: null, label: 'Never' },
+  { id: 'daily', label: 'Daily' },
+  { id: 'weekly', label: 'Weekly' },
+  { id: 'monthly', label: 'Monthly' },
+  { id: 'lunarYearly', label: 'Yearly (lunar)' },
+];
+
+const WEEKDAY_INITIALS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ORDINAL_LABELS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+const UNIT_LABELS = { daily: 'day', weekly: 'week', monthly: 'month', lunarYearly: 'year' };
+
+export default function RecurrenceSelector({
+  recurrence,
+  onRecurrenceChange,
+  startDate,
+  disabled = false,
+}) {
+  const [showUntilPicker, setShowUntilPicker] = useState(false);
+
+  const baseDate = startDate || new Date();
+  const startDateString = formatLocalDateString(baseDate);
+  const endMode = recurrence?.until ? 'until' : recurrence?.count ? 'count' : 'never';
+
+  const updateRecurrence = (changes) => {
+    onRecurrenceChange({ ...recurrence, ...changes });
+  };
+
+  const handleFrequencySelect = (frequency) => {
+    if (!frequency) {
+      onRecurrenceChange(null);
+      return;
+    }
+
+    onRecurrenceChange({
+      interval: 1,
+      until: null,
+      count: null,
+      exceptionDates: [],
+      ...recurrence,
+      frequency,
+      byWeekday: frequency === 'weekly'
+        ? recurrence?.byWeekday?.length ? recurrence.byWeekday : [baseDate.getDay()]
+        : undefined,
+      monthlyMode: frequency === 'monthly' ? recurrence?.monthlyMode || 'dayOfMonth' : undefined,
+    });
+  };
+
+  const toggleWeekday = (weekday) => {
+    const current = recurrence.byWeekday || [];
+    const next = current.includes(weekday)
+      ? current.filter((day) => day !== weekday)
+      : [...current, weekday].sort((a, b) => a - b);
+
+    // At least one weekday must stay selected
+    if (next.length > 0) {
+      updateRecurrence({ byWeekday: next });
+    }
+  };
+
+  const changeInterval = (delta) => {
+    const interval = Math.max(1, Math.min(99, (recurrence.interval || 1) + delta));
+    updateRecurrence({ interval });
+  };
+
+  const handleEndModeSelect = (mode) => {
+    if (mode === 'never') {
+      updateRecurrence({ until: null, count: null });
+    } else if (mode === 'count') {
+      updateRecurrence({ until: null, count: recurrence.count || 10 });
+    } else {
+      const defaultUntil = new Date(baseDate);
+      if (recurrence.frequency === 'lunarYearly') {
+        defaultUntil.setFullYear(defaultUntil.getFullYear() + 5);
+      } else {
+        defaultUntil.setMonth(defaultUntil.getMonth() + 3);
+      }
+      updateRecurrence({ count: null, until: recurrence.until || formatLocalDateString(defaultUntil) });
+      setShowUntilPicker(true);
+    }
+  };
+
+  const handleUntilConfirm = (date) => {
+    setShowUntilPicker(false);
+    if (date && !isNaN(date.getTime())) {
+      updateRecurrence({ count: null, until: formatLocalDateString(date) });
+    }
+  };
+
+  const formatUntilDate = (dateString) => {
+    return parseLocalDateString(dateString).toLocaleDateString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    });
+  };
+
+  const renderChip = (key, label, isSelected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, isSelected && styles.selectedChip]}
+      onPress={onPress}
+      disabled={disabled}
+      accessible={true}
+      accessibilityRole="button"
+      accessibilityState={{ selected: isSelected }}
+    >
+      <Text style={[styles.chipText, isSelected && styles.selectedChipText]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const nth = getNthWeekdayOfMonth(baseDate);
+  const lunarStart = solarToLunar(baseDate);
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Ionicons name="repeat" size={20} color="#48b6b0" />
+        <View style={styles.headerText}>
+          <Text style={styles.headerTitle}>Repeat</Text>
+          <Text style={styles.headerSubtitle}>
+            {describeRecurrence(recurrence, startDateString)}
+          </Text>
+        </View>
+      </View>
+
+      {/* Frequency */}
+      <View style={styles.chipRow}>
+        {FREQUENCY_OPTIONS.map((option) =>
+          renderChip(
+            option.label,
+            option.label,
+            (recurrence?.frequency || null) === option.id,
+            () => handleFrequencySelect(option.id)
+          )
+        )}
+      </View>
+
+      {recurrence?.frequency && (
+        <>
+          {/* Interval */}
+          <View style={styles.row}>
+            <Text style={styles.rowLabel}>Every</Text>
+            <TouchableOpacity
+              style={styles.stepperButton}
+              onPress={() => changeInterval(-1)}
+              disabled={disabled || (recurrence.interval || 1) <= 1}
+              accessibilityLabel="Decrease interval"
+            >
+              <Ionicons name="remove" size={18} color="#48b6b0" />
+            </TouchableOpacity>
+            <Text style={styles.stepperValue}>{recurrence.interval || 1}</Text>
+            <TouchableOpacity
+              style={styles.stepperButton}
+              onPress={() => changeInterval(1)}
+              disabled={disabled}
+              accessibilityLabel="Increase interval"
+            >
+              <Ionicons name="add" size={18} color="#48b6b0" />
+            </TouchableOpacity>
+            <Text style={styles.rowLabel}>
+              {UNIT_LABELS[recurrence.frequency]}
+              {(recurrence.interval || 1) !== 1 ? 's' : ''}
+            </Text>
+          </View>
+
+          {/* Weekdays for weekly rules */}
+          {recurrence.frequency === 'weekly' && (
+            <View style={styles.weekdayRow}>
+              {WEEKDAY_INITIALS.map((initial, weekday) => {
+                const isSelected = (recurrence.byWeekday || []).includes(weekday);
+                return (
+                  <TouchableOpacity
+                    key={weekday}
+                    style={[styles.weekdayButton, isSelected && styles.selectedWeekdayButton]}
+                    onPress={() => toggleWeekday(weekday)}
+                    disabled={disabled}
+                    accessible={true}
+                    accessibilityRole="checkbox"
+                    accessibilityState={{ checked: isSelected }}
+                    accessibilityLabel={WEEKDAY_NAMES[weekday]}
+                  >
+                    <Text style={[styles.weekdayText, isSelected && styles.selectedChipText]}>
+                      {initial}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          )}
+
+          {/* Day of month or nth weekday for monthly rules */}
+          {recurrence.frequency === 'monthly' && (
+            <View style={styles.chipRow}>
+              {renderChip(
+                'dayOfMonth',
+                `On day ${baseDate.getDate()}`,
+                recurrence.monthlyMode !== 'nthWeekday',
+                () => updateRecurrence({ monthlyMode: 'dayOfMonth' })
+              )}
+              {renderChip(
+                'nthWeekday',
+                `On the ${ORDINAL_LABELS[nth]} ${WEEKDAY_NAMES[baseDate.getDay()]}`,
+                recurrence.monthlyMode === 'nthWeekday',
+                () => updateRecurrence({ monthlyMode: 'nthWeekday' })
+              )}
+            </View>
+          )}
+
+          {/* Lunar date for lunar yearly rules, e.g. lunar birthdays and anniversaries */}
+          {recurrence.frequency === 'lunarYearly' && (
+            <View style={styles.lunarInfo}>
+              <Ionicons name="moon-outline" size={16} color="#48b6b0" />
+              <Text style={styles.lunarInfoText}>
+                {lunarStart
+                  ? `Repeats on ${formatLunarDate(lunarStart)} in the lunar calendar, so the date changes each year`
+                  : 'Lunar dates are available from 1900 to 2100'}
+              </Text>
+            </View>
+          )}
+
+          {/* End condition */}
+          <Text style={styles.subTitle}>Ends</Text>
+          <View style={styles.chipRow}>
+            {renderChip('never', 'Never', endMode === 'never', () => handleEndModeSelect('never'))}
+            {renderChip('until', 'On date', endMode === 'until', () => handleEndModeSelect('until'))}
+            {renderChip('count', 'After', endMode === 'count', () => handleEndModeSelect('count'))}
+          </View>
+
+          {endMode === 'until' && (
+            <TouchableOpacity
+              style={styles.dateButton}
+              onPress={() => setShowUntilPicker(true)}
+              disabled={disabled}
+            >
+              <Ionicons name="calendar-outline" size={20} color="#48b6b0" />
+              <Text style={styles.dateButtonText}>{formatUntilDate(recurrence.until)}</Text>
+              <Ionicons name="chevron-forward" size={20} color="#ccc" />
+            </TouchableOpacity>
+          )}
+
+          {endMode === 'count' && (
+            <View style={styles.row}>
+              <TextInput
+                style={styles.countInput}
+                value={String(recurrence.count || '')}
+                onChangeText={(text) => {
+                  const count = parseInt(text, 10) || 1;
+                  updateRecurrence({ count: Math.max(1, Math.min(999, count)) });
+                }}
+                keyboardType="numeric"
+                editable={!disabled}
+              />
+              <Text style={styles.rowLabel}>occurrences</Text>
+            </View>
+          )}
+
+          {recurrence.exceptionDates?.length > 0 && (
+            <View style={styles.infoContainer}>
+              <Ionicons name="information-circle-outline" size={16} color="#666" />
+              <Text style={styles.infoText}>
+                {recurrence.exceptionDates.length} skipped occurrence
+                {recurrence.exceptionDates.length !== 1 ? 's' : ''}
+              </Text>
+            </View>
+          )}
+        </>
+      )}
+
+      <DateTimePickerModal
+        visible={showUntilPicker}
+        onCancel={() => setShowUntilPicker(false)}
+        onConfirm={handleUntilConfirm}
+        value={recurrence?.until ? parseLocalDateString(recurrence.until) : baseDate}
+        mode="date"
+        title="Repeat Until"
+        confirmText="OK"
+        cancelText="Cancel"
+        minimumDate={baseDate}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 12,
+    padding: 16,
+    marginVertical: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  headerText: {
+    marginLeft: 12,
+    flex: 1,
+  },
+  headerTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  subTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 8,
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    marginRight: 8,
+    marginBottom: 6,
+  },
+  selectedChip: {
+    backgroundColor: '#48b6b0',
+    borderColor: '#48b6b0',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#666',
+    fontWeight: '500',
+  },
+  selectedChipText: {
+    color: 'white',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  rowLabel: {
+    fontSize: 14,
+    color: '#333',
+    marginHorizontal: 8,
+  },
+  stepperButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepperValue: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    minWidth: 32,
+    textAlign: 'center',
+  },
+  weekdayRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  weekdayButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  selectedWeekdayButton: {
+    backgroundColor: '#48b6b0',
+    borderColor: '#48b6b0',
+  },
+  weekdayText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+  },
+  dateButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 12,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  dateButtonText: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    marginLeft: 10,
+  },
+  countInput: {
+    width: 70,
+    backgroundColor: 'white',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 16,
+    textAlign: 'center',
+  },
+  infoContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+  },
+  lunarInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  lunarInfoText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#666',
+    marginLeft: 6,
+  },
+  infoText: {
+    fontSize: 12,
+    color: '#666',
+    marginLeft: 6,
+  },
+});
@@ -27,7 +27,11 @@ export default function ReminderSummary({ events, onReminderPress }) {
         
         if (eventDateTime && eventDateTime > now) {
           event.reminders.forEach(reminderId => {
-            const reminderTime = NotificationService.calculateReminderTime(eventDateTime, reminderId);
+            const reminderTime = NotificationService.calculateReminderTime(
+              eventDateTime,
+              reminderId,
+              NotificationService.getEventReminderTimeZone(event)
+            );
             
             if (reminderTime && reminderTime > now && reminderTime <= next24Hours) {
               reminders.push({
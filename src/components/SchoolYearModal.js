@@ -0,0 +1,499 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  Alert,
+  Platform,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePickerModal from './DateTimePickerModal';
+import SchoolYearService from '../services/SchoolYearService';
+import { formatLocalDateString, parseLocalDateString } from '../utils/dateUtils';
+import {
+  SCHOOL_BREAK_TYPES,
+  SCHOOL_BREAK_TYPE_LABELS,
+  createSchoolPeriod,
+  createSchoolYear,
+  getAcademicYearForDate,
+} from '../utils/schoolYearUtils';
+
+const formatPeriodDate = (dateString) =>
+  parseLocalDateString(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+
+export default function SchoolYearModal({ visible, onClose, childId, childName }) {
+  const [schoolYears, setSchoolYears] = useState([]);
+  const [selectedYearId, setSelectedYearId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  // { periodList: 'terms' | 'breaks' | null, periodId, field: 'startDate' | 'endDate' }
+  const [datePicker, setDatePicker] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      loadSchoolYears();
+    }
+  }, [visible, childId]);
+
+  const loadSchoolYears = async () => {
+    setLoading(true);
+    const stored = await SchoolYearService.getSchoolYears(childId);
+    const currentYearId = createSchoolYear(childId, getAcademicYearForDate(new Date())).id;
+    setSchoolYears(stored);
+    setSelectedYearId(
+      stored.some((year) => year.id === currentYearId)
+        ? currentYearId
+        : stored[stored.length - 1]?.id || null
+    );
+    setLoading(false);
+  };
+
+  const selectedYear = schoolYears.find((year) => year.id === selectedYearId);
+
+  const updateSelectedYear = (changes) => {
+    setSchoolYears((prev) =>
+      prev.map((year) => (year.id === selectedYearId ? { ...year, ...changes } : year))
+    );
+  };
+
+  const updatePeriod = (periodList, periodId, changes) => {
+    updateSelectedYear({
+      [periodList]: selectedYear[periodList].map((period) =>
+        period.id === periodId ? { ...period, ...changes } : period
+      ),
+    });
+  };
+
+  const handleAddYear = () => {
+    const lastYear = schoolYears[schoolYears.length - 1];
+    const academicYear = lastYear
+      ? { startYear: lastYear.startYear + 1, endYear: lastYear.endYear + 1 }
+      : getAcademicYearForDate(new Date());
+    const schoolYear = createSchoolYear(childId, academicYear);
+
+    setSchoolYears((prev) => [...prev, schoolYear]);
+    setSelectedYearId(schoolYear.id);
+  };
+
+  const handleDeleteYear = () => {
+    Alert.alert(
+      'Delete School Year',
+      `Delete the ${selectedYear.label} school year for ${childName}? Calendar events are not affected.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const deleted = await SchoolYearService.deleteSchoolYear(selectedYear.id);
+            if (!deleted) {
+              Alert.alert('Error', 'Failed to delete school year. Please try again.');
+              return;
+            }
+            const remaining = schoolYears.filter((year) => year.id !== selectedYear.id);
+            setSchoolYears(remaining);
+            setSelectedYearId(remaining[remaining.length - 1]?.id || null);
+          },
+        },
+      ]
+    );
+  };
+
+  const handleAddTerm = () => {
+    const lastTerm = selectedYear.terms[selectedYear.terms.length - 1];
+    const startDate = lastTerm ? lastTerm.endDate : selectedYear.startDate;
+    updateSelectedYear({
+      terms: [
+        ...selectedYear.terms,
+        createSchoolPeriod('term', { name: '', startDate, endDate: startDate }),
+      ],
+    });
+  };
+
+  const handleAddBreak = () => {
+    updateSelectedYear({
+      breaks: [
+        ...selectedYear.breaks,
+        createSchoolPeriod('break', {
+          name: '',
+          type: SCHOOL_BREAK_TYPES.HALF_TERM,
+          startDate: selectedYear.startDate,
+          endDate: selectedYear.startDate,
+        }),
+      ],
+    });
+  };
+
+  const handleRemovePeriod = (periodList, periodId) => {
+    updateSelectedYear({
+      [periodList]: selectedYear[periodList].filter((period) => period.id !== periodId),
+    });
+  };
+
+  const getPickerValue = () => {
+    if (!datePicker || !selectedYear) {
+      return new Date();
+    }
+    const period = datePicker.periodList
+      ? selectedYear[datePicker.periodList].find((item) => item.id === datePicker.periodId)
+      : selectedYear;
+    return parseLocalDateString(period[datePicker.field]);
+  };
+
+  const handleDateConfirm = (date) => {
+    const changes = { [datePicker.field]: formatLocalDateString(date) };
+    if (datePicker.periodList) {
+      updatePeriod(datePicker.periodList, datePicker.periodId, changes);
+    } else {
+      updateSelectedYear(changes);
+    }
+    setDatePicker(null);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      for (const schoolYear of schoolYears) {
+        const saved = await SchoolYearService.saveSchoolYear(schoolYear);
+        if (!saved) {
+          Alert.alert('Error', 'Failed to save school year. Please try again.');
+          return;
+        }
+      }
+      onClose();
+    } catch (error) {
+      Alert.alert('Invalid School Year', error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderDateButton = (period, periodList, field) => (
+    <TouchableOpacity
+      style={styles.dateButton}
+      onPress={() => setDatePicker({ periodList, periodId: period.id, field })}
+    >
+      <Text style={styles.dateButtonText}>{formatPeriodDate(period[field])}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderPeriod = (period, periodList) => (
+    <View key={period.id} style={styles.periodRow}>
+      <View style={styles.periodHeader}>
+        <TextInput
+          style={styles.periodNameInput}
+          value={period.name}
+          onChangeText={(name) => updatePeriod(periodList, period.id, { name })}
+          placeholder={periodList === 'terms' ? 'Term name' : 'Break name'}
+          placeholderTextColor='#999'
+        />
+        <TouchableOpacity onPress={() => handleRemovePeriod(periodList, period.id)}>
+          <Ionicons name='close-circle' size={22} color='#FF3B30' />
+        </TouchableOpacity>
+      </View>
+      {periodList === 'breaks' && (
+        <View style={styles.typeRow}>
+          {Object.values(SCHOOL_BREAK_TYPES).map((type) => (
+            <TouchableOpacity
+              key={type}
+              style={[styles.typeChip, period.type === type && styles.typeChipSelected]}
+              onPress={() => updatePeriod(periodList, period.id, { type })}
+            >
+              <Text style={[styles.typeChipText, period.type === type && styles.typeChipTextSelected]}>
+                {SCHOOL_BREAK_TYPE_LABELS[type]}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+      <View style={styles.dateRow}>
+        {renderDateButton(period, periodList, 'startDate')}
+        <Text style={styles.dateSeparator}>to</Text>
+        {renderDateButton(period, periodList, 'endDate')}
+      </View>
+    </View>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType='slide'
+      presentationStyle='pageSheet'
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} disabled={saving}>
+            <Text style={styles.cancelButton}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>School Year</Text>
+          <TouchableOpacity onPress={handleSave} disabled={saving || loading}>
+            <Text style={[styles.saveButton, saving && styles.disabledButton]}>
+              {saving ? 'Saving...' : 'Save'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        {loading ? (
+          <View style={styles.loadingContainer}>
+            <ActivityIndicator size='large' color='#48b6b0' />
+          </View>
+        ) : (
+          <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+            <View style={styles.section}>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                {schoolYears.map((year) => (
+                  <TouchableOpacity
+                    key={year.id}
+                    style={[styles.yearChip, year.id === selectedYearId && styles.yearChipSelected]}
+                    onPress={() => setSelectedYearId(year.id)}
+                  >
+                    <Text style={[styles.yearChipText, year.id === selectedYearId && styles.yearChipTextSelected]}>
+                      {year.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+                <TouchableOpacity style={styles.yearChip} onPress={handleAddYear}>
+                  <Ionicons name='add' size={18} color='#48b6b0' />
+                </TouchableOpacity>
+              </ScrollView>
+              <Text style={styles.hintText}>
+                Importing a school holiday calendar fills in {childName}'s school year. Weekdays outside
+                term time are shaded in the calendar.
+              </Text>
+            </View>
+
+            {selectedYear ? (
+              <>
+                <View style={styles.section}>
+                  <View style={styles.sectionHeader}>
+                    <Text style={styles.sectionTitle}>First and last day</Text>
+                    <TouchableOpacity onPress={handleDeleteYear}>
+                      <Ionicons name='trash-outline' size={20} color='#FF3B30' />
+                    </TouchableOpacity>
+                  </View>
+                  <View style={styles.dateRow}>
+                    {renderDateButton(selectedYear, null, 'startDate')}
+                    <Text style={styles.dateSeparator}>to</Text>
+                    {renderDateButton(selectedYear, null, 'endDate')}
+                  </View>
+                </View>
+
+                <View style={styles.section}>
+                  <View style={styles.sectionHeader}>
+                    <Text style={styles.sectionTitle}>Terms</Text>
+                    <TouchableOpacity onPress={handleAddTerm}>
+                      <Ionicons name='add-circle' size={24} color='#48b6b0' />
+                    </TouchableOpacity>
+                  </View>
+                  {selectedYear.terms.length === 0 && (
+                    <Text style={styles.hintText}>
+                      No terms yet, so every weekday in the school year counts as a school day.
+                    </Text>
+                  )}
+                  {selectedYear.terms.map((term) => renderPeriod(term, 'terms'))}
+                </View>
+
+                <View style={styles.section}>
+                  <View style={styles.sectionHeader}>
+                    <Text style={styles.sectionTitle}>Half terms and holidays</Text>
+                    <TouchableOpacity onPress={handleAddBreak}>
+                      <Ionicons name='add-circle' size={24} color='#48b6b0' />
+                    </TouchableOpacity>
+                  </View>
+                  {selectedYear.breaks.length === 0 && (
+                    <Text style={styles.hintText}>No breaks yet.</Text>
+                  )}
+                  {selectedYear.breaks.map((schoolBreak) => renderPeriod(schoolBreak, 'breaks'))}
+                </View>
+              </>
+            ) : (
+              <View style={styles.emptyState}>
+                <Ionicons name='school-outline' size={64} color='#ccc' />
+                <Text style={styles.emptyStateText}>
+                  No school years yet. Import a school holiday calendar or tap + to add one.
+                </Text>
+              </View>
+            )}
+          </ScrollView>
+        )}
+
+        <DateTimePickerModal
+          visible={datePicker !== null}
+          onCancel={() => setDatePicker(null)}
+          onConfirm={handleDateConfirm}
+          value={getPickerValue()}
+          mode='date'
+          title={datePicker?.field === 'endDate' ? 'Select End Date' : 'Select Start Date'}
+          confirmText='OK'
+          cancelText='Cancel'
+        />
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    paddingTop: Platform.OS === 'ios' ? 50 : 20,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  cancelButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+  },
+  saveButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  disabledButton: {
+    color: '#ccc',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: 'white',
+    marginVertical: 8,
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 8,
+  },
+  yearChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#48b6b0',
+    marginRight: 8,
+    justifyContent: 'center',
+  },
+  yearChipSelected: {
+    backgroundColor: '#48b6b0',
+  },
+  yearChipText: {
+    fontSize: 14,
+    color: '#48b6b0',
+    fontWeight: '500',
+  },
+  yearChipTextSelected: {
+    color: 'white',
+  },
+  periodRow: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  periodHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  periodNameInput: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    paddingVertical: 4,
+    marginRight: 12,
+  },
+  typeRow: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  typeChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+  },
+  typeChipSelected: {
+    backgroundColor: '#e6f6f5',
+  },
+  typeChipText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  typeChipTextSelected: {
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  dateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  dateButton: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#e9ecef',
+    paddingVertical: 8,
+    alignItems: 'center',
+  },
+  dateButtonText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  dateSeparator: {
+    fontSize: 14,
+    color: '#666',
+    marginHorizontal: 10,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+    paddingHorizontal: 40,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 16,
+  },
+});
@@ -0,0 +1,300 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import ChildrenDataService from '../services/ChildrenDataService';
+import FamilyTimeTimerService from '../services/FamilyTimeTimerService';
+import Base64Image from './Base64Image';
+import useActivityTypes from '../hooks/useActivityTypes';
+import { getChildDisplayName } from '../utils/birthdayUtils';
+
+export default function StartFamilyTimeModal({
+  visible,
+  onClose,
+  onStarted,
+  selectedChildren: initialSelectedChildren = [],
+}) {
+  const [children, setChildren] = useState([]);
+  const [selectedChildIds, setSelectedChildIds] = useState([]);
+  const [selectedActivityType, setSelectedActivityType] = useState(null);
+  const [starting, setStarting] = useState(false);
+  const { activityTypes } = useActivityTypes();
+
+  useEffect(() => {
+    if (visible) {
+      setSelectedActivityType(null);
+      setSelectedChildIds(initialSelectedChildren.map((child) => child.id));
+      loadChildren();
+    }
+  }, [visible]);
+
+  const loadChildren = async () => {
+    try {
+      setChildren(await ChildrenDataService.getChildren());
+    } catch (error) {
+      console.error('Error loading children:', error);
+    }
+  };
+
+  const toggleChild = (childId) => {
+    setSelectedChildIds((prev) =>
+      prev.includes(childId) ? prev.filter((id) => id !== childId) : [...prev, childId]
+    );
+  };
+
+  const handleStart = async () => {
+    try {
+      setStarting(true);
+      const timer = await FamilyTimeTimerService.startTimer({
+        activityType: selectedActivityType,
+        childIds: selectedChildIds,
+      });
+      if (!timer) {
+        Alert.alert('Error', 'Failed to start the timer. Please try again.');
+        return;
+      }
+      onStarted(timer);
+    } catch (error) {
+      Alert.alert('Cannot Start', error.message);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const canStart = !!selectedActivityType && selectedChildIds.length > 0 && !starting;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType='slide'
+      presentationStyle='pageSheet'
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} disabled={starting}>
+            <Text style={styles.cancelButton}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Start Family Time</Text>
+          <TouchableOpacity onPress={handleStart} disabled={!canStart}>
+            <Text style={[styles.saveButton, !canStart && styles.disabledButton]}>
+              {starting ? 'Starting...' : 'Start'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Who's Joining?</Text>
+            {children.length === 0 ? (
+              <Text style={styles.hintText}>
+                No children available. Please add children in Settings first.
+              </Text>
+            ) : (
+              <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                {children.map((child) => {
+                  const isSelected = selectedChildIds.includes(child.id);
+                  return (
+                    <TouchableOpacity
+                      key={child.id}
+                      style={[
+                        styles.childOption,
+                        isSelected && styles.selectedChildOption,
+                        { borderColor: child.favourColor || '#48b6b0' },
+                      ]}
+                      onPress={() => toggleChild(child.id)}
+                    >
+                      {child.photo ? (
+                        <Base64Image source={{ uri: child.photo }} style={styles.childPhoto} />
+                      ) : (
+                        <Text style={styles.childAvatar}>
+                          {child.emoji || (child.gender === 'girl' ? '👧' : '👦')}
+                        </Text>
+                      )}
+                      <Text
+                        style={[styles.childName, isSelected && styles.selectedChildName]}
+                      >
+                        {getChildDisplayName(child)}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </ScrollView>
+            )}
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>What Are You Doing?</Text>
+            <View style={styles.typeGrid}>
+              {activityTypes.map((activityType) => {
+                const isSelected = selectedActivityType === activityType.name;
+                return (
+                  <TouchableOpacity
+                    key={activityType.id}
+                    style={[
+                      styles.typeOption,
+                      { borderColor: isSelected ? activityType.color : '#eee' },
+                    ]}
+                    onPress={() => setSelectedActivityType(activityType.name)}
+                  >
+                    <View
+                      style={[
+                        styles.typeIcon,
+                        { backgroundColor: isSelected ? activityType.color : '#f5f5f5' },
+                      ]}
+                    >
+                      <Ionicons
+                        name={activityType.icon}
+                        size={24}
+                        color={isSelected ? 'white' : activityType.color}
+                      />
+                    </View>
+                    <Text
+                      style={[styles.typeName, isSelected && { color: activityType.color }]}
+                      numberOfLines={1}
+                    >
+                      {activityType.name}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </View>
+
+          <Text style={styles.footerText}>
+            The timer keeps running if you leave the app. Stop it when you're done to add
+            feelings, photos and remarks.
+          </Text>
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    paddingTop: Platform.OS === 'ios' ? 50 : 20,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  cancelButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+  },
+  saveButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  disabledButton: {
+    color: '#ccc',
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: 'white',
+    marginVertical: 8,
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 12,
+  },
+  hintText: {
+    fontSize: 14,
+    color: '#999',
+  },
+  childOption: {
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderRadius: 20,
+    borderWidth: 2,
+    backgroundColor: '#f9f9f9',
+    marginRight: 12,
+    minWidth: 80,
+  },
+  selectedChildOption: {
+    backgroundColor: '#E3F2FD',
+    borderWidth: 3,
+  },
+  childPhoto: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    marginBottom: 6,
+  },
+  childAvatar: {
+    fontSize: 28,
+    marginBottom: 6,
+  },
+  childName: {
+    fontSize: 12,
+    color: '#666',
+    fontWeight: '500',
+  },
+  selectedChildName: {
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  typeGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  typeOption: {
+    width: '31%',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 4,
+    borderRadius: 12,
+    borderWidth: 2,
+    marginBottom: 10,
+  },
+  typeIcon: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  typeName: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#333',
+  },
+  footerText: {
+    fontSize: 12,
+    color: '#999',
+    textAlign: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+});
@@ -0,0 +1,518 @@
+import React, { useState, useRef, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  PanResponder,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { isSameDay, isToday as isDateToday } from '../utils/dateUtils';
+import {
+  MIN_EVENT_DURATION_MINUTES,
+  TIME_GRID_HOUR_HEIGHT,
+  distanceToMinutes,
+  getDateAtMinutes,
+  getMinutesAtOffset,
+  getRescheduledTimes,
+  getTimeGridLayouts,
+  isTimeGridEvent,
+} from '../utils/timeGridUtils';
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const TIME_GUTTER_WIDTH = 44;
+const LONG_PRESS_DELAY = 350;
+const TAP_SLOP = 8;
+const RESIZE_HANDLE_HEIGHT = 12;
+const FIRST_VISIBLE_HOUR = 7;
+
+const formatHour = (hour) => {
+  if (hour === 0) return '12 AM';
+  if (hour === 12) return 'Noon';
+  return hour < 12 ? `${hour} AM` : `${hour - 12} PM`;
+};
+
+const formatTime = (date) =>
+  date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+
+// A timed event on the grid. Long-press and drag moves it, dragging the bottom
+// edge changes its length. The change is only reported when the finger lifts.
+function TimeGridEventBlock({
+  layout,
+  dayIndex,
+  dayCount,
+  columnWidth,
+  color,
+  draggable,
+  onPress,
+  onReschedule,
+  onDragStateChange,
+}) {
+  // { dayDelta, startMinutesDelta, endMinutesDelta } while dragging
+  const [change, setChange] = useState(null);
+  const dragActiveRef = useRef(false);
+  const longPressTimerRef = useRef(null);
+  const changeRef = useRef(null);
+
+  // PanResponder handlers are created once, so they read the latest props from here
+  const propsRef = useRef({});
+  propsRef.current = { layout, dayIndex, dayCount, columnWidth, draggable, onPress, onReschedule, onDragStateChange };
+
+  const updateChange = (nextChange) => {
+    const previous = changeRef.current;
+    if (
+      !previous ||
+      previous.dayDelta !== nextChange.dayDelta ||
+      previous.startMinutesDelta !== nextChange.startMinutesDelta ||
+      previous.endMinutesDelta !== nextChange.endMinutesDelta
+    ) {
+      changeRef.current = nextChange;
+      setChange(nextChange);
+    }
+  };
+
+  const startDrag = () => {
+    dragActiveRef.current = true;
+    changeRef.current = { dayDelta: 0, startMinutesDelta: 0, endMinutesDelta: 0 };
+    setChange(changeRef.current);
+    propsRef.current.onDragStateChange(true);
+  };
+
+  const endDrag = (commit) => {
+    clearTimeout(longPressTimerRef.current);
+    const finalChange = changeRef.current;
+    const wasDragging = dragActiveRef.current;
+
+    dragActiveRef.current = false;
+    changeRef.current = null;
+    setChange(null);
+
+    if (!wasDragging) return;
+    propsRef.current.onDragStateChange(false);
+
+    if (
+      commit &&
+      finalChange &&
+      (finalChange.dayDelta !== 0 || finalChange.startMinutesDelta !== 0 || finalChange.endMinutesDelta !== 0)
+    ) {
+      propsRef.current.onReschedule(propsRef.current.layout.event, finalChange);
+    }
+  };
+
+  // Keep the moved event on one of the days shown
+  const getDayDelta = (dx) => {
+    const { dayIndex: index, dayCount: count, columnWidth: width } = propsRef.current;
+    if (count <= 1 || !width) return 0;
+    const targetIndex = Math.min(Math.max(0, index + Math.round(dx / width)), count - 1);
+    return targetIndex - index;
+  };
+
+  const movePanResponder = useMemo(
+    () =>
+      PanResponder.create({
+        onStartShouldSetPanResponder: () => true,
+        onMoveShouldSetPanResponder: () => dragActiveRef.current,
+        // Let the grid scroll unless the event is being dragged
+        onPanResponderTerminationRequest: () => !dragActiveRef.current,
+        onPanResponderGrant: () => {
+          if (propsRef.current.draggable) {
+            longPressTimerRef.current = setTimeout(startDrag, LONG_PRESS_DELAY);
+          }
+        },
+        onPanResponderMove: (evt, gesture) => {
+          if (!dragActiveRef.current) {
+            if (Math.abs(gesture.dx) > TAP_SLOP || Math.abs(gesture.dy) > TAP_SLOP) {
+              clearTimeout(longPressTimerRef.current);
+            }
+            return;
+          }
+          const minutesDelta = distanceToMinutes(gesture.dy);
+          updateChange({
+            dayDelta: getDayDelta(gesture.dx),
+            startMinutesDelta: minutesDelta,
+            endMinutesDelta: minutesDelta,
+          });
+        },
+        onPanResponderRelease: (evt, gesture) => {
+          const isTap =
+            !dragActiveRef.current && Math.abs(gesture.dx) <= TAP_SLOP && Math.abs(gesture.dy) <= TAP_SLOP;
+          endDrag(true);
+          if (isTap) {
+            propsRef.current.onPress(propsRef.current.layout.event);
+          }
+        },
+        onPanResponderTerminate: () => endDrag(false),
+      }),
+    []
+  );
+
+  const resizePanResponder = useMemo(
+    () =>
+      PanResponder.create({
+        onStartShouldSetPanResponder: () => propsRef.current.draggable,
+        onPanResponderTerminationRequest: () => false,
+        onPanResponderGrant: startDrag,
+        onPanResponderMove: (evt, gesture) => {
+          updateChange({ dayDelta: 0, startMinutesDelta: 0, endMinutesDelta: distanceToMinutes(gesture.dy) });
+        },
+        onPanResponderRelease: () => endDrag(true),
+        onPanResponderTerminate: () => endDrag(false),
+      }),
+    []
+  );
+
+  const laneWidth = columnWidth / layout.laneCount;
+  let top = layout.top;
+  let height = layout.height;
+  let timeText = `${formatTime(new Date(layout.event.startDateTime))} - ${formatTime(new Date(layout.event.endDateTime))}`;
+
+  if (change) {
+    const preview = getRescheduledTimes(layout.event, change);
+    top = layout.top + (change.startMinutesDelta / 60) * TIME_GRID_HOUR_HEIGHT;
+    height = Math.max(
+      layout.height + ((change.endMinutesDelta - change.startMinutesDelta) / 60) * TIME_GRID_HOUR_HEIGHT,
+      (MIN_EVENT_DURATION_MINUTES / 60) * TIME_GRID_HOUR_HEIGHT
+    );
+    timeText = `${formatTime(new Date(preview.startDateTime))} - ${formatTime(new Date(preview.endDateTime))}`;
+  }
+
+  return (
+    <View
+      style={[
+        styles.eventBlock,
+        {
+          top,
+          height: Math.max(height, 18),
+          // Dragging across days uses the whole column so the target day is clear
+          left: (change ? 0 : layout.lane * laneWidth) + (change ? change.dayDelta * columnWidth : 0) + 1,
+          width: (change ? columnWidth : laneWidth) - 2,
+          backgroundColor: color,
+        },
+        change && styles.draggingEventBlock,
+      ]}
+      {...movePanResponder.panHandlers}
+      accessible={true}
+      accessibilityRole='button'
+      accessibilityLabel={`${layout.event.title}, ${timeText}`}
+      accessibilityHint={draggable ? 'Long press and drag to move' : undefined}
+    >
+      <Text style={styles.eventBlockTitle} numberOfLines={height > 36 ? 2 : 1}>
+        {layout.event.title || 'Untitled Event'}
+      </Text>
+      {(height > 30 || change) && (
+        <Text style={styles.eventBlockTime} numberOfLines={1}>
+          {timeText}
+        </Text>
+      )}
+      {draggable && (
+        <View style={styles.resizeHandle} {...resizePanResponder.panHandlers}>
+          <View style={styles.resizeHandleBar} />
+        </View>
+      )}
+    </View>
+  );
+}
+
+export default function TimeGridView({
+  days,
+  selectedDate,
+  getEventsForDate,
+  getEventColor,
+  canRescheduleEvent = () => true,
+  onDayPress,
+  onEventPress,
+  onCreateEvent,
+  onRescheduleEvent,
+}) {
+  const [gridWidth, setGridWidth] = useState(0);
+  // Raised above the other columns so an event can be dragged onto them
+  const [draggingDayIndex, setDraggingDayIndex] = useState(null);
+
+  const columnWidth = gridWidth > 0 ? (gridWidth - TIME_GUTTER_WIDTH) / days.length : 0;
+  const eventsByDay = days.map((day) => getEventsForDate(day));
+
+  const handleSlotLongPress = (day, event) => {
+    const minutes = getMinutesAtOffset(event.nativeEvent.locationY);
+    onCreateEvent(getDateAtMinutes(day, minutes));
+  };
+
+  const allDayEventsByDay = eventsByDay.map((dayEvents) => dayEvents.filter((event) => !isTimeGridEvent(event)));
+  const hasAllDayEvents = allDayEventsByDay.some((dayEvents) => dayEvents.length > 0);
+  const now = new Date();
+  const nowTop = ((now.getHours() * 60 + now.getMinutes()) / 60) * TIME_GRID_HOUR_HEIGHT;
+
+  return (
+    <View style={styles.container} onLayout={(e) => setGridWidth(e.nativeEvent.layout.width)}>
+      {/* Day headers, only needed when several days are shown */}
+      {days.length > 1 && (
+        <View style={styles.dayHeaderRow}>
+          <View style={{ width: TIME_GUTTER_WIDTH }} />
+          {days.map((day, dayIndex) => {
+            const isSelected = selectedDate && isSameDay(day, selectedDate);
+            return (
+              <TouchableOpacity
+                key={day.toISOString()}
+                style={[styles.dayHeader, { width: columnWidth }]}
+                onPress={() => onDayPress && onDayPress(day, dayIndex)}
+              >
+                <Text style={[styles.dayHeaderText, isSelected && styles.selectedDayHeaderText]}>
+                  {day.toLocaleDateString('en-US', { weekday: 'narrow' })} {day.getDate()}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      )}
+
+      {/* All-day events aren't tied to a time, so they sit above the grid */}
+      {hasAllDayEvents && (
+        <View style={styles.allDayRow}>
+          <View style={[styles.allDayLabel, { width: TIME_GUTTER_WIDTH }]}>
+            <Text style={styles.hourLabel}>All day</Text>
+          </View>
+          {allDayEventsByDay.map((dayEvents, index) => (
+            <View key={index} style={[styles.allDayColumn, { width: columnWidth }]}>
+              {dayEvents.map((event) => (
+                <TouchableOpacity
+                  key={event.id}
+                  style={[styles.allDayEvent, { backgroundColor: getEventColor(event) }]}
+                  onPress={() => onEventPress(event)}
+                >
+                  <Text style={styles.allDayEventText} numberOfLines={1}>
+                    {event.title || 'Untitled Event'}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          ))}
+        </View>
+      )}
+
+      <ScrollView
+        style={styles.scroll}
+        contentOffset={{ x: 0, y: FIRST_VISIBLE_HOUR * TIME_GRID_HOUR_HEIGHT }}
+        scrollEnabled={draggingDayIndex === null}
+        showsVerticalScrollIndicator={false}
+      >
+        <View style={[styles.grid, { height: 24 * TIME_GRID_HOUR_HEIGHT }]}>
+          {HOURS.map((hour) => (
+            <View key={hour} style={[styles.hourRow, { top: hour * TIME_GRID_HOUR_HEIGHT }]}>
+              <Text style={[styles.hourLabel, { width: TIME_GUTTER_WIDTH }]}>
+                {hour === 0 ? '' : formatHour(hour)}
+              </Text>
+              <View style={styles.hourLine} />
+            </View>
+          ))}
+
+          {columnWidth > 0 &&
+            days.map((day, dayIndex) => (
+              <View
+                key={day.toISOString()}
+                style={[
+                  styles.dayColumn,
+                  { left: TIME_GUTTER_WIDTH + dayIndex * columnWidth, width: columnWidth },
+                  draggingDayIndex === dayIndex && styles.draggingDayColumn,
+                ]}
+              >
+                <TouchableWithoutFeedback
+                  onLongPress={(event) => handleSlotLongPress(day, event)}
+                  delayLongPress={LONG_PRESS_DELAY}
+                  accessibilityLabel={`Add an event on ${day.toDateString()}`}
+                  accessibilityHint='Long press a time to add an event'
+                >
+                  <View style={StyleSheet.absoluteFill} />
+                </TouchableWithoutFeedback>
+
+                {isDateToday(day) && (
+                  <View style={[styles.nowLine, { top: nowTop }]}>
+                    <View style={styles.nowDot} />
+                  </View>
+                )}
+
+                {getTimeGridLayouts(eventsByDay[dayIndex], day).map((layout) => (
+                  <TimeGridEventBlock
+                    key={layout.event.id}
+                    layout={layout}
+                    dayIndex={dayIndex}
+                    dayCount={days.length}
+                    columnWidth={columnWidth}
+                    color={getEventColor(layout.event)}
+                    draggable={canRescheduleEvent(layout.event)}
+                    onPress={onEventPress}
+                    onReschedule={onRescheduleEvent}
+                    onDragStateChange={(active) => setDraggingDayIndex(active ? dayIndex : null)}
+                  />
+                ))}
+              </View>
+            ))}
+        </View>
+      </ScrollView>
+
+      {!hasAllDayEvents && eventsByDay.every((dayEvents) => dayEvents.length === 0) && (
+        <View style={styles.hintRow} pointerEvents='none'>
+          <Ionicons name='hand-left-outline' size={14} color='#999' />
+          <Text style={styles.hintText}>Long press a time to add an event</Text>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: 'white',
+    margin: 5,
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+  dayHeaderRow: {
+    flexDirection: 'row',
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+    paddingVertical: 6,
+  },
+  dayHeader: {
+    alignItems: 'center',
+  },
+  dayHeaderText: {
+    fontSize: 12,
+    color: '#666',
+    fontWeight: '500',
+  },
+  selectedDayHeaderText: {
+    color: '#48b6b0',
+    fontWeight: 'bold',
+  },
+  allDayRow: {
+    flexDirection: 'row',
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+    paddingVertical: 4,
+  },
+  allDayLabel: {
+    justifyContent: 'center',
+  },
+  allDayColumn: {
+    paddingHorizontal: 1,
+  },
+  allDayEvent: {
+    borderRadius: 4,
+    paddingHorizontal: 4,
+    paddingVertical: 2,
+    marginBottom: 2,
+  },
+  allDayEventText: {
+    fontSize: 11,
+    color: 'white',
+    fontWeight: '600',
+  },
+  scroll: {
+    flex: 1,
+  },
+  grid: {
+    position: 'relative',
+  },
+  hourRow: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  hourLabel: {
+    fontSize: 10,
+    color: '#999',
+    textAlign: 'right',
+    paddingRight: 6,
+    marginTop: -6,
+  },
+  hourLine: {
+    flex: 1,
+    height: 1,
+    backgroundColor: '#f0f0f0',
+  },
+  dayColumn: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    borderLeftWidth: 1,
+    borderLeftColor: '#f5f5f5',
+  },
+  draggingDayColumn: {
+    zIndex: 10,
+    elevation: 4,
+  },
+  nowLine: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    height: 2,
+    backgroundColor: '#FF6B6B',
+  },
+  nowDot: {
+    position: 'absolute',
+    left: -4,
+    top: -3,
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#FF6B6B',
+  },
+  eventBlock: {
+    position: 'absolute',
+    borderRadius: 6,
+    paddingHorizontal: 4,
+    paddingTop: 2,
+    overflow: 'hidden',
+  },
+  draggingEventBlock: {
+    opacity: 0.85,
+    zIndex: 10,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+  },
+  eventBlockTitle: {
+    fontSize: 12,
+    color: 'white',
+    fontWeight: '600',
+  },
+  eventBlockTime: {
+    fontSize: 10,
+    color: 'white',
+  },
+  resizeHandle: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    height: RESIZE_HANDLE_HEIGHT,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  resizeHandleBar: {
+    width: 16,
+    height: 3,
+    borderRadius: 2,
+    backgroundColor: 'rgba(255, 255, 255, 0.7)',
+  },
+  hintRow: {
+    position: 'absolute',
+    bottom: 12,
+    left: 0,
+    right: 0,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#999',
+    marginLeft: 6,
+  },
+});
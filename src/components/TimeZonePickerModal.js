@@ -0,0 +1,212 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  FlatList,
+  TextInput,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  formatUtcOffset,
+  getDeviceTimeZone,
+  getSelectableTimeZones,
+  getTimeZoneLabel,
+  getTimeZoneOffsetMinutes,
+} from '../utils/timeZoneUtils';
+
+export default function TimeZonePickerModal({
+  visible,
+  selectedTimeZone,
+  referenceDate = new Date(),
+  onSelect,
+  onClose,
+}) {
+  const [searchText, setSearchText] = useState('');
+
+  useEffect(() => {
+    if (visible) {
+      setSearchText('');
+    }
+  }, [visible]);
+
+  const deviceTimeZone = getDeviceTimeZone();
+
+  const timeZones = useMemo(() => {
+    // The device's zone is always offered first
+    const zones = getSelectableTimeZones().filter((zone) => zone.id !== deviceTimeZone);
+    return [{ id: deviceTimeZone, label: getTimeZoneLabel(deviceTimeZone) }, ...zones];
+  }, [deviceTimeZone]);
+
+  const filteredTimeZones = useMemo(() => {
+    const query = searchText.trim().toLowerCase();
+    if (!query) {
+      return timeZones;
+    }
+    return timeZones.filter(
+      (zone) =>
+        zone.label.toLowerCase().includes(query) ||
+        zone.id.toLowerCase().replace(/_/g, ' ').includes(query)
+    );
+  }, [timeZones, searchText]);
+
+  const getOffsetText = (timeZone) => {
+    try {
+      return formatUtcOffset(getTimeZoneOffsetMinutes(referenceDate, timeZone));
+    } catch (error) {
+      return '';
+    }
+  };
+
+  const renderTimeZone = ({ item }) => {
+    const isSelected = item.id === selectedTimeZone;
+    return (
+      <TouchableOpacity
+        style={styles.zoneRow}
+        onPress={() => onSelect(item.id)}
+        accessibilityRole='button'
+        accessibilityState={{ selected: isSelected }}
+      >
+        <View style={styles.zoneInfo}>
+          <Text style={[styles.zoneLabel, isSelected && styles.selectedZoneLabel]}>
+            {item.label}
+            {item.id === deviceTimeZone ? ' (this device)' : ''}
+          </Text>
+          <Text style={styles.zoneDetail}>
+            {item.id} · {getOffsetText(item.id)}
+          </Text>
+        </View>
+        {isSelected && <Ionicons name='checkmark' size={22} color='#48b6b0' />}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType='slide'
+      presentationStyle='pageSheet'
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <View style={styles.headerSpacer} />
+          <Text style={styles.headerTitle}>Time Zone</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.doneButton}>Done</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.searchContainer}>
+          <Ionicons name='search' size={18} color='#999' />
+          <TextInput
+            style={styles.searchInput}
+            value={searchText}
+            onChangeText={setSearchText}
+            placeholder='Search cities or zones'
+            placeholderTextColor='#999'
+            autoCorrect={false}
+            autoCapitalize='none'
+            clearButtonMode='while-editing'
+          />
+        </View>
+
+        <FlatList
+          style={styles.list}
+          data={filteredTimeZones}
+          keyExtractor={(item) => item.id}
+          renderItem={renderTimeZone}
+          keyboardShouldPersistTaps='handled'
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>No time zones match "{searchText.trim()}"</Text>
+          }
+        />
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    paddingTop: Platform.OS === 'ios' ? 50 : 20,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  headerSpacer: {
+    width: 40,
+  },
+  doneButton: {
+    fontSize: 16,
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  searchContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    marginHorizontal: 16,
+    marginVertical: 12,
+    paddingHorizontal: 12,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#eee',
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    paddingVertical: 10,
+    marginLeft: 8,
+  },
+  list: {
+    flex: 1,
+    backgroundColor: 'white',
+  },
+  zoneRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  zoneInfo: {
+    flex: 1,
+  },
+  zoneLabel: {
+    fontSize: 16,
+    color: '#333',
+  },
+  selectedZoneLabel: {
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  zoneDetail: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    padding: 20,
+  },
+});
@@ -24,4 +24,5 @@ export const DYNAMODB_TABLES = {
   CALENDAR_EVENTS: `${DYNAMODB_CONFIG.tablePrefix}-CalendarEvents`,
   FAMILY_TIME_ACTIVITIES: `${DYNAMODB_CONFIG.tablePrefix}-FarmilyTimeActivities`,
   AUTH_TOKENS: `${DYNAMODB_CONFIG.tablePrefix}-AuthTokens`,
+  RECYCLE_BIN: `${DYNAMODB_CONFIG.tablePrefix}-RecycleBin`,
 };
\ No newline at end of file
@@ -215,6 +215,37 @@ export const TABLE_SCHEMAS = {
     PointInTimeRecoverySpecification: {
       PointInTimeRecoveryEnabled: true
     }
+  },
+
+  // Recycle Bin Table Schema
+  // Tombstones for deleted events, activities and children, kept for 30 days
+  RECYCLE_BIN: {
+    TableName: DYNAMODB_TABLES.RECYCLE_BIN,
+    KeySchema: [
+      {
+        AttributeName: 'userId',
+        KeyType: 'HASH' // Partition key
+      },
+      {
+        AttributeName: 'entryId',
+        KeyType: 'RANGE' // Sort key (item type and ID, e.g. 'event_123')
+      }
+    ],
+    AttributeDefinitions: [
+      {
+        AttributeName: 'userId',
+        AttributeType: 'S'
+      },
+      {
+        AttributeName: 'entryId',
+        AttributeType: 'S'
+      }
+    ],
+    BillingMode: 'PAY_PER_REQUEST',
+    StreamSpecification: {
+      StreamEnabled: true,
+      StreamViewType: 'NEW_AND_OLD_IMAGES'
+    }
   }
 };
 
@@ -289,5 +320,17 @@ export const ACCESS_PATTERNS = {
     table: 'AUTH_TOKENS',
     operation: 'DeleteItem',
     key: ['userId', 'tokenId']
+  },
+  
+  // Recycle bin operations
+  GET_RECYCLE_BIN_ENTRIES: {
+    table: 'RECYCLE_BIN',
+    operation: 'Query',
+    key: ['userId']
+  },
+  PUT_RECYCLE_BIN_ENTRY: {
+    table: 'RECYCLE_BIN',
+    operation: 'PutItem',
+    key: ['userId', 'entryId']
   }
 };
\ No newline at end of file
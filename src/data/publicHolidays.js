@@ -0,0 +1,236 @@
+/**
+ * Public holidays bundled with the app, so they can be added without a network connection
+ *
+ * Dates follow the official lists published by each government: the Hong Kong
+ * general holidays gazette, GOV.UK bank holidays, the US Office of Personnel
+ * Management federal holidays and the Canadian federal statutory holidays.
+ * Substitute days are listed on the day they are observed. Add a year to a
+ * region once its government publishes the list.
+ */
+
+export const PUBLIC_HOLIDAY_PACKS = {
+  HK: {
+    name: 'Hong Kong',
+    holidays: {
+      2025: [
+        { date: '2025-01-01', name: 'The first day of January' },
+        { date: '2025-01-29', name: "Lunar New Year's Day" },
+        { date: '2025-01-30', name: 'The second day of Lunar New Year' },
+        { date: '2025-01-31', name: 'The third day of Lunar New Year' },
+        { date: '2025-04-04', name: 'Ching Ming Festival' },
+        { date: '2025-04-18', name: 'Good Friday' },
+        { date: '2025-04-19', name: 'The day following Good Friday' },
+        { date: '2025-04-21', name: 'Easter Monday' },
+        { date: '2025-05-01', name: 'Labour Day' },
+        { date: '2025-05-05', name: 'The Birthday of the Buddha' },
+        { date: '2025-05-31', name: 'Tuen Ng Festival' },
+        { date: '2025-07-01', name: 'Hong Kong Special Administrative Region Establishment Day' },
+        { date: '2025-10-01', name: 'National Day' },
+        { date: '2025-10-07', name: 'The day following the Chinese Mid-Autumn Festival' },
+        { date: '2025-10-29', name: 'Chung Yeung Festival' },
+        { date: '2025-12-25', name: 'Christmas Day' },
+        { date: '2025-12-26', name: 'The first weekday after Christmas Day' },
+      ],
+      2026: [
+        { date: '2026-01-01', name: 'The first day of January' },
+        { date: '2026-02-17', name: "Lunar New Year's Day" },
+        { date: '2026-02-18', name: 'The second day of Lunar New Year' },
+        { date: '2026-02-19', name: 'The third day of Lunar New Year' },
+        { date: '2026-04-03', name: 'Good Friday' },
+        { date: '2026-04-04', name: 'The day following Good Friday' },
+        { date: '2026-04-06', name: 'The day following Ching Ming Festival' },
+        { date: '2026-04-07', name: 'The day following Easter Monday' },
+        { date: '2026-05-01', name: 'Labour Day' },
+        { date: '2026-05-25', name: 'The day following the Birthday of the Buddha' },
+        { date: '2026-06-19', name: 'Tuen Ng Festival' },
+        { date: '2026-07-01', name: 'Hong Kong Special Administrative Region Establishment Day' },
+        { date: '2026-09-26', name: 'The day following the Chinese Mid-Autumn Festival' },
+        { date: '2026-10-01', name: 'National Day' },
+        { date: '2026-10-19', name: 'The day following Chung Yeung Festival' },
+        { date: '2026-12-25', name: 'Christmas Day' },
+        { date: '2026-12-26', name: 'The first weekday after Christmas Day' },
+      ],
+      2027: [
+        { date: '2027-01-01', name: 'The first day of January' },
+        { date: '2027-02-06', name: "Lunar New Year's Day" },
+        { date: '2027-02-08', name: 'The third day of Lunar New Year' },
+        { date: '2027-02-09', name: 'The fourth day of Lunar New Year' },
+        { date: '2027-03-26', name: 'Good Friday' },
+        { date: '2027-03-27', name: 'The day following Good Friday' },
+        { date: '2027-03-29', name: 'Easter Monday' },
+        { date: '2027-04-05', name: 'Ching Ming Festival' },
+        { date: '2027-05-01', name: 'Labour Day' },
+        { date: '2027-05-13', name: 'The Birthday of the Buddha' },
+        { date: '2027-06-09', name: 'Tuen Ng Festival' },
+        { date: '2027-07-01', name: 'Hong Kong Special Administrative Region Establishment Day' },
+        { date: '2027-09-16', name: 'The day following the Chinese Mid-Autumn Festival' },
+        { date: '2027-10-01', name: 'National Day' },
+        { date: '2027-10-08', name: 'Chung Yeung Festival' },
+        { date: '2027-12-25', name: 'Christmas Day' },
+        { date: '2027-12-27', name: 'The first weekday after Christmas Day' },
+      ],
+    },
+  },
+  'GB-EAW': {
+    name: 'England and Wales',
+    holidays: {
+      2025: [
+        { date: '2025-01-01', name: "New Year's Day" },
+        { date: '2025-04-18', name: 'Good Friday' },
+        { date: '2025-04-21', name: 'Easter Monday' },
+        { date: '2025-05-05', name: 'Early May bank holiday' },
+        { date: '2025-05-26', name: 'Spring bank holiday' },
+        { date: '2025-08-25', name: 'Summer bank holiday' },
+        { date: '2025-12-25', name: 'Christmas Day' },
+        { date: '2025-12-26', name: 'Boxing Day' },
+      ],
+      2026: [
+        { date: '2026-01-01', name: "New Year's Day" },
+        { date: '2026-04-03', name: 'Good Friday' },
+        { date: '2026-04-06', name: 'Easter Monday' },
+        { date: '2026-05-04', name: 'Early May bank holiday' },
+        { date: '2026-05-25', name: 'Spring bank holiday' },
+        { date: '2026-08-31', name: 'Summer bank holiday' },
+        { date: '2026-12-25', name: 'Christmas Day' },
+        { date: '2026-12-28', name: 'Boxing Day (substitute day)' },
+      ],
+      2027: [
+        { date: '2027-01-01', name: "New Year's Day" },
+        { date: '2027-03-26', name: 'Good Friday' },
+        { date: '2027-03-29', name: 'Easter Monday' },
+        { date: '2027-05-03', name: 'Early May bank holiday' },
+        { date: '2027-05-31', name: 'Spring bank holiday' },
+        { date: '2027-08-30', name: 'Summer bank holiday' },
+        { date: '2027-12-27', name: 'Christmas Day (substitute day)' },
+        { date: '2027-12-28', name: 'Boxing Day (substitute day)' },
+      ],
+    },
+  },
+  'GB-SCT': {
+    name: 'Scotland',
+    holidays: {
+      2025: [
+        { date: '2025-01-01', name: "New Year's Day" },
+        { date: '2025-01-02', name: '2nd January' },
+        { date: '2025-04-18', name: 'Good Friday' },
+        { date: '2025-05-05', name: 'Early May bank holiday' },
+        { date: '2025-05-26', name: 'Spring bank holiday' },
+        { date: '2025-08-04', name: 'Summer bank holiday' },
+        { date: '2025-12-01', name: "St Andrew's Day (substitute day)" },
+        { date: '2025-12-25', name: 'Christmas Day' },
+        { date: '2025-12-26', name: 'Boxing Day' },
+      ],
+      2026: [
+        { date: '2026-01-01', name: "New Year's Day" },
+        { date: '2026-01-02', name: '2nd January' },
+        { date: '2026-04-03', name: 'Good Friday' },
+        { date: '2026-05-04', name: 'Early May bank holiday' },
+        { date: '2026-05-25', name: 'Spring bank holiday' },
+        { date: '2026-08-03', name: 'Summer bank holiday' },
+        { date: '2026-11-30', name: "St Andrew's Day" },
+        { date: '2026-12-25', name: 'Christmas Day' },
+        { date: '2026-12-28', name: 'Boxing Day (substitute day)' },
+      ],
+      2027: [
+        { date: '2027-01-01', name: "New Year's Day" },
+        { date: '2027-01-04', name: '2nd January (substitute day)' },
+        { date: '2027-03-26', name: 'Good Friday' },
+        { date: '2027-05-03', name: 'Early May bank holiday' },
+        { date: '2027-05-31', name: 'Spring bank holiday' },
+        { date: '2027-08-02', name: 'Summer bank holiday' },
+        { date: '2027-11-30', name: "St Andrew's Day" },
+        { date: '2027-12-27', name: 'Christmas Day (substitute day)' },
+        { date: '2027-12-28', name: 'Boxing Day (substitute day)' },
+      ],
+    },
+  },
+  US: {
+    name: 'United States',
+    holidays: {
+      2025: [
+        { date: '2025-01-01', name: "New Year's Day" },
+        { date: '2025-01-20', name: 'Birthday of Martin Luther King, Jr.' },
+        { date: '2025-02-17', name: "Washington's Birthday" },
+        { date: '2025-05-26', name: 'Memorial Day' },
+        { date: '2025-06-19', name: 'Juneteenth National Independence Day' },
+        { date: '2025-07-04', name: 'Independence Day' },
+        { date: '2025-09-01', name: 'Labor Day' },
+        { date: '2025-10-13', name: 'Columbus Day' },
+        { date: '2025-11-11', name: 'Veterans Day' },
+        { date: '2025-11-27', name: 'Thanksgiving Day' },
+        { date: '2025-12-25', name: 'Christmas Day' },
+      ],
+      2026: [
+        { date: '2026-01-01', name: "New Year's Day" },
+        { date: '2026-01-19', name: 'Birthday of Martin Luther King, Jr.' },
+        { date: '2026-02-16', name: "Washington's Birthday" },
+        { date: '2026-05-25', name: 'Memorial Day' },
+        { date: '2026-06-19', name: 'Juneteenth National Independence Day' },
+        { date: '2026-07-03', name: 'Independence Day (observed)' },
+        { date: '2026-09-07', name: 'Labor Day' },
+        { date: '2026-10-12', name: 'Columbus Day' },
+        { date: '2026-11-11', name: 'Veterans Day' },
+        { date: '2026-11-26', name: 'Thanksgiving Day' },
+        { date: '2026-12-25', name: 'Christmas Day' },
+      ],
+      2027: [
+        { date: '2027-01-01', name: "New Year's Day" },
+        { date: '2027-01-18', name: 'Birthday of Martin Luther King, Jr.' },
+        { date: '2027-02-15', name: "Washington's Birthday" },
+        { date: '2027-05-31', name: 'Memorial Day' },
+        { date: '2027-06-18', name: 'Juneteenth National Independence Day (observed)' },
+        { date: '2027-07-05', name: 'Independence Day (observed)' },
+        { date: '2027-09-06', name: 'Labor Day' },
+        { date: '2027-10-11', name: 'Columbus Day' },
+        { date: '2027-11-11', name: 'Veterans Day' },
+        { date: '2027-11-25', name: 'Thanksgiving Day' },
+        { date: '2027-12-24', name: 'Christmas Day (observed)' },
+        { date: '2027-12-31', name: "New Year's Day (observed)" },
+      ],
+    },
+  },
+  CA: {
+    name: 'Canada',
+    holidays: {
+      2025: [
+        { date: '2025-01-01', name: "New Year's Day" },
+        { date: '2025-04-18', name: 'Good Friday' },
+        { date: '2025-04-21', name: 'Easter Monday' },
+        { date: '2025-05-19', name: 'Victoria Day' },
+        { date: '2025-07-01', name: 'Canada Day' },
+        { date: '2025-09-01', name: 'Labour Day' },
+        { date: '2025-09-30', name: 'National Day for Truth and Reconciliation' },
+        { date: '2025-10-13', name: 'Thanksgiving' },
+        { date: '2025-11-11', name: 'Remembrance Day' },
+        { date: '2025-12-25', name: 'Christmas Day' },
+        { date: '2025-12-26', name: 'Boxing Day' },
+      ],
+      2026: [
+        { date: '2026-01-01', name: "New Year's Day" },
+        { date: '2026-04-03', name: 'Good Friday' },
+        { date: '2026-04-06', name: 'Easter Monday' },
+        { date: '2026-05-18', name: 'Victoria Day' },
+        { date: '2026-07-01', name: 'Canada Day' },
+        { date: '2026-09-07', name: 'Labour Day' },
+        { date: '2026-09-30', name: 'National Day for Truth and Reconciliation' },
+        { date: '2026-10-12', name: 'Thanksgiving' },
+        { date: '2026-11-11', name: 'Remembrance Day' },
+        { date: '2026-12-25', name: 'Christmas Day' },
+        { date: '2026-12-28', name: 'Boxing Day (observed)' },
+      ],
+      2027: [
+        { date: '2027-01-01', name: "New Year's Day" },
+        { date: '2027-03-26', name: 'Good Friday' },
+        { date: '2027-03-29', name: 'Easter Monday' },
+        { date: '2027-05-24', name: 'Victoria Day' },
+        { date: '2027-07-01', name: 'Canada Day' },
+        { date: '2027-09-06', name: 'Labour Day' },
+        { date: '2027-09-30', name: 'National Day for Truth and Reconciliation' },
+        { date: '2027-10-11', name: 'Thanksgiving' },
+        { date: '2027-11-11', name: 'Remembrance Day' },
+        { date: '2027-12-27', name: 'Christmas Day (observed)' },
+        { date: '2027-12-28', name: 'Boxing Day (observed)' },
+      ],
+    },
+  },
+};
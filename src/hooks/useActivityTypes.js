@@ -0,0 +1,61 @@
+import { useState, useEffect, useCallback } from 'react';
+import ActivityTypesService from '../services/ActivityTypesService';
+import {
+  findActivityType as findInTypes,
+  getActivityTypeIcon as getIconFromTypes,
+  getActivityTypeColor as getColorFromTypes,
+} from '../utils/activityTypeUtils';
+
+/**
+ * useActivityTypes Hook
+ *
+ * Loads the user's family time activity types and keeps them up to date when
+ * the registry changes anywhere in the app.
+ *
+ * @returns {Object} Activity types and lookup helpers
+ */
+export default function useActivityTypes() {
+  const [activityTypes, setActivityTypes] = useState(() =>
+    ActivityTypesService.getCachedActivityTypes()
+  );
+
+  useEffect(() => {
+    const unsubscribe = ActivityTypesService.subscribe(setActivityTypes);
+    ActivityTypesService.getActivityTypes();
+    return unsubscribe;
+  }, []);
+
+  /**
+   * Find the definition for an activity type name
+   */
+  const findActivityType = useCallback(
+    (typeName) => findInTypes(typeName, activityTypes),
+    [activityTypes]
+  );
+
+  /**
+   * Get the icon for an activity type name
+   */
+  const getActivityTypeIcon = useCallback(
+    (typeName) => getIconFromTypes(typeName, activityTypes),
+    [activityTypes]
+  );
+
+  /**
+   * Get the colour for an activity type name
+   */
+  const getActivityTypeColor = useCallback(
+    (typeName) => getColorFromTypes(typeName, activityTypes),
+    [activityTypes]
+  );
+
+  const reload = useCallback(() => ActivityTypesService.getActivityTypes(), []);
+
+  return {
+    activityTypes,
+    findActivityType,
+    getActivityTypeIcon,
+    getActivityTypeColor,
+    reload,
+  };
+}
@@ -0,0 +1,49 @@
+import { useState, useEffect, useCallback } from 'react';
+import EventTypesService from '../services/EventTypesService';
+import {
+  getEventTypeIcon as getIconFromTypes,
+  getEventTypeColor as getColorFromTypes,
+} from '../utils/eventTypeUtils';
+
+/**
+ * useEventTypes Hook
+ *
+ * Loads the user's calendar event types and keeps them up to date when the
+ * registry changes anywhere in the app.
+ *
+ * @returns {Object} Event types and lookup helpers
+ */
+export default function useEventTypes() {
+  const [eventTypes, setEventTypes] = useState(() => EventTypesService.getCachedEventTypes());
+
+  useEffect(() => {
+    const unsubscribe = EventTypesService.subscribe(setEventTypes);
+    EventTypesService.getEventTypes();
+    return unsubscribe;
+  }, []);
+
+  /**
+   * Get the icon for an event type name
+   */
+  const getEventTypeIcon = useCallback(
+    (eventType) => getIconFromTypes(eventType, eventTypes),
+    [eventTypes]
+  );
+
+  /**
+   * Get the colour for an event type name
+   */
+  const getEventTypeColor = useCallback(
+    (eventType) => getColorFromTypes(eventType, eventTypes),
+    [eventTypes]
+  );
+
+  const reload = useCallback(() => EventTypesService.getEventTypes(), []);
+
+  return {
+    eventTypes,
+    getEventTypeIcon,
+    getEventTypeColor,
+    reload,
+  };
+}
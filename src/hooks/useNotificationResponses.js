@@ -0,0 +1,119 @@
+import { useEffect } from 'react';
+import * as Notifications from 'expo-notifications';
+import NotificationService from '../services/NotificationService';
+import CalendarEventsService from '../services/CalendarEventsService';
+
+// Responses already handled, so the launch response isn't handled again by the listener
+const handledResponses = new Set();
+
+// How long to wait for the navigator before retrying a navigation
+const NAVIGATION_RETRY_DELAY_MS = 250;
+const MAX_NAVIGATION_ATTEMPTS = 20;
+
+const getResponseKey = (response) =>
+  `${response.notification.request.identifier}:${response.actionIdentifier}`;
+
+const navigateWhenReady = (navigationRef, params, attempt = 0) => {
+  if (navigationRef.isReady()) {
+    navigationRef.navigate('Calendar', { ...params, openRequestId: Date.now() });
+    return;
+  }
+
+  if (attempt < MAX_NAVIGATION_ATTEMPTS) {
+    setTimeout(() => navigateWhenReady(navigationRef, params, attempt + 1), NAVIGATION_RETRY_DELAY_MS);
+  }
+};
+
+const openNotificationTarget = (navigationRef, data) => {
+  if (data.type === 'birthday_reminder' || data.type === 'daily_digest') {
+    // Birthdays aren't stored events and digests cover a whole day, so open the day
+    navigateWhenReady(navigationRef, { openDate: data.date });
+    return;
+  }
+
+  navigateWhenReady(navigationRef, {
+    openEventId: data.eventId,
+    occurrenceDate: data.occurrenceDate || null,
+  });
+};
+
+const completeEventChecklist = async (data) => {
+  const event = await CalendarEventsService.getEventOccurrence(data.eventId, data.occurrenceDate);
+  if (!event) {
+    console.warn('Could not mark event done: event not found', data.eventId);
+    return;
+  }
+
+  await CalendarEventsService.completeChecklist(event);
+};
+
+const handleResponse = async (navigationRef, response) => {
+  if (!response) {
+    return;
+  }
+
+  const responseKey = getResponseKey(response);
+  if (handledResponses.has(responseKey)) {
+    return;
+  }
+  handledResponses.add(responseKey);
+
+  const { notification, actionIdentifier } = response;
+  const data = notification.request.content.data || {};
+
+  try {
+    switch (actionIdentifier) {
+      case NotificationService.ACTIONS.SNOOZE_10_MIN:
+      case NotificationService.ACTIONS.SNOOZE_1_HOUR:
+        await NotificationService.snoozeNotification(
+          notification,
+          NotificationService.SNOOZE_MINUTES[actionIdentifier]
+        );
+        await Notifications.dismissNotificationAsync(notification.request.identifier);
+        break;
+      case NotificationService.ACTIONS.DONE:
+        await completeEventChecklist(data);
+        await Notifications.dismissNotificationAsync(notification.request.identifier);
+        break;
+      case NotificationService.ACTIONS.OPEN:
+      case Notifications.DEFAULT_ACTION_IDENTIFIER:
+        openNotificationTarget(navigationRef, data);
+        break;
+      default:
+        break;
+    }
+  } catch (error) {
+    console.error('Error handling notification response:', error);
+  }
+};
+
+/**
+ * useNotificationResponses Hook
+ *
+ * Registers the reminder notification actions and handles them: snoozing,
+ * marking a checklist event done, and opening the event in the calendar when
+ * the notification or its "Open" button is tapped, including the tap that
+ * launched the app.
+ *
+ * @param {Object} navigationRef - Navigation container ref
+ * @param {boolean} enabled - Whether the user is signed in and the app tabs are shown
+ */
+export default function useNotificationResponses(navigationRef, enabled) {
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+
+    NotificationService.registerNotificationCategories();
+
+    Notifications.getLastNotificationResponseAsync()
+      .then((response) => handleResponse(navigationRef, response))
+      .catch((error) => console.error('Error getting last notification response:', error));
+
+    const subscription = Notifications.addNotificationResponseReceivedListener((response) =>
+      handleResponse(navigationRef, response)
+    );
+
+    return () => subscription.remove();
+  }, [navigationRef, enabled]);
+}
@@ -12,26 +12,57 @@ import {
   TouchableOpacity,
   FlatList,
   Animated,
+  Alert,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useFocusEffect } from '@react-navigation/native';
 import AddEventModal from '../components/AddEventModal';
 import EventDetailModal from '../components/EventDetailModal';
+import CalendarExportModal from '../components/CalendarExportModal';
+import ICSImportModal from '../components/ICSImportModal';
+import AgendaView from '../components/AgendaView';
+import TimeGridView from '../components/TimeGridView';
+import ToastMessage from '../components/ToastMessage';
 import CalendarEventsService from '../services/CalendarEventsService';
 import ChildrenDataService from '../services/ChildrenDataService';
 import NotificationService from '../services/NotificationService';
+import BirthdayService from '../services/BirthdayService';
+import DigestService from '../services/DigestService';
+import SchoolYearService from '../services/SchoolYearService';
+import LunarCalendarService from '../services/LunarCalendarService';
 import {
   formatLocalDateString,
+  parseLocalDateString,
   isSameDay,
   isToday as isDateToday,
   getWeekStart,
   getWeekDays,
 } from '../utils/dateUtils';
-
-export default function CalendarScreen() {
+import {
+  expandEventsInRange,
+  isRecurringOccurrence,
+  describeRecurrence,
+  getEventStartDateString,
+} from '../utils/recurrenceUtils';
+import { confirmEventConflicts, findOverlappingEvents } from '../utils/conflictUtils';
+import { getRescheduledTimes } from '../utils/timeGridUtils';
+import useEventTypes from '../hooks/useEventTypes';
+import useMessages from '../hooks/useMessages';
+import { getChecklistProgress } from '../utils/checklistUtils';
+import { getBirthdayEventsInRange, isBirthdayEvent } from '../utils/birthdayUtils';
+import { getNonSchoolDays } from '../utils/schoolYearUtils';
+import {
+  formatLunarDate,
+  getLunarDayLabel,
+  getLunarFestival,
+  solarToLunar,
+} from '../utils/lunarCalendarUtils';
+import { getEventTimeZoneHint } from '../utils/timeZoneUtils';
+
+export default function CalendarScreen({ route }) {
   const [selectedDate, setSelectedDate] = useState(() => new Date());
   const [currentMonth, setCurrentMonth] = useState(() => new Date());
-  const [viewMode, setViewMode] = useState('month'); // 'month', 'week', 'day'
+  const [viewMode, setViewMode] = useState('month'); // 'month', 'week', 'day', 'agenda'
   const [currentWeekStart, setCurrentWeekStart] = useState(() => {
     return getWeekStart(new Date());
   });
@@ -46,10 +77,19 @@ export default function CalendarScreen() {
   const [touchStart, setTouchStart] = useState(null);
   const [touchEnd, setTouchEnd] = useState(null);
   const [showAddEventModal, setShowAddEventModal] = useState(false);
+  const [newEventStartTime, setNewEventStartTime] = useState(null); // set when adding from the time grid
   const [showEventDetailModal, setShowEventDetailModal] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [agendaTodayRequest, setAgendaTodayRequest] = useState(0);
+  const { getEventTypeIcon } = useEventTypes();
+  const { messages, showSuccess, showError, hideToast } = useMessages();
   const [selectedEvent, setSelectedEvent] = useState(null);
   const [events, setEvents] = useState([]);
   const [children, setChildren] = useState([]);
+  const [birthdaysEnabled, setBirthdaysEnabled] = useState(false);
+  const [schoolYears, setSchoolYears] = useState([]);
+  const [showLunarDates, setShowLunarDates] = useState(false);
   const [loading, setLoading] = useState(true);
 
   // Animation values
@@ -79,12 +119,28 @@ export default function CalendarScreen() {
     }, [])
   );
 
+  // Rebuild the daily digest notifications when events are added, edited or deleted
+  useEffect(() => {
+    if (!loading) {
+      DigestService.refreshDigestNotifications();
+    }
+  }, [events]);
+
   const loadData = async () => {
     try {
       setLoading(true);
-      const [eventsData, childrenData] = await Promise.all([
+      const [
+        eventsData,
+        childrenData,
+        birthdaySettings,
+        schoolYearsData,
+        lunarCalendarSettings,
+      ] = await Promise.all([
         CalendarEventsService.getEvents(),
         ChildrenDataService.getChildren(),
+        BirthdayService.getSettings(),
+        SchoolYearService.getSchoolYears(),
+        LunarCalendarService.getSettings(),
       ]);
 
       // Validate and clean up corrupted events
@@ -124,6 +180,9 @@ export default function CalendarScreen() {
 
       setEvents(validEvents);
       setChildren(childrenData);
+      setBirthdaysEnabled(birthdaySettings.enabled);
+      setSchoolYears(schoolYearsData);
+      setShowLunarDates(lunarCalendarSettings.showLunarDates);
 
       // Request notification permissions on first load
       try {
@@ -175,17 +234,178 @@ export default function CalendarScreen() {
     }
   }, [viewMode]);
 
+  // Open the event (or day) a reminder notification was tapped for
+  const openRequestId = route?.params?.openRequestId;
+  useEffect(() => {
+    if (!openRequestId) {
+      return;
+    }
+
+    const { openEventId, occurrenceDate, openDate } = route.params;
+
+    const showDate = (date) => {
+      setSelectedDate(date);
+      setSelectedWeekDay(date.getDay());
+      setCurrentWeekStart(getWeekStart(date));
+      setCurrentMonth(new Date(date.getFullYear(), date.getMonth(), 1));
+    };
+
+    if (openDate) {
+      showDate(parseLocalDateString(openDate));
+      return;
+    }
+
+    const openEvent = async () => {
+      const event = await CalendarEventsService.getEventOccurrence(openEventId, occurrenceDate);
+      if (!event) {
+        Alert.alert('Event Not Found', 'This event may have been deleted.');
+        return;
+      }
+
+      showDate(parseLocalDateString(getEventStartDateString(event)));
+      handleEventPress(event);
+    };
+
+    openEvent();
+  }, [openRequestId]);
+
   const handleEventAdded = (newEvent) => {
     setEvents((prevEvents) => [...prevEvents, newEvent]);
   };
 
-  const handleEventDeleted = (eventId) => {
+  const handleEventDeleted = (eventId, deletedEvent = null, { restorableEventId = null } = {}) => {
+    showSuccess('Event deleted', restorableEventId ? {
+      actionText: 'Undo',
+      onActionPress: () => handleUndoDelete(restorableEventId),
+    } : {});
+
+    // Deleting recurring occurrences changes the stored series, so reload it
+    if (deletedEvent && isRecurringOccurrence(deletedEvent)) {
+      loadData();
+      return;
+    }
     setEvents((prevEvents) =>
       prevEvents.filter((event) => event.id !== eventId)
     );
   };
 
+  const handleUndoDelete = async (eventId) => {
+    const restoredEvent = await CalendarEventsService.restoreEvent(eventId);
+    if (!restoredEvent) {
+      showError('Failed to restore event');
+      return;
+    }
+    loadData();
+  };
+
+  // Long-pressing an empty slot on the time grid opens the form at that time
+  const handleCreateEventAt = (startTime) => {
+    setNewEventStartTime(startTime);
+    setShowAddEventModal(true);
+  };
+
+  // Ask whether moving one occurrence of a series moves the others too
+  // Resolves to 'this', 'all' or null when cancelled
+  const chooseRescheduleScope = (title, message, thisText, allText) => {
+    return new Promise((resolve) => {
+      Alert.alert(
+        title,
+        message,
+        [
+          { text: thisText, onPress: () => resolve('this') },
+          { text: allText, onPress: () => resolve('all') },
+          { text: 'Cancel', style: 'cancel', onPress: () => resolve(null) },
+        ],
+        { cancelable: true, onDismiss: () => resolve(null) }
+      );
+    });
+  };
+
+  // Save an event dragged or resized on the time grid
+  // change: { dayDelta, startMinutesDelta, endMinutesDelta }
+  const handleRescheduleEvent = async (event, change) => {
+    const rescheduledTimes = getRescheduledTimes(event, change);
+
+    // Warn before double-booking any of the children involved
+    const conflicts = await CalendarEventsService.findConflictingEvents(
+      { ...event, ...rescheduledTimes, recurrence: null, isMultiDate: false },
+      [event.id, event.recurringEventId]
+    );
+    if (!(await confirmEventConflicts(conflicts))) {
+      return;
+    }
+
+    let updated = null;
+
+    if (isRecurringOccurrence(event)) {
+      const scope = await chooseRescheduleScope(
+        'Move Recurring Event',
+        'Move this event only, or move every event in the series by the same amount?',
+        'This Event',
+        'All Events'
+      );
+      if (!scope) {
+        return;
+      }
+
+      updated = scope === 'this'
+        ? await CalendarEventsService.updateRecurringEventOccurrence(
+          event.recurringEventId, event.occurrenceDate, { ...rescheduledTimes, recurrence: null }
+        )
+        : await CalendarEventsService.updateAllRecurringEventOccurrences(
+          event.recurringEventId, rescheduledTimes, change.dayDelta || 0
+        );
+    } else if (isMultiDateEvent(event)) {
+      const scope = await chooseRescheduleScope(
+        'Move Multi-Date Event',
+        'Move this date only, or move every date of this event by the same amount?',
+        'This Date',
+        'All Dates'
+      );
+      if (!scope) {
+        return;
+      }
+
+      if (scope === 'this') {
+        updated = await CalendarEventsService.updateEvent(event.id, rescheduledTimes);
+      } else {
+        const occurrences = await CalendarEventsService.getMultiDateEventOccurrences(event.multiDateId);
+        updated = occurrences.length > 0;
+        for (const occurrence of occurrences) {
+          if (!occurrence.isAllDay) {
+            const result = await CalendarEventsService.updateEvent(
+              occurrence.id,
+              getRescheduledTimes(occurrence, change)
+            );
+            updated = updated && !!result;
+          }
+        }
+      }
+    } else {
+      updated = await CalendarEventsService.updateEvent(event.id, rescheduledTimes);
+    }
+
+    if (!updated) {
+      showError('Failed to move event');
+    }
+    loadData();
+  };
+
+  // Events on the time grid use their first child's colour, as in the events list
+  const getTimeGridEventColor = (event) => {
+    const eventChildren = getEventChildren(event);
+    return eventChildren.length > 0 ? eventChildren[0].color : '#999999';
+  };
+
   const handleEventPress = (event) => {
+    // Birthdays are generated from child profiles and can't be edited here
+    if (isBirthdayEvent(event)) {
+      Alert.alert(
+        event.title,
+        `${event.childName}'s birthday is taken from their profile. To change it, edit ${event.childName} in Manage Children.`
+      );
+      return;
+    }
     setSelectedEvent(event);
     setShowEventDetailModal(true);
   };
@@ -287,10 +507,69 @@ export default function CalendarScreen() {
     }
   };
 
+  // The dates shown by the month grid, the week strip and the selected day
+  const visibleRange = useMemo(() => {
+    const monthGridStart = getWeekStart(
+      new Date(currentMonth.getFullYear(), currentMonth.getMonth(), 1)
+    );
+    const monthGridEnd = new Date(monthGridStart);
+    monthGridEnd.setDate(monthGridStart.getDate() + 41);
+
+    const weekStart = currentWeekStart || getWeekStart(selectedDate);
+    const weekEnd = new Date(weekStart);
+    weekEnd.setDate(weekStart.getDate() + 6);
+
+    const boundaries = [monthGridStart, monthGridEnd, weekStart, weekEnd, selectedDate];
+    return {
+      rangeStart: new Date(Math.min(...boundaries)),
+      rangeEnd: new Date(Math.max(...boundaries)),
+    };
+  }, [currentMonth, currentWeekStart, selectedDate]);
+
+  // Recurring events are stored once and expanded for the dates on screen,
+  // and birthdays are generated from the children's profiles
+  const visibleEvents = useMemo(() => {
+    const { rangeStart, rangeEnd } = visibleRange;
+    const birthdayEvents = birthdaysEnabled
+      ? getBirthdayEventsInRange(children, rangeStart, rangeEnd)
+      : [];
+    return [...expandEventsInRange(events, rangeStart, rangeEnd), ...birthdayEvents];
+  }, [events, children, birthdaysEnabled, visibleRange]);
+
+  // Weekdays on screen when a child is off school, from the children's school years
+  const nonSchoolDays = useMemo(
+    () => getNonSchoolDays(schoolYears, visibleRange.rangeStart, visibleRange.rangeEnd),
+    [schoolYears, visibleRange]
+  );
+
+  const isNonSchoolDay = (date) => !!nonSchoolDays[formatLocalDateString(date)];
+
+  const getNonSchoolDayText = (date) => {
+    const entries = nonSchoolDays[formatLocalDateString(date)];
+    if (!entries) {
+      return null;
+    }
+    const labels = [...new Set(entries.map((entry) => entry.label).filter(Boolean))];
+    const names = entries.map((entry) => getChildName(entry.childId)).join(', ');
+    return labels.length === 1 ? `No school: ${names} (${labels[0]})` : `No school: ${names}`;
+  };
+
+  // e.g. "八月十五 · Mid-Autumn Festival" for the day view
+  const getLunarDateText = (date) => {
+    const lunarDate = solarToLunar(date);
+    if (!lunarDate) {
+      return null;
+    }
+    const festival = getLunarFestival(date);
+    return festival
+      ? `${formatLunarDate(lunarDate)} · ${festival.name}`
+      : formatLunarDate(lunarDate);
+  };
+
   const getEventsForDate = (date) => {
     const dateString = formatLocalDateString(date);
 
-    return events.filter((event) => {
+    return visibleEvents.filter((event) => {
       if (event.isAllDay) {
         return (
           event.startDate === dateString ||
@@ -750,7 +1029,19 @@ export default function CalendarScreen() {
       return getEventsForDate(selectedDate); // For month view, show selected day events
     }
     return events; // Fallback
-  }, [viewMode, selectedDate, events]);
+  }, [viewMode, selectedDate, events, visibleEvents]);
+
+  // Clashing events on the selected day, marked in the week and day views
+  const selectedDayOverlaps = useMemo(() => {
+    if (viewMode === 'month' || viewMode === 'agenda') {
+      return new Map();
+    }
+    // The service resolves childless events to no children, so they count as family events
+    // Birthdays don't take up time, so they never clash
+    return findOverlappingEvents(getFilteredEvents.filter((event) => !isBirthdayEvent(event)), (event) =>
+      CalendarEventsService.getEventChildren(event)
+    );
+  }, [viewMode, getFilteredEvents]);
 
   const formatDate = (date) => {
     return date.toLocaleDateString('en-US', {
@@ -770,7 +1061,7 @@ export default function CalendarScreen() {
     } else {
       const startTime = new Date(event.startDateTime);
       const endTime = new Date(event.endDateTime);
-      return `${startTime.toLocaleTimeString('en-US', {
+      const timeText = `${startTime.toLocaleTimeString('en-US', {
         hour: 'numeric',
         minute: '2-digit',
         hour12: true,
@@ -779,20 +1070,10 @@ export default function CalendarScreen() {
         minute: '2-digit',
         hour12: true,
       })}`;
-    }
-  };
 
-  const getEventTypeIcon = (eventType) => {
-    switch (eventType) {
-      case 'Birthday':
-        return 'gift';
-      case 'Holiday':
-        return 'sunny';
-      case 'Anniversary':
-        return 'heart';
-      case 'Personal':
-      default:
-        return 'calendar';
+      // Events entered in another zone also show their start time there
+      const zoneHint = getEventTimeZoneHint(event);
+      return zoneHint ? `${timeText} (${zoneHint})` : timeText;
     }
   };
 
@@ -1080,6 +1361,20 @@ export default function CalendarScreen() {
     }
   };
 
+  // Describe the repeat rule of an expanded occurrence using its series start date
+  const getRecurrenceDescription = useCallback(
+    (occurrence) => {
+      const series = events.find(
+        (event) => event.id === occurrence.recurringEventId
+      );
+      return describeRecurrence(
+        occurrence.recurrence,
+        getEventStartDateString(series || occurrence)
+      );
+    },
+    [events]
+  );
+
   // Memoized event rendering component for better performance
   const renderEvent = useCallback(
     ({ item }) => {
@@ -1116,6 +1411,10 @@ export default function CalendarScreen() {
           eventTime = item.isAllDay ? 'All day' : 'Time unavailable';
         }
 
+        // Events that clash with this one for the same children
+        const overlappingEvents = selectedDayOverlaps.get(item.id) || [];
+        const checklistProgress = getChecklistProgress(item);
+
         // Safely get event type icon
         let eventTypeIcon = 'calendar';
         try {
@@ -1126,7 +1425,10 @@ export default function CalendarScreen() {
 
         return (
           <TouchableOpacity
-            style={styles.eventCard}
+            style={[
+              styles.eventCard,
+              overlappingEvents.length > 0 && styles.conflictEventCard,
+            ]}
             onPress={() => handleEventPress(item)}
             activeOpacity={0.7}
           >
@@ -1145,6 +1447,28 @@ export default function CalendarScreen() {
                     <Ionicons name='link' size={12} color='#48b6b0' />
                   </View>
                 )}
+                {isRecurringOccurrence(item) && (
+                  <View style={styles.multiDateEventBadge}>
+                    <Ionicons name='repeat' size={12} color='#48b6b0' />
+                  </View>
+                )}
+                {overlappingEvents.length > 0 && (
+                  <View style={styles.conflictEventBadge}>
+                    <Ionicons name='warning' size={12} color='#FF9500' />
+                  </View>
+                )}
+                {checklistProgress.total > 0 && (
+                  <View style={styles.checklistEventBadge}>
+                    <Ionicons
+                      name={checklistProgress.done === checklistProgress.total ? 'checkbox' : 'checkbox-outline'}
+                      size={12}
+                      color='#48b6b0'
+                    />
+                    <Text style={styles.checklistEventBadgeText}>
+                      {checklistProgress.done}/{checklistProgress.total}
+                    </Text>
+                  </View>
+                )}
               </View>
               <Text style={styles.eventTime} numberOfLines={1}>
                 {eventTime}
@@ -1159,6 +1483,16 @@ export default function CalendarScreen() {
                   Part of {item.totalOccurrences || 'multi'}-date series
                 </Text>
               )}
+              {isRecurringOccurrence(item) && (
+                <Text style={styles.multiDateEventInfo} numberOfLines={1}>
+                  {getRecurrenceDescription(item)}
+                </Text>
+              )}
+              {overlappingEvents.length > 0 && (
+                <Text style={styles.conflictEventInfo} numberOfLines={1}>
+                  Overlaps with {overlappingEvents.map((event) => event.title || 'Untitled Event').join(', ')}
+                </Text>
+              )}
             </View>
             <Ionicons name='chevron-forward' size={20} color='#ccc' />
           </TouchableOpacity>
@@ -1179,7 +1513,13 @@ export default function CalendarScreen() {
         );
       }
     },
-    [getEventChildren, handleEventPress]
+    [
+      getEventChildren,
+      handleEventPress,
+      getRecurrenceDescription,
+      selectedDayOverlaps,
+      getEventTypeIcon,
+    ]
   );
 
   const getSelectedWeekDays = () => {
@@ -1269,12 +1609,15 @@ export default function CalendarScreen() {
                   day
                 );
                 const dayEvents = getEventsForDate(dayDate);
+                const lunarLabel = showLunarDates ? getLunarDayLabel(dayDate) : '';
 
                 return (
                   <TouchableOpacity
                     key={index}
                     style={[
                       styles.monthDay,
+                      showLunarDates && styles.lunarMonthDay,
+                      isNonSchoolDay(dayDate) && styles.nonSchoolDay,
                       isDateToday(dayDate) && styles.todayMonth,
                       isSelectedDate(dayDate) && styles.selectedMonth,
                     ]}
@@ -1283,12 +1626,25 @@ export default function CalendarScreen() {
                     <Text
                       style={[
                         styles.monthDayText,
+                        showLunarDates && styles.lunarMonthDayText,
                         isDateToday(dayDate) && styles.todayText,
                         isSelectedDate(dayDate) && styles.selectedText,
                       ]}
                     >
                       {day}
                     </Text>
+                    {lunarLabel ? (
+                      <Text
+                        style={[
+                          styles.lunarDayText,
+                          getLunarFestival(dayDate) && styles.lunarFestivalText,
+                          isSelectedDate(dayDate) && styles.selectedText,
+                        ]}
+                        numberOfLines={1}
+                      >
+                        {lunarLabel}
+                      </Text>
+                    ) : null}
                     {renderEventIndicators(dayEvents, isSelectedDate(dayDate))}
                   </TouchableOpacity>
                 );
@@ -1364,12 +1720,17 @@ export default function CalendarScreen() {
               const dayEvents = getEventsForDate(date);
               const isSelected = isSelectedDate(date);
               const isToday = isDateToday(date);
+              const hasOverlaps =
+                findOverlappingEvents(dayEvents, (event) =>
+                  CalendarEventsService.getEventChildren(event)
+                ).size > 0;
 
               return (
                 <TouchableOpacity
                   key={index}
                   style={[
                     styles.weekDay,
+                    isNonSchoolDay(date) && styles.nonSchoolDay,
                     isSelected && styles.selectedWeekDay,
                     isToday && !isSelected && styles.todayWeekDay,
                   ]}
@@ -1386,6 +1747,11 @@ export default function CalendarScreen() {
                     {date.getDate()}
                   </Text>
                   {renderEventIndicators(dayEvents, isSelected)}
+                  {hasOverlaps && (
+                    <View style={styles.weekDayConflictMarker}>
+                      <Ionicons name='warning' size={10} color='#FF9500' />
+                    </View>
+                  )}
                 </TouchableOpacity>
               );
             })}
@@ -1445,6 +1811,30 @@ export default function CalendarScreen() {
               <Text style={styles.dayViewTitle}>
                 {selectedDate.toLocaleDateString('en-US', { weekday: 'long' })}
               </Text>
+              {showLunarDates && getLunarDateText(selectedDate) && (
+                <View style={styles.dayViewConflictRow}>
+                  <Ionicons name='moon-outline' size={12} color='#888' />
+                  <Text style={styles.nonSchoolDayText}>
+                    {getLunarDateText(selectedDate)}
+                  </Text>
+                </View>
+              )}
+              {isNonSchoolDay(selectedDate) && (
+                <View style={styles.dayViewConflictRow}>
+                  <Ionicons name='school-outline' size={12} color='#888' />
+                  <Text style={styles.nonSchoolDayText}>
+                    {getNonSchoolDayText(selectedDate)}
+                  </Text>
+                </View>
+              )}
+              {selectedDayOverlaps.size > 0 && (
+                <View style={styles.dayViewConflictRow}>
+                  <Ionicons name='warning' size={12} color='#FF9500' />
+                  <Text style={styles.dayViewConflictText}>
+                    {selectedDayOverlaps.size} overlapping events
+                  </Text>
+                </View>
+              )}
             </View>
 
             <TouchableOpacity style={styles.dayNavButton} onPress={goToNextDay}>
@@ -1482,6 +1872,9 @@ export default function CalendarScreen() {
                 setCurrentMonth(
                   new Date(today.getFullYear(), today.getMonth(), 1)
                 );
+              } else if (viewMode === 'agenda') {
+                // Ask the agenda to reload from today
+                setAgendaTodayRequest((prev) => prev + 1);
               }
               // Day view automatically shows today when selectedDate is set
             }}
@@ -1489,6 +1882,22 @@ export default function CalendarScreen() {
             <Text style={styles.todayButtonText}>Today</Text>
           </TouchableOpacity>
 
+          <TouchableOpacity
+            style={styles.calendarActionButton}
+            onPress={() => setShowImportModal(true)}
+            accessibilityLabel='Import calendar file'
+          >
+            <Ionicons name='download-outline' size={20} color='white' />
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.calendarActionButton}
+            onPress={() => setShowExportModal(true)}
+            accessibilityLabel='Export calendar'
+          >
+            <Ionicons name='share-outline' size={20} color='white' />
+          </TouchableOpacity>
+
           <TouchableOpacity
             style={styles.addEventButton}
             onPress={() => setShowAddEventModal(true)}
@@ -1510,7 +1919,7 @@ export default function CalendarScreen() {
 
       {/* View Mode Selector */}
       <View style={styles.viewModeSelector}>
-        {['month', 'week', 'day'].map((mode) => (
+        {['month', 'week', 'day', 'agenda'].map((mode) => (
           <TouchableOpacity
             key={mode}
             style={[
@@ -1596,76 +2005,103 @@ export default function CalendarScreen() {
       {viewMode === 'month' && renderMonthView()}
       {viewMode === 'week' && renderWeekView()}
       {viewMode === 'day' && renderDayView()}
-
-      <View style={styles.eventsSection}>
-        <View style={styles.eventsSectionHeader}>
-          <Text style={styles.eventsTitle}>
-            {viewMode === 'day'
-              ? `Events`
-              : // ? `Events for ${selectedDate.toLocaleDateString('en-US', {
-              //     weekday: 'long',
-              //     month: 'short',
-              //     day: 'numeric',
-              //   })}`
-              viewMode === 'week'
-              ? `Events`
-              : // ? `Events for ${selectedDate.toLocaleDateString('en-US', {
-              //     weekday: 'long',
-              //     month: 'short',
-              //     day: 'numeric',
-              //   })}`
-              viewMode === 'month'
-              ? `Events`
-              : // ? `Events for ${selectedDate.toLocaleDateString('en-US', {
+      {viewMode === 'agenda' && (
+        <AgendaView
+          onEventPress={handleEventPress}
+          refreshKey={events}
+          todayRequest={agendaTodayRequest}
+        />
+      )}
+
+      {(viewMode === 'week' || viewMode === 'day') && (
+        <TimeGridView
+          days={viewMode === 'day' ? [selectedDate] : getCalendarWeekDays()}
+          selectedDate={selectedDate}
+          getEventsForDate={getEventsForDate}
+          getEventColor={getTimeGridEventColor}
+          canRescheduleEvent={(event) => !isBirthdayEvent(event)}
+          onDayPress={(day, dayIndex) => handleWeekDaySelection(dayIndex)}
+          onEventPress={handleEventPress}
+          onCreateEvent={handleCreateEventAt}
+          onRescheduleEvent={handleRescheduleEvent}
+        />
+      )}
+
+      {viewMode === 'month' && (
+        <View style={styles.eventsSection}>
+          <View style={styles.eventsSectionHeader}>
+            <Text style={styles.eventsTitle}>
+              {viewMode === 'day'
+                ? `Events`
+                : // ? `Events for ${selectedDate.toLocaleDateString('en-US', {
                 //     weekday: 'long',
                 //     month: 'short',
                 //     day: 'numeric',
                 //   })}`
-                'Upcoming Events'}
-          </Text>
-          {/* <TouchableOpacity onPress={() => setShowAddEventModal(true)}>
-            <Ionicons name='add-circle' size={24} color='#48b6b0' />
-          </TouchableOpacity> */}
-        </View>
+                viewMode === 'week'
+                ? `Events`
+                : // ? `Events for ${selectedDate.toLocaleDateString('en-US', {
+                //     weekday: 'long',
+                //     month: 'short',
+                //     day: 'numeric',
+                //   })}`
+                viewMode === 'month'
+                ? `Events`
+                : // ? `Events for ${selectedDate.toLocaleDateString('en-US', {
+                  //     weekday: 'long',
+                  //     month: 'short',
+                  //     day: 'numeric',
+                  //   })}`
+                  'Upcoming Events'}
+            </Text>
+            {/* <TouchableOpacity onPress={() => setShowAddEventModal(true)}>
+              <Ionicons name='add-circle' size={24} color='#48b6b0' />
+            </TouchableOpacity> */}
+          </View>
 
-        <FlatList
-          data={getFilteredEvents}
-          renderItem={renderEvent}
-          keyExtractor={(item) => item.id.toString()}
-          showsVerticalScrollIndicator={false}
-          style={styles.eventsList}
-          scrollEventThrottle={16}
-          removeClippedSubviews={true}
-          maxToRenderPerBatch={10}
-          windowSize={10}
-          initialNumToRender={5}
-          getItemLayout={(data, index) => ({
-            length: 80,
-            offset: 80 * index,
-            index,
-          })}
-          ListEmptyComponent={
-            <View style={styles.emptyState}>
-              <Ionicons name='calendar-outline' size={48} color='#ccc' />
-              <Text style={styles.emptyStateText}>
-                {viewMode === 'day'
-                  ? 'No events scheduled for this day'
-                  : viewMode === 'week'
-                  ? 'No events scheduled for this day'
-                  : viewMode === 'month'
-                  ? 'No events scheduled for this day'
-                  : 'No upcoming events'}
-              </Text>
-            </View>
-          }
-        />
-      </View>
+          <FlatList
+            data={getFilteredEvents}
+            renderItem={renderEvent}
+            keyExtractor={(item) => item.id.toString()}
+            showsVerticalScrollIndicator={false}
+            style={styles.eventsList}
+            scrollEventThrottle={16}
+            removeClippedSubviews={true}
+            maxToRenderPerBatch={10}
+            windowSize={10}
+            initialNumToRender={5}
+            getItemLayout={(data, index) => ({
+              length: 80,
+              offset: 80 * index,
+              index,
+            })}
+            ListEmptyComponent={
+              <View style={styles.emptyState}>
+                <Ionicons name='calendar-outline' size={48} color='#ccc' />
+                <Text style={styles.emptyStateText}>
+                  {viewMode === 'day'
+                    ? 'No events scheduled for this day'
+                    : viewMode === 'week'
+                    ? 'No events scheduled for this day'
+                    : viewMode === 'month'
+                    ? 'No events scheduled for this day'
+                    : 'No upcoming events'}
+                </Text>
+              </View>
+            }
+          />
+        </View>
+      )}
 
       <AddEventModal
         visible={showAddEventModal}
-        onClose={() => setShowAddEventModal(false)}
+        onClose={() => {
+          setShowAddEventModal(false);
+          setNewEventStartTime(null);
+        }}
         onEventAdded={handleEventAdded}
         selectedDate={selectedDate}
+        initialStartTime={newEventStartTime}
       />
 
       <EventDetailModal
@@ -1675,7 +2111,14 @@ export default function CalendarScreen() {
           setSelectedEvent(null);
         }}
         onEventDeleted={handleEventDeleted}
-        onEventUpdated={(updatedEvent) => {
+        onEventUpdated={(updatedEvent, { reload = false } = {}) => {
+          // Recurring edits can split or skip stored series, so reload them
+          if (reload) {
+            loadData();
+            setSelectedEvent(updatedEvent);
+            return;
+          }
+
           // Update the event in the events array
           setEvents((prevEvents) =>
             prevEvents.map((event) =>
@@ -1687,6 +2130,26 @@ export default function CalendarScreen() {
         }}
         event={selectedEvent}
       />
+
+      <CalendarExportModal
+        visible={showExportModal}
+        onClose={() => setShowExportModal(false)}
+      />
+
+      <ICSImportModal
+        visible={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        onImported={() => loadData()}
+      />
+
+      <ToastMessage
+        type={messages.toast.type}
+        message={messages.toast.message}
+        visible={messages.toast.visible}
+        onDismiss={hideToast}
+        actionText={messages.toast.actionText}
+        onActionPress={messages.toast.onActionPress || undefined}
+      />
     </View>
   );
 }
@@ -1732,6 +2195,14 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  calendarActionButton: {
+    backgroundColor: '#48b6b0',
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
   remindersButton: {
     backgroundColor: '#48b6b0',
     width: 36,
@@ -1818,6 +2289,26 @@ const styles = StyleSheet.create({
     fontSize: 22,
     color: '#333',
   },
+  lunarMonthDay: {
+    height: 48,
+    justifyContent: 'flex-start',
+    paddingTop: 2,
+  },
+  lunarMonthDayText: {
+    fontSize: 18,
+  },
+  lunarDayText: {
+    fontSize: 10,
+    color: '#888',
+  },
+  lunarFestivalText: {
+    color: '#E57373',
+    fontWeight: '600',
+  },
+  nonSchoolDay: {
+    backgroundColor: '#f0f0f0',
+    borderRadius: 20,
+  },
   todayMonth: {
     backgroundColor: '#E3F2FD',
     borderRadius: 20,
@@ -1869,6 +2360,11 @@ const styles = StyleSheet.create({
     justifyContent: 'space-around',
     marginBottom: 15,
   },
+  weekDayConflictMarker: {
+    position: 'absolute',
+    top: 2,
+    right: 6,
+  },
   weekDay: {
     width: '14.28%',
     height: 50,
@@ -2003,6 +2499,23 @@ const styles = StyleSheet.create({
     color: '#666',
     textAlign: 'center',
   },
+  dayViewConflictRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 4,
+  },
+  dayViewConflictText: {
+    fontSize: 12,
+    color: '#FF9500',
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  nonSchoolDayText: {
+    fontSize: 12,
+    color: '#888',
+    marginLeft: 4,
+  },
   eventsSection: {
     flex: 1,
     backgroundColor: 'white',
@@ -2077,6 +2590,36 @@ const styles = StyleSheet.create({
     color: '#48b6b0',
     fontStyle: 'italic',
   },
+  conflictEventCard: {
+    borderLeftWidth: 3,
+    borderLeftColor: '#FF9500',
+  },
+  conflictEventBadge: {
+    marginLeft: 6,
+    backgroundColor: '#FFF4E5',
+    borderRadius: 8,
+    padding: 2,
+  },
+  conflictEventInfo: {
+    fontSize: 11,
+    color: '#FF9500',
+    fontWeight: '500',
+  },
+  checklistEventBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#E3F2FD',
+    borderRadius: 8,
+    paddingHorizontal: 4,
+    paddingVertical: 2,
+    marginLeft: 6,
+  },
+  checklistEventBadgeText: {
+    fontSize: 10,
+    color: '#48b6b0',
+    fontWeight: '600',
+    marginLeft: 2,
+  },
 
   // Empty State
   emptyState: {
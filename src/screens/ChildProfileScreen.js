@@ -19,8 +19,28 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import ChildrenDataService from '../services/ChildrenDataService';
 import FamilyTimeService from '../services/FamilyTimeService';
 import HolidayImportModal from '../components/HolidayImportModal';
+import SchoolYearModal from '../components/SchoolYearModal';
+import HolidayImportHistoryModal from '../components/HolidayImportHistoryModal';
+import ReadingLibraryModal from '../components/ReadingLibraryModal';
+import ReadingLibraryService from '../services/ReadingLibraryService';
+import ReadingGoalsModal from '../components/ReadingGoalsModal';
+import ReadingGoalsService from '../services/ReadingGoalsService';
 import Base64Image from '../components/Base64Image';
 import { useRequireAuth } from '../hooks/useAuthenticationGuard';
+import useActivityTypes from '../hooks/useActivityTypes';
+import {
+  createActivityTypeBreakdown,
+  getActivityTypeNames,
+} from '../utils/activityTypeUtils';
+import {
+  BOOK_STATUS_COLORS,
+  BOOK_STATUS_LABELS,
+  getLibrarySummary,
+} from '../utils/readingLibraryUtils';
+import {
+  formatReadingGoalAmount,
+  getReadingGoalLabel,
+} from '../utils/readingGoalUtils';
 
 export default function ChildProfileScreen() {
   const navigation = useNavigation();
@@ -47,6 +67,10 @@ export default function ChildProfileScreen() {
     enableProactiveRefresh: true,
   });
 
+  // User-defined family time activity types for the breakdown chart
+  const { activityTypes, getActivityTypeIcon, getActivityTypeColor } =
+    useActivityTypes();
+
   const [selectedChild, setSelectedChild] = useState(0);
   const [children, setChildren] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -54,12 +78,18 @@ export default function ChildProfileScreen() {
   const [familyTimeStatsError, setFamilyTimeStatsError] = useState(null);
   const [holidayImportModalVisible, setHolidayImportModalVisible] =
     useState(false);
+  const [schoolYearModalVisible, setSchoolYearModalVisible] = useState(false);
+  const [importHistoryModalVisible, setImportHistoryModalVisible] = useState(false);
   const [feelingStatsModalVisible, setFeelingStatsModalVisible] =
     useState(false);
   const [familyTimeDetailsVisible, setFamilyTimeDetailsVisible] =
     useState(false);
   const [familyTimeStatsModalVisible, setFamilyTimeStatsModalVisible] =
     useState(false);
+  const [readingLibraryModalVisible, setReadingLibraryModalVisible] =
+    useState(false);
+  const [readingGoalsModalVisible, setReadingGoalsModalVisible] =
+    useState(false);
 
   // Feeling counters state - now stores data for all children
   const [allChildrenFeelings, setAllChildrenFeelings] = useState({});
@@ -68,6 +98,15 @@ export default function ChildProfileScreen() {
   const [familyTimeStats, setFamilyTimeStats] = useState({});
   const [recentActivities, setRecentActivities] = useState([]);
 
+  // Reading library of the selected child
+  const [readingLibrary, setReadingLibrary] = useState([]);
+
+  // Reading goal progress and streak of the selected child
+  const [readingGoalProgress, setReadingGoalProgress] = useState({
+    goals: [],
+    streak: null,
+  });
+
   useEffect(() => {
     loadChildren();
   }, []);
@@ -86,6 +125,12 @@ export default function ChildProfileScreen() {
     }
   }, [selectedChild, isAuthenticated, authLoading, userId]);
 
+  // Reload the reading library and goals when the selected child or children data changes
+  useEffect(() => {
+    loadReadingLibrary();
+    loadReadingGoals();
+  }, [selectedChild, children, isAuthenticated]);
+
   // Reload children data when screen comes into focus
   useFocusEffect(
     React.useCallback(() => {
@@ -148,6 +193,24 @@ export default function ChildProfileScreen() {
     }
   };
 
+  const loadReadingLibrary = async () => {
+    const child = children[selectedChild];
+    if (!child || !isAuthenticated) {
+      setReadingLibrary([]);
+      return;
+    }
+    setReadingLibrary(await ReadingLibraryService.getLibrary(child.id));
+  };
+
+  const loadReadingGoals = async () => {
+    const child = children[selectedChild];
+    if (!child || !isAuthenticated) {
+      setReadingGoalProgress({ goals: [], streak: null });
+      return;
+    }
+    setReadingGoalProgress(await ReadingGoalsService.getProgress(child.id));
+  };
+
   const loadFeelingData = async () => {
     try {
       const storedFeelings = await AsyncStorage.getItem(
@@ -217,12 +280,9 @@ export default function ChildProfileScreen() {
           if (result && result.childId) {
             statsMap[result.childId] = result.stats || {
               totalActivities: 0,
-              activityTypeBreakdown: {
-                'Reading Time': 0,
-                Sports: 0,
-                Adventure: 0,
-                Important: 0,
-              },
+              activityTypeBreakdown: createActivityTypeBreakdown(
+                getActivityTypeNames(activityTypes)
+              ),
               emotionPatterns: {
                 Exciting: 0,
                 Happy: 0,
@@ -425,12 +485,9 @@ export default function ChildProfileScreen() {
     if (!currentChild) {
       return {
         totalActivities: 0,
-        activityTypeBreakdown: {
-          'Reading Time': 0,
-          Sports: 0,
-          Adventure: 0,
-          Important: 0,
-        },
+        activityTypeBreakdown: createActivityTypeBreakdown(
+          getActivityTypeNames(activityTypes)
+        ),
         emotionPatterns: {
           Exciting: 0,
           Happy: 0,
@@ -444,12 +501,9 @@ export default function ChildProfileScreen() {
     if (!stats) {
       return {
         totalActivities: 0,
-        activityTypeBreakdown: {
-          'Reading Time': 0,
-          Sports: 0,
-          Adventure: 0,
-          Important: 0,
-        },
+        activityTypeBreakdown: createActivityTypeBreakdown(
+          getActivityTypeNames(activityTypes)
+        ),
         emotionPatterns: {
           Exciting: 0,
           Happy: 0,
@@ -877,26 +931,6 @@ export default function ChildProfileScreen() {
       : `${hours}h`;
   };
 
-  const getActivityTypeIcon = (type) => {
-    const iconMap = {
-      'Reading Time': 'book-outline',
-      Sports: 'fitness-outline',
-      Adventure: 'map-outline',
-      Important: 'star-outline',
-    };
-    return iconMap[type] || 'ellipse-outline';
-  };
-
-  const getActivityTypeColor = (type) => {
-    const colorMap = {
-      'Reading Time': '#4CAF50',
-      Sports: '#FF9800',
-      Adventure: '#2196F3',
-      Important: '#F44336',
-    };
-    return colorMap[type] || '#666';
-  };
-
   const getChildInterests = (child) => {
     const interests = [];
 
@@ -1313,6 +1347,158 @@ export default function ChildProfileScreen() {
         })()}
       </View>
 
+      {/* Reading Library */}
+      <View style={styles.section}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>Library</Text>
+          <TouchableOpacity
+            style={styles.detailButton}
+            onPress={() => setReadingLibraryModalVisible(true)}
+          >
+            <Ionicons name='library' size={20} color='#48b6b0' />
+          </TouchableOpacity>
+        </View>
+
+        {readingLibrary.length === 0 ? (
+          <View style={styles.familyTimeEmptyState}>
+            <Ionicons name='book-outline' size={48} color='#ccc' />
+            <Text style={styles.familyTimeEmptyTitle}>No Books Yet</Text>
+            <Text style={styles.familyTimeEmptyText}>
+              Books from {getChildDisplayName(currentChild)}'s Reading Time
+              activities will fill this shelf.
+            </Text>
+          </View>
+        ) : (
+          (() => {
+            const librarySummary = getLibrarySummary(readingLibrary);
+            return (
+              <View>
+                <View style={styles.familyTimeSummary}>
+                  <View style={styles.familyTimeSummaryItem}>
+                    <Text style={styles.familyTimeSummaryNumber}>
+                      {librarySummary.totalBooks}
+                    </Text>
+                    <Text style={styles.familyTimeSummaryLabel}>Books</Text>
+                  </View>
+                  <View style={styles.familyTimeSummaryDivider} />
+                  <View style={styles.familyTimeSummaryItem}>
+                    <Text style={styles.familyTimeSummaryNumber}>
+                      {librarySummary.finished}
+                    </Text>
+                    <Text style={styles.familyTimeSummaryLabel}>Finished</Text>
+                  </View>
+                  <View style={styles.familyTimeSummaryDivider} />
+                  <View style={styles.familyTimeSummaryItem}>
+                    <Text style={styles.familyTimeSummaryNumber}>
+                      {formatDuration(librarySummary.totalMinutes)}
+                    </Text>
+                    <Text style={styles.familyTimeSummaryLabel}>Read</Text>
+                  </View>
+                </View>
+
+                {readingLibrary.slice(0, 3).map((book) => (
+                  <TouchableOpacity
+                    key={book.key}
+                    style={styles.libraryBookRow}
+                    onPress={() => setReadingLibraryModalVisible(true)}
+                  >
+                    <Ionicons name='book' size={20} color='#48b6b0' />
+                    <View style={styles.libraryBookInfo}>
+                      <Text style={styles.libraryBookTitle} numberOfLines={1}>
+                        {book.title}
+                      </Text>
+                      <Text style={styles.libraryBookMeta} numberOfLines={1}>
+                        {book.sessionCount} session
+                        {book.sessionCount === 1 ? '' : 's'} ·{' '}
+                        {formatDuration(book.totalMinutes)}
+                        {book.reReadCount > 0
+                          ? ` · re-read ${book.reReadCount}×`
+                          : ''}
+                      </Text>
+                    </View>
+                    <Text
+                      style={[
+                        styles.libraryBookStatus,
+                        { color: BOOK_STATUS_COLORS[book.status] },
+                      ]}
+                    >
+                      {BOOK_STATUS_LABELS[book.status]}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            );
+          })()
+        )}
+      </View>
+
+      {/* Reading Goals */}
+      <View style={styles.section}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>Reading Goals</Text>
+          <TouchableOpacity
+            style={styles.detailButton}
+            onPress={() => setReadingGoalsModalVisible(true)}
+          >
+            <Ionicons name='flag' size={20} color='#48b6b0' />
+          </TouchableOpacity>
+        </View>
+
+        {readingGoalProgress.streak && readingGoalProgress.streak.current > 0 && (
+          <View style={styles.readingStreakRow}>
+            <Ionicons name='flame' size={20} color='#FF9500' />
+            <Text style={styles.readingStreakText}>
+              {readingGoalProgress.streak.current} day reading streak
+              {readingGoalProgress.streak.todayDone ? '' : ' · read today to keep it going'}
+            </Text>
+          </View>
+        )}
+
+        {readingGoalProgress.goals.length === 0 ? (
+          <TouchableOpacity
+            style={styles.familyTimeEmptyState}
+            onPress={() => setReadingGoalsModalVisible(true)}
+          >
+            <Ionicons name='flag-outline' size={48} color='#ccc' />
+            <Text style={styles.familyTimeEmptyTitle}>No Reading Goals</Text>
+            <Text style={styles.familyTimeEmptyText}>
+              Set a target like 15 minutes a day or 20 books this term for{' '}
+              {getChildDisplayName(currentChild)}.
+            </Text>
+          </TouchableOpacity>
+        ) : (
+          readingGoalProgress.goals.map(
+            ({ goal, range, current, target, percent, completed }) => (
+              <TouchableOpacity
+                key={goal.id}
+                style={styles.readingGoalRow}
+                onPress={() => setReadingGoalsModalVisible(true)}
+              >
+                <View style={styles.readingGoalHeader}>
+                  <Text style={styles.readingGoalTitle}>
+                    {getReadingGoalLabel(goal)}
+                  </Text>
+                  <Text style={styles.readingGoalAmount}>
+                    {range
+                      ? `${formatReadingGoalAmount(goal.metric, current)} / ${formatReadingGoalAmount(goal.metric, target)}`
+                      : 'No term dates'}
+                  </Text>
+                </View>
+                <View style={styles.readingGoalTrack}>
+                  <View
+                    style={[
+                      styles.readingGoalFill,
+                      { width: `${percent}%` },
+                      completed && styles.readingGoalFillCompleted,
+                    ]}
+                  />
+                </View>
+              </TouchableOpacity>
+            )
+          )
+        )}
+      </View>
+
       {/* Interests */}
       {/* <View style={styles.section}>
         <Text style={styles.sectionTitle}>Interests & Hobbies</Text>
@@ -1344,6 +1530,34 @@ export default function ChildProfileScreen() {
             </View>
           </View>
         </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.holidayImportButton, styles.stackedCalendarButton]}
+          onPress={() => setSchoolYearModalVisible(true)}
+        >
+          <View style={styles.holidayImportContent}>
+            <Ionicons name='school' size={24} color='#48b6b0' />
+            <View style={styles.holidayImportText}>
+              <Text style={styles.holidayImportTitle}>School Year</Text>
+              <Text style={styles.holidayImportSubtitle}>
+                Review and edit terms, half terms and holidays
+              </Text>
+            </View>
+          </View>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.holidayImportButton, styles.stackedCalendarButton]}
+          onPress={() => setImportHistoryModalVisible(true)}
+        >
+          <View style={styles.holidayImportContent}>
+            <Ionicons name='time' size={24} color='#48b6b0' />
+            <View style={styles.holidayImportText}>
+              <Text style={styles.holidayImportTitle}>Import History</Text>
+              <Text style={styles.holidayImportSubtitle}>
+                See past holiday imports and undo one that went wrong
+              </Text>
+            </View>
+          </View>
+        </TouchableOpacity>
       </View>
 
       {/* Holiday Import Modal */}
@@ -1356,6 +1570,48 @@ export default function ChildProfileScreen() {
         />
       )}
 
+      {/* School Year Modal */}
+      {currentChild && (
+        <SchoolYearModal
+          visible={schoolYearModalVisible}
+          onClose={() => setSchoolYearModalVisible(false)}
+          childId={currentChild.id}
+          childName={getChildDisplayName(currentChild)}
+        />
+      )}
+
+      {/* Reading Library Modal */}
+      {currentChild && (
+        <ReadingLibraryModal
+          visible={readingLibraryModalVisible}
+          onClose={() => setReadingLibraryModalVisible(false)}
+          onChanged={loadReadingLibrary}
+          childId={currentChild.id}
+          childName={getChildDisplayName(currentChild)}
+        />
+      )}
+
+      {/* Reading Goals Modal */}
+      {currentChild && (
+        <ReadingGoalsModal
+          visible={readingGoalsModalVisible}
+          onClose={() => setReadingGoalsModalVisible(false)}
+          onChanged={loadReadingGoals}
+          childId={currentChild.id}
+          childName={getChildDisplayName(currentChild)}
+        />
+      )}
+
+      {/* Holiday Import History Modal */}
+      {currentChild && (
+        <HolidayImportHistoryModal
+          visible={importHistoryModalVisible}
+          onClose={() => setImportHistoryModalVisible(false)}
+          childId={currentChild.id}
+          childName={getChildDisplayName(currentChild)}
+        />
+      )}
+
       {/* Enhanced Feeling Statistics Modal */}
       {currentChild && (
         <Modal
@@ -1927,7 +2183,9 @@ export default function ChildProfileScreen() {
                       </Text>
                       <View style={styles.familyTimeTypeGrid}>
                         {stats.activityTypeBreakdown &&
-                          Object.entries(stats.activityTypeBreakdown).map(
+                          Object.entries(stats.activityTypeBreakdown)
+                            .filter(([, count]) => count > 0)
+                            .map(
                             ([type, count]) => {
                               const percentage =
                                 stats.totalActivities > 0
@@ -2645,6 +2903,9 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: '#e9ecef',
   },
+  stackedCalendarButton: {
+    marginTop: 10,
+  },
   holidayImportContent: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -2945,6 +3206,80 @@ const styles = StyleSheet.create({
   familyTimeBreakdown: {
     marginBottom: 20,
   },
+  libraryBookRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+  },
+  libraryBookInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  libraryBookTitle: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#333',
+  },
+  libraryBookMeta: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  libraryBookStatus: {
+    fontSize: 12,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  readingStreakRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF4E5',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 8,
+  },
+  readingStreakText: {
+    fontSize: 14,
+    color: '#333',
+    fontWeight: '500',
+    marginLeft: 8,
+  },
+  readingGoalRow: {
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+  },
+  readingGoalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  readingGoalTitle: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#333',
+  },
+  readingGoalAmount: {
+    fontSize: 13,
+    color: '#666',
+  },
+  readingGoalTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#e9ecef',
+    marginTop: 8,
+    overflow: 'hidden',
+  },
+  readingGoalFill: {
+    height: '100%',
+    borderRadius: 4,
+    backgroundColor: '#48b6b0',
+  },
+  readingGoalFillCompleted: {
+    backgroundColor: '#4CAF50',
+  },
   familyTimeBreakdownTitle: {
     fontSize: 16,
     fontWeight: '600',
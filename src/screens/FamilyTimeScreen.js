@@ -13,9 +13,15 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import ChildrenDataService from '../services/ChildrenDataService';
 import FamilyTimeService from '../services/FamilyTimeService';
+import ReadingGoalsService from '../services/ReadingGoalsService';
+import FamilyTimeTimerService from '../services/FamilyTimeTimerService';
 import AddFamilyTimeModal from '../components/AddFamilyTimeModal';
+import StartFamilyTimeModal from '../components/StartFamilyTimeModal';
+import FamilyTimeTimerBanner from '../components/FamilyTimeTimerBanner';
 import FamilyTimeActivityCard from '../components/FamilyTimeActivityCard';
 import ErrorBoundary from '../components/ErrorBoundary';
+import ToastMessage from '../components/ToastMessage';
+import useMessages from '../hooks/useMessages';
 import { 
   showErrorAlert, 
   withErrorHandling, 
@@ -31,8 +37,13 @@ function FamilyTimeScreen() {
   const [isLoadingActivities, setIsLoadingActivities] = useState(false);
   const [showAddModal, setShowAddModal] = useState(false);
   const [editingActivity, setEditingActivity] = useState(null);
+  const [timer, setTimer] = useState(null);
+  const [loggingTimer, setLoggingTimer] = useState(null);
+  const [showStartTimerModal, setShowStartTimerModal] = useState(false);
+  const [isUpdatingTimer, setIsUpdatingTimer] = useState(false);
   const [error, setError] = useState(null);
   const [isRefreshing, setIsRefreshing] = useState(false);
+  const { messages, showSuccess, showError, hideToast } = useMessages();
 
   // Pagination state for performance optimization
   const [currentPage, setCurrentPage] = useState(1);
@@ -45,8 +56,13 @@ function FamilyTimeScreen() {
 
   useEffect(() => {
     loadData();
+    loadTimer();
   }, []);
 
+  const loadTimer = async () => {
+    setTimer(await FamilyTimeTimerService.getTimer());
+  };
+
   const loadData = async (showRefreshIndicator = false, resetPagination = true) => {
     const result = await withErrorHandling(
       async () => {
@@ -210,7 +226,74 @@ function FamilyTimeScreen() {
     setShowAddModal(true);
   };
 
+  const handleTimerStarted = (startedTimer) => {
+    setTimer(startedTimer);
+    setShowStartTimerModal(false);
+  };
+
+  const handleLogTimer = (stoppedTimer) => {
+    setEditingActivity(null);
+    setLoggingTimer(stoppedTimer);
+    setShowAddModal(true);
+  };
+
+  const handleStopTimer = async () => {
+    setIsUpdatingTimer(true);
+    const stoppedTimer = await FamilyTimeTimerService.stopTimer();
+    setIsUpdatingTimer(false);
+
+    if (!stoppedTimer) {
+      showError('Failed to stop the timer. Please try again.');
+      return;
+    }
+    setTimer(stoppedTimer);
+    handleLogTimer(stoppedTimer);
+  };
+
+  const handleResumeTimer = async () => {
+    setIsUpdatingTimer(true);
+    const runningTimer = await FamilyTimeTimerService.resumeTimer();
+    setIsUpdatingTimer(false);
+
+    if (!runningTimer) {
+      showError('Failed to resume the timer. Please try again.');
+      return;
+    }
+    setTimer(runningTimer);
+  };
+
+  const handleDiscardTimer = () => {
+    Alert.alert(
+      'Discard Family Time',
+      'Are you sure you want to discard this timer without logging an activity?',
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: async () => {
+            if (await FamilyTimeTimerService.clearTimer()) {
+              setTimer(null);
+            } else {
+              showError('Failed to discard the timer. Please try again.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
   const handleActivitySaved = async (savedActivity) => {
+    if (loggingTimer) {
+      // The timed activity is logged, so the timer is done with
+      await FamilyTimeTimerService.clearTimer();
+      setTimer(null);
+      setLoggingTimer(null);
+    }
+
     if (editingActivity) {
       // Update existing activity in the list
       setActivities(prev => prev.map(activity => 
@@ -239,7 +322,7 @@ function FamilyTimeScreen() {
   const handleDeleteActivity = (activity) => {
     Alert.alert(
       'Delete Activity',
-      `Are you sure you want to delete "${activity.title}"?`,
+      `Are you sure you want to delete "${activity.title}"? You can restore it from the Recycle Bin in Settings for 30 days.`,
       [
         {
           text: 'Cancel',
@@ -254,7 +337,11 @@ function FamilyTimeScreen() {
                 console.log('Deleting activity:', activity.id);
                 loadingManager.setLoading('delete', true);
                 
-                await FamilyTimeService.deleteActivity(activity.id);
+                const deleted = await FamilyTimeService.deleteActivity(activity.id);
+                if (!deleted) {
+                  throw new Error('Activity could not be deleted');
+                }
+                ReadingGoalsService.refreshReadingNudges();
                 
                 // Update local state immediately for better UX
                 setActivities(prev => Array.isArray(prev) ? prev.filter(a => a && a.id !== activity.id) : []);
@@ -272,7 +359,12 @@ function FamilyTimeScreen() {
 
             loadingManager.setLoading('delete', false);
 
-            if (!result.success) {
+            if (result.success) {
+              showSuccess('Activity deleted', {
+                actionText: 'Undo',
+                onActionPress: () => handleUndoDelete(activity.id),
+              });
+            } else {
               // Reload activities to ensure consistency
               loadActivities();
               
@@ -295,6 +387,15 @@ function FamilyTimeScreen() {
     );
   };
 
+  const handleUndoDelete = async (activityId) => {
+    const restoredActivity = await FamilyTimeService.restoreActivity(activityId);
+    if (!restoredActivity) {
+      showError('Failed to restore activity');
+      return;
+    }
+    loadActivities();
+  };
+
   const handleActivityPress = (activity) => {
     // For now, just edit the activity when pressed
     handleEditActivity(activity);
@@ -440,6 +541,26 @@ function FamilyTimeScreen() {
   return (
     <ErrorBoundary onReload={() => loadData()}>
       <View style={styles.container}>
+        {timer ? (
+          <FamilyTimeTimerBanner
+            timer={timer}
+            children={children}
+            onStop={handleStopTimer}
+            onLog={() => handleLogTimer(timer)}
+            onResume={handleResumeTimer}
+            onDiscard={handleDiscardTimer}
+            disabled={isUpdatingTimer}
+          />
+        ) : (
+          <TouchableOpacity
+            style={styles.startTimerButton}
+            onPress={() => setShowStartTimerModal(true)}
+          >
+            <Ionicons name="timer-outline" size={20} color="#48b6b0" />
+            <Text style={styles.startTimerButtonText}>Start family time now</Text>
+          </TouchableOpacity>
+        )}
+
         {activities.length === 0 && !isLoadingActivities ? (
           // Show empty state centered on screen
           <ScrollView 
@@ -510,10 +631,28 @@ function FamilyTimeScreen() {
           onClose={() => {
             setShowAddModal(false);
             setEditingActivity(null);
+            setLoggingTimer(null);
           }}
           onActivityAdded={handleActivitySaved}
           selectedChildren={selectedChildren}
           editingActivity={editingActivity}
+          timer={loggingTimer}
+        />
+
+        <StartFamilyTimeModal
+          visible={showStartTimerModal}
+          onClose={() => setShowStartTimerModal(false)}
+          onStarted={handleTimerStarted}
+          selectedChildren={selectedChildren}
+        />
+
+        <ToastMessage
+          type={messages.toast.type}
+          message={messages.toast.message}
+          visible={messages.toast.visible}
+          onDismiss={hideToast}
+          actionText={messages.toast.actionText}
+          onActionPress={messages.toast.onActionPress || undefined}
         />
       </View>
     </ErrorBoundary>
@@ -737,6 +876,25 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#666',
   },
+  startTimerButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'white',
+    marginHorizontal: 16,
+    marginTop: 12,
+    paddingVertical: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#48b6b0',
+    borderStyle: 'dashed',
+  },
+  startTimerButtonText: {
+    marginLeft: 8,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#48b6b0',
+  },
   addButton: {
     position: 'absolute',
     bottom: 20,
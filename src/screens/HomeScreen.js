@@ -12,10 +12,18 @@ import { useFocusEffect } from '@react-navigation/native';
 import { getTimeBasedGreeting, getRandomQuote } from '../utils/greetingUtils';
 import CalendarEventsService from '../services/CalendarEventsService';
 import ChildrenDataService from '../services/ChildrenDataService';
-import { formatLocalDateString } from '../utils/dateUtils';
+import BirthdayService from '../services/BirthdayService';
+import DigestService from '../services/DigestService';
+import ReadingGoalsService from '../services/ReadingGoalsService';
+import { isBirthdayEvent } from '../utils/birthdayUtils';
+import { formatLocalDateString, parseLocalDateString } from '../utils/dateUtils';
 import FeelingSelector from '../components/FeelingSelector';
+import DailyDigestCard from '../components/DailyDigestCard';
 import DebugUtils from '../utils/debugUtils';
 
+// How far ahead the home screen lists birthdays
+const UPCOMING_BIRTHDAY_DAYS = 30;
+
 export default function HomeScreen() {
   // State for dynamic greeting and quote
   const [currentGreeting, setCurrentGreeting] = useState('');
@@ -24,6 +32,9 @@ export default function HomeScreen() {
   
   // State for real data integration
   const [todaysEvents, setTodaysEvents] = useState([]);
+  const [upcomingBirthdays, setUpcomingBirthdays] = useState([]);
+  const [tomorrowDigest, setTomorrowDigest] = useState(null);
+  const [digestSettings, setDigestSettings] = useState(null);
   const [children, setChildren] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   
@@ -38,6 +49,13 @@ export default function HomeScreen() {
   useEffect(() => {
     updateGreetingAndQuote();
     loadTodaysData();
+    // Keep birthday reminders rolling over to the next year and the digests
+    // and reading nudges current, then top up event reminders around them
+    // within the pending notification limit
+    BirthdayService.refreshBirthdayReminders()
+      .then(() => DigestService.refreshDigestNotifications())
+      .then(() => ReadingGoalsService.refreshReadingNudges())
+      .then(() => CalendarEventsService.reconcileReminders());
   }, []);
 
   // Refresh data when screen comes into focus (handles navigation back from other screens)
@@ -100,6 +118,24 @@ export default function HomeScreen() {
       
       // Set children data even if events failed
       setChildren(childrenData);
+
+      // Birthdays are generated from the children's profiles
+      const birthdays = await BirthdayService.getUpcomingBirthdays(
+        UPCOMING_BIRTHDAY_DAYS,
+        childrenData
+      );
+      events = [...events, ...birthdays.filter((birthday) => birthday.daysUntil === 0)];
+      setUpcomingBirthdays(birthdays.filter((birthday) => birthday.daysUntil > 0));
+
+      // Preview of tomorrow's digest notification
+      const tomorrow = new Date(today);
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      const [digest, settings] = await Promise.all([
+        DigestService.getDailyDigest(tomorrow),
+        DigestService.getSettings(),
+      ]);
+      setTomorrowDigest(digest);
+      setDigestSettings(settings);
       
       // Process events for display with error handling
       let processedEvents = [];
@@ -247,7 +283,8 @@ export default function HomeScreen() {
               isActive: isEventCurrentlyActive(event),
               startDateTime: event.startDateTime,
               endDateTime: event.endDateTime,
-              isAllDay: event.isAllDay || false
+              isAllDay: event.isAllDay || false,
+              isBirthday: isBirthdayEvent(event)
             };
           } catch (error) {
             console.error('Error processing individual event:', event, error);
@@ -313,6 +350,17 @@ export default function HomeScreen() {
     }
   };
 
+  // e.g. "In 12 days · Sat, Nov 1"
+  const formatBirthdayCountdown = (birthday) => {
+    const dateText = parseLocalDateString(birthday.startDate).toLocaleDateString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+    });
+    const countdown = birthday.daysUntil === 1 ? 'Tomorrow' : `In ${birthday.daysUntil} days`;
+    return `${countdown} · ${dateText}`;
+  };
+
   // Format event time for display with error handling
   const formatEventTime = (event) => {
     try {
@@ -835,16 +883,44 @@ export default function HomeScreen() {
                 <Text style={styles.activityTime}>{event.time}</Text>
                 <Text style={styles.activityChild}>{event.children}</Text>
               </View>
-              <Ionicons
-                name={event.isActive ? 'play-circle' : 'time-outline'}
-                size={24}
-                color={event.isActive ? '#4CAF50' : '#FF9800'}
-              />
+              {event.isBirthday ? (
+                <Ionicons name="gift" size={24} color="#FF6B9D" />
+              ) : (
+                <Ionicons
+                  name={event.isActive ? 'play-circle' : 'time-outline'}
+                  size={24}
+                  color={event.isActive ? '#4CAF50' : '#FF9800'}
+                />
+              )}
             </View>
           ))
         )}
       </View>
 
+      {tomorrowDigest && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Tomorrow at a Glance</Text>
+          <DailyDigestCard digest={tomorrowDigest} settings={digestSettings} />
+        </View>
+      )}
+
+      {upcomingBirthdays.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Upcoming Birthdays</Text>
+          {upcomingBirthdays.map((birthday) => (
+            <View key={birthday.id} style={styles.activityCard}>
+              <View style={styles.activityInfo}>
+                <Text style={styles.activityTitle}>{birthday.title}</Text>
+                <Text style={styles.activityTime}>
+                  {formatBirthdayCountdown(birthday)}
+                </Text>
+              </View>
+              <Ionicons name="gift-outline" size={24} color="#FF6B9D" />
+            </View>
+          ))}
+        </View>
+      )}
+
       {/* Debug button - remove this in production */}
       {/* <TouchableOpacity style={[styles.addButton, { backgroundColor: '#FF6B6B' }]} onPress={debugDataIssues}>
         <Ionicons name="bug" size={24} color="white" />
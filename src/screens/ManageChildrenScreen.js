@@ -18,13 +18,17 @@ import * as ImagePicker from 'expo-image-picker';
 import * as ImageManipulator from 'expo-image-manipulator';
 import { Ionicons } from '@expo/vector-icons';
 import ChildrenDataService from '../services/ChildrenDataService';
+import BirthdayService from '../services/BirthdayService';
 import ImageUtils from '../utils/imageUtils';
 import Base64Image from '../components/Base64Image';
+import ToastMessage from '../components/ToastMessage';
+import useMessages from '../hooks/useMessages';
 
 export default function ManageChildrenScreen({ navigation }) {
   const [children, setChildren] = useState([]);
   const [showForm, setShowForm] = useState(false);
   const [editingChild, setEditingChild] = useState(null);
+  const { messages, showSuccess, showError, hideToast } = useMessages();
   const firstNameRef = useRef(null);
   const [formData, setFormData] = useState({
     nickname: '',
@@ -188,6 +192,8 @@ export default function ManageChildrenScreen({ navigation }) {
 
       if (success) {
         await loadChildren();
+        // Birthdays are generated from the profiles; keep their reminders in step
+        await BirthdayService.refreshBirthdayReminders();
         setShowForm(false);
         Alert.alert(
           'Success',
@@ -208,7 +214,7 @@ export default function ManageChildrenScreen({ navigation }) {
   const handleDelete = (childToDelete) => {
     Alert.alert(
       'Delete Child',
-      `Are you sure you want to delete ${childToDelete.firstName}'s profile?`,
+      `Are you sure you want to delete ${childToDelete.firstName}'s profile? You can restore it from the Recycle Bin in Settings for 30 days.`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
@@ -221,7 +227,11 @@ export default function ManageChildrenScreen({ navigation }) {
               );
               if (success) {
                 await loadChildren();
-                Alert.alert('Success', 'Child deleted successfully');
+                await BirthdayService.refreshBirthdayReminders();
+                showSuccess('Child deleted', {
+                  actionText: 'Undo',
+                  onActionPress: () => handleUndoDelete(childToDelete.id),
+                });
               } else {
                 Alert.alert('Error', 'Failed to delete child');
               }
@@ -235,6 +245,16 @@ export default function ManageChildrenScreen({ navigation }) {
     );
   };
 
+  const handleUndoDelete = async (childId) => {
+    const restoredChild = await ChildrenDataService.restoreChild(childId);
+    if (!restoredChild) {
+      showError('Failed to restore child');
+      return;
+    }
+    await loadChildren();
+    await BirthdayService.refreshBirthdayReminders();
+  };
+
   const getGenderEmoji = (gender) => {
     return gender === 'girl' ? '👧' : '👦';
   };
@@ -1151,6 +1171,15 @@ export default function ManageChildrenScreen({ navigation }) {
           </View>
         )}
       </ScrollView>
+
+      <ToastMessage
+        type={messages.toast.type}
+        message={messages.toast.message}
+        visible={messages.toast.visible}
+        onDismiss={hideToast}
+        actionText={messages.toast.actionText}
+        onActionPress={messages.toast.onActionPress || undefined}
+      />
     </View>
   );
 }
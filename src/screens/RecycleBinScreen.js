@@ -0,0 +1,319 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SectionList,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  Platform,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import RecycleBinService from '../services/RecycleBinService';
+import CalendarEventsService from '../services/CalendarEventsService';
+import FamilyTimeService from '../services/FamilyTimeService';
+import ChildrenDataService from '../services/ChildrenDataService';
+import BirthdayService from '../services/BirthdayService';
+import {
+  RECYCLE_BIN_ITEM_TYPES,
+  RECYCLE_BIN_RETENTION_DAYS,
+  getDaysUntilPurge,
+  getRecycleBinRemovedItemIds,
+  groupRecycleBinEntries,
+} from '../utils/recycleBinUtils';
+
+// Put an entry's items back with the service that owns them
+const restoreEntry = async (entry) => {
+  switch (entry.type) {
+    case RECYCLE_BIN_ITEM_TYPES.EVENT:
+      return await CalendarEventsService.restoreEvent(entry.itemId);
+    case RECYCLE_BIN_ITEM_TYPES.ACTIVITY:
+      return await FamilyTimeService.restoreActivity(entry.itemId);
+    case RECYCLE_BIN_ITEM_TYPES.CHILD: {
+      const child = await ChildrenDataService.restoreChild(entry.itemId);
+      if (child) {
+        await BirthdayService.refreshBirthdayReminders();
+      }
+      return child;
+    }
+    default:
+      return null;
+  }
+};
+
+const formatDeletedDate = (deletedAt) =>
+  new Date(deletedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+const getEntryDetails = (entry) => {
+  const daysLeft = getDaysUntilPurge(entry);
+  const parts = [`Deleted ${formatDeletedDate(entry.deletedAt)}`];
+  const removedCount = getRecycleBinRemovedItemIds(entry).length;
+  if (removedCount > 1) {
+    parts.push(`${removedCount} events`);
+  }
+  parts.push(daysLeft === 1 ? '1 day left' : `${daysLeft} days left`);
+  return parts.join(' · ');
+};
+
+export default function RecycleBinScreen({ navigation }) {
+  const [sections, setSections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyEntryId, setBusyEntryId] = useState(null);
+
+  const loadEntries = useCallback(async () => {
+    try {
+      await RecycleBinService.purgeExpired();
+      const entries = await RecycleBinService.getEntries();
+      setSections(groupRecycleBinEntries(entries));
+    } catch (error) {
+      console.error('Error loading recycle bin:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadEntries();
+    }, [loadEntries])
+  );
+
+  const handleRestore = async (entry) => {
+    try {
+      setBusyEntryId(entry.entryId);
+      const restored = await restoreEntry(entry);
+      if (!restored) {
+        Alert.alert('Error', `Failed to restore "${entry.title}". Please try again.`);
+        return;
+      }
+      await loadEntries();
+    } finally {
+      setBusyEntryId(null);
+    }
+  };
+
+  const handlePurge = (entry) => {
+    Alert.alert(
+      'Delete Permanently',
+      `"${entry.title}" will be deleted for good. This action cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            setBusyEntryId(entry.entryId);
+            const purged = await RecycleBinService.purgeEntry(entry.entryId);
+            setBusyEntryId(null);
+            if (!purged) {
+              Alert.alert('Error', 'Failed to delete item. Please try again.');
+              return;
+            }
+            await loadEntries();
+          },
+        },
+      ]
+    );
+  };
+
+  const renderEntry = ({ item: entry }) => {
+    const busy = busyEntryId === entry.entryId;
+
+    return (
+      <View style={styles.entryRow}>
+        <View style={styles.entryInfo}>
+          <Text style={styles.entryTitle} numberOfLines={1}>
+            {entry.title}
+          </Text>
+          <Text style={styles.entryDetails}>{getEntryDetails(entry)}</Text>
+        </View>
+        {busy ? (
+          <ActivityIndicator size='small' color='#48b6b0' />
+        ) : (
+          <View style={styles.entryActions}>
+            <TouchableOpacity
+              style={styles.restoreButton}
+              onPress={() => handleRestore(entry)}
+              disabled={busyEntryId !== null}
+            >
+              <Text style={styles.restoreButtonText}>Restore</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.purgeButton}
+              onPress={() => handlePurge(entry)}
+              disabled={busyEntryId !== null}
+            >
+              <Ionicons name='trash-outline' size={20} color='#FF3B30' />
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  const renderSectionHeader = ({ section }) => (
+    <View style={styles.sectionHeader}>
+      <Ionicons name={section.icon} size={16} color='#666' />
+      <Text style={styles.sectionHeaderText}>{section.title}</Text>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name='arrow-back' size={24} color='#48b6b0' />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Recycle Bin</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size='large' color='#48b6b0' />
+        </View>
+      ) : (
+        <SectionList
+          sections={sections}
+          keyExtractor={(entry) => entry.entryId}
+          renderItem={renderEntry}
+          renderSectionHeader={renderSectionHeader}
+          stickySectionHeadersEnabled={false}
+          contentContainerStyle={sections.length === 0 && styles.emptyContent}
+          ListHeaderComponent={
+            sections.length > 0 ? (
+              <Text style={styles.hintText}>
+                Deleted items are kept for {RECYCLE_BIN_RETENTION_DAYS} days before they are removed for good.
+              </Text>
+            ) : null
+          }
+          ListEmptyComponent={
+            <View style={styles.emptyState}>
+              <Ionicons name='trash-outline' size={64} color='#ccc' />
+              <Text style={styles.emptyStateTitle}>Recycle Bin is Empty</Text>
+              <Text style={styles.emptyStateText}>
+                Deleted events, activities and children stay here for {RECYCLE_BIN_RETENTION_DAYS} days
+              </Text>
+            </View>
+          }
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    paddingTop: Platform.OS === 'ios' ? 50 : 20,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  headerSpacer: {
+    width: 24,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#999',
+    paddingHorizontal: 20,
+    paddingTop: 16,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 20,
+    paddingBottom: 8,
+  },
+  sectionHeaderText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginLeft: 6,
+    textTransform: 'uppercase',
+  },
+  entryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  entryInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  entryTitle: {
+    fontSize: 16,
+    color: '#333',
+    fontWeight: '500',
+  },
+  entryDetails: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+  entryActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  restoreButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#48b6b0',
+  },
+  restoreButtonText: {
+    fontSize: 14,
+    color: '#48b6b0',
+    fontWeight: '600',
+  },
+  purgeButton: {
+    marginLeft: 12,
+    padding: 4,
+  },
+  emptyContent: {
+    flexGrow: 1,
+  },
+  emptyState: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 80,
+    paddingHorizontal: 40,
+  },
+  emptyStateTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+  },
+});
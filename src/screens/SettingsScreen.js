@@ -16,6 +16,12 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../context/AuthContext';
 import { useRequireAuth } from '../hooks/useAuthenticationGuard';
+import EventTypesModal from '../components/EventTypesModal';
+import ActivityTypesModal from '../components/ActivityTypesModal';
+import BirthdaySettingsModal from '../components/BirthdaySettingsModal';
+import DailyDigestSettingsModal from '../components/DailyDigestSettingsModal';
+import PublicHolidaysModal from '../components/PublicHolidaysModal';
+import LunarCalendarService from '../services/LunarCalendarService';
 
 export default function SettingsScreen({ navigation }) {
   const {
@@ -36,6 +42,12 @@ export default function SettingsScreen({ navigation }) {
   const [darkMode, setDarkMode] = useState(false);
   const [biometrics, setBiometrics] = useState(false);
   const [autoSync, setAutoSync] = useState(true);
+  const [showEventTypesModal, setShowEventTypesModal] = useState(false);
+  const [showActivityTypesModal, setShowActivityTypesModal] = useState(false);
+  const [showBirthdaySettingsModal, setShowBirthdaySettingsModal] = useState(false);
+  const [showDigestSettingsModal, setShowDigestSettingsModal] = useState(false);
+  const [showPublicHolidaysModal, setShowPublicHolidaysModal] = useState(false);
+  const [showLunarDates, setShowLunarDates] = useState(false);
 
   // Profile editing state - MUST be called before any conditional returns
   const [isEditingProfile, setIsEditingProfile] = useState(false);
@@ -80,6 +92,12 @@ export default function SettingsScreen({ navigation }) {
     }
   }, [user]);
 
+  useEffect(() => {
+    LunarCalendarService.getSettings().then((settings) => {
+      setShowLunarDates(settings.showLunarDates);
+    });
+  }, []);
+
   // Show loading screen if authentication is being checked
   if (shouldShowLoading) {
     return (
@@ -381,6 +399,15 @@ export default function SettingsScreen({ navigation }) {
     }));
   };
 
+  const handleShowLunarDatesChange = async (value) => {
+    setShowLunarDates(value);
+    const saved = await LunarCalendarService.saveSettings({ showLunarDates: value });
+    if (!saved) {
+      setShowLunarDates(!value);
+      Alert.alert('Error', 'Failed to save the lunar calendar setting. Please try again.');
+    }
+  };
+
   const handleDeleteAccount = () => {
     Alert.alert(
       'Delete Account',
@@ -801,8 +828,93 @@ export default function SettingsScreen({ navigation }) {
           subtitle='Add or edit child profiles'
           onPress={() => navigation.navigate('ManageChildren')}
         />
+        <SettingItem
+          icon='trash-outline'
+          title='Recycle Bin'
+          subtitle='Restore deleted events, activities and children'
+          onPress={() => navigation.navigate('RecycleBin')}
+        />
       </View>
 
+      {/* Calendar Settings */}
+      <SectionHeader title='Calendar' />
+      <View style={styles.section}>
+        <SettingItem
+          icon='pricetags-outline'
+          title='Event Types'
+          subtitle='Add types with your own icons and colours'
+          onPress={() => setShowEventTypesModal(true)}
+        />
+        <SettingItem
+          icon='gift-outline'
+          title='Birthdays'
+          subtitle="Children's birthdays and their reminders"
+          onPress={() => setShowBirthdaySettingsModal(true)}
+        />
+        <SettingItem
+          icon='flag-outline'
+          title='Public Holidays'
+          subtitle='Add Hong Kong, UK, US and Canada holidays, no photo needed'
+          onPress={() => setShowPublicHolidaysModal(true)}
+        />
+        <SettingItem
+          icon='moon-outline'
+          title='Lunar Calendar'
+          subtitle='Show lunar dates and festivals on the calendar'
+          rightComponent={
+            <Switch
+              value={showLunarDates}
+              onValueChange={handleShowLunarDatesChange}
+              trackColor={{ false: '#767577', true: '#81b0ff' }}
+              thumbColor={showLunarDates ? '#48b6b0' : '#f4f3f4'}
+            />
+          }
+          showArrow={false}
+        />
+        <SettingItem
+          icon='newspaper-outline'
+          title='Daily Digest'
+          subtitle="One notification with the day's schedule"
+          onPress={() => setShowDigestSettingsModal(true)}
+        />
+      </View>
+
+      <EventTypesModal
+        visible={showEventTypesModal}
+        onClose={() => setShowEventTypesModal(false)}
+      />
+
+      <BirthdaySettingsModal
+        visible={showBirthdaySettingsModal}
+        onClose={() => setShowBirthdaySettingsModal(false)}
+      />
+
+      <DailyDigestSettingsModal
+        visible={showDigestSettingsModal}
+        onClose={() => setShowDigestSettingsModal(false)}
+      />
+
+      <PublicHolidaysModal
+        visible={showPublicHolidaysModal}
+        onClose={() => setShowPublicHolidaysModal(false)}
+      />
+
+      {/* Family Time Settings */}
+      <SectionHeader title='Family Time' />
+      <View style={styles.section}>
+        <SettingItem
+          icon='heart-outline'
+          title='Activity Types'
+          subtitle='Add types like Cooking or Music with their own fields'
+          onPress={() => setShowActivityTypesModal(true)}
+        />
+      </View>
+
+      <ActivityTypesModal
+        visible={showActivityTypesModal}
+        onClose={() => setShowActivityTypesModal(false)}
+      />
+
       {/* App Settings */}
       {/* <SectionHeader title="App Settings" />
       <View style={styles.section}>
@@ -0,0 +1,244 @@
+import DataNamespacing from '../utils/dataNamespacing';
+import DataValidationService from './DataValidationService';
+import DynamoDBUserProfileService from './DynamoDBUserProfileService';
+import {
+  DEFAULT_ACTIVITY_TYPES,
+  createActivityTypeId,
+  findActivityType,
+  getActivityTypeNames,
+  mergeWithDefaultActivityTypes,
+  normalizeActivityTypeFields,
+} from '../utils/activityTypeUtils';
+
+const ACTIVITY_TYPES_STORAGE_KEY = 'activity-types.json';
+
+/**
+ * Registry of the user's family time activity types
+ * Types are kept per user in AsyncStorage and, when DynamoDB is enabled,
+ * synced with the user profile so they follow the user across devices.
+ */
+class ActivityTypesService {
+  // Configuration flag to switch between storage backends
+  static USE_DYNAMODB = process.env.EXPO_PUBLIC_USE_DYNAMODB === 'true' || false;
+
+  // Last loaded registry, so render code can look types up synchronously
+  static cachedActivityTypes = DEFAULT_ACTIVITY_TYPES;
+
+  static listeners = new Set();
+
+  /**
+   * Enable DynamoDB backend
+   * @static
+   */
+  static enableDynamoDB() {
+    this.USE_DYNAMODB = true;
+  }
+
+  /**
+   * Disable DynamoDB backend (fallback to AsyncStorage)
+   * @static
+   */
+  static disableDynamoDB() {
+    this.USE_DYNAMODB = false;
+  }
+
+  /**
+   * Subscribe to registry changes
+   * @param {Function} listener - Called with the new activity types
+   * @returns {Function} Unsubscribe function
+   */
+  static subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Get the last loaded activity types without touching storage
+   * @returns {Array} Activity types
+   */
+  static getCachedActivityTypes() {
+    return this.cachedActivityTypes;
+  }
+
+  /**
+   * Get all activity types, built-in types first
+   * @returns {Promise<Array>} Activity types
+   */
+  static async getActivityTypes() {
+    let storedTypes = null;
+
+    if (this.USE_DYNAMODB) {
+      storedTypes = await DynamoDBUserProfileService.getActivityTypes();
+      if (storedTypes) {
+        // Keep a local copy for offline use
+        await DataNamespacing.setUserData(ACTIVITY_TYPES_STORAGE_KEY, storedTypes);
+      }
+    }
+
+    if (!storedTypes) {
+      try {
+        storedTypes = await DataNamespacing.getUserData(ACTIVITY_TYPES_STORAGE_KEY, []);
+      } catch (error) {
+        console.error('Error loading activity types:', error);
+        storedTypes = [];
+      }
+    }
+
+    const activityTypes = mergeWithDefaultActivityTypes(storedTypes);
+    this._setCachedActivityTypes(activityTypes);
+    return activityTypes;
+  }
+
+  /**
+   * Get the names of all activity types
+   * @returns {Promise<string[]>} Activity type names
+   */
+  static async getActivityTypeNames() {
+    return getActivityTypeNames(await this.getActivityTypes());
+  }
+
+  /**
+   * Save the full list of activity types
+   * @param {Array} activityTypes - Activity types to save
+   * @returns {Promise<boolean>} Success status
+   */
+  static async saveActivityTypes(activityTypes) {
+    try {
+      const validatedTypes = DataValidationService.validateActivityTypes(
+        mergeWithDefaultActivityTypes(activityTypes)
+      );
+
+      const saved = await DataNamespacing.setUserData(ACTIVITY_TYPES_STORAGE_KEY, validatedTypes);
+      if (!saved) {
+        return false;
+      }
+
+      if (this.USE_DYNAMODB) {
+        const synced = await DynamoDBUserProfileService.updateActivityTypes(validatedTypes);
+        if (!synced) {
+          console.warn('Activity types saved locally but could not be synced to the user profile');
+        }
+      }
+
+      // Built-in types get their title wording back from the defaults
+      this._setCachedActivityTypes(mergeWithDefaultActivityTypes(validatedTypes));
+      return true;
+    } catch (error) {
+      console.error('Error saving activity types:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Add a custom activity type
+   * @param {Object} typeData - { name, icon, color, description, fields }
+   * @returns {Promise<Object|null>} Created activity type or null if failed
+   */
+  static async addActivityType(typeData) {
+    try {
+      const activityTypes = await this.getActivityTypes();
+      if (findActivityType(typeData.name, activityTypes)) {
+        throw new Error(`Activity type already exists: ${typeData.name}`);
+      }
+
+      const newType = {
+        id: createActivityTypeId(typeData.name),
+        name: String(typeData.name).trim(),
+        icon: typeData.icon,
+        color: typeData.color,
+        description: String(typeData.description || '').trim(),
+        fields: normalizeActivityTypeFields(typeData.fields),
+        isBuiltIn: false,
+      };
+
+      const saved = await this.saveActivityTypes([...activityTypes, newType]);
+      return saved ? newType : null;
+    } catch (error) {
+      console.error('Error adding activity type:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Update the icon, colour, description or fields of an activity type
+   * Names can't change because activities store their type by name.
+   * @param {string} typeId - Activity type id
+   * @param {Object} updates - { icon, color, description, fields }
+   * @returns {Promise<Object|null>} Updated activity type or null if failed
+   */
+  static async updateActivityType(typeId, updates) {
+    try {
+      const activityTypes = await this.getActivityTypes();
+      const existingType = activityTypes.find((type) => type.id === typeId);
+      if (!existingType) {
+        throw new Error(`Activity type not found: ${typeId}`);
+      }
+
+      const updatedType = {
+        ...existingType,
+        icon: updates.icon || existingType.icon,
+        color: updates.color || existingType.color,
+        description:
+          updates.description !== undefined
+            ? String(updates.description).trim()
+            : existingType.description,
+        fields:
+          updates.fields !== undefined
+            ? normalizeActivityTypeFields(updates.fields)
+            : existingType.fields,
+      };
+
+      const saved = await this.saveActivityTypes(
+        activityTypes.map((type) => (type.id === typeId ? updatedType : type))
+      );
+      return saved ? updatedType : null;
+    } catch (error) {
+      console.error('Error updating activity type:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a custom activity type
+   * Activities that use it keep the name and are shown with the default icon.
+   * They can still be edited and listed by that name; see
+   * FamilyTimeService.validateActivityData.
+   * @param {string} typeId - Activity type id
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteActivityType(typeId) {
+    try {
+      const activityTypes = await this.getActivityTypes();
+      const existingType = activityTypes.find((type) => type.id === typeId);
+      if (!existingType) {
+        return false;
+      }
+      if (existingType.isBuiltIn) {
+        throw new Error(`Built-in activity types cannot be deleted: ${existingType.name}`);
+      }
+
+      return await this.saveActivityTypes(activityTypes.filter((type) => type.id !== typeId));
+    } catch (error) {
+      console.error('Error deleting activity type:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Update the cache and notify subscribers
+   * @private
+   * @param {Array} activityTypes - New activity types
+   */
+  static _setCachedActivityTypes(activityTypes) {
+    this.cachedActivityTypes = activityTypes;
+    this.listeners.forEach((listener) => {
+      try {
+        listener(activityTypes);
+      } catch (error) {
+        console.error('Error notifying activity type listener:', error);
+      }
+    });
+  }
+}
+
+export default ActivityTypesService;
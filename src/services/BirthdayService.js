@@ -0,0 +1,178 @@
+import DataNamespacing from '../utils/dataNamespacing';
+import DataValidationService from './DataValidationService';
+import DynamoDBUserProfileService from './DynamoDBUserProfileService';
+import ChildrenDataService from './ChildrenDataService';
+import NotificationService from './NotificationService';
+import { addDaysToDateString } from '../utils/recurrenceUtils';
+import { formatLocalDateString } from '../utils/dateUtils';
+import {
+  getBirthdayEventsInRange,
+  getUpcomingBirthdays,
+  normalizeBirthdaySettings,
+} from '../utils/birthdayUtils';
+
+const BIRTHDAY_SETTINGS_STORAGE_KEY = 'birthday-settings.json';
+
+/**
+ * Birthday events generated from child profiles
+ * Birthdays are never stored as calendar events; they are generated from the
+ * children list for the dates on screen. Only the settings (on/off and which
+ * reminders to send) are stored, per user in AsyncStorage and, when DynamoDB
+ * is enabled, with the user profile.
+ */
+class BirthdayService {
+  // Configuration flag to switch between storage backends
+  static USE_DYNAMODB = process.env.EXPO_PUBLIC_USE_DYNAMODB === 'true' || false;
+
+  // Reminders are scheduled for birthdays within this many days
+  static REMINDER_HORIZON_DAYS = 366;
+
+  /**
+   * Enable DynamoDB backend
+   * @static
+   */
+  static enableDynamoDB() {
+    this.USE_DYNAMODB = true;
+  }
+
+  /**
+   * Disable DynamoDB backend (fallback to AsyncStorage)
+   * @static
+   */
+  static disableDynamoDB() {
+    this.USE_DYNAMODB = false;
+  }
+
+  /**
+   * Get the birthday settings
+   * @returns {Promise<Object>} { enabled, reminders }
+   */
+  static async getSettings() {
+    let storedSettings = null;
+
+    if (this.USE_DYNAMODB) {
+      storedSettings = await DynamoDBUserProfileService.getBirthdaySettings();
+      if (storedSettings) {
+        // Keep a local copy for offline use
+        await DataNamespacing.setUserData(BIRTHDAY_SETTINGS_STORAGE_KEY, storedSettings);
+      }
+    }
+
+    if (!storedSettings) {
+      try {
+        storedSettings = await DataNamespacing.getUserData(BIRTHDAY_SETTINGS_STORAGE_KEY, null);
+      } catch (error) {
+        console.error('Error loading birthday settings:', error);
+      }
+    }
+
+    return normalizeBirthdaySettings(storedSettings);
+  }
+
+  /**
+   * Save the birthday settings and reschedule birthday reminders
+   * @param {Object} settings - { enabled, reminders }
+   * @returns {Promise<boolean>} Success status
+   */
+  static async saveSettings(settings) {
+    try {
+      const validatedSettings = DataValidationService.validateBirthdaySettings(settings);
+
+      const saved = await DataNamespacing.setUserData(BIRTHDAY_SETTINGS_STORAGE_KEY, validatedSettings);
+      if (!saved) {
+        return false;
+      }
+
+      if (this.USE_DYNAMODB) {
+        const synced = await DynamoDBUserProfileService.updateBirthdaySettings(validatedSettings);
+        if (!synced) {
+          console.warn('Birthday settings saved locally but could not be synced to the user profile');
+        }
+      }
+
+      await this.refreshBirthdayReminders(null, validatedSettings);
+      return true;
+    } catch (error) {
+      console.error('Error saving birthday settings:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the birthday events of all children within a date range
+   * @param {Date|string} startDate - First date of the range
+   * @param {Date|string} endDate - Last date of the range
+   * @param {Array} children - Child profiles, loaded if not provided
+   * @returns {Promise<Array>} Birthday events, empty when birthdays are turned off
+   */
+  static async getBirthdayEventsInRange(startDate, endDate, children = null) {
+    try {
+      const settings = await this.getSettings();
+      if (!settings.enabled) {
+        return [];
+      }
+
+      const childList = children || await ChildrenDataService.getChildren();
+      return getBirthdayEventsInRange(childList, startDate, endDate);
+    } catch (error) {
+      console.error('Error getting birthday events:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the birthdays coming up in the next few days, today included
+   * @param {number} days - How many days ahead to look
+   * @param {Array} children - Child profiles, loaded if not provided
+   * @returns {Promise<Array>} Birthday events with `daysUntil`
+   */
+  static async getUpcomingBirthdays(days = 30, children = null) {
+    try {
+      const settings = await this.getSettings();
+      if (!settings.enabled) {
+        return [];
+      }
+
+      const childList = children || await ChildrenDataService.getChildren();
+      return getUpcomingBirthdays(childList, days);
+    } catch (error) {
+      console.error('Error getting upcoming birthdays:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Replace the scheduled birthday reminders
+   * Call after children are added, edited or deleted so reminders follow the
+   * current birthdays and are dropped for deleted children.
+   * @param {Array} children - Child profiles, loaded if not provided
+   * @param {Object} settings - Birthday settings, loaded if not provided
+   * @returns {Promise<boolean>} Success status
+   */
+  static async refreshBirthdayReminders(children = null, settings = null) {
+    try {
+      const birthdaySettings = settings || await this.getSettings();
+
+      if (!birthdaySettings.enabled || birthdaySettings.reminders.length === 0) {
+        await NotificationService.cancelBirthdayReminders();
+        return true;
+      }
+
+      const childList = children || await ChildrenDataService.getChildren();
+      const today = formatLocalDateString(new Date());
+      const birthdayEvents = getBirthdayEventsInRange(
+        childList,
+        today,
+        addDaysToDateString(today, this.REMINDER_HORIZON_DAYS)
+      );
+
+      await NotificationService.scheduleBirthdayReminders(birthdayEvents, birthdaySettings.reminders);
+      return true;
+    } catch (error) {
+      console.error('Error refreshing birthday reminders:', error);
+      return false;
+    }
+  }
+}
+
+export default BirthdayService;
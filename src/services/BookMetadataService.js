@@ -0,0 +1,261 @@
+import DataNamespacing from '../utils/dataNamespacing';
+import { findIsbnsInText, toIsbn13 } from '../utils/isbnUtils';
+
+const ISBN_METADATA_CACHE_STORAGE_KEY = 'isbn-metadata-cache.json';
+
+// Book scanning waits on the lookup, so a slow or offline network gives up
+// after this long and the scan falls back to reading the cover text
+export const METADATA_LOOKUP_TIMEOUT_MS = 5000;
+
+/**
+ * Metadata lookup provider backed by the Open Library books API
+ * A provider has a name and a lookup function that takes an ISBN-13 and
+ * resolves to { title, authors, publisher, publishedDate, coverUrl }, or
+ * null when the book is unknown.
+ */
+export const openLibraryMetadataProvider = {
+  name: 'openlibrary',
+  lookup: async (isbn) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), METADATA_LOOKUP_TIMEOUT_MS);
+
+    let data;
+    try {
+      const response = await fetch(
+        `https://openlibrary.org/api/books?bibkeys=ISBN:${isbn}&format=json&jscmd=data`,
+        { signal: controller.signal }
+      );
+      if (!response.ok) {
+        throw new Error(`Open Library lookup failed with status ${response.status}`);
+      }
+      data = await response.json();
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    const book = data?.[`ISBN:${isbn}`];
+    if (!book?.title) {
+      return null;
+    }
+
+    return {
+      title: book.subtitle ? `${book.title}: ${book.subtitle}` : book.title,
+      authors: (book.authors || []).map((author) => author.name).filter(Boolean),
+      publisher: book.publishers?.[0]?.name || '',
+      publishedDate: book.publish_date || '',
+      coverUrl: book.cover?.medium || book.cover?.large || '',
+    };
+  },
+};
+
+/**
+ * Create a provider that answers from a fixed set of books, for tests and
+ * for running without network access
+ * @param {Object} fixtures - Metadata keyed by ISBN (ISBN-10 or ISBN-13)
+ * @returns {Object} Metadata lookup provider
+ */
+export const createFixtureMetadataProvider = (fixtures = {}) => {
+  const booksByIsbn = Object.entries(fixtures).reduce((books, [isbn, metadata]) => {
+    const isbn13 = toIsbn13(isbn);
+    if (isbn13) {
+      books[isbn13] = metadata;
+    }
+    return books;
+  }, {});
+
+  return {
+    name: 'fixture',
+    lookup: async (isbn) => booksByIsbn[isbn] || null,
+  };
+};
+
+/**
+ * Book metadata by ISBN
+ * Looks books up through a replaceable metadata provider and keeps every
+ * book it has seen in a local ISBN cache, stored per user in AsyncStorage,
+ * so a book scanned once is recognised straight away, and offline, the
+ * next time it is scanned for any of the children.
+ */
+class BookMetadataService {
+  static defaultProvider = openLibraryMetadataProvider;
+
+  static provider = openLibraryMetadataProvider;
+
+  /**
+   * Replace the metadata lookup provider
+   * @param {Object} provider - { name, lookup(isbn13) }
+   */
+  static setMetadataProvider(provider) {
+    if (!provider || typeof provider.lookup !== 'function') {
+      throw new Error('Metadata provider must have a lookup function');
+    }
+    this.provider = provider;
+  }
+
+  /**
+   * Go back to the default metadata lookup provider
+   */
+  static resetMetadataProvider() {
+    this.provider = this.defaultProvider;
+  }
+
+  /**
+   * Get the cached metadata of every book seen so far
+   * @returns {Promise<Object>} Metadata keyed by ISBN-13
+   */
+  static async getCache() {
+    try {
+      return await DataNamespacing.getUserData(ISBN_METADATA_CACHE_STORAGE_KEY, {});
+    } catch (error) {
+      console.error('Error loading ISBN metadata cache:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Get a book from the cache without asking the provider
+   * @param {string} isbn - ISBN-10 or ISBN-13
+   * @returns {Promise<Object|null>} Cached metadata or null
+   */
+  static async getCachedBook(isbn) {
+    const isbn13 = toIsbn13(isbn);
+    if (!isbn13) {
+      return null;
+    }
+    const cache = await this.getCache();
+    return cache[isbn13] || null;
+  }
+
+  /**
+   * Look a book up by ISBN, using the cache first
+   * @param {string} isbn - ISBN-10 or ISBN-13
+   * @returns {Promise<Object|null>} { isbn, title, author, authors, publisher,
+   *   publishedDate, coverUrl, source } or null if the book is unknown or
+   *   the lookup failed
+   */
+  static async lookupIsbn(isbn) {
+    const isbn13 = toIsbn13(isbn);
+    if (!isbn13) {
+      return null;
+    }
+
+    const cachedBook = await this.getCachedBook(isbn13);
+    if (cachedBook) {
+      return { ...cachedBook, source: 'cache' };
+    }
+
+    try {
+      const metadata = await this.provider.lookup(isbn13);
+      if (!metadata?.title) {
+        return null;
+      }
+
+      const authors = Array.isArray(metadata.authors)
+        ? metadata.authors.filter(Boolean)
+        : [metadata.author].filter(Boolean);
+      const book = {
+        title: String(metadata.title).trim(),
+        author: authors.join(', '),
+        authors,
+        publisher: metadata.publisher || '',
+        publishedDate: metadata.publishedDate || '',
+        coverUrl: metadata.coverUrl || '',
+        provider: this.provider.name || 'custom',
+      };
+      // A book that couldn't be cached is still returned
+      const cachedLookup = await this._cacheBook(isbn13, book);
+      return { ...(cachedLookup || { ...book, isbn: isbn13 }), source: 'provider' };
+    } catch (error) {
+      console.error('Error looking up ISBN metadata:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Recognise a book from the text read from its cover or barcode
+   * @param {string} text - Extracted text
+   * @returns {Promise<Object>} { isbns, book } where book is the first ISBN
+   *   that could be looked up, or null
+   */
+  static async recognizeBookFromText(text) {
+    const isbns = findIsbnsInText(text);
+
+    for (const isbn of isbns) {
+      const book = await this.lookupIsbn(isbn);
+      if (book) {
+        return { isbns, book };
+      }
+    }
+
+    return { isbns, book: null };
+  }
+
+  /**
+   * Remember the title and author the user confirmed for an ISBN, so the
+   * next scan of the book gives the same answer
+   * @param {string} isbn - ISBN-10 or ISBN-13
+   * @param {Object} book - { title, author }
+   * @returns {Promise<Object|null>} Cached metadata or null if failed
+   */
+  static async rememberBook(isbn, { title, author }) {
+    const isbn13 = toIsbn13(isbn);
+    const trimmedTitle = String(title || '').trim();
+    if (!isbn13 || !trimmedTitle) {
+      return null;
+    }
+
+    const cachedBook = await this.getCachedBook(isbn13);
+    const trimmedAuthor = String(author || '').trim();
+    return await this._cacheBook(isbn13, {
+      ...cachedBook,
+      title: trimmedTitle,
+      author: trimmedAuthor,
+      authors:
+        cachedBook && cachedBook.author === trimmedAuthor
+          ? cachedBook.authors
+          : [trimmedAuthor].filter(Boolean),
+      confirmedByUser: true,
+    });
+  }
+
+  /**
+   * Remove every cached book
+   * @returns {Promise<boolean>} Success status
+   */
+  static async clearCache() {
+    try {
+      return await DataNamespacing.setUserData(ISBN_METADATA_CACHE_STORAGE_KEY, {});
+    } catch (error) {
+      console.error('Error clearing ISBN metadata cache:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Save a book to the cache
+   * @private
+   * @param {string} isbn13 - ISBN-13
+   * @param {Object} metadata - Book metadata
+   * @returns {Promise<Object|null>} Cached metadata or null if failed
+   */
+  static async _cacheBook(isbn13, metadata) {
+    try {
+      const cache = await this.getCache();
+      const book = {
+        ...metadata,
+        isbn: isbn13,
+        cachedAt: new Date().toISOString(),
+      };
+      const saved = await DataNamespacing.setUserData(ISBN_METADATA_CACHE_STORAGE_KEY, {
+        ...cache,
+        [isbn13]: book,
+      });
+      return saved ? book : null;
+    } catch (error) {
+      console.error('Error saving ISBN metadata cache:', error);
+      return null;
+    }
+  }
+}
+
+export default BookMetadataService;
@@ -1,7 +1,54 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { formatLocalDateString } from '../utils/dateUtils';
+import { formatLocalDateString, parseLocalDateString } from '../utils/dateUtils';
 import NotificationService from './NotificationService';
 import DataNamespacing from '../utils/dataNamespacing';
+import EventTypesService from './EventTypesService';
+import RecycleBinService from './RecycleBinService';
+import {
+  isRecurringEvent,
+  expandEventsInRange,
+  expandRecurringEvent,
+  getRecurrenceDates,
+  getEventStartDateString,
+  addDaysToDateString,
+  normalizeRecurrenceRule,
+  shiftRecurrenceRule,
+  validateRecurrenceRule,
+} from '../utils/recurrenceUtils';
+import {
+  getDeviceTimeZone,
+  getEventTimeZone,
+  isValidTimeZone,
+  moveToZonedDay,
+} from '../utils/timeZoneUtils';
+import {
+  filterEventsForExport,
+  findDuplicateEvent,
+  generateICSCalendar,
+  parseICSEvents,
+} from '../utils/icsUtils';
+import {
+  findEventConflicts,
+  getConflictCheckOccurrences,
+  getOccurrencesDateRange,
+} from '../utils/conflictUtils';
+import {
+  getChecklistItems,
+  normalizeChecklist,
+  setOccurrenceChecklistItemDone,
+} from '../utils/checklistUtils';
+import { normalizeAttachments } from '../utils/attachmentUtils';
+import {
+  RECYCLE_BIN_ITEM_TYPES,
+  RECYCLE_BIN_STATUS,
+  getRecurringDeleteEntryOptions,
+  getRecycleBinRemovedItemIds,
+} from '../utils/recycleBinUtils';
+import {
+  buildPublicHolidayEvents,
+  getInstalledPublicHolidayPacks,
+  isPublicHolidayPackEvent,
+} from '../utils/publicHolidayUtils';
 
 const CALENDAR_EVENTS_STORAGE_KEY = 'calendar-tasks.json';
 
@@ -26,6 +73,18 @@ class CalendarEventsService {
     }
   }
 
+  // Bring the scheduled reminders in line with the stored events
+  // Run on startup so events restored or changed elsewhere get their reminders
+  static async reconcileReminders() {
+    try {
+      const events = await this.getEvents();
+      return await NotificationService.reconcileEventReminders(events);
+    } catch (error) {
+      console.error('Error reconciling reminders:', error);
+      return null;
+    }
+  }
+
   // Add a new event
   static async addEvent(eventData) {
     try {
@@ -44,6 +103,31 @@ class CalendarEventsService {
       
       // Clean up selectedChildren from the stored event data
       delete newEvent.selectedChildren;
+
+      // Timed events keep the zone they were entered in
+      if (newEvent.isAllDay) {
+        delete newEvent.timeZone;
+      } else if (!isValidTimeZone(newEvent.timeZone)) {
+        newEvent.timeZone = getDeviceTimeZone();
+      }
+
+      if (eventData.checklist) {
+        newEvent.checklist = normalizeChecklist(eventData.checklist);
+      }
+
+      if (eventData.attachments) {
+        newEvent.attachments = normalizeAttachments(eventData.attachments);
+      }
+
+      // Store recurring events once with a normalized rule
+      if (eventData.recurrence) {
+        const recurrence = this.prepareRecurrence(newEvent);
+        if (recurrence) {
+          newEvent.recurrence = recurrence;
+        } else {
+          delete newEvent.recurrence;
+        }
+      }
       
       events.push(newEvent);
       const success = await this.saveEvents(events);
@@ -113,16 +197,13 @@ class CalendarEventsService {
           occurrence.startDate = formatLocalDateString(new Date(date));
           occurrence.endDate = eventData.endDate || occurrence.startDate;
         } else {
-          // For timed events, use the selected date but preserve the time
-          const startDateTime = new Date(eventData.startDateTime);
-          const endDateTime = new Date(eventData.endDateTime);
-          
+          // For timed events, use the selected date but keep the wall-clock time
+          // in the event's own zone
+          const timeZone = getEventTimeZone(eventData);
           const eventDate = new Date(date);
-          startDateTime.setFullYear(eventDate.getFullYear(), eventDate.getMonth(), eventDate.getDate());
-          endDateTime.setFullYear(eventDate.getFullYear(), eventDate.getMonth(), eventDate.getDate());
-          
-          occurrence.startDateTime = startDateTime.toISOString();
-          occurrence.endDateTime = endDateTime.toISOString();
+          occurrence.startDateTime = moveToZonedDay(new Date(eventData.startDateTime), eventDate, timeZone).toISOString();
+          occurrence.endDateTime = moveToZonedDay(new Date(eventData.endDateTime), eventDate, timeZone).toISOString();
+          occurrence.timeZone = timeZone;
         }
 
         // Clean up selectedChildren from the stored event data
@@ -178,6 +259,16 @@ class CalendarEventsService {
         updatedAt: new Date().toISOString(),
       };
 
+      // A rule added or changed while editing is normalized as in addEvent
+      if (normalizedData.recurrence) {
+        const recurrence = this.prepareRecurrence(updatedEvent);
+        if (recurrence) {
+          updatedEvent.recurrence = recurrence;
+        } else {
+          delete updatedEvent.recurrence;
+        }
+      }
+
       events[eventIndex] = updatedEvent;
       console.log('Attempting to save updated event:', updatedEvent);
       
@@ -325,14 +416,94 @@ class CalendarEventsService {
       }
 
       const events = await this.getEvents();
+      const deletedEvents = events.filter((event) => event.id === eventId);
       const filteredEvents = events.filter((event) => event.id !== eventId);
-      return await this.saveEvents(filteredEvents);
+      const success = await this.saveEvents(filteredEvents);
+
+      // Keep a copy in the recycle bin so the delete can be undone
+      if (success) {
+        await RecycleBinService.addEntry(RECYCLE_BIN_ITEM_TYPES.EVENT, deletedEvents);
+      }
+
+      return success;
     } catch (error) {
       console.error('Error deleting event:', error);
       return false;
     }
   }
 
+  // Put a deleted event back from the recycle bin, along with anything deleted with it
+  // Returns the restored event, or null if it is no longer in the bin
+  static async restoreEvent(eventId) {
+    try {
+      const entry = await RecycleBinService.getEntry(RECYCLE_BIN_ITEM_TYPES.EVENT, eventId);
+      if (!entry) {
+        return null;
+      }
+
+      const success = await this._putBackEvents(entry.items);
+      if (!success) {
+        return null;
+      }
+
+      await RecycleBinService.markRestored(entry.entryId);
+      return entry.items[0];
+    } catch (error) {
+      console.error('Error restoring event:', error);
+      return null;
+    }
+  }
+
+  // Bring the stored events in line with a recycle bin change made on another device
+  static async applyRecycleBinEntry(entry) {
+    try {
+      if (entry.status === RECYCLE_BIN_STATUS.RESTORED) {
+        return await this._putBackEvents(entry.items);
+      }
+      if (entry.status !== RECYCLE_BIN_STATUS.DELETED) {
+        return true;
+      }
+
+      // Deletes that only changed a series were synced with the series itself
+      const deletedIds = getRecycleBinRemovedItemIds(entry);
+      for (const eventId of deletedIds) {
+        try {
+          await NotificationService.cancelEventReminders(eventId);
+        } catch (error) {
+          console.warn('Failed to cancel reminders for event deleted on another device:', error);
+        }
+      }
+
+      const events = await this.getEvents();
+      return await this.saveEvents(events.filter((event) => !deletedIds.includes(event.id)));
+    } catch (error) {
+      console.error('Error applying recycle bin change:', error);
+      return false;
+    }
+  }
+
+  // Store events taken out of the recycle bin, replacing any copies already stored
+  static async _putBackEvents(restoredEvents) {
+    const restoredIds = restoredEvents.map((event) => event.id);
+    const events = await this.getEvents();
+    const success = await this.saveEvents([
+      ...events.filter((event) => !restoredIds.includes(event.id)),
+      ...restoredEvents,
+    ]);
+
+    if (success) {
+      for (const event of restoredEvents) {
+        try {
+          await NotificationService.scheduleEventReminders(event);
+        } catch (error) {
+          console.warn('Failed to schedule reminders for restored event:', error);
+        }
+      }
+    }
+
+    return success;
+  }
+
   // Delete a single occurrence of a multi-date event
   static async deleteMultiDateEventOccurrence(eventId) {
     try {
@@ -355,6 +526,11 @@ class CalendarEventsService {
         console.warn('Failed to cancel reminders for deleted event occurrence:', error);
       }
 
+      // The other dates are renumbered below, so keep them as they were for a restore
+      const occurrencesBefore = events
+        .filter(event => event.multiDateId === eventToDelete.multiDateId)
+        .map(event => ({ ...event }));
+
       // Remove this occurrence
       const filteredEvents = events.filter(event => event.id !== eventId);
 
@@ -386,7 +562,18 @@ class CalendarEventsService {
         event.updatedAt = new Date().toISOString();
       }
 
-      return await this.saveEvents(filteredEvents);
+      const success = await this.saveEvents(filteredEvents);
+      if (success) {
+        await RecycleBinService.addEntry(
+          RECYCLE_BIN_ITEM_TYPES.EVENT,
+          [
+            ...occurrencesBefore.filter(event => event.id === eventId),
+            ...occurrencesBefore.filter(event => event.id !== eventId),
+          ],
+          { removedItemIds: [eventId] }
+        );
+      }
+      return success;
     } catch (error) {
       console.error('Error deleting multi-date event occurrence:', error);
       return false;
@@ -412,15 +599,537 @@ class CalendarEventsService {
         }
       }
 
-      // Remove all occurrences
+      // Remove all occurrences, keeping them together in the recycle bin
       const filteredEvents = events.filter(event => event.multiDateId !== multiDateId);
-      return await this.saveEvents(filteredEvents);
+      const success = await this.saveEvents(filteredEvents);
+      if (success) {
+        await RecycleBinService.addEntry(RECYCLE_BIN_ITEM_TYPES.EVENT, multiDateEvents);
+      }
+      return success;
     } catch (error) {
       console.error('Error deleting all multi-date event occurrences:', error);
       return false;
     }
   }
 
+  // Validate and normalize the recurrence rule of an event before it is stored
+  static prepareRecurrence(eventData) {
+    const startDateString = getEventStartDateString(eventData);
+    const validation = validateRecurrenceRule(eventData.recurrence, startDateString);
+
+    if (!validation.valid) {
+      console.warn('Invalid recurrence rule, storing as a single event:', validation.errors);
+      return null;
+    }
+
+    return normalizeRecurrenceRule(eventData.recurrence, startDateString);
+  }
+
+  // Tick or untick a checklist item on an event
+  // Recurring occurrences record the change on their series for that date only
+  // Returns the event or occurrence with the updated checklist
+  static async setChecklistItemDone(event, itemId, done) {
+    try {
+      if (event.isRecurringOccurrence && event.recurringEventId) {
+        const series = await this.getEventById(event.recurringEventId);
+        if (!series) {
+          return null;
+        }
+
+        const checklistCompletions = setOccurrenceChecklistItemDone(
+          series.checklistCompletions,
+          event.occurrenceDate,
+          itemId,
+          done
+        );
+        const updatedSeries = await this.updateEvent(series.id, { checklistCompletions });
+        return updatedSeries ? { ...event, checklistCompletions } : null;
+      }
+
+      const storedEvent = await this.getEventById(event.id);
+      if (!storedEvent) {
+        return null;
+      }
+
+      const checklist = getChecklistItems(storedEvent).map((item) =>
+        item.id === itemId ? { ...item, done } : item
+      );
+      return await this.updateEvent(event.id, { checklist });
+    } catch (error) {
+      console.error('Error updating checklist item:', error);
+      return null;
+    }
+  }
+
+  // Tick off every checklist item of an event, or of one occurrence of a recurring series
+  static async completeChecklist(event) {
+    try {
+      if (event.isRecurringOccurrence && event.recurringEventId) {
+        const series = await this.getEventById(event.recurringEventId);
+        if (!series) {
+          return null;
+        }
+
+        const checklistCompletions = getChecklistItems(series).reduce(
+          (completions, item) =>
+            setOccurrenceChecklistItemDone(completions, event.occurrenceDate, item.id, true),
+          series.checklistCompletions
+        );
+        const updatedSeries = await this.updateEvent(series.id, { checklistCompletions });
+        return updatedSeries ? { ...event, checklistCompletions } : null;
+      }
+
+      const storedEvent = await this.getEventById(event.id);
+      if (!storedEvent) {
+        return null;
+      }
+
+      const checklist = getChecklistItems(storedEvent).map((item) => ({ ...item, done: true }));
+      return await this.updateEvent(event.id, { checklist });
+    } catch (error) {
+      console.error('Error completing checklist:', error);
+      return null;
+    }
+  }
+
+  // Get an event, or one occurrence of it when an occurrence date is given
+  // Used to open the event a reminder notification was sent for
+  static async getEventOccurrence(eventId, occurrenceDate = null) {
+    try {
+      const event = await this.getEventById(eventId);
+      if (!event || !occurrenceDate || !isRecurringEvent(event)) {
+        return event;
+      }
+
+      const date = parseLocalDateString(occurrenceDate);
+      return expandRecurringEvent(event, date, date)
+        .find((occurrence) => occurrence.occurrenceDate === occurrenceDate) || null;
+    } catch (error) {
+      console.error('Error getting event occurrence:', error);
+      return null;
+    }
+  }
+
+  // Get the occurrences of a recurring event within a date range
+  static async getRecurringEventOccurrences(recurringEventId, startDate, endDate) {
+    try {
+      const series = await this.getEventById(recurringEventId);
+
+      if (!series || !isRecurringEvent(series)) {
+        return [];
+      }
+
+      return expandRecurringEvent(series, startDate, endDate);
+    } catch (error) {
+      console.error('Error getting recurring event occurrences:', error);
+      return [];
+    }
+  }
+
+  // Split a recurring series at an occurrence date
+  // Returns the series truncated to end before the date and the rule for the remainder
+  static splitRecurrenceAt(series, occurrenceDate) {
+    const seriesStartDate = getEventStartDateString(series);
+    const dayBefore = addDaysToDateString(occurrenceDate, -1);
+    const rule = series.recurrence;
+
+    let remainingCount = null;
+    if (rule.count) {
+      // Count every generated date before the split, including skipped exceptions
+      const usedCount = getRecurrenceDates(
+        { ...rule, exceptionDates: [] },
+        seriesStartDate,
+        seriesStartDate,
+        dayBefore
+      ).length;
+      remainingCount = Math.max(1, rule.count - usedCount);
+    }
+
+    const truncatedRule = {
+      ...rule,
+      count: null,
+      until: dayBefore,
+      exceptionDates: (rule.exceptionDates || []).filter(date => date < occurrenceDate),
+    };
+
+    const remainderRule = {
+      ...rule,
+      count: remainingCount,
+      exceptionDates: (rule.exceptionDates || []).filter(date => date >= occurrenceDate),
+    };
+
+    return { truncatedRule, remainderRule };
+  }
+
+  // Update a single occurrence of a recurring event
+  // The occurrence is skipped in the series and saved as its own event
+  static async updateRecurringEventOccurrence(recurringEventId, occurrenceDate, updatedData) {
+    try {
+      const events = await this.getEvents();
+      const seriesIndex = events.findIndex((event) => event.id === recurringEventId);
+
+      if (seriesIndex === -1) {
+        return null;
+      }
+
+      const series = events[seriesIndex];
+
+      // Verify this is a recurring event
+      if (!isRecurringEvent(series)) {
+        throw new Error('Event is not a recurring event');
+      }
+
+      const normalizedData = this.normalizeEventData(updatedData);
+      const occurrenceDay = parseLocalDateString(occurrenceDate);
+      const occurrence = expandRecurringEvent(series, occurrenceDay, occurrenceDay)
+        .find(item => item.occurrenceDate === occurrenceDate);
+
+      if (!occurrence) {
+        throw new Error(`No occurrence on ${occurrenceDate}`);
+      }
+
+      const detachedEvent = {
+        ...occurrence,
+        // The detached event keeps this occurrence's ticked items as its own
+        checklist: getChecklistItems(occurrence),
+        ...normalizedData,
+        id: `${recurringEventId}_${occurrenceDate}_${Date.now()}`,
+        recurrenceParentId: recurringEventId,
+        recurrenceOriginalDate: occurrenceDate,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+      delete detachedEvent.recurrence;
+      delete detachedEvent.recurringEventId;
+      delete detachedEvent.occurrenceDate;
+      delete detachedEvent.isRecurringOccurrence;
+      delete detachedEvent.checklistCompletions;
+
+      events[seriesIndex] = {
+        ...series,
+        recurrence: {
+          ...series.recurrence,
+          exceptionDates: [...new Set([...(series.recurrence.exceptionDates || []), occurrenceDate])].sort(),
+        },
+        updatedAt: new Date().toISOString(),
+      };
+      events.push(detachedEvent);
+
+      const success = await this.saveEvents(events);
+
+      if (success) {
+        // Update reminders for the series and the detached occurrence
+        try {
+          await NotificationService.scheduleEventReminders(events[seriesIndex]);
+          await NotificationService.scheduleEventReminders(detachedEvent);
+        } catch (error) {
+          console.warn('Failed to update reminders for recurring event occurrence:', error);
+        }
+        return detachedEvent;
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error updating recurring event occurrence:', error);
+      return null;
+    }
+  }
+
+  // Update an occurrence of a recurring event and every occurrence after it
+  // The original series ends the day before and a new series starts from the occurrence
+  static async updateRecurringEventFromOccurrence(recurringEventId, occurrenceDate, updatedData) {
+    try {
+      const events = await this.getEvents();
+      const seriesIndex = events.findIndex((event) => event.id === recurringEventId);
+
+      if (seriesIndex === -1) {
+        return null;
+      }
+
+      const series = events[seriesIndex];
+
+      // Verify this is a recurring event
+      if (!isRecurringEvent(series)) {
+        throw new Error('Event is not a recurring event');
+      }
+
+      // Editing from the first occurrence is the same as editing the whole series
+      if (occurrenceDate <= getEventStartDateString(series)) {
+        return await this.updateEvent(recurringEventId, updatedData);
+      }
+
+      const normalizedData = this.normalizeEventData(updatedData);
+      const { truncatedRule, remainderRule } = this.splitRecurrenceAt(series, occurrenceDate);
+
+      const newSeries = {
+        ...series,
+        ...normalizedData,
+        id: Date.now().toString(),
+        recurrence: normalizedData.recurrence || remainderRule,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+      delete newSeries.recurringEventId;
+      delete newSeries.occurrenceDate;
+      delete newSeries.isRecurringOccurrence;
+
+      const preparedRecurrence = this.prepareRecurrence(newSeries);
+      if (preparedRecurrence) {
+        newSeries.recurrence = preparedRecurrence;
+      } else {
+        delete newSeries.recurrence;
+      }
+
+      events[seriesIndex] = {
+        ...series,
+        recurrence: truncatedRule,
+        updatedAt: new Date().toISOString(),
+      };
+      events.push(newSeries);
+
+      const success = await this.saveEvents(events);
+
+      if (success) {
+        // Update reminders for both halves of the split series
+        try {
+          await NotificationService.scheduleEventReminders(events[seriesIndex]);
+          await NotificationService.scheduleEventReminders(newSeries);
+        } catch (error) {
+          console.warn('Failed to update reminders for split recurring event:', error);
+        }
+        return newSeries;
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error updating recurring event from occurrence:', error);
+      return null;
+    }
+  }
+
+  // Update all occurrences of a recurring event
+  // dayDelta moves the whole series by that many days, e.g. when an occurrence is dragged
+  static async updateAllRecurringEventOccurrences(recurringEventId, updatedData, dayDelta = 0) {
+    try {
+      const series = await this.getEventById(recurringEventId);
+
+      if (!series) {
+        return null;
+      }
+
+      // Verify this is a recurring event
+      if (!isRecurringEvent(series)) {
+        throw new Error('Event is not a recurring event');
+      }
+
+      const seriesData = { ...updatedData };
+      delete seriesData.recurringEventId;
+      delete seriesData.occurrenceDate;
+      delete seriesData.isRecurringOccurrence;
+
+      // Each occurrence keeps its own ticked items, so the series list is stored unticked
+      if (seriesData.checklist) {
+        seriesData.checklist = seriesData.checklist.map((item) => ({ ...item, done: false }));
+      }
+
+      // Keep the series start date, moved by dayDelta, but apply the edited time of day
+      if (!seriesData.isAllDay && seriesData.startDateTime && seriesData.endDateTime && !series.isAllDay) {
+        const editedStart = new Date(seriesData.startDateTime);
+        const editedEnd = new Date(seriesData.endDateTime);
+        const seriesStart = new Date(series.startDateTime);
+        const dayOffset = Math.round(
+          (new Date(editedStart.getFullYear(), editedStart.getMonth(), editedStart.getDate()) -
+            new Date(seriesStart.getFullYear(), seriesStart.getMonth(), seriesStart.getDate())) /
+            (1000 * 60 * 60 * 24)
+        );
+        editedStart.setDate(editedStart.getDate() - dayOffset + dayDelta);
+        editedEnd.setDate(editedEnd.getDate() - dayOffset + dayDelta);
+        seriesData.startDateTime = editedStart.toISOString();
+        seriesData.endDateTime = editedEnd.toISOString();
+      } else if (seriesData.isAllDay === series.isAllDay) {
+        // Preserve date-specific fields (don't update dates when editing all)
+        seriesData.startDate = series.startDate;
+        seriesData.endDate = series.endDate;
+        seriesData.startDateTime = series.startDateTime;
+        seriesData.endDateTime = series.endDateTime;
+      }
+
+      if (seriesData.recurrence || dayDelta) {
+        const rule = shiftRecurrenceRule(
+          { ...(seriesData.recurrence || series.recurrence), exceptionDates: series.recurrence.exceptionDates || [] },
+          dayDelta
+        );
+        seriesData.recurrence = this.prepareRecurrence({ ...series, ...seriesData, recurrence: rule }) || series.recurrence;
+      }
+
+      return await this.updateEvent(recurringEventId, seriesData);
+    } catch (error) {
+      console.error('Error updating all recurring event occurrences:', error);
+      return null;
+    }
+  }
+
+  // Delete a single occurrence of a recurring event
+  static async deleteRecurringEventOccurrence(recurringEventId, occurrenceDate) {
+    try {
+      const events = await this.getEvents();
+      const seriesIndex = events.findIndex((event) => event.id === recurringEventId);
+
+      if (seriesIndex === -1) {
+        return false;
+      }
+
+      const series = events[seriesIndex];
+
+      // Verify this is a recurring event
+      if (!isRecurringEvent(series)) {
+        throw new Error('Event is not a recurring event');
+      }
+
+      events[seriesIndex] = {
+        ...series,
+        recurrence: {
+          ...series.recurrence,
+          exceptionDates: [...new Set([...(series.recurrence.exceptionDates || []), occurrenceDate])].sort(),
+        },
+        updatedAt: new Date().toISOString(),
+      };
+
+      const success = await this.saveEvents(events);
+
+      if (success) {
+        // Keep the series as it was, so restoring brings the occurrence back
+        await RecycleBinService.addEntry(
+          RECYCLE_BIN_ITEM_TYPES.EVENT,
+          [series],
+          getRecurringDeleteEntryOptions(series, occurrenceDate)
+        );
+
+        // Reschedule so the skipped occurrence no longer reminds
+        try {
+          await NotificationService.scheduleEventReminders(events[seriesIndex]);
+        } catch (error) {
+          console.warn('Failed to update reminders for recurring event:', error);
+        }
+      }
+
+      return success;
+    } catch (error) {
+      console.error('Error deleting recurring event occurrence:', error);
+      return false;
+    }
+  }
+
+  // Delete an occurrence of a recurring event and every occurrence after it
+  static async deleteRecurringEventFromOccurrence(recurringEventId, occurrenceDate) {
+    try {
+      const events = await this.getEvents();
+      const seriesIndex = events.findIndex((event) => event.id === recurringEventId);
+
+      if (seriesIndex === -1) {
+        return false;
+      }
+
+      const series = events[seriesIndex];
+
+      // Verify this is a recurring event
+      if (!isRecurringEvent(series)) {
+        throw new Error('Event is not a recurring event');
+      }
+
+      // Deleting from the first occurrence removes the whole series
+      if (occurrenceDate <= getEventStartDateString(series)) {
+        return await this.deleteAllRecurringEventOccurrences(recurringEventId);
+      }
+
+      const { truncatedRule } = this.splitRecurrenceAt(series, occurrenceDate);
+      events[seriesIndex] = {
+        ...series,
+        recurrence: truncatedRule,
+        updatedAt: new Date().toISOString(),
+      };
+
+      // Detached occurrences from the removed part go too
+      const filteredEvents = events.filter(event =>
+        !(event.recurrenceParentId === recurringEventId && event.recurrenceOriginalDate >= occurrenceDate)
+      );
+      const removedEvents = events.filter(event => !filteredEvents.includes(event));
+
+      for (const event of removedEvents) {
+        try {
+          await NotificationService.cancelEventReminders(event.id);
+        } catch (error) {
+          console.warn('Failed to cancel reminders for deleted event occurrence:', error);
+        }
+      }
+
+      const success = await this.saveEvents(filteredEvents);
+
+      if (success) {
+        // Keep the series as it was with the detached occurrences, so restoring undoes the split
+        await RecycleBinService.addEntry(
+          RECYCLE_BIN_ITEM_TYPES.EVENT,
+          [series, ...removedEvents],
+          getRecurringDeleteEntryOptions(
+            series,
+            occurrenceDate,
+            true,
+            removedEvents.map(event => event.id)
+          )
+        );
+
+        try {
+          await NotificationService.scheduleEventReminders(events[seriesIndex]);
+        } catch (error) {
+          console.warn('Failed to update reminders for recurring event:', error);
+        }
+      }
+
+      return success;
+    } catch (error) {
+      console.error('Error deleting recurring event from occurrence:', error);
+      return false;
+    }
+  }
+
+  // Delete a recurring event with all of its occurrences, including detached ones
+  static async deleteAllRecurringEventOccurrences(recurringEventId) {
+    try {
+      const events = await this.getEvents();
+      const seriesEvents = events.filter(event =>
+        event.id === recurringEventId || event.recurrenceParentId === recurringEventId
+      );
+
+      if (seriesEvents.length === 0) {
+        return false;
+      }
+
+      // Cancel reminders for the series and detached occurrences
+      for (const event of seriesEvents) {
+        try {
+          await NotificationService.cancelEventReminders(event.id);
+        } catch (error) {
+          console.warn('Failed to cancel reminders for deleted recurring event:', error);
+        }
+      }
+
+      // The series goes in the recycle bin as one entry, named after the series itself
+      const orderedSeriesEvents = [
+        ...seriesEvents.filter(event => event.id === recurringEventId),
+        ...seriesEvents.filter(event => event.id !== recurringEventId),
+      ];
+      const filteredEvents = events.filter(event => !seriesEvents.includes(event));
+      const success = await this.saveEvents(filteredEvents);
+      if (success) {
+        await RecycleBinService.addEntry(RECYCLE_BIN_ITEM_TYPES.EVENT, orderedSeriesEvents);
+      }
+      return success;
+    } catch (error) {
+      console.error('Error deleting all recurring event occurrences:', error);
+      return false;
+    }
+  }
+
   // Get a specific event by ID
   static async getEventById(eventId) {
     try {
@@ -435,7 +1144,7 @@ class CalendarEventsService {
   // Get events for a specific date
   static async getEventsForDate(date) {
     try {
-      const events = await this.getEvents();
+      const events = expandEventsInRange(await this.getEvents(), date, date);
       const dateString = formatLocalDateString(date);
 
       return events.filter((event) => {
@@ -482,7 +1191,7 @@ class CalendarEventsService {
   // Get events within a date range
   static async getEventsInRange(startDate, endDate) {
     try {
-      const events = await this.getEvents();
+      const events = expandEventsInRange(await this.getEvents(), startDate, endDate);
       const startDateString = formatLocalDateString(startDate);
       const endDateString = formatLocalDateString(endDate);
 
@@ -512,6 +1221,175 @@ class CalendarEventsService {
     }
   }
 
+  // Find stored events that clash with an event before it is saved
+  // Pass the id of the event being edited (and its series id) in excludeEventIds
+  static async findConflictingEvents(eventData, excludeEventIds = []) {
+    try {
+      const occurrences = getConflictCheckOccurrences(eventData);
+      const range = getOccurrencesDateRange(occurrences);
+      if (!range) return [];
+
+      const getEventChildren = (event) => this.getEventChildren(event);
+      const storedEvents = expandEventsInRange(await this.getEvents(), range.rangeStart, range.rangeEnd);
+      const conflicts = new Map();
+
+      occurrences.forEach((occurrence) => {
+        findEventConflicts(occurrence, storedEvents, { getEventChildren, excludeEventIds }).forEach((conflict) => {
+          if (!conflicts.has(conflict.event.id)) {
+            conflicts.set(conflict.event.id, { ...conflict, occurrence });
+          }
+        });
+      });
+
+      return Array.from(conflicts.values());
+    } catch (error) {
+      console.error('Error finding conflicting events:', error);
+      return [];
+    }
+  }
+
+  // Export events as an iCalendar (.ics) document
+  // Filters: { childId, startDate, endDate, eventType }; all are optional
+  static async exportEventsToICS(filters = {}, options = {}) {
+    try {
+      const events = await this.getEvents();
+      const getEventChildren = (event) => this.getEventChildren(event);
+      const exportedEvents = filterEventsForExport(events, filters, getEventChildren);
+
+      return {
+        ics: generateICSCalendar(exportedEvents, { ...options, getEventChildren }),
+        eventCount: exportedEvents.length,
+      };
+    } catch (error) {
+      console.error('Error exporting events to iCalendar:', error);
+      return null;
+    }
+  }
+
+  // Parse an iCalendar (.ics) document and flag events that already exist
+  // Each event gets an importId and duplicateOf (the matching stored event or null)
+  static async previewICSImport(icsText) {
+    try {
+      const existingEvents = await this.getEvents();
+      const eventTypeNames = await EventTypesService.getEventTypeNames();
+      return parseICSEvents(icsText, eventTypeNames).map((event, index) => ({
+        ...event,
+        importId: `import_${index}`,
+        duplicateOf: findDuplicateEvent(event, existingEvents),
+      }));
+    } catch (error) {
+      console.error('Error parsing iCalendar file:', error);
+      return null;
+    }
+  }
+
+  // Save events from previewICSImport for the selected children
+  // Returns the number of events imported and the number that failed
+  static async importICSEvents(importedEvents, selectedChildren = []) {
+    let importedCount = 0;
+    let failedCount = 0;
+    const batchTimestamp = Date.now();
+
+    for (let i = 0; i < importedEvents.length; i++) {
+      const { importId, duplicateOf, hasUnsupportedRecurrence, ...eventData } = importedEvents[i];
+      const newEvent = await this.addEvent({
+        ...eventData,
+        // addEvent ids are timestamps, so keep ids unique within the batch
+        id: `ics_${batchTimestamp}_${i}`,
+        selectedChildren,
+      });
+
+      if (newEvent) {
+        importedCount++;
+      } else {
+        failedCount++;
+      }
+    }
+
+    return { importedCount, failedCount };
+  }
+
+  // Remove the events created by a holiday import, when the import is undone
+  // Returns the number of events removed, or null if they couldn't be removed
+  static async deleteImportBatchEvents(importBatchId) {
+    try {
+      return await this._deleteEventsWhere((event) => event.importBatchId === importBatchId);
+    } catch (error) {
+      console.error('Error deleting imported events:', error);
+      return null;
+    }
+  }
+
+  // Get the public holiday packs added to the calendar, as { [regionCode]: { [year]: eventCount } }
+  static async getPublicHolidayPacks() {
+    const events = await this.getEvents();
+    return getInstalledPublicHolidayPacks(events);
+  }
+
+  // Add a bundled public holiday pack, replacing the pack's events if it was added before
+  // Returns the number of holidays imported and the number that failed, or null on failure
+  static async importPublicHolidayPack(regionCode, year, selectedChildren = []) {
+    try {
+      const holidayEvents = buildPublicHolidayEvents(regionCode, year, selectedChildren);
+      if (holidayEvents.length === 0) {
+        return null;
+      }
+
+      const removedCount = await this._deleteEventsWhere((event) =>
+        isPublicHolidayPackEvent(event, regionCode, year)
+      );
+      if (removedCount === null) {
+        return null;
+      }
+
+      let importedCount = 0;
+      for (const holidayEvent of holidayEvents) {
+        if (await this.addEvent(holidayEvent)) {
+          importedCount++;
+        }
+      }
+
+      return { importedCount, failedCount: holidayEvents.length - importedCount };
+    } catch (error) {
+      console.error('Error importing public holidays:', error);
+      return null;
+    }
+  }
+
+  // Remove a public holiday pack, or every year of a region when year is null
+  // Returns the number of events removed, or null if they couldn't be removed
+  static async removePublicHolidayPack(regionCode, year = null) {
+    try {
+      return await this._deleteEventsWhere((event) =>
+        isPublicHolidayPackEvent(event, regionCode, year)
+      );
+    } catch (error) {
+      console.error('Error removing public holidays:', error);
+      return null;
+    }
+  }
+
+  // Remove the events matching a condition along with their reminders, without using the recycle bin
+  // Returns the number of events removed, or null if they couldn't be saved
+  static async _deleteEventsWhere(predicate) {
+    const events = await this.getEvents();
+    const matchingEvents = events.filter(predicate);
+    if (matchingEvents.length === 0) {
+      return 0;
+    }
+
+    for (const event of matchingEvents) {
+      try {
+        await NotificationService.cancelEventReminders(event.id);
+      } catch (error) {
+        console.warn('Failed to cancel reminders for removed event:', error);
+      }
+    }
+
+    const success = await this.saveEvents(events.filter((event) => !predicate(event)));
+    return success ? matchingEvents.length : null;
+  }
+
   // Helper method to get children from an event (handles both legacy and new formats)
   static getEventChildren(event) {
     try {
@@ -676,6 +1554,23 @@ class CalendarEventsService {
         }
       }
 
+      // Drop empty checklist items and make sure each has an id
+      if (eventData.checklist !== undefined) {
+        normalized.checklist = normalizeChecklist(eventData.checklist);
+      }
+
+      // Attachments are kept inline on the event as base64 images
+      if (eventData.attachments !== undefined) {
+        normalized.attachments = normalizeAttachments(eventData.attachments);
+      }
+
+      // All-day events have no time zone; timed events keep a valid one
+      if (eventData.isAllDay === true) {
+        normalized.timeZone = null;
+      } else if (eventData.timeZone !== undefined && !isValidTimeZone(eventData.timeZone)) {
+        delete normalized.timeZone;
+      }
+
       return normalized;
     } catch (error) {
       console.error('Error normalizing event data:', error);
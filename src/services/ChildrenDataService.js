@@ -1,6 +1,8 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import DataNamespacing from '../utils/dataNamespacing';
 import DynamoDBChildrenService from './DynamoDBChildrenService';
+import RecycleBinService from './RecycleBinService';
+import { RECYCLE_BIN_ITEM_TYPES } from '../utils/recycleBinUtils';
 
 const CHILDREN_STORAGE_KEY = 'children-profile.json';
 
@@ -195,8 +197,17 @@ class ChildrenDataService {
     }
   }
 
-  // Delete a child
+  // Delete a child, keeping a copy in the recycle bin so the delete can be undone
   static async deleteChild(childId) {
+    const child = await this.getChildById(childId);
+    const success = await this._deleteChild(childId);
+    if (success && child) {
+      await RecycleBinService.addEntry(RECYCLE_BIN_ITEM_TYPES.CHILD, [child]);
+    }
+    return success;
+  }
+
+  static async _deleteChild(childId) {
     if (this.USE_DYNAMODB) {
       try {
         return await DynamoDBChildrenService.deleteChild(childId);
@@ -208,6 +219,45 @@ class ChildrenDataService {
     return await this._deleteChildFromAsyncStorage(childId);
   }
 
+  // Put a deleted child back from the recycle bin with its original ID
+  // Returns the restored child, or null if it is no longer in the bin
+  static async restoreChild(childId) {
+    const entry = await RecycleBinService.getEntry(RECYCLE_BIN_ITEM_TYPES.CHILD, childId);
+    if (!entry) {
+      return null;
+    }
+
+    let restoredChild = null;
+    if (this.USE_DYNAMODB) {
+      try {
+        restoredChild = await DynamoDBChildrenService.restoreChild(entry.items[0]);
+      } catch (error) {
+        console.warn('DynamoDB backend failed, falling back to AsyncStorage:', error);
+        restoredChild = await this._restoreChildToAsyncStorage(entry.items[0]);
+      }
+    } else {
+      restoredChild = await this._restoreChildToAsyncStorage(entry.items[0]);
+    }
+
+    if (restoredChild) {
+      await RecycleBinService.markRestored(entry.entryId);
+    }
+    return restoredChild;
+  }
+
+  // AsyncStorage implementation
+  static async _restoreChildToAsyncStorage(child) {
+    try {
+      const children = await this._getChildrenFromAsyncStorage();
+      const otherChildren = children.filter(stored => stored.id !== child.id);
+      const success = await this._saveChildrenToAsyncStorage([...otherChildren, child]);
+      return success ? child : null;
+    } catch (error) {
+      console.error('Error restoring child:', error);
+      return null;
+    }
+  }
+
   // AsyncStorage implementation
   static async _deleteChildFromAsyncStorage(childId) {
     try {
@@ -2,6 +2,7 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import NetworkConnectivityService from './NetworkConnectivityService';
 import OperationQueueService from './OperationQueueService';
 import OfflineCacheManager from './OfflineCacheManager';
+import { RECYCLE_BIN_ITEM_TYPES } from '../utils/recycleBinUtils';
 
 // For testing purposes, allow services to be injected
 let mockServices = null;
@@ -80,13 +81,21 @@ class DataSyncService {
       // Step 2: Pull latest data from server
       const pullResult = await this.pullLatestData(userId);
       
-      // Step 3: Update last sync timestamp
+      // Step 3: Apply deletes and restores made on other devices
+      const recycleBinResult = await this.syncRecycleBin();
+      
+      // Step 4: Reschedule reminders for events added, changed or deleted on other devices
+      const reminderResult = await this.reconcileReminders();
+      
+      // Step 5: Update last sync timestamp
       await this.updateLastSyncTimestamp();
 
       const result = {
         success: true,
         queueSync: queueResult,
         dataPull: pullResult,
+        recycleBin: recycleBinResult,
+        reminders: reminderResult,
         timestamp: Date.now()
       };
 
@@ -126,6 +135,55 @@ class DataSyncService {
     }
   }
 
+  /**
+   * Sync the recycle bin and apply deletes and restores made on other devices
+   * Children and activities are deleted and restored on the server directly, so
+   * only the events stored on this device need bringing in line.
+   */
+  static async syncRecycleBin() {
+    try {
+      const RecycleBinService = await getService('RecycleBinService');
+      const result = await RecycleBinService.syncEntries();
+      if (!result) {
+        return { success: false };
+      }
+
+      const CalendarEventsService = await getService('CalendarEventsService');
+      let applied = 0;
+      for (const entry of result.changedEntries) {
+        if (entry.type === RECYCLE_BIN_ITEM_TYPES.EVENT && await CalendarEventsService.applyRecycleBinEntry(entry)) {
+          applied++;
+        }
+      }
+
+      const purged = await RecycleBinService.purgeExpired();
+
+      return { success: true, applied, pushed: result.pushedCount, purged };
+    } catch (error) {
+      console.error('Failed to sync recycle bin:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Reconcile scheduled reminder notifications with the synced events
+   */
+  static async reconcileReminders() {
+    try {
+      const DynamoDBCalendarService = await getService('DynamoDBCalendarService');
+      const result = await DynamoDBCalendarService.reconcileReminders();
+      
+      // Digests summarise the schedule, so rebuild them from the synced events too
+      const DigestService = await getService('DigestService');
+      await DigestService.refreshDigestNotifications();
+      
+      return result ? { success: true, ...result } : { success: false };
+    } catch (error) {
+      console.error('Failed to reconcile reminders:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Pull children data from server
    */
@@ -1,3 +1,34 @@
+import {
+  BIRTHDAY_REMINDER_OPTIONS,
+  normalizeBirthdaySettings,
+} from '../utils/birthdayUtils';
+import {
+  DIGEST_KINDS,
+  isValidDigestTime,
+  normalizeDigestSettings,
+} from '../utils/digestUtils';
+import {
+  normalizeSchoolYear,
+  validateSchoolYear as validateSchoolYearRules,
+} from '../utils/schoolYearUtils';
+import { isValidTimeZone } from '../utils/timeZoneUtils';
+import {
+  ACTIVITY_FIELD_KINDS,
+  MAX_ACTIVITY_FIELD_LABEL_LENGTH,
+  MAX_ACTIVITY_TYPE_DESCRIPTION_LENGTH,
+  MAX_ACTIVITY_TYPE_FIELDS,
+} from '../utils/activityTypeUtils';
+import {
+  getBookKey,
+  getLibraryBookId,
+  validateLibraryBookRecord,
+} from '../utils/readingLibraryUtils';
+import {
+  DEFAULT_READING_NUDGE_TIME,
+  READING_GOAL_PERIODS,
+  validateReadingGoal as validateReadingGoalRules,
+} from '../utils/readingGoalUtils';
+
 /**
  * Data Validation Service
  * Provides comprehensive data validation and sanitization for DynamoDB operations
@@ -15,6 +46,7 @@ class DataValidationService {
     description: 1000,
     notes: 2000,
     eventType: 50,
+    eventTypeIcon: 50,
     interest: 50,
     allergy: 100,
     medication: 100,
@@ -30,8 +62,15 @@ class DataValidationService {
     dateTime: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z?$/,
     alphanumeric: /^[a-zA-Z0-9\s\-_]+$/,
     safeText: /^[a-zA-Z0-9\s\-_.,!?()]+$/,
+    iconName: /^[a-z0-9\-]+$/,
   };
 
+  // Maximum number of event types a user can define, built-in types included
+  static MAX_EVENT_TYPES = 30;
+
+  // Maximum number of family time activity types, built-in types included
+  static MAX_ACTIVITY_TYPES = 30;
+
   // Dangerous patterns that should be rejected
   static DANGEROUS_PATTERNS = [
     /<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi,
@@ -539,10 +578,12 @@ class DataValidationService {
   /**
    * Validate event data
    * @param {Object} eventData - Event data to validate
+   * @param {Object} options - Validation options
+   * @param {Array} [options.eventTypes] - Allowed event types (names or type definitions)
    * @returns {Object} Validated and sanitized event data
    * @throws {Error} If validation fails
    */
-  static validateEventData(eventData) {
+  static validateEventData(eventData, options = {}) {
     if (!eventData || typeof eventData !== 'object') {
       throw new Error('Event data must be an object');
     }
@@ -559,13 +600,10 @@ class DataValidationService {
       throw new Error('Title is required');
     }
 
-    validated.eventType = this.sanitizeString(eventData.eventType, {
-      maxLength: this.MAX_LENGTHS.eventType,
-      pattern: this.PATTERNS.alphanumeric,
-    });
-    if (!validated.eventType) {
-      throw new Error('Event type is required');
-    }
+    validated.eventType = this.validateEventType(
+      eventData.eventType,
+      options.eventTypes
+    );
 
     // Optional fields
     if (eventData.description) {
@@ -610,11 +648,357 @@ class DataValidationService {
           throw new Error('End date-time must be after start date-time');
         }
       }
+
+      if (eventData.timeZone) {
+        validated.timeZone = this.validateTimeZone(eventData.timeZone);
+      }
     }
 
     return validated;
   }
 
+  /**
+   * Validate the IANA time zone of a timed event
+   * @param {string} timeZone - Time zone such as 'Asia/Hong_Kong'
+   * @returns {string} Validated time zone
+   * @throws {Error} If the platform does not know the zone
+   */
+  static validateTimeZone(timeZone) {
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error('Time zone must be a valid IANA time zone');
+    }
+    return timeZone;
+  }
+
+  /**
+   * Validate an event's type, optionally against the user's event type registry
+   * @param {string} eventType - Event type name stored on the event
+   * @param {Array} [eventTypes] - Allowed event types (names or type definitions)
+   * @returns {string} Sanitized event type name
+   * @throws {Error} If the type is missing or not in the registry
+   */
+  static validateEventType(eventType, eventTypes = null) {
+    const sanitized = this.sanitizeString(eventType, {
+      maxLength: this.MAX_LENGTHS.eventType,
+      pattern: this.PATTERNS.alphanumeric,
+    });
+    if (!sanitized) {
+      throw new Error('Event type is required');
+    }
+
+    if (Array.isArray(eventTypes) && eventTypes.length > 0) {
+      const allowedNames = eventTypes.map((type) =>
+        typeof type === 'string' ? type : type?.name
+      );
+      if (!allowedNames.includes(sanitized)) {
+        throw new Error(`Event type must be one of: ${allowedNames.join(', ')}`);
+      }
+    }
+
+    return sanitized;
+  }
+
+  /**
+   * Validate a user-defined event type
+   * @param {Object} eventType - Event type with id, name, icon and color
+   * @returns {Object} Validated and sanitized event type
+   * @throws {Error} If validation fails
+   */
+  static validateEventTypeDefinition(eventType) {
+    if (!eventType || typeof eventType !== 'object') {
+      throw new Error('Event type must be an object');
+    }
+
+    const id = this.sanitizeString(eventType.id, {
+      maxLength: 100,
+      pattern: this.PATTERNS.alphanumeric,
+    });
+    if (!id) {
+      throw new Error('Event type id is required');
+    }
+
+    const name = this.sanitizeString(eventType.name, {
+      maxLength: this.MAX_LENGTHS.eventType,
+      pattern: this.PATTERNS.alphanumeric,
+    });
+    if (!name) {
+      throw new Error('Event type name is required');
+    }
+
+    const icon = this.sanitizeString(eventType.icon, {
+      maxLength: this.MAX_LENGTHS.eventTypeIcon,
+      pattern: this.PATTERNS.iconName,
+    });
+    if (!icon) {
+      throw new Error(`Event type "${name}" must have a valid icon`);
+    }
+
+    return {
+      id,
+      name,
+      icon,
+      color: this.validateHexColor(eventType.color),
+      isBuiltIn: Boolean(eventType.isBuiltIn),
+    };
+  }
+
+  /**
+   * Validate a list of user-defined event types
+   * @param {Array} eventTypes - Event types to validate
+   * @returns {Array} Validated event types
+   * @throws {Error} If validation fails or names are duplicated
+   */
+  static validateEventTypes(eventTypes) {
+    if (!Array.isArray(eventTypes)) {
+      throw new Error('Event types must be an array');
+    }
+
+    if (eventTypes.length > this.MAX_EVENT_TYPES) {
+      throw new Error(`Cannot have more than ${this.MAX_EVENT_TYPES} event types`);
+    }
+
+    const seenNames = new Set();
+    return eventTypes.map((eventType) => {
+      const validated = this.validateEventTypeDefinition(eventType);
+      const normalizedName = validated.name.toLowerCase();
+      if (seenNames.has(normalizedName)) {
+        throw new Error(`Duplicate event type: ${validated.name}`);
+      }
+      seenNames.add(normalizedName);
+      return validated;
+    });
+  }
+
+  /**
+   * Validate a user-defined family time activity type
+   * @param {Object} activityType - Activity type with id, name, icon, color, description and fields
+   * @returns {Object} Validated and sanitized activity type
+   * @throws {Error} If validation fails
+   */
+  static validateActivityTypeDefinition(activityType) {
+    if (!activityType || typeof activityType !== 'object') {
+      throw new Error('Activity type must be an object');
+    }
+
+    const id = this.sanitizeString(activityType.id, {
+      maxLength: 100,
+      pattern: this.PATTERNS.alphanumeric,
+    });
+    if (!id) {
+      throw new Error('Activity type id is required');
+    }
+
+    const name = this.sanitizeString(activityType.name, {
+      maxLength: this.MAX_LENGTHS.eventType,
+      pattern: this.PATTERNS.alphanumeric,
+    });
+    if (!name) {
+      throw new Error('Activity type name is required');
+    }
+
+    const icon = this.sanitizeString(activityType.icon, {
+      maxLength: this.MAX_LENGTHS.eventTypeIcon,
+      pattern: this.PATTERNS.iconName,
+    });
+    if (!icon) {
+      throw new Error(`Activity type "${name}" must have a valid icon`);
+    }
+
+    const fields = Array.isArray(activityType.fields) ? activityType.fields : [];
+    if (fields.length > MAX_ACTIVITY_TYPE_FIELDS) {
+      throw new Error(`Activity type "${name}" cannot have more than ${MAX_ACTIVITY_TYPE_FIELDS} fields`);
+    }
+
+    return {
+      id,
+      name,
+      icon,
+      color: this.validateHexColor(activityType.color),
+      description: this.sanitizeString(String(activityType.description || ''), {
+        maxLength: MAX_ACTIVITY_TYPE_DESCRIPTION_LENGTH,
+      }),
+      fields: fields.map((field) => {
+        const fieldId = this.sanitizeString(field?.id, {
+          maxLength: 100,
+          pattern: this.PATTERNS.alphanumeric,
+        });
+        const label = this.sanitizeString(String(field?.label || ''), {
+          maxLength: MAX_ACTIVITY_FIELD_LABEL_LENGTH,
+        });
+        if (!fieldId || !label) {
+          throw new Error(`Activity type "${name}" has a field without an id or name`);
+        }
+        if (!ACTIVITY_FIELD_KINDS.includes(field.kind)) {
+          throw new Error(`Field kind must be one of: ${ACTIVITY_FIELD_KINDS.join(', ')}`);
+        }
+        return { id: fieldId, label, kind: field.kind };
+      }),
+      isBuiltIn: Boolean(activityType.isBuiltIn),
+    };
+  }
+
+  /**
+   * Validate a list of user-defined family time activity types
+   * @param {Array} activityTypes - Activity types to validate
+   * @returns {Array} Validated activity types
+   * @throws {Error} If validation fails or names are duplicated
+   */
+  static validateActivityTypes(activityTypes) {
+    if (!Array.isArray(activityTypes)) {
+      throw new Error('Activity types must be an array');
+    }
+
+    if (activityTypes.length > this.MAX_ACTIVITY_TYPES) {
+      throw new Error(`Cannot have more than ${this.MAX_ACTIVITY_TYPES} activity types`);
+    }
+
+    const seenNames = new Set();
+    return activityTypes.map((activityType) => {
+      const validated = this.validateActivityTypeDefinition(activityType);
+      const normalizedName = validated.name.toLowerCase();
+      if (seenNames.has(normalizedName)) {
+        throw new Error(`Duplicate activity type: ${validated.name}`);
+      }
+      seenNames.add(normalizedName);
+      return validated;
+    });
+  }
+
+  /**
+   * Validate birthday event settings
+   * @param {Object} settings - { enabled, reminders }
+   * @returns {Object} Validated settings
+   * @throws {Error} If validation fails
+   */
+  static validateBirthdaySettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+      throw new Error('Birthday settings must be an object');
+    }
+
+    if (settings.reminders !== undefined && !Array.isArray(settings.reminders)) {
+      throw new Error('Birthday reminders must be an array');
+    }
+
+    const allowedReminders = BIRTHDAY_REMINDER_OPTIONS.map((option) => option.id);
+    const invalidReminder = (settings.reminders || []).find(
+      (reminderId) => !allowedReminders.includes(reminderId)
+    );
+    if (invalidReminder) {
+      throw new Error(`Invalid birthday reminder: ${invalidReminder}`);
+    }
+
+    return normalizeBirthdaySettings(settings);
+  }
+
+  /**
+   * Validate daily digest settings
+   * @param {Object} settings - { evening: { enabled, time }, morning: { enabled, time } }
+   * @returns {Object} Validated settings
+   * @throws {Error} If validation fails
+   */
+  static validateDigestSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+      throw new Error('Digest settings must be an object');
+    }
+
+    Object.values(DIGEST_KINDS).forEach((kind) => {
+      const kindSettings = settings[kind];
+      if (kindSettings === undefined) {
+        return;
+      }
+      if (!kindSettings || typeof kindSettings !== 'object') {
+        throw new Error(`Digest settings for ${kind} must be an object`);
+      }
+      if (kindSettings.time !== undefined && !isValidDigestTime(kindSettings.time)) {
+        throw new Error(`Digest time for ${kind} must be in HH:MM format`);
+      }
+    });
+
+    return normalizeDigestSettings(settings);
+  }
+
+  /**
+   * Validate a child's school year with its terms and breaks
+   * @param {Object} schoolYear - School year
+   * @returns {Object} Validated school year
+   * @throws {Error} If validation fails
+   */
+  static validateSchoolYear(schoolYear) {
+    const validation = validateSchoolYearRules(schoolYear);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    const normalized = normalizeSchoolYear(schoolYear);
+    const sanitizeName = (period) => ({
+      ...period,
+      name: this.validateText(period.name, 'Name', this.MAX_LENGTHS.title),
+    });
+    return {
+      ...normalized,
+      terms: normalized.terms.map(sanitizeName),
+      breaks: normalized.breaks.map(sanitizeName),
+    };
+  }
+
+  /**
+   * Validate a book in a child's reading library
+   * @param {Object} book - Stored book record
+   * @returns {Object} Validated book record
+   * @throws {Error} If validation fails
+   */
+  static validateLibraryBook(book) {
+    const validation = validateLibraryBookRecord(book);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    // Titles often contain apostrophes, so only the length is limited
+    const title = this.sanitizeString(book.title, { maxLength: this.MAX_LENGTHS.title });
+    const author = this.sanitizeString(book.author || '', { maxLength: this.MAX_LENGTHS.title });
+    const key = getBookKey(title, author);
+
+    return {
+      id: getLibraryBookId(book.childId, key),
+      childId: book.childId,
+      key,
+      title,
+      author,
+      status: book.status,
+      rating: book.rating || null,
+      finishedDates: Array.isArray(book.finishedDates) ? book.finishedDates : [],
+      statusUpdatedAt: book.statusUpdatedAt || new Date().toISOString(),
+      createdAt: book.createdAt || new Date().toISOString(),
+      updatedAt: book.updatedAt || new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Validate a child's reading goal
+   * @param {Object} goal - Reading goal
+   * @returns {Object} Validated reading goal
+   * @throws {Error} If validation fails
+   */
+  static validateReadingGoal(goal) {
+    const validation = validateReadingGoalRules(goal);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    return {
+      id: goal.id,
+      childId: goal.childId,
+      metric: goal.metric,
+      target: goal.target,
+      period: goal.period,
+      // Only daily goals can tell whether today's reading is done
+      nudgeEnabled: goal.period === READING_GOAL_PERIODS.DAY && Boolean(goal.nudgeEnabled),
+      nudgeTime: goal.nudgeTime || DEFAULT_READING_NUDGE_TIME,
+      createdAt: goal.createdAt || new Date().toISOString(),
+      updatedAt: goal.updatedAt || new Date().toISOString(),
+    };
+  }
+
   /**
    * Validate user profile data
    * @param {Object} profileData - Profile data to validate
@@ -717,6 +1101,14 @@ class DataValidationService {
       validated.dateFormat = preferences.dateFormat;
     }
 
+    if (preferences.eventTypes) {
+      validated.eventTypes = this.validateEventTypes(preferences.eventTypes);
+    }
+
+    if (preferences.birthdaySettings) {
+      validated.birthdaySettings = this.validateBirthdaySettings(preferences.birthdaySettings);
+    }
+
     return validated;
   }
 
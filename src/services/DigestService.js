@@ -0,0 +1,159 @@
+import DataNamespacing from '../utils/dataNamespacing';
+import DataValidationService from './DataValidationService';
+import CalendarEventsService from './CalendarEventsService';
+import BirthdayService from './BirthdayService';
+import NotificationService from './NotificationService';
+import { addDaysToDateString } from '../utils/recurrenceUtils';
+import { formatLocalDateString, parseLocalDateString } from '../utils/dateUtils';
+import {
+  DIGEST_KINDS,
+  buildDailyDigest,
+  formatDigestNotification,
+  getDigestSendTime,
+  isDigestEmpty,
+  normalizeDigestSettings,
+} from '../utils/digestUtils';
+
+const DIGEST_SETTINGS_STORAGE_KEY = 'daily-digest-settings.json';
+
+/**
+ * Daily digest notifications
+ * One notification summarising a day of the family schedule, sent the evening
+ * before and/or that morning at times the user picks. Digests are built from
+ * the stored events when they're scheduled, so they're refreshed whenever the
+ * schedule may have changed. The settings are stored per user in AsyncStorage;
+ * they only affect notifications on this device.
+ */
+class DigestService {
+  // Days after today whose digests are kept scheduled
+  static DAYS_AHEAD = 2;
+
+  // Refreshes run one after another so their cancel and schedule steps don't interleave
+  static refreshQueue = Promise.resolve();
+
+  /**
+   * Get the digest settings
+   * @returns {Promise<Object>} { evening: { enabled, time }, morning: { enabled, time } }
+   */
+  static async getSettings() {
+    try {
+      const storedSettings = await DataNamespacing.getUserData(DIGEST_SETTINGS_STORAGE_KEY, null);
+      return normalizeDigestSettings(storedSettings);
+    } catch (error) {
+      console.error('Error loading digest settings:', error);
+      return normalizeDigestSettings(null);
+    }
+  }
+
+  /**
+   * Save the digest settings and reschedule the digests
+   * @param {Object} settings - { evening: { enabled, time }, morning: { enabled, time } }
+   * @returns {Promise<boolean>} Success status
+   */
+  static async saveSettings(settings) {
+    try {
+      const validatedSettings = DataValidationService.validateDigestSettings(settings);
+
+      const saved = await DataNamespacing.setUserData(DIGEST_SETTINGS_STORAGE_KEY, validatedSettings);
+      if (!saved) {
+        return false;
+      }
+
+      await this.refreshDigestNotifications(validatedSettings);
+      return true;
+    } catch (error) {
+      console.error('Error saving digest settings:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Build the digest for one day
+   * @param {Date|string} date - Day the digest covers
+   * @returns {Promise<Object|null>} Digest from buildDailyDigest, or null if failed
+   */
+  static async getDailyDigest(date) {
+    try {
+      const dateString = typeof date === 'string' ? date : formatLocalDateString(date);
+      const [events, birthdays] = await Promise.all([
+        CalendarEventsService.getEventsForDate(parseLocalDateString(dateString)),
+        BirthdayService.getBirthdayEventsInRange(dateString, dateString),
+      ]);
+
+      return buildDailyDigest(
+        [...events, ...birthdays],
+        dateString,
+        (event) => CalendarEventsService.getEventChildren(event)
+      );
+    } catch (error) {
+      console.error('Error building daily digest:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Replace the scheduled digest notifications with ones built from the current schedule
+   * Days with nothing planned get no digest.
+   * @param {Object} settings - Digest settings, loaded if not provided
+   * @returns {Promise<boolean>} Success status
+   */
+  static async refreshDigestNotifications(settings = null) {
+    const refresh = this.refreshQueue.then(() => this._rescheduleDigests(settings));
+    this.refreshQueue = refresh;
+    return refresh;
+  }
+
+  /**
+   * Build and schedule the digests; use refreshDigestNotifications instead
+   * @private
+   * @param {Object} settings - Digest settings, loaded if not provided
+   * @returns {Promise<boolean>} Success status
+   */
+  static async _rescheduleDigests(settings) {
+    try {
+      const digestSettings = settings || await this.getSettings();
+      const enabledKinds = Object.values(DIGEST_KINDS).filter((kind) => digestSettings[kind].enabled);
+
+      if (enabledKinds.length === 0) {
+        await NotificationService.cancelDailyDigests();
+        return true;
+      }
+
+      const today = formatLocalDateString(new Date());
+      const now = new Date();
+      const digestNotifications = [];
+
+      for (let offset = 0; offset <= this.DAYS_AHEAD; offset++) {
+        const date = addDaysToDateString(today, offset);
+        const kinds = enabledKinds.filter(
+          (kind) => getDigestSendTime(date, kind, digestSettings[kind].time) > now
+        );
+        if (kinds.length === 0) {
+          continue;
+        }
+
+        const digest = await this.getDailyDigest(date);
+        if (isDigestEmpty(digest)) {
+          continue;
+        }
+
+        kinds.forEach((kind) => {
+          digestNotifications.push({
+            ...formatDigestNotification(digest, kind),
+            date,
+            kind,
+            sendTime: getDigestSendTime(date, kind, digestSettings[kind].time),
+          });
+        });
+      }
+
+      await NotificationService.scheduleDailyDigests(digestNotifications);
+      return true;
+    } catch (error) {
+      console.error('Error refreshing daily digests:', error);
+      return false;
+    }
+  }
+}
+
+export default DigestService;
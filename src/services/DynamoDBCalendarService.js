@@ -1,8 +1,45 @@
 import { DynamoDBService } from './DynamoDBService';
 import AuthenticationService from './AuthenticationService';
-import { formatLocalDateString } from '../utils/dateUtils';
+import { formatLocalDateString, parseLocalDateString } from '../utils/dateUtils';
 import NotificationService from './NotificationService';
+import DataValidationService from './DataValidationService';
+import EventTypesService from './EventTypesService';
+import RecycleBinService from './RecycleBinService';
 import { DYNAMODB_TABLES } from '../config/aws-config.js';
+import {
+  isRecurringEvent,
+  expandEventsInRange,
+  expandRecurringEvent,
+  getRecurrenceDates,
+  getEventStartDateString,
+  addDaysToDateString,
+  normalizeRecurrenceRule,
+  shiftRecurrenceRule,
+  validateRecurrenceRule,
+} from '../utils/recurrenceUtils';
+import {
+  getDeviceTimeZone,
+  getEventTimeZone,
+  moveToZonedDay,
+} from '../utils/timeZoneUtils';
+import {
+  filterEventsForExport,
+  findDuplicateEvent,
+  generateICSCalendar,
+  parseICSEvents,
+} from '../utils/icsUtils';
+import {
+  findEventConflicts,
+  getConflictCheckOccurrences,
+  getOccurrencesDateRange,
+} from '../utils/conflictUtils';
+import {
+  getChecklistItems,
+  normalizeChecklist,
+  setOccurrenceChecklistItemDone,
+} from '../utils/checklistUtils';
+import { normalizeAttachments, validateAttachments } from '../utils/attachmentUtils';
+import { RECYCLE_BIN_ITEM_TYPES, getRecurringDeleteEntryOptions } from '../utils/recycleBinUtils';
 
 /**
  * DynamoDB-enabled Calendar Events Service
@@ -19,11 +56,6 @@ class DynamoDBCalendarService {
   // Required fields for event validation
   static REQUIRED_FIELDS = ['title', 'eventType'];
   
-  // Valid event types
-  static VALID_EVENT_TYPES = [
-    'Personal', 'Medical', 'School', 'Sports', 'Social', 'Family', 'Other'
-  ];
-  
   // Valid occurrence types for multi-date events
   static VALID_OCCURRENCE_TYPES = ['single', 'first', 'middle', 'last'];
 
@@ -45,9 +77,10 @@ class DynamoDBCalendarService {
    * Validate event data before saving
    * @private
    * @param {Object} eventData - Event data to validate
+   * @param {string[]} eventTypeNames - Event types from the user's registry
    * @throws {Error} If validation fails
    */
-  static _validateEventData(eventData) {
+  static _validateEventData(eventData, eventTypeNames) {
     // Check required fields
     DynamoDBService.validateRequiredFields(eventData, this.REQUIRED_FIELDS);
     
@@ -56,10 +89,8 @@ class DynamoDBCalendarService {
       throw new Error('Title must be a non-empty string');
     }
     
-    // Validate event type
-    if (!this.VALID_EVENT_TYPES.includes(eventData.eventType)) {
-      throw new Error(`Event type must be one of: ${this.VALID_EVENT_TYPES.join(', ')}`);
-    }
+    // Validate event type against the user's registry
+    DataValidationService.validateEventType(eventData.eventType, eventTypeNames);
     
     // Validate children array if provided
     if (eventData.children) {
@@ -108,6 +139,10 @@ class DynamoDBCalendarService {
       if (endDate <= startDate) {
         throw new Error('End date-time must be after start date-time');
       }
+      
+      if (eventData.timeZone !== undefined && eventData.timeZone !== null) {
+        DataValidationService.validateTimeZone(eventData.timeZone);
+      }
     }
     
     // Validate multi-date event fields
@@ -128,6 +163,20 @@ class DynamoDBCalendarService {
         throw new Error('Total occurrences must be a positive number');
       }
     }
+    
+    // Validate recurrence rule for recurring events
+    if (eventData.recurrence) {
+      const validation = validateRecurrenceRule(eventData.recurrence, getEventStartDateString(eventData));
+      if (!validation.valid) {
+        throw new Error(validation.errors.join(', '));
+      }
+    }
+    
+    // Attachments are stored on the event item, so they must fit the item size limit
+    const attachmentValidation = validateAttachments(eventData.attachments);
+    if (!attachmentValidation.isValid) {
+      throw new Error(attachmentValidation.errors.join(', '));
+    }
   }
 
   /**
@@ -168,6 +217,34 @@ class DynamoDBCalendarService {
       preparedData.childName = preparedData.children[0].name;
     }
     
+    if (eventData.checklist !== undefined) {
+      preparedData.checklist = normalizeChecklist(eventData.checklist);
+    }
+    
+    if (eventData.attachments !== undefined) {
+      preparedData.attachments = normalizeAttachments(eventData.attachments);
+    }
+    
+    // Timed events keep the zone they were entered in
+    if (eventData.isAllDay) {
+      preparedData.timeZone = null;
+    } else if (eventData.startDateTime && !eventData.timeZone) {
+      preparedData.timeZone = getDeviceTimeZone();
+    }
+    
+    // Store recurring events once with a normalized rule
+    if (eventData.recurrence) {
+      preparedData.recurrence = normalizeRecurrenceRule(
+        eventData.recurrence,
+        getEventStartDateString(eventData)
+      );
+    }
+    
+    // Expanded occurrence fields are never stored
+    delete preparedData.recurringEventId;
+    delete preparedData.occurrenceDate;
+    delete preparedData.isRecurringOccurrence;
+    
     return preparedData;
   }
 
@@ -192,26 +269,52 @@ class DynamoDBCalendarService {
    */
   static async getEvents() {
     try {
-      const userId = await this._getCurrentUserId();
-      
-      const result = await DynamoDBService.queryItems(
-        this.TABLE_NAME,
-        'userId = :userId',
-        {
-          ExpressionAttributeValues: {
-            ':userId': userId
-          },
-          ScanIndexForward: true // Sort by eventId ascending
-        }
-      );
-      
-      return result.items || [];
+      return await this._queryEvents();
     } catch (error) {
       console.error('Error loading calendar events:', error);
       return [];
     }
   }
 
+  /**
+   * Query all events for the current user
+   * @private
+   * @returns {Promise<Array>} Array of event objects
+   * @throws {Error} If the user is not authenticated or the query fails
+   */
+  static async _queryEvents() {
+    const userId = await this._getCurrentUserId();
+    
+    const result = await DynamoDBService.queryItems(
+      this.TABLE_NAME,
+      'userId = :userId',
+      {
+        ExpressionAttributeValues: {
+          ':userId': userId
+        },
+        ScanIndexForward: true // Sort by eventId ascending
+      }
+    );
+    
+    return result.items || [];
+  }
+
+  /**
+   * Bring the scheduled reminders in line with the stored events
+   * Skipped when the events can't be loaded, so an offline start doesn't
+   * cancel every reminder as if its event had been deleted.
+   * @returns {Promise<Object|null>} { scheduled, cancelled, kept } or null if failed
+   */
+  static async reconcileReminders() {
+    try {
+      const events = await this._queryEvents();
+      return await NotificationService.reconcileEventReminders(events);
+    } catch (error) {
+      console.error('Error reconciling reminders:', error);
+      return null;
+    }
+  }
+
   /**
    * Save events array to storage (for backward compatibility)
    * @param {Array} events - Array of event objects
@@ -320,16 +423,13 @@ class DynamoDBCalendarService {
           occurrenceData.startDate = formatLocalDateString(new Date(date));
           occurrenceData.endDate = eventData.endDate || occurrenceData.startDate;
         } else {
-          // For timed events, use the selected date but preserve the time
-          const startDateTime = new Date(eventData.startDateTime);
-          const endDateTime = new Date(eventData.endDateTime);
-          
+          // For timed events, use the selected date but keep the wall-clock time
+          // in the event's own zone
+          const timeZone = getEventTimeZone(eventData);
           const eventDate = new Date(date);
-          startDateTime.setFullYear(eventDate.getFullYear(), eventDate.getMonth(), eventDate.getDate());
-          endDateTime.setFullYear(eventDate.getFullYear(), eventDate.getMonth(), eventDate.getDate());
-          
-          occurrenceData.startDateTime = startDateTime.toISOString();
-          occurrenceData.endDateTime = endDateTime.toISOString();
+          occurrenceData.startDateTime = moveToZonedDay(new Date(eventData.startDateTime), eventDate, timeZone).toISOString();
+          occurrenceData.endDateTime = moveToZonedDay(new Date(eventData.endDateTime), eventDate, timeZone).toISOString();
+          occurrenceData.timeZone = timeZone;
         }
 
         const createdEvent = await this._createEvent(userId, occurrenceData);
@@ -503,7 +603,14 @@ class DynamoDBCalendarService {
       }
 
       const userId = await this._getCurrentUserId();
+      const event = await this.getEventById(eventId);
       await this._deleteEventById(userId, eventId);
+
+      // Keep a copy in the recycle bin so the delete can be undone
+      if (event) {
+        await RecycleBinService.addEntry(RECYCLE_BIN_ITEM_TYPES.EVENT, [event]);
+      }
+
       return true;
     } catch (error) {
       console.error('Error deleting event:', error);
@@ -511,6 +618,41 @@ class DynamoDBCalendarService {
     }
   }
 
+  /**
+   * Put a deleted event back from the recycle bin, along with anything deleted with it
+   * Events are stored again under their original IDs.
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object|null>} Restored event or null if it is no longer in the bin
+   */
+  static async restoreEvent(eventId) {
+    try {
+      const entry = await RecycleBinService.getEntry(RECYCLE_BIN_ITEM_TYPES.EVENT, eventId);
+      if (!entry) {
+        return null;
+      }
+
+      const userId = await this._getCurrentUserId();
+      for (const event of entry.items) {
+        const result = await DynamoDBService.putItem(this.TABLE_NAME, { ...event, userId });
+        if (!result.success) {
+          throw new Error('Failed to restore event');
+        }
+
+        try {
+          await NotificationService.scheduleEventReminders(event);
+        } catch (error) {
+          console.warn('Failed to schedule reminders for restored event:', error);
+        }
+      }
+
+      await RecycleBinService.markRestored(entry.entryId);
+      return entry.items[0];
+    } catch (error) {
+      console.error('Error restoring event:', error);
+      return null;
+    }
+  }
+
   /**
    * Delete a single occurrence of a multi-date event
    * @param {string} eventId - Event ID to delete
@@ -536,6 +678,9 @@ class DynamoDBCalendarService {
         console.warn('Failed to cancel reminders for deleted event occurrence:', error);
       }
 
+      // The other dates are renumbered below, so keep them as they were for a restore
+      const occurrencesBefore = await this.getMultiDateEventOccurrences(event.multiDateId);
+
       const userId = await this._getCurrentUserId();
       await this._deleteEventById(userId, eventId);
 
@@ -563,6 +708,15 @@ class DynamoDBCalendarService {
         await this._updateEventById(userId, occurrence.eventId || occurrence.id, updateData);
       }
 
+      await RecycleBinService.addEntry(
+        RECYCLE_BIN_ITEM_TYPES.EVENT,
+        [
+          event,
+          ...occurrencesBefore.filter(occurrence => (occurrence.eventId || occurrence.id) !== eventId),
+        ],
+        { removedItemIds: [eventId] }
+      );
+
       return true;
     } catch (error) {
       console.error('Error deleting multi-date event occurrence:', error);
@@ -596,6 +750,9 @@ class DynamoDBCalendarService {
         await this._deleteEventById(userId, occurrence.eventId || occurrence.id);
       }
 
+      // Keep the occurrences together in the recycle bin
+      await RecycleBinService.addEntry(RECYCLE_BIN_ITEM_TYPES.EVENT, occurrences);
+
       return true;
     } catch (error) {
       console.error('Error deleting all multi-date event occurrences:', error);
@@ -650,7 +807,13 @@ class DynamoDBCalendarService {
         }
       );
 
-      const events = result.items || [];
+      // Recurring series that started earlier are expanded for this date
+      const recurringEvents = await this._getRecurringEvents();
+      const events = expandEventsInRange(
+        [...(result.items || []).filter(event => !isRecurringEvent(event)), ...recurringEvents],
+        date,
+        date
+      );
 
       // Filter events more precisely for the exact date
       return events.filter((event) => {
@@ -748,7 +911,13 @@ class DynamoDBCalendarService {
         }
       );
 
-      const events = result.items || [];
+      // Recurring series that started earlier are expanded for this range
+      const recurringEvents = await this._getRecurringEvents();
+      const events = expandEventsInRange(
+        [...(result.items || []).filter(event => !isRecurringEvent(event)), ...recurringEvents],
+        startDate,
+        endDate
+      );
 
       // Filter events more precisely for the date range
       return events.filter((event) => {
@@ -777,8 +946,632 @@ class DynamoDBCalendarService {
     }
   }
 
+  /**
+   * Tick or untick a checklist item on an event
+   * Recurring occurrences record the change on their series for that date only
+   * @param {Object} event - Event or expanded occurrence
+   * @param {string} itemId - Checklist item ID
+   * @param {boolean} done - New completion state
+   * @returns {Promise<Object|null>} Event or occurrence with the updated checklist, or null if failed
+   */
+  static async setChecklistItemDone(event, itemId, done) {
+    try {
+      if (event.isRecurringOccurrence && event.recurringEventId) {
+        const series = await this.getEventById(event.recurringEventId);
+        if (!series) {
+          return null;
+        }
+
+        const checklistCompletions = setOccurrenceChecklistItemDone(
+          series.checklistCompletions,
+          event.occurrenceDate,
+          itemId,
+          done
+        );
+        // Send the whole series so partial updates don't reset its other fields
+        const updatedSeries = await this.updateEvent(series.id, { ...series, checklistCompletions });
+        return updatedSeries ? { ...event, checklistCompletions } : null;
+      }
+
+      const storedEvent = await this.getEventById(event.id);
+      if (!storedEvent) {
+        return null;
+      }
+
+      const checklist = getChecklistItems(storedEvent).map((item) =>
+        item.id === itemId ? { ...item, done } : item
+      );
+      return await this.updateEvent(event.id, { ...storedEvent, checklist });
+    } catch (error) {
+      console.error('Error updating checklist item:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Tick off every checklist item of an event
+   * Recurring occurrences record the change on their series for that date only
+   * @param {Object} event - Event or expanded occurrence
+   * @returns {Promise<Object|null>} Event or occurrence with the completed checklist, or null if failed
+   */
+  static async completeChecklist(event) {
+    try {
+      if (event.isRecurringOccurrence && event.recurringEventId) {
+        const series = await this.getEventById(event.recurringEventId);
+        if (!series) {
+          return null;
+        }
+
+        const checklistCompletions = getChecklistItems(series).reduce(
+          (completions, item) =>
+            setOccurrenceChecklistItemDone(completions, event.occurrenceDate, item.id, true),
+          series.checklistCompletions
+        );
+        // Send the whole series so partial updates don't reset its other fields
+        const updatedSeries = await this.updateEvent(series.id, { ...series, checklistCompletions });
+        return updatedSeries ? { ...event, checklistCompletions } : null;
+      }
+
+      const storedEvent = await this.getEventById(event.id);
+      if (!storedEvent) {
+        return null;
+      }
+
+      const checklist = getChecklistItems(storedEvent).map((item) => ({ ...item, done: true }));
+      return await this.updateEvent(event.id, { ...storedEvent, checklist });
+    } catch (error) {
+      console.error('Error completing checklist:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get an event, or one occurrence of it when an occurrence date is given
+   * @param {string} eventId - Event ID (the series ID for recurring events)
+   * @param {string|null} occurrenceDate - Occurrence date (YYYY-MM-DD) of a recurring event
+   * @returns {Promise<Object|null>} Event or occurrence, or null if not found
+   */
+  static async getEventOccurrence(eventId, occurrenceDate = null) {
+    try {
+      const event = await this.getEventById(eventId);
+      if (!event || !occurrenceDate || !isRecurringEvent(event)) {
+        return event;
+      }
+
+      const date = parseLocalDateString(occurrenceDate);
+      return expandRecurringEvent(event, date, date)
+        .find((occurrence) => occurrence.occurrenceDate === occurrenceDate) || null;
+    } catch (error) {
+      console.error('Error getting event occurrence:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the occurrences of a recurring event within a date range
+   * @param {string} recurringEventId - Recurring event ID
+   * @param {Date} startDate - Start date of range
+   * @param {Date} endDate - End date of range
+   * @returns {Promise<Array>} Array of occurrence objects
+   */
+  static async getRecurringEventOccurrences(recurringEventId, startDate, endDate) {
+    try {
+      const series = await this.getEventById(recurringEventId);
+
+      if (!series || !isRecurringEvent(series)) {
+        return [];
+      }
+
+      return expandRecurringEvent(series, startDate, endDate);
+    } catch (error) {
+      console.error('Error getting recurring event occurrences:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Update a single occurrence of a recurring event
+   * The occurrence is skipped in the series and saved as its own event
+   * @param {string} recurringEventId - Recurring event ID
+   * @param {string} occurrenceDate - Occurrence date (YYYY-MM-DD)
+   * @param {Object} updatedData - Updated event data
+   * @returns {Promise<Object|null>} Detached occurrence event or null if failed
+   */
+  static async updateRecurringEventOccurrence(recurringEventId, occurrenceDate, updatedData) {
+    try {
+      const userId = await this._getCurrentUserId();
+      const series = await this.getEventById(recurringEventId);
+
+      if (!series) {
+        return null;
+      }
+
+      // Verify this is a recurring event
+      if (!isRecurringEvent(series)) {
+        throw new Error('Event is not a recurring event');
+      }
+
+      const occurrenceDay = parseLocalDateString(occurrenceDate);
+      const occurrence = expandRecurringEvent(series, occurrenceDay, occurrenceDay)
+        .find(item => item.occurrenceDate === occurrenceDate);
+
+      if (!occurrence) {
+        throw new Error(`No occurrence on ${occurrenceDate}`);
+      }
+
+      const {
+        userId: _,
+        eventId: __,
+        id: ___,
+        recurrence: ____,
+        checklistCompletions: _____,
+        ...occurrenceData
+      } = occurrence;
+      const detachedEvent = await this._createEvent(userId, {
+        ...occurrenceData,
+        // The detached event keeps this occurrence's ticked items as its own
+        checklist: getChecklistItems(occurrence),
+        ...this.normalizeEventData(updatedData),
+        recurrence: null,
+        recurrenceParentId: recurringEventId,
+        recurrenceOriginalDate: occurrenceDate
+      });
+
+      const updatedSeries = await this._updateSeriesRecurrence(userId, series, {
+          ...series.recurrence,
+          exceptionDates: [...new Set([...(series.recurrence.exceptionDates || []), occurrenceDate])].sort()
+        });
+
+      // Update reminders for the series and the detached occurrence
+      try {
+        await NotificationService.scheduleEventReminders(updatedSeries);
+        await NotificationService.scheduleEventReminders(detachedEvent);
+      } catch (error) {
+        console.warn('Failed to update reminders for recurring event occurrence:', error);
+      }
+
+      return detachedEvent;
+    } catch (error) {
+      console.error('Error updating recurring event occurrence:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Update an occurrence of a recurring event and every occurrence after it
+   * The original series ends the day before and a new series starts from the occurrence
+   * @param {string} recurringEventId - Recurring event ID
+   * @param {string} occurrenceDate - Occurrence date (YYYY-MM-DD)
+   * @param {Object} updatedData - Updated event data
+   * @returns {Promise<Object|null>} New series event or null if failed
+   */
+  static async updateRecurringEventFromOccurrence(recurringEventId, occurrenceDate, updatedData) {
+    try {
+      const userId = await this._getCurrentUserId();
+      const series = await this.getEventById(recurringEventId);
+
+      if (!series) {
+        return null;
+      }
+
+      // Verify this is a recurring event
+      if (!isRecurringEvent(series)) {
+        throw new Error('Event is not a recurring event');
+      }
+
+      // Editing from the first occurrence is the same as editing the whole series
+      if (occurrenceDate <= getEventStartDateString(series)) {
+        return await this.updateEvent(recurringEventId, updatedData);
+      }
+
+      const normalizedData = this.normalizeEventData(updatedData);
+      const { truncatedRule, remainderRule } = this._splitRecurrenceAt(series, occurrenceDate);
+      const { userId: _, eventId: __, id: ___, ...seriesData } = series;
+
+      const newSeries = await this._createEvent(userId, {
+        ...seriesData,
+        ...normalizedData,
+        recurrence: normalizedData.recurrence || remainderRule
+      });
+
+      const updatedSeries = await this._updateSeriesRecurrence(userId, series, truncatedRule);
+
+      // Update reminders for both halves of the split series
+      try {
+        await NotificationService.scheduleEventReminders(updatedSeries);
+        await NotificationService.scheduleEventReminders(newSeries);
+      } catch (error) {
+        console.warn('Failed to update reminders for split recurring event:', error);
+      }
+
+      return newSeries;
+    } catch (error) {
+      console.error('Error updating recurring event from occurrence:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Update all occurrences of a recurring event
+   * Keeps the series start date, moved by dayDelta, but applies the edited time of day
+   * @param {string} recurringEventId - Recurring event ID
+   * @param {Object} updatedData - Updated event data
+   * @param {number} dayDelta - Days to move the whole series, e.g. when an occurrence is dragged
+   * @returns {Promise<Object|null>} Updated series event or null if failed
+   */
+  static async updateAllRecurringEventOccurrences(recurringEventId, updatedData, dayDelta = 0) {
+    try {
+      const series = await this.getEventById(recurringEventId);
+
+      if (!series) {
+        return null;
+      }
+
+      // Verify this is a recurring event
+      if (!isRecurringEvent(series)) {
+        throw new Error('Event is not a recurring event');
+      }
+
+      const seriesData = { ...updatedData };
+
+      // Each occurrence keeps its own ticked items, so the series list is stored unticked
+      if (seriesData.checklist) {
+        seriesData.checklist = seriesData.checklist.map((item) => ({ ...item, done: false }));
+      }
+
+      if (!seriesData.isAllDay && seriesData.startDateTime && seriesData.endDateTime && !series.isAllDay) {
+        const editedStart = new Date(seriesData.startDateTime);
+        const editedEnd = new Date(seriesData.endDateTime);
+        const seriesStart = new Date(series.startDateTime);
+        const dayOffset = Math.round(
+          (new Date(editedStart.getFullYear(), editedStart.getMonth(), editedStart.getDate()) -
+            new Date(seriesStart.getFullYear(), seriesStart.getMonth(), seriesStart.getDate())) /
+            (1000 * 60 * 60 * 24)
+        );
+        editedStart.setDate(editedStart.getDate() - dayOffset + dayDelta);
+        editedEnd.setDate(editedEnd.getDate() - dayOffset + dayDelta);
+        seriesData.startDateTime = editedStart.toISOString();
+        seriesData.endDateTime = editedEnd.toISOString();
+      } else if (seriesData.isAllDay === series.isAllDay) {
+        // Preserve date-specific fields (don't update dates when editing all)
+        seriesData.startDate = series.startDate;
+        seriesData.endDate = series.endDate;
+        seriesData.startDateTime = series.startDateTime;
+        seriesData.endDateTime = series.endDateTime;
+      }
+
+      seriesData.recurrence = shiftRecurrenceRule({
+        ...(seriesData.recurrence || series.recurrence),
+        exceptionDates: series.recurrence.exceptionDates || []
+      }, dayDelta);
+
+      return await this.updateEvent(recurringEventId, seriesData);
+    } catch (error) {
+      console.error('Error updating all recurring event occurrences:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a single occurrence of a recurring event
+   * @param {string} recurringEventId - Recurring event ID
+   * @param {string} occurrenceDate - Occurrence date (YYYY-MM-DD)
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteRecurringEventOccurrence(recurringEventId, occurrenceDate) {
+    try {
+      const userId = await this._getCurrentUserId();
+      const series = await this.getEventById(recurringEventId);
+
+      if (!series) {
+        return false;
+      }
+
+      // Verify this is a recurring event
+      if (!isRecurringEvent(series)) {
+        throw new Error('Event is not a recurring event');
+      }
+
+      const updatedSeries = await this._updateSeriesRecurrence(userId, series, {
+          ...series.recurrence,
+          exceptionDates: [...new Set([...(series.recurrence.exceptionDates || []), occurrenceDate])].sort()
+        });
+
+      // Keep the series as it was, so restoring brings the occurrence back
+      await RecycleBinService.addEntry(
+        RECYCLE_BIN_ITEM_TYPES.EVENT,
+        [series],
+        getRecurringDeleteEntryOptions(series, occurrenceDate)
+      );
+
+      // Reschedule so the skipped occurrence no longer reminds
+      try {
+        await NotificationService.scheduleEventReminders(updatedSeries);
+      } catch (error) {
+        console.warn('Failed to update reminders for recurring event:', error);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Error deleting recurring event occurrence:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete an occurrence of a recurring event and every occurrence after it
+   * @param {string} recurringEventId - Recurring event ID
+   * @param {string} occurrenceDate - Occurrence date (YYYY-MM-DD)
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteRecurringEventFromOccurrence(recurringEventId, occurrenceDate) {
+    try {
+      const userId = await this._getCurrentUserId();
+      const series = await this.getEventById(recurringEventId);
+
+      if (!series) {
+        return false;
+      }
+
+      // Verify this is a recurring event
+      if (!isRecurringEvent(series)) {
+        throw new Error('Event is not a recurring event');
+      }
+
+      // Deleting from the first occurrence removes the whole series
+      if (occurrenceDate <= getEventStartDateString(series)) {
+        return await this.deleteAllRecurringEventOccurrences(recurringEventId);
+      }
+
+      const { truncatedRule } = this._splitRecurrenceAt(series, occurrenceDate);
+      const updatedSeries = await this._updateSeriesRecurrence(userId, series, truncatedRule);
+
+      // Detached occurrences from the removed part go too
+      const allEvents = await this.getEvents();
+      const detachedEvents = allEvents.filter(event =>
+        event.recurrenceParentId === recurringEventId && event.recurrenceOriginalDate >= occurrenceDate
+      );
+      for (const event of detachedEvents) {
+        try {
+          await NotificationService.cancelEventReminders(event.eventId || event.id);
+        } catch (error) {
+          console.warn('Failed to cancel reminders for deleted event occurrence:', error);
+        }
+
+        await this._deleteEventById(userId, event.eventId || event.id);
+      }
+
+      // Keep the series as it was with the detached occurrences, so restoring undoes the split
+      await RecycleBinService.addEntry(
+        RECYCLE_BIN_ITEM_TYPES.EVENT,
+        [series, ...detachedEvents],
+        getRecurringDeleteEntryOptions(
+          series,
+          occurrenceDate,
+          true,
+          detachedEvents.map(event => event.eventId || event.id)
+        )
+      );
+
+      try {
+        await NotificationService.scheduleEventReminders(updatedSeries);
+      } catch (error) {
+        console.warn('Failed to update reminders for recurring event:', error);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Error deleting recurring event from occurrence:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete a recurring event with all of its occurrences, including detached ones
+   * @param {string} recurringEventId - Recurring event ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteAllRecurringEventOccurrences(recurringEventId) {
+    try {
+      const allEvents = await this.getEvents();
+      const seriesEvents = allEvents.filter(event =>
+        (event.eventId || event.id) === recurringEventId || event.recurrenceParentId === recurringEventId
+      );
+
+      if (seriesEvents.length === 0) {
+        return false;
+      }
+
+      const userId = await this._getCurrentUserId();
+      for (const event of seriesEvents) {
+        try {
+          await NotificationService.cancelEventReminders(event.eventId || event.id);
+        } catch (error) {
+          console.warn('Failed to cancel reminders for deleted recurring event:', error);
+        }
+
+        await this._deleteEventById(userId, event.eventId || event.id);
+      }
+
+      // The series goes in the recycle bin as one entry, named after the series itself
+      await RecycleBinService.addEntry(RECYCLE_BIN_ITEM_TYPES.EVENT, [
+        ...seriesEvents.filter(event => (event.eventId || event.id) === recurringEventId),
+        ...seriesEvents.filter(event => (event.eventId || event.id) !== recurringEventId),
+      ]);
+
+      return true;
+    } catch (error) {
+      console.error('Error deleting all recurring event occurrences:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Find stored events that clash with an event before it is saved
+   * @param {Object} eventData - Event data being saved
+   * @param {Array} excludeEventIds - Ids to ignore, such as the event being edited and its series
+   * @returns {Promise<Array>} Conflicts as { event, sharedChildren, occurrence }
+   */
+  static async findConflictingEvents(eventData, excludeEventIds = []) {
+    try {
+      const occurrences = getConflictCheckOccurrences(eventData);
+      const range = getOccurrencesDateRange(occurrences);
+      if (!range) return [];
+
+      const getEventChildren = (event) => this.getEventChildren(event);
+      const storedEvents = expandEventsInRange(await this.getEvents(), range.rangeStart, range.rangeEnd);
+      const conflicts = new Map();
+
+      occurrences.forEach((occurrence) => {
+        findEventConflicts(occurrence, storedEvents, { getEventChildren, excludeEventIds }).forEach((conflict) => {
+          if (!conflicts.has(conflict.event.id)) {
+            conflicts.set(conflict.event.id, { ...conflict, occurrence });
+          }
+        });
+      });
+
+      return Array.from(conflicts.values());
+    } catch (error) {
+      console.error('Error finding conflicting events:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Export events as an iCalendar (.ics) document
+   * @param {Object} filters - Optional { childId, startDate, endDate, eventType } filters
+   * @param {Object} options - Optional { calendarName } generation options
+   * @returns {Promise<Object|null>} { ics, eventCount } or null on failure
+   */
+  static async exportEventsToICS(filters = {}, options = {}) {
+    try {
+      const events = await this.getEvents();
+      const getEventChildren = (event) => this.getEventChildren(event);
+      const exportedEvents = filterEventsForExport(events, filters, getEventChildren);
+
+      return {
+        ics: generateICSCalendar(exportedEvents, { ...options, getEventChildren }),
+        eventCount: exportedEvents.length,
+      };
+    } catch (error) {
+      console.error('Error exporting events to iCalendar:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Parse an iCalendar (.ics) document and flag events that already exist
+   * @param {string} icsText - Raw iCalendar document
+   * @returns {Promise<Array|null>} Event data with importId and duplicateOf, or null on failure
+   */
+  static async previewICSImport(icsText) {
+    try {
+      const existingEvents = await this.getEvents();
+      const eventTypeNames = await EventTypesService.getEventTypeNames();
+      return parseICSEvents(icsText, eventTypeNames).map((event, index) => ({
+        ...event,
+        importId: `import_${index}`,
+        duplicateOf: findDuplicateEvent(event, existingEvents),
+      }));
+    } catch (error) {
+      console.error('Error parsing iCalendar file:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save events from previewICSImport for the selected children
+   * @param {Array} importedEvents - Events chosen in the import review
+   * @param {Array} selectedChildren - Children the events apply to
+   * @returns {Promise<Object>} { importedCount, failedCount }
+   */
+  static async importICSEvents(importedEvents, selectedChildren = []) {
+    let importedCount = 0;
+    let failedCount = 0;
+
+    for (const importedEvent of importedEvents) {
+      const { importId, duplicateOf, hasUnsupportedRecurrence, ...eventData } = importedEvent;
+      const newEvent = await this.addEvent({ ...eventData, selectedChildren });
+
+      if (newEvent) {
+        importedCount++;
+      } else {
+        failedCount++;
+      }
+    }
+
+    return { importedCount, failedCount };
+  }
+
   // Private helper methods for internal operations
 
+  /**
+   * Get all stored recurring series for the current user
+   * Series are not found by the date index once they started before the queried range
+   * @private
+   * @returns {Promise<Array>} Array of recurring event objects
+   */
+  static async _getRecurringEvents() {
+    const events = await this.getEvents();
+    return events.filter(event => isRecurringEvent(event));
+  }
+
+  /**
+   * Save a new recurrence rule on a series
+   * The full series is written back so defaults in _prepareEventData do not clear other fields
+   * @private
+   * @param {string} userId - User ID
+   * @param {Object} series - Recurring series event
+   * @param {Object} recurrence - New recurrence rule
+   * @returns {Promise<Object>} Updated series event
+   */
+  static async _updateSeriesRecurrence(userId, series, recurrence) {
+    const { userId: _, eventId: __, id: ___, ...seriesData } = series;
+    return await this._updateEventById(userId, series.eventId || series.id, {
+      ...seriesData,
+      recurrence
+    });
+  }
+
+  /**
+   * Split a recurring series at an occurrence date
+   * @private
+   * @param {Object} series - Recurring series event
+   * @param {string} occurrenceDate - Occurrence date (YYYY-MM-DD)
+   * @returns {Object} Rule ending before the date and rule for the remainder
+   */
+  static _splitRecurrenceAt(series, occurrenceDate) {
+    const seriesStartDate = getEventStartDateString(series);
+    const dayBefore = addDaysToDateString(occurrenceDate, -1);
+    const rule = series.recurrence;
+
+    let remainingCount = null;
+    if (rule.count) {
+      // Count every generated date before the split, including skipped exceptions
+      const usedCount = getRecurrenceDates(
+        { ...rule, exceptionDates: [] },
+        seriesStartDate,
+        seriesStartDate,
+        dayBefore
+      ).length;
+      remainingCount = Math.max(1, rule.count - usedCount);
+    }
+
+    return {
+      truncatedRule: {
+        ...rule,
+        count: null,
+        until: dayBefore,
+        exceptionDates: (rule.exceptionDates || []).filter(date => date < occurrenceDate)
+      },
+      remainderRule: {
+        ...rule,
+        count: remainingCount,
+        exceptionDates: (rule.exceptionDates || []).filter(date => date >= occurrenceDate)
+      }
+    };
+  }
+
   /**
    * Create a new event in DynamoDB
    * @private
@@ -788,7 +1581,7 @@ class DynamoDBCalendarService {
    */
   static async _createEvent(userId, eventData) {
     // Validate and prepare data
-    this._validateEventData(eventData);
+    this._validateEventData(eventData, await EventTypesService.getEventTypeNames());
     const preparedData = this._prepareEventData(eventData);
     
     // Generate unique event ID
@@ -828,9 +1621,17 @@ class DynamoDBCalendarService {
     
     // Only validate if we have required fields to update
     if (dataToUpdate.title || dataToUpdate.eventType) {
-      this._validateEventData({ title: 'temp', eventType: 'Personal', ...dataToUpdate });
+      this._validateEventData(
+        { title: 'temp', eventType: 'Personal', ...dataToUpdate },
+        await EventTypesService.getEventTypeNames()
+      );
+    } else {
+      const attachmentValidation = validateAttachments(dataToUpdate.attachments);
+      if (!attachmentValidation.isValid) {
+        throw new Error(attachmentValidation.errors.join(', '));
+      }
     }
-    
+
     const preparedData = this._prepareEventData(dataToUpdate);
     
     // Update startDate for GSI if date fields are being updated
@@ -972,6 +1773,11 @@ class DynamoDBCalendarService {
         }
       }
 
+      // Drop empty checklist items and make sure each has an id
+      if (eventData.checklist !== undefined) {
+        normalized.checklist = normalizeChecklist(eventData.checklist);
+      }
+
       return normalized;
     } catch (error) {
       console.error('Error normalizing event data:', error);
@@ -254,6 +254,44 @@ class DynamoDBChildrenService {
     }
   }
 
+  /**
+   * Store a deleted child again under its original ID
+   * @param {Object} child - Child as it was stored, from the recycle bin
+   * @returns {Promise<Object|null>} Restored child object or null if failed
+   */
+  static async restoreChild(child) {
+    try {
+      const userId = await this._getCurrentUserId();
+      const childId = child.childId || child.id;
+      const { userId: _, ...childData } = child;
+
+      // The child was validated when it was first saved, so only encrypt it again
+      const encryptedData = await DataEncryptionService.encryptSensitiveFields(childData);
+
+      const result = await DynamoDBService.putItem(this.TABLE_NAME, {
+        ...encryptedData,
+        userId: userId,
+        childId: childId,
+        id: childId
+      });
+
+      if (!result.success) {
+        throw new Error('Failed to restore child');
+      }
+
+      return await DataEncryptionService.decryptSensitiveFields(result.item);
+    } catch (error) {
+      // Re-throw authentication errors
+      if (error.message.includes('not authenticated') || 
+          error.message.includes('User not authenticated')) {
+        throw error;
+      }
+      
+      console.error('Error restoring child:', DataEncryptionService.sanitizeForLogging(error));
+      return null;
+    }
+  }
+
   /**
    * Get a specific child by ID
    * @param {string} childId - Child ID to retrieve
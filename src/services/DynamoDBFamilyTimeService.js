@@ -4,6 +4,14 @@ import AuthenticationError from './AuthenticationError';
 import DataEncryptionService from './DataEncryptionService';
 import DataValidationService from './DataValidationService';
 import ProactiveTokenRefreshService from './ProactiveTokenRefreshService';
+import ActivityTypesService from './ActivityTypesService';
+import {
+  READING_ACTIVITY_TYPE_NAME,
+  createActivityTypeBreakdown,
+  findActivityType,
+  getActivityTypeNames,
+  validateActivityCustomFields,
+} from '../utils/activityTypeUtils';
 import { DYNAMODB_TABLES } from '../config/aws-config.js';
 
 /**
@@ -14,9 +22,6 @@ import { DYNAMODB_TABLES } from '../config/aws-config.js';
 class DynamoDBFamilyTimeService {
   static TABLE_NAME = DYNAMODB_TABLES.FAMILY_TIME_ACTIVITIES;
   
-  // Valid activity types
-  static VALID_ACTIVITY_TYPES = ['Reading Time', 'Sports', 'Adventure', 'Important'];
-  
   // Valid feelings
   static VALID_FEELINGS = ['Exciting', 'Happy', 'Sad'];
   
@@ -68,14 +73,18 @@ class DynamoDBFamilyTimeService {
    * Validate activity data before saving
    * @private
    * @param {Object} activityData - Activity data to validate
+   * @param {Array} activityTypes - The user's activity types
+   * @param {string|null} storedType - Type an edited activity already has, which stays
+   *   valid after its custom type is deleted
    * @throws {Error} If validation fails
    */
-  static _validateActivityData(activityData) {
+  static _validateActivityData(activityData, activityTypes, storedType = null) {
     const errors = [];
 
     // Required fields validation
-    if (!activityData.type || !this.VALID_ACTIVITY_TYPES.includes(activityData.type)) {
-      errors.push(`Activity type must be one of: ${this.VALID_ACTIVITY_TYPES.join(', ')}`);
+    const activityType = findActivityType(activityData.type, activityTypes);
+    if (!activityType && !(storedType && activityData.type === storedType)) {
+      errors.push(`Activity type must be one of: ${getActivityTypeNames(activityTypes).join(', ')}`);
     }
 
     if (!activityData.title || typeof activityData.title !== 'string' || activityData.title.trim().length === 0) {
@@ -128,8 +137,11 @@ class DynamoDBFamilyTimeService {
       errors.push('Photos must be an array');
     }
 
+    // Validate answers to the type's own fields
+    errors.push(...validateActivityCustomFields(activityData.customFields, activityType));
+
     // Validate book info for Reading Time activities
-    if (activityData.type === 'Reading Time' && activityData.bookInfo) {
+    if (activityData.type === READING_ACTIVITY_TYPE_NAME && activityData.bookInfo) {
       if (!activityData.bookInfo.title || typeof activityData.bookInfo.title !== 'string') {
         errors.push('Book title is required for Reading Time activities');
       }
@@ -157,11 +169,13 @@ class DynamoDBFamilyTimeService {
    * Prepare activity data for storage
    * @private
    * @param {Object} activityData - Raw activity data
+   * @param {string|null} storedType - Type an edited activity already has
    * @returns {Promise<Object>} Prepared activity data
    */
-  static async _prepareActivityData(activityData) {
+  static async _prepareActivityData(activityData, storedType = null) {
     // Validate and sanitize the data
-    const validatedData = this._validateActivityData(activityData);
+    const activityTypes = await ActivityTypesService.getActivityTypes();
+    const validatedData = this._validateActivityData(activityData, activityTypes, storedType);
     
     // Apply safe defaults
     const preparedData = {
@@ -440,6 +454,50 @@ class DynamoDBFamilyTimeService {
     }
   }
 
+  /**
+   * Store a deleted activity again under its original ID
+   * @param {Object} activity - Activity as it was stored, from the recycle bin
+   * @returns {Promise<Object|null>} Restored activity object or null if failed
+   */
+  static async restoreActivity(activity) {
+    try {
+      const userId = await this._getCurrentUserId();
+      const activityId = activity.activityId || activity.id;
+      const { userId: _, ...activityData } = activity;
+
+      // The activity was validated when it was first saved, so only encrypt it again
+      const encryptedData = await DataEncryptionService.encryptSensitiveFields(activityData);
+
+      const result = await DynamoDBService.putItem(this.TABLE_NAME, {
+        ...encryptedData,
+        userId: userId,
+        activityId: activityId,
+        id: activityId
+      });
+
+      if (!result.success) {
+        throw new Error('Failed to restore activity');
+      }
+
+      return await DataEncryptionService.decryptSensitiveFields(result.item);
+    } catch (error) {
+      console.error('[DynamoDBFamilyTimeService] Error in restoreActivity:', {
+        operation: 'restoreActivity',
+        service: 'DynamoDBFamilyTimeService',
+        error: error.message,
+        code: error.code || 'UNKNOWN',
+        sanitizedError: DataEncryptionService.sanitizeForLogging(error)
+      });
+
+      // Re-throw authentication errors so the caller can fall back
+      if (AuthenticationStateManager.isAuthenticationError(error)) {
+        throw error;
+      }
+
+      return null;
+    }
+  }
+
   /**
    * Get a specific activity by ID
    * @param {string} activityId - Activity ID to retrieve
@@ -528,12 +586,16 @@ class DynamoDBFamilyTimeService {
    */
   static async getActivitiesByType(type) {
     try {
-      if (!this.VALID_ACTIVITY_TYPES.includes(type)) {
+      // A deleted custom type is still valid while activities use it
+      const activities = await this.getActivities();
+      const matchingActivities = activities.filter(activity => activity.type === type);
+
+      const activityTypes = await ActivityTypesService.getActivityTypes();
+      if (matchingActivities.length === 0 && !findActivityType(type, activityTypes)) {
         throw new Error('Invalid activity type');
       }
 
-      const activities = await this.getActivities();
-      return activities.filter(activity => activity.type === type);
+      return matchingActivities;
     } catch (error) {
       // Re-throw validation errors
       if (error.message.includes('Invalid activity type')) {
@@ -640,15 +702,11 @@ class DynamoDBFamilyTimeService {
   static async getChildActivityStats(childId) {
     try {
       const childActivities = await this.getActivitiesForChild(childId);
+      const activityTypeNames = await ActivityTypesService.getActivityTypeNames();
       
       const stats = {
         totalActivities: childActivities.length,
-        activityTypeBreakdown: {
-          'Reading Time': 0,
-          'Sports': 0,
-          'Adventure': 0,
-          'Important': 0
-        },
+        activityTypeBreakdown: createActivityTypeBreakdown(activityTypeNames),
         emotionPatterns: {
           'Exciting': 0,
           'Happy': 0,
@@ -658,8 +716,8 @@ class DynamoDBFamilyTimeService {
       };
 
       childActivities.forEach(activity => {
-        // Count activity types
-        stats.activityTypeBreakdown[activity.type]++;
+        // Count activity types, including ones whose type has since been deleted
+        stats.activityTypeBreakdown[activity.type] = (stats.activityTypeBreakdown[activity.type] || 0) + 1;
 
         // Count emotions for this child
         const childParticipant = activity.participants.find(p => p.childId === childId);
@@ -793,7 +851,7 @@ class DynamoDBFamilyTimeService {
       };
       
       // Validate merged data
-      preparedData = await this._prepareActivityData(mergedData);
+      preparedData = await this._prepareActivityData(mergedData, existingActivity.type);
       
       // Remove system fields from update
       const { userId: _, activityId: __, id: ___, createdAt: ____, updatedAt: _____, version: ______, ...updateFields } = preparedData;
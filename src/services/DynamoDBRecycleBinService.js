@@ -0,0 +1,191 @@
+import { DynamoDBService } from './DynamoDBService';
+import AuthenticationService from './AuthenticationService';
+import DataEncryptionService from './DataEncryptionService';
+import { DYNAMODB_TABLES } from '../config/aws-config.js';
+
+/**
+ * DynamoDB-enabled Recycle Bin Service
+ * Stores recycle bin entries so deletes, restores and purges reach the user's
+ * other devices. Deleted items are encrypted the same way as the tables they
+ * came from.
+ *
+ * An entry can hold a whole series, split or import batch, and each event can
+ * carry attachments up to most of DynamoDB's 400KB item limit. So each deleted
+ * item is stored in its own part, keyed `<entryId>#<index>`, and the entry
+ * itself only records how many parts it has.
+ */
+class DynamoDBRecycleBinService {
+  static TABLE_NAME = DYNAMODB_TABLES.RECYCLE_BIN;
+
+  /**
+   * Get the key of one of an entry's parts
+   * @private
+   * @param {string} entryId - Entry ID
+   * @param {number} index - Index of the deleted item in the entry
+   * @returns {string} Part entry ID
+   */
+  static _getPartId(entryId, index) {
+    return `${entryId}#${index}`;
+  }
+
+  /**
+   * Load every stored row of the current user, entries and parts alike
+   * @private
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Rows
+   */
+  static async _queryAllRows(userId) {
+    const rows = [];
+    let exclusiveStartKey;
+
+    // Parts are large, so the rows can span several result pages
+    do {
+      const result = await DynamoDBService.queryItems(
+        this.TABLE_NAME,
+        'userId = :userId',
+        {
+          ExpressionAttributeValues: {
+            ':userId': userId
+          },
+          ...(exclusiveStartKey ? { ExclusiveStartKey: exclusiveStartKey } : {})
+        }
+      );
+      rows.push(...(result.items || []));
+      exclusiveStartKey = result.lastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return rows;
+  }
+
+  /**
+   * Get current authenticated user ID
+   * @private
+   * @returns {Promise<string>} User ID
+   * @throws {Error} If user is not authenticated
+   */
+  static async _getCurrentUserId() {
+    const user = await AuthenticationService.getCurrentUser();
+    if (!user || !user.id) {
+      throw new Error('User not authenticated');
+    }
+    return user.id;
+  }
+
+  /**
+   * Get all recycle bin entries for the current user
+   * @returns {Promise<Array|null>} Entries with decrypted items, or null if they couldn't be loaded
+   */
+  static async getEntries() {
+    try {
+      const userId = await this._getCurrentUserId();
+      const rows = await this._queryAllRows(userId);
+
+      const partsByEntryId = new Map();
+      rows.filter((row) => row.partOf).forEach((part) => {
+        partsByEntryId.set(part.partOf, [...(partsByEntryId.get(part.partOf) || []), part]);
+      });
+
+      const entries = [];
+      for (const { userId: _, itemCount, ...entry } of rows.filter((row) => !row.partOf)) {
+        // Entries saved before parts were used keep their items inline
+        let items = entry.items || [];
+        if (itemCount !== undefined) {
+          const parts = (partsByEntryId.get(entry.entryId) || [])
+            .filter((part) => part.changedAt === entry.changedAt && part.index < itemCount)
+            .sort((a, b) => a.index - b.index);
+
+          // A half-written entry is left out; the device that wrote it pushes it again
+          if (parts.length !== itemCount) {
+            continue;
+          }
+          items = parts.map((part) => part.item);
+        }
+
+        entries.push({
+          ...entry,
+          items: await Promise.all(items.map((item) => DataEncryptionService.decryptSensitiveFields(item))),
+        });
+      }
+
+      return entries;
+    } catch (error) {
+      console.error('Error loading recycle bin entries:', DataEncryptionService.sanitizeForLogging(error));
+      return null;
+    }
+  }
+
+  /**
+   * Save a recycle bin entry, replacing any earlier version of it
+   * The parts are written first and tagged with the entry's changedAt, so the
+   * entry never points at parts of another version.
+   * @param {Object} entry - Recycle bin entry
+   * @returns {Promise<boolean>} Success status
+   */
+  static async putEntry(entry) {
+    try {
+      const userId = await this._getCurrentUserId();
+      const items = await Promise.all(
+        (entry.items || []).map((item) => DataEncryptionService.encryptSensitiveFields(item))
+      );
+      const previousEntry = await DynamoDBService.getItem(this.TABLE_NAME, { userId, entryId: entry.entryId });
+
+      for (let index = 0; index < items.length; index++) {
+        const partResult = await DynamoDBService.putItem(this.TABLE_NAME, {
+          userId,
+          entryId: this._getPartId(entry.entryId, index),
+          partOf: entry.entryId,
+          index,
+          changedAt: entry.changedAt,
+          item: items[index],
+        });
+        if (!partResult.success) {
+          return false;
+        }
+      }
+
+      const result = await DynamoDBService.putItem(this.TABLE_NAME, {
+        ...entry,
+        userId,
+        items: [],
+        itemCount: items.length,
+      });
+
+      // Drop parts left over from a version with more items, e.g. before a purge
+      const previousItemCount = previousEntry?.itemCount || 0;
+      for (let index = items.length; index < previousItemCount; index++) {
+        await DynamoDBService.deleteItem(this.TABLE_NAME, {
+          userId,
+          entryId: this._getPartId(entry.entryId, index),
+        });
+      }
+
+      return result.success;
+    } catch (error) {
+      console.error('Error saving recycle bin entry:', DataEncryptionService.sanitizeForLogging(error));
+      return false;
+    }
+  }
+
+  /**
+   * Remove a recycle bin entry once it is past its retention period
+   * @param {string} entryId - Entry ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteEntry(entryId) {
+    try {
+      const userId = await this._getCurrentUserId();
+      const entry = await DynamoDBService.getItem(this.TABLE_NAME, { userId, entryId });
+
+      for (let index = 0; index < (entry?.itemCount || 0); index++) {
+        await DynamoDBService.deleteItem(this.TABLE_NAME, { userId, entryId: this._getPartId(entryId, index) });
+      }
+      await DynamoDBService.deleteItem(this.TABLE_NAME, { userId, entryId });
+      return true;
+    } catch (error) {
+      console.error('Error deleting recycle bin entry:', DataEncryptionService.sanitizeForLogging(error));
+      return false;
+    }
+  }
+}
+
+export default DynamoDBRecycleBinService;
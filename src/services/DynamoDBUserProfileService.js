@@ -308,6 +308,93 @@ class DynamoDBUserProfileService {
     }
   }
 
+  /**
+   * Get the user's calendar event types
+   * @returns {Promise<Array|null>} Stored event types or null if none are saved
+   */
+  static async getEventTypes() {
+    try {
+      const preferences = await this.getUserPreferences();
+      return Array.isArray(preferences.eventTypes) ? preferences.eventTypes : null;
+    } catch (error) {
+      console.error('Error getting event types:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the user's calendar event types with their profile
+   * @param {Array} eventTypes - Event types with id, name, icon and color
+   * @returns {Promise<boolean>} Success status
+   */
+  static async updateEventTypes(eventTypes) {
+    try {
+      const validatedTypes = DataValidationService.validateEventTypes(eventTypes);
+      return await this.updateUserPreferences({ eventTypes: validatedTypes });
+    } catch (error) {
+      console.error('Error updating event types:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the user's family time activity types
+   * @returns {Promise<Array|null>} Stored activity types or null if none are saved
+   */
+  static async getActivityTypes() {
+    try {
+      const preferences = await this.getUserPreferences();
+      return Array.isArray(preferences.activityTypes) ? preferences.activityTypes : null;
+    } catch (error) {
+      console.error('Error getting activity types:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the user's family time activity types with their profile
+   * @param {Array} activityTypes - Activity types with id, name, icon, color and fields
+   * @returns {Promise<boolean>} Success status
+   */
+  static async updateActivityTypes(activityTypes) {
+    try {
+      const validatedTypes = DataValidationService.validateActivityTypes(activityTypes);
+      return await this.updateUserPreferences({ activityTypes: validatedTypes });
+    } catch (error) {
+      console.error('Error updating activity types:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the user's settings for birthday events generated from child profiles
+   * @returns {Promise<Object|null>} Stored settings or null if none are saved
+   */
+  static async getBirthdaySettings() {
+    try {
+      const preferences = await this.getUserPreferences();
+      return preferences.birthdaySettings || null;
+    } catch (error) {
+      console.error('Error getting birthday settings:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the user's birthday event settings with their profile
+   * @param {Object} birthdaySettings - { enabled, reminders }
+   * @returns {Promise<boolean>} Success status
+   */
+  static async updateBirthdaySettings(birthdaySettings) {
+    try {
+      const validatedSettings = DataValidationService.validateBirthdaySettings(birthdaySettings);
+      return await this.updateUserPreferences({ birthdaySettings: validatedSettings });
+    } catch (error) {
+      console.error('Error updating birthday settings:', error);
+      return false;
+    }
+  }
+
   /**
    * Delete user profile (for account deletion)
    * @returns {Promise<boolean>} Success status
@@ -0,0 +1,230 @@
+import DataNamespacing from '../utils/dataNamespacing';
+import DataValidationService from './DataValidationService';
+import DynamoDBUserProfileService from './DynamoDBUserProfileService';
+import {
+  DEFAULT_EVENT_TYPES,
+  createEventTypeId,
+  findEventType,
+  getEventTypeNames,
+  mergeWithDefaultEventTypes,
+} from '../utils/eventTypeUtils';
+
+const EVENT_TYPES_STORAGE_KEY = 'event-types.json';
+
+/**
+ * Registry of the user's calendar event types
+ * Types are kept per user in AsyncStorage and, when DynamoDB is enabled,
+ * synced with the user profile so they follow the user across devices.
+ */
+class EventTypesService {
+  // Configuration flag to switch between storage backends
+  static USE_DYNAMODB = process.env.EXPO_PUBLIC_USE_DYNAMODB === 'true' || false;
+
+  // Last loaded registry, so render code can look types up synchronously
+  static cachedEventTypes = DEFAULT_EVENT_TYPES;
+
+  static listeners = new Set();
+
+  /**
+   * Enable DynamoDB backend
+   * @static
+   */
+  static enableDynamoDB() {
+    this.USE_DYNAMODB = true;
+  }
+
+  /**
+   * Disable DynamoDB backend (fallback to AsyncStorage)
+   * @static
+   */
+  static disableDynamoDB() {
+    this.USE_DYNAMODB = false;
+  }
+
+  /**
+   * Subscribe to registry changes
+   * @param {Function} listener - Called with the new event types
+   * @returns {Function} Unsubscribe function
+   */
+  static subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Get the last loaded event types without touching storage
+   * @returns {Array} Event types
+   */
+  static getCachedEventTypes() {
+    return this.cachedEventTypes;
+  }
+
+  /**
+   * Get all event types, built-in types first
+   * @returns {Promise<Array>} Event types
+   */
+  static async getEventTypes() {
+    let storedTypes = null;
+
+    if (this.USE_DYNAMODB) {
+      storedTypes = await DynamoDBUserProfileService.getEventTypes();
+      if (storedTypes) {
+        // Keep a local copy for offline use
+        await DataNamespacing.setUserData(EVENT_TYPES_STORAGE_KEY, storedTypes);
+      }
+    }
+
+    if (!storedTypes) {
+      try {
+        storedTypes = await DataNamespacing.getUserData(EVENT_TYPES_STORAGE_KEY, []);
+      } catch (error) {
+        console.error('Error loading event types:', error);
+        storedTypes = [];
+      }
+    }
+
+    const eventTypes = mergeWithDefaultEventTypes(storedTypes);
+    this._setCachedEventTypes(eventTypes);
+    return eventTypes;
+  }
+
+  /**
+   * Get the names of all event types
+   * @returns {Promise<string[]>} Event type names
+   */
+  static async getEventTypeNames() {
+    return getEventTypeNames(await this.getEventTypes());
+  }
+
+  /**
+   * Save the full list of event types
+   * @param {Array} eventTypes - Event types to save
+   * @returns {Promise<boolean>} Success status
+   */
+  static async saveEventTypes(eventTypes) {
+    try {
+      const validatedTypes = DataValidationService.validateEventTypes(
+        mergeWithDefaultEventTypes(eventTypes)
+      );
+
+      const saved = await DataNamespacing.setUserData(EVENT_TYPES_STORAGE_KEY, validatedTypes);
+      if (!saved) {
+        return false;
+      }
+
+      if (this.USE_DYNAMODB) {
+        const synced = await DynamoDBUserProfileService.updateEventTypes(validatedTypes);
+        if (!synced) {
+          console.warn('Event types saved locally but could not be synced to the user profile');
+        }
+      }
+
+      this._setCachedEventTypes(validatedTypes);
+      return true;
+    } catch (error) {
+      console.error('Error saving event types:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Add a custom event type
+   * @param {Object} typeData - { name, icon, color }
+   * @returns {Promise<Object|null>} Created event type or null if failed
+   */
+  static async addEventType(typeData) {
+    try {
+      const eventTypes = await this.getEventTypes();
+      if (findEventType(typeData.name, eventTypes)) {
+        throw new Error(`Event type already exists: ${typeData.name}`);
+      }
+
+      const newType = {
+        id: createEventTypeId(typeData.name),
+        name: String(typeData.name).trim(),
+        icon: typeData.icon,
+        color: typeData.color,
+        isBuiltIn: false,
+      };
+
+      const saved = await this.saveEventTypes([...eventTypes, newType]);
+      return saved ? newType : null;
+    } catch (error) {
+      console.error('Error adding event type:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Update the icon or colour of an event type
+   * Names can't change because events store their type by name.
+   * @param {string} typeId - Event type id
+   * @param {Object} updates - { icon, color }
+   * @returns {Promise<Object|null>} Updated event type or null if failed
+   */
+  static async updateEventType(typeId, updates) {
+    try {
+      const eventTypes = await this.getEventTypes();
+      const existingType = eventTypes.find((type) => type.id === typeId);
+      if (!existingType) {
+        throw new Error(`Event type not found: ${typeId}`);
+      }
+
+      const updatedType = {
+        ...existingType,
+        icon: updates.icon || existingType.icon,
+        color: updates.color || existingType.color,
+      };
+
+      const saved = await this.saveEventTypes(
+        eventTypes.map((type) => (type.id === typeId ? updatedType : type))
+      );
+      return saved ? updatedType : null;
+    } catch (error) {
+      console.error('Error updating event type:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a custom event type
+   * Events that use it keep the name and are shown with the default icon.
+   * @param {string} typeId - Event type id
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteEventType(typeId) {
+    try {
+      const eventTypes = await this.getEventTypes();
+      const existingType = eventTypes.find((type) => type.id === typeId);
+      if (!existingType) {
+        return false;
+      }
+      if (existingType.isBuiltIn) {
+        throw new Error(`Built-in event types cannot be deleted: ${existingType.name}`);
+      }
+
+      return await this.saveEventTypes(eventTypes.filter((type) => type.id !== typeId));
+    } catch (error) {
+      console.error('Error deleting event type:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Update the cache and notify subscribers
+   * @private
+   * @param {Array} eventTypes - New event types
+   */
+  static _setCachedEventTypes(eventTypes) {
+    this.cachedEventTypes = eventTypes;
+    this.listeners.forEach((listener) => {
+      try {
+        listener(eventTypes);
+      } catch (error) {
+        console.error('Error notifying event type listener:', error);
+      }
+    });
+  }
+}
+
+export default EventTypesService;
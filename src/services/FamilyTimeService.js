@@ -8,8 +8,18 @@ import {
 } from '../utils/errorUtils';
 import DataNamespacing from '../utils/dataNamespacing';
 import DynamoDBFamilyTimeService from './DynamoDBFamilyTimeService';
+import RecycleBinService from './RecycleBinService';
 import AuthenticationStateManager from './AuthenticationStateManager';
 import AuthenticationError from './AuthenticationError';
+import { RECYCLE_BIN_ITEM_TYPES } from '../utils/recycleBinUtils';
+import ActivityTypesService from './ActivityTypesService';
+import {
+  READING_ACTIVITY_TYPE_NAME,
+  createActivityTypeBreakdown,
+  findActivityType,
+  getActivityTypeNames,
+  validateActivityCustomFields,
+} from '../utils/activityTypeUtils';
 
 const ACTIVITIES_STORAGE_KEY = 'activities.json';
 const BACKUP_STORAGE_KEY = 'activities_backup.json';
@@ -378,11 +388,74 @@ class FamilyTimeService {
   }
   
   /**
-   * Delete an activity
+   * Delete an activity, keeping a copy in the recycle bin so the delete can be undone
    * @param {string} activityId - Activity ID to delete
    * @returns {Promise<boolean>} Success status
    */
   static async deleteActivity(activityId) {
+    const activity = activityId && typeof activityId === 'string'
+      ? await this.getActivityById(activityId)
+      : null;
+
+    const success = await this._deleteActivity(activityId);
+    if (success && activity) {
+      await RecycleBinService.addEntry(RECYCLE_BIN_ITEM_TYPES.ACTIVITY, [activity]);
+    }
+    return success;
+  }
+
+  /**
+   * Put a deleted activity back from the recycle bin with its original ID
+   * @param {string} activityId - Activity ID to restore
+   * @returns {Promise<Object|null>} Restored activity or null if it is no longer in the bin
+   */
+  static async restoreActivity(activityId) {
+    const operation = 'restoreActivity';
+    const context = { 
+      service: 'FamilyTimeService', 
+      operation, 
+      backend: this.USE_DYNAMODB ? 'DynamoDB' : 'AsyncStorage',
+      activityId
+    };
+
+    try {
+      const entry = await RecycleBinService.getEntry(RECYCLE_BIN_ITEM_TYPES.ACTIVITY, activityId);
+      if (!entry) {
+        return null;
+      }
+
+      const activity = entry.items[0];
+      let restoredActivity = null;
+
+      if (this.USE_DYNAMODB) {
+        try {
+          await this._ensureAuthenticated(context);
+          restoredActivity = await DynamoDBFamilyTimeService.restoreActivity(activity);
+        } catch (error) {
+          console.warn(`[FamilyTimeService] DynamoDB ${operation} failed, falling back to AsyncStorage:`, error.message);
+          restoredActivity = await this._restoreActivityToAsyncStorage(activity);
+        }
+      } else {
+        restoredActivity = await this._restoreActivityToAsyncStorage(activity);
+      }
+
+      if (restoredActivity) {
+        await RecycleBinService.markRestored(entry.entryId);
+      }
+      return restoredActivity;
+    } catch (error) {
+      console.error(`[FamilyTimeService] ${operation} failed completely:`, {
+        ...context,
+        error: error.message,
+        code: error.code || 'UNKNOWN'
+      });
+      logError(error, context);
+      return null;
+    }
+  }
+
+  // Delete an activity from the active backend
+  static async _deleteActivity(activityId) {
     const operation = 'deleteActivity';
     const context = { 
       service: 'FamilyTimeService', 
@@ -1221,12 +1294,20 @@ class FamilyTimeService {
   }
 
   // Validate activity data before operations
-  static validateActivityData(activityData) {
+  // activityTypes defaults to the last loaded registry; async callers pass a fresh copy
+  // storedType is the type an edited activity already has, which stays valid after
+  // its custom type is deleted
+  static validateActivityData(
+    activityData,
+    activityTypes = ActivityTypesService.getCachedActivityTypes(),
+    storedType = null
+  ) {
     const errors = [];
 
     // Required fields validation
-    if (!activityData.type || !['Reading Time', 'Sports', 'Adventure', 'Important'].includes(activityData.type)) {
-      errors.push('Activity type must be one of: Reading Time, Sports, Adventure, Important');
+    const activityType = findActivityType(activityData.type, activityTypes);
+    if (!activityType && !(storedType && activityData.type === storedType)) {
+      errors.push(`Activity type must be one of: ${getActivityTypeNames(activityTypes).join(', ')}`);
     }
 
     if (!activityData.title || typeof activityData.title !== 'string' || activityData.title.trim().length === 0) {
@@ -1279,8 +1360,11 @@ class FamilyTimeService {
       errors.push('Photos must be an array');
     }
 
+    // Validate answers to the type's own fields
+    errors.push(...validateActivityCustomFields(activityData.customFields, activityType));
+
     // Validate book info for Reading Time activities
-    if (activityData.type === 'Reading Time' && activityData.bookInfo) {
+    if (activityData.type === READING_ACTIVITY_TYPE_NAME && activityData.bookInfo) {
       if (!activityData.bookInfo.title || typeof activityData.bookInfo.title !== 'string') {
         errors.push('Book title is required for Reading Time activities');
       }
@@ -1302,8 +1386,9 @@ class FamilyTimeService {
   static async _addActivityToAsyncStorage(activityData) {
     const operation = async () => {
       try {        
-        // Validate activity data
-        const validation = this.validateActivityData(activityData);
+        // Validate activity data against the user's activity types
+        const activityTypes = await ActivityTypesService.getActivityTypes();
+        const validation = this.validateActivityData(activityData, activityTypes);
         if (!validation.isValid) {
           const validationError = new Error(`Validation failed: ${validation.errors.join(', ')}`);
           validationError.name = 'ValidationError';
@@ -1326,7 +1411,7 @@ class FamilyTimeService {
         };
 
         // Validate the complete activity object
-        const finalValidation = this.validateActivityData(newActivity);
+        const finalValidation = this.validateActivityData(newActivity, activityTypes);
         if (!finalValidation.isValid) {
           throw new Error(`Final validation failed: ${finalValidation.errors.join(', ')}`);
         }
@@ -1402,7 +1487,8 @@ class FamilyTimeService {
         };
 
         // Validate merged data
-        const validation = this.validateActivityData(mergedData);
+        const activityTypes = await ActivityTypesService.getActivityTypes();
+        const validation = this.validateActivityData(mergedData, activityTypes, existingActivity.type);
         if (!validation.isValid) {
           const validationError = new Error(`Validation failed: ${validation.errors.join(', ')}`);
           validationError.name = 'ValidationError';
@@ -1507,6 +1593,19 @@ class FamilyTimeService {
     }
   }
 
+  // Store a deleted activity in AsyncStorage again, replacing any copy already stored
+  static async _restoreActivityToAsyncStorage(activity) {
+    try {
+      const activities = await this._getActivitiesFromAsyncStorage();
+      const otherActivities = activities.filter(stored => stored.id !== activity.id);
+      const saveSuccess = await this._saveActivitiesToAsyncStorage([...otherActivities, activity]);
+      return saveSuccess ? activity : null;
+    } catch (error) {
+      console.error('Error restoring activity:', error);
+      return null;
+    }
+  }
+
   // Get a specific activity by ID from AsyncStorage
   static async _getActivityByIdFromAsyncStorage(activityId) {
     try {
@@ -1532,14 +1631,18 @@ class FamilyTimeService {
   }
 
   // Get activities by type from AsyncStorage
+  // A deleted custom type is still valid while activities use it
   static async _getActivitiesByTypeFromAsyncStorage(type) {
     try {
-      if (!['Reading Time', 'Sports', 'Adventure', 'Important'].includes(type)) {
+      const activities = await this._getActivitiesFromAsyncStorage();
+      const matchingActivities = activities.filter(activity => activity.type === type);
+
+      const activityTypes = await ActivityTypesService.getActivityTypes();
+      if (matchingActivities.length === 0 && !findActivityType(type, activityTypes)) {
         throw new Error('Invalid activity type');
       }
 
-      const activities = await this._getActivitiesFromAsyncStorage();
-      return activities.filter(activity => activity.type === type);
+      return matchingActivities;
     } catch (error) {
       console.error('Error getting activities by type:', error);
       return [];
@@ -1594,15 +1697,11 @@ class FamilyTimeService {
   static async _getChildActivityStatsFromAsyncStorage(childId) {
     try {
       const childActivities = await this._getActivitiesForChildFromAsyncStorage(childId);
+      const activityTypeNames = await ActivityTypesService.getActivityTypeNames();
       
       const stats = {
         totalActivities: childActivities.length,
-        activityTypeBreakdown: {
-          'Reading Time': 0,
-          'Sports': 0,
-          'Adventure': 0,
-          'Important': 0
-        },
+        activityTypeBreakdown: createActivityTypeBreakdown(activityTypeNames),
         emotionPatterns: {
           'Exciting': 0,
           'Happy': 0,
@@ -1612,8 +1711,8 @@ class FamilyTimeService {
       };
 
       childActivities.forEach(activity => {
-        // Count activity types
-        stats.activityTypeBreakdown[activity.type]++;
+        // Count activity types, including ones whose type has since been deleted
+        stats.activityTypeBreakdown[activity.type] = (stats.activityTypeBreakdown[activity.type] || 0) + 1;
 
         // Count emotions for this child
         const childParticipant = activity.participants.find(p => p.childId === childId);
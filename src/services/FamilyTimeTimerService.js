@@ -0,0 +1,113 @@
+import DataNamespacing from '../utils/dataNamespacing';
+import {
+  createFamilyTimeTimer,
+  isTimerRunning,
+  validateFamilyTimeTimer,
+} from '../utils/familyTimeTimerUtils';
+
+const FAMILY_TIME_TIMER_STORAGE_KEY = 'family-time-timer.json';
+
+/**
+ * Live family time timer
+ * One timer at a time, started when family time begins and stopped when it
+ * ends, so the activity can be logged with the real start and end times.
+ * The timer is stored per user in AsyncStorage, so it keeps running while
+ * the app is in the background or closed.
+ */
+class FamilyTimeTimerService {
+  /**
+   * Get the current timer
+   * @returns {Promise<Object|null>} Running or stopped timer, or null if none
+   */
+  static async getTimer() {
+    try {
+      const timer = await DataNamespacing.getUserData(FAMILY_TIME_TIMER_STORAGE_KEY, null);
+      return timer && validateFamilyTimeTimer(timer).valid ? timer : null;
+    } catch (error) {
+      console.error('Error loading family time timer:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Start family time now
+   * @param {Object} data - { activityType, childIds }
+   * @returns {Promise<Object|null>} Running timer or null if failed
+   * @throws {Error} If the type or children are missing, or a timer is already running
+   */
+  static async startTimer(data) {
+    const timer = createFamilyTimeTimer(data);
+    const validation = validateFamilyTimeTimer(timer);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    const existingTimer = await this.getTimer();
+    if (isTimerRunning(existingTimer)) {
+      throw new Error('Family time is already being timed. Stop it before starting another.');
+    }
+
+    return (await this._saveTimer(timer)) ? timer : null;
+  }
+
+  /**
+   * Stop the running timer
+   * @returns {Promise<Object|null>} Stopped timer or null if there is none
+   */
+  static async stopTimer() {
+    const timer = await this.getTimer();
+    if (!timer) {
+      return null;
+    }
+    if (!isTimerRunning(timer)) {
+      return timer;
+    }
+
+    const stoppedTimer = { ...timer, stoppedAt: new Date().toISOString() };
+    return (await this._saveTimer(stoppedTimer)) ? stoppedTimer : null;
+  }
+
+  /**
+   * Carry on timing a stopped timer from its original start
+   * @returns {Promise<Object|null>} Running timer or null if there is none
+   */
+  static async resumeTimer() {
+    const timer = await this.getTimer();
+    if (!timer) {
+      return null;
+    }
+
+    const runningTimer = { ...timer, stoppedAt: null };
+    return (await this._saveTimer(runningTimer)) ? runningTimer : null;
+  }
+
+  /**
+   * Remove the timer, once its activity is logged or it's discarded
+   * @returns {Promise<boolean>} Success status
+   */
+  static async clearTimer() {
+    try {
+      return await DataNamespacing.removeUserData(FAMILY_TIME_TIMER_STORAGE_KEY);
+    } catch (error) {
+      console.error('Error clearing family time timer:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Save the timer
+   * @private
+   * @param {Object} timer - Timer
+   * @returns {Promise<boolean>} Success status
+   */
+  static async _saveTimer(timer) {
+    try {
+      return await DataNamespacing.setUserData(FAMILY_TIME_TIMER_STORAGE_KEY, timer);
+    } catch (error) {
+      console.error('Error saving family time timer:', error);
+      return false;
+    }
+  }
+}
+
+export default FamilyTimeTimerService;
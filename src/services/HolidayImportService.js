@@ -0,0 +1,218 @@
+import DataNamespacing from '../utils/dataNamespacing';
+import CalendarEventsService from './CalendarEventsService';
+import SchoolYearService from './SchoolYearService';
+import {
+  HOLIDAY_IMPORT_BATCH_STATUS,
+  createHolidayImportBatch,
+  createHolidayImportBatchId,
+  findPreviouslyImportedHoliday,
+  getChildrenMissingFromHoliday,
+  getHolidayImportBatchChildIds,
+  getHolidayImportSchoolYearChanges,
+} from '../utils/holidayImportUtils';
+
+const HOLIDAY_IMPORT_BATCHES_STORAGE_KEY = 'holiday-import-batches.json';
+
+/**
+ * Holiday Import Service
+ * Saves the events read from a photographed school holiday calendar as one
+ * batch, keeps the import history of each child and undoes an import by
+ * removing everything it added. Batches are stored per user in AsyncStorage.
+ */
+class HolidayImportService {
+  /**
+   * Get the recorded imports, most recent first
+   * @param {string|null} childId - Only return the imports that include this child
+   * @returns {Promise<Array>} Import batches
+   */
+  static async getBatches(childId = null) {
+    try {
+      const batches = await DataNamespacing.getUserData(HOLIDAY_IMPORT_BATCHES_STORAGE_KEY, []);
+      return batches
+        .filter((batch) => !childId || getHolidayImportBatchChildIds(batch).includes(childId))
+        .sort((a, b) => new Date(b.importedAt) - new Date(a.importedAt));
+    } catch (error) {
+      console.error('Error loading holiday import history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save all batches
+   * @private
+   * @param {Array} batches - Import batches
+   * @returns {Promise<boolean>} Success status
+   */
+  static async _saveBatches(batches) {
+    try {
+      return await DataNamespacing.setUserData(HOLIDAY_IMPORT_BATCHES_STORAGE_KEY, batches);
+    } catch (error) {
+      console.error('Error saving holiday import history:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Flag scanned lines that an earlier import already added
+   * @param {Array} childIds - IDs of the children the lines are being imported for
+   * @param {Array} textItems - Lines from TextractService.extractAllTextInfo
+   * @returns {Promise<Array>} The lines with duplicateOf, the matching stored event or null,
+   *   and missingChildIds, the children the matching event does not include yet
+   */
+  static async flagPreviousImports(childIds, textItems) {
+    try {
+      const existingEvents = await CalendarEventsService.getEvents();
+      return textItems.map((item) => {
+        const duplicateOf = findPreviouslyImportedHoliday(item, existingEvents);
+        return {
+          ...item,
+          duplicateOf,
+          missingChildIds: duplicateOf
+            ? getChildrenMissingFromHoliday(duplicateOf, childIds, (event) =>
+                CalendarEventsService.getEventChildren(event)
+              )
+            : [],
+        };
+      });
+    } catch (error) {
+      console.error('Error checking previous holiday imports:', error);
+      return textItems.map((item) => ({ ...item, duplicateOf: null, missingChildIds: [] }));
+    }
+  }
+
+  /**
+   * Set the children of a stored holiday
+   * @private
+   * @param {string} eventId - Event ID
+   * @param {Function} getChildren - Returns the new children from the current ones
+   * @returns {Promise<boolean>} Success status
+   */
+  static async _updateHolidayChildren(eventId, getChildren) {
+    const events = await CalendarEventsService.getEvents();
+    const event = events.find((stored) => stored.id === eventId);
+    if (!event) {
+      return false;
+    }
+
+    const children = getChildren(CalendarEventsService.getEventChildren(event));
+    const updated = await CalendarEventsService.updateEvent(eventId, {
+      children,
+      childId: children[0]?.id || null,
+      childName: children[0]?.name || null,
+    });
+    return !!updated;
+  }
+
+  /**
+   * Save the events of an import and record it as a batch
+   * @param {Object} batchData - { childIds, childNames, sourceImageUri, skippedCount,
+   *   schoolYearChanges }
+   * @param {Array} events - Holiday and note events to add, shared by the children
+   * @param {Array} childAdditions - [{ eventId, children }], children to add to holidays
+   *   an earlier import created for other children
+   * @returns {Promise<Object|null>} { batch, failedCount }, or null if nothing was saved
+   */
+  static async importEvents(batchData, events, childAdditions = []) {
+    try {
+      const batchId = createHolidayImportBatchId();
+      const addedEvents = [];
+      const addedChildren = [];
+
+      for (let i = 0; i < events.length; i++) {
+        const newEvent = await CalendarEventsService.addEvent({
+          ...events[i],
+          // addEvent ids are timestamps, so keep ids unique within the batch
+          id: `${batchId}_${i}`,
+          importBatchId: batchId,
+        });
+        if (newEvent) {
+          addedEvents.push(newEvent);
+        }
+      }
+
+      for (const { eventId, children } of childAdditions) {
+        const added = await this._updateHolidayChildren(eventId, (current) => [
+          ...current,
+          ...children.filter((child) => !current.some((existing) => existing.id === child.id)),
+        ]);
+        if (added) {
+          addedChildren.push({ eventId, childIds: children.map((child) => child.id) });
+        }
+      }
+
+      if (addedEvents.length === 0 && addedChildren.length === 0) {
+        return null;
+      }
+
+      const batch = createHolidayImportBatch({
+        ...batchData,
+        id: batchId,
+        eventIds: addedEvents.map((event) => event.id),
+        holidayCount: addedEvents.filter((event) => event.type === 'holiday').length,
+        noteCount: addedEvents.filter((event) => event.type === 'note').length,
+        addedChildren,
+        updatedHolidayCount: addedChildren.length,
+      });
+
+      const batches = await this.getBatches();
+      await this._saveBatches([batch, ...batches]);
+
+      return {
+        batch,
+        failedCount: events.length + childAdditions.length - addedEvents.length - addedChildren.length,
+      };
+    } catch (error) {
+      console.error('Error importing holidays:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Undo an import: remove its events, the children it added to earlier holidays
+   * and the school year terms and breaks it added
+   * The batch stays in the history, marked as undone.
+   * @param {string} batchId - Import batch ID
+   * @returns {Promise<Object|null>} Updated batch or null if failed
+   */
+  static async undoBatch(batchId) {
+    try {
+      const batches = await this.getBatches();
+      const batch = batches.find((stored) => stored.id === batchId);
+      if (!batch || batch.status === HOLIDAY_IMPORT_BATCH_STATUS.UNDONE) {
+        return null;
+      }
+
+      const removedCount = await CalendarEventsService.deleteImportBatchEvents(batchId);
+      if (removedCount === null) {
+        return null;
+      }
+
+      for (const { eventId, childIds } of batch.addedChildren || []) {
+        await this._updateHolidayChildren(eventId, (current) =>
+          current.filter((child) => !childIds.includes(child.id))
+        );
+      }
+
+      for (const { schoolYearId, periodIds } of getHolidayImportSchoolYearChanges(batch)) {
+        if (periodIds.length > 0) {
+          await SchoolYearService.removePeriods(schoolYearId, periodIds);
+        }
+      }
+
+      const undoneBatch = {
+        ...batch,
+        status: HOLIDAY_IMPORT_BATCH_STATUS.UNDONE,
+        undoneAt: new Date().toISOString(),
+      };
+      const saved = await this._saveBatches(
+        batches.map((stored) => (stored.id === batchId ? undoneBatch : stored))
+      );
+      return saved ? undoneBatch : null;
+    } catch (error) {
+      console.error('Error undoing holiday import:', error);
+      return null;
+    }
+  }
+}
+
+export default HolidayImportService;
@@ -0,0 +1,49 @@
+import DataNamespacing from '../utils/dataNamespacing';
+
+const LUNAR_CALENDAR_SETTINGS_STORAGE_KEY = 'lunar-calendar-settings.json';
+
+const DEFAULT_LUNAR_CALENDAR_SETTINGS = {
+  showLunarDates: false,
+};
+
+/**
+ * Chinese lunar calendar display settings
+ * Lunar dates and festivals are worked out on the device by lunarCalendarUtils;
+ * this only stores whether the calendar shows them, per user in AsyncStorage.
+ */
+class LunarCalendarService {
+  /**
+   * Get the lunar calendar settings
+   * @returns {Promise<Object>} { showLunarDates }
+   */
+  static async getSettings() {
+    try {
+      const storedSettings = await DataNamespacing.getUserData(
+        LUNAR_CALENDAR_SETTINGS_STORAGE_KEY,
+        null
+      );
+      return { ...DEFAULT_LUNAR_CALENDAR_SETTINGS, ...storedSettings };
+    } catch (error) {
+      console.error('Error loading lunar calendar settings:', error);
+      return { ...DEFAULT_LUNAR_CALENDAR_SETTINGS };
+    }
+  }
+
+  /**
+   * Save the lunar calendar settings
+   * @param {Object} settings - { showLunarDates }
+   * @returns {Promise<boolean>} Success status
+   */
+  static async saveSettings(settings) {
+    try {
+      return await DataNamespacing.setUserData(LUNAR_CALENDAR_SETTINGS_STORAGE_KEY, {
+        showLunarDates: settings?.showLunarDates === true,
+      });
+    } catch (error) {
+      console.error('Error saving lunar calendar settings:', error);
+      return false;
+    }
+  }
+}
+
+export default LunarCalendarService;
@@ -1,5 +1,14 @@
 import * as Notifications from 'expo-notifications';
 import { Platform } from 'react-native';
+import { isRecurringEvent, expandRecurringEvent, getUpcomingOccurrences } from '../utils/recurrenceUtils';
+import { getIncompleteChecklistItems, hasChecklist } from '../utils/checklistUtils';
+import {
+  formatTimeInTimeZone,
+  getEventTimeZone,
+  getTimeZoneAbbreviation,
+  isEventInDeviceTimeZone,
+  shiftZonedDays,
+} from '../utils/timeZoneUtils';
 
 // Configure notification behavior
 Notifications.setNotificationHandler({
@@ -11,6 +20,49 @@ Notifications.setNotificationHandler({
 });
 
 class NotificationService {
+  // Upcoming occurrences of a recurring event that get reminders scheduled at once
+  static MAX_RECURRING_OCCURRENCES = 8;
+
+  // Most notifications kept pending at once; iOS only keeps the soonest 64
+  static MAX_PENDING_NOTIFICATIONS = 60;
+
+  // Most notifications of each other type kept pending, soonest first, so they
+  // always leave most of MAX_PENDING_NOTIFICATIONS to event reminders
+  static NOTIFICATION_QUOTAS = {
+    birthday_reminder: 8,
+    daily_digest: 6,
+    reading_nudge: 6,
+  };
+
+  // Days ahead that reconciliation keeps event reminders scheduled for
+  static REMINDER_WINDOW_DAYS = 30;
+
+  // Notification types scheduled for stored calendar events
+  static EVENT_NOTIFICATION_TYPES = ['event_reminder', 'checklist_reminder'];
+
+  // Reconciliation pass in progress, if any
+  static reconcilePromise = null;
+
+  // Notification categories, each with its own set of action buttons
+  static CATEGORIES = {
+    EVENT_REMINDER: 'event_reminder',
+    CHECKLIST_REMINDER: 'checklist_reminder',
+  };
+
+  // Action buttons shown on reminder notifications
+  static ACTIONS = {
+    OPEN: 'open_event',
+    SNOOZE_10_MIN: 'snooze_10_min',
+    SNOOZE_1_HOUR: 'snooze_1_hour',
+    DONE: 'mark_done',
+  };
+
+  // Minutes each snooze action postpones a reminder by
+  static SNOOZE_MINUTES = {
+    snooze_10_min: 10,
+    snooze_1_hour: 60,
+  };
+
   // Request notification permissions
   static async requestPermissions() {
     try {
@@ -43,58 +95,646 @@ class NotificationService {
     }
   }
 
+  // Register the notification categories and their action buttons
+  // Android shows at most three actions, so "Open" comes last where there are four;
+  // tapping the notification itself opens the event as well
+  static async registerNotificationCategories() {
+    try {
+      const snoozeActions = [
+        {
+          identifier: this.ACTIONS.SNOOZE_10_MIN,
+          buttonTitle: 'Snooze 10 min',
+          options: { opensAppToForeground: false },
+        },
+        {
+          identifier: this.ACTIONS.SNOOZE_1_HOUR,
+          buttonTitle: 'Snooze 1 hour',
+          options: { opensAppToForeground: false },
+        },
+      ];
+      const openAction = {
+        identifier: this.ACTIONS.OPEN,
+        buttonTitle: 'Open',
+        options: { opensAppToForeground: true },
+      };
+
+      await Notifications.setNotificationCategoryAsync(this.CATEGORIES.EVENT_REMINDER, [
+        ...snoozeActions,
+        openAction,
+      ]);
+      await Notifications.setNotificationCategoryAsync(this.CATEGORIES.CHECKLIST_REMINDER, [
+        {
+          identifier: this.ACTIONS.DONE,
+          buttonTitle: 'Done',
+          options: { opensAppToForeground: false },
+        },
+        ...snoozeActions,
+        openAction,
+      ]);
+      return true;
+    } catch (error) {
+      console.error('Error registering notification categories:', error);
+      return false;
+    }
+  }
+
+  // Schedule a reminder again a few minutes from now, keeping its content and actions
+  static async snoozeNotification(notification, minutes) {
+    try {
+      const { title, body, data, categoryIdentifier } = notification.request.content;
+      const snoozeTime = new Date(Date.now() + minutes * 60 * 1000);
+
+      return await Notifications.scheduleNotificationAsync({
+        content: {
+          title,
+          body,
+          data: {
+            ...data,
+            snoozedUntil: snoozeTime.toISOString(),
+          },
+          ...(categoryIdentifier ? { categoryIdentifier } : {}),
+        },
+        trigger: {
+          date: snoozeTime,
+        },
+      });
+    } catch (error) {
+      console.error('Error snoozing notification:', error);
+      return null;
+    }
+  }
+
+  // Get the category of an event's reminders; events with a checklist can be marked done
+  static getEventReminderCategory(event) {
+    return hasChecklist(event) ? this.CATEGORIES.CHECKLIST_REMINDER : this.CATEGORIES.EVENT_REMINDER;
+  }
+
   // Schedule reminders for an event
   static async scheduleEventReminders(event) {
     try {
       // First, cancel any existing reminders for this event
       await this.cancelEventReminders(event.id);
-      
-      if (!event.remindersEnabled || !event.reminders || event.reminders.length === 0) {
+
+      const eventReminders = event.remindersEnabled && event.reminders ? event.reminders : [];
+      const checklistReminderId = hasChecklist(event) ? event.checklistReminder : null;
+
+      if (eventReminders.length === 0 && !checklistReminderId) {
         return [];
       }
 
+      // Recurring events get reminders for their next few occurrences
+      const occurrences = isRecurringEvent(event)
+        ? getUpcomingOccurrences(event, new Date(), this.MAX_RECURRING_OCCURRENCES)
+        : [event];
+
+      const requests = this.getEventReminderRequests(event, occurrences)
+        .sort((a, b) => a.scheduledTime - b.scheduledTime);
+
       const scheduledNotifications = [];
-      const eventDateTime = this.getEventDateTime(event);
-      
+      for (const request of await this.fitRemindersInBudget(requests)) {
+        scheduledNotifications.push(await this.scheduleReminderRequest(request));
+      }
+
+      return scheduledNotifications;
+    } catch (error) {
+      console.error('Error scheduling event reminders:', error);
+      return [];
+    }
+  }
+
+  // Keep the pending notifications within MAX_PENDING_NOTIFICATIONS when adding
+  // reminders or other notifications, as reconciliation does. Once the budget is
+  // used up, a request only goes in if it fires before the latest pending event
+  // reminder, which is cancelled to make room; reconciliation schedules it again
+  // as its time nears. Requests are { scheduledTime, ... }, soonest first.
+  // Returns the requests that there is room for.
+  static async fitRemindersInBudget(requests) {
+    const scheduledNotifications = await this.getScheduledNotifications();
+    let freeSlots = this.MAX_PENDING_NOTIFICATIONS - scheduledNotifications.length;
+
+    const replaceableNotifications = scheduledNotifications
+      .filter(notification =>
+        this.EVENT_NOTIFICATION_TYPES.includes(notification.content.data?.type) &&
+        !notification.content.data.snoozedUntil &&
+        notification.content.data.reminderTime
+      )
+      .sort((a, b) =>
+        new Date(b.content.data.reminderTime) - new Date(a.content.data.reminderTime)
+      );
+
+    const fittedRequests = [];
+    for (const request of requests) {
+      if (freeSlots > 0) {
+        freeSlots--;
+        fittedRequests.push(request);
+        continue;
+      }
+
+      const latestNotification = replaceableNotifications[0];
+      if (!latestNotification || new Date(latestNotification.content.data.reminderTime) <= request.scheduledTime) {
+        break;
+      }
+
+      await Notifications.cancelScheduledNotificationAsync(latestNotification.identifier);
+      replaceableNotifications.shift();
+      fittedRequests.push(request);
+    }
+
+    if (fittedRequests.length < requests.length) {
+      console.warn(
+        `Pending notification limit reached; ${requests.length - fittedRequests.length} reminders left for later`
+      );
+    }
+
+    return fittedRequests;
+  }
+
+  // Fit notifications of one of the NOTIFICATION_QUOTAS types into their quota
+  // and the pending budget, soonest first. The rest are scheduled on a later refresh.
+  static async fitNotificationsInQuota(type, requests) {
+    const quotaRequests = requests
+      .filter(request => request.scheduledTime > new Date())
+      .sort((a, b) => a.scheduledTime - b.scheduledTime)
+      .slice(0, this.NOTIFICATION_QUOTAS[type]);
+
+    return this.fitRemindersInBudget(quotaRequests);
+  }
+
+  // Schedule a notification built for fitNotificationsInQuota
+  static async scheduleQuotaRequest(request) {
+    return Notifications.scheduleNotificationAsync({
+      content: request.content,
+      trigger: {
+        date: request.scheduledTime,
+      },
+    });
+  }
+
+  // Build the notifications for an event's reminders on the given occurrences
+  // Only reminders that are still in the future are included
+  static getEventReminderRequests(event, occurrences) {
+    const eventReminders = event.remindersEnabled && event.reminders ? event.reminders : [];
+    const checklistReminderId = hasChecklist(event) ? event.checklistReminder : null;
+    const timeZone = this.getEventReminderTimeZone(event);
+    const now = new Date();
+    const requests = [];
+
+    for (const occurrence of occurrences) {
+      const eventDateTime = this.getEventDateTime(occurrence);
+
       if (!eventDateTime) {
         console.warn('Could not determine event date/time for reminders');
-        return [];
+        continue;
       }
 
-      for (const reminderId of event.reminders) {
-        const reminderTime = this.calculateReminderTime(eventDateTime, reminderId);
-        
-        if (reminderTime && reminderTime > new Date()) {
-          const notificationId = await Notifications.scheduleNotificationAsync({
+      for (const reminderId of eventReminders) {
+        const reminderTime = this.calculateReminderTime(eventDateTime, reminderId, timeZone);
+
+        if (reminderTime && reminderTime > now) {
+          requests.push({
             content: {
               title: `Reminder: ${event.title}`,
-              body: this.getReminderMessage(event, reminderId),
+              body: this.getReminderMessage(occurrence, reminderId),
               data: {
                 eventId: event.id,
+                occurrenceDate: occurrence.occurrenceDate || null,
                 reminderId: reminderId,
+                reminderTime: reminderTime.toISOString(),
                 type: 'event_reminder'
               },
+              categoryIdentifier: this.getEventReminderCategory(event),
             },
-            trigger: {
-              date: reminderTime,
-            },
-          });
-          
-          scheduledNotifications.push({
-            notificationId,
             reminderId,
+            occurrenceDate: occurrence.occurrenceDate || null,
             scheduledTime: reminderTime,
           });
         }
       }
-      
+
+      if (checklistReminderId) {
+        const checklistRequest = this.getChecklistReminderRequest(
+          event,
+          occurrence,
+          eventDateTime,
+          checklistReminderId
+        );
+        if (checklistRequest) {
+          requests.push(checklistRequest);
+        }
+      }
+    }
+
+    return requests;
+  }
+
+  // Build the "checklist incomplete" reminder for one occurrence of an event
+  // Only built while items are unchecked; ticking the last item reschedules
+  // the event's reminders, which drops it
+  static getChecklistReminderRequest(event, occurrence, eventDateTime, reminderId) {
+    const incompleteItems = getIncompleteChecklistItems(occurrence);
+    if (incompleteItems.length === 0) {
+      return null;
+    }
+
+    const reminderTime = this.calculateReminderTime(
+      eventDateTime,
+      reminderId,
+      this.getEventReminderTimeZone(event)
+    );
+    if (!reminderTime || reminderTime <= new Date()) {
+      return null;
+    }
+
+    return {
+      content: {
+        title: `Checklist: ${event.title}`,
+        body: this.getChecklistReminderMessage(occurrence, incompleteItems),
+        data: {
+          eventId: event.id,
+          occurrenceDate: occurrence.occurrenceDate || null,
+          reminderId: reminderId,
+          reminderTime: reminderTime.toISOString(),
+          type: 'checklist_reminder'
+        },
+        categoryIdentifier: this.CATEGORIES.CHECKLIST_REMINDER,
+      },
+      reminderId,
+      occurrenceDate: occurrence.occurrenceDate || null,
+      scheduledTime: reminderTime,
+      isChecklistReminder: true,
+    };
+  }
+
+  // Schedule a reminder built by getEventReminderRequests
+  static async scheduleReminderRequest(request) {
+    const notificationId = await Notifications.scheduleNotificationAsync({
+      content: request.content,
+      trigger: {
+        date: request.scheduledTime,
+      },
+    });
+
+    return {
+      notificationId,
+      reminderId: request.reminderId,
+      occurrenceDate: request.occurrenceDate,
+      scheduledTime: request.scheduledTime,
+      ...(request.isChecklistReminder ? { isChecklistReminder: true } : {}),
+    };
+  }
+
+  // Bring the scheduled event reminders in line with the stored events
+  // Reminders are otherwise only scheduled when an event is saved on this device,
+  // so events pulled by sync, edited on another device or restored after a
+  // reinstall would go without. Only reminders within a rolling window are kept
+  // scheduled, soonest first, to stay under the pending notification limit.
+  static async reconcileEventReminders(events) {
+    // Startup and sync can both ask at once; share the pass that's running
+    if (!this.reconcilePromise) {
+      this.reconcilePromise = this.runEventReminderReconciliation(events).finally(() => {
+        this.reconcilePromise = null;
+      });
+    }
+    return this.reconcilePromise;
+  }
+
+  static async runEventReminderReconciliation(events) {
+    const result = { scheduled: 0, cancelled: 0, kept: 0 };
+
+    try {
+      const now = new Date();
+      const windowEnd = new Date(now);
+      windowEnd.setDate(windowEnd.getDate() + this.REMINDER_WINDOW_DAYS);
+
+      // Reminders that should be scheduled, soonest first
+      const wantedRequests = [];
+      for (const event of events || []) {
+        // Occurrences after the window can still have reminders that fire inside it
+        const occurrencesEnd = new Date(windowEnd);
+        occurrencesEnd.setDate(occurrencesEnd.getDate() + this.getMaxReminderLeadDays(event));
+
+        const occurrences = isRecurringEvent(event)
+          ? expandRecurringEvent(event, now, occurrencesEnd)
+          : [event];
+
+        this.getEventReminderRequests(event, occurrences)
+          .filter(request => request.scheduledTime <= windowEnd)
+          .forEach(request => wantedRequests.push(request));
+      }
+      wantedRequests.sort((a, b) => a.scheduledTime - b.scheduledTime);
+
+      const scheduledNotifications = await this.getScheduledNotifications();
+      const storedEventIds = new Set((events || []).map(event => event.id));
+      const isEventNotification = notification =>
+        this.EVENT_NOTIFICATION_TYPES.includes(notification.content.data?.type);
+
+      // Snoozed reminders stay until they fire, unless their event is gone
+      const snoozedNotifications = scheduledNotifications.filter(
+        notification => isEventNotification(notification) && notification.content.data.snoozedUntil
+      );
+      const reminderNotifications = scheduledNotifications.filter(
+        notification => isEventNotification(notification) && !notification.content.data.snoozedUntil
+      );
+      const otherNotificationCount = scheduledNotifications.filter(
+        notification => !isEventNotification(notification)
+      ).length;
+
+      const keptSnoozedNotifications = [];
+      for (const notification of snoozedNotifications) {
+        if (storedEventIds.has(notification.content.data.eventId)) {
+          keptSnoozedNotifications.push(notification);
+        } else {
+          await Notifications.cancelScheduledNotificationAsync(notification.identifier);
+          result.cancelled++;
+        }
+      }
+
+      const reminderBudget = Math.max(
+        0,
+        this.MAX_PENDING_NOTIFICATIONS - otherNotificationCount - keptSnoozedNotifications.length
+      );
+      const wantedByKey = new Map(
+        wantedRequests
+          .slice(0, reminderBudget)
+          .map(request => [this.getReminderKey(request.content.data), request])
+      );
+
+      // Keep reminders that are still wanted and unchanged; cancel orphans and stale ones
+      const keptKeys = new Set();
+      for (const notification of reminderNotifications) {
+        const key = this.getReminderKey(notification.content.data);
+        const wantedRequest = wantedByKey.get(key);
+
+        if (wantedRequest && !keptKeys.has(key) && this.isSameReminder(notification.content, wantedRequest.content)) {
+          keptKeys.add(key);
+          result.kept++;
+        } else {
+          await Notifications.cancelScheduledNotificationAsync(notification.identifier);
+          result.cancelled++;
+        }
+      }
+
+      for (const [key, request] of wantedByKey) {
+        if (!keptKeys.has(key)) {
+          await this.scheduleReminderRequest(request);
+          result.scheduled++;
+        }
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Error reconciling event reminders:', error);
+      return result;
+    }
+  }
+
+  // Identify a reminder by event, occurrence and reminder setting
+  static getReminderKey(data = {}) {
+    return [data.type, data.eventId, data.occurrenceDate || '', data.reminderId].join('|');
+  }
+
+  // Whether a scheduled reminder still matches the one that should be scheduled
+  static isSameReminder(scheduledContent, wantedContent) {
+    return (
+      scheduledContent.title === wantedContent.title &&
+      scheduledContent.body === wantedContent.body &&
+      scheduledContent.data?.reminderTime === wantedContent.data.reminderTime
+    );
+  }
+
+  // Get how many days before an occurrence an event's earliest reminder fires
+  static getMaxReminderLeadDays(event) {
+    const reminderIds = [
+      ...(event.remindersEnabled && event.reminders ? event.reminders : []),
+      ...(hasChecklist(event) && event.checklistReminder ? [event.checklistReminder] : []),
+    ];
+    const reference = new Date(2000, 0, 1, 12, 0, 0);
+
+    return reminderIds.reduce((maxDays, reminderId) => {
+      const reminderTime = this.calculateReminderTime(reference, reminderId);
+      if (!reminderTime) {
+        return maxDays;
+      }
+      return Math.max(maxDays, Math.ceil((reference - reminderTime) / (24 * 60 * 60 * 1000)));
+    }, 0);
+  }
+
+  // Get the message for a "checklist incomplete" reminder
+  static getChecklistReminderMessage(event, incompleteItems) {
+    const listedItems = incompleteItems.slice(0, 3).map(item => item.text).join(', ');
+    const remainingCount = incompleteItems.length - 3;
+    const itemsText = remainingCount > 0 ? `${listedItems} and ${remainingCount} more` : listedItems;
+    const itemLabel = incompleteItems.length === 1 ? 'item' : 'items';
+
+    return `${incompleteItems.length} ${itemLabel} still unchecked for "${event.title}": ${itemsText}. ${this.formatEventTime(event)}`;
+  }
+
+  // Schedule reminders for children's birthdays
+  // Birthdays are generated from child profiles, so all birthday reminders are
+  // replaced whenever the children or the birthday settings change
+  static async scheduleBirthdayReminders(birthdayEvents, reminderIds) {
+    try {
+      await this.cancelBirthdayReminders();
+
+      const requests = [];
+
+      for (const event of birthdayEvents) {
+        const eventDateTime = this.getEventDateTime(event);
+
+        for (const reminderId of reminderIds) {
+          const reminderTime = this.calculateReminderTime(eventDateTime, reminderId);
+
+          if (reminderTime) {
+            requests.push({
+              content: {
+                title: `Birthday: ${event.title}`,
+                body: this.getBirthdayReminderMessage(event, reminderId),
+                data: {
+                  eventId: event.id,
+                  childId: event.birthdayChildId,
+                  date: event.startDate,
+                  reminderId: reminderId,
+                  type: 'birthday_reminder'
+                },
+              },
+              reminderId,
+              childId: event.birthdayChildId,
+              scheduledTime: reminderTime,
+            });
+          }
+        }
+      }
+
+      const scheduledNotifications = [];
+      for (const request of await this.fitNotificationsInQuota('birthday_reminder', requests)) {
+        scheduledNotifications.push({
+          notificationId: await this.scheduleQuotaRequest(request),
+          reminderId: request.reminderId,
+          childId: request.childId,
+          scheduledTime: request.scheduledTime,
+        });
+      }
+
       return scheduledNotifications;
     } catch (error) {
-      console.error('Error scheduling event reminders:', error);
+      console.error('Error scheduling birthday reminders:', error);
+      return [];
+    }
+  }
+
+  // Cancel all birthday reminders
+  static async cancelBirthdayReminders() {
+    try {
+      const scheduledNotifications = await Notifications.getAllScheduledNotificationsAsync();
+
+      const birthdayNotifications = scheduledNotifications.filter(
+        notification => notification.content.data?.type === 'birthday_reminder'
+      );
+
+      for (const notification of birthdayNotifications) {
+        await Notifications.cancelScheduledNotificationAsync(notification.identifier);
+      }
+
+      return birthdayNotifications.length;
+    } catch (error) {
+      console.error('Error canceling birthday reminders:', error);
+      return 0;
+    }
+  }
+
+  // Get the message for a birthday reminder
+  static getBirthdayReminderMessage(event, reminderId) {
+    const name = event.childName || 'Your child';
+
+    switch (reminderId) {
+      case 'at_time':
+        return `Happy birthday! ${name} turns ${event.age} today.`;
+      case '1_day':
+        return `${name} turns ${event.age} tomorrow.`;
+      default:
+        if (reminderId.startsWith('custom_')) {
+          const parts = reminderId.replace('custom_', '').split('_');
+          return `${name} turns ${event.age} in ${parts[0]} ${parts[1]}. Time to think about a present!`;
+        }
+        return `${name} turns ${event.age} soon.`;
+    }
+  }
+
+  // Schedule the daily digest notifications
+  // Digests are built from the schedule when they're scheduled, so all of them
+  // are replaced whenever they're refreshed
+  static async scheduleDailyDigests(digestNotifications) {
+    try {
+      await this.cancelDailyDigests();
+
+      const requests = digestNotifications.map(digestNotification => ({
+        content: {
+          title: digestNotification.title,
+          body: digestNotification.body,
+          data: {
+            date: digestNotification.date,
+            kind: digestNotification.kind,
+            type: 'daily_digest'
+          },
+        },
+        scheduledTime: digestNotification.sendTime,
+      }));
+
+      const scheduledNotifications = [];
+      for (const request of await this.fitNotificationsInQuota('daily_digest', requests)) {
+        scheduledNotifications.push({
+          notificationId: await this.scheduleQuotaRequest(request),
+          date: request.content.data.date,
+          kind: request.content.data.kind,
+          scheduledTime: request.scheduledTime,
+        });
+      }
+
+      return scheduledNotifications;
+    } catch (error) {
+      console.error('Error scheduling daily digests:', error);
+      return [];
+    }
+  }
+
+  // Cancel all daily digest notifications
+  static async cancelDailyDigests() {
+    try {
+      const scheduledNotifications = await Notifications.getAllScheduledNotificationsAsync();
+
+      const digestNotifications = scheduledNotifications.filter(
+        notification => notification.content.data?.type === 'daily_digest'
+      );
+
+      for (const notification of digestNotifications) {
+        await Notifications.cancelScheduledNotificationAsync(notification.identifier);
+      }
+
+      return digestNotifications.length;
+    } catch (error) {
+      console.error('Error canceling daily digests:', error);
+      return 0;
+    }
+  }
+
+  // Schedule the evening reading nudges
+  // A nudge is only scheduled while a child's daily reading goal isn't met,
+  // so all of them are replaced whenever reading is logged or goals change
+  static async scheduleReadingNudges(nudges) {
+    try {
+      await this.cancelReadingNudges();
+
+      const requests = nudges.map(nudge => ({
+        content: {
+          title: nudge.title,
+          body: nudge.body,
+          data: {
+            childId: nudge.childId,
+            goalId: nudge.goalId,
+            date: nudge.date,
+            type: 'reading_nudge'
+          },
+        },
+        scheduledTime: nudge.sendTime,
+      }));
+
+      const scheduledNotifications = [];
+      for (const request of await this.fitNotificationsInQuota('reading_nudge', requests)) {
+        scheduledNotifications.push({
+          notificationId: await this.scheduleQuotaRequest(request),
+          childId: request.content.data.childId,
+          date: request.content.data.date,
+          scheduledTime: request.scheduledTime,
+        });
+      }
+
+      return scheduledNotifications;
+    } catch (error) {
+      console.error('Error scheduling reading nudges:', error);
       return [];
     }
   }
 
+  // Cancel all reading nudges
+  static async cancelReadingNudges() {
+    try {
+      const scheduledNotifications = await Notifications.getAllScheduledNotificationsAsync();
+
+      const nudgeNotifications = scheduledNotifications.filter(
+        notification => notification.content.data?.type === 'reading_nudge'
+      );
+
+      for (const notification of nudgeNotifications) {
+        await Notifications.cancelScheduledNotificationAsync(notification.identifier);
+      }
+
+      return nudgeNotifications.length;
+    } catch (error) {
+      console.error('Error canceling reading nudges:', error);
+      return 0;
+    }
+  }
+
   // Cancel all reminders for an event
   static async cancelEventReminders(eventId) {
     try {
@@ -127,9 +767,27 @@ class NotificationService {
     }
   }
 
+  // Get the zone whose calendar days "days before" reminders count in
+  // Timed events use the zone they were entered in; all-day events have none,
+  // so their reminders follow the device
+  static getEventReminderTimeZone(event) {
+    return event.isAllDay ? null : getEventTimeZone(event);
+  }
+
+  // Move a reminder time back by whole days, in the event's zone when it has one
+  static subtractReminderDays(reminderTime, days, timeZone) {
+    if (timeZone) {
+      return shiftZonedDays(reminderTime, -days, timeZone);
+    }
+    reminderTime.setDate(reminderTime.getDate() - days);
+    return reminderTime;
+  }
+
   // Calculate the reminder time based on the reminder ID
-  static calculateReminderTime(eventDateTime, reminderId) {
-    const reminderTime = new Date(eventDateTime);
+  // Day reminders keep the event's wall-clock time in timeZone, so "1 day
+  // before" a 9 AM flight fires at 9 AM the day before in the departure zone
+  static calculateReminderTime(eventDateTime, reminderId, timeZone = null) {
+    let reminderTime = new Date(eventDateTime);
     
     switch (reminderId) {
       case 'at_time':
@@ -147,8 +805,7 @@ class NotificationService {
         reminderTime.setHours(reminderTime.getHours() - 1);
         return reminderTime;
       case '1_day':
-        reminderTime.setDate(reminderTime.getDate() - 1);
-        return reminderTime;
+        return this.subtractReminderDays(reminderTime, 1, timeZone);
       default:
         // Handle custom reminders
         if (reminderId.startsWith('custom_')) {
@@ -164,7 +821,7 @@ class NotificationService {
               reminderTime.setHours(reminderTime.getHours() - amount);
               break;
             case 'days':
-              reminderTime.setDate(reminderTime.getDate() - amount);
+              reminderTime = this.subtractReminderDays(reminderTime, amount, timeZone);
               break;
           }
           
@@ -204,20 +861,22 @@ class NotificationService {
   }
 
   // Format event time for display in notifications
+  // Times are shown in the event's zone, with the zone named when it differs
+  // from the device's
   static formatEventTime(event) {
     if (event.isAllDay) {
       return 'All day event';
     } else {
       const startTime = new Date(event.startDateTime);
-      return startTime.toLocaleTimeString('en-US', {
-        hour: 'numeric',
-        minute: '2-digit',
-        hour12: true
-      });
+      const timeZone = getEventTimeZone(event);
+      const timeText = formatTimeInTimeZone(startTime, timeZone);
+      return isEventInDeviceTimeZone(event)
+        ? timeText
+        : `${timeText} ${getTimeZoneAbbreviation(startTime, timeZone)}`;
     }
   }
 
-  // Get all scheduled notifications (for debugging)
+  // Get all scheduled notifications
   static async getScheduledNotifications() {
     try {
       return await Notifications.getAllScheduledNotificationsAsync();
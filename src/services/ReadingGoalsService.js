@@ -0,0 +1,226 @@
+import DataNamespacing from '../utils/dataNamespacing';
+import DataValidationService from './DataValidationService';
+import ChildrenDataService from './ChildrenDataService';
+import FamilyTimeService from './FamilyTimeService';
+import NotificationService from './NotificationService';
+import SchoolYearService from './SchoolYearService';
+import { getChildDisplayName } from '../utils/birthdayUtils';
+import { formatLocalDateString } from '../utils/dateUtils';
+import {
+  READING_GOAL_METRICS,
+  READING_GOAL_PERIODS,
+  calculateReadingStreak,
+  computeReadingGoalProgress,
+  getDailyMinutesTarget,
+  getReadingGoalLabel,
+  getReadingNudgeSendTime,
+} from '../utils/readingGoalUtils';
+
+const READING_GOALS_STORAGE_KEY = 'reading-goals.json';
+
+/**
+ * Reading goals of each child
+ * Goals are stored per user in AsyncStorage; progress and streaks are worked
+ * out from the Reading Time activities whenever they're shown. Daily goals
+ * can nudge the family in the evening while today's target hasn't been met.
+ */
+class ReadingGoalsService {
+  // Refreshes run one after another so their cancel and schedule steps don't interleave
+  static refreshQueue = Promise.resolve();
+
+  /**
+   * Get the stored reading goals
+   * @param {string|null} childId - Only return this child's goals
+   * @returns {Promise<Array>} Reading goals, oldest first
+   */
+  static async getGoals(childId = null) {
+    try {
+      const goals = await DataNamespacing.getUserData(READING_GOALS_STORAGE_KEY, []);
+      return goals.filter((goal) => !childId || goal.childId === childId);
+    } catch (error) {
+      console.error('Error loading reading goals:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save a goal, replacing any stored version of it, and update the nudges
+   * A child has one goal per metric and period, so a new goal replaces an
+   * existing one that counts the same thing over the same period.
+   * @param {Object} goal - Reading goal
+   * @returns {Promise<Object|null>} Saved goal or null if failed
+   * @throws {Error} If the goal is invalid
+   */
+  static async saveGoal(goal) {
+    const validatedGoal = {
+      ...DataValidationService.validateReadingGoal(goal),
+      updatedAt: new Date().toISOString(),
+    };
+
+    try {
+      const goals = await this.getGoals();
+      const saved = await DataNamespacing.setUserData(READING_GOALS_STORAGE_KEY, [
+        ...goals.filter(
+          (stored) =>
+            stored.id !== validatedGoal.id &&
+            !(
+              stored.childId === validatedGoal.childId &&
+              stored.metric === validatedGoal.metric &&
+              stored.period === validatedGoal.period
+            )
+        ),
+        validatedGoal,
+      ]);
+      if (!saved) {
+        return null;
+      }
+
+      await this.refreshReadingNudges();
+      return validatedGoal;
+    } catch (error) {
+      console.error('Error saving reading goal:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a goal and update the nudges
+   * @param {string} goalId - Goal ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteGoal(goalId) {
+    try {
+      const goals = await this.getGoals();
+      const saved = await DataNamespacing.setUserData(
+        READING_GOALS_STORAGE_KEY,
+        goals.filter((goal) => goal.id !== goalId)
+      );
+      if (saved) {
+        await this.refreshReadingNudges();
+      }
+      return saved;
+    } catch (error) {
+      console.error('Error deleting reading goal:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get a child's progress towards each goal and their reading streak
+   * @param {string} childId - Child ID
+   * @param {Date} date - Day to measure from, today by default
+   * @returns {Promise<Object>} { goals: progress from computeReadingGoalProgress,
+   *   streak: { current, longest, todayDone } }
+   */
+  static async getProgress(childId, date = new Date()) {
+    try {
+      const [goals, activities, schoolYears] = await Promise.all([
+        this.getGoals(childId),
+        FamilyTimeService.getActivitiesForChild(childId),
+        SchoolYearService.getSchoolYears(childId),
+      ]);
+
+      return {
+        goals: goals.map((goal) =>
+          computeReadingGoalProgress(goal, activities, date, schoolYears)
+        ),
+        streak: calculateReadingStreak(activities, childId, date, getDailyMinutesTarget(goals)),
+      };
+    } catch (error) {
+      console.error('Error getting reading goal progress:', error);
+      return { goals: [], streak: { current: 0, longest: 0, todayDone: false } };
+    }
+  }
+
+  /**
+   * Replace the scheduled reading nudges
+   * Each daily goal with its nudge turned on gets one for this evening, unless
+   * it has already been met, and one for tomorrow evening in case the app
+   * isn't opened before then.
+   * @returns {Promise<boolean>} Success status
+   */
+  static async refreshReadingNudges() {
+    const refresh = this.refreshQueue.then(() => this._rescheduleNudges());
+    this.refreshQueue = refresh;
+    return refresh;
+  }
+
+  /**
+   * Build and schedule the nudges; use refreshReadingNudges instead
+   * @private
+   * @returns {Promise<boolean>} Success status
+   */
+  static async _rescheduleNudges() {
+    try {
+      const nudgeGoals = (await this.getGoals()).filter(
+        (goal) => goal.period === READING_GOAL_PERIODS.DAY && goal.nudgeEnabled
+      );
+
+      if (nudgeGoals.length === 0) {
+        await NotificationService.cancelReadingNudges();
+        return true;
+      }
+
+      const children = await ChildrenDataService.getChildren();
+      const today = new Date();
+      const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+      const nudges = [];
+
+      for (const goal of nudgeGoals) {
+        const child = children.find((candidate) => candidate.id === goal.childId);
+        if (!child) {
+          continue;
+        }
+
+        const activities = await FamilyTimeService.getActivitiesForChild(goal.childId);
+        const todayProgress = computeReadingGoalProgress(goal, activities, today);
+
+        [
+          { day: today, progress: todayProgress },
+          { day: tomorrow, progress: { ...todayProgress, current: 0, remaining: goal.target } },
+        ]
+          .filter(({ progress }) => progress.remaining > 0)
+          .forEach(({ day, progress }) => {
+            const date = formatLocalDateString(day);
+            nudges.push({
+              ...this.getNudgeMessage(getChildDisplayName(child), goal, progress),
+              childId: goal.childId,
+              goalId: goal.id,
+              date,
+              sendTime: getReadingNudgeSendTime(date, goal.nudgeTime),
+            });
+          });
+      }
+
+      await NotificationService.scheduleReadingNudges(nudges);
+      return true;
+    } catch (error) {
+      console.error('Error refreshing reading nudges:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the title and body of a reading nudge
+   * @param {string} childName - Child's display name
+   * @param {Object} goal - Daily reading goal
+   * @param {Object} progress - Progress towards the goal today
+   * @returns {Object} { title, body }
+   */
+  static getNudgeMessage(childName, goal, progress) {
+    const remaining =
+      goal.metric === READING_GOAL_METRICS.MINUTES
+        ? `${progress.remaining} more minute${progress.remaining === 1 ? '' : 's'}`
+        : `${progress.remaining} more book${progress.remaining === 1 ? '' : 's'}`;
+
+    return {
+      title: `Reading time for ${childName}`,
+      body:
+        progress.current > 0
+          ? `${remaining} to go for today's reading goal of ${getReadingGoalLabel(goal)}.`
+          : `No reading logged yet today. The goal is ${getReadingGoalLabel(goal)}.`,
+    };
+  }
+}
+
+export default ReadingGoalsService;
@@ -0,0 +1,184 @@
+import DataNamespacing from '../utils/dataNamespacing';
+import DataValidationService from './DataValidationService';
+import FamilyTimeService from './FamilyTimeService';
+import {
+  BOOK_STATUSES,
+  buildChildLibrary,
+  createLibraryBookRecord,
+  getBookKey,
+  getLibraryBookId,
+} from '../utils/readingLibraryUtils';
+
+const READING_LIBRARY_STORAGE_KEY = 'reading-library.json';
+
+/**
+ * Each child's reading library
+ * Books and reading sessions come from Reading Time activities; this service
+ * adds the stored status (reading, finished, put aside), finish dates and
+ * rating for each book. Book records are stored per user in AsyncStorage.
+ */
+class ReadingLibraryService {
+  /**
+   * Get the stored book records
+   * @param {string|null} childId - Only return this child's books
+   * @returns {Promise<Array>} Book records
+   */
+  static async getBookRecords(childId = null) {
+    try {
+      const records = await DataNamespacing.getUserData(READING_LIBRARY_STORAGE_KEY, []);
+      return records.filter((record) => !childId || record.childId === childId);
+    } catch (error) {
+      console.error('Error loading reading library:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a child's library with sessions, minutes and re-reads for each book
+   * @param {string} childId - Child ID
+   * @returns {Promise<Array>} Books, most recently read first
+   */
+  static async getLibrary(childId) {
+    try {
+      const [activities, records] = await Promise.all([
+        FamilyTimeService.getActivitiesForChild(childId),
+        this.getBookRecords(childId),
+      ]);
+      return buildChildLibrary(activities, childId, records);
+    } catch (error) {
+      console.error('Error building reading library:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the books on any of these children's shelves, for picking a book
+   * when logging a new Reading Time activity
+   * @param {string[]} childIds - Child IDs
+   * @returns {Promise<Array>} Unique books, ones being read first
+   */
+  static async getBooksForChildren(childIds = []) {
+    const libraries = await Promise.all(childIds.map((childId) => this.getLibrary(childId)));
+    const booksByKey = new Map();
+
+    libraries.flat().forEach((book) => {
+      const existing = booksByKey.get(book.key);
+      if (!existing) {
+        booksByKey.set(book.key, { ...book, childIds: [book.childId] });
+        return;
+      }
+      existing.childIds.push(book.childId);
+      if (book.status === BOOK_STATUSES.READING) {
+        existing.status = BOOK_STATUSES.READING;
+      }
+      if (!existing.coverImageUri && book.coverImageUri) {
+        existing.coverImageUri = book.coverImageUri;
+      }
+      if (book.lastReadAt && (!existing.lastReadAt || book.lastReadAt > existing.lastReadAt)) {
+        existing.lastReadAt = book.lastReadAt;
+      }
+    });
+
+    const statusOrder = [BOOK_STATUSES.READING, BOOK_STATUSES.FINISHED, BOOK_STATUSES.ABANDONED];
+    return Array.from(booksByKey.values()).sort(
+      (a, b) =>
+        statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status) ||
+        new Date(b.lastReadAt || 0) - new Date(a.lastReadAt || 0)
+    );
+  }
+
+  /**
+   * Add a book to a child's shelf before any reading session is logged
+   * @param {string} childId - Child ID
+   * @param {Object} book - { title, author }
+   * @returns {Promise<Object|null>} Saved book record or null if failed
+   * @throws {Error} If the book is invalid
+   */
+  static async addBook(childId, book) {
+    const records = await this.getBookRecords(childId);
+    const existing = records.find(
+      (record) => record.key === getBookKey(book.title, book.author)
+    );
+    if (existing) {
+      return existing;
+    }
+    return await this.saveBookRecord(createLibraryBookRecord(childId, book));
+  }
+
+  /**
+   * Change a book's status or rating
+   * Marking a book finished records the date, so reading it again later
+   * counts as a re-read.
+   * @param {string} childId - Child ID
+   * @param {Object} book - Library book with title, author and current status
+   * @param {Object} updates - { status, rating }
+   * @returns {Promise<Object|null>} Saved book record or null if failed
+   * @throws {Error} If the update is invalid
+   */
+  static async updateBook(childId, book, updates) {
+    const records = await this.getBookRecords(childId);
+    const bookId = getLibraryBookId(childId, getBookKey(book.title, book.author));
+    const now = new Date().toISOString();
+    const record = {
+      ...(records.find((stored) => stored.id === bookId) ||
+        createLibraryBookRecord(childId, book)),
+    };
+
+    if (updates.status && updates.status !== book.status) {
+      record.status = updates.status;
+      record.statusUpdatedAt = now;
+      if (updates.status === BOOK_STATUSES.FINISHED) {
+        record.finishedDates = [...(record.finishedDates || []), now];
+      }
+    }
+
+    if (updates.rating !== undefined) {
+      record.rating = updates.rating;
+    }
+
+    return await this.saveBookRecord({ ...record, updatedAt: now });
+  }
+
+  /**
+   * Save a book record, replacing any stored version of it
+   * @param {Object} record - Book record
+   * @returns {Promise<Object|null>} Saved book record or null if failed
+   * @throws {Error} If the book record is invalid
+   */
+  static async saveBookRecord(record) {
+    const validatedRecord = DataValidationService.validateLibraryBook(record);
+
+    try {
+      const records = await this.getBookRecords();
+      const saved = await DataNamespacing.setUserData(READING_LIBRARY_STORAGE_KEY, [
+        ...records.filter((stored) => stored.id !== validatedRecord.id),
+        validatedRecord,
+      ]);
+      return saved ? validatedRecord : null;
+    } catch (error) {
+      console.error('Error saving library book:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove a book's stored status and rating
+   * Books that still have reading sessions stay on the shelf as being read.
+   * @param {string} bookId - Book ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteBookRecord(bookId) {
+    try {
+      const records = await this.getBookRecords();
+      return await DataNamespacing.setUserData(
+        READING_LIBRARY_STORAGE_KEY,
+        records.filter((record) => record.id !== bookId)
+      );
+    } catch (error) {
+      console.error('Error deleting library book:', error);
+      return false;
+    }
+  }
+}
+
+export default ReadingLibraryService;
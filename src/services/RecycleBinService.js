@@ -0,0 +1,271 @@
+import DataNamespacing from '../utils/dataNamespacing';
+import DynamoDBRecycleBinService from './DynamoDBRecycleBinService';
+import {
+  RECYCLE_BIN_RETENTION_DAYS,
+  RECYCLE_BIN_STATUS,
+  createRecycleBinEntry,
+  getRecycleBinEntryId,
+  isRecycleBinEntryActive,
+  isRecycleBinEntryExpired,
+  mergeRecycleBinEntries,
+} from '../utils/recycleBinUtils';
+
+const RECYCLE_BIN_STORAGE_KEY = 'recycle-bin.json';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Recycle Bin Service
+ * Keeps a copy of deleted events, activities and children for 30 days. The
+ * entries are stored per user in AsyncStorage and, when DynamoDB is enabled,
+ * pushed to the server so DataSyncService can bring other devices in line.
+ * Putting items back is left to the service that owns them; this service only
+ * records the entries and their status.
+ */
+class RecycleBinService {
+  // Configuration flag to switch between storage backends
+  static USE_DYNAMODB = process.env.EXPO_PUBLIC_USE_DYNAMODB === 'true' || false;
+
+  /**
+   * Get all stored entries, including restored and purged ones
+   * @private
+   * @returns {Promise<Array>} Entries
+   */
+  static async _getAllEntries() {
+    try {
+      return await DataNamespacing.getUserData(RECYCLE_BIN_STORAGE_KEY, []);
+    } catch (error) {
+      console.error('Error loading recycle bin:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save all entries
+   * @private
+   * @param {Array} entries - Entries
+   * @returns {Promise<boolean>} Success status
+   */
+  static async _saveAllEntries(entries) {
+    try {
+      return await DataNamespacing.setUserData(RECYCLE_BIN_STORAGE_KEY, entries);
+    } catch (error) {
+      console.error('Error saving recycle bin:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Push an entry to the server so other devices see the change
+   * A failed push is picked up by the next sync, as the local entry is newer.
+   * @private
+   * @param {Object} entry - Entry
+   * @returns {Promise<void>}
+   */
+  static async _pushEntry(entry) {
+    if (!this.USE_DYNAMODB) {
+      return;
+    }
+    await DynamoDBRecycleBinService.putEntry(entry);
+  }
+
+  /**
+   * Replace a stored entry, or add it if there is none
+   * @private
+   * @param {Object} entry - Entry
+   * @returns {Promise<boolean>} Success status
+   */
+  static async _storeEntry(entry) {
+    const entries = await this._getAllEntries();
+    const otherEntries = entries.filter((stored) => stored.entryId !== entry.entryId);
+    const saved = await this._saveAllEntries([...otherEntries, entry]);
+    if (saved) {
+      await this._pushEntry(entry);
+    }
+    return saved;
+  }
+
+  /**
+   * Get the items still in the bin, most recently deleted first
+   * @returns {Promise<Array>} Active entries
+   */
+  static async getEntries() {
+    const entries = await this._getAllEntries();
+    const now = new Date();
+    return entries
+      .filter((entry) => isRecycleBinEntryActive(entry, now))
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+  }
+
+  /**
+   * Get the entry of a deleted item, if it is still in the bin
+   * @param {string} type - RECYCLE_BIN_ITEM_TYPES value
+   * @param {string} itemId - Item ID
+   * @returns {Promise<Object|null>} Entry or null if not found
+   */
+  static async getEntry(type, itemId) {
+    const entryId = getRecycleBinEntryId(type, itemId);
+    const entries = await this._getAllEntries();
+    const entry = entries.find((stored) => stored.entryId === entryId);
+    return entry && isRecycleBinEntryActive(entry) ? entry : null;
+  }
+
+  /**
+   * Put deleted items in the bin
+   * @param {string} type - RECYCLE_BIN_ITEM_TYPES value
+   * @param {Array} items - Deleted items, the one the entry is named after first
+   * @param {Object} [options] - { itemId, title, removedItemIds } for deletes that
+   *   change items rather than remove them, see createRecycleBinEntry
+   * @returns {Promise<Object|null>} Created entry or null if failed
+   */
+  static async addEntry(type, items, options = {}) {
+    try {
+      if (!items || items.length === 0) {
+        return null;
+      }
+
+      const entry = createRecycleBinEntry(type, items, new Date(), options);
+      const saved = await this._storeEntry(entry);
+      return saved ? entry : null;
+    } catch (error) {
+      console.error('Error adding recycle bin entry:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record that an entry's items were put back
+   * @param {string} entryId - Entry ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async markRestored(entryId) {
+    return await this._setStatus(entryId, RECYCLE_BIN_STATUS.RESTORED);
+  }
+
+  /**
+   * Remove an entry's items for good
+   * @param {string} entryId - Entry ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async purgeEntry(entryId) {
+    return await this._setStatus(entryId, RECYCLE_BIN_STATUS.PURGED);
+  }
+
+  /**
+   * Change an entry's status
+   * The entry is kept as a tombstone so the change syncs. Restored entries keep
+   * their items so other devices can put them back too; purged ones drop them.
+   * @private
+   * @param {string} entryId - Entry ID
+   * @param {string} status - RECYCLE_BIN_STATUS value
+   * @returns {Promise<boolean>} Success status
+   */
+  static async _setStatus(entryId, status) {
+    try {
+      const entries = await this._getAllEntries();
+      const entry = entries.find((stored) => stored.entryId === entryId);
+      if (!entry) {
+        return false;
+      }
+
+      return await this._storeEntry({
+        ...entry,
+        status,
+        items: status === RECYCLE_BIN_STATUS.PURGED ? [] : entry.items,
+        changedAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('Error updating recycle bin entry:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Purge entries past their retention period and forget old tombstones
+   * Tombstones are kept for another retention period so devices that were
+   * offline still pick up the change.
+   * @returns {Promise<number>} Number of entries purged
+   */
+  static async purgeExpired() {
+    try {
+      const entries = await this._getAllEntries();
+      const now = new Date();
+      const tombstoneCutoff = new Date(now.getTime() - RECYCLE_BIN_RETENTION_DAYS * DAY_MS);
+      const keptEntries = [];
+      const expiredEntries = [];
+      let purgedCount = 0;
+
+      entries.forEach((entry) => {
+        if (entry.status === RECYCLE_BIN_STATUS.DELETED && isRecycleBinEntryExpired(entry, now)) {
+          purgedCount++;
+          keptEntries.push({
+            ...entry,
+            status: RECYCLE_BIN_STATUS.PURGED,
+            items: [],
+            changedAt: now.toISOString(),
+          });
+        } else if (entry.status !== RECYCLE_BIN_STATUS.DELETED && new Date(entry.changedAt) < tombstoneCutoff) {
+          expiredEntries.push(entry);
+        } else {
+          keptEntries.push(entry);
+        }
+      });
+
+      if (purgedCount === 0 && expiredEntries.length === 0) {
+        return 0;
+      }
+
+      await this._saveAllEntries(keptEntries);
+
+      if (this.USE_DYNAMODB) {
+        for (const entry of expiredEntries) {
+          await DynamoDBRecycleBinService.deleteEntry(entry.entryId);
+        }
+      }
+
+      return purgedCount;
+    } catch (error) {
+      console.error('Error purging expired recycle bin entries:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Merge this device's entries with the server's
+   * @returns {Promise<Object|null>} { changedEntries, pushedCount }, with the
+   *   changes made on other devices, or null if the server couldn't be reached
+   */
+  static async syncEntries() {
+    try {
+      if (!this.USE_DYNAMODB) {
+        return { changedEntries: [], pushedCount: 0 };
+      }
+
+      const remoteEntries = await DynamoDBRecycleBinService.getEntries();
+      if (remoteEntries === null) {
+        return null;
+      }
+
+      const localEntries = await this._getAllEntries();
+      const { entries, changedEntries, entriesToPush } = mergeRecycleBinEntries(localEntries, remoteEntries);
+
+      if (changedEntries.length > 0) {
+        await this._saveAllEntries(entries);
+      }
+
+      let pushedCount = 0;
+      for (const entry of entriesToPush) {
+        if (await DynamoDBRecycleBinService.putEntry(entry)) {
+          pushedCount++;
+        }
+      }
+
+      return { changedEntries, pushedCount };
+    } catch (error) {
+      console.error('Error syncing recycle bin:', error);
+      return null;
+    }
+  }
+}
+
+export default RecycleBinService;
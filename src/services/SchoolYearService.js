@@ -0,0 +1,181 @@
+import DataNamespacing from '../utils/dataNamespacing';
+import DataValidationService from './DataValidationService';
+import {
+  buildSchoolPeriodsFromImport,
+  createSchoolYear,
+  getAcademicYearForDate,
+  getNonSchoolDays,
+  getSchoolDayStatus,
+  getSchoolYearId,
+  mergeSchoolPeriods,
+} from '../utils/schoolYearUtils';
+
+const SCHOOL_YEARS_STORAGE_KEY = 'school-years.json';
+
+/**
+ * School years of each child
+ * A school year records a child's terms, half terms and holidays for one
+ * academic year, filled in from imported timetables and edited on the child's
+ * profile. Other features ask it whether a date is a school day. School years
+ * are stored per user in AsyncStorage.
+ */
+class SchoolYearService {
+  /**
+   * Get the stored school years, oldest first
+   * @param {string|null} childId - Only return this child's school years
+   * @returns {Promise<Array>} School years
+   */
+  static async getSchoolYears(childId = null) {
+    try {
+      const schoolYears = await DataNamespacing.getUserData(SCHOOL_YEARS_STORAGE_KEY, []);
+      return schoolYears
+        .filter((schoolYear) => !childId || schoolYear.childId === childId)
+        .sort((a, b) => a.startYear - b.startYear);
+    } catch (error) {
+      console.error('Error loading school years:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save a school year, replacing any stored version of it
+   * @param {Object} schoolYear - School year
+   * @returns {Promise<Object|null>} Saved school year or null if failed
+   * @throws {Error} If the school year is invalid
+   */
+  static async saveSchoolYear(schoolYear) {
+    const validatedSchoolYear = {
+      ...DataValidationService.validateSchoolYear(schoolYear),
+      updatedAt: new Date().toISOString(),
+    };
+
+    try {
+      const schoolYears = await this.getSchoolYears();
+      const otherSchoolYears = schoolYears.filter((stored) => stored.id !== validatedSchoolYear.id);
+      const saved = await DataNamespacing.setUserData(SCHOOL_YEARS_STORAGE_KEY, [
+        ...otherSchoolYears,
+        validatedSchoolYear,
+      ]);
+      return saved ? validatedSchoolYear : null;
+    } catch (error) {
+      console.error('Error saving school year:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a school year
+   * @param {string} schoolYearId - School year ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteSchoolYear(schoolYearId) {
+    try {
+      const schoolYears = await this.getSchoolYears();
+      return await DataNamespacing.setUserData(
+        SCHOOL_YEARS_STORAGE_KEY,
+        schoolYears.filter((schoolYear) => schoolYear.id !== schoolYearId)
+      );
+    } catch (error) {
+      console.error('Error deleting school year:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Add holidays read from a school timetable to a child's school year
+   * The school year is created if the child doesn't have one for the academic year yet.
+   * @param {string} childId - Child ID
+   * @param {Object|null} academicYear - { startYear, endYear } read from the timetable,
+   *   or null to work it out from the dates
+   * @param {Array} items - [{ title, date, groupId }]
+   * @returns {Promise<Object|null>} { schoolYear, addedTerms, addedBreaks, addedPeriodIds },
+   *   or null if failed
+   */
+  static async importHolidays(childId, academicYear, items) {
+    try {
+      const datedItems = items.filter((item) => item.date);
+      if (datedItems.length === 0) {
+        return null;
+      }
+
+      const earliestDate = datedItems.map((item) => item.date).sort()[0];
+      const range = academicYear || getAcademicYearForDate(earliestDate);
+      const schoolYearId = getSchoolYearId(childId, range.startYear);
+      const schoolYears = await this.getSchoolYears(childId);
+      const schoolYear = schoolYears.find((stored) => stored.id === schoolYearId)
+        || createSchoolYear(childId, range);
+
+      const result = mergeSchoolPeriods(schoolYear, buildSchoolPeriodsFromImport(datedItems));
+      const savedSchoolYear = await this.saveSchoolYear(result.schoolYear);
+      if (!savedSchoolYear) {
+        return null;
+      }
+
+      return { ...result, schoolYear: savedSchoolYear };
+    } catch (error) {
+      console.error('Error importing school holidays:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove terms and breaks from a school year, such as the ones an undone import added
+   * @param {string} schoolYearId - School year ID
+   * @param {Array} periodIds - IDs of the terms and breaks to remove
+   * @returns {Promise<boolean>} Success status, true if the school year no longer exists
+   */
+  static async removePeriods(schoolYearId, periodIds) {
+    try {
+      const schoolYears = await this.getSchoolYears();
+      const schoolYear = schoolYears.find((stored) => stored.id === schoolYearId);
+      if (!schoolYear) {
+        return true;
+      }
+
+      const saved = await this.saveSchoolYear({
+        ...schoolYear,
+        terms: schoolYear.terms.filter((term) => !periodIds.includes(term.id)),
+        breaks: schoolYear.breaks.filter((schoolBreak) => !periodIds.includes(schoolBreak.id)),
+      });
+      return !!saved;
+    } catch (error) {
+      console.error('Error removing school year periods:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Work out whether a child has school on a date
+   * @param {string} childId - Child ID
+   * @param {Date|string} date - Date
+   * @returns {Promise<Object>} { isSchoolDay, reason, label }, isSchoolDay null when unknown
+   */
+  static async getSchoolDayStatus(childId, date) {
+    const schoolYears = await this.getSchoolYears(childId);
+    return getSchoolDayStatus(schoolYears, date);
+  }
+
+  /**
+   * Check whether a child has school on a date
+   * @param {string} childId - Child ID
+   * @param {Date|string} date - Date
+   * @returns {Promise<boolean|null>} null when no school year covers the date
+   */
+  static async isSchoolDay(childId, date) {
+    const status = await this.getSchoolDayStatus(childId, date);
+    return status.isSchoolDay;
+  }
+
+  /**
+   * Find the weekdays in a range when any child is off school
+   * @param {Date|string} startDate - First date of the range
+   * @param {Date|string} endDate - Last date of the range
+   * @returns {Promise<Object>} { [YYYY-MM-DD]: [{ childId, label }] }
+   */
+  static async getNonSchoolDays(startDate, endDate) {
+    const schoolYears = await this.getSchoolYears();
+    return getNonSchoolDays(schoolYears, startDate, endDate);
+  }
+}
+
+export default SchoolYearService;
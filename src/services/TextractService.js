@@ -1,5 +1,6 @@
 import 'react-native-get-random-values';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import BookMetadataService from './BookMetadataService';
 
 // Import AWS SDK components with error handling
 let TextractClient, AnalyzeDocumentCommand;
@@ -1381,8 +1382,35 @@ class TextractService {
         console.log('=== RAW TEXT EXTRACTED FOR BOOK DETECTION ===');
         console.log('Full text:', textResult.fullText);
 
+        // An ISBN on the back cover or barcode identifies the book exactly,
+        // so only guess from the cover text when none can be looked up
+        const { isbns, book: isbnBook } = await BookMetadataService.recognizeBookFromText(
+          textResult.fullText
+        );
+
+        if (isbnBook) {
+          console.log('=== BOOK RECOGNISED FROM ISBN ===');
+          console.log('ISBN:', isbnBook.isbn, 'Source:', isbnBook.source);
+
+          return {
+            success: true,
+            bookInfo: {
+              title: isbnBook.title,
+              author: isbnBook.author || '',
+              isbn: isbnBook.isbn,
+              detectedByAI: true,
+              detectionMethod: 'isbn',
+              coverImageUri: imageUri,
+              confidence: 100,
+              detectionTimestamp: new Date().toISOString(),
+            },
+            confidence: 100,
+            error: null
+          };
+        }
+
         // Parse book information from extracted text
-        const bookInfo = this.parseBookInformation(textResult.fullText);
+        const bookInfo = this.parseBookInformation(textResult.fullText, textResult.lines);
         
         if (!bookInfo || (!bookInfo.title && !bookInfo.author)) {
           return {
@@ -1401,7 +1429,10 @@ class TextractService {
           bookInfo: {
             title: bookInfo.title || '',
             author: bookInfo.author || '',
+            // Kept so the confirmed title and author can be cached for the ISBN
+            isbn: isbns[0] || null,
             detectedByAI: true,
+            detectionMethod: bookInfo.detectionMethod,
             coverImageUri: imageUri,
             confidence: bookInfo.confidence || 0,
             detectionTimestamp: new Date().toISOString(),
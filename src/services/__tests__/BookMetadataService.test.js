@@ -0,0 +1,159 @@
+import BookMetadataService, {
+  METADATA_LOOKUP_TIMEOUT_MS,
+  createFixtureMetadataProvider,
+} from '../BookMetadataService';
+
+const mockStore = {};
+
+jest.mock('../../utils/dataNamespacing', () => ({
+  __esModule: true,
+  default: {
+    getUserData: jest.fn(async (key, defaultValue) =>
+      key in mockStore ? JSON.parse(mockStore[key]) : defaultValue
+    ),
+    setUserData: jest.fn(async (key, value) => {
+      mockStore[key] = JSON.stringify(value);
+      return true;
+    }),
+  },
+}));
+
+const gruffalo = {
+  title: 'The Gruffalo',
+  authors: ['Julia Donaldson', 'Axel Scheffler'],
+  publisher: 'Macmillan',
+  publishedDate: '1999',
+};
+
+const useFixtureProvider = () => {
+  const provider = createFixtureMetadataProvider({ '0-306-40615-2': gruffalo });
+  jest.spyOn(provider, 'lookup');
+  BookMetadataService.setMetadataProvider(provider);
+  return provider;
+};
+
+beforeEach(() => {
+  Object.keys(mockStore).forEach((key) => delete mockStore[key]);
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  BookMetadataService.resetMetadataProvider();
+});
+
+describe('lookupIsbn', () => {
+  it('asks the provider on a cache miss and caches the book', async () => {
+    const provider = useFixtureProvider();
+
+    const book = await BookMetadataService.lookupIsbn('978-0-306-40615-7');
+
+    expect(provider.lookup).toHaveBeenCalledWith('9780306406157');
+    expect(book).toMatchObject({
+      isbn: '9780306406157',
+      title: 'The Gruffalo',
+      author: 'Julia Donaldson, Axel Scheffler',
+      provider: 'fixture',
+      source: 'provider',
+    });
+    expect(await BookMetadataService.getCachedBook('9780306406157')).toMatchObject({
+      title: 'The Gruffalo',
+    });
+  });
+
+  it('answers from the cache without asking the provider again', async () => {
+    const provider = useFixtureProvider();
+    await BookMetadataService.lookupIsbn('9780306406157');
+    provider.lookup.mockClear();
+
+    // The ISBN-10 of the same book hits the same cache entry
+    const book = await BookMetadataService.lookupIsbn('0306406152');
+
+    expect(provider.lookup).not.toHaveBeenCalled();
+    expect(book).toMatchObject({ title: 'The Gruffalo', source: 'cache' });
+  });
+
+  it('returns null for a book the provider does not know', async () => {
+    useFixtureProvider();
+
+    expect(await BookMetadataService.lookupIsbn('9780804429573')).toBeNull();
+    expect(await BookMetadataService.getCache()).toEqual({});
+  });
+
+  it('returns null and caches nothing when the provider fails', async () => {
+    BookMetadataService.setMetadataProvider({
+      name: 'offline',
+      lookup: jest.fn(async () => {
+        throw new Error('Network request failed');
+      }),
+    });
+
+    expect(await BookMetadataService.lookupIsbn('9780306406157')).toBeNull();
+    expect(console.error).toHaveBeenCalled();
+    expect(await BookMetadataService.getCache()).toEqual({});
+  });
+
+  it('returns null for an invalid ISBN without a lookup', async () => {
+    const provider = useFixtureProvider();
+
+    expect(await BookMetadataService.lookupIsbn('0306406153')).toBeNull();
+    expect(provider.lookup).not.toHaveBeenCalled();
+  });
+});
+
+describe('Open Library lookup', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.useRealTimers();
+  });
+
+  it('gives up on a network that never answers', async () => {
+    jest.useFakeTimers();
+    // Only settles when the request is aborted
+    global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('Aborted')));
+    }));
+
+    const lookup = BookMetadataService.lookupIsbn('9780306406157');
+    await jest.advanceTimersByTimeAsync(METADATA_LOOKUP_TIMEOUT_MS);
+
+    expect(await lookup).toBeNull();
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(await BookMetadataService.getCache()).toEqual({});
+  });
+});
+
+describe('recognizeBookFromText', () => {
+  it('looks up the ISBN found on a cover', async () => {
+    useFixtureProvider();
+
+    const { isbns, book } = await BookMetadataService.recognizeBookFromText(
+      'Price £6.99\nISBN 0-306-40615-2'
+    );
+
+    expect(isbns).toEqual(['9780306406157']);
+    expect(book.title).toBe('The Gruffalo');
+  });
+});
+
+describe('rememberBook', () => {
+  it('keeps the title and author the user confirmed for the next scan', async () => {
+    const provider = useFixtureProvider();
+    await BookMetadataService.lookupIsbn('9780306406157');
+
+    await BookMetadataService.rememberBook('9780306406157', {
+      title: 'The Gruffalo (board book)',
+      author: 'Julia Donaldson',
+    });
+    provider.lookup.mockClear();
+
+    expect(await BookMetadataService.lookupIsbn('9780306406157')).toMatchObject({
+      title: 'The Gruffalo (board book)',
+      author: 'Julia Donaldson',
+      confirmedByUser: true,
+      source: 'cache',
+    });
+    expect(provider.lookup).not.toHaveBeenCalled();
+  });
+});
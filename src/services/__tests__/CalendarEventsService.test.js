@@ -0,0 +1,341 @@
+import CalendarEventsService from '../CalendarEventsService';
+import RecycleBinService from '../RecycleBinService';
+import { getEventStartDateString, getRecurrenceDates } from '../../utils/recurrenceUtils';
+import { getRescheduledTimes } from '../../utils/timeGridUtils';
+import { RECYCLE_BIN_ITEM_TYPES } from '../../utils/recycleBinUtils';
+
+const mockStore = {};
+
+jest.mock('../../utils/dataNamespacing', () => ({
+  __esModule: true,
+  default: {
+    getUserData: jest.fn(async (key, defaultValue) =>
+      key in mockStore ? JSON.parse(mockStore[key]) : defaultValue
+    ),
+    setUserData: jest.fn(async (key, value) => {
+      mockStore[key] = JSON.stringify(value);
+      return true;
+    }),
+  },
+}));
+
+jest.mock('../NotificationService', () => ({
+  __esModule: true,
+  default: {
+    scheduleEventReminders: jest.fn(async () => []),
+    cancelEventReminders: jest.fn(async () => true),
+  },
+}));
+
+jest.mock('../DynamoDBRecycleBinService', () => ({
+  __esModule: true,
+  default: {},
+}));
+
+jest.mock('expo-file-system', () => ({}));
+
+jest.mock('../EventTypesService', () => ({
+  __esModule: true,
+  default: {},
+}));
+
+const EVENTS_KEY = 'calendar-tasks.json';
+
+const weeklySeries = (recurrence = {}) => ({
+  id: 'series',
+  title: 'Swimming',
+  isAllDay: true,
+  startDate: '2026-01-05',
+  endDate: '2026-01-05',
+  children: [{ id: 'a', name: 'Amy' }],
+  recurrence: {
+    frequency: 'weekly',
+    interval: 1,
+    byWeekday: [1],
+    until: null,
+    count: null,
+    exceptionDates: [],
+    ...recurrence,
+  },
+});
+
+const storeEvents = (events) => {
+  mockStore[EVENTS_KEY] = JSON.stringify(events);
+};
+
+const storedEvents = () => JSON.parse(mockStore[EVENTS_KEY]);
+
+const datesOf = (event, from = '2026-01-01', to = '2026-12-31') =>
+  getRecurrenceDates(event.recurrence, event.startDate, from, to);
+
+beforeEach(() => {
+  Object.keys(mockStore).forEach((key) => delete mockStore[key]);
+  jest.clearAllMocks();
+});
+
+describe('splitRecurrenceAt', () => {
+  it('ends the series the day before the split and keeps the rest of the rule', () => {
+    const series = weeklySeries({ exceptionDates: ['2026-01-12', '2026-02-02'] });
+    const { truncatedRule, remainderRule } = CalendarEventsService.splitRecurrenceAt(
+      series,
+      '2026-01-26'
+    );
+
+    expect(truncatedRule).toMatchObject({
+      until: '2026-01-25',
+      count: null,
+      exceptionDates: ['2026-01-12'],
+    });
+    expect(remainderRule.exceptionDates).toEqual(['2026-02-02']);
+    expect(datesOf({ ...series, recurrence: truncatedRule })).toEqual(['2026-01-05', '2026-01-19']);
+  });
+
+  it('carries the occurrences left on a COUNT rule over to the remainder', () => {
+    const series = weeklySeries({ count: 6, exceptionDates: ['2026-01-12'] });
+    const { truncatedRule, remainderRule } = CalendarEventsService.splitRecurrenceAt(
+      series,
+      '2026-01-26'
+    );
+
+    // Three dates were used before the split, including the skipped one
+    expect(remainderRule.count).toBe(3);
+    expect(datesOf({ ...series, recurrence: truncatedRule })).toEqual(['2026-01-05', '2026-01-19']);
+    expect(
+      datesOf({ ...series, startDate: '2026-01-26', recurrence: remainderRule })
+    ).toEqual(['2026-01-26', '2026-02-02', '2026-02-09']);
+  });
+});
+
+describe('updateRecurringEventFromOccurrence', () => {
+  it('splits the series and starts a new one from the occurrence', async () => {
+    storeEvents([weeklySeries({ count: 6 })]);
+
+    const newSeries = await CalendarEventsService.updateRecurringEventFromOccurrence(
+      'series',
+      '2026-01-26',
+      { title: 'Swimming (new pool)', startDate: '2026-01-26', endDate: '2026-01-26' }
+    );
+
+    const [original, created] = storedEvents();
+    expect(created.id).toBe(newSeries.id);
+    expect(datesOf(original)).toEqual(['2026-01-05', '2026-01-12', '2026-01-19']);
+    expect(created.title).toBe('Swimming (new pool)');
+    expect(datesOf(created)).toEqual(['2026-01-26', '2026-02-02', '2026-02-09']);
+  });
+
+  it('updates the whole series when editing from the first occurrence', async () => {
+    storeEvents([weeklySeries()]);
+
+    await CalendarEventsService.updateRecurringEventFromOccurrence('series', '2026-01-05', {
+      title: 'Diving',
+    });
+
+    const events = storedEvents();
+    expect(events).toHaveLength(1);
+    expect(events[0].title).toBe('Diving');
+  });
+});
+
+describe('updateAllRecurringEventOccurrences', () => {
+  it('moves a weekly series by the days an occurrence was dragged', async () => {
+    // Mondays 16:00-17:00, skipping 12 January
+    const series = {
+      ...weeklySeries({ until: '2026-02-02', exceptionDates: ['2026-01-12'] }),
+      isAllDay: false,
+      startDate: undefined,
+      endDate: undefined,
+      startDateTime: new Date(2026, 0, 5, 16, 0).toISOString(),
+      endDateTime: new Date(2026, 0, 5, 17, 0).toISOString(),
+    };
+    storeEvents([series]);
+
+    // The 19 January occurrence is dragged to Tuesday an hour later
+    const occurrence = {
+      startDateTime: new Date(2026, 0, 19, 16, 0).toISOString(),
+      endDateTime: new Date(2026, 0, 19, 17, 0).toISOString(),
+    };
+    const change = { dayDelta: 1, startMinutesDelta: 60, endMinutesDelta: 60 };
+    await CalendarEventsService.updateAllRecurringEventOccurrences(
+      'series',
+      getRescheduledTimes(occurrence, change),
+      change.dayDelta
+    );
+
+    const [moved] = storedEvents();
+    expect(moved.startDateTime).toBe(new Date(2026, 0, 6, 17, 0).toISOString());
+    expect(moved.endDateTime).toBe(new Date(2026, 0, 6, 18, 0).toISOString());
+    expect(moved.recurrence).toMatchObject({
+      byWeekday: [2],
+      until: '2026-02-03',
+      exceptionDates: ['2026-01-13'],
+    });
+    expect(
+      getRecurrenceDates(moved.recurrence, getEventStartDateString(moved), '2026-01-01', '2026-12-31')
+    ).toEqual(['2026-01-06', '2026-01-20', '2026-01-27', '2026-02-03']);
+  });
+});
+
+describe('updateRecurringEventOccurrence', () => {
+  it('skips the date in the series and stores the occurrence on its own', async () => {
+    storeEvents([weeklySeries()]);
+
+    const detached = await CalendarEventsService.updateRecurringEventOccurrence(
+      'series',
+      '2026-01-12',
+      { title: 'Swimming gala' }
+    );
+
+    const [series, stored] = storedEvents();
+    expect(series.recurrence.exceptionDates).toEqual(['2026-01-12']);
+    expect(stored).toMatchObject({
+      id: detached.id,
+      title: 'Swimming gala',
+      startDate: '2026-01-12',
+      recurrenceParentId: 'series',
+      recurrenceOriginalDate: '2026-01-12',
+    });
+    expect(stored.recurrence).toBeUndefined();
+  });
+});
+
+describe('updateEvent', () => {
+  it('normalizes a recurrence rule added while editing', async () => {
+    storeEvents([{ ...weeklySeries(), recurrence: undefined }]);
+
+    const updated = await CalendarEventsService.updateEvent('series', {
+      recurrence: { frequency: 'weekly', interval: '2', exceptionDates: ['2026-01-19', '2026-01-19'] },
+    });
+
+    expect(updated.recurrence).toEqual({
+      frequency: 'weekly',
+      interval: 2,
+      byWeekday: [1],
+      until: null,
+      count: null,
+      exceptionDates: ['2026-01-19'],
+    });
+    expect(storedEvents()[0].recurrence).toEqual(updated.recurrence);
+  });
+
+  it('drops an invalid rule rather than storing it', async () => {
+    storeEvents([{ ...weeklySeries(), recurrence: undefined }]);
+
+    const updated = await CalendarEventsService.updateEvent('series', {
+      recurrence: { frequency: 'daily', until: '2025-12-01' },
+    });
+
+    expect(updated.recurrence).toBeUndefined();
+  });
+});
+
+describe('deleting part of a recurring series', () => {
+  it('bins a deleted occurrence so restoring brings it back', async () => {
+    storeEvents([weeklySeries()]);
+
+    expect(await CalendarEventsService.deleteRecurringEventOccurrence('series', '2026-01-12')).toBe(true);
+    expect(datesOf(storedEvents()[0], '2026-01-01', '2026-01-19')).toEqual([
+      '2026-01-05',
+      '2026-01-19',
+    ]);
+
+    const [entry] = await RecycleBinService.getEntries();
+    expect(entry).toMatchObject({
+      itemId: 'series_2026-01-12',
+      title: 'Swimming (Jan 12)',
+      removedItemIds: [],
+    });
+
+    await CalendarEventsService.restoreEvent(entry.itemId);
+    expect(datesOf(storedEvents()[0], '2026-01-01', '2026-01-19')).toEqual([
+      '2026-01-05',
+      '2026-01-12',
+      '2026-01-19',
+    ]);
+    expect(await RecycleBinService.getEntries()).toEqual([]);
+  });
+
+  it('bins "this and following" with the detached occurrences it removed', async () => {
+    const detached = {
+      ...weeklySeries(),
+      id: 'detached',
+      title: 'Swimming gala',
+      startDate: '2026-02-02',
+      endDate: '2026-02-02',
+      recurrence: undefined,
+      recurrenceParentId: 'series',
+      recurrenceOriginalDate: '2026-02-02',
+    };
+    storeEvents([weeklySeries({ exceptionDates: ['2026-02-02'] }), detached]);
+
+    expect(await CalendarEventsService.deleteRecurringEventFromOccurrence('series', '2026-01-26')).toBe(true);
+    expect(storedEvents().map((event) => event.id)).toEqual(['series']);
+
+    const [entry] = await RecycleBinService.getEntries();
+    expect(entry).toMatchObject({
+      itemId: 'series_2026-01-26_onwards',
+      title: 'Swimming (Jan 26 onwards)',
+      removedItemIds: ['detached'],
+    });
+
+    await CalendarEventsService.restoreEvent(entry.itemId);
+    const restored = storedEvents();
+    expect(restored.map((event) => event.id).sort()).toEqual(['detached', 'series']);
+    expect(datesOf(restored.find((event) => event.id === 'series'), '2026-01-26', '2026-02-09')).toEqual([
+      '2026-01-26',
+      '2026-02-09',
+    ]);
+  });
+
+  it('keeps separate entries for an occurrence delete and a later delete of the whole series', async () => {
+    storeEvents([weeklySeries()]);
+
+    await CalendarEventsService.deleteRecurringEventOccurrence('series', '2026-01-12');
+    await CalendarEventsService.deleteAllRecurringEventOccurrences('series');
+
+    const entries = await RecycleBinService.getEntries();
+    expect(entries.map((entry) => entry.itemId).sort()).toEqual(['series', 'series_2026-01-12']);
+  });
+
+  it('only removes the deleted events when applying a partial delete from another device', async () => {
+    storeEvents([weeklySeries()]);
+
+    await CalendarEventsService.applyRecycleBinEntry({
+      type: RECYCLE_BIN_ITEM_TYPES.EVENT,
+      status: 'deleted',
+      items: [weeklySeries()],
+      removedItemIds: [],
+    });
+
+    expect(storedEvents().map((event) => event.id)).toEqual(['series']);
+  });
+});
+
+describe('deleteMultiDateEventOccurrence', () => {
+  it('bins the occurrence so restoring puts the dates back as they were', async () => {
+    const occurrence = (id, index, date) => ({
+      id,
+      title: 'Holiday club',
+      isAllDay: true,
+      startDate: date,
+      endDate: date,
+      isMultiDate: true,
+      multiDateId: 'club',
+      occurrenceIndex: index,
+      totalOccurrences: 2,
+      occurrenceType: index === 0 ? 'first' : 'last',
+    });
+    const original = [occurrence('d1', 0, '2026-04-06'), occurrence('d2', 1, '2026-04-08')];
+    storeEvents(original);
+
+    expect(await CalendarEventsService.deleteMultiDateEventOccurrence('d1')).toBe(true);
+    expect(storedEvents()).toEqual([
+      expect.objectContaining({ id: 'd2', isMultiDate: false, occurrenceType: 'single' }),
+    ]);
+
+    const [entry] = await RecycleBinService.getEntries();
+    expect(entry).toMatchObject({ itemId: 'd1', removedItemIds: ['d1'] });
+
+    await CalendarEventsService.restoreEvent('d1');
+    expect(storedEvents().sort((a, b) => a.occurrenceIndex - b.occurrenceIndex)).toEqual(original);
+  });
+});
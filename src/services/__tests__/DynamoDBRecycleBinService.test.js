@@ -0,0 +1,121 @@
+import DynamoDBRecycleBinService from '../DynamoDBRecycleBinService';
+import { DynamoDBService } from '../DynamoDBService';
+import { RECYCLE_BIN_ITEM_TYPES, RECYCLE_BIN_STATUS, createRecycleBinEntry } from '../../utils/recycleBinUtils';
+
+// DynamoDB rejects items over 400KB
+const MAX_ITEM_BYTES = 400 * 1024;
+
+const mockTable = new Map();
+
+jest.mock('../DynamoDBService', () => ({
+  DynamoDBService: {
+    getItem: jest.fn(async (tableName, key) => mockTable.get(`${key.userId}|${key.entryId}`) || null),
+    putItem: jest.fn(async (tableName, item) => {
+      if (JSON.stringify(item).length > 400 * 1024) {
+        throw new Error('Item size has exceeded the maximum allowed size');
+      }
+      mockTable.set(`${item.userId}|${item.entryId}`, item);
+      return { success: true, item };
+    }),
+    deleteItem: jest.fn(async (tableName, key) => {
+      mockTable.delete(`${key.userId}|${key.entryId}`);
+      return { success: true };
+    }),
+    // Two rows a page, so reading the entries has to follow the pages
+    queryItems: jest.fn(async (tableName, condition, { ExclusiveStartKey: start = 0 } = {}) => {
+      const rows = [...mockTable.values()];
+      const items = rows.slice(start, start + 2);
+      return { items, lastEvaluatedKey: start + 2 < rows.length ? start + 2 : undefined };
+    }),
+  },
+}));
+
+jest.mock('../AuthenticationService', () => ({
+  __esModule: true,
+  default: {
+    getCurrentUser: jest.fn(async () => ({ id: 'user-1' })),
+  },
+}));
+
+jest.mock('../DataEncryptionService', () => ({
+  __esModule: true,
+  default: {
+    encryptSensitiveFields: jest.fn(async (item) => item),
+    decryptSensitiveFields: jest.fn(async (item) => item),
+    sanitizeForLogging: jest.fn((value) => value),
+  },
+}));
+
+jest.mock('../../config/aws-config.js', () => ({
+  DYNAMODB_TABLES: { RECYCLE_BIN: 'recycle-bin' },
+}));
+
+// An event carrying close to the most attachment data one event may hold
+const eventWithAttachments = (id) => ({
+  id,
+  title: `Field trip ${id}`,
+  isAllDay: true,
+  startDate: '2026-05-01',
+  endDate: '2026-05-01',
+  attachments: [
+    {
+      id: `${id}-photo`,
+      kind: 'document',
+      uri: `data:image/jpeg;base64,${'A'.repeat(300 * 1024)}`,
+      width: 1600,
+      height: 1200,
+      size: 225 * 1024,
+    },
+  ],
+});
+
+const series = [eventWithAttachments('trip-1'), eventWithAttachments('trip-2')];
+
+beforeEach(() => {
+  mockTable.clear();
+  jest.clearAllMocks();
+});
+
+describe('an entry holding two events with attachments', () => {
+  it('is stored without any DynamoDB item going over the size limit', async () => {
+    const entry = createRecycleBinEntry(RECYCLE_BIN_ITEM_TYPES.EVENT, series);
+
+    expect(await DynamoDBRecycleBinService.putEntry(entry)).toBe(true);
+
+    mockTable.forEach((row) => expect(JSON.stringify(row).length).toBeLessThanOrEqual(MAX_ITEM_BYTES));
+  });
+
+  it('is read back with both events and their attachments', async () => {
+    const entry = createRecycleBinEntry(RECYCLE_BIN_ITEM_TYPES.EVENT, series);
+    await DynamoDBRecycleBinService.putEntry(entry);
+
+    const [stored] = await DynamoDBRecycleBinService.getEntries();
+
+    expect(stored).toMatchObject({ entryId: entry.entryId, status: RECYCLE_BIN_STATUS.DELETED });
+    expect(stored.items).toEqual(series);
+  });
+
+  it('drops the stored events once the entry is purged', async () => {
+    const entry = createRecycleBinEntry(RECYCLE_BIN_ITEM_TYPES.EVENT, series);
+    await DynamoDBRecycleBinService.putEntry(entry);
+
+    await DynamoDBRecycleBinService.putEntry({
+      ...entry,
+      status: RECYCLE_BIN_STATUS.PURGED,
+      items: [],
+      changedAt: new Date(Date.now() + 1000).toISOString(),
+    });
+
+    expect(mockTable.size).toBe(1);
+    const [stored] = await DynamoDBRecycleBinService.getEntries();
+    expect(stored).toMatchObject({ status: RECYCLE_BIN_STATUS.PURGED, items: [] });
+  });
+
+  it('is left out while only some of its events are stored', async () => {
+    const entry = createRecycleBinEntry(RECYCLE_BIN_ITEM_TYPES.EVENT, series);
+    await DynamoDBRecycleBinService.putEntry(entry);
+    mockTable.delete(`user-1|${entry.entryId}#1`);
+
+    expect(await DynamoDBRecycleBinService.getEntries()).toEqual([]);
+  });
+});
@@ -0,0 +1,90 @@
+import FamilyTimeService from '../FamilyTimeService';
+import { DEFAULT_ACTIVITY_TYPES } from '../../utils/activityTypeUtils';
+
+const mockStore = {};
+
+jest.mock('../../utils/dataNamespacing', () => ({
+  __esModule: true,
+  default: {
+    getUserData: jest.fn(async (key, defaultValue) =>
+      key in mockStore ? JSON.parse(mockStore[key]) : defaultValue
+    ),
+    setUserData: jest.fn(async (key, value) => {
+      mockStore[key] = JSON.stringify(value);
+      return true;
+    }),
+  },
+}));
+
+// "Cooking" was a custom type that has since been deleted
+jest.mock('../ActivityTypesService', () => {
+  const { DEFAULT_ACTIVITY_TYPES: mockDefaultTypes } = jest.requireActual('../../utils/activityTypeUtils');
+  return {
+    __esModule: true,
+    default: {
+      getActivityTypes: jest.fn(async () => mockDefaultTypes),
+      getCachedActivityTypes: jest.fn(() => mockDefaultTypes),
+      getActivityTypeNames: jest.fn(async () => mockDefaultTypes.map((type) => type.name)),
+    },
+  };
+});
+
+jest.mock('../DynamoDBFamilyTimeService', () => ({
+  __esModule: true,
+  default: {},
+}));
+
+jest.mock('../../utils/errorUtils', () => ({
+  ...jest.requireActual('../../utils/errorUtils'),
+  logError: jest.fn(),
+}));
+
+jest.mock('../RecycleBinService', () => ({
+  __esModule: true,
+  default: {},
+}));
+
+const ACTIVITIES_KEY = 'activities.json';
+
+const cookingActivity = {
+  id: 'cooking-1',
+  type: 'Cooking',
+  title: 'Baking cookies',
+  startTime: '2026-03-01T10:00:00.000Z',
+  endTime: '2026-03-01T11:00:00.000Z',
+  participants: [{ childId: 'a', childName: 'Amy', feeling: 'Happy' }],
+  createdAt: '2026-03-01T11:00:00.000Z',
+};
+
+beforeEach(() => {
+  Object.keys(mockStore).forEach((key) => delete mockStore[key]);
+  mockStore[ACTIVITIES_KEY] = JSON.stringify([cookingActivity]);
+  FamilyTimeService.USE_DYNAMODB = false;
+  jest.clearAllMocks();
+});
+
+describe('activities of a deleted custom type', () => {
+  it('can still be edited', async () => {
+    const updated = await FamilyTimeService.updateActivity('cooking-1', { title: 'Baking bread' });
+
+    expect(updated).toMatchObject({ type: 'Cooking', title: 'Baking bread' });
+  });
+
+  it('cannot be moved to a type that does not exist', async () => {
+    await expect(
+      FamilyTimeService.updateActivity('cooking-1', { type: 'Gardening' })
+    ).rejects.toThrow('Activity type must be one of');
+  });
+
+  it('are still listed by their type', async () => {
+    const activities = await FamilyTimeService.getActivitiesByType('Cooking');
+
+    expect(activities.map((activity) => activity.id)).toEqual(['cooking-1']);
+  });
+
+  it('are not accepted for a new activity', () => {
+    const { id, ...newActivity } = cookingActivity;
+
+    expect(FamilyTimeService.validateActivityData(newActivity, DEFAULT_ACTIVITY_TYPES).isValid).toBe(false);
+  });
+});
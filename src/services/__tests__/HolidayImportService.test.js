@@ -0,0 +1,126 @@
+import HolidayImportService from '../HolidayImportService';
+import CalendarEventsService from '../CalendarEventsService';
+
+const mockStore = {};
+
+jest.mock('../../utils/dataNamespacing', () => ({
+  __esModule: true,
+  default: {
+    getUserData: jest.fn(async (key, defaultValue) =>
+      key in mockStore ? JSON.parse(mockStore[key]) : defaultValue
+    ),
+    setUserData: jest.fn(async (key, value) => {
+      mockStore[key] = JSON.stringify(value);
+      return true;
+    }),
+  },
+}));
+
+jest.mock('../NotificationService', () => ({
+  __esModule: true,
+  default: {
+    scheduleEventReminders: jest.fn(async () => []),
+    cancelEventReminders: jest.fn(async () => true),
+  },
+}));
+
+jest.mock('../DynamoDBRecycleBinService', () => ({
+  __esModule: true,
+  default: {},
+}));
+
+jest.mock('expo-file-system', () => ({}));
+
+jest.mock('../EventTypesService', () => ({
+  __esModule: true,
+  default: {},
+}));
+
+const amy = { id: 'a', name: 'Amy', color: '#48b6b0' };
+const ben = { id: 'b', name: 'Ben', color: '#48b6b0' };
+
+const lines = [
+  { id: 'l1', content: 'Half Term', date: '2026-02-16' },
+  { id: 'l2', content: 'INSET Day', date: '2026-02-23' },
+];
+
+const holiday = (line, selectedChildren) => ({
+  title: line.content,
+  startDate: line.date,
+  endDate: line.date,
+  isAllDay: true,
+  type: 'holiday',
+  selectedChildren,
+});
+
+const childIdsOf = (event) => CalendarEventsService.getEventChildren(event).map((child) => child.id);
+
+// Imports the lines as the modal does: new holidays are added, earlier ones are shared
+const importLines = async (children) => {
+  const flagged = await HolidayImportService.flagPreviousImports(
+    children.map((child) => child.id),
+    lines
+  );
+  const events = [];
+  const childAdditions = [];
+  for (const line of flagged) {
+    if (line.duplicateOf && line.missingChildIds.length > 0) {
+      childAdditions.push({
+        eventId: line.duplicateOf.id,
+        children: children.filter((child) => line.missingChildIds.includes(child.id)),
+      });
+    } else if (!line.duplicateOf) {
+      events.push(holiday(line, children));
+    }
+  }
+  return HolidayImportService.importEvents(
+    { childIds: children.map((child) => child.id), childNames: children.map((child) => child.name) },
+    events,
+    childAdditions
+  );
+};
+
+beforeEach(() => {
+  Object.keys(mockStore).forEach((key) => delete mockStore[key]);
+  jest.clearAllMocks();
+  // Batch IDs are timestamps, so imports in the same test must not share one
+  let now = Date.UTC(2026, 0, 1);
+  jest.spyOn(Date, 'now').mockImplementation(() => (now += 1000));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('flagPreviousImports', () => {
+  it('matches an earlier import of the line for other children', async () => {
+    await importLines([amy]);
+
+    const flagged = await HolidayImportService.flagPreviousImports(['a', 'b'], lines);
+
+    expect(flagged.map((line) => line.duplicateOf?.title)).toEqual(['Half Term', 'INSET Day']);
+    expect(flagged.map((line) => line.missingChildIds)).toEqual([['b'], ['b']]);
+  });
+});
+
+describe('importEvents', () => {
+  it('adds the new children to holidays imported earlier instead of duplicating them', async () => {
+    await importLines([amy]);
+    const result = await importLines([amy, ben]);
+
+    expect(result.batch).toMatchObject({ holidayCount: 0, updatedHolidayCount: 2 });
+    const events = await CalendarEventsService.getEvents();
+    expect(events).toHaveLength(2);
+    expect(events.map(childIdsOf)).toEqual([['a', 'b'], ['a', 'b']]);
+  });
+
+  it('takes the added children off again when the import is undone', async () => {
+    await importLines([amy]);
+    const { batch } = await importLines([amy, ben]);
+
+    await HolidayImportService.undoBatch(batch.id);
+
+    const events = await CalendarEventsService.getEvents();
+    expect(events.map(childIdsOf)).toEqual([['a'], ['a']]);
+  });
+});
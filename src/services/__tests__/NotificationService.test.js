@@ -0,0 +1,175 @@
+import * as Notifications from 'expo-notifications';
+import NotificationService from '../NotificationService';
+
+let mockPending = [];
+let nextNotificationId = 1;
+
+const pendingReminder = (eventId, reminderTime, extraData = {}) => ({
+  identifier: `pending-${eventId}-${reminderTime}`,
+  content: {
+    data: { type: 'event_reminder', eventId, reminderId: '1_hour', reminderTime, ...extraData },
+  },
+});
+
+const daysFromNow = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  date.setSeconds(0, 0);
+  return date;
+};
+
+const timedEvent = (id, start, reminders = ['1_hour']) => ({
+  id,
+  title: id,
+  isAllDay: false,
+  startDateTime: start.toISOString(),
+  endDateTime: new Date(start.getTime() + 60 * 60 * 1000).toISOString(),
+  timeZone: 'UTC',
+  remindersEnabled: true,
+  reminders,
+});
+
+beforeEach(() => {
+  mockPending = [];
+  nextNotificationId = 1;
+  jest.clearAllMocks();
+
+  Notifications.getAllScheduledNotificationsAsync.mockImplementation(async () => [...mockPending]);
+  Notifications.scheduleNotificationAsync.mockImplementation(async ({ content }) => {
+    const identifier = `new-${nextNotificationId++}`;
+    mockPending.push({ identifier, content });
+    return identifier;
+  });
+  Notifications.cancelScheduledNotificationAsync.mockImplementation(async (identifier) => {
+    mockPending = mockPending.filter((notification) => notification.identifier !== identifier);
+  });
+});
+
+describe('scheduleEventReminders', () => {
+  it('schedules reminders for upcoming occurrences of a recurring event', async () => {
+    const event = {
+      ...timedEvent('swim', daysFromNow(1)),
+      recurrence: { frequency: 'daily', interval: 1 },
+    };
+
+    const scheduled = await NotificationService.scheduleEventReminders(event);
+
+    expect(scheduled).toHaveLength(NotificationService.MAX_RECURRING_OCCURRENCES);
+    expect(mockPending).toHaveLength(NotificationService.MAX_RECURRING_OCCURRENCES);
+  });
+
+  it('never goes over the pending notification limit', async () => {
+    const limit = NotificationService.MAX_PENDING_NOTIFICATIONS;
+    // The limit is nearly reached by reminders that fire sooner than the new ones
+    for (let i = 0; i < limit - 3; i++) {
+      mockPending.push(pendingReminder(`other-${i}`, daysFromNow(1).toISOString()));
+    }
+
+    const event = {
+      ...timedEvent('swim', daysFromNow(2), ['1_hour', '15_min']),
+      recurrence: { frequency: 'daily', interval: 1 },
+    };
+    const scheduled = await NotificationService.scheduleEventReminders(event);
+
+    expect(scheduled).toHaveLength(3);
+    expect(mockPending).toHaveLength(limit);
+    // The soonest reminders of the event are the ones kept
+    expect(scheduled.map((reminder) => reminder.scheduledTime)).toEqual(
+      [...scheduled.map((reminder) => reminder.scheduledTime)].sort((a, b) => a - b)
+    );
+  });
+
+  it('replaces later reminders of other events with sooner ones once the limit is reached', async () => {
+    const limit = NotificationService.MAX_PENDING_NOTIFICATIONS;
+    for (let i = 0; i < limit; i++) {
+      mockPending.push(pendingReminder(`later-${i}`, daysFromNow(20 + i).toISOString()));
+    }
+
+    const scheduled = await NotificationService.scheduleEventReminders(
+      timedEvent('dentist', daysFromNow(2), ['1_hour', '1_day'])
+    );
+
+    expect(scheduled).toHaveLength(2);
+    expect(mockPending).toHaveLength(limit);
+    const pendingEventIds = mockPending.map((notification) => notification.content.data.eventId);
+    expect(pendingEventIds).not.toContain(`later-${limit - 1}`);
+    expect(pendingEventIds).not.toContain(`later-${limit - 2}`);
+    expect(pendingEventIds).toContain('later-0');
+  });
+
+  it('keeps snoozed reminders and other notification types when the limit is reached', async () => {
+    const limit = NotificationService.MAX_PENDING_NOTIFICATIONS;
+    for (let i = 0; i < limit; i++) {
+      mockPending.push(
+        i % 2 === 0
+          ? pendingReminder(`snoozed-${i}`, daysFromNow(20).toISOString(), { snoozedUntil: 'x' })
+          : { identifier: `digest-${i}`, content: { data: { type: 'daily_digest' } } }
+      );
+    }
+
+    const scheduled = await NotificationService.scheduleEventReminders(
+      timedEvent('dentist', daysFromNow(1))
+    );
+
+    expect(scheduled).toEqual([]);
+    expect(mockPending).toHaveLength(limit);
+  });
+});
+
+describe('other notification types', () => {
+  const birthday = (childId, days) => ({
+    id: `birthday-${childId}`,
+    title: `${childId}'s birthday`,
+    isAllDay: true,
+    startDate: daysFromNow(days).toISOString().slice(0, 10),
+    birthdayChildId: childId,
+    childName: childId,
+    age: 5,
+  });
+
+  it('keeps only the soonest birthday reminders within their quota', async () => {
+    const birthdays = Array.from({ length: 12 }, (_, i) => birthday(`child-${i}`, 10 + i * 20));
+
+    const scheduled = await NotificationService.scheduleBirthdayReminders(birthdays, ['1_day', '1_week']);
+
+    const quota = NotificationService.NOTIFICATION_QUOTAS.birthday_reminder;
+    expect(scheduled).toHaveLength(quota);
+    expect(mockPending).toHaveLength(quota);
+    expect(scheduled.map((reminder) => reminder.childId)).toContain('child-0');
+    expect(scheduled.map((reminder) => reminder.childId)).not.toContain('child-11');
+  });
+
+  it('makes room for digests and nudges without going over the pending limit', async () => {
+    const limit = NotificationService.MAX_PENDING_NOTIFICATIONS;
+    for (let i = 0; i < limit; i++) {
+      mockPending.push(pendingReminder(`later-${i}`, daysFromNow(20 + i).toISOString()));
+    }
+
+    const digests = await NotificationService.scheduleDailyDigests(
+      [0, 1, 2].map((day) => ({
+        title: 'Today',
+        body: 'Swimming at 4pm',
+        date: daysFromNow(day + 1).toISOString().slice(0, 10),
+        kind: 'morning',
+        sendTime: daysFromNow(day + 1),
+      }))
+    );
+    const nudges = await NotificationService.scheduleReadingNudges(
+      Array.from({ length: 10 }, (_, i) => ({
+        title: 'Reading',
+        body: '10 minutes to go',
+        childId: `child-${i}`,
+        goalId: `goal-${i}`,
+        date: daysFromNow(1).toISOString().slice(0, 10),
+        sendTime: daysFromNow(1),
+      }))
+    );
+
+    expect(digests).toHaveLength(3);
+    expect(nudges).toHaveLength(NotificationService.NOTIFICATION_QUOTAS.reading_nudge);
+    expect(mockPending).toHaveLength(limit);
+    const pendingEventIds = mockPending.map((notification) => notification.content.data.eventId);
+    expect(pendingEventIds).not.toContain(`later-${limit - 1}`);
+    expect(pendingEventIds).toContain('later-0');
+  });
+});
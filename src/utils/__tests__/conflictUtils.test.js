@@ -0,0 +1,83 @@
+import { findEventConflicts, findOverlappingEvents } from '../conflictUtils';
+
+const amy = { id: 'a', name: 'Amy' };
+const ben = { id: 'b', name: 'Ben' };
+
+const timed = (id, start, end, children = []) => ({
+  id,
+  title: id,
+  isAllDay: false,
+  startDateTime: `2026-03-02T${start}:00.000Z`,
+  endDateTime: `2026-03-02T${end}:00.000Z`,
+  children,
+});
+
+const allDay = (id, children = []) => ({
+  id,
+  title: id,
+  isAllDay: true,
+  startDate: '2026-03-02',
+  endDate: '2026-03-02',
+  children,
+});
+
+describe('findEventConflicts', () => {
+  it('flags overlapping timed events for the same child', () => {
+    const conflicts = findEventConflicts(timed('swim', '09:00', '10:00', [amy]), [
+      timed('piano', '09:30', '10:30', [amy, ben]),
+      timed('football', '09:30', '10:30', [ben]),
+      timed('dentist', '10:00', '11:00', [amy]),
+    ]);
+
+    expect(conflicts).toEqual([
+      { event: expect.objectContaining({ id: 'piano' }), sharedChildren: [amy] },
+    ]);
+  });
+
+  it('treats a timed event with no children as involving everyone', () => {
+    const conflicts = findEventConflicts(timed('swim', '09:00', '10:00', [amy]), [
+      timed('family lunch', '09:30', '11:00'),
+    ]);
+
+    expect(conflicts.map((conflict) => conflict.event.id)).toEqual(['family lunch']);
+  });
+
+  it('never flags a timed event against an all-day one', () => {
+    expect(
+      findEventConflicts(timed('swim', '09:00', '10:00', [amy]), [allDay('trip', [amy])])
+    ).toEqual([]);
+  });
+
+  it('flags all-day events for the same child on the same day', () => {
+    const conflicts = findEventConflicts(allDay('camp', [amy]), [allDay('trip', [amy])]);
+    expect(conflicts.map((conflict) => conflict.event.id)).toEqual(['trip']);
+  });
+
+  it('does not flag an all-day event with no children, such as a public holiday', () => {
+    expect(findEventConflicts(allDay('camp', [amy]), [allDay('Bank Holiday')])).toEqual([]);
+    expect(findEventConflicts(allDay('Bank Holiday'), [allDay('camp', [amy])])).toEqual([]);
+  });
+});
+
+describe('findOverlappingEvents', () => {
+  it('leaves a public holiday out of a day with other events', () => {
+    const overlaps = findOverlappingEvents([
+      allDay('Bank Holiday'),
+      allDay('camp', [amy]),
+      allDay('trip', [ben]),
+      timed('swim', '09:00', '10:00', [amy]),
+    ]);
+
+    expect(overlaps.size).toBe(0);
+  });
+
+  it('pairs up clashing events', () => {
+    const overlaps = findOverlappingEvents([
+      timed('swim', '09:00', '10:00', [amy]),
+      timed('family lunch', '09:30', '11:00'),
+    ]);
+
+    expect(overlaps.get('swim').map((event) => event.id)).toEqual(['family lunch']);
+    expect(overlaps.get('family lunch').map((event) => event.id)).toEqual(['swim']);
+  });
+});
@@ -0,0 +1,135 @@
+import {
+  buildICSEventLines,
+  buildICSTimeZoneLines,
+  foldICSLine,
+  generateICSCalendar,
+  parseICSEvents,
+} from '../icsUtils';
+
+// Mondays at 08:00 in Hong Kong
+const lesson = {
+  id: 'lesson',
+  title: 'Piano',
+  isAllDay: false,
+  startDateTime: '2026-03-02T00:00:00.000Z',
+  endDateTime: '2026-03-02T01:00:00.000Z',
+  timeZone: 'Asia/Hong_Kong',
+  eventType: 'Other',
+  recurrence: {
+    frequency: 'weekly',
+    interval: 1,
+    byWeekday: [1],
+    until: '2026-06-29',
+    count: null,
+    exceptionDates: ['2026-03-09'],
+  },
+};
+
+describe('foldICSLine', () => {
+  // Chinese characters take 3 octets in UTF-8 and the emoji takes 4
+  const line = `SUMMARY:${'農曆新年假期'.repeat(8)} 🎉🧧 ${'中秋節翌日'.repeat(4)}`;
+
+  it('keeps every line within 75 octets', () => {
+    const folded = foldICSLine(line).split('\r\n');
+
+    expect(folded.length).toBeGreaterThan(1);
+    folded.forEach((foldedLine) => expect(Buffer.byteLength(foldedLine, 'utf8')).toBeLessThanOrEqual(75));
+  });
+
+  it('never splits a character, so unfolding gives back the line', () => {
+    const folded = foldICSLine(line);
+
+    expect(folded).not.toMatch(/[\uD800-\uDBFF](?![\uDC00-\uDFFF])/);
+    expect(folded.replace(/\r\n /g, '')).toBe(line);
+  });
+
+  it('folds plain ASCII after 75 characters', () => {
+    const folded = foldICSLine(`DESCRIPTION:${'a'.repeat(100)}`).split('\r\n');
+
+    expect(folded[0]).toHaveLength(75);
+    expect(folded[1]).toMatch(/^ a+$/);
+  });
+});
+
+describe('recurring timed events', () => {
+  it('exports the start, end and skipped dates in the event zone', () => {
+    const lines = buildICSEventLines(lesson, { getEventChildren: () => [] });
+
+    expect(lines).toContain('DTSTART;TZID=Asia/Hong_Kong:20260302T080000');
+    expect(lines).toContain('DTEND;TZID=Asia/Hong_Kong:20260302T090000');
+    expect(lines).toContain('EXDATE;TZID=Asia/Hong_Kong:20260309T080000');
+    // UNTIL is the end of the last day in Hong Kong, written in UTC
+    expect(lines).toContain('RRULE:FREQ=WEEKLY;INTERVAL=1;BYDAY=MO;UNTIL=20260629T155959Z');
+  });
+
+  it('defines every zone it uses in a VTIMEZONE before the events', () => {
+    const ics = generateICSCalendar([lesson], { getEventChildren: () => [] });
+    const lines = ics.split('\r\n');
+
+    const usedZones = new Set(
+      lines.map((line) => line.match(/;TZID=([^:;]+)/)?.[1]).filter(Boolean)
+    );
+    expect([...usedZones]).toEqual(['Asia/Hong_Kong']);
+    expect(lines).toContain('TZID:Asia/Hong_Kong');
+    expect(lines.indexOf('END:VTIMEZONE')).toBeLessThan(lines.indexOf('BEGIN:VEVENT'));
+  });
+
+  it('describes the DST changes of a zone that has them', () => {
+    const lines = buildICSTimeZoneLines('America/Los_Angeles', 2026, 2026);
+
+    expect(lines.join('\n')).toContain(
+      [
+        'BEGIN:DAYLIGHT',
+        'DTSTART:20260308T020000',
+        'TZOFFSETFROM:-0800',
+        'TZOFFSETTO:-0700',
+        'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+        'END:DAYLIGHT',
+        'BEGIN:STANDARD',
+        'DTSTART:20261101T020000',
+        'TZOFFSETFROM:-0700',
+        'TZOFFSETTO:-0800',
+        'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+        'END:STANDARD',
+      ].join('\n')
+    );
+  });
+
+  it('reads its own export back unchanged', () => {
+    const ics = generateICSCalendar([lesson], { getEventChildren: () => [] });
+    const [imported] = parseICSEvents(ics, ['Other']);
+
+    expect(imported).toMatchObject({
+      startDateTime: lesson.startDateTime,
+      endDateTime: lesson.endDateTime,
+      timeZone: 'Asia/Hong_Kong',
+    });
+    expect(imported.recurrence).toMatchObject({
+      frequency: 'weekly',
+      byWeekday: [1],
+      until: '2026-06-29',
+      exceptionDates: ['2026-03-09'],
+    });
+  });
+
+  it('reads skipped dates and the end date given in another zone', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:swim@example.com',
+      'SUMMARY:Swimming',
+      'DTSTART;TZID=America/Los_Angeles:20260302T180000',
+      'DTEND;TZID=America/Los_Angeles:20260302T190000',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20260331T065959Z',
+      'EXDATE:20260310T010000Z',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n');
+
+    const [imported] = parseICSEvents(ics, ['Other']);
+
+    expect(imported.timeZone).toBe('America/Los_Angeles');
+    expect(imported.recurrence.until).toBe('2026-03-30');
+    expect(imported.recurrence.exceptionDates).toEqual(['2026-03-09']);
+  });
+});
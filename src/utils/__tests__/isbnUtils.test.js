@@ -0,0 +1,61 @@
+import {
+  findIsbnsInText,
+  isValidIsbn10,
+  isValidIsbn13,
+  isbn10To13,
+  toIsbn13,
+} from '../isbnUtils';
+
+describe('ISBN checksums', () => {
+  it('accepts valid ISBN-10s, including an X check digit', () => {
+    expect(isValidIsbn10('0-306-40615-2')).toBe(true);
+    expect(isValidIsbn10('080442957X')).toBe(true);
+    expect(isValidIsbn10('080442957x')).toBe(true);
+  });
+
+  it('rejects ISBN-10s with the wrong check digit or length', () => {
+    expect(isValidIsbn10('0306406153')).toBe(false);
+    expect(isValidIsbn10('030640615')).toBe(false);
+    expect(isValidIsbn10('X306406152')).toBe(false);
+  });
+
+  it('accepts valid ISBN-13s', () => {
+    expect(isValidIsbn13('978-0-306-40615-7')).toBe(true);
+    expect(isValidIsbn13('9791032305690')).toBe(true);
+  });
+
+  it('rejects ISBN-13s with the wrong check digit or prefix', () => {
+    expect(isValidIsbn13('9780306406158')).toBe(false);
+    // A valid EAN-13 that is not a book
+    expect(isValidIsbn13('4006381333931')).toBe(false);
+  });
+});
+
+describe('ISBN-10 to ISBN-13 conversion', () => {
+  it('converts an ISBN-10 to the ISBN-13 of the same book', () => {
+    expect(isbn10To13('0-306-40615-2')).toBe('9780306406157');
+    expect(isbn10To13('080442957X')).toBe('9780804429573');
+  });
+
+  it('returns null for an invalid ISBN-10', () => {
+    expect(isbn10To13('0306406153')).toBeNull();
+  });
+
+  it('identifies a book by one ISBN-13 whichever ISBN is given', () => {
+    expect(toIsbn13('0306406152')).toBe('9780306406157');
+    expect(toIsbn13('978-0-306-40615-7')).toBe('9780306406157');
+    expect(toIsbn13('12345')).toBeNull();
+  });
+});
+
+describe('findIsbnsInText', () => {
+  it('finds labelled ISBNs and barcode numbers, skipping other numbers', () => {
+    const text = 'Price £7.99\nISBN 0-306-40615-2\n9780804429573\nTel 01234 567890';
+
+    expect(findIsbnsInText(text)).toEqual(['9780306406157', '9780804429573']);
+  });
+
+  it('lists a book once when its ISBN is printed in both forms', () => {
+    expect(findIsbnsInText('ISBN 978-0-306-40615-7\n9780306406157')).toEqual(['9780306406157']);
+  });
+});
@@ -0,0 +1,26 @@
+import {
+  buildPublicHolidayEvents,
+  getPublicHolidayPackYears,
+  getPublicHolidayRegions,
+} from '../publicHolidayUtils';
+
+describe('public holiday packs', () => {
+  it('bundles 2027 for every region', () => {
+    getPublicHolidayRegions().forEach((region) => {
+      expect(region.years).toContain(2027);
+      const events = buildPublicHolidayEvents(region.code, 2027);
+      expect(events.length).toBeGreaterThan(0);
+      events.forEach((event) => expect(event.startDate).toMatch(/^2027-/));
+    });
+  });
+
+  it('offers this year and next even when they are not bundled', () => {
+    const region = { code: 'HK', name: 'Hong Kong', years: [2026, 2025] };
+
+    expect(getPublicHolidayPackYears(region, new Date(2026, 5, 1))).toEqual([
+      { year: 2027, isBundled: false },
+      { year: 2026, isBundled: true },
+      { year: 2025, isBundled: true },
+    ]);
+  });
+});
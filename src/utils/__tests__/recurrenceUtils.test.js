@@ -0,0 +1,321 @@
+import {
+  buildOccurrence,
+  expandRecurringEvent,
+  getRecurrenceDates,
+  normalizeRecurrenceRule,
+  parseRRuleString,
+  toRRuleString,
+  validateRecurrenceRule,
+} from '../recurrenceUtils';
+import { parseLocalDateString } from '../dateUtils';
+import { execFileSync } from 'child_process';
+import path from 'path';
+
+// Jest workers can't change their time zone, so expansions in another device
+// zone run in a Node process started with that TZ
+const EXPAND_SCRIPT = `
+  const babel = require('@babel/core');
+  const loadJs = require.extensions['.js'];
+  require.extensions['.js'] = (module, filename) => {
+    if (filename.includes('node_modules')) return loadJs(module, filename);
+    const { code } = babel.transformFileSync(filename, {
+      babelrc: false,
+      configFile: false,
+      plugins: ['@babel/plugin-transform-modules-commonjs'],
+    });
+    module._compile(code, filename);
+  };
+  const { expandRecurringEvent } = require(process.argv[1]);
+  const [event, from, to] = JSON.parse(process.argv[2]);
+  const occurrences = expandRecurringEvent(event, new Date(from + 'T00:00'), new Date(to + 'T00:00'));
+  process.stdout.write(JSON.stringify(occurrences));
+`;
+
+const expandInDeviceTimeZone = (timeZone, event, from, to) =>
+  JSON.parse(
+    execFileSync(
+      process.execPath,
+      ['-e', EXPAND_SCRIPT, path.join(__dirname, '../recurrenceUtils.js'), JSON.stringify([event, from, to])],
+      { env: { ...process.env, TZ: timeZone }, encoding: 'utf8', timeout: 30000 }
+    )
+  );
+
+describe('getRecurrenceDates', () => {
+  it('repeats daily with an interval', () => {
+    expect(
+      getRecurrenceDates({ frequency: 'daily', interval: 3 }, '2026-01-01', '2026-01-01', '2026-01-12')
+    ).toEqual(['2026-01-01', '2026-01-04', '2026-01-07', '2026-01-10']);
+  });
+
+  it('repeats weekly on several weekdays', () => {
+    expect(
+      getRecurrenceDates(
+        { frequency: 'weekly', byWeekday: [1, 3] },
+        '2026-03-02',
+        '2026-03-01',
+        '2026-03-15'
+      )
+    ).toEqual(['2026-03-02', '2026-03-04', '2026-03-09', '2026-03-11']);
+  });
+
+  it('skips weekdays before the start date in the first week', () => {
+    expect(
+      getRecurrenceDates(
+        { frequency: 'weekly', byWeekday: [1, 5] },
+        '2026-03-04',
+        '2026-03-01',
+        '2026-03-10'
+      )
+    ).toEqual(['2026-03-06', '2026-03-09']);
+  });
+
+  it('repeats every other week', () => {
+    expect(
+      getRecurrenceDates(
+        { frequency: 'weekly', interval: 2 },
+        '2026-03-02',
+        '2026-03-01',
+        '2026-04-01'
+      )
+    ).toEqual(['2026-03-02', '2026-03-16', '2026-03-30']);
+  });
+
+  it('skips months without the 31st', () => {
+    expect(
+      getRecurrenceDates({ frequency: 'monthly' }, '2026-01-31', '2026-01-01', '2026-07-31')
+    ).toEqual(['2026-01-31', '2026-03-31', '2026-05-31', '2026-07-31']);
+  });
+
+  it('repeats on the nth weekday of the month', () => {
+    // 2026-01-13 is the second Tuesday of January
+    expect(
+      getRecurrenceDates(
+        { frequency: 'monthly', monthlyMode: 'nthWeekday' },
+        '2026-01-13',
+        '2026-01-01',
+        '2026-03-31'
+      )
+    ).toEqual(['2026-01-13', '2026-02-10', '2026-03-10']);
+  });
+
+  it('keeps a fifth weekday as the last one of each month', () => {
+    // 2026-01-30 is the last Friday of January
+    expect(
+      getRecurrenceDates(
+        { frequency: 'monthly', monthlyMode: 'nthWeekday' },
+        '2026-01-30',
+        '2026-01-01',
+        '2026-03-31'
+      )
+    ).toEqual(['2026-01-30', '2026-02-27', '2026-03-27']);
+  });
+
+  it('stops after COUNT occurrences', () => {
+    expect(
+      getRecurrenceDates({ frequency: 'daily', count: 3 }, '2026-01-01', '2026-01-01', '2026-12-31')
+    ).toEqual(['2026-01-01', '2026-01-02', '2026-01-03']);
+  });
+
+  it('counts exception dates towards COUNT without returning them', () => {
+    expect(
+      getRecurrenceDates(
+        { frequency: 'daily', count: 3, exceptionDates: ['2026-01-02'] },
+        '2026-01-01',
+        '2026-01-01',
+        '2026-12-31'
+      )
+    ).toEqual(['2026-01-01', '2026-01-03']);
+  });
+
+  it('applies COUNT from the series start even when the range starts later', () => {
+    expect(
+      getRecurrenceDates({ frequency: 'weekly', count: 4 }, '2026-01-05', '2026-01-20', '2026-12-31')
+    ).toEqual(['2026-01-26']);
+  });
+
+  it('stops on the UNTIL date inclusively', () => {
+    expect(
+      getRecurrenceDates(
+        { frequency: 'weekly', until: '2026-01-19' },
+        '2026-01-05',
+        '2026-01-01',
+        '2026-12-31'
+      )
+    ).toEqual(['2026-01-05', '2026-01-12', '2026-01-19']);
+  });
+
+  it('only returns dates within the range', () => {
+    expect(
+      getRecurrenceDates({ frequency: 'daily' }, '2026-01-01', '2026-06-10', '2026-06-12')
+    ).toEqual(['2026-06-10', '2026-06-11', '2026-06-12']);
+  });
+});
+
+describe('normalizeRecurrenceRule', () => {
+  it('defaults a weekly rule to the start weekday', () => {
+    expect(normalizeRecurrenceRule({ frequency: 'weekly' }, '2026-03-04')).toEqual({
+      frequency: 'weekly',
+      interval: 1,
+      until: null,
+      count: null,
+      exceptionDates: [],
+      byWeekday: [3],
+    });
+  });
+
+  it('sorts and de-duplicates exception dates', () => {
+    expect(
+      normalizeRecurrenceRule(
+        { frequency: 'daily', exceptionDates: ['2026-01-03', '2026-01-02', '2026-01-03'] },
+        '2026-01-01'
+      ).exceptionDates
+    ).toEqual(['2026-01-02', '2026-01-03']);
+  });
+
+  it('rejects unknown frequencies', () => {
+    expect(normalizeRecurrenceRule({ frequency: 'hourly' }, '2026-01-01')).toBeNull();
+  });
+});
+
+describe('validateRecurrenceRule', () => {
+  it('accepts a valid rule', () => {
+    expect(validateRecurrenceRule({ frequency: 'daily', count: 5 }, '2026-01-01').valid).toBe(true);
+  });
+
+  it('rejects an end date before the start', () => {
+    const result = validateRecurrenceRule({ frequency: 'daily', until: '2025-12-31' }, '2026-01-01');
+    expect(result.valid).toBe(false);
+  });
+
+  it('rejects both COUNT and UNTIL', () => {
+    const result = validateRecurrenceRule(
+      { frequency: 'daily', count: 2, until: '2026-02-01' },
+      '2026-01-01'
+    );
+    expect(result.errors).toContain('Recurrence can end on a date or after a count, not both');
+  });
+});
+
+describe('buildOccurrence', () => {
+  it('moves an all-day event and keeps its length', () => {
+    const occurrence = buildOccurrence(
+      {
+        id: 'camp',
+        isAllDay: true,
+        startDate: '2026-01-05',
+        endDate: '2026-01-06',
+        recurrence: { frequency: 'weekly' },
+      },
+      '2026-01-12'
+    );
+    expect(occurrence).toMatchObject({
+      id: 'camp_2026-01-12',
+      recurringEventId: 'camp',
+      occurrenceDate: '2026-01-12',
+      isRecurringOccurrence: true,
+      startDate: '2026-01-12',
+      endDate: '2026-01-13',
+    });
+  });
+
+  it('keeps the wall-clock time of a timed event across a DST change', () => {
+    // 09:00 in London before and after the clocks go forward on 2026-03-29
+    const occurrence = buildOccurrence(
+      {
+        id: 'swim',
+        startDateTime: '2026-03-23T09:00:00.000Z',
+        endDateTime: '2026-03-23T10:00:00.000Z',
+        timeZone: 'Europe/London',
+        recurrence: { frequency: 'weekly' },
+      },
+      '2026-03-30'
+    );
+    expect(occurrence.startDateTime).toBe('2026-03-30T08:00:00.000Z');
+    expect(occurrence.endDateTime).toBe('2026-03-30T09:00:00.000Z');
+  });
+});
+
+describe('expandRecurringEvent', () => {
+  it('leaves out exception dates', () => {
+    const occurrences = expandRecurringEvent(
+      {
+        id: 'club',
+        isAllDay: true,
+        startDate: '2026-01-05',
+        endDate: '2026-01-05',
+        recurrence: { frequency: 'weekly', exceptionDates: ['2026-01-12'] },
+      },
+      parseLocalDateString('2026-01-01'),
+      parseLocalDateString('2026-01-31')
+    );
+    expect(occurrences.map((occurrence) => occurrence.occurrenceDate)).toEqual([
+      '2026-01-05',
+      '2026-01-19',
+      '2026-01-26',
+    ]);
+  });
+
+  it('includes a multi-day occurrence that starts before the range', () => {
+    const occurrences = expandRecurringEvent(
+      {
+        id: 'trip',
+        isAllDay: true,
+        startDate: '2026-01-02',
+        endDate: '2026-01-04',
+        recurrence: { frequency: 'weekly' },
+      },
+      parseLocalDateString('2026-01-10'),
+      parseLocalDateString('2026-01-10')
+    );
+    expect(occurrences.map((occurrence) => occurrence.occurrenceDate)).toEqual(['2026-01-09']);
+  });
+
+  it.each(['America/Los_Angeles', 'Asia/Hong_Kong'])(
+    'keeps a timed series on its own weekdays on a device in %s',
+    (deviceTimeZone) => {
+      // Mondays at 08:00 in Hong Kong, which is still Sunday in Los Angeles
+      const lesson = {
+        id: 'lesson',
+        isAllDay: false,
+        startDateTime: '2026-03-02T00:00:00.000Z',
+        endDateTime: '2026-03-02T01:00:00.000Z',
+        timeZone: 'Asia/Hong_Kong',
+        recurrence: { frequency: 'weekly', byWeekday: [1], exceptionDates: ['2026-03-09'] },
+      };
+
+      const occurrences = expandInDeviceTimeZone(deviceTimeZone, lesson, '2026-03-01', '2026-03-20');
+
+      expect(occurrences.map((occurrence) => occurrence.occurrenceDate)).toEqual([
+        '2026-03-02',
+        '2026-03-16',
+      ]);
+      expect(occurrences.map((occurrence) => occurrence.startDateTime)).toEqual([
+        '2026-03-02T00:00:00.000Z',
+        '2026-03-16T00:00:00.000Z',
+      ]);
+    }
+  );
+});
+
+describe('RRULE conversion', () => {
+  it('round-trips a weekly rule', () => {
+    const rrule = toRRuleString({ frequency: 'weekly', byWeekday: [1, 3], count: 10 }, '2026-03-02');
+    expect(rrule).toBe('FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,WE;COUNT=10');
+    expect(parseRRuleString(`RRULE:${rrule}`)).toMatchObject({
+      frequency: 'weekly',
+      interval: 1,
+      count: 10,
+      byWeekday: [1, 3],
+    });
+  });
+
+  it('writes a monthly nth weekday rule', () => {
+    expect(
+      toRRuleString({ frequency: 'monthly', monthlyMode: 'nthWeekday', until: '2026-06-30' }, '2026-01-13')
+    ).toBe('FREQ=MONTHLY;INTERVAL=1;BYDAY=2TU;UNTIL=20260630');
+  });
+
+  it('returns null for rules the app cannot represent', () => {
+    expect(parseRRuleString('FREQ=HOURLY')).toBeNull();
+  });
+});
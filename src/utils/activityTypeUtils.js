@@ -0,0 +1,365 @@
+/**
+ * Utility functions for the family time activity type registry
+ *
+ * Activities store their type by name (e.g. type: 'Cooking'), and each type in
+ * the registry describes how that name is shown: an Ionicons icon, a colour and
+ * a short description. Types may also define extra fields that are filled in
+ * for each activity of that type, such as "Recipe" for Cooking; the answers are
+ * kept on the activity in `customFields`, keyed by field id.
+ *
+ * The four original types always exist; users can add their own.
+ */
+
+export const FALLBACK_ACTIVITY_TYPE_ICON = 'calendar-outline';
+export const FALLBACK_ACTIVITY_TYPE_COLOR = '#666666';
+
+// Built-in type whose activities can carry book information
+export const READING_ACTIVITY_TYPE_NAME = 'Reading Time';
+
+export const MAX_ACTIVITY_TYPES = 30;
+export const MAX_ACTIVITY_TYPE_NAME_LENGTH = 30;
+export const MAX_ACTIVITY_TYPE_DESCRIPTION_LENGTH = 60;
+export const MAX_ACTIVITY_TYPE_FIELDS = 5;
+export const MAX_ACTIVITY_FIELD_LABEL_LENGTH = 30;
+export const MAX_ACTIVITY_FIELD_VALUE_LENGTH = 200;
+
+export const ACTIVITY_FIELD_KINDS = ['text', 'number'];
+
+export const DEFAULT_ACTIVITY_TYPES = [
+  {
+    id: 'reading_time',
+    name: 'Reading Time',
+    icon: 'book-outline',
+    color: '#4CAF50',
+    description: 'Story time and reading activities',
+    titleLabel: 'Reading Time',
+    fields: [],
+    isBuiltIn: true,
+  },
+  {
+    id: 'sports',
+    name: 'Sports',
+    icon: 'fitness-outline',
+    color: '#FF9800',
+    description: 'Physical activities and sports',
+    titleLabel: 'Sports Activity',
+    fields: [],
+    isBuiltIn: true,
+  },
+  {
+    id: 'adventure',
+    name: 'Adventure',
+    icon: 'map-outline',
+    color: '#2196F3',
+    description: 'Outdoor adventures and exploration',
+    titleLabel: 'Adventure',
+    fields: [],
+    isBuiltIn: true,
+  },
+  {
+    id: 'important',
+    name: 'Important',
+    icon: 'star-outline',
+    color: '#F44336',
+    description: 'Special moments and milestones',
+    titleLabel: 'Special Moment',
+    fields: [],
+    isBuiltIn: true,
+  },
+];
+
+// Icons offered when creating or editing a type
+export const ACTIVITY_TYPE_ICON_OPTIONS = [
+  'book-outline',
+  'fitness-outline',
+  'map-outline',
+  'star-outline',
+  'restaurant-outline',
+  'musical-notes-outline',
+  'color-palette-outline',
+  'dice-outline',
+  'game-controller-outline',
+  'football-outline',
+  'bicycle-outline',
+  'leaf-outline',
+  'brush-outline',
+  'construct-outline',
+  'film-outline',
+  'camera-outline',
+  'paw-outline',
+  'water-outline',
+  'heart-outline',
+  'home-outline',
+];
+
+// Colours offered when creating or editing a type
+export const ACTIVITY_TYPE_COLOR_OPTIONS = [
+  '#4CAF50',
+  '#FF9800',
+  '#2196F3',
+  '#F44336',
+  '#48b6b0',
+  '#7B68EE',
+  '#FF6B9D',
+  '#F4D03F',
+  '#8D6E63',
+  '#78909C',
+];
+
+/**
+ * Normalize an activity type name for comparison
+ * @param {string} name - Activity type name
+ * @returns {string} - Lowercased name with collapsed whitespace
+ */
+const normalizeActivityTypeName = (name) => {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+};
+
+/**
+ * Build a stable id for a new activity type from its name
+ * @param {string} name - Activity type name
+ * @returns {string} - Id such as 'custom_cooking_1697712000000'
+ */
+export const createActivityTypeId = (name) => {
+  const slug = normalizeActivityTypeName(name).replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  return `custom_${slug || 'type'}_${Date.now()}`;
+};
+
+/**
+ * Build an id for a new type-specific field
+ * @returns {string} - Id such as 'field_1697712000000_ab12'
+ */
+export const createActivityFieldId = () => {
+  return `field_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`;
+};
+
+/**
+ * Keep only well-formed type-specific fields
+ * @param {Array} fields - Stored field definitions
+ * @returns {Array} - [{ id, label, kind }]
+ */
+export const normalizeActivityTypeFields = (fields) => {
+  if (!Array.isArray(fields)) return [];
+  return fields
+    .filter((field) => field && field.id && String(field.label || '').trim())
+    .slice(0, MAX_ACTIVITY_TYPE_FIELDS)
+    .map((field) => ({
+      id: String(field.id),
+      label: String(field.label).trim(),
+      kind: ACTIVITY_FIELD_KINDS.includes(field.kind) ? field.kind : 'text',
+    }));
+};
+
+/**
+ * Merge stored activity types with the built-in ones
+ * Built-in types keep their id, name and title but may have a customised icon,
+ * colour, description or fields.
+ * @param {Array} storedTypes - Activity types loaded from storage
+ * @returns {Array} - Built-in types first, then custom types in stored order
+ */
+export const mergeWithDefaultActivityTypes = (storedTypes) => {
+  const types = Array.isArray(storedTypes) ? storedTypes.filter((type) => type && type.name) : [];
+
+  const builtInTypes = DEFAULT_ACTIVITY_TYPES.map((defaultType) => {
+    const stored = types.find((type) => type.id === defaultType.id);
+    return stored
+      ? {
+          ...defaultType,
+          icon: stored.icon || defaultType.icon,
+          color: stored.color || defaultType.color,
+          description: stored.description || defaultType.description,
+          fields: normalizeActivityTypeFields(stored.fields),
+        }
+      : { ...defaultType };
+  });
+
+  const builtInIds = new Set(DEFAULT_ACTIVITY_TYPES.map((type) => type.id));
+  const builtInNames = new Set(DEFAULT_ACTIVITY_TYPES.map((type) => normalizeActivityTypeName(type.name)));
+  const customTypes = types
+    .filter((type) => !builtInIds.has(type.id) && !builtInNames.has(normalizeActivityTypeName(type.name)))
+    .map((type) => ({
+      ...type,
+      description: type.description || '',
+      fields: normalizeActivityTypeFields(type.fields),
+      isBuiltIn: false,
+    }));
+
+  return [...builtInTypes, ...customTypes];
+};
+
+/**
+ * Find an activity type by name
+ * @param {string} name - Activity type name stored on an activity
+ * @param {Array} [activityTypes] - Registry to search
+ * @returns {Object|null} - Matching activity type or null
+ */
+export const findActivityType = (name, activityTypes = DEFAULT_ACTIVITY_TYPES) => {
+  const normalized = normalizeActivityTypeName(name);
+  if (!normalized) return null;
+  return activityTypes.find((type) => normalizeActivityTypeName(type.name) === normalized) || null;
+};
+
+/**
+ * Get the icon for an activity type
+ * @param {string} name - Activity type name stored on an activity
+ * @param {Array} [activityTypes] - Registry to search
+ * @returns {string} - Ionicons name, falling back to a calendar icon for unknown types
+ */
+export const getActivityTypeIcon = (name, activityTypes = DEFAULT_ACTIVITY_TYPES) => {
+  return findActivityType(name, activityTypes)?.icon || FALLBACK_ACTIVITY_TYPE_ICON;
+};
+
+/**
+ * Get the colour for an activity type
+ * @param {string} name - Activity type name stored on an activity
+ * @param {Array} [activityTypes] - Registry to search
+ * @returns {string} - Hex colour, falling back to grey for unknown types
+ */
+export const getActivityTypeColor = (name, activityTypes = DEFAULT_ACTIVITY_TYPES) => {
+  return findActivityType(name, activityTypes)?.color || FALLBACK_ACTIVITY_TYPE_COLOR;
+};
+
+/**
+ * Get the names of all activity types in a registry
+ * @param {Array} [activityTypes] - Registry
+ * @returns {string[]} - Activity type names
+ */
+export const getActivityTypeNames = (activityTypes = DEFAULT_ACTIVITY_TYPES) => {
+  return activityTypes.map((type) => type.name);
+};
+
+/**
+ * Get the words an activity's generated title starts with
+ * @param {string} name - Activity type name
+ * @param {Array} [activityTypes] - Registry to search
+ * @returns {string} - e.g. 'Special Moment' for Important, or the type name for custom types
+ */
+export const getActivityTitleLabel = (name, activityTypes = DEFAULT_ACTIVITY_TYPES) => {
+  const activityType = findActivityType(name, activityTypes);
+  if (!activityType) return 'Family Time';
+  return activityType.titleLabel || activityType.name;
+};
+
+/**
+ * Start an activity type breakdown with a zero count for every type
+ * @param {string[]} activityTypeNames - Names from the registry
+ * @returns {Object} - { [typeName]: 0 }
+ */
+export const createActivityTypeBreakdown = (activityTypeNames = getActivityTypeNames()) => {
+  return activityTypeNames.reduce((breakdown, name) => {
+    breakdown[name] = 0;
+    return breakdown;
+  }, {});
+};
+
+/**
+ * Keep the answers to a type's fields, dropping empty and unknown ones
+ * @param {Object} customFields - { [fieldId]: value }
+ * @param {Object|null} activityType - Type definition with fields
+ * @returns {Object} - Cleaned answers; number fields are stored as numbers
+ */
+export const normalizeActivityCustomFields = (customFields, activityType) => {
+  const fields = activityType?.fields || [];
+  if (!customFields || typeof customFields !== 'object' || fields.length === 0) {
+    return {};
+  }
+
+  return fields.reduce((values, field) => {
+    const value = customFields[field.id];
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return values;
+    }
+    values[field.id] = field.kind === 'number' ? Number(value) : String(value).trim();
+    return values;
+  }, {});
+};
+
+/**
+ * Check the answers to a type's fields
+ * @param {Object} customFields - { [fieldId]: value }
+ * @param {Object|null} activityType - Type definition with fields
+ * @returns {string[]} - Error messages, empty when valid
+ */
+export const validateActivityCustomFields = (customFields, activityType) => {
+  const errors = [];
+  if (customFields === undefined || customFields === null) {
+    return errors;
+  }
+  if (typeof customFields !== 'object' || Array.isArray(customFields)) {
+    return ['Custom fields must be an object'];
+  }
+
+  (activityType?.fields || []).forEach((field) => {
+    const value = customFields[field.id];
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+    if (field.kind === 'number' && !Number.isFinite(Number(value))) {
+      errors.push(`${field.label} must be a number`);
+    } else if (String(value).length > MAX_ACTIVITY_FIELD_VALUE_LENGTH) {
+      errors.push(`${field.label} cannot be longer than ${MAX_ACTIVITY_FIELD_VALUE_LENGTH} characters`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validate a new or edited activity type before saving
+ * @param {Object} activityType - { id, name, icon, color, description, fields }
+ * @param {Array} existingTypes - Current registry, used to reject duplicate names
+ * @returns {Object} - { isValid, errors }
+ */
+export const validateActivityTypeInput = (activityType, existingTypes = []) => {
+  const errors = [];
+  const name = String(activityType?.name || '').trim();
+
+  if (!name) {
+    errors.push('Please enter a name for the activity type');
+  } else if (name.length > MAX_ACTIVITY_TYPE_NAME_LENGTH) {
+    errors.push(`Activity type names cannot be longer than ${MAX_ACTIVITY_TYPE_NAME_LENGTH} characters`);
+  } else if (!/^[a-zA-Z0-9\s\-_]+$/.test(name)) {
+    errors.push('Activity type names can only contain letters, numbers, spaces, hyphens and underscores');
+  } else {
+    const duplicate = findActivityType(name, existingTypes);
+    if (duplicate && duplicate.id !== activityType.id) {
+      errors.push(`An activity type called "${duplicate.name}" already exists`);
+    }
+  }
+
+  if (!activityType?.icon) {
+    errors.push('Please choose an icon');
+  }
+
+  if (!/^#[0-9A-Fa-f]{6}$/.test(activityType?.color || '')) {
+    errors.push('Please choose a colour');
+  }
+
+  if (String(activityType?.description || '').length > MAX_ACTIVITY_TYPE_DESCRIPTION_LENGTH) {
+    errors.push(`Descriptions cannot be longer than ${MAX_ACTIVITY_TYPE_DESCRIPTION_LENGTH} characters`);
+  }
+
+  const fields = Array.isArray(activityType?.fields) ? activityType.fields : [];
+  if (fields.length > MAX_ACTIVITY_TYPE_FIELDS) {
+    errors.push(`An activity type can have at most ${MAX_ACTIVITY_TYPE_FIELDS} extra fields`);
+  }
+  const fieldLabels = new Set();
+  fields.forEach((field, index) => {
+    const label = String(field?.label || '').trim();
+    if (!label) {
+      errors.push(`Please enter a name for field ${index + 1}`);
+    } else if (label.length > MAX_ACTIVITY_FIELD_LABEL_LENGTH) {
+      errors.push(`Field names cannot be longer than ${MAX_ACTIVITY_FIELD_LABEL_LENGTH} characters`);
+    } else if (fieldLabels.has(label.toLowerCase())) {
+      errors.push(`There is more than one field called "${label}"`);
+    }
+    fieldLabels.add(label.toLowerCase());
+  });
+
+  const isNew = !existingTypes.some((type) => type.id === activityType?.id);
+  if (isNew && existingTypes.length >= MAX_ACTIVITY_TYPES) {
+    errors.push(`You can have at most ${MAX_ACTIVITY_TYPES} activity types`);
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
@@ -0,0 +1,158 @@
+/**
+ * Utility functions for calendar event attachments (photos and scanned documents)
+ *
+ * Attachments are stored inline on the event as
+ * `attachments: [{ id, kind, uri, width, height, size, addedAt }]`, where `uri`
+ * is a compressed base64 JPEG data URL. Keeping them on the event item means
+ * they are removed together with the event, but the whole event must stay
+ * below DynamoDB's 400KB item limit, so the attachments share a size budget.
+ */
+
+import ImageUtils from './imageUtils';
+
+export const MAX_EVENT_ATTACHMENTS = 6;
+
+// Decoded bytes per attachment and for all attachments of an event. Base64
+// adds a third on top, so 240KB of images is ~320KB stored, leaving room for
+// the rest of the event within the 400KB item limit.
+export const MAX_ATTACHMENT_SIZE_BYTES = 48 * 1024;
+export const MAX_EVENT_ATTACHMENTS_SIZE_BYTES = 240 * 1024;
+
+export const ATTACHMENT_KINDS = {
+  PHOTO: 'photo',
+  DOCUMENT: 'document',
+};
+
+// Documents keep more pixels so the text stays readable
+const ATTACHMENT_MAX_WIDTH = {
+  [ATTACHMENT_KINDS.PHOTO]: 1200,
+  [ATTACHMENT_KINDS.DOCUMENT]: 1600,
+};
+
+/**
+ * Create an attachment from an image picked or taken by the user
+ * Resizes and compresses the image until it fits the per-attachment budget.
+ * @param {string} imageUri - Local image URI from the picker
+ * @param {string} kind - One of ATTACHMENT_KINDS
+ * @param {number} maxSizeBytes - Remaining budget for this attachment
+ * @returns {Promise<Object|null>} - Attachment, or null if the image could not be made small enough
+ */
+export const createAttachment = async (
+  imageUri,
+  kind = ATTACHMENT_KINDS.PHOTO,
+  maxSizeBytes = MAX_ATTACHMENT_SIZE_BYTES
+) => {
+  const image = await ImageUtils.encodeImageWithinSize(
+    imageUri,
+    Math.min(maxSizeBytes, MAX_ATTACHMENT_SIZE_BYTES),
+    ATTACHMENT_MAX_WIDTH[kind] || ATTACHMENT_MAX_WIDTH[ATTACHMENT_KINDS.PHOTO]
+  );
+
+  if (!image) return null;
+
+  return {
+    id: `attachment_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    kind,
+    uri: image.uri,
+    width: image.width,
+    height: image.height,
+    size: image.size,
+    addedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Get the size of an attachment in bytes
+ * @param {Object} attachment - Event attachment
+ * @returns {number}
+ */
+export const getAttachmentSize = (attachment) => {
+  return ImageUtils.getBase64ImageSize(attachment?.uri);
+};
+
+/**
+ * Get the total size of a list of attachments in bytes
+ * @param {Array} attachments - Event attachments
+ * @returns {number}
+ */
+export const getAttachmentsSize = (attachments) => {
+  if (!Array.isArray(attachments)) return 0;
+  return attachments.reduce((total, attachment) => total + getAttachmentSize(attachment), 0);
+};
+
+/**
+ * Get how many bytes are left for new attachments on an event
+ * @param {Array} attachments - Current event attachments
+ * @returns {number}
+ */
+export const getRemainingAttachmentBudget = (attachments) => {
+  return Math.max(0, MAX_EVENT_ATTACHMENTS_SIZE_BYTES - getAttachmentsSize(attachments));
+};
+
+/**
+ * Check if an event has any attachments
+ * @param {Object} event - Calendar event
+ * @returns {boolean}
+ */
+export const hasAttachments = (event) => {
+  return Array.isArray(event?.attachments) && event.attachments.length > 0;
+};
+
+/**
+ * Clean up attachments before saving
+ * Drops anything that isn't an inline base64 image and keeps only known fields.
+ * @param {Array} attachments - Event attachments
+ * @returns {Array} - Normalized attachments
+ */
+export const normalizeAttachments = (attachments) => {
+  if (!Array.isArray(attachments)) return [];
+
+  return attachments
+    .filter((attachment) => attachment && ImageUtils.isValidBase64Image(attachment.uri))
+    .map((attachment, index) => ({
+      id: attachment.id || `attachment_${Date.now()}_${index}`,
+      kind: attachment.kind === ATTACHMENT_KINDS.DOCUMENT
+        ? ATTACHMENT_KINDS.DOCUMENT
+        : ATTACHMENT_KINDS.PHOTO,
+      uri: attachment.uri,
+      width: Number(attachment.width) || null,
+      height: Number(attachment.height) || null,
+      size: getAttachmentSize(attachment),
+      addedAt: attachment.addedAt || new Date().toISOString(),
+    }));
+};
+
+/**
+ * Validate event attachments against the count and size limits
+ * @param {Array} attachments - Event attachments
+ * @returns {Object} - { isValid, errors }
+ */
+export const validateAttachments = (attachments) => {
+  const errors = [];
+
+  if (attachments === undefined || attachments === null) {
+    return { isValid: true, errors };
+  }
+
+  if (!Array.isArray(attachments)) {
+    return { isValid: false, errors: ['Attachments must be an array'] };
+  }
+
+  if (attachments.length > MAX_EVENT_ATTACHMENTS) {
+    errors.push(`Cannot add more than ${MAX_EVENT_ATTACHMENTS} attachments`);
+  }
+
+  attachments.forEach((attachment, index) => {
+    if (!attachment || !ImageUtils.isValidBase64Image(attachment.uri)) {
+      errors.push(`Attachment at index ${index} must be a base64 image`);
+    } else if (getAttachmentSize(attachment) > MAX_ATTACHMENT_SIZE_BYTES) {
+      errors.push(`Attachment at index ${index} is too large`);
+    }
+  });
+
+  if (getAttachmentsSize(attachments) > MAX_EVENT_ATTACHMENTS_SIZE_BYTES) {
+    errors.push('Attachments are too large to be saved with the event');
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
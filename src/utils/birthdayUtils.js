@@ -0,0 +1,192 @@
+/**
+ * Utility functions for birthday events generated from child profiles
+ *
+ * Birthdays are not stored as calendar events. They are generated for a date
+ * range from each child's date of birth, so editing or deleting a child is
+ * reflected straight away. Generated events look like all-day 'Birthday'
+ * events with `isBirthday: true` and `birthdayChildId` set.
+ */
+
+import { formatLocalDateString, parseLocalDateString } from './dateUtils';
+import { addDaysToDateString } from './recurrenceUtils';
+
+export const BIRTHDAY_EVENT_TYPE = 'Birthday';
+
+// Offsets offered for birthday reminders
+export const BIRTHDAY_REMINDER_OPTIONS = [
+  { id: 'at_time', label: 'On the day' },
+  { id: '1_day', label: '1 day before' },
+  { id: 'custom_7_days', label: '1 week before' },
+  { id: 'custom_14_days', label: '2 weeks before' },
+];
+
+export const DEFAULT_BIRTHDAY_SETTINGS = {
+  enabled: true,
+  reminders: ['custom_14_days', 'at_time'],
+};
+
+/**
+ * Clean up birthday settings, applying defaults
+ * @param {Object} settings - Stored settings
+ * @returns {Object} - { enabled, reminders }
+ */
+export const normalizeBirthdaySettings = (settings) => {
+  if (!settings || typeof settings !== 'object') {
+    return { ...DEFAULT_BIRTHDAY_SETTINGS };
+  }
+
+  const reminderIds = BIRTHDAY_REMINDER_OPTIONS.map((option) => option.id);
+  const reminders = Array.isArray(settings.reminders)
+    ? settings.reminders.filter((id) => reminderIds.includes(id))
+    : DEFAULT_BIRTHDAY_SETTINGS.reminders;
+
+  return {
+    enabled: settings.enabled !== undefined ? Boolean(settings.enabled) : DEFAULT_BIRTHDAY_SETTINGS.enabled,
+    reminders: [...new Set(reminders)],
+  };
+};
+
+/**
+ * Get a child's date of birth as YYYY-MM-DD
+ * Profiles store `dateOfBirth`; older local profiles only have `birthday` as DD/MM/YYYY.
+ * @param {Object} child - Child profile
+ * @returns {string|null} - Date of birth or null if unknown
+ */
+export const getChildDateOfBirth = (child) => {
+  if (!child) return null;
+
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (typeof child.dateOfBirth === 'string' && dateRegex.test(child.dateOfBirth)) {
+    return child.dateOfBirth;
+  }
+
+  if (typeof child.birthday === 'string') {
+    const [day, month, year] = child.birthday.split('/').map((part) => parseInt(part, 10));
+    if (day && month && year && year >= 1900) {
+      const date = new Date(year, month - 1, day);
+      // Reject dates that rolled over, e.g. 31/02
+      if (date.getMonth() === month - 1 && date.getDate() === day) {
+        return formatLocalDateString(date);
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Get the name shown for a child in birthday titles
+ * @param {Object} child - Child profile
+ * @returns {string}
+ */
+export const getChildDisplayName = (child) => {
+  return child?.nickname || child?.firstName || child?.name || 'Your child';
+};
+
+/**
+ * Get the date a birthday falls on in a given year
+ * Children born on 29 February celebrate on 28 February in non-leap years.
+ * @param {string} dateOfBirth - Date of birth (YYYY-MM-DD)
+ * @param {number} year - Year of the birthday
+ * @returns {string} - Birthday date (YYYY-MM-DD)
+ */
+export const getBirthdayDateString = (dateOfBirth, year) => {
+  const birthDate = parseLocalDateString(dateOfBirth);
+  const month = birthDate.getMonth();
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  return formatLocalDateString(new Date(year, month, Math.min(birthDate.getDate(), daysInMonth)));
+};
+
+/**
+ * Build the birthday event of a child for one year
+ * @param {Object} child - Child profile
+ * @param {number} year - Year of the birthday
+ * @returns {Object|null} - Generated all-day event, or null if the child has no date of birth
+ */
+export const buildBirthdayEvent = (child, year) => {
+  const dateOfBirth = getChildDateOfBirth(child);
+  if (!dateOfBirth) return null;
+
+  const age = year - parseLocalDateString(dateOfBirth).getFullYear();
+  if (age < 1) return null;
+
+  const name = getChildDisplayName(child);
+  const dateString = getBirthdayDateString(dateOfBirth, year);
+  const eventChild = {
+    id: child.id,
+    name,
+    color: child.favourColor || '#48b6b0',
+  };
+
+  return {
+    id: `birthday_${child.id}_${year}`,
+    title: `${name} turns ${age}`,
+    eventType: BIRTHDAY_EVENT_TYPE,
+    isAllDay: true,
+    startDate: dateString,
+    endDate: dateString,
+    children: [eventChild],
+    childId: eventChild.id,
+    childName: eventChild.name,
+    isBirthday: true,
+    birthdayChildId: child.id,
+    age,
+  };
+};
+
+/**
+ * Check if an event was generated from a child's birthday
+ * @param {Object} event - Calendar event
+ * @returns {boolean}
+ */
+export const isBirthdayEvent = (event) => {
+  return !!(event && event.isBirthday === true && event.birthdayChildId);
+};
+
+/**
+ * Generate the birthday events of all children within a date range
+ * @param {Array} children - Child profiles
+ * @param {Date|string} rangeStart - First date of the range
+ * @param {Date|string} rangeEnd - Last date of the range
+ * @returns {Array} - Birthday events in date order
+ */
+export const getBirthdayEventsInRange = (children, rangeStart, rangeEnd) => {
+  if (!Array.isArray(children) || children.length === 0) return [];
+
+  const rangeStartString = typeof rangeStart === 'string' ? rangeStart : formatLocalDateString(rangeStart);
+  const rangeEndString = typeof rangeEnd === 'string' ? rangeEnd : formatLocalDateString(rangeEnd);
+  const firstYear = parseLocalDateString(rangeStartString).getFullYear();
+  const lastYear = parseLocalDateString(rangeEndString).getFullYear();
+
+  const events = [];
+  children.forEach((child) => {
+    for (let year = firstYear; year <= lastYear; year++) {
+      const event = buildBirthdayEvent(child, year);
+      if (event && event.startDate >= rangeStartString && event.startDate <= rangeEndString) {
+        events.push(event);
+      }
+    }
+  });
+
+  return events.sort((a, b) => a.startDate.localeCompare(b.startDate) || a.title.localeCompare(b.title));
+};
+
+/**
+ * Get the birthdays coming up in the next few days, today included
+ * @param {Array} children - Child profiles
+ * @param {number} days - How many days ahead to look
+ * @param {Date} fromDate - Date to count from (default: today)
+ * @returns {Array} - Birthday events with `daysUntil`
+ */
+export const getUpcomingBirthdays = (children, days = 30, fromDate = new Date()) => {
+  const fromString = formatLocalDateString(fromDate);
+  const toString = addDaysToDateString(fromString, days);
+  const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+  return getBirthdayEventsInRange(children, fromString, toString).map((event) => ({
+    ...event,
+    daysUntil: Math.round(
+      (parseLocalDateString(event.startDate) - parseLocalDateString(fromString)) / MS_PER_DAY
+    ),
+  }));
+};
@@ -0,0 +1,151 @@
+/**
+ * Utility functions for event checklists (packing lists and to-dos)
+ *
+ * A checklist is stored on the event as `checklist: [{ id, text, done }]`.
+ * Recurring series share one list of items, but each occurrence is ticked off
+ * separately in `checklistCompletions: { 'YYYY-MM-DD': [itemId, ...] }`.
+ */
+
+import { addDaysToDateString } from './recurrenceUtils';
+import { formatLocalDateString } from './dateUtils';
+
+export const MAX_CHECKLIST_ITEMS = 50;
+export const MAX_CHECKLIST_ITEM_LENGTH = 100;
+
+// Completions for recurring occurrences this far in the past are dropped on save
+const CHECKLIST_COMPLETION_RETENTION_DAYS = 90;
+
+// Offsets offered for the "checklist incomplete" reminder
+export const CHECKLIST_REMINDER_OPTIONS = [
+  { id: '1_hour', label: '1 hour before' },
+  { id: 'custom_3_hours', label: '3 hours before' },
+  { id: '1_day', label: '1 day before' },
+  { id: 'custom_2_days', label: '2 days before' },
+];
+
+/**
+ * Create a new checklist item
+ * @param {string} text - Item text
+ * @returns {Object} - { id, text, done }
+ */
+export const createChecklistItem = (text) => {
+  return {
+    id: `item_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    text: String(text || '').trim().slice(0, MAX_CHECKLIST_ITEM_LENGTH),
+    done: false,
+  };
+};
+
+/**
+ * Clean up checklist items before saving
+ * @param {Array} checklist - Checklist items
+ * @returns {Array} - Items with text, an id and a boolean done flag
+ */
+export const normalizeChecklist = (checklist) => {
+  if (!Array.isArray(checklist)) return [];
+
+  return checklist
+    .filter((item) => item && String(item.text || '').trim())
+    .slice(0, MAX_CHECKLIST_ITEMS)
+    .map((item) => ({
+      ...(item.id ? item : createChecklistItem(item.text)),
+      text: String(item.text).trim().slice(0, MAX_CHECKLIST_ITEM_LENGTH),
+      done: Boolean(item.done),
+    }));
+};
+
+/**
+ * Check if an event has any checklist items
+ * @param {Object} event - Calendar event
+ * @returns {boolean}
+ */
+export const hasChecklist = (event) => {
+  return Array.isArray(event?.checklist) && event.checklist.length > 0;
+};
+
+/**
+ * Get an event's checklist items with their completion state
+ * Expanded recurring occurrences take their state from the series' completions.
+ * @param {Object} event - Calendar event or occurrence
+ * @returns {Array} - Items as { id, text, done }
+ */
+export const getChecklistItems = (event) => {
+  if (!hasChecklist(event)) return [];
+
+  if (event.isRecurringOccurrence && event.occurrenceDate) {
+    const doneIds = new Set(event.checklistCompletions?.[event.occurrenceDate] || []);
+    return event.checklist.map((item) => ({ ...item, done: doneIds.has(item.id) }));
+  }
+
+  return event.checklist.map((item) => ({ ...item, done: Boolean(item.done) }));
+};
+
+/**
+ * Get the checklist items still to do
+ * @param {Object} event - Calendar event or occurrence
+ * @returns {Array} - Unchecked items
+ */
+export const getIncompleteChecklistItems = (event) => {
+  return getChecklistItems(event).filter((item) => !item.done);
+};
+
+/**
+ * Get how much of an event's checklist is done
+ * @param {Object} event - Calendar event or occurrence
+ * @returns {Object} - { done, total }
+ */
+export const getChecklistProgress = (event) => {
+  const items = getChecklistItems(event);
+  return {
+    done: items.filter((item) => item.done).length,
+    total: items.length,
+  };
+};
+
+/**
+ * Update the completed item ids for one occurrence of a recurring series
+ * Completions for occurrences long past are dropped so the series doesn't grow forever.
+ * @param {Object} completions - Existing checklistCompletions of the series
+ * @param {string} occurrenceDate - Occurrence date (YYYY-MM-DD)
+ * @param {string} itemId - Checklist item id
+ * @param {boolean} done - New completion state
+ * @returns {Object} - Updated checklistCompletions
+ */
+export const setOccurrenceChecklistItemDone = (completions, occurrenceDate, itemId, done) => {
+  const cutoffDateString = addDaysToDateString(
+    formatLocalDateString(new Date()),
+    -CHECKLIST_COMPLETION_RETENTION_DAYS
+  );
+
+  const updated = {};
+  Object.keys(completions || {}).forEach((dateString) => {
+    if (dateString >= cutoffDateString) {
+      updated[dateString] = completions[dateString];
+    }
+  });
+
+  const doneIds = new Set(updated[occurrenceDate] || []);
+  if (done) {
+    doneIds.add(itemId);
+  } else {
+    doneIds.delete(itemId);
+  }
+
+  if (doneIds.size > 0) {
+    updated[occurrenceDate] = Array.from(doneIds);
+  } else {
+    delete updated[occurrenceDate];
+  }
+
+  return updated;
+};
+
+/**
+ * Get the label for a checklist reminder offset
+ * @param {string} reminderId - Reminder id from CHECKLIST_REMINDER_OPTIONS
+ * @returns {string} - e.g. '1 day before'
+ */
+export const getChecklistReminderLabel = (reminderId) => {
+  const option = CHECKLIST_REMINDER_OPTIONS.find((item) => item.id === reminderId);
+  return option ? option.label : 'Before the event';
+};
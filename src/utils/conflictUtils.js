@@ -0,0 +1,337 @@
+/**
+ * Utility functions for detecting scheduling conflicts between calendar events
+ *
+ * Two events clash when they overlap in time and involve the same people:
+ * - timed events clash when their time ranges overlap
+ * - all-day events clash when they share at least one day
+ * Timed and all-day events never clash with each other. A timed event with no
+ * children is treated as a family event that involves everyone. An all-day
+ * event with no children, such as a public holiday, only marks the day and
+ * never clashes.
+ */
+
+import { Alert } from 'react-native';
+import { formatLocalDateString, parseLocalDateString } from './dateUtils';
+import {
+  addDaysToDateString,
+  expandRecurringEvent,
+  getEventStartDateString,
+  isRecurringEvent,
+} from './recurrenceUtils';
+
+// Recurring events are only checked over their first year of occurrences
+const RECURRING_CONFLICT_HORIZON_DAYS = 365;
+const MAX_RECURRING_CONFLICT_OCCURRENCES = 60;
+
+// Number of clashes listed in the warning before summarising the rest
+const MAX_LISTED_CONFLICTS = 5;
+
+/**
+ * Get the children of an event, falling back to the legacy single-child fields
+ * @param {Object} event - Calendar event
+ * @returns {Array} - Array of { id, name } objects
+ */
+const getChildrenFromEvent = (event) => {
+  if (Array.isArray(event.children) && event.children.length > 0) {
+    return event.children.filter((child) => child && child.id);
+  }
+  if (event.childId) {
+    return [{ id: event.childId, name: event.childName }];
+  }
+  return [];
+};
+
+/**
+ * Get the last date (YYYY-MM-DD) an all-day or timed event covers
+ * @param {Object} event - Calendar event
+ * @returns {string|null} - End date string
+ */
+const getEventEndDateString = (event) => {
+  if (event.isAllDay) {
+    return event.endDate || event.startDate || null;
+  }
+  if (event.endDateTime) {
+    return formatLocalDateString(new Date(event.endDateTime));
+  }
+  return getEventStartDateString(event);
+};
+
+/**
+ * Check if two events overlap in time
+ * @param {Object} eventA - First event
+ * @param {Object} eventB - Second event
+ * @returns {boolean} - True if both are timed and overlap, or both are all-day and share a day
+ */
+export const eventsOverlap = (eventA, eventB) => {
+  if (!eventA || !eventB || !!eventA.isAllDay !== !!eventB.isAllDay) {
+    return false;
+  }
+
+  if (eventA.isAllDay) {
+    const startA = eventA.startDate;
+    const startB = eventB.startDate;
+    if (!startA || !startB) return false;
+    return startA <= getEventEndDateString(eventB) && startB <= getEventEndDateString(eventA);
+  }
+
+  const startA = new Date(eventA.startDateTime).getTime();
+  const endA = new Date(eventA.endDateTime || eventA.startDateTime).getTime();
+  const startB = new Date(eventB.startDateTime).getTime();
+  const endB = new Date(eventB.endDateTime || eventB.startDateTime).getTime();
+  if ([startA, endA, startB, endB].some(isNaN)) return false;
+
+  // Zero-length events still clash with anything running at that moment
+  if (startA === endA) return startA >= startB && startA < endB;
+  if (startB === endB) return startB >= startA && startB < endA;
+  return startA < endB && startB < endA;
+};
+
+/**
+ * Get the children two events have in common
+ * @param {Object} eventA - First event
+ * @param {Object} eventB - Second event
+ * @param {Function} [getEventChildren] - Resolves the children of an event
+ * @returns {Object} - { involvesSamePeople, sharedChildren }
+ */
+export const getSharedChildren = (eventA, eventB, getEventChildren = getChildrenFromEvent) => {
+  return getSharedChildrenFromLists(
+    getEventChildren(eventA),
+    getEventChildren(eventB),
+    !!eventA.isAllDay || !!eventB.isAllDay
+  );
+};
+
+/**
+ * Get the children two lists have in common
+ * @param {Array} childrenA - Children of the first event
+ * @param {Array} childrenB - Children of the second event
+ * @param {boolean} [isAllDay] - True when either event is all-day
+ * @returns {Object} - { involvesSamePeople, sharedChildren }
+ */
+const getSharedChildrenFromLists = (childrenA, childrenB, isAllDay = false) => {
+  if (childrenA.length === 0 || childrenB.length === 0) {
+    // An all-day event for nobody in particular only marks the day
+    if (isAllDay) {
+      return { involvesSamePeople: false, sharedChildren: [] };
+    }
+
+    // Timed family events involve everyone, so they clash with every child's events
+    return {
+      involvesSamePeople: true,
+      sharedChildren: childrenA.length === 0 ? childrenB : childrenA,
+    };
+  }
+
+  const childIdsB = new Set(childrenB.map((child) => child.id));
+  const sharedChildren = childrenA.filter((child) => childIdsB.has(child.id));
+  return { involvesSamePeople: sharedChildren.length > 0, sharedChildren };
+};
+
+/**
+ * Build a sortable key for an event's start
+ * @param {Object} event - Calendar event
+ * @returns {string} - Key that sorts all-day events before timed events on the same day
+ */
+const getEventSortKey = (event) => {
+  if (event.isAllDay) {
+    return `${event.startDate || ''}T00`;
+  }
+  return `${getEventStartDateString(event) || ''}T01${new Date(event.startDateTime).toISOString()}`;
+};
+
+/**
+ * Get the concrete occurrences of an event that is about to be saved
+ * Recurring events expand to their first occurrences and multi-date events
+ * to one occurrence per selected date, so each can be checked for clashes.
+ * @param {Object} eventData - Event data being saved
+ * @returns {Object[]} - Occurrences to check for conflicts
+ */
+export const getConflictCheckOccurrences = (eventData) => {
+  if (!eventData) return [];
+  const startDateString = getEventStartDateString(eventData);
+  if (!startDateString) return [];
+
+  if (isRecurringEvent(eventData)) {
+    const rangeStart = parseLocalDateString(startDateString);
+    const rangeEnd = parseLocalDateString(addDaysToDateString(startDateString, RECURRING_CONFLICT_HORIZON_DAYS));
+    return expandRecurringEvent({ ...eventData, id: eventData.id || 'new' }, rangeStart, rangeEnd)
+      .slice(0, MAX_RECURRING_CONFLICT_OCCURRENCES);
+  }
+
+  const multiDates = eventData.isMultiDate && Array.isArray(eventData.selectedMultiDates)
+    ? eventData.selectedMultiDates
+    : [];
+  if (multiDates.length === 0) {
+    return [eventData];
+  }
+
+  return multiDates.map((date) => {
+    const dateString = typeof date === 'string' ? date.slice(0, 10) : formatLocalDateString(new Date(date));
+    if (eventData.isAllDay) {
+      return { ...eventData, startDate: dateString, endDate: dateString };
+    }
+
+    // Keep the time of day on each selected date
+    const [year, month, day] = dateString.split('-').map(Number);
+    const startDateTime = new Date(eventData.startDateTime);
+    const endDateTime = new Date(eventData.endDateTime || eventData.startDateTime);
+    const durationMs = endDateTime.getTime() - startDateTime.getTime();
+    startDateTime.setFullYear(year, month - 1, day);
+    return {
+      ...eventData,
+      startDateTime: startDateTime.toISOString(),
+      endDateTime: new Date(startDateTime.getTime() + durationMs).toISOString(),
+    };
+  });
+};
+
+/**
+ * Get the date range covered by a list of occurrences
+ * @param {Object[]} occurrences - Occurrences from getConflictCheckOccurrences
+ * @returns {Object|null} - { rangeStart, rangeEnd } as Dates, or null if the list is empty
+ */
+export const getOccurrencesDateRange = (occurrences) => {
+  const startStrings = occurrences.map(getEventStartDateString).filter(Boolean);
+  const endStrings = occurrences.map(getEventEndDateString).filter(Boolean);
+  if (startStrings.length === 0) return null;
+
+  return {
+    rangeStart: parseLocalDateString(startStrings.reduce((min, value) => (value < min ? value : min))),
+    rangeEnd: parseLocalDateString(endStrings.reduce((max, value) => (value > max ? value : max), startStrings[0])),
+  };
+};
+
+/**
+ * Find the stored events that clash with an event
+ * @param {Object} event - Event being saved
+ * @param {Object[]} events - Events to check against, with recurring series already expanded
+ * @param {Object} options - Options
+ * @param {Function} [options.getEventChildren] - Resolves the children of an event
+ * @param {string[]} [options.excludeEventIds] - Event or series ids to ignore, such as the event being edited
+ * @returns {Object[]} - Conflicts as { event, sharedChildren }, sorted by start time
+ */
+export const findEventConflicts = (event, events, options = {}) => {
+  const { getEventChildren = getChildrenFromEvent, excludeEventIds = [] } = options;
+  if (!event || !Array.isArray(events)) return [];
+
+  const excludedIds = new Set(excludeEventIds.filter(Boolean));
+  const eventChildren = getEventChildren(event);
+
+  return events
+    .filter((other) => {
+      if (!other || other === event) return false;
+      if (excludedIds.has(other.id) || excludedIds.has(other.recurringEventId)) return false;
+      return eventsOverlap(event, other);
+    })
+    .map((other) => {
+      const { involvesSamePeople, sharedChildren } = getSharedChildrenFromLists(
+        eventChildren,
+        getEventChildren(other),
+        !!event.isAllDay
+      );
+      return involvesSamePeople ? { event: other, sharedChildren } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => getEventSortKey(a.event).localeCompare(getEventSortKey(b.event)));
+};
+
+/**
+ * Find every pair of clashing events within a list, such as one day's events
+ * @param {Object[]} events - Events to compare with each other
+ * @param {Function} [getEventChildren] - Resolves the children of an event
+ * @returns {Map<string, Object[]>} - Map of event id to the events it clashes with
+ */
+export const findOverlappingEvents = (events, getEventChildren = getChildrenFromEvent) => {
+  const overlaps = new Map();
+  if (!Array.isArray(events)) return overlaps;
+
+  const addOverlap = (event, other) => {
+    if (!overlaps.has(event.id)) {
+      overlaps.set(event.id, []);
+    }
+    overlaps.get(event.id).push(other);
+  };
+
+  // Resolve each event's children once rather than for every pair
+  const eventChildren = events.map((event) => (event ? getEventChildren(event) : []));
+
+  for (let i = 0; i < events.length; i++) {
+    for (let j = i + 1; j < events.length; j++) {
+      const eventA = events[i];
+      const eventB = events[j];
+      if (!eventA || !eventB || !eventsOverlap(eventA, eventB)) continue;
+      if (
+        !getSharedChildrenFromLists(eventChildren[i], eventChildren[j], !!eventA.isAllDay)
+          .involvesSamePeople
+      ) {
+        continue;
+      }
+
+      addOverlap(eventA, eventB);
+      addOverlap(eventB, eventA);
+    }
+  }
+
+  return overlaps;
+};
+
+/**
+ * Describe a conflict in one line for display in a warning
+ * @param {Object} conflict - Conflict from findEventConflicts
+ * @returns {string} - e.g. 'Swimming (Amy) - Tue, Oct 20, 3:00 PM'
+ */
+export const describeConflict = (conflict) => {
+  const { event, sharedChildren } = conflict;
+  const names = sharedChildren.map((child) => child.name).filter(Boolean);
+  const childText = names.length > 0 ? ` (${names.join(', ')})` : '';
+
+  let whenText;
+  if (event.isAllDay) {
+    const [year, month, day] = event.startDate.split('-').map(Number);
+    whenText = `${new Date(year, month - 1, day).toLocaleDateString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+    })}, all day`;
+  } else {
+    whenText = new Date(event.startDateTime).toLocaleString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true,
+    });
+  }
+
+  return `${event.title || 'Untitled Event'}${childText} - ${whenText}`;
+};
+
+/**
+ * Warn about clashes and ask whether to save anyway
+ * @param {Object[]} conflicts - Conflicts from findConflictingEvents
+ * @returns {Promise<boolean>} - True if there are no conflicts or the user chose to save anyway
+ */
+export const confirmEventConflicts = (conflicts) => {
+  if (!Array.isArray(conflicts) || conflicts.length === 0) {
+    return Promise.resolve(true);
+  }
+
+  const listedConflicts = conflicts.slice(0, MAX_LISTED_CONFLICTS).map((conflict) => `• ${describeConflict(conflict)}`);
+  const remainingCount = conflicts.length - listedConflicts.length;
+  if (remainingCount > 0) {
+    listedConflicts.push(`• and ${remainingCount} more`);
+  }
+
+  return new Promise((resolve) => {
+    Alert.alert(
+      'Scheduling Conflict',
+      `This event overlaps with:\n\n${listedConflicts.join('\n')}\n\nDo you want to save it anyway?`,
+      [
+        { text: 'Cancel', style: 'cancel', onPress: () => resolve(false) },
+        { text: 'Save Anyway', onPress: () => resolve(true) },
+      ],
+      { cancelable: true, onDismiss: () => resolve(false) }
+    );
+  });
+};
@@ -0,0 +1,234 @@
+/**
+ * Utility functions for the daily digest notification
+ *
+ * The digest summarises one day of the family schedule in a single
+ * notification: events grouped by child, unfinished checklist items and
+ * all-day holidays. It is sent in the evening for the next day and/or in the
+ * morning for the same day.
+ */
+
+import { formatLocalDateString, parseLocalDateString } from './dateUtils';
+import { getIncompleteChecklistItems } from './checklistUtils';
+
+export const DIGEST_KINDS = {
+  EVENING: 'evening',
+  MORNING: 'morning',
+};
+
+export const DEFAULT_DIGEST_SETTINGS = {
+  evening: { enabled: false, time: '19:00' },
+  morning: { enabled: false, time: '07:00' },
+};
+
+const HOLIDAY_EVENT_TYPE = 'Holiday';
+
+// Most checklist items listed before the rest are counted
+const MAX_LISTED_CHECKLIST_ITEMS = 4;
+
+/**
+ * Check a digest time is a valid 24-hour HH:MM time
+ * @param {string} time - Time to check
+ * @returns {boolean}
+ */
+export const isValidDigestTime = (time) => {
+  if (typeof time !== 'string' || !/^\d{2}:\d{2}$/.test(time)) {
+    return false;
+  }
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours <= 23 && minutes <= 59;
+};
+
+/**
+ * Clean up digest settings, applying defaults
+ * @param {Object} settings - Stored settings
+ * @returns {Object} - { evening: { enabled, time }, morning: { enabled, time } }
+ */
+export const normalizeDigestSettings = (settings) => {
+  const normalizeKind = (kind) => {
+    const defaults = DEFAULT_DIGEST_SETTINGS[kind];
+    const stored = settings && typeof settings === 'object' ? settings[kind] : null;
+    if (!stored || typeof stored !== 'object') {
+      return { ...defaults };
+    }
+    return {
+      enabled: stored.enabled !== undefined ? Boolean(stored.enabled) : defaults.enabled,
+      time: isValidDigestTime(stored.time) ? stored.time : defaults.time,
+    };
+  };
+
+  return {
+    evening: normalizeKind(DIGEST_KINDS.EVENING),
+    morning: normalizeKind(DIGEST_KINDS.MORNING),
+  };
+};
+
+/**
+ * Get the date and time a digest is sent at
+ * The evening digest for a day is sent the evening before.
+ * @param {string} digestDate - Date the digest covers (YYYY-MM-DD)
+ * @param {string} kind - DIGEST_KINDS value
+ * @param {string} time - Send time (HH:MM)
+ * @returns {Date}
+ */
+export const getDigestSendTime = (digestDate, kind, time) => {
+  const sendDate = parseLocalDateString(digestDate);
+  if (kind === DIGEST_KINDS.EVENING) {
+    sendDate.setDate(sendDate.getDate() - 1);
+  }
+  const [hours, minutes] = time.split(':').map(Number);
+  sendDate.setHours(hours, minutes, 0, 0);
+  return sendDate;
+};
+
+/**
+ * Format a digest send time for display, e.g. "7:00 PM"
+ * @param {string} time - Time (HH:MM)
+ * @returns {string}
+ */
+export const formatDigestTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(2000, 0, 1, hours, minutes).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+  });
+};
+
+const formatEventStart = (event) => {
+  if (event.isAllDay) {
+    return 'All day';
+  }
+  return new Date(event.startDateTime).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+  });
+};
+
+const compareEventsByStart = (a, b) => {
+  if (a.isAllDay !== b.isAllDay) {
+    return a.isAllDay ? -1 : 1;
+  }
+  if (a.isAllDay) {
+    return (a.title || '').localeCompare(b.title || '');
+  }
+  return new Date(a.startDateTime) - new Date(b.startDateTime);
+};
+
+/**
+ * Build the digest for one day
+ * @param {Array} events - Events on the day, recurring occurrences expanded
+ * @param {Date|string} date - Day the digest covers
+ * @param {Function} getEventChildren - Returns an event's children as [{ id, name, color }]
+ * @returns {Object} - { date, holidays, groups, checklistItems, eventCount }
+ */
+export const buildDailyDigest = (events, date, getEventChildren) => {
+  const dateString = typeof date === 'string' ? date : formatLocalDateString(date);
+  const holidays = [];
+  const groupsById = new Map();
+  const checklistItems = [];
+  let eventCount = 0;
+
+  const addToGroup = (groupId, name, color, entry) => {
+    if (!groupsById.has(groupId)) {
+      groupsById.set(groupId, { childId: groupId, childName: name, color, events: [] });
+    }
+    groupsById.get(groupId).events.push(entry);
+  };
+
+  [...(events || [])].sort(compareEventsByStart).forEach((event) => {
+    // All-day holidays apply to the whole family, so they're listed on their own
+    if (event.isAllDay && event.eventType === HOLIDAY_EVENT_TYPE) {
+      holidays.push({ id: event.id, title: event.title });
+      return;
+    }
+
+    eventCount++;
+    const entry = {
+      id: event.id,
+      title: event.title,
+      time: formatEventStart(event),
+      occurrenceDate: event.occurrenceDate || null,
+    };
+
+    const children = getEventChildren(event);
+    if (children.length === 0) {
+      addToGroup(null, 'Family', '#48b6b0', entry);
+    } else {
+      children.forEach((child) => addToGroup(child.id, child.name, child.color, entry));
+    }
+
+    getIncompleteChecklistItems(event).forEach((item) => {
+      checklistItems.push({ id: `${event.id}_${item.id}`, text: item.text, eventTitle: event.title });
+    });
+  });
+
+  // Children first, in the order they first appear; events for no one in particular last
+  const groups = [...groupsById.values()].sort((a, b) => (a.childId === null) - (b.childId === null));
+
+  return { date: dateString, holidays, groups, checklistItems, eventCount };
+};
+
+/**
+ * Check whether a digest has nothing to report
+ * @param {Object} digest - Digest from buildDailyDigest
+ * @returns {boolean}
+ */
+export const isDigestEmpty = (digest) =>
+  !digest || (digest.eventCount === 0 && digest.holidays.length === 0);
+
+/**
+ * Get the heading of a digest, e.g. "Tomorrow: 3 events"
+ * @param {Object} digest - Digest from buildDailyDigest
+ * @param {string} kind - DIGEST_KINDS value
+ * @returns {string}
+ */
+export const getDigestTitle = (digest, kind) => {
+  const day = kind === DIGEST_KINDS.EVENING ? 'Tomorrow' : 'Today';
+  if (digest.eventCount === 0) {
+    return digest.holidays.length > 0 ? `${day}: ${digest.holidays[0].title}` : `${day}: nothing planned`;
+  }
+  return `${day}: ${digest.eventCount} ${digest.eventCount === 1 ? 'event' : 'events'}`;
+};
+
+/**
+ * Get the text lines of a digest: holidays, one line per child, then the to-do items
+ * @param {Object} digest - Digest from buildDailyDigest
+ * @returns {string[]}
+ */
+export const getDigestLines = (digest) => {
+  const lines = [];
+
+  if (digest.holidays.length > 0) {
+    lines.push(`Holiday: ${digest.holidays.map((holiday) => holiday.title).join(', ')}`);
+  }
+
+  digest.groups.forEach((group) => {
+    const eventsText = group.events
+      .map((event) => (event.time === 'All day' ? event.title : `${event.time} ${event.title}`))
+      .join(', ');
+    lines.push(`${group.childName}: ${eventsText}`);
+  });
+
+  if (digest.checklistItems.length > 0) {
+    const listed = digest.checklistItems
+      .slice(0, MAX_LISTED_CHECKLIST_ITEMS)
+      .map((item) => item.text)
+      .join(', ');
+    const remainingCount = digest.checklistItems.length - MAX_LISTED_CHECKLIST_ITEMS;
+    lines.push(`To do: ${listed}${remainingCount > 0 ? ` and ${remainingCount} more` : ''}`);
+  }
+
+  return lines;
+};
+
+/**
+ * Build the notification content for a digest
+ * @param {Object} digest - Digest from buildDailyDigest
+ * @param {string} kind - DIGEST_KINDS value
+ * @returns {Object} - { title, body }
+ */
+export const formatDigestNotification = (digest, kind) => ({
+  title: getDigestTitle(digest, kind),
+  body: getDigestLines(digest).join('\n'),
+});
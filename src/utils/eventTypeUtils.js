@@ -0,0 +1,185 @@
+/**
+ * Utility functions for the calendar event type registry
+ *
+ * Events store their type by name (e.g. eventType: 'School'), and each type
+ * in the registry describes how that name is shown: an Ionicons icon and a
+ * colour. The built-in types always exist; users can add their own.
+ */
+
+export const FALLBACK_EVENT_TYPE_ICON = 'calendar';
+export const FALLBACK_EVENT_TYPE_COLOR = '#48b6b0';
+
+// Type given to events that don't choose one
+export const DEFAULT_EVENT_TYPE_NAME = 'Personal';
+
+export const MAX_EVENT_TYPES = 30;
+export const MAX_EVENT_TYPE_NAME_LENGTH = 30;
+
+export const DEFAULT_EVENT_TYPES = [
+  { id: 'personal', name: 'Personal', icon: 'calendar', color: '#48b6b0', isBuiltIn: true },
+  { id: 'birthday', name: 'Birthday', icon: 'gift', color: '#FF6B9D', isBuiltIn: true },
+  { id: 'holiday', name: 'Holiday', icon: 'sunny', color: '#FFB347', isBuiltIn: true },
+  { id: 'anniversary', name: 'Anniversary', icon: 'heart', color: '#E57373', isBuiltIn: true },
+];
+
+// Icons offered when creating or editing a type
+export const EVENT_TYPE_ICON_OPTIONS = [
+  'calendar',
+  'gift',
+  'sunny',
+  'heart',
+  'school',
+  'medkit',
+  'people',
+  'document-text',
+  'football',
+  'basketball',
+  'musical-notes',
+  'color-palette',
+  'book',
+  'bicycle',
+  'airplane',
+  'car',
+  'restaurant',
+  'home',
+  'paw',
+  'star',
+];
+
+// Colours offered when creating or editing a type
+export const EVENT_TYPE_COLOR_OPTIONS = [
+  '#48b6b0',
+  '#4A90E2',
+  '#7B68EE',
+  '#FF6B9D',
+  '#E57373',
+  '#FFB347',
+  '#F4D03F',
+  '#66BB6A',
+  '#8D6E63',
+  '#78909C',
+];
+
+/**
+ * Normalize an event type name for comparison
+ * @param {string} name - Event type name
+ * @returns {string} - Lowercased name with collapsed whitespace
+ */
+const normalizeEventTypeName = (name) => {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+};
+
+/**
+ * Build a stable id for a new event type from its name
+ * @param {string} name - Event type name
+ * @returns {string} - Id such as 'custom_playdate_1697712000000'
+ */
+export const createEventTypeId = (name) => {
+  const slug = normalizeEventTypeName(name).replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  return `custom_${slug || 'type'}_${Date.now()}`;
+};
+
+/**
+ * Merge stored event types with the built-in ones
+ * Built-in types keep their id and name but may have a customised icon or colour.
+ * @param {Array} storedTypes - Event types loaded from storage
+ * @returns {Array} - Built-in types first, then custom types in stored order
+ */
+export const mergeWithDefaultEventTypes = (storedTypes) => {
+  const types = Array.isArray(storedTypes) ? storedTypes.filter((type) => type && type.name) : [];
+
+  const builtInTypes = DEFAULT_EVENT_TYPES.map((defaultType) => {
+    const stored = types.find((type) => type.id === defaultType.id);
+    return stored
+      ? { ...defaultType, icon: stored.icon || defaultType.icon, color: stored.color || defaultType.color }
+      : { ...defaultType };
+  });
+
+  const builtInIds = new Set(DEFAULT_EVENT_TYPES.map((type) => type.id));
+  const builtInNames = new Set(DEFAULT_EVENT_TYPES.map((type) => normalizeEventTypeName(type.name)));
+  const customTypes = types
+    .filter((type) => !builtInIds.has(type.id) && !builtInNames.has(normalizeEventTypeName(type.name)))
+    .map((type) => ({ ...type, isBuiltIn: false }));
+
+  return [...builtInTypes, ...customTypes];
+};
+
+/**
+ * Find an event type by name
+ * @param {string} name - Event type name stored on an event
+ * @param {Array} [eventTypes] - Registry to search
+ * @returns {Object|null} - Matching event type or null
+ */
+export const findEventType = (name, eventTypes = DEFAULT_EVENT_TYPES) => {
+  const normalized = normalizeEventTypeName(name);
+  if (!normalized) return null;
+  return eventTypes.find((type) => normalizeEventTypeName(type.name) === normalized) || null;
+};
+
+/**
+ * Get the icon for an event type
+ * @param {string} name - Event type name stored on an event
+ * @param {Array} [eventTypes] - Registry to search
+ * @returns {string} - Ionicons name, falling back to a calendar icon for unknown types
+ */
+export const getEventTypeIcon = (name, eventTypes = DEFAULT_EVENT_TYPES) => {
+  return findEventType(name, eventTypes)?.icon || FALLBACK_EVENT_TYPE_ICON;
+};
+
+/**
+ * Get the colour for an event type
+ * @param {string} name - Event type name stored on an event
+ * @param {Array} [eventTypes] - Registry to search
+ * @returns {string} - Hex colour, falling back to the app colour for unknown types
+ */
+export const getEventTypeColor = (name, eventTypes = DEFAULT_EVENT_TYPES) => {
+  return findEventType(name, eventTypes)?.color || FALLBACK_EVENT_TYPE_COLOR;
+};
+
+/**
+ * Get the names of all event types in a registry
+ * @param {Array} [eventTypes] - Registry
+ * @returns {string[]} - Event type names
+ */
+export const getEventTypeNames = (eventTypes = DEFAULT_EVENT_TYPES) => {
+  return eventTypes.map((type) => type.name);
+};
+
+/**
+ * Validate a new or edited event type before saving
+ * @param {Object} eventType - { id, name, icon, color }
+ * @param {Array} existingTypes - Current registry, used to reject duplicate names
+ * @returns {Object} - { isValid, errors }
+ */
+export const validateEventTypeInput = (eventType, existingTypes = []) => {
+  const errors = [];
+  const name = String(eventType?.name || '').trim();
+
+  if (!name) {
+    errors.push('Please enter a name for the event type');
+  } else if (name.length > MAX_EVENT_TYPE_NAME_LENGTH) {
+    errors.push(`Event type names cannot be longer than ${MAX_EVENT_TYPE_NAME_LENGTH} characters`);
+  } else if (!/^[a-zA-Z0-9\s\-_]+$/.test(name)) {
+    errors.push('Event type names can only contain letters, numbers, spaces, hyphens and underscores');
+  } else {
+    const duplicate = findEventType(name, existingTypes);
+    if (duplicate && duplicate.id !== eventType.id) {
+      errors.push(`An event type called "${duplicate.name}" already exists`);
+    }
+  }
+
+  if (!eventType?.icon) {
+    errors.push('Please choose an icon');
+  }
+
+  if (!/^#[0-9A-Fa-f]{6}$/.test(eventType?.color || '')) {
+    errors.push('Please choose a colour');
+  }
+
+  const isNew = !existingTypes.some((type) => type.id === eventType?.id);
+  if (isNew && existingTypes.length >= MAX_EVENT_TYPES) {
+    errors.push(`You can have at most ${MAX_EVENT_TYPES} event types`);
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
@@ -0,0 +1,104 @@
+/**
+ * Utility functions for the live family time timer
+ *
+ * The timer records the activity type and children when family time starts
+ * and the time it was started and stopped. Elapsed time is always worked out
+ * from those timestamps rather than counted, so it stays right while the app
+ * is in the background or closed. A stopped timer becomes the start and end
+ * time of the activity logged for it.
+ */
+
+/**
+ * Create a running timer
+ * @param {Object} data - { activityType, childIds }
+ * @param {Date} now - Start time
+ * @returns {Object} - New timer
+ */
+export const createFamilyTimeTimer = ({ activityType, childIds }, now = new Date()) => ({
+  id: `family_time_timer_${now.getTime()}`,
+  activityType,
+  childIds: [...new Set(childIds || [])],
+  startedAt: now.toISOString(),
+  stoppedAt: null,
+});
+
+/**
+ * Validate a timer
+ * @param {Object} timer - Timer
+ * @returns {Object} - { valid, errors }
+ */
+export const validateFamilyTimeTimer = (timer) => {
+  const errors = [];
+
+  if (!timer || typeof timer !== 'object') {
+    return { valid: false, errors: ['Timer must be an object'] };
+  }
+
+  if (!timer.activityType || typeof timer.activityType !== 'string') {
+    errors.push('Please select an activity type');
+  }
+
+  if (!Array.isArray(timer.childIds) || timer.childIds.length === 0) {
+    errors.push('Please select at least one child');
+  }
+
+  const startedAt = new Date(timer.startedAt);
+  if (isNaN(startedAt.getTime())) {
+    errors.push('Timer start time must be a valid date');
+  }
+
+  if (timer.stoppedAt) {
+    const stoppedAt = new Date(timer.stoppedAt);
+    if (isNaN(stoppedAt.getTime()) || stoppedAt < startedAt) {
+      errors.push('Timer stop time must be a valid date after the start time');
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Check whether a timer is still running
+ * @param {Object|null} timer - Timer
+ * @returns {boolean}
+ */
+export const isTimerRunning = (timer) => !!timer && !timer.stoppedAt;
+
+/**
+ * Get how long a timer has run
+ * @param {Object} timer - Timer
+ * @param {Date} now - Current time, used while the timer is running
+ * @returns {number} - Whole seconds
+ */
+export const getTimerElapsedSeconds = (timer, now = new Date()) => {
+  if (!timer) return 0;
+  const end = timer.stoppedAt ? new Date(timer.stoppedAt) : now;
+  return Math.max(0, Math.floor((end - new Date(timer.startedAt)) / 1000));
+};
+
+/**
+ * Format elapsed time like a stopwatch
+ * @param {number} seconds - Whole seconds
+ * @returns {string} - e.g. '04:09' or '1:04:09'
+ */
+export const formatTimerElapsed = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = String(Math.floor((seconds % 3600) / 60)).padStart(2, '0');
+  const remainingSeconds = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes}:${remainingSeconds}` : `${minutes}:${remainingSeconds}`;
+};
+
+/**
+ * Get the start and end time of the activity logged for a stopped timer
+ * @param {Object} timer - Stopped timer
+ * @returns {Object} - { startTime, endTime } as Dates
+ */
+export const getTimerActivityTimes = (timer) => {
+  const startTime = new Date(timer.startedAt);
+  const endTime = timer.stoppedAt ? new Date(timer.stoppedAt) : new Date();
+  // Activities need an end after their start, even for a timer stopped straight away
+  return {
+    startTime,
+    endTime: endTime > startTime ? endTime : new Date(startTime.getTime() + 60 * 1000),
+  };
+};
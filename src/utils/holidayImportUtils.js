@@ -0,0 +1,125 @@
+/**
+ * Utility functions for school holiday imports
+ *
+ * Every import from a photographed holiday calendar is recorded as a batch,
+ * and the events it creates carry the batch ID. A batch can then be undone in
+ * one go, and lines already imported from an earlier scan are recognised, so
+ * importing them for more children adds the children to the existing holidays.
+ */
+
+export const HOLIDAY_IMPORT_BATCH_STATUS = {
+  ACTIVE: 'active',
+  UNDONE: 'undone',
+};
+
+const normalizeTitle = (title) => String(title || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Create the ID of a new import batch
+ * @returns {string} - e.g. "holiday_import_1760000000000"
+ */
+export const createHolidayImportBatchId = () => `holiday_import_${Date.now()}`;
+
+/**
+ * Create the record of an import
+ * @param {Object} data - { id, childIds, childNames, sourceImageUri, eventIds, holidayCount,
+ *   noteCount, skippedCount, addedChildren, updatedHolidayCount, schoolYearChanges },
+ *   addedChildren being [{ eventId, childIds }] with the children added to holidays
+ *   imported earlier, and schoolYearChanges [{ schoolYearId, periodIds }] with the
+ *   terms and breaks added to each child's school year
+ * @param {Date} now - Import time
+ * @returns {Object} - The data with importedAt, count and status
+ */
+export const createHolidayImportBatch = (data, now = new Date()) => ({
+  sourceImageUri: null,
+  skippedCount: 0,
+  addedChildren: [],
+  updatedHolidayCount: 0,
+  schoolYearChanges: [],
+  ...data,
+  count: data.eventIds.length,
+  status: HOLIDAY_IMPORT_BATCH_STATUS.ACTIVE,
+  importedAt: now.toISOString(),
+});
+
+/**
+ * Get the children an import is for, including imports recorded for a single child
+ * @param {Object} batch - Import batch
+ * @returns {Array} - Child IDs
+ */
+export const getHolidayImportBatchChildIds = (batch) => batch.childIds || [batch.childId];
+
+/**
+ * Get the terms and breaks an import added to school years, including imports
+ * recorded for a single child
+ * @param {Object} batch - Import batch
+ * @returns {Array} - [{ schoolYearId, periodIds }]
+ */
+export const getHolidayImportSchoolYearChanges = (batch) => {
+  if (batch.schoolYearChanges) {
+    return batch.schoolYearChanges;
+  }
+  return batch.schoolYearId
+    ? [{ schoolYearId: batch.schoolYearId, periodIds: batch.schoolYearPeriodIds || [] }]
+    : [];
+};
+
+/**
+ * Find the stored holiday a scanned line was already imported as
+ * Holidays match when they have the same text on the same date, whichever
+ * children they were imported for.
+ * @param {Object} item - Scanned line, { content, date }
+ * @param {Array} existingEvents - Stored events
+ * @returns {Object|null} - The matching stored event, or null
+ */
+export const findPreviouslyImportedHoliday = (item, existingEvents) => {
+  if (!item?.date || !Array.isArray(existingEvents)) {
+    return null;
+  }
+
+  const title = normalizeTitle(item.content);
+  return (
+    existingEvents.find(
+      (event) =>
+        event.type === 'holiday' &&
+        event.startDate === item.date &&
+        normalizeTitle(event.title) === title
+    ) || null
+  );
+};
+
+/**
+ * Get the children a line is being imported for that its earlier import left out
+ * @param {Object} event - Stored holiday the line was imported as
+ * @param {Array} childIds - Children the line is being imported for
+ * @param {Function} getEventChildren - Returns the children of an event
+ * @returns {Array} - IDs of the children to add to the stored holiday
+ */
+export const getChildrenMissingFromHoliday = (event, childIds, getEventChildren) => {
+  const eventChildIds = getEventChildren(event).map((child) => child.id);
+  return childIds.filter((childId) => !eventChildIds.includes(childId));
+};
+
+/**
+ * Describe what an import added, for the history list
+ * @param {Object} batch - Import batch
+ * @returns {string} - e.g. "12 holidays · 1 note"
+ */
+export const getHolidayImportBatchSummary = (batch) => {
+  const parts = [`${batch.holidayCount} ${batch.holidayCount === 1 ? 'holiday' : 'holidays'}`];
+  if (batch.childNames?.length > 1) {
+    parts.push(`for ${batch.childNames.join(', ')}`);
+  }
+  if (batch.noteCount > 0) {
+    parts.push(`${batch.noteCount} ${batch.noteCount === 1 ? 'note' : 'notes'}`);
+  }
+  if (batch.updatedHolidayCount > 0) {
+    parts.push(
+      `${batch.updatedHolidayCount} existing ${batch.updatedHolidayCount === 1 ? 'holiday' : 'holidays'} shared`
+    );
+  }
+  if (batch.skippedCount > 0) {
+    parts.push(`${batch.skippedCount} already imported`);
+  }
+  return parts.join(' · ');
+};
@@ -0,0 +1,942 @@
+/**
+ * Utility functions for iCalendar (RFC 5545) export and import of calendar events
+ *
+ * Events keep their app-specific data (event type, children, multi-date
+ * grouping) in X-PARENTCHILD-* properties so a file exported here can be
+ * read back without losing information. Other calendar apps ignore them.
+ */
+
+import { formatLocalDateString, parseLocalDateString } from './dateUtils';
+import {
+  addDaysToDateString,
+  expandRecurringEvent,
+  getEventStartDateString,
+  isRecurringEvent,
+  parseRRuleString,
+  toRRuleString,
+} from './recurrenceUtils';
+import { DEFAULT_EVENT_TYPE_NAME, getEventTypeNames } from './eventTypeUtils';
+import {
+  formatZonedDateString,
+  getEventTimeZone,
+  getTimeZoneOffsetMinutes,
+  getZonedDateParts,
+  isValidTimeZone,
+  zonedTimeToDate,
+} from './timeZoneUtils';
+
+export const ICS_PRODUCT_ID = '-//Parent Child App//Family Calendar//EN';
+
+export const ICS_UID_DOMAIN = 'parent-child-app';
+
+// RFC 5545 limits content lines to 75 octets
+const MAX_LINE_LENGTH = 75;
+
+const CRLF = '\r\n';
+
+// Reminder ids with a fixed offset, in minutes, used to map VALARM triggers back
+const PRESET_REMINDER_MINUTES = {
+  at_time: 0,
+  '5_min': 5,
+  '15_min': 15,
+  '30_min': 30,
+  '1_hour': 60,
+  '1_day': 1440,
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_WEEK = 7 * 24 * 60 * MS_PER_MINUTE;
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Escape a text value for use in an iCalendar property
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+export const escapeICSText = (text) => {
+  if (text === null || text === undefined) return '';
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Number of bytes a character takes in UTF-8
+ * @param {string} character - Single code point
+ * @returns {number} - 1 to 4
+ */
+const getUtf8ByteLength = (character) => {
+  const codePoint = character.codePointAt(0);
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  if (codePoint < 0x10000) return 3;
+  return 4;
+};
+
+/**
+ * Fold a content line so no line is longer than 75 octets of UTF-8
+ * Lines break between characters, never inside one, and continuation lines
+ * start with a single space.
+ * @param {string} line - Unfolded content line
+ * @returns {string} - Folded content line
+ */
+export const foldICSLine = (line) => {
+  const chunks = [];
+  let chunk = '';
+  let chunkBytes = 0;
+
+  // for...of walks code points, so emoji surrogate pairs stay together
+  for (const character of line) {
+    const characterBytes = getUtf8ByteLength(character);
+    if (chunkBytes + characterBytes > MAX_LINE_LENGTH) {
+      chunks.push(chunk);
+      // Leave room for the leading space on continuation lines
+      chunk = ' ';
+      chunkBytes = 1;
+    }
+    chunk += character;
+    chunkBytes += characterBytes;
+  }
+  chunks.push(chunk);
+
+  return chunks.join(CRLF);
+};
+
+/**
+ * Format a YYYY-MM-DD date string as an iCalendar DATE value
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @returns {string} - Date in YYYYMMDD format
+ */
+export const formatICSDate = (dateString) => {
+  return dateString.replace(/-/g, '');
+};
+
+/**
+ * Format a date as an iCalendar UTC DATE-TIME value
+ * @param {Date|string} date - Date object or ISO string
+ * @returns {string} - Date-time in YYYYMMDDTHHMMSSZ format
+ */
+export const formatICSDateTimeUTC = (date) => {
+  const value = new Date(date);
+  return (
+    `${value.getUTCFullYear()}${pad(value.getUTCMonth() + 1)}${pad(value.getUTCDate())}` +
+    `T${pad(value.getUTCHours())}${pad(value.getUTCMinutes())}${pad(value.getUTCSeconds())}Z`
+  );
+};
+
+/**
+ * Format a date as an iCalendar DATE-TIME value in a time zone, for use with TZID
+ * @param {Date|string} date - Date object or ISO string
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - Date-time in YYYYMMDDTHHMMSS format
+ */
+export const formatICSDateTimeInTimeZone = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedDateParts(new Date(date), timeZone);
+  return `${year}${pad(month)}${pad(day)}T${pad(hour)}${pad(minute)}${pad(second)}`;
+};
+
+/**
+ * Convert an app reminder id into an iCalendar VALARM trigger duration
+ * @param {string} reminderId - Reminder id such as '15_min', '1_day' or 'custom_2_days'
+ * @returns {string|null} - Negative duration such as '-PT15M', or null if unknown
+ */
+export const reminderIdToICSTrigger = (reminderId) => {
+  switch (reminderId) {
+    case 'at_time':
+      return 'PT0M';
+    case '5_min':
+      return '-PT5M';
+    case '15_min':
+      return '-PT15M';
+    case '30_min':
+      return '-PT30M';
+    case '1_hour':
+      return '-PT1H';
+    case '1_day':
+      return '-P1D';
+    default:
+      if (typeof reminderId === 'string' && reminderId.startsWith('custom_')) {
+        const parts = reminderId.replace('custom_', '').split('_');
+        const amount = parseInt(parts[0], 10);
+        if (isNaN(amount) || amount <= 0) return null;
+
+        switch (parts[1]) {
+          case 'minutes':
+            return `-PT${amount}M`;
+          case 'hours':
+            return `-PT${amount}H`;
+          case 'days':
+            return `-P${amount}D`;
+          default:
+            return null;
+        }
+      }
+      return null;
+  }
+};
+
+/**
+ * Get the children of an event, falling back to the legacy single-child fields
+ * @param {Object} event - Calendar event
+ * @returns {Array} - Array of { id, name } objects
+ */
+const getChildrenFromEvent = (event) => {
+  if (Array.isArray(event.children) && event.children.length > 0) {
+    return event.children.filter((child) => child && child.id && child.name);
+  }
+  if (event.childId && event.childName) {
+    return [{ id: event.childId, name: event.childName }];
+  }
+  return [];
+};
+
+/**
+ * Get the last date (YYYY-MM-DD) an event covers, ignoring recurrence
+ * @param {Object} event - Calendar event
+ * @returns {string|null} - End date string
+ */
+const getEventEndDateString = (event) => {
+  if (event.isAllDay) {
+    return event.endDate || event.startDate || null;
+  }
+  if (event.endDateTime) {
+    return formatLocalDateString(new Date(event.endDateTime));
+  }
+  return getEventStartDateString(event);
+};
+
+/**
+ * Filter stored events for export
+ * @param {Object[]} events - Stored events, as returned by getEvents
+ * @param {Object} filters - Export filters
+ * @param {string} [filters.childId] - Only events for this child
+ * @param {Date} [filters.startDate] - Only events on or after this date
+ * @param {Date} [filters.endDate] - Only events on or before this date
+ * @param {string} [filters.eventType] - Only events of this type
+ * @param {Function} [getEventChildren] - Resolves the children of an event
+ * @returns {Object[]} - Matching events; recurring series are kept whole
+ */
+export const filterEventsForExport = (events, filters = {}, getEventChildren = getChildrenFromEvent) => {
+  if (!Array.isArray(events)) return [];
+
+  const { childId, startDate, endDate, eventType } = filters;
+  const rangeStartString = startDate ? formatLocalDateString(startDate) : null;
+  const rangeEndString = endDate ? formatLocalDateString(endDate) : null;
+
+  return events.filter((event) => {
+    if (!event) return false;
+
+    if (eventType && event.eventType !== eventType) {
+      return false;
+    }
+
+    if (childId && !getEventChildren(event).some((child) => child.id === childId)) {
+      return false;
+    }
+
+    if (!rangeStartString && !rangeEndString) {
+      return true;
+    }
+
+    // A recurring series is included when any occurrence falls in the range
+    if (isRecurringEvent(event)) {
+      const rangeStart = startDate || parseLocalDateString(getEventStartDateString(event));
+      const rangeEnd = endDate || new Date(rangeStart.getFullYear() + 10, 0, 1);
+      return expandRecurringEvent(event, rangeStart, rangeEnd).length > 0;
+    }
+
+    const eventStartString = getEventStartDateString(event);
+    const eventEndString = getEventEndDateString(event);
+    if (!eventStartString) return false;
+
+    if (rangeStartString && eventEndString < rangeStartString) return false;
+    if (rangeEndString && eventStartString > rangeEndString) return false;
+    return true;
+  });
+};
+
+/**
+ * Build the VEVENT content lines for a single stored event
+ * @param {Object} event - Stored calendar event
+ * @param {Object} options - Build options
+ * @param {Function} [options.getEventChildren] - Resolves the children of an event
+ * @param {Date} [options.timestamp] - DTSTAMP value, defaults to now
+ * @returns {string[]} - Unfolded content lines, or an empty array if the event has no dates
+ */
+export const buildICSEventLines = (event, options = {}) => {
+  const { getEventChildren = getChildrenFromEvent, timestamp = new Date() } = options;
+  const eventId = event.id || event.eventId;
+  const startDateString = getEventStartDateString(event);
+  if (!eventId || !startDateString) return [];
+
+  const recurring = isRecurringEvent(event);
+  const children = getEventChildren(event);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${eventId}@${ICS_UID_DOMAIN}`,
+    `DTSTAMP:${formatICSDateTimeUTC(timestamp)}`,
+  ];
+
+  if (event.isAllDay) {
+    // DTEND is exclusive for all-day events
+    const endDateString = event.endDate || event.startDate;
+    lines.push(`DTSTART;VALUE=DATE:${formatICSDate(event.startDate)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatICSDate(addDaysToDateString(endDateString, 1))}`);
+  } else if (recurring) {
+    // Recurring timed events use wall-clock time in the event's zone so they
+    // don't shift across DST changes. generateICSCalendar adds a VTIMEZONE
+    // defining each zone used this way.
+    const timeZone = getEventTimeZone(event);
+    lines.push(`DTSTART;TZID=${timeZone}:${formatICSDateTimeInTimeZone(event.startDateTime, timeZone)}`);
+    lines.push(
+      `DTEND;TZID=${timeZone}:${formatICSDateTimeInTimeZone(event.endDateTime || event.startDateTime, timeZone)}`
+    );
+  } else {
+    lines.push(`DTSTART:${formatICSDateTimeUTC(event.startDateTime)}`);
+    lines.push(`DTEND:${formatICSDateTimeUTC(event.endDateTime || event.startDateTime)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeICSText(event.title || 'Untitled Event')}`);
+
+  const descriptionParts = [];
+  if (event.description) {
+    descriptionParts.push(event.description);
+  }
+  if (children.length > 0) {
+    descriptionParts.push(`Children: ${children.map((child) => child.name).join(', ')}`);
+  }
+  if (event.isMultiDate && event.totalOccurrences) {
+    descriptionParts.push(`Date ${(event.occurrenceIndex || 0) + 1} of ${event.totalOccurrences}`);
+  }
+  if (descriptionParts.length > 0) {
+    lines.push(`DESCRIPTION:${escapeICSText(descriptionParts.join('\n'))}`);
+  }
+
+  if (event.eventType) {
+    lines.push(`CATEGORIES:${escapeICSText(event.eventType)}`);
+    lines.push(`X-PARENTCHILD-EVENT-TYPE:${escapeICSText(event.eventType)}`);
+  }
+
+  children.forEach((child) => {
+    lines.push(`X-PARENTCHILD-CHILD;X-CHILD-ID="${String(child.id).replace(/"/g, '')}":${escapeICSText(child.name)}`);
+  });
+
+  if (event.isMultiDate && event.multiDateId) {
+    lines.push(`X-PARENTCHILD-MULTIDATE-ID:${escapeICSText(event.multiDateId)}`);
+    if (event.totalOccurrences) {
+      lines.push(`X-PARENTCHILD-MULTIDATE-INDEX:${(event.occurrenceIndex || 0) + 1}/${event.totalOccurrences}`);
+    }
+  }
+
+  if (recurring) {
+    const timeZone = getEventTimeZone(event);
+    let rrule = toRRuleString(event.recurrence, startDateString);
+    if (rrule) {
+      // With a TZID on DTSTART, UNTIL must be a UTC date-time: the end of the day in the event's zone
+      if (!event.isAllDay && event.recurrence.until) {
+        const [year, month, day] = event.recurrence.until.split('-').map(Number);
+        const until = zonedTimeToDate({ year, month, day, hour: 23, minute: 59, second: 59 }, timeZone);
+        rrule = rrule.replace(/UNTIL=\d{8}/, `UNTIL=${formatICSDateTimeUTC(until)}`);
+      }
+      lines.push(`RRULE:${rrule}`);
+    }
+
+    const exceptionDates = event.recurrence.exceptionDates || [];
+    exceptionDates.forEach((dateString) => {
+      if (event.isAllDay) {
+        lines.push(`EXDATE;VALUE=DATE:${formatICSDate(dateString)}`);
+      } else {
+        // The skipped occurrence keeps the series' start time in the event's zone
+        const startTime = formatICSDateTimeInTimeZone(event.startDateTime, timeZone).slice(8);
+        lines.push(`EXDATE;TZID=${timeZone}:${formatICSDate(dateString)}${startTime}`);
+      }
+    });
+  }
+
+  if (event.createdAt) {
+    lines.push(`CREATED:${formatICSDateTimeUTC(event.createdAt)}`);
+  }
+  if (event.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatICSDateTimeUTC(event.updatedAt)}`);
+  }
+
+  if (event.remindersEnabled && Array.isArray(event.reminders)) {
+    event.reminders.forEach((reminderId) => {
+      const trigger = reminderIdToICSTrigger(reminderId);
+      if (!trigger) return;
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeICSText(event.title || 'Event reminder')}`,
+        `TRIGGER:${trigger}`,
+        `X-PARENTCHILD-REMINDER-ID:${escapeICSText(reminderId)}`,
+        'END:VALARM'
+      );
+    });
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Format a UTC offset as an iCalendar UTC-OFFSET value
+ * @param {number} offsetMinutes - Offset from UTC in minutes
+ * @returns {string} - Offset such as +0800 or -0430
+ */
+const formatICSUtcOffset = (offsetMinutes) => {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+};
+
+/**
+ * Find the instants a time zone changes its UTC offset within a span of years
+ * @param {string} timeZone - IANA time zone
+ * @param {number} fromYear - First year to search
+ * @param {number} toYear - Last year to search
+ * @returns {Object[]} - { at: Date, offsetFrom, offsetTo } in order
+ */
+const findOffsetTransitions = (timeZone, fromYear, toYear) => {
+  const transitions = [];
+  const end = Date.UTC(toYear + 1, 0, 1);
+  let time = Date.UTC(fromYear, 0, 1);
+  let offset = getTimeZoneOffsetMinutes(new Date(time), timeZone);
+
+  // Offsets change at most a few times a year, so step a week and narrow down to the minute
+  while (time < end) {
+    const next = Math.min(time + MS_PER_WEEK, end);
+    const nextOffset = getTimeZoneOffsetMinutes(new Date(next), timeZone);
+
+    if (nextOffset !== offset) {
+      let low = time;
+      let high = next;
+      while (high - low > MS_PER_MINUTE) {
+        const middle = low + Math.floor((high - low) / 2 / MS_PER_MINUTE) * MS_PER_MINUTE;
+        if (getTimeZoneOffsetMinutes(new Date(middle), timeZone) === offset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({ at: new Date(high), offsetFrom: offset, offsetTo: nextOffset });
+      offset = nextOffset;
+    }
+    time = next;
+  }
+
+  return transitions;
+};
+
+/**
+ * Build the yearly RRULE for a DST change, e.g. the second Sunday of March
+ * @param {Date} wallClock - Local time of the change, in the UTC fields
+ * @returns {string} - RRULE value
+ */
+const getTransitionRRule = (wallClock) => {
+  const day = wallClock.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(wallClock.getUTCFullYear(), wallClock.getUTCMonth() + 1, 0)).getUTCDate();
+  // A change in the last seven days of the month is "the last" weekday, which can be the 4th or 5th
+  const nth = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+  return `FREQ=YEARLY;BYMONTH=${wallClock.getUTCMonth() + 1};BYDAY=${nth}${WEEKDAY_CODES[wallClock.getUTCDay()]}`;
+};
+
+/**
+ * Build the VTIMEZONE content lines defining a zone over a span of years
+ * Each offset change in the span is listed, and when the last year has a
+ * regular pair of DST changes they repeat yearly so later dates resolve too.
+ * @param {string} timeZone - IANA time zone
+ * @param {number} fromYear - First year the calendar uses the zone in
+ * @param {number} toYear - Last year the calendar uses the zone in
+ * @returns {string[]} - Unfolded content lines
+ */
+export const buildICSTimeZoneLines = (timeZone, fromYear, toYear) => {
+  const initialOffset = getTimeZoneOffsetMinutes(new Date(Date.UTC(fromYear, 0, 1)), timeZone);
+  const transitions = findOffsetTransitions(timeZone, fromYear, toYear);
+  const standardOffset = Math.min(initialOffset, ...transitions.map((transition) => transition.offsetTo));
+
+  const lastYearTransitions = transitions.filter(
+    (transition) => new Date(transition.at.getTime() + transition.offsetTo * MS_PER_MINUTE).getUTCFullYear() === toYear
+  );
+  const repeatsYearly = lastYearTransitions.length === 2;
+
+  const observances = [
+    { wallClock: new Date(Date.UTC(fromYear, 0, 1)), offsetFrom: initialOffset, offsetTo: initialOffset },
+    ...transitions.map((transition) => ({
+      // An observance starts at the local time before the change
+      wallClock: new Date(transition.at.getTime() + transition.offsetFrom * MS_PER_MINUTE),
+      offsetFrom: transition.offsetFrom,
+      offsetTo: transition.offsetTo,
+      repeats: repeatsYearly && lastYearTransitions.includes(transition),
+    })),
+  ];
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  observances.forEach(({ wallClock, offsetFrom, offsetTo, repeats }) => {
+    const component = offsetTo > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${component}`,
+      `DTSTART:${formatICSDateTimeUTC(wallClock).slice(0, -1)}`,
+      `TZOFFSETFROM:${formatICSUtcOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatICSUtcOffset(offsetTo)}`
+    );
+    if (repeats) {
+      lines.push(`RRULE:${getTransitionRRule(wallClock)}`);
+    }
+    lines.push(`END:${component}`);
+  });
+  lines.push('END:VTIMEZONE');
+
+  return lines;
+};
+
+/**
+ * Work out the zones that exported events give with TZID, and the years each is used in
+ * @param {Object[]} events - Stored events
+ * @param {Date} timestamp - Export time, used for series without an end date
+ * @returns {Map<string, Object>} - Zone to { fromYear, toYear }
+ */
+const getICSTimeZoneRanges = (events, timestamp) => {
+  const ranges = new Map();
+
+  events.forEach((event) => {
+    if (!event || event.isAllDay || !isRecurringEvent(event)) return;
+    const startDateString = getEventStartDateString(event);
+    if (!startDateString) return;
+
+    const timeZone = getEventTimeZone(event);
+    const fromYear = Number(startDateString.slice(0, 4));
+    // Open-ended series get up to next year listed; the yearly rule covers the rest
+    const toYear = event.recurrence.until
+      ? Math.max(fromYear, Number(event.recurrence.until.slice(0, 4)))
+      : Math.max(fromYear, timestamp.getFullYear()) + 1;
+
+    const range = ranges.get(timeZone);
+    ranges.set(timeZone, {
+      fromYear: range ? Math.min(range.fromYear, fromYear) : fromYear,
+      toYear: range ? Math.max(range.toYear, toYear) : toYear,
+    });
+  });
+
+  return ranges;
+};
+
+/**
+ * Generate an iCalendar document for a list of stored events
+ * @param {Object[]} events - Stored events, as returned by getEvents
+ * @param {Object} options - Generation options
+ * @param {string} [options.calendarName] - Calendar display name
+ * @param {Function} [options.getEventChildren] - Resolves the children of an event
+ * @param {Date} [options.timestamp] - DTSTAMP value, defaults to now
+ * @returns {string} - iCalendar document with CRLF line endings
+ */
+export const generateICSCalendar = (events, options = {}) => {
+  const { calendarName = 'Family Calendar', ...eventOptions } = options;
+  const timestamp = eventOptions.timestamp || new Date();
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICSText(calendarName)}`,
+  ];
+
+  // RFC 5545 needs a VTIMEZONE for every TZID the events use
+  getICSTimeZoneRanges(events || [], timestamp).forEach(({ fromYear, toYear }, timeZone) => {
+    lines.push(...buildICSTimeZoneLines(timeZone, fromYear, toYear));
+  });
+
+  (events || []).forEach((event) => {
+    if (!event) return;
+    lines.push(...buildICSEventLines(event, { ...eventOptions, timestamp }));
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldICSLine).join(CRLF) + CRLF;
+};
+
+/**
+ * Build a file name for an exported calendar
+ * @param {string} [label] - Optional label such as a child's name
+ * @returns {string} - File name ending in .ics
+ */
+export const getICSFileName = (label = '') => {
+  const safeLabel = String(label)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  const dateString = formatLocalDateString(new Date());
+  return `family-calendar${safeLabel ? `-${safeLabel}` : ''}-${dateString}.ics`;
+};
+
+/**
+ * Unescape an iCalendar text value
+ * @param {string} text - Escaped text
+ * @returns {string} - Plain text
+ */
+export const unescapeICSText = (text) => {
+  if (!text) return '';
+  return text.replace(/\\([\\;,nN])/g, (match, character) =>
+    character === 'n' || character === 'N' ? '\n' : character
+  );
+};
+
+/**
+ * Split an iCalendar document into unfolded content lines
+ * @param {string} icsText - Raw iCalendar document
+ * @returns {string[]} - Unfolded, non-empty content lines
+ */
+export const unfoldICSLines = (icsText) => {
+  return String(icsText || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/\r/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter((line) => line.trim().length > 0);
+};
+
+/**
+ * Parse a content line into its name, parameters and value
+ * @param {string} line - Unfolded content line, e.g. 'DTSTART;VALUE=DATE:20260101'
+ * @returns {Object|null} - { name, params, value } or null if the line is malformed
+ */
+export const parseICSContentLine = (line) => {
+  // The value starts at the first colon that is not inside a quoted parameter
+  let inQuotes = false;
+  let separatorIndex = -1;
+  for (let i = 0; i < line.length; i++) {
+    const character = line[i];
+    if (character === '"') {
+      inQuotes = !inQuotes;
+    } else if (character === ':' && !inQuotes) {
+      separatorIndex = i;
+      break;
+    }
+  }
+  if (separatorIndex < 0) return null;
+
+  const [name, ...paramParts] = line.slice(0, separatorIndex).split(';');
+  const params = {};
+  paramParts.forEach((part) => {
+    const equalsIndex = part.indexOf('=');
+    if (equalsIndex > 0) {
+      params[part.slice(0, equalsIndex).toUpperCase()] = part
+        .slice(equalsIndex + 1)
+        .replace(/^"|"$/g, '');
+    }
+  });
+
+  return {
+    name: name.toUpperCase(),
+    params,
+    value: line.slice(separatorIndex + 1),
+  };
+};
+
+/**
+ * Parse an iCalendar DATE or DATE-TIME value
+ * Floating values, and values whose TZID is unknown, are read as local wall-clock time.
+ * @param {string} value - Value such as '20260101', '20260101T090000Z' or '20260101T090000'
+ * @param {string} [timeZone] - TZID parameter of the property
+ * @returns {Object|null} - { isDate: true, dateString } or { isDate: false, date }, or null if invalid
+ */
+export const parseICSDateValue = (value, timeZone = null) => {
+  const match = String(value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (hours === undefined) {
+    return { isDate: true, dateString: `${year}-${month}-${day}` };
+  }
+
+  const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds || 0)];
+  let date;
+  if (utc) {
+    date = new Date(Date.UTC(...parts));
+  } else if (isValidTimeZone(timeZone)) {
+    const [partYear, partMonth, partDay, hour, minute, second] = parts;
+    date = zonedTimeToDate({ year: partYear, month: partMonth + 1, day: partDay, hour, minute, second }, timeZone);
+  } else {
+    date = new Date(...parts);
+  }
+  if (isNaN(date.getTime())) return null;
+  return { isDate: false, date };
+};
+
+/**
+ * Parse an iCalendar duration into minutes
+ * @param {string} duration - Duration such as '-PT15M', 'P1D' or '-P1DT2H'
+ * @returns {number|null} - Signed duration in minutes, or null if invalid
+ */
+export const parseICSDurationMinutes = (duration) => {
+  const match = String(duration || '').trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const total =
+    Number(weeks || 0) * 10080 +
+    Number(days || 0) * 1440 +
+    Number(hours || 0) * 60 +
+    Number(minutes || 0) +
+    Math.round(Number(seconds || 0) / 60);
+  return sign === '-' ? -total : total;
+};
+
+/**
+ * Convert a VALARM trigger into an app reminder id
+ * @param {string} trigger - Relative trigger duration such as '-PT15M'
+ * @returns {string|null} - Reminder id such as '15_min' or 'custom_2_days', or null if unsupported
+ */
+export const icsTriggerToReminderId = (trigger) => {
+  const minutes = parseICSDurationMinutes(trigger);
+  // Reminders after the start of the event are not supported
+  if (minutes === null || minutes > 0) return null;
+
+  const minutesBefore = Math.abs(minutes);
+  const presetId = Object.keys(PRESET_REMINDER_MINUTES).find(
+    (reminderId) => PRESET_REMINDER_MINUTES[reminderId] === minutesBefore
+  );
+  if (presetId) return presetId;
+
+  if (minutesBefore % 1440 === 0) return `custom_${minutesBefore / 1440}_days`;
+  if (minutesBefore % 60 === 0) return `custom_${minutesBefore / 60}_hours`;
+  return `custom_${minutesBefore}_minutes`;
+};
+
+/**
+ * Parse the VEVENT components of an iCalendar document
+ * @param {string} icsText - Raw iCalendar document
+ * @returns {Object[]} - Parsed components as { properties: { NAME: [{ params, value }] }, alarms: [...] }
+ */
+export const parseICSComponents = (icsText) => {
+  const components = [];
+  let currentEvent = null;
+  let currentAlarm = null;
+  let nestedDepth = 0;
+
+  const addProperty = (target, property) => {
+    if (!target.properties[property.name]) {
+      target.properties[property.name] = [];
+    }
+    target.properties[property.name].push({ params: property.params, value: property.value });
+  };
+
+  unfoldICSLines(icsText).forEach((line) => {
+    const property = parseICSContentLine(line);
+    if (!property) return;
+
+    const componentName = property.value.trim().toUpperCase();
+    if (property.name === 'BEGIN') {
+      if (componentName === 'VEVENT' && !currentEvent) {
+        currentEvent = { properties: {}, alarms: [] };
+      } else if (componentName === 'VALARM' && currentEvent && !currentAlarm) {
+        currentAlarm = { properties: {} };
+      } else if (currentEvent) {
+        nestedDepth += 1;
+      }
+      return;
+    }
+
+    if (property.name === 'END') {
+      if (componentName === 'VALARM' && currentAlarm) {
+        currentEvent.alarms.push(currentAlarm);
+        currentAlarm = null;
+      } else if (componentName === 'VEVENT' && currentEvent && nestedDepth === 0) {
+        components.push(currentEvent);
+        currentEvent = null;
+      } else if (currentEvent && nestedDepth > 0) {
+        nestedDepth -= 1;
+      }
+      return;
+    }
+
+    if (nestedDepth > 0) return;
+    if (currentAlarm) {
+      addProperty(currentAlarm, property);
+    } else if (currentEvent) {
+      addProperty(currentEvent, property);
+    }
+  });
+
+  return components;
+};
+
+/**
+ * Map a parsed VEVENT to the app's event shape
+ * @param {Object} component - Component from parseICSComponents
+ * @param {string[]} [eventTypeNames] - Event types an imported event can keep; anything else becomes 'Personal'
+ * @returns {Object|null} - Event data ready for addEvent, or null if the event has no usable start
+ */
+export const mapICSComponentToEvent = (component, eventTypeNames = getEventTypeNames()) => {
+  const getProperty = (name) => (component.properties[name] || [])[0] || null;
+  const getText = (name) => {
+    const property = getProperty(name);
+    return property ? unescapeICSText(property.value).trim() : '';
+  };
+
+  const startProperty = getProperty('DTSTART');
+  const start = startProperty ? parseICSDateValue(startProperty.value, startProperty.params.TZID) : null;
+  if (!start) return null;
+
+  const endProperty = getProperty('DTEND');
+  let end = endProperty ? parseICSDateValue(endProperty.value, endProperty.params.TZID) : null;
+  const durationProperty = getProperty('DURATION');
+
+  const event = {
+    title: getText('SUMMARY') || 'Untitled Event',
+    isAllDay: start.isDate,
+  };
+
+  if (start.isDate) {
+    // DTEND is exclusive for all-day events
+    let endDateString = start.dateString;
+    if (end && end.isDate && end.dateString > start.dateString) {
+      endDateString = addDaysToDateString(end.dateString, -1);
+    } else if (!end && durationProperty) {
+      const durationDays = Math.floor((parseICSDurationMinutes(durationProperty.value) || 0) / 1440);
+      endDateString = addDaysToDateString(start.dateString, Math.max(0, durationDays - 1));
+    }
+    event.startDate = start.dateString;
+    event.endDate = endDateString;
+  } else {
+    if ((!end || end.isDate) && durationProperty) {
+      const durationMinutes = parseICSDurationMinutes(durationProperty.value) || 0;
+      end = { isDate: false, date: new Date(start.date.getTime() + durationMinutes * 60000) };
+    }
+    const endDate = end && !end.isDate && end.date >= start.date ? end.date : start.date;
+    event.startDateTime = start.date.toISOString();
+    event.endDateTime = endDate.toISOString();
+    if (isValidTimeZone(startProperty.params.TZID)) {
+      event.timeZone = startProperty.params.TZID;
+    }
+  }
+
+  // Drop the lines our own export appends to the description
+  const description = getText('DESCRIPTION')
+    .split('\n')
+    .filter((line) => !/^Children: /.test(line) && !/^Date \d+ of \d+$/.test(line))
+    .join('\n')
+    .trim();
+  if (description) {
+    event.description = description;
+  }
+
+  const exportedType = getText('X-PARENTCHILD-EVENT-TYPE');
+  const categories = getText('CATEGORIES').split(',').map((category) => category.trim());
+  event.eventType =
+    [exportedType, ...categories].find((type) => eventTypeNames.includes(type)) || DEFAULT_EVENT_TYPE_NAME;
+
+  const reminders = component.alarms
+    .map((alarm) => {
+      const reminderIdProperty = (alarm.properties['X-PARENTCHILD-REMINDER-ID'] || [])[0];
+      if (reminderIdProperty) return unescapeICSText(reminderIdProperty.value);
+      const triggerProperty = (alarm.properties.TRIGGER || [])[0];
+      // Absolute triggers (VALUE=DATE-TIME) can't be expressed as an offset
+      if (!triggerProperty || triggerProperty.params.VALUE === 'DATE-TIME') return null;
+      return icsTriggerToReminderId(triggerProperty.value);
+    })
+    .filter((reminderId, index, list) => reminderId && list.indexOf(reminderId) === index);
+  event.remindersEnabled = reminders.length > 0;
+  event.reminders = reminders;
+
+  const rruleProperty = getProperty('RRULE');
+  if (rruleProperty) {
+    const recurrence = parseRRuleString(rruleProperty.value);
+    if (recurrence) {
+      // Series dates are days in the event's zone, as for events created in the app
+      const toSeriesDateString = (value) =>
+        value.isDate ? value.dateString : formatZonedDateString(value.date, getEventTimeZone(event));
+
+      const untilMatch = rruleProperty.value.match(/UNTIL=([0-9TZ]+)/i);
+      const until = untilMatch ? parseICSDateValue(untilMatch[1], startProperty.params.TZID) : null;
+      if (until) {
+        recurrence.until = toSeriesDateString(until);
+      }
+
+      recurrence.exceptionDates = (component.properties.EXDATE || [])
+        .flatMap((property) =>
+          property.value.split(',').map((value) => parseICSDateValue(value, property.params.TZID))
+        )
+        .filter(Boolean)
+        .map(toSeriesDateString);
+      event.recurrence = recurrence;
+    } else {
+      // Only the first occurrence is imported for rules the app can't represent
+      event.hasUnsupportedRecurrence = true;
+    }
+  }
+
+  const uid = getText('UID');
+  if (uid) {
+    event.icsUid = uid;
+  }
+
+  return event;
+};
+
+/**
+ * Parse an iCalendar document into event data for the app
+ * Recurrence overrides (VEVENTs with RECURRENCE-ID) and cancelled events are skipped.
+ * @param {string} icsText - Raw iCalendar document
+ * @param {string[]} [eventTypeNames] - Event types an imported event can keep
+ * @returns {Object[]} - Event data objects ready for addEvent
+ */
+export const parseICSEvents = (icsText, eventTypeNames = getEventTypeNames()) => {
+  return parseICSComponents(icsText)
+    .filter((component) => !component.properties['RECURRENCE-ID'])
+    .filter((component) => {
+      const status = (component.properties.STATUS || [])[0];
+      return !status || status.value.trim().toUpperCase() !== 'CANCELLED';
+    })
+    .map((component) => mapICSComponentToEvent(component, eventTypeNames))
+    .filter(Boolean);
+};
+
+/**
+ * Normalize a title for duplicate comparison
+ * @param {string} title - Event title
+ * @returns {string} - Lowercased title with collapsed whitespace
+ */
+const normalizeTitle = (title) => {
+  return String(title || '').trim().replace(/\s+/g, ' ').toLowerCase();
+};
+
+/**
+ * Find a stored event that an imported event duplicates
+ * Events match by iCalendar UID (including UIDs created by our own export)
+ * or by the same title on the same start date.
+ * @param {Object} importedEvent - Event data from parseICSEvents
+ * @param {Object[]} existingEvents - Stored events
+ * @returns {Object|null} - The matching stored event, or null
+ */
+export const findDuplicateEvent = (importedEvent, existingEvents) => {
+  if (!importedEvent || !Array.isArray(existingEvents)) return null;
+
+  const uid = importedEvent.icsUid;
+  if (uid) {
+    const exportedIdMatch = uid.match(new RegExp(`^(.+)@${ICS_UID_DOMAIN}$`));
+    const exportedId = exportedIdMatch ? exportedIdMatch[1] : null;
+    const uidMatch = existingEvents.find(
+      (event) => event.icsUid === uid || (exportedId && (event.id || event.eventId) === exportedId)
+    );
+    if (uidMatch) return uidMatch;
+  }
+
+  const title = normalizeTitle(importedEvent.title);
+  const startDateString = getEventStartDateString(importedEvent);
+  return (
+    existingEvents.find(
+      (event) =>
+        normalizeTitle(event.title) === title &&
+        getEventStartDateString(event) === startDateString
+    ) || null
+  );
+};
@@ -318,6 +318,54 @@ class ImageUtils {
     }
   }
 
+  /**
+   * Resize and compress an image until its base64 encoding fits a size budget
+   * Tries progressively smaller widths and lower quality, keeping the first result that fits.
+   * @param {string} imageUri - The image URI (file:// or content://)
+   * @param {number} maxSizeBytes - Maximum size in bytes of the encoded image
+   * @param {number} maxWidth - Width to start from (default: 1600px)
+   * @returns {Promise<{uri: string, width: number, height: number, size: number}|null>}
+   *   Base64 image with its dimensions, or null if it could not be made small enough
+   */
+  static async encodeImageWithinSize(imageUri, maxSizeBytes, maxWidth = 1600) {
+    const ImageManipulator = require('expo-image-manipulator');
+    const attempts = [
+      { width: maxWidth, compress: 0.7 },
+      { width: Math.round(maxWidth * 0.75), compress: 0.6 },
+      { width: Math.round(maxWidth * 0.6), compress: 0.5 },
+      { width: Math.round(maxWidth * 0.45), compress: 0.4 },
+    ];
+
+    try {
+      for (const attempt of attempts) {
+        const manipulatedImage = await ImageManipulator.manipulateAsync(
+          imageUri,
+          [{ resize: { width: attempt.width } }],
+          { compress: attempt.compress, format: ImageManipulator.SaveFormat.JPEG }
+        );
+
+        const base64Image = await this.encodeImageToBase64(manipulatedImage.uri);
+        await this.cleanupTempFile(manipulatedImage.uri);
+
+        const size = this.getBase64ImageSize(base64Image);
+        if (size <= maxSizeBytes) {
+          return {
+            uri: base64Image,
+            width: manipulatedImage.width,
+            height: manipulatedImage.height,
+            size,
+          };
+        }
+      }
+
+      console.warn(`Image could not be compressed below ${maxSizeBytes} bytes`);
+      return null;
+    } catch (error) {
+      console.error('Error encoding image within size:', error);
+      return null;
+    }
+  }
+
   /**
    * Clean up temporary image files
    * @param {string} uri - File URI to clean up
@@ -0,0 +1,131 @@
+/**
+ * Utility functions for recognising ISBNs in text read from a book
+ *
+ * The back cover of most books prints the ISBN twice: once as text
+ * ("ISBN 978-0-333-71093-7") and once as the EAN-13 barcode, whose digits
+ * are printed underneath it. Both are checked with the ISBN checksum so
+ * that other numbers on the cover (prices, years, phone numbers) are not
+ * mistaken for one. ISBN-10s are converted so every book has one ISBN-13.
+ */
+
+const ISBN_LABEL_PATTERN = /ISBN(?:[\s-]*1[03])?[\s:#-]*([0-9Xx][0-9Xx\s-]{8,20}[0-9Xx])/gi;
+const EAN_PATTERN = /(?:^|[^0-9])(97[89](?:[\s-]?[0-9]){10})(?![0-9])/g;
+
+/**
+ * Remove the spaces and hyphens from an ISBN
+ * @param {string} isbn - ISBN as printed
+ * @returns {string} - Digits, with an upper case X check digit for ISBN-10
+ */
+export const normalizeIsbn = (isbn) => {
+  return String(isbn || '').replace(/[\s-]/g, '').toUpperCase();
+};
+
+/**
+ * Check an ISBN-10 and its check digit
+ * @param {string} isbn - ISBN-10, with or without hyphens
+ * @returns {boolean}
+ */
+export const isValidIsbn10 = (isbn) => {
+  const digits = normalizeIsbn(isbn);
+  if (!/^[0-9]{9}[0-9X]$/.test(digits)) return false;
+
+  const sum = digits.split('').reduce((total, char, index) => {
+    const value = char === 'X' ? 10 : Number(char);
+    return total + value * (10 - index);
+  }, 0);
+  return sum % 11 === 0;
+};
+
+/**
+ * Check an ISBN-13 and its check digit
+ * @param {string} isbn - ISBN-13, with or without hyphens
+ * @returns {boolean}
+ */
+export const isValidIsbn13 = (isbn) => {
+  const digits = normalizeIsbn(isbn);
+  if (!/^97[89][0-9]{10}$/.test(digits)) return false;
+
+  const sum = digits.split('').reduce((total, char, index) => {
+    return total + Number(char) * (index % 2 === 0 ? 1 : 3);
+  }, 0);
+  return sum % 10 === 0;
+};
+
+/**
+ * Check an ISBN of either length
+ * @param {string} isbn - ISBN-10 or ISBN-13
+ * @returns {boolean}
+ */
+export const isValidIsbn = (isbn) => {
+  return isValidIsbn10(isbn) || isValidIsbn13(isbn);
+};
+
+/**
+ * Convert an ISBN-10 to the ISBN-13 of the same book
+ * @param {string} isbn - Valid ISBN-10
+ * @returns {string|null} - ISBN-13 digits, or null if the ISBN-10 is invalid
+ */
+export const isbn10To13 = (isbn) => {
+  if (!isValidIsbn10(isbn)) return null;
+
+  const base = `978${normalizeIsbn(isbn).slice(0, 9)}`;
+  const sum = base.split('').reduce((total, char, index) => {
+    return total + Number(char) * (index % 2 === 0 ? 1 : 3);
+  }, 0);
+  return `${base}${(10 - (sum % 10)) % 10}`;
+};
+
+/**
+ * Get the ISBN-13 used to identify a book
+ * @param {string} isbn - ISBN-10 or ISBN-13, with or without hyphens
+ * @returns {string|null} - ISBN-13 digits, or null if the ISBN is invalid
+ */
+export const toIsbn13 = (isbn) => {
+  if (isValidIsbn13(isbn)) return normalizeIsbn(isbn);
+  return isbn10To13(isbn);
+};
+
+/**
+ * Find the ISBNs in text read from a book cover or barcode
+ * ISBNs printed with an "ISBN" label come first, then bare 978/979 barcode
+ * numbers. Candidates that fail the checksum are ignored.
+ * @param {string} text - Extracted text
+ * @returns {string[]} - Unique ISBN-13s in the order they were found
+ */
+export const findIsbnsInText = (text) => {
+  if (!text || typeof text !== 'string') return [];
+
+  const isbns = [];
+  const addCandidate = (candidate) => {
+    const isbn13 = toIsbn13(candidate);
+    if (isbn13 && !isbns.includes(isbn13)) {
+      isbns.push(isbn13);
+    }
+    return !!isbn13;
+  };
+
+  for (const match of text.matchAll(ISBN_LABEL_PATTERN)) {
+    const candidate = normalizeIsbn(match[1]);
+    // The label may be followed by more digits than the ISBN, e.g. the barcode
+    if (!addCandidate(candidate.slice(0, 13))) {
+      addCandidate(candidate.slice(0, 10));
+    }
+  }
+
+  for (const match of text.matchAll(EAN_PATTERN)) {
+    addCandidate(match[1]);
+  }
+
+  return isbns;
+};
+
+/**
+ * Format an ISBN-13 for display
+ * @param {string} isbn - ISBN-13 digits
+ * @returns {string} - e.g. '978-0333710937'
+ */
+export const formatIsbn = (isbn) => {
+  const digits = normalizeIsbn(isbn);
+  if (digits.length !== 13) return digits;
+  return `${digits.slice(0, 3)}-${digits.slice(3)}`;
+};
@@ -0,0 +1,271 @@
+/**
+ * Utility functions for the Chinese lunar calendar
+ *
+ * Converts between Gregorian dates and lunar dates for 1900-2100 using a
+ * table of lunar month lengths, so no network or native module is needed.
+ * A lunar date has the shape:
+ *
+ * {
+ *   year: 2025,          // lunar year, starting at Lunar New Year
+ *   month: 8,            // 1-12
+ *   day: 15,             // 1-30
+ *   isLeapMonth: false,  // true for the repeated (intercalary) month
+ * }
+ */
+
+import { formatLocalDateString, parseLocalDateString } from './dateUtils';
+
+export const LUNAR_MIN_YEAR = 1900;
+export const LUNAR_MAX_YEAR = 2100;
+
+// One entry per lunar year from 1900. Bits 15-4 mark 30-day months (bit 15 is
+// the first month), bits 3-0 hold the leap month (0 = none) and bit 16 marks
+// a 30-day leap month.
+const LUNAR_YEAR_INFO = [
+  0x04bd8, 0x04ae0, 0x0a570, 0x054d5, 0x0d260, 0x0d950, 0x16554, 0x056a0, 0x09ad0, 0x055d2, // 1900
+  0x04ae0, 0x0a5b6, 0x0a4d0, 0x0d250, 0x1d255, 0x0b540, 0x0d6a0, 0x0ada2, 0x095b0, 0x14977, // 1910
+  0x04970, 0x0a4b0, 0x0b4b5, 0x06a50, 0x06d40, 0x1ab54, 0x02b60, 0x09570, 0x052f2, 0x04970, // 1920
+  0x06566, 0x0d4a0, 0x0ea50, 0x16a95, 0x05ad0, 0x02b60, 0x186e3, 0x092e0, 0x1c8d7, 0x0c950, // 1930
+  0x0d4a0, 0x1d8a6, 0x0b550, 0x056a0, 0x1a5b4, 0x025d0, 0x092d0, 0x0d2b2, 0x0a950, 0x0b557, // 1940
+  0x06ca0, 0x0b550, 0x15355, 0x04da0, 0x0a5b0, 0x14573, 0x052b0, 0x0a9a8, 0x0e950, 0x06aa0, // 1950
+  0x0aea6, 0x0ab50, 0x04b60, 0x0aae4, 0x0a570, 0x05260, 0x0f263, 0x0d950, 0x05b57, 0x056a0, // 1960
+  0x096d0, 0x04dd5, 0x04ad0, 0x0a4d0, 0x0d4d4, 0x0d250, 0x0d558, 0x0b540, 0x0b6a0, 0x195a6, // 1970
+  0x095b0, 0x049b0, 0x0a974, 0x0a4b0, 0x0b27a, 0x06a50, 0x06d40, 0x0af46, 0x0ab60, 0x09570, // 1980
+  0x04af5, 0x04970, 0x064b0, 0x074a3, 0x0ea50, 0x06b58, 0x05ac0, 0x0ab60, 0x096d5, 0x092e0, // 1990
+  0x0c960, 0x0d954, 0x0d4a0, 0x0da50, 0x07552, 0x056a0, 0x0abb7, 0x025d0, 0x092d0, 0x0cab5, // 2000
+  0x0a950, 0x0b4a0, 0x0baa4, 0x0ad50, 0x055d9, 0x04ba0, 0x0a5b0, 0x15176, 0x052b0, 0x0a930, // 2010
+  0x07954, 0x06aa0, 0x0ad50, 0x05b52, 0x04b60, 0x0a6e6, 0x0a4e0, 0x0d260, 0x0ea65, 0x0d530, // 2020
+  0x05aa0, 0x076a3, 0x096d0, 0x04afb, 0x04ad0, 0x0a4d0, 0x1d0b6, 0x0d250, 0x0d520, 0x0dd45, // 2030
+  0x0b5a0, 0x056d0, 0x055b2, 0x049b0, 0x0a577, 0x0a4b0, 0x0aa50, 0x1b255, 0x06d20, 0x0ada0, // 2040
+  0x14b63, 0x09370, 0x049f8, 0x04970, 0x064b0, 0x168a6, 0x0ea50, 0x06b20, 0x1a6c4, 0x0aae0, // 2050
+  0x092e0, 0x0d2e3, 0x0c960, 0x0d557, 0x0d4a0, 0x0da50, 0x05d55, 0x056a0, 0x0a6d0, 0x055d4, // 2060
+  0x052d0, 0x0a9b8, 0x0a950, 0x0b4a0, 0x0b6a6, 0x0ad50, 0x055a0, 0x0aba4, 0x0a5b0, 0x052b0, // 2070
+  0x0b273, 0x06930, 0x07337, 0x06aa0, 0x0ad50, 0x14b55, 0x04b60, 0x0a570, 0x054e4, 0x0d160, // 2080
+  0x0e968, 0x0d520, 0x0daa0, 0x16aa6, 0x056d0, 0x04ae0, 0x0a9d4, 0x0a2d0, 0x0d150, 0x0f252, // 2090
+  0x0d520, // 2100
+];
+
+// Lunar New Year of 1900, the first day the table covers
+const LUNAR_EPOCH_UTC = Date.UTC(1900, 0, 31);
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const LUNAR_MONTH_NAMES = ['正月', '二月', '三月', '四月', '五月', '六月', '七月', '八月', '九月', '十月', '冬月', '臘月'];
+const LUNAR_DAY_DIGITS = ['一', '二', '三', '四', '五', '六', '七', '八', '九', '十'];
+
+// Festivals fixed to a lunar date; New Year's Eve is handled separately
+// because the twelfth month can have 29 or 30 days
+const LUNAR_FESTIVALS = [
+  { month: 1, day: 1, name: 'Lunar New Year', chineseName: '春節' },
+  { month: 1, day: 15, name: 'Lantern Festival', chineseName: '元宵' },
+  { month: 5, day: 5, name: 'Dragon Boat Festival', chineseName: '端午' },
+  { month: 7, day: 7, name: 'Qixi Festival', chineseName: '七夕' },
+  { month: 7, day: 15, name: 'Ghost Festival', chineseName: '中元' },
+  { month: 8, day: 15, name: 'Mid-Autumn Festival', chineseName: '中秋' },
+  { month: 9, day: 9, name: 'Chung Yeung Festival', chineseName: '重陽' },
+  { month: 12, day: 8, name: 'Laba Festival', chineseName: '臘八' },
+];
+
+const LUNAR_NEW_YEARS_EVE = { name: "Lunar New Year's Eve", chineseName: '除夕' };
+
+/**
+ * Get the table entry of a lunar year
+ * @param {number} year - Lunar year
+ * @returns {number|null} - Encoded year info, or null outside the supported range
+ */
+const getYearInfo = (year) => {
+  if (!Number.isInteger(year) || year < LUNAR_MIN_YEAR || year > LUNAR_MAX_YEAR) {
+    return null;
+  }
+  return LUNAR_YEAR_INFO[year - LUNAR_MIN_YEAR];
+};
+
+/**
+ * Get the leap month of a lunar year
+ * @param {number} year - Lunar year
+ * @returns {number} - Leap month (1-12), or 0 if the year has none
+ */
+export const getLunarLeapMonth = (year) => {
+  const info = getYearInfo(year);
+  return info === null ? 0 : info & 0xf;
+};
+
+/**
+ * Get the number of days in a lunar month
+ * @param {number} year - Lunar year
+ * @param {number} month - Lunar month (1-12)
+ * @param {boolean} isLeapMonth - True for the leap month following `month`
+ * @returns {number} - 29 or 30, or 0 if the month doesn't exist
+ */
+export const getLunarMonthDays = (year, month, isLeapMonth = false) => {
+  const info = getYearInfo(year);
+  if (info === null || month < 1 || month > 12) return 0;
+
+  if (isLeapMonth) {
+    if ((info & 0xf) !== month) return 0;
+    return info & 0x10000 ? 30 : 29;
+  }
+  return info & (0x10000 >> month) ? 30 : 29;
+};
+
+/**
+ * Get the months of a lunar year in calendar order, including any leap month
+ * @param {number} year - Lunar year
+ * @returns {Array} - [{ month, isLeapMonth, days }]
+ */
+const getLunarYearMonths = (year) => {
+  const leapMonth = getLunarLeapMonth(year);
+  const months = [];
+  for (let month = 1; month <= 12; month++) {
+    months.push({ month, isLeapMonth: false, days: getLunarMonthDays(year, month) });
+    if (month === leapMonth) {
+      months.push({ month, isLeapMonth: true, days: getLunarMonthDays(year, month, true) });
+    }
+  }
+  return months;
+};
+
+/**
+ * Get the number of days in a lunar year
+ * @param {number} year - Lunar year
+ * @returns {number} - Day count
+ */
+const getLunarYearDays = (year) => getLunarYearMonths(year).reduce((sum, m) => sum + m.days, 0);
+
+/**
+ * Convert a Gregorian date to a lunar date
+ * @param {Date|string} date - Date object or YYYY-MM-DD string
+ * @returns {Object|null} - { year, month, day, isLeapMonth }, or null outside 1900-2100
+ */
+export const solarToLunar = (date) => {
+  const localDate = typeof date === 'string' ? parseLocalDateString(date) : date;
+  if (!localDate || isNaN(localDate.getTime())) return null;
+
+  let offset = Math.round(
+    (Date.UTC(localDate.getFullYear(), localDate.getMonth(), localDate.getDate()) - LUNAR_EPOCH_UTC) /
+      MS_PER_DAY
+  );
+  if (offset < 0) return null;
+
+  let year = LUNAR_MIN_YEAR;
+  for (; year <= LUNAR_MAX_YEAR; year++) {
+    const yearDays = getLunarYearDays(year);
+    if (offset < yearDays) break;
+    offset -= yearDays;
+  }
+  if (year > LUNAR_MAX_YEAR) return null;
+
+  for (const { month, isLeapMonth, days } of getLunarYearMonths(year)) {
+    if (offset < days) {
+      return { year, month, day: offset + 1, isLeapMonth };
+    }
+    offset -= days;
+  }
+  return null;
+};
+
+/**
+ * Convert a lunar date to a Gregorian date
+ * Day 30 falls back to the last day of a 29-day month, so a date such as a
+ * birthday on the 30th still lands on a real day every year.
+ * @param {number} year - Lunar year
+ * @param {number} month - Lunar month (1-12)
+ * @param {number} day - Lunar day (1-30)
+ * @param {boolean} isLeapMonth - True for the leap month following `month`
+ * @returns {string|null} - Gregorian date (YYYY-MM-DD), or null if the month doesn't exist that year
+ */
+export const lunarToSolar = (year, month, day, isLeapMonth = false) => {
+  if (getYearInfo(year) === null || day < 1 || day > 30) return null;
+  if (getLunarMonthDays(year, month, isLeapMonth) === 0) return null;
+
+  let offset = 0;
+  for (let y = LUNAR_MIN_YEAR; y < year; y++) {
+    offset += getLunarYearDays(y);
+  }
+
+  for (const lunarMonth of getLunarYearMonths(year)) {
+    if (lunarMonth.month === month && lunarMonth.isLeapMonth === isLeapMonth) {
+      offset += Math.min(day, lunarMonth.days) - 1;
+      const date = new Date(LUNAR_EPOCH_UTC + offset * MS_PER_DAY);
+      return formatLocalDateString(
+        new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+      );
+    }
+    offset += lunarMonth.days;
+  }
+  return null;
+};
+
+/**
+ * Get the Chinese name of a lunar month
+ * @param {number} month - Lunar month (1-12)
+ * @param {boolean} isLeapMonth - True for a leap month
+ * @returns {string} - e.g. "八月" or "閏六月"
+ */
+export const getLunarMonthName = (month, isLeapMonth = false) =>
+  `${isLeapMonth ? '閏' : ''}${LUNAR_MONTH_NAMES[month - 1] || ''}`;
+
+/**
+ * Get the Chinese name of a lunar day
+ * @param {number} day - Lunar day (1-30)
+ * @returns {string} - e.g. "初一", "十五", "廿三"
+ */
+export const getLunarDayName = (day) => {
+  if (day === 10) return '初十';
+  if (day === 20) return '二十';
+  if (day === 30) return '三十';
+  const prefix = ['初', '十', '廿'][Math.floor(day / 10)];
+  return `${prefix}${LUNAR_DAY_DIGITS[(day % 10) - 1]}`;
+};
+
+/**
+ * Format a lunar date for display
+ * @param {Object} lunarDate - { month, day, isLeapMonth }
+ * @returns {string} - e.g. "八月十五"
+ */
+export const formatLunarDate = (lunarDate) => {
+  if (!lunarDate) return '';
+  return `${getLunarMonthName(lunarDate.month, lunarDate.isLeapMonth)}${getLunarDayName(lunarDate.day)}`;
+};
+
+/**
+ * Find the lunar festival that falls on a date
+ * Festivals are only kept in regular months, never in a repeated leap month.
+ * @param {Date|string} date - Date object or YYYY-MM-DD string
+ * @returns {Object|null} - { name, chineseName }, or null if there is none
+ */
+export const getLunarFestival = (date) => {
+  const lunarDate = solarToLunar(date);
+  if (!lunarDate || lunarDate.isLeapMonth) return null;
+
+  const festival = LUNAR_FESTIVALS.find(
+    (f) => f.month === lunarDate.month && f.day === lunarDate.day
+  );
+  if (festival) {
+    return { name: festival.name, chineseName: festival.chineseName };
+  }
+
+  if (lunarDate.month === 12 && lunarDate.day === getLunarMonthDays(lunarDate.year, 12)) {
+    return { ...LUNAR_NEW_YEARS_EVE };
+  }
+  return null;
+};
+
+/**
+ * Get the short label shown under a day number in the calendar
+ * Festivals take priority, then the month name on the first day of a month,
+ * otherwise the day name.
+ * @param {Date|string} date - Date object or YYYY-MM-DD string
+ * @returns {string} - e.g. "中秋", "八月", "十六", or '' outside 1900-2100
+ */
+export const getLunarDayLabel = (date) => {
+  const lunarDate = solarToLunar(date);
+  if (!lunarDate) return '';
+
+  const festival = getLunarFestival(date);
+  if (festival) return festival.chineseName;
+
+  return lunarDate.day === 1
+    ? getLunarMonthName(lunarDate.month, lunarDate.isLeapMonth)
+    : getLunarDayName(lunarDate.day);
+};
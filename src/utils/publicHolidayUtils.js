@@ -0,0 +1,107 @@
+/**
+ * Utility functions for the bundled public holiday packs
+ *
+ * A pack is one region's public holidays for one year. Its events are all-day
+ * 'Holiday' events tagged with the region and year, so a pack can be refreshed
+ * or removed as a set.
+ */
+
+import { PUBLIC_HOLIDAY_PACKS } from '../data/publicHolidays';
+
+export const PUBLIC_HOLIDAY_EVENT_TYPE = 'public_holiday';
+
+/**
+ * Get the regions with bundled public holidays
+ * @returns {Array} - [{ code, name, years }], years newest first
+ */
+export const getPublicHolidayRegions = () =>
+  Object.entries(PUBLIC_HOLIDAY_PACKS).map(([code, pack]) => ({
+    code,
+    name: pack.name,
+    years: Object.keys(pack.holidays).map(Number).sort((a, b) => b - a),
+  }));
+
+/**
+ * Get the years to offer for a region: the bundled years plus this year and next,
+ * so a year missing from the app is shown as such rather than left out
+ * @param {Object} region - Region from getPublicHolidayRegions
+ * @param {Date} now - Current date
+ * @returns {Array} - [{ year, isBundled }], newest first
+ */
+export const getPublicHolidayPackYears = (region, now = new Date()) => {
+  const currentYear = now.getFullYear();
+  const years = new Set([...region.years, currentYear, currentYear + 1]);
+  return [...years]
+    .sort((a, b) => b - a)
+    .map((year) => ({ year, isBundled: region.years.includes(year) }));
+};
+
+/**
+ * Get the display name of a region
+ * @param {string} regionCode - Region code, e.g. "HK"
+ * @returns {string}
+ */
+export const getPublicHolidayRegionName = (regionCode) =>
+  PUBLIC_HOLIDAY_PACKS[regionCode]?.name || regionCode;
+
+/**
+ * Get the ID of a public holiday event, the same each time the pack is added
+ * @param {string} regionCode - Region code
+ * @param {string} date - Holiday date, YYYY-MM-DD
+ * @returns {string} - e.g. "public_holiday_HK_2026-02-17"
+ */
+export const getPublicHolidayEventId = (regionCode, date) => `public_holiday_${regionCode}_${date}`;
+
+/**
+ * Build the events of a public holiday pack
+ * @param {string} regionCode - Region code
+ * @param {number} year - Year
+ * @param {Array} selectedChildren - [{ id, name, color }] the holidays apply to
+ * @returns {Array} - Event data for CalendarEventsService.addEvent, empty if the pack isn't bundled
+ */
+export const buildPublicHolidayEvents = (regionCode, year, selectedChildren = []) => {
+  const pack = PUBLIC_HOLIDAY_PACKS[regionCode];
+  const holidays = pack?.holidays[year] || [];
+
+  return holidays.map((holiday) => ({
+    id: getPublicHolidayEventId(regionCode, holiday.date),
+    title: holiday.name,
+    eventType: 'Holiday',
+    startDate: holiday.date,
+    endDate: holiday.date,
+    isAllDay: true,
+    description: `Public holiday in ${pack.name}`,
+    selectedChildren,
+    type: PUBLIC_HOLIDAY_EVENT_TYPE,
+    publicHolidayRegion: regionCode,
+    publicHolidayYear: year,
+    remindersEnabled: false,
+    reminders: [],
+  }));
+};
+
+/**
+ * Check whether an event belongs to a public holiday pack
+ * @param {Object} event - Event
+ * @param {string} regionCode - Region code
+ * @param {number|null} year - Year, or null for every year of the region
+ * @returns {boolean}
+ */
+export const isPublicHolidayPackEvent = (event, regionCode, year = null) =>
+  event.type === PUBLIC_HOLIDAY_EVENT_TYPE &&
+  event.publicHolidayRegion === regionCode &&
+  (year === null || event.publicHolidayYear === year);
+
+/**
+ * Find the packs that have been added to the calendar
+ * @param {Array} events - Stored events
+ * @returns {Object} - { [regionCode]: { [year]: eventCount } }
+ */
+export const getInstalledPublicHolidayPacks = (events) =>
+  events
+    .filter((event) => event.type === PUBLIC_HOLIDAY_EVENT_TYPE)
+    .reduce((packs, event) => {
+      const regionPacks = packs[event.publicHolidayRegion] || {};
+      regionPacks[event.publicHolidayYear] = (regionPacks[event.publicHolidayYear] || 0) + 1;
+      return { ...packs, [event.publicHolidayRegion]: regionPacks };
+    }, {});
@@ -0,0 +1,349 @@
+/**
+ * Utility functions for each child's reading goals
+ *
+ * A goal is a target number of books or minutes of reading per day, week,
+ * month or school term, e.g. "20 books this term" or "15 min a day".
+ * Progress is worked out from the child's Reading Time activities: minutes
+ * from each activity's start and end time, and books as the different books
+ * read in the period. Reading streaks count the days in a row the child
+ * read, or met their daily minutes goal when they have one.
+ */
+
+import { READING_ACTIVITY_TYPE_NAME } from './activityTypeUtils';
+import { formatLocalDateString, getWeekStart, parseLocalDateString } from './dateUtils';
+import { addDaysToDateString } from './recurrenceUtils';
+import { isValidDigestTime } from './digestUtils';
+import { formatReadingTime, getActivityMinutes, getBookKey } from './readingLibraryUtils';
+
+export const READING_GOAL_METRICS = {
+  BOOKS: 'books',
+  MINUTES: 'minutes',
+};
+
+export const READING_GOAL_PERIODS = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+  TERM: 'term',
+};
+
+export const READING_GOAL_METRIC_LABELS = {
+  books: 'Books',
+  minutes: 'Minutes',
+};
+
+export const READING_GOAL_PERIOD_LABELS = {
+  day: 'a day',
+  week: 'a week',
+  month: 'a month',
+  term: 'this term',
+};
+
+export const MAX_READING_GOAL_TARGET = 10000;
+
+// Evening time today's reading nudge is sent at unless the goal says otherwise
+export const DEFAULT_READING_NUDGE_TIME = '18:30';
+
+/**
+ * Get the local date of an activity
+ * @param {Object} activity - Activity with startTime
+ * @returns {string|null} - YYYY-MM-DD, or null for a missing or invalid time
+ */
+const getActivityDate = (activity) => {
+  const start = new Date(activity?.startTime);
+  return isNaN(start.getTime()) ? null : formatLocalDateString(start);
+};
+
+/**
+ * Get a date as YYYY-MM-DD
+ * @param {Date|string} date - Date or YYYY-MM-DD string
+ * @returns {string}
+ */
+const toDateString = (date) => (typeof date === 'string' ? date : formatLocalDateString(date));
+
+/**
+ * Create a reading goal with a new ID
+ * @param {string} childId - Child ID
+ * @param {Object} data - { metric, target, period, nudgeEnabled, nudgeTime }
+ * @returns {Object} - New reading goal
+ */
+export const createReadingGoal = (childId, data) => {
+  const now = new Date().toISOString();
+  return {
+    id: `reading_goal_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    childId,
+    metric: data.metric,
+    target: Number(data.target),
+    period: data.period,
+    nudgeEnabled: Boolean(data.nudgeEnabled),
+    nudgeTime: data.nudgeTime || DEFAULT_READING_NUDGE_TIME,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Validate a reading goal
+ * @param {Object} goal - Reading goal
+ * @returns {Object} - { valid, errors }
+ */
+export const validateReadingGoal = (goal) => {
+  const errors = [];
+
+  if (!goal || typeof goal !== 'object') {
+    return { valid: false, errors: ['Reading goal must be an object'] };
+  }
+
+  if (!goal.id) {
+    errors.push('Reading goal must have an ID');
+  }
+
+  if (!goal.childId) {
+    errors.push('Reading goal must belong to a child');
+  }
+
+  if (!Object.values(READING_GOAL_METRICS).includes(goal.metric)) {
+    errors.push(`Goal must count one of: ${Object.values(READING_GOAL_METRICS).join(', ')}`);
+  }
+
+  if (!Object.values(READING_GOAL_PERIODS).includes(goal.period)) {
+    errors.push(`Goal period must be one of: ${Object.values(READING_GOAL_PERIODS).join(', ')}`);
+  }
+
+  if (!Number.isInteger(goal.target) || goal.target < 1 || goal.target > MAX_READING_GOAL_TARGET) {
+    errors.push(`Target must be a whole number from 1 to ${MAX_READING_GOAL_TARGET}`);
+  }
+
+  if (goal.nudgeTime !== undefined && !isValidDigestTime(goal.nudgeTime)) {
+    errors.push('Nudge time must be in HH:MM format');
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Describe a goal, e.g. '20 books this term' or '15 min a day'
+ * @param {Object} goal - Reading goal
+ * @returns {string}
+ */
+export const getReadingGoalLabel = (goal) => {
+  const amount =
+    goal.metric === READING_GOAL_METRICS.MINUTES
+      ? `${goal.target} min`
+      : `${goal.target} book${goal.target === 1 ? '' : 's'}`;
+  return `${amount} ${READING_GOAL_PERIOD_LABELS[goal.period] || ''}`.trim();
+};
+
+/**
+ * Format an amount of a goal's metric, e.g. '1h 5m' or '3 books'
+ * @param {string} metric - READING_GOAL_METRICS value
+ * @param {number} amount - Minutes or books
+ * @returns {string}
+ */
+export const formatReadingGoalAmount = (metric, amount) => {
+  return metric === READING_GOAL_METRICS.MINUTES
+    ? formatReadingTime(amount)
+    : `${amount} book${amount === 1 ? '' : 's'}`;
+};
+
+/**
+ * Find the school term a date falls in
+ * During a break, the term that ended before it is used, so the goal keeps
+ * showing the result of the term just finished. A school year without terms
+ * counts as one term.
+ * @param {Array} schoolYears - The child's school years
+ * @param {Date|string} date - Date
+ * @returns {Object|null} - { name, startDate, endDate } or null if unknown
+ */
+export const findSchoolTermForDate = (schoolYears = [], date) => {
+  const dateString = toDateString(date);
+  const schoolYear = schoolYears.find(
+    (year) => year.startDate <= dateString && dateString <= year.endDate
+  );
+  if (!schoolYear) {
+    return null;
+  }
+
+  const terms = schoolYear.terms || [];
+  if (terms.length === 0) {
+    return { name: schoolYear.label, startDate: schoolYear.startDate, endDate: schoolYear.endDate };
+  }
+
+  return (
+    terms.find((term) => term.startDate <= dateString && dateString <= term.endDate) ||
+    [...terms].reverse().find((term) => term.startDate <= dateString) ||
+    null
+  );
+};
+
+/**
+ * Get the dates a goal period covers
+ * @param {string} period - READING_GOAL_PERIODS value
+ * @param {Date|string} date - Date within the period
+ * @param {Array} schoolYears - The child's school years, for term goals
+ * @returns {Object|null} - { startDate, endDate, label }, or null for a term
+ *   goal when the child has no term dates for the date
+ */
+export const getReadingGoalRange = (period, date, schoolYears = []) => {
+  const dateString = toDateString(date);
+
+  switch (period) {
+    case READING_GOAL_PERIODS.DAY:
+      return { startDate: dateString, endDate: dateString, label: 'Today' };
+    case READING_GOAL_PERIODS.WEEK: {
+      const startDate = formatLocalDateString(getWeekStart(parseLocalDateString(dateString)));
+      return { startDate, endDate: addDaysToDateString(startDate, 6), label: 'This week' };
+    }
+    case READING_GOAL_PERIODS.MONTH: {
+      const day = parseLocalDateString(dateString);
+      return {
+        startDate: formatLocalDateString(new Date(day.getFullYear(), day.getMonth(), 1)),
+        endDate: formatLocalDateString(new Date(day.getFullYear(), day.getMonth() + 1, 0)),
+        label: 'This month',
+      };
+    }
+    case READING_GOAL_PERIODS.TERM: {
+      const term = findSchoolTermForDate(schoolYears, dateString);
+      return term ? { startDate: term.startDate, endDate: term.endDate, label: term.name } : null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Get the time a day's reading nudge is sent at
+ * @param {string} date - Day of the nudge (YYYY-MM-DD)
+ * @param {string} time - Send time (HH:MM)
+ * @returns {Date}
+ */
+export const getReadingNudgeSendTime = (date, time = DEFAULT_READING_NUDGE_TIME) => {
+  const sendTime = parseLocalDateString(date);
+  const [hours, minutes] = time.split(':').map(Number);
+  sendTime.setHours(hours, minutes, 0, 0);
+  return sendTime;
+};
+
+/**
+ * Get a child's Reading Time activities
+ * Unlike library sessions, activities without a book still count as reading.
+ * @param {Array} activities - Family time activities
+ * @param {string} childId - Child ID
+ * @returns {Array}
+ */
+export const getChildReadingActivities = (activities = [], childId) => {
+  return activities.filter(
+    (activity) =>
+      activity?.type === READING_ACTIVITY_TYPE_NAME &&
+      Array.isArray(activity.participants) &&
+      activity.participants.some((participant) => participant.childId === childId)
+  );
+};
+
+/**
+ * Add up reading minutes per day
+ * @param {Array} readingActivities - Reading Time activities
+ * @returns {Object} - { [YYYY-MM-DD]: minutes } for every day with reading
+ */
+export const getDailyReadingMinutes = (readingActivities = []) => {
+  return readingActivities.reduce((days, activity) => {
+    const date = getActivityDate(activity);
+    if (date) {
+      days[date] = (days[date] || 0) + getActivityMinutes(activity);
+    }
+    return days;
+  }, {});
+};
+
+/**
+ * Work out a child's progress towards a goal
+ * @param {Object} goal - Reading goal
+ * @param {Array} activities - Family time activities
+ * @param {Date|string} date - Date whose period to measure
+ * @param {Array} schoolYears - The child's school years, for term goals
+ * @returns {Object} - { goal, range, current, target, percent, completed, remaining };
+ *   range is null when the period can't be worked out
+ */
+export const computeReadingGoalProgress = (goal, activities = [], date = new Date(), schoolYears = []) => {
+  const range = getReadingGoalRange(goal.period, date, schoolYears);
+  let current = 0;
+
+  if (range) {
+    const periodActivities = getChildReadingActivities(activities, goal.childId).filter((activity) => {
+      const activityDate = getActivityDate(activity);
+      return activityDate && range.startDate <= activityDate && activityDate <= range.endDate;
+    });
+
+    if (goal.metric === READING_GOAL_METRICS.MINUTES) {
+      current = periodActivities.reduce((total, activity) => total + getActivityMinutes(activity), 0);
+    } else {
+      current = new Set(
+        periodActivities
+          .map((activity) => getBookKey(activity.bookInfo?.title, activity.bookInfo?.author))
+          .filter(Boolean)
+      ).size;
+    }
+  }
+
+  return {
+    goal,
+    range,
+    current,
+    target: goal.target,
+    percent: Math.min(100, Math.round((current / goal.target) * 100)),
+    completed: current >= goal.target,
+    remaining: Math.max(0, goal.target - current),
+  };
+};
+
+/**
+ * Get the minutes a day the child's daily minutes goal asks for
+ * @param {Array} goals - The child's reading goals
+ * @returns {number} - Target minutes, 0 without a daily minutes goal
+ */
+export const getDailyMinutesTarget = (goals = []) => {
+  const dailyGoal = goals.find(
+    (goal) =>
+      goal.period === READING_GOAL_PERIODS.DAY && goal.metric === READING_GOAL_METRICS.MINUTES
+  );
+  return dailyGoal ? dailyGoal.target : 0;
+};
+
+/**
+ * Count a child's reading streak
+ * A day counts when the child read, and read for at least the daily target
+ * when there is one. Today not being done yet doesn't break the streak.
+ * @param {Array} activities - Family time activities
+ * @param {string} childId - Child ID
+ * @param {Date|string} date - Today
+ * @param {number} dailyMinutesTarget - Minutes a day needed to count, 0 for any reading
+ * @returns {Object} - { current, longest, todayDone }
+ */
+export const calculateReadingStreak = (activities = [], childId, date = new Date(), dailyMinutesTarget = 0) => {
+  const today = toDateString(date);
+  const readingActivities = getChildReadingActivities(activities, childId);
+  const dailyMinutes = getDailyReadingMinutes(readingActivities);
+  const isStreakDay = (day) => day in dailyMinutes && dailyMinutes[day] >= dailyMinutesTarget;
+
+  const todayDone = isStreakDay(today);
+  let current = 0;
+  let day = todayDone ? today : addDaysToDateString(today, -1);
+  while (isStreakDay(day)) {
+    current += 1;
+    day = addDaysToDateString(day, -1);
+  }
+
+  let longest = 0;
+  let run = 0;
+  let previousDay = null;
+  Object.keys(dailyMinutes)
+    .filter((streakDay) => streakDay <= today && isStreakDay(streakDay))
+    .sort()
+    .forEach((streakDay) => {
+      run = previousDay && addDaysToDateString(previousDay, 1) === streakDay ? run + 1 : 1;
+      longest = Math.max(longest, run);
+      previousDay = streakDay;
+    });
+
+  return { current, longest, todayDone };
+};
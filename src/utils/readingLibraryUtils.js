@@ -0,0 +1,325 @@
+/**
+ * Utility functions for each child's reading library
+ *
+ * Reading Time activities record the book that was read in `bookInfo`. The
+ * library rolls those activities up into one entry per book and child, with
+ * every activity counted as a reading session. What the activities can't tell
+ * us (whether the book was finished or put aside, and how much the child liked
+ * it) is kept in a small stored record per book, matched to activities by a
+ * key built from the title and author.
+ */
+
+import { READING_ACTIVITY_TYPE_NAME } from './activityTypeUtils';
+
+export const BOOK_STATUSES = {
+  READING: 'reading',
+  FINISHED: 'finished',
+  ABANDONED: 'abandoned',
+};
+
+export const BOOK_STATUS_LABELS = {
+  reading: 'Reading',
+  finished: 'Finished',
+  abandoned: 'Put Aside',
+};
+
+export const BOOK_STATUS_ICONS = {
+  reading: 'book-outline',
+  finished: 'checkmark-circle-outline',
+  abandoned: 'pause-circle-outline',
+};
+
+export const BOOK_STATUS_COLORS = {
+  reading: '#48b6b0',
+  finished: '#4CAF50',
+  abandoned: '#999999',
+};
+
+export const MAX_BOOK_RATING = 5;
+
+/**
+ * Normalize a title or author for matching
+ * @param {string} text - Title or author
+ * @returns {string} - Lowercased text without punctuation or repeated spaces
+ */
+const normalizeBookText = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[\s.,:;!?'"‘’“”()\-]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Build the key that matches activities to a library book
+ * @param {string} title - Book title
+ * @param {string} author - Book author
+ * @returns {string} - Key such as 'the gruffalo|julia donaldson', or '' without a title
+ */
+export const getBookKey = (title, author) => {
+  const normalizedTitle = normalizeBookText(title);
+  if (!normalizedTitle) return '';
+  return `${normalizedTitle}|${normalizeBookText(author)}`;
+};
+
+/**
+ * Build the id of a child's stored book record
+ * @param {string} childId - Child ID
+ * @param {string} bookKey - Key from getBookKey
+ * @returns {string} - Stable id for this child and book
+ */
+export const getLibraryBookId = (childId, bookKey) => {
+  return `book_${childId}_${bookKey.replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')}`;
+};
+
+/**
+ * Check whether an activity is a Reading Time session with a book
+ * @param {Object} activity - Family time activity
+ * @returns {boolean}
+ */
+export const isReadingSession = (activity) => {
+  return (
+    !!activity &&
+    activity.type === READING_ACTIVITY_TYPE_NAME &&
+    !!getBookKey(activity.bookInfo?.title, activity.bookInfo?.author)
+  );
+};
+
+/**
+ * Get how long an activity lasted
+ * @param {Object} activity - Family time activity with startTime and endTime
+ * @returns {number} - Whole minutes, 0 for missing or invalid times
+ */
+export const getActivityMinutes = (activity) => {
+  const start = new Date(activity?.startTime);
+  const end = new Date(activity?.endTime);
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+    return 0;
+  }
+  return Math.round((end - start) / (1000 * 60));
+};
+
+/**
+ * Work out the status to show for a book
+ * A finished or abandoned book that has been read again since is being read
+ * (again), so later sessions win over the stored status.
+ * @param {Object|null} record - Stored book record
+ * @param {string|null} lastReadAt - ISO time of the latest session
+ * @returns {string} - One of BOOK_STATUSES
+ */
+export const getEffectiveBookStatus = (record, lastReadAt) => {
+  if (!record || !Object.values(BOOK_STATUSES).includes(record.status)) {
+    return BOOK_STATUSES.READING;
+  }
+  if (
+    record.status !== BOOK_STATUSES.READING &&
+    lastReadAt &&
+    record.statusUpdatedAt &&
+    new Date(lastReadAt) > new Date(record.statusUpdatedAt)
+  ) {
+    return BOOK_STATUSES.READING;
+  }
+  return record.status;
+};
+
+/**
+ * Count how many times a book was started again after being finished
+ * @param {string[]} finishedDates - ISO times the book was marked finished
+ * @param {Array} sessions - Reading sessions with startTime
+ * @returns {number} - Number of re-reads
+ */
+export const countReReads = (finishedDates = [], sessions = []) => {
+  return finishedDates.filter((finishedAt) =>
+    sessions.some((session) => new Date(session.startTime) > new Date(finishedAt))
+  ).length;
+};
+
+/**
+ * Roll a child's activities and stored book records up into a library
+ * @param {Array} activities - Family time activities
+ * @param {string} childId - Child whose library to build
+ * @param {Array} storedBooks - The child's stored book records
+ * @returns {Array} - Books, most recently read first
+ */
+export const buildChildLibrary = (activities = [], childId, storedBooks = []) => {
+  const booksByKey = new Map();
+
+  const getOrCreateEntry = (key, title, author) => {
+    if (!booksByKey.has(key)) {
+      booksByKey.set(key, {
+        id: getLibraryBookId(childId, key),
+        childId,
+        key,
+        title,
+        author,
+        coverImageUri: '',
+        record: null,
+        sessions: [],
+      });
+    }
+    return booksByKey.get(key);
+  };
+
+  storedBooks
+    .filter((record) => record && record.childId === childId && record.key)
+    .forEach((record) => {
+      getOrCreateEntry(record.key, record.title, record.author).record = record;
+    });
+
+  activities
+    .filter(
+      (activity) =>
+        isReadingSession(activity) &&
+        Array.isArray(activity.participants) &&
+        activity.participants.some((participant) => participant.childId === childId)
+    )
+    .forEach((activity) => {
+      const { title, author, coverImageUri } = activity.bookInfo;
+      const entry = getOrCreateEntry(getBookKey(title, author), title, author);
+      entry.sessions.push({
+        activityId: activity.id,
+        startTime: activity.startTime,
+        endTime: activity.endTime,
+        minutes: getActivityMinutes(activity),
+      });
+      if (coverImageUri && !entry.coverImageUri) {
+        entry.coverImageUri = coverImageUri;
+      }
+    });
+
+  return Array.from(booksByKey.values())
+    .map(({ record, sessions, ...entry }) => {
+      const sortedSessions = [...sessions].sort(
+        (a, b) => new Date(b.startTime) - new Date(a.startTime)
+      );
+      const lastReadAt = sortedSessions[0]?.startTime || null;
+      const finishedDates = Array.isArray(record?.finishedDates) ? record.finishedDates : [];
+
+      return {
+        ...entry,
+        title: record?.title || entry.title,
+        author: record?.author || entry.author,
+        status: getEffectiveBookStatus(record, lastReadAt),
+        rating: record?.rating || null,
+        finishedDates,
+        timesFinished: finishedDates.length,
+        reReadCount: countReReads(finishedDates, sortedSessions),
+        sessions: sortedSessions,
+        sessionCount: sortedSessions.length,
+        totalMinutes: sortedSessions.reduce((total, session) => total + session.minutes, 0),
+        firstReadAt: sortedSessions[sortedSessions.length - 1]?.startTime || null,
+        lastReadAt,
+        addedAt: record?.createdAt || sortedSessions[sortedSessions.length - 1]?.startTime || null,
+      };
+    })
+    .sort((a, b) => {
+      const aTime = new Date(a.lastReadAt || a.addedAt || 0).getTime();
+      const bTime = new Date(b.lastReadAt || b.addedAt || 0).getTime();
+      return bTime - aTime;
+    });
+};
+
+/**
+ * Summarize a library for the profile screen
+ * @param {Array} books - Books from buildChildLibrary
+ * @returns {Object} - { totalBooks, reading, finished, abandoned, totalSessions, totalMinutes }
+ */
+export const getLibrarySummary = (books = []) => {
+  return books.reduce(
+    (summary, book) => {
+      summary.totalBooks += 1;
+      summary[book.status] += 1;
+      summary.totalSessions += book.sessionCount;
+      summary.totalMinutes += book.totalMinutes;
+      return summary;
+    },
+    {
+      totalBooks: 0,
+      reading: 0,
+      finished: 0,
+      abandoned: 0,
+      totalSessions: 0,
+      totalMinutes: 0,
+    }
+  );
+};
+
+/**
+ * Create the stored record for a book in a child's library
+ * @param {string} childId - Child ID
+ * @param {Object} book - { title, author }
+ * @returns {Object} - New book record with reading status
+ */
+export const createLibraryBookRecord = (childId, { title, author }) => {
+  const key = getBookKey(title, author);
+  const now = new Date().toISOString();
+  return {
+    id: getLibraryBookId(childId, key),
+    childId,
+    key,
+    title: String(title || '').trim(),
+    author: String(author || '').trim(),
+    status: BOOK_STATUSES.READING,
+    rating: null,
+    finishedDates: [],
+    statusUpdatedAt: now,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Check a stored book record
+ * @param {Object} record - Book record
+ * @returns {Object} - { valid, errors }
+ */
+export const validateLibraryBookRecord = (record) => {
+  const errors = [];
+
+  if (!record || typeof record !== 'object') {
+    return { valid: false, errors: ['Book must be an object'] };
+  }
+
+  if (!record.childId) {
+    errors.push('Book must belong to a child');
+  }
+
+  if (!getBookKey(record.title, record.author)) {
+    errors.push('Book title is required');
+  }
+
+  if (!Object.values(BOOK_STATUSES).includes(record.status)) {
+    errors.push(`Book status must be one of: ${Object.values(BOOK_STATUSES).join(', ')}`);
+  }
+
+  if (
+    record.rating !== null &&
+    record.rating !== undefined &&
+    (!Number.isInteger(record.rating) || record.rating < 1 || record.rating > MAX_BOOK_RATING)
+  ) {
+    errors.push(`Rating must be a whole number from 1 to ${MAX_BOOK_RATING}`);
+  }
+
+  if (
+    record.finishedDates !== undefined &&
+    (!Array.isArray(record.finishedDates) ||
+      record.finishedDates.some((date) => isNaN(new Date(date).getTime())))
+  ) {
+    errors.push('Finished dates must be valid dates');
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Format minutes of reading for display
+ * @param {number} minutes - Whole minutes
+ * @returns {string} - e.g. '45 min' or '2h 5m'
+ */
+export const formatReadingTime = (minutes) => {
+  if (!minutes || minutes < 60) {
+    return `${minutes || 0} min`;
+  }
+  const hours = Math.floor(minutes / 60);
+  const remainingMinutes = minutes % 60;
+  return remainingMinutes > 0 ? `${hours}h ${remainingMinutes}m` : `${hours}h`;
+};
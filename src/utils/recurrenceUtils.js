@@ -0,0 +1,638 @@
+/**
+ * Utility functions for recurring calendar events
+ *
+ * A recurring event is stored once with a `recurrence` rule and expanded into
+ * individual occurrences when it is read for a date range. Rules use the shape:
+ *
+ * {
+ *   frequency: 'daily' | 'weekly' | 'monthly' | 'lunarYearly',
+ *   interval: 1,                       // every N days/weeks/months/years
+ *   byWeekday: [1, 3],                 // weekly only, 0 = Sunday
+ *   monthlyMode: 'dayOfMonth' | 'nthWeekday', // monthly only
+ *   until: 'YYYY-MM-DD' | null,        // last possible occurrence date
+ *   count: number | null,              // total number of occurrences
+ *   exceptionDates: ['YYYY-MM-DD'],    // skipped occurrence dates
+ * }
+ *
+ * A 'lunarYearly' rule repeats on the Chinese lunar month and day of the start
+ * date, e.g. a grandparent's lunar birthday, so its Gregorian date moves each year.
+ *
+ * Dates of a timed series, including its weekdays and exception dates, are
+ * calendar dates in the event's own time zone, so the series lands on the same
+ * days whatever zone the device is in.
+ */
+
+import { formatLocalDateString, parseLocalDateString } from './dateUtils';
+import {
+  LUNAR_MAX_YEAR,
+  formatLunarDate,
+  lunarToSolar,
+  solarToLunar,
+} from './lunarCalendarUtils';
+import { formatZonedDateString, getEventTimeZone, shiftZonedDays } from './timeZoneUtils';
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'lunarYearly'];
+
+export const MONTHLY_MODES = ['dayOfMonth', 'nthWeekday'];
+
+// Safety limit so a malformed rule can never loop forever
+const MAX_GENERATED_OCCURRENCES = 5000;
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ORDINAL_LABELS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Check if an event carries a recurrence rule
+ * @param {Object} event - Event to check
+ * @returns {boolean} - True if the event is a recurring series
+ */
+export const isRecurringEvent = (event) => {
+  return !!(
+    event &&
+    event.recurrence &&
+    typeof event.recurrence === 'object' &&
+    RECURRENCE_FREQUENCIES.includes(event.recurrence.frequency)
+  );
+};
+
+/**
+ * Check if an event is an expanded occurrence of a recurring series
+ * @param {Object} event - Event to check
+ * @returns {boolean} - True if the event was generated from a series
+ */
+export const isRecurringOccurrence = (event) => {
+  return !!(event && event.isRecurringOccurrence === true && event.recurringEventId);
+};
+
+/**
+ * Get the start date string (YYYY-MM-DD) of an event
+ * Timed events use the date in the event's own time zone.
+ * @param {Object} event - All-day or timed event
+ * @returns {string|null} - Start date string
+ */
+export const getEventStartDateString = (event) => {
+  if (!event) return null;
+  if (event.isAllDay) {
+    return event.startDate || null;
+  }
+  if (!event.startDateTime) return null;
+  return formatZonedDateString(new Date(event.startDateTime), getEventTimeZone(event));
+};
+
+/**
+ * Add a number of days to a YYYY-MM-DD string
+ * @param {string} dateString - Date string in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - Shifted date string
+ */
+export const addDaysToDateString = (dateString, days) => {
+  const date = parseLocalDateString(dateString);
+  date.setDate(date.getDate() + days);
+  return formatLocalDateString(date);
+};
+
+/**
+ * Move a recurrence rule by whole days, for a series whose start moves by that many days
+ * Weekdays, the end date and skipped dates move with it. Monthly and lunar rules
+ * take their day from the series start, so they follow it without changes.
+ * @param {Object} rule - Recurrence rule
+ * @param {number} days - Days to move (may be negative)
+ * @returns {Object} - Shifted rule
+ */
+export const shiftRecurrenceRule = (rule, days) => {
+  if (!rule || !days) return rule;
+
+  const shifted = { ...rule };
+  if (Array.isArray(rule.byWeekday)) {
+    shifted.byWeekday = [...new Set(rule.byWeekday.map((day) => (((Number(day) + days) % 7) + 7) % 7))]
+      .sort((a, b) => a - b);
+  }
+  if (rule.until) {
+    shifted.until = addDaysToDateString(rule.until, days);
+  }
+  if (Array.isArray(rule.exceptionDates)) {
+    shifted.exceptionDates = rule.exceptionDates.map((date) => addDaysToDateString(date, days));
+  }
+  return shifted;
+};
+
+/**
+ * Number of whole days between two YYYY-MM-DD strings
+ * @param {string} fromDateString - Earlier date
+ * @param {string} toDateString - Later date
+ * @returns {number} - Day difference
+ */
+const daysBetween = (fromDateString, toDateString) => {
+  const from = parseLocalDateString(fromDateString);
+  const to = parseLocalDateString(toDateString);
+  return Math.round((to - from) / MS_PER_DAY);
+};
+
+/**
+ * Get the nth weekday position of a date within its month
+ * Returns -1 for a fifth weekday so the rule keeps meaning "last"
+ * @param {Date} date - Date to inspect
+ * @returns {number} - 1-4 or -1 for "last"
+ */
+export const getNthWeekdayOfMonth = (date) => {
+  const nth = Math.ceil(date.getDate() / 7);
+  return nth >= 5 ? -1 : nth;
+};
+
+/**
+ * Find the date of the nth weekday in a month
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {number} weekday - Weekday (0 = Sunday)
+ * @param {number} nth - 1-4, or -1 for the last occurrence
+ * @returns {Date|null} - Matching date or null if it does not exist
+ */
+const getNthWeekdayDate = (year, month, weekday, nth) => {
+  if (nth === -1) {
+    const lastDay = new Date(year, month + 1, 0);
+    const offset = (lastDay.getDay() - weekday + 7) % 7;
+    return new Date(year, month, lastDay.getDate() - offset);
+  }
+
+  const firstDay = new Date(year, month, 1);
+  const offset = (weekday - firstDay.getDay() + 7) % 7;
+  const day = 1 + offset + (nth - 1) * 7;
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  return day <= daysInMonth ? new Date(year, month, day) : null;
+};
+
+/**
+ * Normalize a recurrence rule, applying defaults derived from the series start date
+ * @param {Object} rule - Raw recurrence rule
+ * @param {string} startDateString - Series start date (YYYY-MM-DD)
+ * @returns {Object|null} - Normalized rule or null if invalid
+ */
+export const normalizeRecurrenceRule = (rule, startDateString) => {
+  if (!rule || !RECURRENCE_FREQUENCIES.includes(rule.frequency)) {
+    return null;
+  }
+
+  const startDate = startDateString ? parseLocalDateString(startDateString) : new Date();
+  const interval = Math.max(1, parseInt(rule.interval, 10) || 1);
+
+  const normalized = {
+    frequency: rule.frequency,
+    interval,
+    until: rule.until || null,
+    count: rule.count ? Math.max(1, parseInt(rule.count, 10)) : null,
+    exceptionDates: Array.isArray(rule.exceptionDates) ? [...new Set(rule.exceptionDates)].sort() : [],
+  };
+
+  if (rule.frequency === 'weekly') {
+    const weekdays = Array.isArray(rule.byWeekday) && rule.byWeekday.length > 0
+      ? rule.byWeekday
+      : [startDate.getDay()];
+    normalized.byWeekday = [...new Set(weekdays.map(Number))]
+      .filter((day) => day >= 0 && day <= 6)
+      .sort((a, b) => a - b);
+  }
+
+  if (rule.frequency === 'monthly') {
+    normalized.monthlyMode = MONTHLY_MODES.includes(rule.monthlyMode) ? rule.monthlyMode : 'dayOfMonth';
+  }
+
+  return normalized;
+};
+
+/**
+ * Validate a recurrence rule
+ * @param {Object} rule - Recurrence rule to validate
+ * @param {string} startDateString - Series start date (YYYY-MM-DD)
+ * @returns {Object} - { valid, errors }
+ */
+export const validateRecurrenceRule = (rule, startDateString = null) => {
+  const errors = [];
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+  if (!rule || typeof rule !== 'object') {
+    errors.push('Recurrence rule must be an object');
+    return { valid: false, errors };
+  }
+
+  if (!RECURRENCE_FREQUENCIES.includes(rule.frequency)) {
+    errors.push(`Recurrence frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`);
+  }
+
+  if (rule.interval !== undefined && (!Number.isInteger(Number(rule.interval)) || Number(rule.interval) < 1 || Number(rule.interval) > 99)) {
+    errors.push('Recurrence interval must be a whole number between 1 and 99');
+  }
+
+  if (rule.frequency === 'weekly' && rule.byWeekday !== undefined) {
+    if (!Array.isArray(rule.byWeekday) || rule.byWeekday.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+      errors.push('Weekly recurrence weekdays must be numbers between 0 (Sunday) and 6 (Saturday)');
+    }
+  }
+
+  if (rule.frequency === 'monthly' && rule.monthlyMode !== undefined && !MONTHLY_MODES.includes(rule.monthlyMode)) {
+    errors.push(`Monthly recurrence mode must be one of: ${MONTHLY_MODES.join(', ')}`);
+  }
+
+  if (rule.frequency === 'lunarYearly' && startDateString && !solarToLunar(startDateString)) {
+    errors.push('Lunar recurrence is only available for dates between 1900 and 2100');
+  }
+
+  if (rule.until) {
+    if (!dateRegex.test(rule.until)) {
+      errors.push('Recurrence end date must be in YYYY-MM-DD format');
+    } else if (startDateString && rule.until < startDateString) {
+      errors.push('Recurrence end date must be on or after the event start date');
+    }
+  }
+
+  if (rule.count !== undefined && rule.count !== null) {
+    if (!Number.isInteger(Number(rule.count)) || Number(rule.count) < 1 || Number(rule.count) > 999) {
+      errors.push('Recurrence count must be a whole number between 1 and 999');
+    }
+  }
+
+  if (rule.until && rule.count) {
+    errors.push('Recurrence can end on a date or after a count, not both');
+  }
+
+  if (rule.exceptionDates !== undefined) {
+    if (!Array.isArray(rule.exceptionDates) || rule.exceptionDates.some((date) => !dateRegex.test(date))) {
+      errors.push('Recurrence exception dates must be YYYY-MM-DD strings');
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Generate the occurrence dates of a rule in chronological order
+ * Exception dates are counted towards `count` (as in RFC 5545) but not returned.
+ * @param {Object} rule - Recurrence rule
+ * @param {string} startDateString - Series start date (YYYY-MM-DD)
+ * @param {string} rangeStartString - First date of interest (YYYY-MM-DD)
+ * @param {string} rangeEndString - Last date of interest (YYYY-MM-DD)
+ * @returns {string[]} - Occurrence date strings within the range
+ */
+export const getRecurrenceDates = (rule, startDateString, rangeStartString, rangeEndString) => {
+  const normalized = normalizeRecurrenceRule(rule, startDateString);
+  if (!normalized || !startDateString) {
+    return [];
+  }
+
+  const startDate = parseLocalDateString(startDateString);
+  const exceptions = new Set(normalized.exceptionDates);
+  const results = [];
+  let generated = 0;
+
+  // Returns false once generation should stop
+  const visit = (dateString) => {
+    if (dateString < startDateString) return true;
+    if (normalized.until && dateString > normalized.until) return false;
+    if (normalized.count && generated >= normalized.count) return false;
+    if (dateString > rangeEndString) return false;
+
+    generated++;
+    if (dateString >= rangeStartString && !exceptions.has(dateString)) {
+      results.push(dateString);
+    }
+    return generated < MAX_GENERATED_OCCURRENCES;
+  };
+
+  if (normalized.frequency === 'daily') {
+    // Jump close to the range when no count has to be tracked
+    let index = 0;
+    if (!normalized.count && rangeStartString > startDateString) {
+      index = Math.floor(daysBetween(startDateString, rangeStartString) / normalized.interval);
+    }
+    for (; ; index++) {
+      if (!visit(addDaysToDateString(startDateString, index * normalized.interval))) break;
+    }
+  } else if (normalized.frequency === 'weekly') {
+    const firstWeekStart = new Date(startDate);
+    firstWeekStart.setDate(startDate.getDate() - startDate.getDay());
+    const firstWeekStartString = formatLocalDateString(firstWeekStart);
+
+    let weekIndex = 0;
+    if (!normalized.count && rangeStartString > startDateString) {
+      weekIndex = Math.floor(daysBetween(firstWeekStartString, rangeStartString) / (7 * normalized.interval));
+    }
+    let keepGoing = true;
+    for (; keepGoing; weekIndex++) {
+      const weekStartString = addDaysToDateString(firstWeekStartString, weekIndex * 7 * normalized.interval);
+      for (const weekday of normalized.byWeekday) {
+        if (!visit(addDaysToDateString(weekStartString, weekday))) {
+          keepGoing = false;
+          break;
+        }
+      }
+    }
+  } else if (normalized.frequency === 'monthly') {
+    const weekday = startDate.getDay();
+    const nth = getNthWeekdayOfMonth(startDate);
+
+    for (let monthIndex = 0; ; monthIndex += normalized.interval) {
+      const year = startDate.getFullYear() + Math.floor((startDate.getMonth() + monthIndex) / 12);
+      const month = (startDate.getMonth() + monthIndex) % 12;
+      const firstOfMonthString = formatLocalDateString(new Date(year, month, 1));
+
+      // Stop once whole months fall past the range or end date
+      if (firstOfMonthString > rangeEndString) break;
+      if (normalized.until && firstOfMonthString > normalized.until) break;
+
+      let occurrence = null;
+      if (normalized.monthlyMode === 'nthWeekday') {
+        occurrence = getNthWeekdayDate(year, month, weekday, nth);
+      } else {
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        // Months without this day (e.g. the 31st) are skipped
+        if (startDate.getDate() <= daysInMonth) {
+          occurrence = new Date(year, month, startDate.getDate());
+        }
+      }
+
+      if (occurrence && !visit(formatLocalDateString(occurrence))) break;
+    }
+  } else if (normalized.frequency === 'lunarYearly') {
+    const lunarStart = solarToLunar(startDateString);
+
+    if (lunarStart) {
+      for (let year = lunarStart.year; year <= LUNAR_MAX_YEAR; year += normalized.interval) {
+        // Most years have no leap month, so a date in one falls back to the regular month
+        const occurrence =
+          lunarToSolar(year, lunarStart.month, lunarStart.day, lunarStart.isLeapMonth) ||
+          lunarToSolar(year, lunarStart.month, lunarStart.day);
+
+        if (!occurrence || !visit(occurrence)) break;
+      }
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Build a single occurrence of a recurring series for a given date
+ * @param {Object} event - Recurring series event
+ * @param {string} occurrenceDateString - Occurrence date (YYYY-MM-DD)
+ * @returns {Object} - Occurrence event object
+ */
+export const buildOccurrence = (event, occurrenceDateString) => {
+  const seriesStartString = getEventStartDateString(event);
+  const dayOffset = daysBetween(seriesStartString, occurrenceDateString);
+
+  const occurrence = {
+    ...event,
+    id: `${event.id}_${occurrenceDateString}`,
+    recurringEventId: event.id,
+    occurrenceDate: occurrenceDateString,
+    isRecurringOccurrence: true,
+  };
+
+  if (event.isAllDay) {
+    occurrence.startDate = occurrenceDateString;
+    occurrence.endDate = event.endDate
+      ? addDaysToDateString(event.endDate, dayOffset)
+      : occurrenceDateString;
+  } else {
+    // Shift in calendar days of the event's own zone so the wall-clock time is
+    // kept across DST changes
+    const timeZone = getEventTimeZone(event);
+    occurrence.startDateTime = shiftZonedDays(new Date(event.startDateTime), dayOffset, timeZone).toISOString();
+    occurrence.endDateTime = shiftZonedDays(new Date(event.endDateTime), dayOffset, timeZone).toISOString();
+  }
+
+  return occurrence;
+};
+
+/**
+ * Expand a recurring event into the occurrences that touch a date range
+ * @param {Object} event - Recurring series event
+ * @param {Date} rangeStart - Start of range
+ * @param {Date} rangeEnd - End of range
+ * @returns {Object[]} - Occurrence event objects
+ */
+export const expandRecurringEvent = (event, rangeStart, rangeEnd) => {
+  if (!isRecurringEvent(event)) {
+    return [event];
+  }
+
+  const seriesStartString = getEventStartDateString(event);
+  if (!seriesStartString) {
+    return [];
+  }
+
+  // Occurrences that start before the range can still overlap it
+  const timeZone = getEventTimeZone(event);
+  const seriesEndString = event.isAllDay
+    ? event.endDate || event.startDate
+    : event.endDateTime
+    ? formatZonedDateString(new Date(event.endDateTime), timeZone)
+    : seriesStartString;
+  const spanDays = Math.max(0, daysBetween(seriesStartString, seriesEndString));
+
+  // The range covers whole device days, which for a timed series are matched
+  // against the days they fall on in the event's zone
+  let rangeStartString = formatLocalDateString(rangeStart);
+  let rangeEndString = formatLocalDateString(rangeEnd);
+  if (!event.isAllDay) {
+    const rangeEndOfDay = parseLocalDateString(rangeEndString);
+    rangeEndOfDay.setHours(23, 59, 59, 999);
+    rangeStartString = formatZonedDateString(parseLocalDateString(rangeStartString), timeZone);
+    rangeEndString = formatZonedDateString(rangeEndOfDay, timeZone);
+  }
+  rangeStartString = addDaysToDateString(rangeStartString, -spanDays);
+
+  return getRecurrenceDates(event.recurrence, seriesStartString, rangeStartString, rangeEndString)
+    .map((dateString) => buildOccurrence(event, dateString));
+};
+
+/**
+ * Expand every recurring event in a list for a date range, leaving other events untouched
+ * @param {Object[]} events - Stored events
+ * @param {Date} rangeStart - Start of range
+ * @param {Date} rangeEnd - End of range
+ * @returns {Object[]} - Events with recurring series replaced by their occurrences
+ */
+export const expandEventsInRange = (events, rangeStart, rangeEnd) => {
+  if (!Array.isArray(events)) {
+    return [];
+  }
+
+  const expanded = [];
+  events.forEach((event) => {
+    if (isRecurringEvent(event)) {
+      expanded.push(...expandRecurringEvent(event, rangeStart, rangeEnd));
+    } else {
+      expanded.push(event);
+    }
+  });
+  return expanded;
+};
+
+/**
+ * Get the next occurrences of a recurring event from a point in time
+ * @param {Object} event - Recurring series event
+ * @param {Date} fromDate - Earliest date to include
+ * @param {number} limit - Maximum occurrences to return
+ * @param {number} horizonDays - How far ahead to look
+ * @returns {Object[]} - Upcoming occurrence event objects
+ */
+export const getUpcomingOccurrences = (event, fromDate = new Date(), limit = 10, horizonDays = 366) => {
+  const horizon = new Date(fromDate);
+  horizon.setDate(horizon.getDate() + horizonDays);
+  return expandRecurringEvent(event, fromDate, horizon).slice(0, limit);
+};
+
+/**
+ * Convert a recurrence rule to an RFC 5545 RRULE value (without the "RRULE:" prefix)
+ * @param {Object} rule - Recurrence rule
+ * @param {string} startDateString - Series start date (YYYY-MM-DD)
+ * @returns {string|null} - RRULE value, e.g. "FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,WE"
+ */
+export const toRRuleString = (rule, startDateString) => {
+  const normalized = normalizeRecurrenceRule(rule, startDateString);
+  if (!normalized) return null;
+
+  // Lunar dates use the Chinese calendar scale from RFC 7529
+  const lunarStart = normalized.frequency === 'lunarYearly' ? solarToLunar(startDateString) : null;
+  if (normalized.frequency === 'lunarYearly' && !lunarStart) return null;
+
+  const parts = lunarStart
+    ? ['RSCALE=CHINESE', 'FREQ=YEARLY', `INTERVAL=${normalized.interval}`]
+    : [`FREQ=${normalized.frequency.toUpperCase()}`, `INTERVAL=${normalized.interval}`];
+
+  if (lunarStart) {
+    // SKIP=BACKWARD matches how missing leap months and 30th days are resolved
+    parts.push(`BYMONTH=${lunarStart.month}${lunarStart.isLeapMonth ? 'L' : ''}`);
+    parts.push(`BYMONTHDAY=${lunarStart.day}`, 'SKIP=BACKWARD');
+  }
+
+  if (normalized.frequency === 'weekly') {
+    parts.push(`BYDAY=${normalized.byWeekday.map((day) => WEEKDAY_CODES[day]).join(',')}`);
+  }
+
+  if (normalized.frequency === 'monthly') {
+    const startDate = parseLocalDateString(startDateString);
+    if (normalized.monthlyMode === 'nthWeekday') {
+      parts.push(`BYDAY=${getNthWeekdayOfMonth(startDate)}${WEEKDAY_CODES[startDate.getDay()]}`);
+    } else {
+      parts.push(`BYMONTHDAY=${startDate.getDate()}`);
+    }
+  }
+
+  if (normalized.until) {
+    parts.push(`UNTIL=${normalized.until.replace(/-/g, '')}`);
+  } else if (normalized.count) {
+    parts.push(`COUNT=${normalized.count}`);
+  }
+
+  return parts.join(';');
+};
+
+/**
+ * Parse an RFC 5545 RRULE value into a recurrence rule
+ * Only the subset the app can represent is supported; anything else returns null.
+ * @param {string} rruleString - RRULE value, with or without the "RRULE:" prefix
+ * @returns {Object|null} - Recurrence rule or null if unsupported
+ */
+export const parseRRuleString = (rruleString) => {
+  if (!rruleString || typeof rruleString !== 'string') return null;
+
+  const params = {};
+  rruleString
+    .replace(/^RRULE:/i, '')
+    .split(';')
+    .forEach((part) => {
+      const [key, value] = part.split('=');
+      if (key && value) params[key.trim().toUpperCase()] = value.trim().toUpperCase();
+    });
+
+  let frequency = (params.FREQ || '').toLowerCase();
+  if (params.RSCALE && params.RSCALE !== 'GREGORIAN') {
+    // The lunar month and day come from DTSTART, as for our own exports
+    if (params.RSCALE !== 'CHINESE' || frequency !== 'yearly') return null;
+    frequency = 'lunarYearly';
+  }
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) return null;
+
+  const rule = {
+    frequency,
+    interval: parseInt(params.INTERVAL, 10) || 1,
+    until: null,
+    count: params.COUNT ? parseInt(params.COUNT, 10) : null,
+    exceptionDates: [],
+  };
+
+  if (params.UNTIL) {
+    const match = params.UNTIL.match(/^(\d{4})(\d{2})(\d{2})/);
+    if (match) rule.until = `${match[1]}-${match[2]}-${match[3]}`;
+  }
+
+  if (frequency === 'weekly' && params.BYDAY) {
+    rule.byWeekday = params.BYDAY.split(',')
+      .map((code) => WEEKDAY_CODES.indexOf(code.replace(/^[+-]?\d+/, '')))
+      .filter((day) => day >= 0);
+  }
+
+  if (frequency === 'monthly') {
+    rule.monthlyMode = params.BYDAY && /^[+-]?\d/.test(params.BYDAY) ? 'nthWeekday' : 'dayOfMonth';
+  }
+
+  return rule;
+};
+
+/**
+ * Describe a recurrence rule in plain English for display
+ * @param {Object} rule - Recurrence rule
+ * @param {string} startDateString - Series start date (YYYY-MM-DD)
+ * @returns {string} - Human readable description, e.g. "Every 2 weeks on Mon, Wed"
+ */
+export const describeRecurrence = (rule, startDateString) => {
+  const normalized = normalizeRecurrenceRule(rule, startDateString);
+  if (!normalized) return 'Does not repeat';
+
+  const unitLabels = { daily: 'day', weekly: 'week', monthly: 'month', lunarYearly: 'year' };
+  const unit = unitLabels[normalized.frequency];
+  let description = normalized.interval === 1
+    ? `Every ${unit}`
+    : `Every ${normalized.interval} ${unit}s`;
+
+  if (normalized.frequency === 'weekly') {
+    description += ` on ${normalized.byWeekday.map((day) => WEEKDAY_LABELS[day]).join(', ')}`;
+  }
+
+  if (normalized.frequency === 'monthly' && startDateString) {
+    const startDate = parseLocalDateString(startDateString);
+    if (normalized.monthlyMode === 'nthWeekday') {
+      const nth = getNthWeekdayOfMonth(startDate);
+      description += ` on the ${ORDINAL_LABELS[nth]} ${WEEKDAY_LABELS[startDate.getDay()]}`;
+    } else {
+      description += ` on day ${startDate.getDate()}`;
+    }
+  }
+
+  if (normalized.frequency === 'lunarYearly' && startDateString) {
+    const lunarStart = solarToLunar(startDateString);
+    if (lunarStart) {
+      description += ` on ${formatLunarDate(lunarStart)} (lunar)`;
+    }
+  }
+
+  if (normalized.until) {
+    const untilDate = parseLocalDateString(normalized.until);
+    description += ` until ${untilDate.toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    })}`;
+  } else if (normalized.count) {
+    description += `, ${normalized.count} times`;
+  }
+
+  return description;
+};
@@ -0,0 +1,234 @@
+/**
+ * Utility functions for the recycle bin
+ *
+ * Deleting an event, activity or child keeps a copy of it in the recycle bin
+ * for 30 days so it can be restored. Each bin entry is also a tombstone: it
+ * records whether the item is still deleted, was restored or was purged, so
+ * the change can be synced to the user's other devices.
+ */
+
+import { parseLocalDateString } from './dateUtils';
+
+export const RECYCLE_BIN_ITEM_TYPES = {
+  EVENT: 'event',
+  ACTIVITY: 'activity',
+  CHILD: 'child',
+};
+
+export const RECYCLE_BIN_STATUS = {
+  DELETED: 'deleted',
+  RESTORED: 'restored',
+  PURGED: 'purged',
+};
+
+// Days deleted items are kept before they are purged
+export const RECYCLE_BIN_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Section titles for each item type, in the order they are listed
+export const RECYCLE_BIN_SECTIONS = [
+  { type: RECYCLE_BIN_ITEM_TYPES.EVENT, title: 'Events', icon: 'calendar-outline' },
+  { type: RECYCLE_BIN_ITEM_TYPES.ACTIVITY, title: 'Family Time Activities', icon: 'people-outline' },
+  { type: RECYCLE_BIN_ITEM_TYPES.CHILD, title: 'Children', icon: 'person-outline' },
+];
+
+/**
+ * Get the ID of a stored item, whichever backend it came from
+ * @param {Object} item - Event, activity or child
+ * @returns {string|null}
+ */
+export const getRecycleBinItemId = (item) =>
+  item?.id || item?.eventId || item?.activityId || item?.childId || null;
+
+/**
+ * Get the recycle bin entry ID for an item
+ * @param {string} type - RECYCLE_BIN_ITEM_TYPES value
+ * @param {string} itemId - Item ID
+ * @returns {string} - e.g. "event_123"
+ */
+export const getRecycleBinEntryId = (type, itemId) => `${type}_${itemId}`;
+
+/**
+ * Get the name shown for a deleted item
+ * @param {string} type - RECYCLE_BIN_ITEM_TYPES value
+ * @param {Object} item - Event, activity or child
+ * @returns {string}
+ */
+export const getRecycleBinItemTitle = (type, item) => {
+  if (type === RECYCLE_BIN_ITEM_TYPES.CHILD) {
+    const name = item?.nickname || item?.firstName || '';
+    return name.trim() || 'Child profile';
+  }
+  return item?.title?.trim() || (type === RECYCLE_BIN_ITEM_TYPES.EVENT ? 'Untitled event' : 'Untitled activity');
+};
+
+/**
+ * Create the recycle bin entry for deleted items
+ * The first item is the one the entry is named after; the rest were deleted
+ * with it, such as the detached occurrences of a recurring series.
+ *
+ * A delete that only changes some of the items, such as skipping one
+ * occurrence of a series, keeps them as they were before the change and lists
+ * the ones actually removed in `removedItemIds`. Restoring puts every item back
+ * as it was, which reverts the change. Such entries get their own `itemId` so
+ * they don't replace the entry of a later delete of the whole series.
+ * @param {string} type - RECYCLE_BIN_ITEM_TYPES value
+ * @param {Array} items - Deleted items, or changed items as they were before the delete
+ * @param {Date} now - Deletion time
+ * @param {Object} options - Options
+ * @param {string} [options.itemId] - ID the entry is found by, if not the first item's
+ * @param {string} [options.title] - Name shown for the entry, if not the first item's
+ * @param {string[]} [options.removedItemIds] - IDs of the items removed from storage, if not all of them
+ * @returns {Object} - { entryId, type, itemId, title, items, status, deletedAt, changedAt, removedItemIds? }
+ */
+export const createRecycleBinEntry = (type, items, now = new Date(), options = {}) => {
+  const itemId = options.itemId || getRecycleBinItemId(items[0]);
+  const timestamp = now.toISOString();
+
+  return {
+    entryId: getRecycleBinEntryId(type, itemId),
+    type,
+    itemId,
+    title: options.title || getRecycleBinItemTitle(type, items[0]),
+    items,
+    status: RECYCLE_BIN_STATUS.DELETED,
+    deletedAt: timestamp,
+    changedAt: timestamp,
+    ...(options.removedItemIds ? { removedItemIds: options.removedItemIds } : {}),
+  };
+};
+
+/**
+ * Get the ID the bin entry for deleting occurrences of a recurring series is found by
+ * @param {string} seriesId - Recurring series ID
+ * @param {string} occurrenceDate - Occurrence date (YYYY-MM-DD)
+ * @param {boolean} following - True if the occurrences after it were deleted too
+ * @returns {string} - e.g. "123_2026-01-12" or "123_2026-01-12_onwards"
+ */
+export const getRecurringDeleteItemId = (seriesId, occurrenceDate, following = false) =>
+  `${seriesId}_${occurrenceDate}${following ? '_onwards' : ''}`;
+
+/**
+ * Get the addEntry options for deleting occurrences of a recurring series
+ * The entry keeps the series as it was before the delete, so restoring it
+ * brings the occurrences back.
+ * @param {Object} series - Recurring series, as stored before the delete
+ * @param {string} occurrenceDate - Occurrence date (YYYY-MM-DD)
+ * @param {boolean} following - True if the occurrences after it were deleted too
+ * @param {string[]} removedItemIds - IDs of detached occurrences deleted with it
+ * @returns {Object} - { itemId, title, removedItemIds }
+ */
+export const getRecurringDeleteEntryOptions = (
+  series,
+  occurrenceDate,
+  following = false,
+  removedItemIds = []
+) => {
+  const dateLabel = parseLocalDateString(occurrenceDate).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+  });
+
+  return {
+    itemId: getRecurringDeleteItemId(getRecycleBinItemId(series), occurrenceDate, following),
+    title: `${getRecycleBinItemTitle(RECYCLE_BIN_ITEM_TYPES.EVENT, series)} (${dateLabel}${
+      following ? ' onwards' : ''
+    })`,
+    removedItemIds,
+  };
+};
+
+/**
+ * Get the IDs of the items a delete removed from storage
+ * @param {Object} entry - Recycle bin entry
+ * @returns {string[]}
+ */
+export const getRecycleBinRemovedItemIds = (entry) =>
+  Array.isArray(entry.removedItemIds)
+    ? entry.removedItemIds
+    : entry.items.map(getRecycleBinItemId).filter(Boolean);
+
+/**
+ * Get when an entry is purged for good
+ * @param {Object} entry - Recycle bin entry
+ * @returns {Date}
+ */
+export const getRecycleBinExpiryDate = (entry) =>
+  new Date(new Date(entry.deletedAt).getTime() + RECYCLE_BIN_RETENTION_DAYS * DAY_MS);
+
+/**
+ * Check whether an entry is past its retention period
+ * @param {Object} entry - Recycle bin entry
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export const isRecycleBinEntryExpired = (entry, now = new Date()) =>
+  getRecycleBinExpiryDate(entry) <= now;
+
+/**
+ * Get the whole days left before an entry is purged
+ * @param {Object} entry - Recycle bin entry
+ * @param {Date} now - Current time
+ * @returns {number}
+ */
+export const getDaysUntilPurge = (entry, now = new Date()) =>
+  Math.max(0, Math.ceil((getRecycleBinExpiryDate(entry) - now) / DAY_MS));
+
+/**
+ * Check whether an entry's items are still in the bin
+ * @param {Object} entry - Recycle bin entry
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export const isRecycleBinEntryActive = (entry, now = new Date()) =>
+  entry.status === RECYCLE_BIN_STATUS.DELETED && !isRecycleBinEntryExpired(entry, now);
+
+/**
+ * Merge the entries of this device with the synced ones, keeping the latest change of each
+ * @param {Array} localEntries - Entries stored on this device
+ * @param {Array} remoteEntries - Entries from the server
+ * @returns {Object} - { entries, changedEntries, entriesToPush }: merged entries, the
+ *   remote changes this device hadn't seen, and the local changes the server hasn't seen
+ */
+export const mergeRecycleBinEntries = (localEntries = [], remoteEntries = []) => {
+  const merged = new Map(localEntries.map((entry) => [entry.entryId, entry]));
+  const remoteIds = new Set();
+  const changedEntries = [];
+  const entriesToPush = [];
+
+  remoteEntries.forEach((remoteEntry) => {
+    remoteIds.add(remoteEntry.entryId);
+    const localEntry = merged.get(remoteEntry.entryId);
+
+    if (!localEntry || new Date(remoteEntry.changedAt) > new Date(localEntry.changedAt)) {
+      merged.set(remoteEntry.entryId, remoteEntry);
+      changedEntries.push(remoteEntry);
+    } else if (new Date(localEntry.changedAt) > new Date(remoteEntry.changedAt)) {
+      entriesToPush.push(localEntry);
+    }
+  });
+
+  localEntries.forEach((entry) => {
+    if (!remoteIds.has(entry.entryId)) {
+      entriesToPush.push(entry);
+    }
+  });
+
+  return { entries: [...merged.values()], changedEntries, entriesToPush };
+};
+
+/**
+ * Group active entries into sections by item type, newest first
+ * @param {Array} entries - Recycle bin entries
+ * @returns {Array} - [{ type, title, icon, data }] for a SectionList
+ */
+export const groupRecycleBinEntries = (entries) =>
+  RECYCLE_BIN_SECTIONS
+    .map((section) => ({
+      ...section,
+      data: entries
+        .filter((entry) => entry.type === section.type)
+        .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt)),
+    }))
+    .filter((section) => section.data.length > 0);
@@ -0,0 +1,393 @@
+/**
+ * Utility functions for school years
+ *
+ * A school year belongs to one child and records the first and last day of
+ * school, the terms, and the breaks (half terms and holidays) within it. It
+ * answers "is this a school day for this child?" for the calendar and any
+ * other feature that needs it.
+ */
+
+import { formatLocalDateString, parseLocalDateString } from './dateUtils';
+import { addDaysToDateString } from './recurrenceUtils';
+
+export const SCHOOL_BREAK_TYPES = {
+  HALF_TERM: 'half_term',
+  HOLIDAY: 'holiday',
+};
+
+export const SCHOOL_BREAK_TYPE_LABELS = {
+  [SCHOOL_BREAK_TYPES.HALF_TERM]: 'Half term',
+  [SCHOOL_BREAK_TYPES.HOLIDAY]: 'Holiday',
+};
+
+export const SCHOOL_DAY_REASONS = {
+  TERM: 'term',
+  WEEKEND: 'weekend',
+  BREAK: 'break',
+  BETWEEN_TERMS: 'between_terms',
+  BETWEEN_YEARS: 'between_years',
+  UNKNOWN: 'unknown',
+};
+
+// Months from August belong to the academic year starting that calendar year,
+// the same split TextractService uses when reading timetables
+const ACADEMIC_YEAR_START_MONTH = 8;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidDateString = (dateString) =>
+  typeof dateString === 'string' &&
+  DATE_REGEX.test(dateString) &&
+  formatLocalDateString(parseLocalDateString(dateString)) === dateString;
+
+const toDateString = (date) => (typeof date === 'string' ? date : formatLocalDateString(date));
+
+const isDateInRange = (dateString, range) =>
+  dateString >= range.startDate && dateString <= range.endDate;
+
+const byStartDate = (a, b) => a.startDate.localeCompare(b.startDate);
+
+/**
+ * Get the academic year a date falls in
+ * @param {Date|string} date - Date
+ * @returns {Object} - { startYear, endYear }
+ */
+export const getAcademicYearForDate = (date) => {
+  const day = typeof date === 'string' ? parseLocalDateString(date) : date;
+  const year = day.getFullYear();
+  const startYear = day.getMonth() + 1 >= ACADEMIC_YEAR_START_MONTH ? year : year - 1;
+  return { startYear, endYear: startYear + 1 };
+};
+
+/**
+ * Get the display label of an academic year, e.g. "2025-2026"
+ * @param {Object} academicYear - { startYear, endYear }
+ * @returns {string}
+ */
+export const getAcademicYearLabel = ({ startYear, endYear }) => `${startYear}-${endYear}`;
+
+/**
+ * Get the ID of a child's school year, so each child has at most one per academic year
+ * @param {string} childId - Child ID
+ * @param {number} startYear - First calendar year of the academic year
+ * @returns {string}
+ */
+export const getSchoolYearId = (childId, startYear) => `school_year_${childId}_${startYear}`;
+
+/**
+ * Create an empty school year, running from September to July
+ * @param {string} childId - Child ID
+ * @param {Object} academicYear - { startYear, endYear }
+ * @returns {Object} - { id, childId, startYear, endYear, label, startDate, endDate, terms, breaks }
+ */
+export const createSchoolYear = (childId, academicYear) => ({
+  id: getSchoolYearId(childId, academicYear.startYear),
+  childId,
+  startYear: academicYear.startYear,
+  endYear: academicYear.endYear,
+  label: getAcademicYearLabel(academicYear),
+  startDate: `${academicYear.startYear}-09-01`,
+  endDate: `${academicYear.endYear}-07-31`,
+  terms: [],
+  breaks: [],
+});
+
+/**
+ * Create a term or break with a new ID
+ * @param {string} prefix - "term" or "break"
+ * @param {Object} data - { name, startDate, endDate, type }
+ * @returns {Object}
+ */
+export const createSchoolPeriod = (prefix, data) => ({
+  id: `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+  ...data,
+});
+
+/**
+ * Clean up a school year: trimmed names, IDs on every period, periods sorted by date
+ * @param {Object} schoolYear - School year
+ * @returns {Object}
+ */
+export const normalizeSchoolYear = (schoolYear) => ({
+  ...schoolYear,
+  label: getAcademicYearLabel(schoolYear),
+  terms: (schoolYear.terms || [])
+    .map((term) => ({
+      id: term.id || createSchoolPeriod('term', {}).id,
+      name: (term.name || '').trim() || 'Term',
+      startDate: term.startDate,
+      endDate: term.endDate,
+    }))
+    .sort(byStartDate),
+  breaks: (schoolYear.breaks || [])
+    .map((schoolBreak) => ({
+      id: schoolBreak.id || createSchoolPeriod('break', {}).id,
+      name: (schoolBreak.name || '').trim() || SCHOOL_BREAK_TYPE_LABELS[schoolBreak.type] || 'Holiday',
+      type: schoolBreak.type || SCHOOL_BREAK_TYPES.HOLIDAY,
+      startDate: schoolBreak.startDate,
+      endDate: schoolBreak.endDate,
+    }))
+    .sort(byStartDate),
+});
+
+/**
+ * Validate a school year
+ * @param {Object} schoolYear - School year to validate
+ * @returns {Object} - { valid, errors }
+ */
+export const validateSchoolYear = (schoolYear) => {
+  const errors = [];
+
+  if (!schoolYear || typeof schoolYear !== 'object') {
+    return { valid: false, errors: ['School year must be an object'] };
+  }
+
+  if (!schoolYear.childId) {
+    errors.push('School year must belong to a child');
+  }
+
+  if (!Number.isInteger(schoolYear.startYear) || schoolYear.endYear !== schoolYear.startYear + 1) {
+    errors.push('School year must run over two consecutive calendar years');
+  }
+
+  const validatePeriod = (period, description) => {
+    if (!isValidDateString(period.startDate) || !isValidDateString(period.endDate)) {
+      errors.push(`${description} dates must be in YYYY-MM-DD format`);
+      return false;
+    }
+    if (period.endDate < period.startDate) {
+      errors.push(`${description} must end on or after the day it starts`);
+      return false;
+    }
+    return true;
+  };
+
+  if (!validatePeriod(schoolYear, 'School year')) {
+    return { valid: false, errors };
+  }
+
+  const terms = [...(schoolYear.terms || [])].sort(byStartDate);
+  terms.forEach((term, index) => {
+    const description = `Term "${term.name || index + 1}"`;
+    if (!validatePeriod(term, description)) {
+      return;
+    }
+    if (term.startDate < schoolYear.startDate || term.endDate > schoolYear.endDate) {
+      errors.push(`${description} must be within the school year`);
+    }
+    if (index > 0 && terms[index - 1].endDate >= term.startDate) {
+      errors.push(`${description} overlaps the term before it`);
+    }
+  });
+
+  (schoolYear.breaks || []).forEach((schoolBreak, index) => {
+    validatePeriod(schoolBreak, `Break "${schoolBreak.name || index + 1}"`);
+    if (schoolBreak.type && !Object.values(SCHOOL_BREAK_TYPES).includes(schoolBreak.type)) {
+      errors.push(`Break type must be one of: ${Object.values(SCHOOL_BREAK_TYPES).join(', ')}`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Work out what an imported timetable line describes from its text
+ * @param {string} title - Line text, e.g. "Autumn term begins" or "Half Term"
+ * @returns {string} - 'term_start', 'term_end', SCHOOL_BREAK_TYPES.HALF_TERM or SCHOOL_BREAK_TYPES.HOLIDAY
+ */
+export const classifyImportedHoliday = (title) => {
+  const text = (title || '').toLowerCase();
+
+  if (/half[\s-]*term/.test(text)) {
+    return SCHOOL_BREAK_TYPES.HALF_TERM;
+  }
+  if (/\bterm\b/.test(text)) {
+    if (/\b(start|starts|begin|begins|first day|opens|resume|resumes)\b/.test(text)) {
+      return 'term_start';
+    }
+    if (/\b(end|ends|last day|closes|finish|finishes)\b/.test(text)) {
+      return 'term_end';
+    }
+  }
+  return SCHOOL_BREAK_TYPES.HOLIDAY;
+};
+
+// Timetables often list only weekdays, so a break carries on over a weekend
+const getNextWeekday = (dateString) => {
+  let next = addDaysToDateString(dateString, 1);
+  while ([0, 6].includes(parseLocalDateString(next).getDay())) {
+    next = addDaysToDateString(next, 1);
+  }
+  return next;
+};
+
+// "Autumn term begins" -> "Autumn term"
+const getTermName = (title) => {
+  const match = (title || '').match(/^(.*?\bterm)\b/i);
+  return match ? match[1].trim() : 'Term';
+};
+
+/**
+ * Turn imported timetable lines into terms and breaks
+ * Lines marking the start and end of a term are paired into terms. Other lines
+ * become breaks; consecutive dates from the same line, or with the same text,
+ * are merged into one break.
+ * @param {Array} items - [{ title, date, groupId }], groupId shared by dates read from one line
+ * @returns {Object} - { terms, breaks }
+ */
+export const buildSchoolPeriodsFromImport = (items) => {
+  const termStarts = [];
+  const termEnds = [];
+  const breakGroups = new Map();
+
+  [...items]
+    .filter((item) => isValidDateString(item.date))
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .forEach((item) => {
+      const kind = classifyImportedHoliday(item.title);
+      if (kind === 'term_start') {
+        termStarts.push(item);
+        return;
+      }
+      if (kind === 'term_end') {
+        termEnds.push(item);
+        return;
+      }
+
+      const key = item.groupId || item.title.trim().toLowerCase();
+      const groups = breakGroups.get(key) || [];
+      const lastGroup = groups[groups.length - 1];
+
+      if (lastGroup && getNextWeekday(lastGroup.endDate) >= item.date) {
+        lastGroup.endDate = item.date;
+      } else {
+        groups.push({ name: item.title.trim(), type: kind, startDate: item.date, endDate: item.date });
+      }
+      breakGroups.set(key, groups);
+    });
+
+  const terms = [];
+  termStarts.forEach((start) => {
+    const endIndex = termEnds.findIndex((end) => end.date >= start.date);
+    if (endIndex === -1) {
+      return;
+    }
+    const [end] = termEnds.splice(endIndex, 1);
+    terms.push({ name: getTermName(start.title), startDate: start.date, endDate: end.date });
+  });
+
+  const breaks = [...breakGroups.values()].flat().sort(byStartDate);
+
+  return { terms, breaks };
+};
+
+/**
+ * Add imported terms and breaks to a school year, skipping ones it already has
+ * @param {Object} schoolYear - School year
+ * @param {Object} periods - { terms, breaks } from buildSchoolPeriodsFromImport
+ * @returns {Object} - { schoolYear, addedTerms, addedBreaks, addedPeriodIds }
+ */
+export const mergeSchoolPeriods = (schoolYear, { terms = [], breaks = [] }) => {
+  const isSamePeriod = (a, b) => a.startDate === b.startDate && a.endDate === b.endDate;
+
+  const newTerms = terms
+    .filter((term) => !schoolYear.terms.some((existing) => isSamePeriod(existing, term)))
+    // Terms that would overlap a stored term are left for the user to sort out
+    .filter((term) => !schoolYear.terms.some(
+      (existing) => existing.startDate <= term.endDate && term.startDate <= existing.endDate
+    ))
+    .map((term) => createSchoolPeriod('term', term));
+
+  const newBreaks = breaks
+    .filter((schoolBreak) => !schoolYear.breaks.some((existing) => isSamePeriod(existing, schoolBreak)))
+    .map((schoolBreak) => createSchoolPeriod('break', schoolBreak));
+
+  return {
+    schoolYear: normalizeSchoolYear({
+      ...schoolYear,
+      terms: [...schoolYear.terms, ...newTerms],
+      breaks: [...schoolYear.breaks, ...newBreaks],
+    }),
+    addedTerms: newTerms.length,
+    addedBreaks: newBreaks.length,
+    addedPeriodIds: [...newTerms, ...newBreaks].map((period) => period.id),
+  };
+};
+
+/**
+ * Work out whether a child has school on a date
+ * @param {Array} schoolYears - The child's school years
+ * @param {Date|string} date - Date
+ * @returns {Object} - { isSchoolDay, reason, label }: isSchoolDay is null when
+ *   the child has no school year covering the date
+ */
+export const getSchoolDayStatus = (schoolYears, date) => {
+  const dateString = toDateString(date);
+  const dayOfWeek = parseLocalDateString(dateString).getDay();
+
+  if (dayOfWeek === 0 || dayOfWeek === 6) {
+    return { isSchoolDay: false, reason: SCHOOL_DAY_REASONS.WEEKEND, label: 'Weekend' };
+  }
+
+  const schoolYear = (schoolYears || []).find((year) => isDateInRange(dateString, year));
+  if (!schoolYear) {
+    // Between the end of one stored year and the start of the next is the summer holiday
+    const hasEarlierYear = (schoolYears || []).some((year) => year.endDate < dateString);
+    const hasLaterYear = (schoolYears || []).some((year) => year.startDate > dateString);
+    return hasEarlierYear && hasLaterYear
+      ? { isSchoolDay: false, reason: SCHOOL_DAY_REASONS.BETWEEN_YEARS, label: 'School holidays' }
+      : { isSchoolDay: null, reason: SCHOOL_DAY_REASONS.UNKNOWN, label: null };
+  }
+
+  const schoolBreak = schoolYear.breaks.find((period) => isDateInRange(dateString, period));
+  if (schoolBreak) {
+    return { isSchoolDay: false, reason: SCHOOL_DAY_REASONS.BREAK, label: schoolBreak.name };
+  }
+
+  // Without terms, the whole school year counts as term time
+  if (schoolYear.terms.length > 0 && !schoolYear.terms.some((term) => isDateInRange(dateString, term))) {
+    return { isSchoolDay: false, reason: SCHOOL_DAY_REASONS.BETWEEN_TERMS, label: 'Between terms' };
+  }
+
+  return { isSchoolDay: true, reason: SCHOOL_DAY_REASONS.TERM, label: null };
+};
+
+/**
+ * Check whether a child has school on a date
+ * @param {Array} schoolYears - The child's school years
+ * @param {Date|string} date - Date
+ * @returns {boolean|null} - null when no school year covers the date
+ */
+export const isSchoolDay = (schoolYears, date) => getSchoolDayStatus(schoolYears, date).isSchoolDay;
+
+/**
+ * Find the weekdays in a range when a child with a school year is off school
+ * Weekends are left out since every child is off then.
+ * @param {Array} schoolYears - School years of all children
+ * @param {Date|string} startDate - First date of the range
+ * @param {Date|string} endDate - Last date of the range
+ * @returns {Object} - { [YYYY-MM-DD]: [{ childId, label }] }
+ */
+export const getNonSchoolDays = (schoolYears, startDate, endDate) => {
+  const yearsByChild = new Map();
+  (schoolYears || []).forEach((year) => {
+    yearsByChild.set(year.childId, [...(yearsByChild.get(year.childId) || []), year]);
+  });
+
+  const nonSchoolDays = {};
+  if (yearsByChild.size === 0) {
+    return nonSchoolDays;
+  }
+
+  const lastDate = toDateString(endDate);
+  for (let dateString = toDateString(startDate); dateString <= lastDate; dateString = addDaysToDateString(dateString, 1)) {
+    yearsByChild.forEach((childYears, childId) => {
+      const status = getSchoolDayStatus(childYears, dateString);
+      if (status.isSchoolDay === false && status.reason !== SCHOOL_DAY_REASONS.WEEKEND) {
+        nonSchoolDays[dateString] = [...(nonSchoolDays[dateString] || []), { childId, label: status.label }];
+      }
+    });
+  }
+
+  return nonSchoolDays;
+};
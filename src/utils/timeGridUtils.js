@@ -0,0 +1,165 @@
+/**
+ * Utility functions for the week and day time grid
+ *
+ * The grid draws each day as a column of hours. Timed events are placed by
+ * their start and end time, side by side when they overlap, and dragged events
+ * snap to TIME_GRID_SNAP_MINUTES. All-day events are listed above the grid.
+ */
+
+export const TIME_GRID_HOUR_HEIGHT = 48;
+export const TIME_GRID_SNAP_MINUTES = 15;
+export const MIN_EVENT_DURATION_MINUTES = 15;
+
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Round minutes to the nearest grid step
+ * @param {number} minutes - Minutes, may be negative
+ * @returns {number} - Snapped minutes
+ */
+export const snapToGrid = (minutes) => {
+  const snapped = Math.round(minutes / TIME_GRID_SNAP_MINUTES) * TIME_GRID_SNAP_MINUTES;
+  // Avoid -0 so a tiny upward drag still counts as no change
+  return snapped === 0 ? 0 : snapped;
+};
+
+/**
+ * Convert a vertical distance on the grid to minutes
+ * @param {number} distance - Distance in points
+ * @param {number} hourHeight - Height of one hour in points
+ * @returns {number} - Snapped minutes
+ */
+export const distanceToMinutes = (distance, hourHeight = TIME_GRID_HOUR_HEIGHT) =>
+  snapToGrid((distance / hourHeight) * 60);
+
+/**
+ * Get the time of day pressed at a point in a day column
+ * @param {number} offsetY - Distance from the top of the column (midnight)
+ * @param {number} hourHeight - Height of one hour in points
+ * @returns {number} - Minutes since midnight, snapped down to the grid
+ */
+export const getMinutesAtOffset = (offsetY, hourHeight = TIME_GRID_HOUR_HEIGHT) => {
+  const minutes = Math.floor((offsetY / hourHeight) * 60 / TIME_GRID_SNAP_MINUTES) * TIME_GRID_SNAP_MINUTES;
+  return Math.min(Math.max(0, minutes), MINUTES_PER_DAY - TIME_GRID_SNAP_MINUTES);
+};
+
+/**
+ * Get a date at a time of day
+ * @param {Date} date - Day
+ * @param {number} minutes - Minutes since midnight
+ * @returns {Date} - New date at that time
+ */
+export const getDateAtMinutes = (date, minutes) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, minutes, 0, 0);
+
+/**
+ * Get the minutes since midnight of a date on a given day, clamped to that day
+ * @param {Date} dateTime - Point in time
+ * @param {Date} day - Day the grid column shows
+ * @returns {number} - 0 to 1440
+ */
+const getMinutesOnDay = (dateTime, day) => {
+  const minutes = (dateTime - getDateAtMinutes(day, 0)) / MS_PER_MINUTE;
+  return Math.min(Math.max(0, minutes), MINUTES_PER_DAY);
+};
+
+/**
+ * Check whether an event is placed on the time grid rather than the all-day row
+ * @param {Object} event - Event
+ * @returns {boolean} - True for timed events with a start and end
+ */
+export const isTimeGridEvent = (event) =>
+  !!(event && !event.isAllDay && event.startDateTime && event.endDateTime);
+
+/**
+ * Lay out the timed events of one day column
+ * Overlapping events share the column width, each in its own lane.
+ * @param {Array} events - Events on the day
+ * @param {Date} day - Day the column shows
+ * @param {number} hourHeight - Height of one hour in points
+ * @returns {Array} - [{ event, top, height, lane, laneCount, startMinutes, endMinutes }]
+ */
+export const getTimeGridLayouts = (events, day, hourHeight = TIME_GRID_HOUR_HEIGHT) => {
+  const items = events
+    .filter(isTimeGridEvent)
+    .map((event) => {
+      const startMinutes = getMinutesOnDay(new Date(event.startDateTime), day);
+      // Short events still get a block tall enough to touch
+      const endMinutes = Math.max(
+        getMinutesOnDay(new Date(event.endDateTime), day),
+        Math.min(startMinutes + MIN_EVENT_DURATION_MINUTES, MINUTES_PER_DAY)
+      );
+      return { event, startMinutes, endMinutes };
+    })
+    .sort((a, b) => a.startMinutes - b.startMinutes || b.endMinutes - a.endMinutes);
+
+  const layouts = [];
+  let cluster = [];
+  let clusterEnd = -1;
+  let laneEnds = [];
+
+  const closeCluster = () => {
+    cluster.forEach((item) => {
+      item.laneCount = laneEnds.length;
+    });
+    cluster = [];
+    laneEnds = [];
+  };
+
+  items.forEach((item) => {
+    if (item.startMinutes >= clusterEnd) {
+      closeCluster();
+    }
+
+    let lane = laneEnds.findIndex((laneEnd) => laneEnd <= item.startMinutes);
+    if (lane === -1) {
+      lane = laneEnds.length;
+      laneEnds.push(item.endMinutes);
+    } else {
+      laneEnds[lane] = item.endMinutes;
+    }
+
+    const layout = {
+      ...item,
+      lane,
+      top: (item.startMinutes / 60) * hourHeight,
+      height: ((item.endMinutes - item.startMinutes) / 60) * hourHeight,
+    };
+    cluster.push(layout);
+    layouts.push(layout);
+    clusterEnd = Math.max(clusterEnd, item.endMinutes);
+  });
+  closeCluster();
+
+  return layouts;
+};
+
+/**
+ * Work out an event's new times after it is dragged on the grid
+ * Moving shifts the start and end together; resizing only moves the end,
+ * which never comes closer than MIN_EVENT_DURATION_MINUTES to the start.
+ * @param {Object} event - Timed event
+ * @param {Object} change - { dayDelta, startMinutesDelta, endMinutesDelta }
+ * @returns {Object} - { startDateTime, endDateTime } as ISO strings
+ */
+export const getRescheduledTimes = (event, { dayDelta = 0, startMinutesDelta = 0, endMinutesDelta = 0 }) => {
+  // Shift in local calendar days so the wall-clock time is kept across DST changes
+  const startDateTime = new Date(event.startDateTime);
+  startDateTime.setDate(startDateTime.getDate() + dayDelta);
+  startDateTime.setMinutes(startDateTime.getMinutes() + startMinutesDelta);
+
+  const endDateTime = new Date(event.endDateTime);
+  endDateTime.setDate(endDateTime.getDate() + dayDelta);
+  endDateTime.setMinutes(endDateTime.getMinutes() + endMinutesDelta);
+
+  const minimumEnd = new Date(startDateTime.getTime() + MIN_EVENT_DURATION_MINUTES * MS_PER_MINUTE);
+  if (endDateTime < minimumEnd) {
+    endDateTime.setTime(minimumEnd.getTime());
+  }
+
+  return {
+    startDateTime: startDateTime.toISOString(),
+    endDateTime: endDateTime.toISOString(),
+  };
+};
@@ -0,0 +1,359 @@
+/**
+ * Utility functions for events with an explicit IANA time zone
+ *
+ * Timed events store their start and end as instants (ISO strings) plus the
+ * time zone they were entered in. Forms and reminders work in that zone's
+ * wall-clock time, so a flight at 9:00 AM in Hong Kong stays at 9:00 AM Hong
+ * Kong time when the device moves to another zone.
+ */
+
+const MS_PER_MINUTE = 60 * 1000;
+
+export const COMMON_TIME_ZONES = [
+  { id: 'Pacific/Honolulu', label: 'Honolulu' },
+  { id: 'America/Los_Angeles', label: 'Los Angeles' },
+  { id: 'America/Denver', label: 'Denver' },
+  { id: 'America/Chicago', label: 'Chicago' },
+  { id: 'America/New_York', label: 'New York' },
+  { id: 'America/Toronto', label: 'Toronto' },
+  { id: 'America/Sao_Paulo', label: 'São Paulo' },
+  { id: 'Europe/London', label: 'London' },
+  { id: 'Europe/Paris', label: 'Paris' },
+  { id: 'Europe/Berlin', label: 'Berlin' },
+  { id: 'Europe/Athens', label: 'Athens' },
+  { id: 'Africa/Johannesburg', label: 'Johannesburg' },
+  { id: 'Asia/Dubai', label: 'Dubai' },
+  { id: 'Asia/Kolkata', label: 'India' },
+  { id: 'Asia/Bangkok', label: 'Bangkok' },
+  { id: 'Asia/Singapore', label: 'Singapore' },
+  { id: 'Asia/Hong_Kong', label: 'Hong Kong' },
+  { id: 'Asia/Shanghai', label: 'Shanghai' },
+  { id: 'Asia/Taipei', label: 'Taipei' },
+  { id: 'Asia/Tokyo', label: 'Tokyo' },
+  { id: 'Asia/Seoul', label: 'Seoul' },
+  { id: 'Australia/Perth', label: 'Perth' },
+  { id: 'Australia/Sydney', label: 'Sydney' },
+  { id: 'Pacific/Auckland', label: 'Auckland' },
+  { id: 'UTC', label: 'UTC' },
+];
+
+const partsFormatters = {};
+
+/**
+ * Get a cached formatter that splits an instant into wall-clock parts
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} - Formatter
+ */
+const getPartsFormatter = (timeZone) => {
+  if (!partsFormatters[timeZone]) {
+    partsFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+  }
+  return partsFormatters[timeZone];
+};
+
+/**
+ * Get the device's current IANA time zone
+ * @returns {string} - Time zone, 'UTC' when the platform does not report one
+ */
+export const getDeviceTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+};
+
+/**
+ * Check whether a string is an IANA time zone the platform knows
+ * @param {string} timeZone - Time zone to check
+ * @returns {boolean} - True if valid
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone.trim()) {
+    return false;
+  }
+  try {
+    getPartsFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock date and time of an instant in a time zone
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second }
+ */
+export const getZonedDateParts = (date, timeZone) => {
+  const parts = {};
+  getPartsFormatter(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      if (type !== 'literal') {
+        parts[type] = parseInt(value, 10);
+      }
+    });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    // Some platforms still report midnight as 24 with h23
+    hour: parts.hour === 24 ? 0 : parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+};
+
+/**
+ * Get the calendar date of an instant in a time zone
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - Date string in YYYY-MM-DD format
+ */
+export const formatZonedDateString = (date, timeZone) => {
+  const { year, month, day } = getZonedDateParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Get a time zone's offset from UTC at an instant
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} - Minutes ahead of UTC (negative west of Greenwich)
+ */
+export const getTimeZoneOffsetMinutes = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedDateParts(date, timeZone);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((wallClockAsUtc - wholeSeconds) / MS_PER_MINUTE);
+};
+
+/**
+ * Get the instant a wall-clock time happens in a time zone
+ * Times skipped by a DST change resolve to the later offset.
+ * @param {Object} parts - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} - Point in time
+ */
+export const zonedTimeToDate = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const firstOffset = getTimeZoneOffsetMinutes(new Date(wallClockAsUtc), timeZone);
+  let result = wallClockAsUtc - firstOffset * MS_PER_MINUTE;
+
+  // The offset can differ on either side of a DST change, so check it again
+  const secondOffset = getTimeZoneOffsetMinutes(new Date(result), timeZone);
+  if (secondOffset !== firstOffset) {
+    result = wallClockAsUtc - secondOffset * MS_PER_MINUTE;
+  }
+
+  return new Date(result);
+};
+
+/**
+ * Get a device-local date whose fields show an instant's wall-clock time in a zone
+ * Date and time pickers work in device time, so they are given this date.
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} - Device-local date with the zone's wall-clock fields
+ */
+export const toZonedWallClockDate = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedDateParts(date, timeZone);
+  return new Date(year, month - 1, day, hour, minute, second, 0);
+};
+
+/**
+ * Get the instant for a device-local date read as wall-clock time in a zone
+ * The reverse of toZonedWallClockDate.
+ * @param {Date} wallClockDate - Device-local date from a picker
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} - Point in time
+ */
+export const fromZonedWallClockDate = (wallClockDate, timeZone) =>
+  zonedTimeToDate(
+    {
+      year: wallClockDate.getFullYear(),
+      month: wallClockDate.getMonth() + 1,
+      day: wallClockDate.getDate(),
+      hour: wallClockDate.getHours(),
+      minute: wallClockDate.getMinutes(),
+      second: wallClockDate.getSeconds(),
+    },
+    timeZone
+  );
+
+/**
+ * Move an instant by whole calendar days in a time zone, keeping its wall-clock time
+ * @param {Date} date - Point in time
+ * @param {number} days - Days to add (may be negative)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} - Shifted point in time
+ */
+export const shiftZonedDays = (date, days, timeZone) => {
+  const parts = getZonedDateParts(date, timeZone);
+  const shiftedDay = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+  return zonedTimeToDate(
+    {
+      ...parts,
+      year: shiftedDay.getUTCFullYear(),
+      month: shiftedDay.getUTCMonth() + 1,
+      day: shiftedDay.getUTCDate(),
+    },
+    timeZone
+  );
+};
+
+/**
+ * Move an instant to another calendar day, keeping its wall-clock time in a zone
+ * @param {Date} date - Point in time
+ * @param {Date} day - Device-local date whose calendar day is used
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} - Point in time on that day
+ */
+export const moveToZonedDay = (date, day, timeZone) =>
+  zonedTimeToDate(
+    {
+      ...getZonedDateParts(date, timeZone),
+      year: day.getFullYear(),
+      month: day.getMonth() + 1,
+      day: day.getDate(),
+    },
+    timeZone
+  );
+
+/**
+ * Format the time of an instant in a time zone
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - e.g. "9:30 AM"
+ */
+export const formatTimeInTimeZone = (date, timeZone) =>
+  date.toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    timeZone,
+  });
+
+/**
+ * Get a time zone's short name at an instant
+ * @param {Date} date - Point in time, since the name can change with DST
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - e.g. "BST" or "GMT+8"
+ */
+export const getTimeZoneAbbreviation = (date, timeZone) => {
+  try {
+    const namePart = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+      .formatToParts(date)
+      .find((part) => part.type === 'timeZoneName');
+    return namePart ? namePart.value : timeZone;
+  } catch (error) {
+    return timeZone;
+  }
+};
+
+/**
+ * Get a readable name for a time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - e.g. "Hong Kong"
+ */
+export const getTimeZoneLabel = (timeZone) => {
+  if (!timeZone) {
+    return '';
+  }
+  const common = COMMON_TIME_ZONES.find((zone) => zone.id === timeZone);
+  if (common) {
+    return common.label;
+  }
+  const city = timeZone.split('/').pop();
+  return city.replace(/_/g, ' ');
+};
+
+/**
+ * Format a UTC offset for display
+ * @param {number} offsetMinutes - Minutes ahead of UTC
+ * @returns {string} - e.g. "UTC+08:00" or "UTC-04:00"
+ */
+export const formatUtcOffset = (offsetMinutes) => {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+  const minutes = String(absolute % 60).padStart(2, '0');
+  return `UTC${sign}${hours}:${minutes}`;
+};
+
+/**
+ * Get the time zones a user can pick from
+ * Common travel zones come first, followed by every other zone the platform knows.
+ * @returns {Array} - [{ id, label }]
+ */
+export const getSelectableTimeZones = () => {
+  const commonIds = COMMON_TIME_ZONES.map((zone) => zone.id);
+  let supportedIds = [];
+  try {
+    if (typeof Intl.supportedValuesOf === 'function') {
+      supportedIds = Intl.supportedValuesOf('timeZone');
+    }
+  } catch (error) {
+    supportedIds = [];
+  }
+
+  const otherZones = supportedIds
+    .filter((id) => !commonIds.includes(id))
+    .map((id) => ({ id, label: getTimeZoneLabel(id) }));
+
+  return [...COMMON_TIME_ZONES, ...otherZones];
+};
+
+/**
+ * Get the time zone a timed event was entered in
+ * Events saved before zones were stored use the device's zone.
+ * @param {Object} event - Event
+ * @returns {string} - IANA time zone
+ */
+export const getEventTimeZone = (event) =>
+  isValidTimeZone(event?.timeZone) ? event.timeZone : getDeviceTimeZone();
+
+/**
+ * Check whether an event's zone shows the same clock time as the device
+ * @param {Object} event - Timed event
+ * @returns {boolean} - True when no zone hint is needed
+ */
+export const isEventInDeviceTimeZone = (event) => {
+  if (!event || event.isAllDay || !isValidTimeZone(event.timeZone)) {
+    return true;
+  }
+  const deviceTimeZone = getDeviceTimeZone();
+  if (event.timeZone === deviceTimeZone) {
+    return true;
+  }
+  const startDateTime = event.startDateTime ? new Date(event.startDateTime) : new Date();
+  return (
+    getTimeZoneOffsetMinutes(startDateTime, event.timeZone) ===
+    getTimeZoneOffsetMinutes(startDateTime, deviceTimeZone)
+  );
+};
+
+/**
+ * Get the start time of an event in its own zone, for showing next to device times
+ * @param {Object} event - Timed event
+ * @returns {string} - e.g. "9:00 AM GMT+8", or '' when the zones show the same time
+ */
+export const getEventTimeZoneHint = (event) => {
+  if (isEventInDeviceTimeZone(event)) {
+    return '';
+  }
+  const startDateTime = new Date(event.startDateTime);
+  return `${formatTimeInTimeZone(startDateTime, event.timeZone)} ${getTimeZoneAbbreviation(startDateTime, event.timeZone)}`;
+};